@@ -3,11 +3,14 @@
  * Handles extension lifecycle and communication between components
  */
 
+importScripts('extractors/common.js', 'extractors/espn.js', 'extractors/sleeper.js', 'extractors/yahoo.js');
+
 class BackgroundService {
   constructor() {
     this.activeTabs = new Map(); // Track active draft monitoring tabs
     this.lastNotificationTime = 0;
     this.notificationCooldown = 2000; // 2 seconds between notifications
+    this.relayQueues = new Map(); // leagueId (or draft:<draftId>) -> picks the server hasn't acknowledged yet
     
     this.init();
   }
@@ -55,6 +58,9 @@ class BackgroundService {
       chrome.storage.sync.set({
         discordWebhook: 'https://discord.com/api/webhooks/1406098016800346263/w1XCdLHjGN38eM2smYNuGy6E7pQ2CMplyE0-amnsRT87d9vqgE1dA1kX_RJBpXGZL5yN',
         teamId: 2,
+        leagueSize: 8,
+        relayUrl: 'http://localhost:3000',
+        relaySecret: '',
         enableNotifications: true,
         installDate: new Date().toISOString()
       });
@@ -107,6 +113,11 @@ class BackgroundService {
           sendResponse(testResult);
           break;
 
+        case 'testRelay':
+          const relayResult = await this.testRelayConnection();
+          sendResponse(relayResult);
+          break;
+
         default:
           console.warn('Unknown message action:', message.action);
           sendResponse({ error: 'Unknown action' });
@@ -118,6 +129,9 @@ class BackgroundService {
   }
 
   async handlePickDetected(message, sender) {
+    // Every pick goes to the server; only the popup/Discord side is throttled
+    await this.relayPick(message);
+
     const now = Date.now();
     
     // Throttle notifications to prevent spam
@@ -129,14 +143,6 @@ class BackgroundService {
     this.lastNotificationTime = now;
 
     try {
-      // Get configuration
-      const config = await this.getConfiguration();
-      
-      if (!config.discordWebhook) {
-        console.warn('No Discord webhook configured');
-        return;
-      }
-
       // Update tab status
       this.updateTabStatus(sender.tab.id, {
         monitoring: true,
@@ -158,6 +164,94 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Send a detected pick to the Fantasy Command Center server (POST /extension/picks). Picks the
+   * server hasn't acknowledged stay queued and go out with the next one; it ignores any it has seen.
+   */
+  async relayPick(message) {
+    const config = await this.getConfiguration();
+    if (!config.relayUrl || !config.relaySecret) {
+      return;
+    }
+
+    // Sleeper draft rooms only know their draft; the server resolves its league
+    const leagueId = message.leagueId || null;
+    const draftId = message.draftId || null;
+    const queueKey = leagueId || (draftId ? `draft:${draftId}` : 'default');
+    const queue = this.relayQueues.get(queueKey) || [];
+    queue.push({
+      overall: message.pickNumber,
+      player: message.pick.player,
+      position: message.pick.position || null,
+      team: message.pick.team || null,
+      draftSlot: message.pick.draftSlot || null,
+      teamName: message.pick.teamName || null,
+      bid: typeof message.pick.bid === 'number' ? message.pick.bid : null,
+      isUserPick: Boolean(message.isUserPick)
+    });
+    this.relayQueues.set(queueKey, queue);
+
+    try {
+      const response = await this.postToRelay(config, {
+        platform: message.platform || 'espn',
+        leagueId: leagueId || (draftId ? null : 'default'),
+        draftId,
+        leagueSize: config.leagueSize,
+        userTeam: config.teamId,
+        picks: queue
+      });
+
+      if (response.ok) {
+        this.relayQueues.delete(queueKey);
+        console.log(`📡 Relayed ${queue.length} pick(s) to server`);
+      } else if (response.status < 500) {
+        // Bad secret or payload: resending the same picks won't help
+        this.relayQueues.delete(queueKey);
+        console.error(`❌ Server rejected relayed picks: HTTP ${response.status}`);
+      } else {
+        console.warn(`⚠️ Server error relaying picks (HTTP ${response.status}), will retry with next pick`);
+      }
+    } catch (error) {
+      console.warn('⚠️ Pick relay unreachable, will retry with next pick:', error.message);
+    }
+  }
+
+  postToRelay(config, payload) {
+    return fetch(`${config.relayUrl.replace(/\/+$/, '')}/extension/picks`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Relay-Secret': config.relaySecret
+      },
+      body: JSON.stringify(payload)
+    });
+  }
+
+  async testRelayConnection() {
+    try {
+      const config = await this.getConfiguration();
+
+      if (!config.relayUrl || !config.relaySecret) {
+        return { success: false, error: 'Server URL and relay secret are required' };
+      }
+
+      // An empty batch checks the URL and secret without recording anything
+      const response = await this.postToRelay(config, { leagueId: 'connection-test', picks: [] });
+
+      if (response.ok) {
+        return { success: true, message: 'Server relay connected' };
+      } else if (response.status === 401) {
+        return { success: false, error: 'Relay secret does not match the server' };
+      } else {
+        return { success: false, error: `HTTP ${response.status}` };
+      }
+
+    } catch (error) {
+      console.error('Relay connection test failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async handleAIAnalysisRequest(message, sender) {
     try {
       const config = await this.getConfiguration();
@@ -188,12 +282,18 @@ class BackgroundService {
       const result = await chrome.storage.sync.get([
         'discordWebhook',
         'teamId', 
+        'leagueSize',
+        'relayUrl',
+        'relaySecret',
         'enableNotifications'
       ]);
       
       return {
         discordWebhook: result.discordWebhook || '',
         teamId: result.teamId || 2,
+        leagueSize: result.leagueSize || 8,
+        relayUrl: result.relayUrl || '',
+        relaySecret: result.relaySecret || '',
         enableNotifications: result.enableNotifications !== false
       };
     } catch (error) {
@@ -201,6 +301,9 @@ class BackgroundService {
       return {
         discordWebhook: '',
         teamId: 2,
+        leagueSize: 8,
+        relayUrl: '',
+        relaySecret: '',
         enableNotifications: true
       };
     }
@@ -296,18 +399,18 @@ class BackgroundService {
   }
 
   handleTabUpdate(tabId, changeInfo, tab) {
-    // Check if this is a relevant ESPN page
-    if (changeInfo.status === 'complete' && 
-        tab.url && 
-        tab.url.includes('fantasy.espn.com')) {
+    // Check if this is a supported draft room
+    if (changeInfo.status === 'complete' && tab.url) {
+      const site = DraftExtractors.forLocation(new URL(tab.url));
       
-      if (tab.url.includes('/draft')) {
-        console.log('🎯 ESPN draft page loaded in tab', tabId);
+      if (site) {
+        console.log(`🎯 ${site.name} draft page loaded in tab`, tabId);
         
         // Initialize tab status
         this.updateTabStatus(tabId, {
           monitoring: false,
           pickCount: 0,
+          platform: site.id,
           url: tab.url
         });
       }
@@ -1,13 +1,16 @@
 /**
- * Fantasy Command Center - ESPN Draft Monitor
- * Detects live draft picks and sends to Discord for AI analysis
+ * Fantasy Command Center - Draft Monitor
+ * Detects live draft picks on ESPN, Sleeper and Yahoo (see extractors/) and sends them to Discord
+ * and the Command Center server for AI analysis
  */
 
 class FantasyDraftMonitor {
   constructor() {
     this.isMonitoring = false;
     this.lastPickCount = 0;
+    this.extractor = DraftExtractors.forLocation(window.location);
     this.draftData = {
+      platform: this.extractor?.id || null,
       league_id: null,
       teams: {},
       picks: [],
@@ -16,6 +19,7 @@ class FantasyDraftMonitor {
     
     this.discordWebhook = null;
     this.teamId = null; // User's team ID
+    this.leagueSize = 8;
     
     this.init();
   }
@@ -23,6 +27,11 @@ class FantasyDraftMonitor {
   async init() {
     console.log('🏈 Fantasy Command Center - Draft Monitor Loading...');
     
+    if (!this.extractor) {
+      console.log('ℹ️ Not a supported draft room');
+      return;
+    }
+    
     // Get configuration from extension storage
     await this.loadConfiguration();
     
@@ -44,11 +53,13 @@ class FantasyDraftMonitor {
       const result = await chrome.storage.sync.get([
         'discordWebhook', 
         'teamId', 
+        'leagueSize',
         'enableNotifications'
       ]);
       
       this.discordWebhook = result.discordWebhook || 'https://discord.com/api/webhooks/1406098016800346263/w1XCdLHjGN38eM2smYNuGy6E7pQ2CMplyE0-amnsRT87d9vqgE1dA1kX_RJBpXGZL5yN';
       this.teamId = result.teamId || 2; // Default to team 2 (Baron's Best Team)
+      this.leagueSize = result.leagueSize || 8;
       
       console.log('📊 Configuration loaded:', {
         webhook: this.discordWebhook ? 'Configured' : 'Missing',
@@ -61,20 +72,29 @@ class FantasyDraftMonitor {
   
   extractLeagueInfo() {
     // Extract league ID from URL
-    const urlParams = new URLSearchParams(window.location.search);
-    this.draftData.league_id = urlParams.get('leagueId');
+    this.draftData.league_id = this.extractor.getLeagueId(window.location);
+    this.draftData.draft_id = this.extractor.getDraftId?.(window.location) || null;
     
-    console.log('🎯 League ID:', this.draftData.league_id);
+    console.log(`🎯 ${this.extractor.name} League ID:`, this.draftData.league_id, 'Draft ID:', this.draftData.draft_id);
   }
   
   isDraftPage() {
-    return window.location.pathname.includes('/draft') && 
-           window.location.hostname === 'fantasy.espn.com';
+    return this.extractor.matches(window.location);
   }
   
   isWaitingRoom() {
-    return window.location.pathname.includes('/waitingroom') && 
-           window.location.hostname === 'fantasy.espn.com';
+    return Boolean(this.extractor?.isWaitingRoom?.(window.location));
+  }
+  
+  startWaitingRoomMonitor() {
+    // The lobby turns into the draft room without a full page load on some sites
+    const waitingInterval = setInterval(() => {
+      if (this.isDraftPage()) {
+        clearInterval(waitingInterval);
+        this.startMonitoring();
+        this.sendConnectionNotification();
+      }
+    }, 5000);
   }
   
   startMonitoring() {
@@ -96,7 +116,7 @@ class FantasyDraftMonitor {
   }
   
   setupDraftObserver() {
-    const draftBoard = this.findDraftBoard();
+    const draftBoard = this.extractor.findDraftBoard();
     if (!draftBoard) {
       console.warn('⚠️ Could not find draft board for monitoring');
       return;
@@ -129,43 +149,10 @@ class FantasyDraftMonitor {
     console.log('👁️ Draft board observer active');
   }
   
-  findDraftBoard() {
-    // Multiple selectors to find the draft board
-    const selectors = [
-      '.draft-board',
-      '.draftboard',
-      '[data-testid=\"draft-board\"]',
-      '.Table--fixed-left',
-      '.draft-results',
-      '.draft-container'
-    ];
-    
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        console.log('✅ Found draft board:', selector);
-        return element;
-      }
-    }
-    
-    // Fallback: look for any container with draft-related content
-    const draftElements = document.querySelectorAll('*');
-    for (const element of draftElements) {
-      if (element.textContent && 
-          (element.textContent.includes('Round') || 
-           element.textContent.includes('Pick') ||
-           element.textContent.includes('Team'))) {
-        console.log('✅ Found potential draft container');
-        return element.parentElement;
-      }
-    }
-    
-    return document.body; // Ultimate fallback
-  }
-  
   scanDraftBoard() {
     try {
-      const picks = this.extractDraftPicks();
+      const picks = this.extractor.extractPicks({ leagueSize: this.leagueSize });
+      console.log(`📊 Found ${picks.length} total picks on ${this.extractor.name}`);
       const newPicks = picks.length - this.lastPickCount;
       
       if (newPicks > 0) {
@@ -178,7 +165,7 @@ class FantasyDraftMonitor {
           // Double-check that this is a real player pick
           if (pick && pick.player && this.isValidPlayerPick(pick.player)) {
             console.log(`✅ Valid pick detected: ${pick.player}`);
-            this.processPick(pick, i + 1);
+            this.processPick(pick, pick.overall || i + 1);
           } else {
             console.log(`⚠️ Filtered invalid pick: ${pick?.player || 'Unknown'}`);
           }
@@ -229,141 +216,6 @@ class FantasyDraftMonitor {
     return true;
   }
   
-  extractDraftPicks() {
-    const picks = [];
-    
-    // Strategy 1: Look for draft pick elements
-    const pickElements = document.querySelectorAll([
-      '.draft-pick',
-      '.pick-cell',
-      '.player-name',
-      '[data-testid=\"player-name\"]',
-      '.Table__TD .player-name'
-    ].join(','));
-    
-    pickElements.forEach((element, index) => {
-      const playerName = this.extractPlayerName(element);
-      if (playerName && playerName !== 'Empty' && !playerName.includes('Select')) {
-        picks.push({
-          overall: index + 1,
-          player: playerName,
-          element: element
-        });
-      }
-    });
-    
-    // Strategy 2: Look for team roster sections
-    if (picks.length === 0) {
-      this.extractFromTeamRosters(picks);
-    }
-    
-    // Strategy 3: Look for draft results table
-    if (picks.length === 0) {
-      this.extractFromDraftTable(picks);
-    }
-    
-    console.log(`📊 Found ${picks.length} total picks`);
-    return picks;
-  }
-  
-  extractPlayerName(element) {
-    // Try different methods to extract player name
-    const text = element.textContent || element.innerText || '';
-    
-    // Remove common prefixes/suffixes
-    let playerName = text
-      .replace(/^(Round \d+,?\s*Pick \d+:?\s*)/i, '')
-      .replace(/\s*\([^)]*\)\s*$/, '') // Remove position in parentheses
-      .replace(/\s*-\s*[A-Z]{2,3}\s*$/, '') // Remove team abbreviation
-      .trim();
-    
-    // Skip if it's not a real player name
-    if (!playerName || 
-        playerName.includes('Empty') ||
-        playerName.includes('Select') ||
-        playerName.includes('Round') ||
-        playerName.includes('Pick') ||
-        playerName.includes('FLEX') ||
-        playerName.includes('D/ST') ||
-        playerName.includes('QB') ||
-        playerName.includes('RB') ||
-        playerName.includes('WR') ||
-        playerName.includes('TE') ||
-        playerName.includes('K') ||
-        playerName === 'FLEX' ||
-        playerName === 'D/ST' ||
-        playerName === 'QB' ||
-        playerName === 'RB' ||
-        playerName === 'WR' ||
-        playerName === 'TE' ||
-        playerName === 'K' ||
-        playerName.match(/^[A-Z]{1,4}$/) || // Pure position abbreviations
-        playerName.length < 3) {
-      return null;
-    }
-    
-    // Additional check: must contain at least one space (first + last name) or be a known single name
-    if (!playerName.includes(' ') && !this.isKnownSingleName(playerName)) {
-      return null;
-    }
-    
-    return playerName;
-  }
-  
-  isKnownSingleName(name) {
-    // Some players go by single names, but these are rare in fantasy
-    const singleNames = ['Cher', 'Madonna', 'Ronaldinho']; // Add if needed
-    return singleNames.includes(name);
-  }
-  
-  extractFromTeamRosters(picks) {
-    // Look for team sections and extract players
-    const teamSections = document.querySelectorAll('.team-roster, .roster-section');
-    
-    teamSections.forEach((section, teamIndex) => {
-      const players = section.querySelectorAll('.player-name, .roster-player');
-      players.forEach((player, playerIndex) => {
-        const playerName = this.extractPlayerName(player);
-        if (playerName) {
-          picks.push({
-            overall: picks.length + 1,
-            player: playerName,
-            team: teamIndex + 1,
-            element: player
-          });
-        }
-      });
-    });
-  }
-  
-  extractFromDraftTable(picks) {
-    // Look for table-based draft results
-    const rows = document.querySelectorAll('tr');
-    
-    rows.forEach((row, index) => {
-      const cells = row.querySelectorAll('td');
-      if (cells.length >= 2) {
-        const playerCell = Array.from(cells).find(cell => 
-          cell.textContent && 
-          !cell.textContent.includes('Round') &&
-          !cell.textContent.includes('Pick') &&
-          cell.textContent.trim().length > 3
-        );
-        
-        if (playerCell) {
-          const playerName = this.extractPlayerName(playerCell);
-          if (playerName) {
-            picks.push({
-              overall: picks.length + 1,
-              player: playerName,
-              element: playerCell
-            });
-          }
-        }
-      }
-    });
-  }
-  
   async processPick(pick, pickNumber) {
     console.log(`🎯 Processing pick #${pickNumber}:`, pick.player);
     
@@ -376,11 +228,13 @@ class FantasyDraftMonitor {
     // Notify background service
     chrome.runtime.sendMessage({
       action: 'pickDetected',
+      platform: this.extractor.id,
       pick: pick,
       pickNumber: pickNumber,
       isUserPick: isUserPick,
       totalPicks: this.draftData.picks.length,
-      leagueId: this.draftData.league_id
+      leagueId: this.draftData.league_id,
+      draftId: this.draftData.draft_id
     });
     
     // Trigger AI analysis if it's user's turn next
@@ -390,6 +244,11 @@ class FantasyDraftMonitor {
   }
   
   isUserTeamPick(pick, pickNumber) {
+    // Sites that show which team made the pick say so directly
+    if (pick.draftSlot) {
+      return pick.draftSlot === this.teamId;
+    }
+    
     // Logic to determine if this pick belongs to user's team
     // For 8-team snake draft, user (team 2) picks at: 2, 15, 18, 31, 34, etc.
     const userPickNumbers = this.calculateUserPickNumbers();
@@ -398,7 +257,7 @@ class FantasyDraftMonitor {
   
   calculateUserPickNumbers() {
     const picks = [];
-    const teamCount = 8;
+    const teamCount = this.leagueSize;
     const rounds = 16;
     
     for (let round = 1; round <= rounds; round++) {
@@ -433,7 +292,7 @@ class FantasyDraftMonitor {
       color: isUserPick ? 0xFF6B35 : 0x4A90E2,
       timestamp: new Date().toISOString(),
       footer: {
-        text: `Fantasy Command Center • League ${this.draftData.league_id}`
+        text: `Fantasy Command Center • ${this.extractor.name} League ${this.draftData.league_id}`
       }
     };
     
@@ -507,7 +366,7 @@ class FantasyDraftMonitor {
     
     const embed = {
       title: '🚀 Fantasy Command Center Connected!',
-      description: `Chrome extension monitoring League ${this.draftData.league_id}`,
+      description: `Chrome extension monitoring ${this.extractor.name} League ${this.draftData.league_id}`,
       color: 0x00FF00,
       fields: [
         {
@@ -537,9 +396,36 @@ class FantasyDraftMonitor {
     }
   }
   
+  async sendWaitingRoomNotification() {
+    if (!this.discordWebhook) return;
+    
+    const embed = {
+      title: '⏳ Waiting for Draft to Start',
+      description: `Chrome extension is in the ${this.extractor.name} draft lobby for League ${this.draftData.league_id}`,
+      color: 0xFFC107,
+      fields: [{
+        name: 'Status',
+        value: 'Monitoring starts automatically when the draft begins',
+        inline: false
+      }],
+      timestamp: new Date().toISOString()
+    };
+    
+    try {
+      await fetch(this.discordWebhook, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ embeds: [embed] })
+      });
+    } catch (error) {
+      console.error('❌ Failed to send waiting room notification:', error);
+    }
+  }
+  
   // Export functionality for post-draft analysis
   exportDraftResults() {
     const exportData = {
+      platform: this.draftData.platform,
       league_id: this.draftData.league_id,
       export_time: new Date().toISOString(),
       total_picks: this.draftData.picks.length,
@@ -558,7 +444,7 @@ class FantasyDraftMonitor {
     
     const link = document.createElement('a');
     link.href = url;
-    link.download = `draft_results_${this.draftData.league_id}_${new Date().toISOString().split('T')[0]}.json`;
+    link.download = `draft_results_${this.draftData.platform}_${this.draftData.league_id}_${new Date().toISOString().split('T')[0]}.json`;
     link.click();
     
     console.log('📁 Draft results exported');
@@ -620,6 +506,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             monitoring: draftMonitor.isMonitoring,
             pickCount: draftMonitor.lastPickCount,
             leagueId: draftMonitor.draftData.league_id,
+            draftId: draftMonitor.draftData.draft_id,
+            platform: draftMonitor.extractor?.name || null,
             waitingRoom: isWaiting,
             status: isWaiting ? 'waiting' : (draftMonitor.isMonitoring ? 'monitoring' : 'inactive')
           });
@@ -676,7 +564,7 @@ new MutationObserver(() => {
   const url = location.href;
   if (url !== lastUrl) {
     lastUrl = url;
-    if (url.includes('/draft')) {
+    if (DraftExtractors.forLocation(window.location)) {
       setTimeout(initializeMonitor, 1000);
     }
   }
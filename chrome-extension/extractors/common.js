@@ -0,0 +1,90 @@
+/**
+ * Fantasy Command Center - Draft Site Extractors
+ * Registry of per-site draft room readers. Every extractor reports picks in the same shape, so the
+ * monitor, Discord notifications and server relay work the same on any site:
+ *   { overall, player, position?, team?, round?, pickInRound?, draftSlot?, teamName?, bid? }
+ * Auction rooms report the winning bid (whole dollars) and, where the site shows it, the buying team.
+ *
+ * An extractor provides:
+ *   id, name                  - e.g. 'espn', 'ESPN'
+ *   matches(location)         - true in the site's live draft room
+ *   isWaitingRoom(location)   - optional, true in the pre-draft lobby
+ *   getLeagueId(location)     - league id from the URL, or null when the URL doesn't have one
+ *   getDraftId(location)      - optional, draft id from the URL (Sleeper draft rooms)
+ *   findDraftBoard()          - element to watch for changes
+ *   extractPicks(context)     - picks made so far; context is { leagueSize }
+ */
+
+const DraftExtractors = {
+  extractors: [],
+
+  POSITIONS: ['QB', 'RB', 'WR', 'TE', 'K', 'DST', 'D/ST', 'DEF', 'FLEX'],
+
+  register(extractor) {
+    this.extractors.push(extractor);
+  },
+
+  /**
+   * Extractor for a page (window.location or a URL), or null if it isn't a supported draft room
+   */
+  forLocation(location) {
+    return this.extractors.find(extractor =>
+      extractor.matches(location) || Boolean(extractor.isWaitingRoom?.(location))
+    ) || null;
+  },
+
+  /**
+   * Player name from a board cell's text, or null for empty slots, labels and UI text
+   */
+  cleanPlayerName(text) {
+    const name = String(text || '')
+      .replace(/^(Round \d+,?\s*Pick \d+:?\s*)/i, '')
+      .replace(/\s*\([^)]*\)\s*$/, '') // Remove position in parentheses
+      .replace(/\s*-\s*[A-Z]{2,3}\s*$/, '') // Remove team abbreviation
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (!name ||
+        name.length < 3 ||
+        name.length > 50 ||
+        !/[a-zA-Z]/.test(name) ||
+        this.POSITIONS.includes(name.toUpperCase()) ||
+        /^[A-Z]{1,4}$/.test(name) || // Pure position/team abbreviations
+        /\b(Empty|Select|Round|Pick|Choose|Available)\b/i.test(name)) {
+      return null;
+    }
+
+    // Real players come with a first and last name
+    return name.includes(' ') ? name : null;
+  },
+
+  /**
+   * Winning bid from text like "$45" or "Sold for $45", or null when there isn't one
+   */
+  parseBid(text) {
+    const match = String(text || '').match(/\$\s?(\d{1,4})\b/);
+    return match ? parseInt(match[1], 10) : null;
+  },
+
+  normalizePosition(position) {
+    const value = String(position || '').toUpperCase().trim();
+    return ['DST', 'DEF'].includes(value) ? 'D/ST' : value || null;
+  },
+
+  /**
+   * Overall pick from a "round.pick" style label (pick numbered within the round)
+   */
+  overallFromRoundPick(round, pickInRound, leagueSize) {
+    return (round - 1) * leagueSize + pickInRound;
+  },
+
+  firstElement(selectors) {
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      if (element) {
+        return element;
+      }
+    }
+    return null;
+  }
+};
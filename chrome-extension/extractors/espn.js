@@ -0,0 +1,128 @@
+/**
+ * Fantasy Command Center - ESPN draft room extractor
+ * fantasy.espn.com/football/draft?leagueId=...
+ *
+ * Snake and auction rooms share the board markup; in auction leagues the pick's cell or row also
+ * shows the winning bid ("$45").
+ */
+
+DraftExtractors.register({
+  id: 'espn',
+  name: 'ESPN',
+
+  matches(location) {
+    return location.hostname === 'fantasy.espn.com' && location.pathname.includes('/draft');
+  },
+
+  isWaitingRoom(location) {
+    return location.hostname === 'fantasy.espn.com' && location.pathname.includes('/waitingroom');
+  },
+
+  getLeagueId(location) {
+    return new URLSearchParams(location.search).get('leagueId');
+  },
+
+  findDraftBoard() {
+    // Multiple selectors to find the draft board
+    const board = DraftExtractors.firstElement([
+      '.draft-board',
+      '.draftboard',
+      '[data-testid="draft-board"]',
+      '.Table--fixed-left',
+      '.draft-results',
+      '.draft-container'
+    ]);
+    if (board) {
+      return board;
+    }
+
+    // Fallback: look for any container with draft-related content
+    const draftElements = document.querySelectorAll('*');
+    for (const element of draftElements) {
+      if (element.textContent &&
+          (element.textContent.includes('Round') ||
+           element.textContent.includes('Pick') ||
+           element.textContent.includes('Team'))) {
+        return element.parentElement;
+      }
+    }
+
+    return document.body; // Ultimate fallback
+  },
+
+  extractPicks() {
+    const picks = [];
+
+    // Strategy 1: Look for draft pick elements
+    const pickElements = document.querySelectorAll([
+      '.draft-pick',
+      '.pick-cell',
+      '.player-name',
+      '[data-testid="player-name"]',
+      '.Table__TD .player-name'
+    ].join(','));
+
+    pickElements.forEach(element => {
+      const playerName = DraftExtractors.cleanPlayerName(element.textContent || element.innerText);
+      if (playerName) {
+        const container = element.closest('tr, .draft-pick, .pick-cell') || element.parentElement;
+        picks.push(this.withBid({ overall: picks.length + 1, player: playerName }, container));
+      }
+    });
+
+    // Strategy 2: Look for team roster sections
+    if (picks.length === 0) {
+      this.extractFromTeamRosters(picks);
+    }
+
+    // Strategy 3: Look for draft results table
+    if (picks.length === 0) {
+      this.extractFromDraftTable(picks);
+    }
+
+    return picks;
+  },
+
+  extractFromTeamRosters(picks) {
+    const teamSections = document.querySelectorAll('.team-roster, .roster-section');
+
+    teamSections.forEach((section, teamIndex) => {
+      section.querySelectorAll('.player-name, .roster-player').forEach(player => {
+        const playerName = DraftExtractors.cleanPlayerName(player.textContent);
+        if (playerName) {
+          picks.push({
+            overall: picks.length + 1,
+            player: playerName,
+            draftSlot: teamIndex + 1
+          });
+        }
+      });
+    });
+  },
+
+  extractFromDraftTable(picks) {
+    document.querySelectorAll('tr').forEach(row => {
+      const cells = row.querySelectorAll('td');
+      if (cells.length < 2) {
+        return;
+      }
+
+      const playerCell = Array.from(cells).find(cell =>
+        cell.textContent &&
+        !cell.textContent.includes('Round') &&
+        !cell.textContent.includes('Pick') &&
+        cell.textContent.trim().length > 3
+      );
+
+      const playerName = playerCell && DraftExtractors.cleanPlayerName(playerCell.textContent);
+      if (playerName) {
+        picks.push(this.withBid({ overall: picks.length + 1, player: playerName }, row));
+      }
+    });
+  },
+
+  withBid(pick, container) {
+    const bid = DraftExtractors.parseBid(container?.textContent);
+    return bid === null ? pick : { ...pick, bid };
+  }
+});
@@ -0,0 +1,85 @@
+/**
+ * Fantasy Command Center - Sleeper draft room extractor
+ * sleeper.com/draft/nfl/<draftId> (also sleeper.app)
+ *
+ * Board cells read top to bottom as first name, last name, "RB - ATL" and a "1.03" round.pick
+ * label. Class names change between Sleeper releases, so cells are parsed from their text.
+ */
+
+DraftExtractors.register({
+  id: 'sleeper',
+  name: 'Sleeper',
+
+  matches(location) {
+    return /(^|\.)sleeper\.(com|app)$/.test(location.hostname) && location.pathname.startsWith('/draft/');
+  },
+
+  getLeagueId() {
+    // Draft room URLs carry only the draft; the server looks up its league from the draft ID
+    return null;
+  },
+
+  getDraftId(location) {
+    // /draft/nfl/<draftId>
+    return location.pathname.split('/').filter(Boolean)[2] || null;
+  },
+
+  findDraftBoard() {
+    return DraftExtractors.firstElement([
+      '.draftboard',
+      '.draft-board',
+      '[class*="draftboard"]',
+      '[class*="draft-board"]'
+    ]) || document.body;
+  },
+
+  extractPicks({ leagueSize }) {
+    const board = this.findDraftBoard();
+    const cells = board.querySelectorAll('.cell, [class*="cell-container"], [class*="draft-cell"]');
+    const picks = new Map(); // overall -> pick; nested cell matches collapse onto one pick
+
+    cells.forEach(cell => {
+      const pick = this.parseCell(cell.innerText || cell.textContent || '', leagueSize);
+      if (pick && !picks.has(pick.overall)) {
+        picks.set(pick.overall, pick);
+      }
+    });
+
+    return Array.from(picks.values()).sort((a, b) => a.overall - b.overall);
+  },
+
+  parseCell(text, leagueSize) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    const label = lines.map(line => line.match(/^(\d{1,2})\.(\d{1,2})$/)).find(Boolean);
+    const details = lines.map(line => line.match(/^(QB|RB|WR|TE|K|DEF)\s*-\s*([A-Z]{2,3})?/)).find(Boolean);
+    if (!label || !details) {
+      return null; // Empty cell: no player yet
+    }
+
+    const nameLines = lines.filter(line =>
+      !/^\d{1,2}\.\d{1,2}$/.test(line) &&
+      !/^(QB|RB|WR|TE|K|DEF)\s*-/.test(line) &&
+      /^[A-Za-z][A-Za-z.'\- ]*$/.test(line)
+    );
+    // Team defenses can show a single name ("Ravens")
+    const player = DraftExtractors.cleanPlayerName(nameLines.slice(0, 2).join(' ')) ||
+      (details[1] === 'DEF' && details[2] ? `${details[2]} D/ST` : null);
+    if (!player) {
+      return null;
+    }
+
+    const round = parseInt(label[1], 10);
+    const pickInRound = parseInt(label[2], 10);
+    const bid = DraftExtractors.parseBid(lines.find(line => /^\$\s?\d+$/.test(line))); // auction cells show the price
+    return {
+      overall: DraftExtractors.overallFromRoundPick(round, pickInRound, leagueSize),
+      round,
+      pickInRound,
+      player,
+      position: DraftExtractors.normalizePosition(details[1]),
+      team: details[2] || null,
+      ...(bid === null ? {} : { bid })
+    };
+  }
+});
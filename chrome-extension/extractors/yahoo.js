@@ -0,0 +1,70 @@
+/**
+ * Fantasy Command Center - Yahoo draft room extractor
+ * football.fantasysports.yahoo.com/draftclient/<leagueId>
+ *
+ * Reads the draft results list, where each row is a pick number followed by the player as
+ * "Bijan Robinson Atl - RB". Rows are parsed from their text because Yahoo's class names are
+ * generated.
+ */
+
+DraftExtractors.register({
+  id: 'yahoo',
+  name: 'Yahoo',
+
+  matches(location) {
+    return location.hostname === 'football.fantasysports.yahoo.com' && location.pathname.includes('/draftclient');
+  },
+
+  getLeagueId(location) {
+    const params = new URLSearchParams(location.search);
+    return params.get('lid') || params.get('league_id') ||
+      location.pathname.split('/').find(segment => /^\d+$/.test(segment)) || null;
+  },
+
+  findDraftBoard() {
+    return DraftExtractors.firstElement([
+      '#draft-results',
+      '[id*="DraftResults"]',
+      '[class*="DraftResults"]',
+      '[class*="draft-results"]',
+      '#draft'
+    ]) || document.body;
+  },
+
+  extractPicks() {
+    const board = this.findDraftBoard();
+    const rows = board.querySelectorAll('tr, li');
+    const picks = new Map(); // player -> pick; a player can only be drafted once
+
+    rows.forEach(row => {
+      const pick = this.parseRow(row.innerText || row.textContent || '');
+      if (pick && !picks.has(pick.player)) {
+        picks.set(pick.player, { ...pick, overall: pick.overall || picks.size + 1 });
+      }
+    });
+
+    return Array.from(picks.values()).sort((a, b) => a.overall - b.overall);
+  },
+
+  parseRow(text) {
+    const line = text.replace(/\s+/g, ' ').trim();
+    const match = line.match(/^(?:(\d{1,3})\.?\s+)?(.+?)\s+([A-Z][A-Za-z]{1,2})\s*-\s*(QB|RB|WR|TE|K|DEF)\b/);
+    if (!match) {
+      return null;
+    }
+
+    const player = DraftExtractors.cleanPlayerName(match[2]);
+    if (!player) {
+      return null;
+    }
+
+    const bid = DraftExtractors.parseBid(line.slice(match[0].length)); // auction results list the price after the player
+    return {
+      overall: match[1] ? parseInt(match[1], 10) : null,
+      player,
+      position: DraftExtractors.normalizePosition(match[4]),
+      team: match[3].toUpperCase(),
+      ...(bid === null ? {} : { bid })
+    };
+  }
+});
@@ -8,6 +8,9 @@ class PopupManager {
     this.config = {
       discordWebhook: '',
       teamId: 2,
+      leagueSize: 8,
+      relayUrl: '',
+      relaySecret: '',
       enableNotifications: true
     };
     
@@ -33,18 +36,27 @@ class PopupManager {
       const result = await chrome.storage.sync.get([
         'discordWebhook', 
         'teamId', 
+        'leagueSize',
+        'relayUrl',
+        'relaySecret',
         'enableNotifications'
       ]);
       
       this.config = {
         discordWebhook: result.discordWebhook || 'https://discord.com/api/webhooks/1406098016800346263/w1XCdLHjGN38eM2smYNuGy6E7pQ2CMplyE0-amnsRT87d9vqgE1dA1kX_RJBpXGZL5yN',
         teamId: result.teamId || 2,
+        leagueSize: result.leagueSize || 8,
+        relayUrl: result.relayUrl || '',
+        relaySecret: result.relaySecret || '',
         enableNotifications: result.enableNotifications !== false
       };
       
       // Populate form fields
       document.getElementById('discordWebhook').value = this.config.discordWebhook;
       document.getElementById('teamId').value = this.config.teamId;
+      document.getElementById('leagueSize').value = this.config.leagueSize;
+      document.getElementById('relayUrl').value = this.config.relayUrl;
+      document.getElementById('relaySecret').value = this.config.relaySecret;
       
     } catch (error) {
       console.error('Failed to load configuration:', error);
@@ -63,6 +75,11 @@ class PopupManager {
       this.testDiscordConnection();
     });
 
+    // Test server pick relay
+    document.getElementById('testRelay').addEventListener('click', () => {
+      this.testRelayConnection();
+    });
+
     // Export draft results
     document.getElementById('exportDraft').addEventListener('click', () => {
       this.exportDraftResults();
@@ -87,26 +104,57 @@ class PopupManager {
     try {
       const discordWebhook = document.getElementById('discordWebhook').value.trim();
       const teamId = parseInt(document.getElementById('teamId').value) || 2;
+      const leagueSize = parseInt(document.getElementById('leagueSize').value) || 8;
+      const relayUrl = document.getElementById('relayUrl').value.trim();
+      const relaySecret = document.getElementById('relaySecret').value.trim();
 
-      // Validate inputs
-      if (!discordWebhook) {
-        this.showNotification('Discord webhook URL is required', 'error');
+      // Validate inputs: picks need somewhere to go
+      if (!discordWebhook && !relayUrl) {
+        this.showNotification('Enter a Discord webhook or a server URL', 'error');
         return;
       }
 
-      if (!discordWebhook.startsWith('https://discord.com/api/webhooks/')) {
+      if (discordWebhook && !discordWebhook.startsWith('https://discord.com/api/webhooks/')) {
         this.showNotification('Invalid Discord webhook URL format', 'error');
         return;
       }
 
+      if (relayUrl) {
+        if (!/^https?:\/\//.test(relayUrl)) {
+          this.showNotification('Server URL must start with http:// or https://', 'error');
+          return;
+        }
+
+        if (!relaySecret) {
+          this.showNotification('Relay secret is required to send picks to the server', 'error');
+          return;
+        }
+
+        // localhost is granted in the manifest; any other server needs the user's OK
+        const origin = `${new URL(relayUrl).origin}/*`;
+        const granted = await chrome.permissions.request({ origins: [origin] });
+        if (!granted) {
+          this.showNotification('Permission to reach the server was denied', 'error');
+          return;
+        }
+      }
+
+      if (teamId > leagueSize) {
+        this.showNotification('Team ID cannot be larger than the league size', 'error');
+        return;
+      }
+
       // Save to storage
       await chrome.storage.sync.set({
         discordWebhook: discordWebhook,
         teamId: teamId,
+        leagueSize: leagueSize,
+        relayUrl: relayUrl,
+        relaySecret: relaySecret,
         enableNotifications: true
       });
 
-      this.config = { discordWebhook, teamId, enableNotifications: true };
+      this.config = { discordWebhook, teamId, leagueSize, relayUrl, relaySecret, enableNotifications: true };
       
       this.showNotification('Configuration saved successfully!', 'success');
       
@@ -156,13 +204,34 @@ class PopupManager {
     }
   }
 
+  async testRelayConnection() {
+    try {
+      if (!this.config.relayUrl) {
+        this.showNotification('Please save the server URL first', 'error');
+        return;
+      }
+
+      const result = await chrome.runtime.sendMessage({ action: 'testRelay' });
+
+      if (result?.success) {
+        this.showNotification('✅ Server relay connected!', 'success');
+      } else {
+        this.showNotification(`❌ Server relay failed: ${result?.error || 'no response'}`, 'error');
+      }
+
+    } catch (error) {
+      console.error('Relay test failed:', error);
+      this.showNotification('Server relay test failed', 'error');
+    }
+  }
+
   async exportDraftResults() {
     try {
       // Get active tab
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       
-      if (!tab.url?.includes('fantasy.espn.com')) {
-        this.showNotification('Please navigate to ESPN Fantasy draft page first', 'error');
+      if (!tab.url || !DraftExtractors.forLocation(new URL(tab.url))) {
+        this.showNotification('Please navigate to an ESPN, Sleeper or Yahoo draft room first', 'error');
         return;
       }
 
@@ -173,23 +242,35 @@ class PopupManager {
 
     } catch (error) {
       console.error('Export failed:', error);
-      this.showNotification('Export failed - make sure you\'re on ESPN draft page', 'error');
+      this.showNotification('Export failed - make sure you\'re in the draft room', 'error');
+    }
+  }
+
+  /**
+   * "League 123", or "Draft 456" in draft rooms whose URL has no league ID (Sleeper)
+   */
+  describeDraft(response) {
+    if (response?.leagueId) {
+      return `League ${response.leagueId}`;
     }
+    return response?.draftId ? `Draft ${response.draftId}` : 'League Unknown';
   }
 
   async updateStatus() {
     try {
-      // Check if we're on ESPN fantasy page
+      // Check if we're in a supported draft room
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      const isEspnPage = tab?.url?.includes('fantasy.espn.com');
-      const isDraftPage = tab?.url?.includes('/draft');
+      const url = tab?.url ? new URL(tab.url) : null;
+      const site = url ? DraftExtractors.forLocation(url) : null;
+      const isEspnPage = url?.hostname === 'fantasy.espn.com';
+      const isDraftPage = Boolean(site?.matches(url));
 
       const statusDot = document.getElementById('statusDot');
       const statusText = document.getElementById('statusText');
       const draftStatus = document.getElementById('draftStatus');
       const picksCount = document.getElementById('picksCount');
 
-      if (isEspnPage && isDraftPage) {
+      if (isDraftPage) {
         // Try to get status from content script
         try {
           const response = await chrome.tabs.sendMessage(tab.id, { action: 'getStatus' });
@@ -197,16 +278,16 @@ class PopupManager {
           if (response?.monitoring) {
             statusDot.className = 'status-dot connected';
             statusText.textContent = 'Connected & Monitoring';
-            draftStatus.textContent = `Active - League ${response.leagueId || 'Unknown'}`;
+            draftStatus.textContent = `Active - ${site.name} ${this.describeDraft(response)}`;
             picksCount.textContent = `${response.pickCount || 0} picks detected`;
           } else if (response?.waitingRoom) {
             statusDot.className = 'status-dot waiting';
             statusText.textContent = 'Waiting Room';
-            draftStatus.textContent = `Waiting for draft to begin - League ${response.leagueId || 'Unknown'}`;
+            draftStatus.textContent = `Waiting for draft to begin - ${this.describeDraft(response)}`;
             picksCount.textContent = 'Draft hasn\'t started yet';
           } else {
             statusDot.className = 'status-dot disconnected';
-            statusText.textContent = 'On ESPN Draft Page';
+            statusText.textContent = `On ${site.name} Draft Page`;
             draftStatus.textContent = 'Ready to monitor';
             picksCount.textContent = '0 picks detected';
           }
@@ -216,13 +297,13 @@ class PopupManager {
           statusText.textContent = 'Loading monitor...';
           draftStatus.textContent = 'Initializing';
         }
-      } else if (isEspnPage && tab?.url?.includes('waitingroom')) {
+      } else if (site) {
         // Check if we're in waiting room specifically
         try {
           const response = await chrome.tabs.sendMessage(tab.id, { action: 'getStatus' });
           statusDot.className = 'status-dot waiting';
           statusText.textContent = 'Waiting Room';
-          draftStatus.textContent = `Waiting for draft - League ${response?.leagueId || 'Unknown'}`;
+          draftStatus.textContent = `Waiting for draft - ${this.describeDraft(response)}`;
           picksCount.textContent = 'Will auto-start when draft begins';
         } catch (error) {
           statusDot.className = 'status-dot waiting';
@@ -238,7 +319,7 @@ class PopupManager {
       } else {
         statusDot.className = 'status-dot disconnected';
         statusText.textContent = 'Not Connected';
-        draftStatus.textContent = 'Go to fantasy.espn.com/draft';
+        draftStatus.textContent = 'Open your ESPN, Sleeper or Yahoo draft room';
         picksCount.textContent = 'Not monitoring';
       }
 
@@ -16,14 +16,25 @@ module.exports = {
     baseURL: 'https://lm-api-reads.fantasy.espn.com/apis/v3/games/ffl/seasons',
     endpoints: {
       settings: '',
-      draft: '?view=mDraftDetail',
+      draft: '?view=mDraftDetail&view=mSettings',
       rosters: '?view=mRoster',
       matchups: '?view=mMatchup',
       transactions: '?view=mTransactions2'
     }
   },
+  sleeper: {
+    leagueId: process.env.SLEEPER_LEAGUE_ID,
+    baseURL: 'https://api.sleeper.app/v1',
+    fixturesDir: process.env.SLEEPER_FIXTURES_DIR,
+    recordDir: process.env.SLEEPER_RECORD_DIR
+  },
   league: {
-    size: parseInt(process.env.LEAGUE_SIZE) || 8
+    // 'espn' or 'sleeper'; a lone SLEEPER_LEAGUE_ID is enough to pick Sleeper
+    platform: (process.env.LEAGUE_PLATFORM ||
+      (process.env.SLEEPER_LEAGUE_ID && !process.env.ESPN_LEAGUE_ID ? 'sleeper' : 'espn')).toLowerCase(),
+    size: parseInt(process.env.LEAGUE_SIZE) || 8,
+    rosterPositions: process.env.ROSTER_POSITIONS?.split(',') || ['QB', 'RB', 'RB', 'WR', 'WR', 'TE', 'FLEX', 'K', 'DST'],
+    benchSize: parseInt(process.env.BENCH_SIZE) || 6
   },
   ai: {
     claude: {
@@ -68,5 +79,9 @@ module.exports = {
   draft: {
     monitorInterval: parseInt(process.env.DRAFT_MONITOR_INTERVAL) || 5000,
     aiRecommendationEnabled: process.env.AI_RECOMMENDATION_ENABLED === 'true'
+  },
+  matchupPreviews: {
+    // Cron in Eastern time for posting each league's head-to-head previews; "off" disables them
+    schedule: process.env.MATCHUP_PREVIEW_SCHEDULE || '0 12 * * 4'
   }
 };
\ No newline at end of file
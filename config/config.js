@@ -80,6 +80,11 @@ const config = {
     logLevel: process.env.LOG_LEVEL || 'info'
   },
 
+  // Chrome extension pick relay (shared secret sent in X-Relay-Secret)
+  extension: {
+    relaySecret: process.env.EXTENSION_RELAY_SECRET
+  },
+
   // News and Monitoring Configuration
   monitoring: {
     newsUpdateInterval: 30 * 60 * 1000, // 30 minutes
@@ -86,7 +86,8 @@ const discordChannels = {
       "DRAFT_PATTERN",
       "DRAFT_ORDER_ANALYSIS",
       "HISTORICAL_PATTERNS",
-      "OWNER_TENDENCIES"
+      "OWNER_TENDENCIES",
+      "LEAGUE_TRANSACTION"
     ],
     description: "League intelligence and opponent analysis - active before, during, and after draft",
     activePhases: ["PRE_DRAFT", "DRAFT", "SEASON"]
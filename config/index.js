@@ -98,6 +98,13 @@ const config = {
     urgencyLevels: process.env.NOTIFICATION_URGENCY_LEVELS?.split(',') || ['CRITICAL', 'HIGH', 'MEDIUM', 'INFO']
   },
 
+  transactions: {
+    // 0 turns the league transaction feed off
+    monitorInterval: process.env.TRANSACTION_MONITOR_INTERVAL !== undefined
+      ? parseInt(process.env.TRANSACTION_MONITOR_INTERVAL) || 0
+      : 15 * 60 * 1000
+  },
+
   league: {
     size: parseInt(process.env.LEAGUE_SIZE) || 12,
     type: process.env.LEAGUE_TYPE || 'PPR',
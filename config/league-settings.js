@@ -16,6 +16,7 @@ const leagueConfigurations = {
     waiversType: 'FAAB',
     tradeDeadline: 'Week 11',
     playoffWeeks: [14, 15, 16, 17],
+    playoffTeams: 6,
     positionLimits: {
       QB: 4,
       RB: 8,
@@ -43,6 +44,7 @@ const leagueConfigurations = {
     waiversType: 'Rolling',
     tradeDeadline: 'Week 12',
     playoffWeeks: [15, 16, 17],
+    playoffTeams: 6,
     positionLimits: {
       QB: 3,
       RB: 6,
@@ -1,223 +1,246 @@
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
-
-const dbPath = path.join(__dirname, 'fantasy.db');
-
-function createTables() {
-  return new Promise((resolve, reject) => {
-    const db = new sqlite3.Database(dbPath, (err) => {
-      if (err) {
-        reject(err);
-        return;
+const DatabaseConnection = require('../src/database/connection');
+
+const dbPath = DatabaseConnection.DEFAULT_PATH;
+const migrationsDir = path.join(__dirname, 'migrations');
+
+/**
+ * Load migration files (NNN_description.js) in version order
+ */
+function loadMigrations(directory = migrationsDir) {
+  return fs.readdirSync(directory)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(directory, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
       }
-      console.log('Connected to SQLite database');
+
+      return {
+        version: file.split('_')[0],
+        name: path.basename(file, '.js'),
+        description: migration.description || '',
+        up: migration.up,
+        down: migration.down
+      };
     });
+}
 
-    const migrations = [
-      // Players table
-      `CREATE TABLE IF NOT EXISTS players (
-        id INTEGER PRIMARY KEY,
-        espn_id INTEGER UNIQUE,
-        name TEXT NOT NULL,
-        position TEXT NOT NULL,
-        team TEXT,
-        injury_status TEXT,
-        adp REAL,
-        projected_points REAL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Draft picks table
-      `CREATE TABLE IF NOT EXISTS draft_picks (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        overall_pick INTEGER NOT NULL,
-        round INTEGER NOT NULL,
-        pick_in_round INTEGER NOT NULL,
-        player_id INTEGER,
-        team_id INTEGER,
-        team_name TEXT,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (player_id) REFERENCES players(id)
-      )`,
-
-      // Teams table
-      `CREATE TABLE IF NOT EXISTS teams (
-        id INTEGER PRIMARY KEY,
-        espn_id INTEGER UNIQUE,
-        name TEXT NOT NULL,
-        owner TEXT,
-        draft_position INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // League info table
-      `CREATE TABLE IF NOT EXISTS league_info (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        espn_league_id INTEGER,
-        name TEXT,
-        size INTEGER,
-        scoring_type TEXT,
-        season INTEGER,
-        status TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // AI recommendations table
-      `CREATE TABLE IF NOT EXISTS ai_recommendations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        draft_pick INTEGER,
-        player_name TEXT,
-        position TEXT,
-        urgency TEXT,
-        reasoning TEXT,
-        value_rating INTEGER,
-        risk_level TEXT,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Player enrichment data table
-      `CREATE TABLE IF NOT EXISTS player_enrichment (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        player_id INTEGER,
-        source TEXT,
-        data_type TEXT,
-        data_json TEXT,
-        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (player_id) REFERENCES players(id)
-      )`,
-
-      // Notifications log table
-      `CREATE TABLE IF NOT EXISTS notifications_log (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        type TEXT,
-        urgency TEXT,
-        title TEXT,
-        message TEXT,
-        sent_successfully BOOLEAN,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Draft sessions table
-      `CREATE TABLE IF NOT EXISTS draft_sessions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        league_id INTEGER,
-        started_at DATETIME,
-        ended_at DATETIME,
-        total_picks INTEGER,
-        my_team_id INTEGER,
-        status TEXT,
-        FOREIGN KEY (league_id) REFERENCES league_info(id)
-      )`
-    ];
-
-    const indexes = [
-      'CREATE INDEX IF NOT EXISTS idx_players_position ON players(position)',
-      'CREATE INDEX IF NOT EXISTS idx_players_team ON players(team)',
-      'CREATE INDEX IF NOT EXISTS idx_draft_picks_overall ON draft_picks(overall_pick)',
-      'CREATE INDEX IF NOT EXISTS idx_draft_picks_player ON draft_picks(player_id)',
-      'CREATE INDEX IF NOT EXISTS idx_ai_recommendations_pick ON ai_recommendations(draft_pick)',
-      'CREATE INDEX IF NOT EXISTS idx_notifications_timestamp ON notifications_log(timestamp)',
-      'CREATE INDEX IF NOT EXISTS idx_player_enrichment_player ON player_enrichment(player_id)'
-    ];
-
-    // Run migrations
-    db.serialize(() => {
-      migrations.forEach((sql, index) => {
-        db.run(sql, (err) => {
-          if (err) {
-            console.error(`Migration ${index + 1} failed:`, err.message);
-          } else {
-            console.log(`✅ Migration ${index + 1} completed`);
-          }
-        });
-      });
+async function ensureMigrationsTable(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+/**
+ * Names of a table's columns, for migrations that skip columns an older schema already added
+ */
+async function existingColumns(db, table) {
+  const rows = await db.all(`PRAGMA table_info(${table})`);
+  return new Set(rows.map(row => row.name));
+}
+
+/**
+ * Run work against a database path (on a connection opened and closed here) or against an open
+ * DatabaseConnection the caller keeps
+ */
+async function withDatabase(target, work) {
+  if (target instanceof DatabaseConnection) {
+    return work(target);
+  }
+
+  const db = new DatabaseConnection(target);
+  try {
+    return await work(db);
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * SQLite gives every connection to ':memory:' (or '') its own empty database
+ */
+function isInMemory(filename) {
+  return filename === ':memory:' || filename === '' || String(filename).startsWith('file::memory:');
+}
+
+async function getAppliedVersions(db) {
+  await ensureMigrationsTable(db);
+  const rows = await db.all('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(rows.map(row => row.version));
+}
 
-      // Create indexes
-      indexes.forEach((sql, index) => {
-        db.run(sql, (err) => {
-          if (err) {
-            console.error(`Index ${index + 1} failed:`, err.message);
-          } else {
-            console.log(`✅ Index ${index + 1} created`);
-          }
-        });
+/**
+ * Apply every pending migration (or up to and including targetVersion)
+ * @param {string|DatabaseConnection} [target] - database path, or an open connection to migrate in place
+ */
+async function migrate(target = dbPath, { targetVersion = null, quiet = false } = {}) {
+  const log = quiet ? () => {} : console.log;
+
+  return withDatabase(target, async (db) => {
+    const applied = await getAppliedVersions(db);
+    const pending = loadMigrations()
+      .filter(migration => !applied.has(migration.version))
+      .filter(migration => !targetVersion || migration.version <= targetVersion);
+
+    for (const migration of pending) {
+      await db.transaction(async (tx) => {
+        await migration.up(tx);
+        await tx.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
       });
+      log(`✅ Applied ${migration.name}`);
+    }
 
-      db.close((err) => {
-        if (err) {
-          reject(err);
-        } else {
-          console.log('✅ Database setup complete');
-          resolve();
-        }
+    if (pending.length === 0) {
+      log('✅ Database schema is up to date');
+    }
+    return pending.map(migration => migration.name);
+  });
+}
+
+const migrationRuns = new Map(); // database path (or in-memory connection) -> migrate() promise
+
+/**
+ * Migrate a database once per process: every repository on the same file shares one run instead
+ * of racing its own over a separate connection. A failed run is forgotten so the next call retries.
+ * Repositories pass their own connection, so an in-memory database is migrated on the connection
+ * that uses it; a bare in-memory path would migrate a database nobody sees and is refused.
+ * @param {string|DatabaseConnection} [target] - database path or the caller's connection
+ */
+function ensureMigrated(target = dbPath) {
+  const connection = target instanceof DatabaseConnection ? target : null;
+  const filename = connection ? connection.filename : target;
+  if (isInMemory(filename) && !connection) {
+    return Promise.reject(new Error('An in-memory database has to be migrated on its open connection, not by path'));
+  }
+
+  const key = isInMemory(filename) ? connection : filename;
+  if (!migrationRuns.has(key)) {
+    migrationRuns.set(key, migrate(target, { quiet: true }).catch((error) => {
+      migrationRuns.delete(key);
+      throw error;
+    }));
+  }
+  return migrationRuns.get(key);
+}
+
+/**
+ * Revert the most recently applied migrations, newest first
+ */
+async function rollback(target = dbPath, { steps = 1 } = {}) {
+  return withDatabase(target, async (db) => {
+    const applied = await getAppliedVersions(db);
+    const toRevert = loadMigrations()
+      .filter(migration => applied.has(migration.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of toRevert) {
+      await db.transaction(async (tx) => {
+        await migration.down(tx);
+        await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
       });
-    });
+      console.log(`↩️ Reverted ${migration.name}`);
+    }
+
+    if (toRevert.length === 0) {
+      console.log('Nothing to roll back');
+    }
+    return toRevert.map(migration => migration.name);
   });
 }
 
-function seedData() {
-  return new Promise((resolve, reject) => {
-    const db = new sqlite3.Database(dbPath);
+/**
+ * Report which migrations are applied and which are pending
+ */
+async function status(target = dbPath) {
+  return withDatabase(target, async (db) => {
+    await ensureMigrationsTable(db);
+    const rows = await db.all('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+    return loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      applied: appliedAt.has(migration.version),
+      appliedAt: appliedAt.get(migration.version) || null
+    }));
+  });
+}
 
-    const samplePlayers = [
-      [4046, 'Christian McCaffrey', 'RB', 'SF', 'ACTIVE', 1.2, 285.5],
-      [4035, 'Josh Allen', 'QB', 'BUF', 'ACTIVE', 45.8, 320.2],
-      [3116, 'Cooper Kupp', 'WR', 'LAR', 'ACTIVE', 15.3, 245.8],
-      [3138, 'Travis Kelce', 'TE', 'KC', 'ACTIVE', 25.1, 195.4],
-      [4040, 'Tyreek Hill', 'WR', 'MIA', 'ACTIVE', 12.7, 255.9]
-    ];
+async function seedData(targetPath = dbPath) {
+  const db = new DatabaseConnection(targetPath);
 
-    db.serialize(() => {
-      const stmt = db.prepare(`
+  const samplePlayers = [
+    [4046, 'Christian McCaffrey', 'RB', 'SF', 'ACTIVE', 1.2, 285.5],
+    [4035, 'Josh Allen', 'QB', 'BUF', 'ACTIVE', 45.8, 320.2],
+    [3116, 'Cooper Kupp', 'WR', 'LAR', 'ACTIVE', 15.3, 245.8],
+    [3138, 'Travis Kelce', 'TE', 'KC', 'ACTIVE', 25.1, 195.4],
+    [4040, 'Tyreek Hill', 'WR', 'MIA', 'ACTIVE', 12.7, 255.9]
+  ];
+
+  try {
+    for (const player of samplePlayers) {
+      await db.run(`
         INSERT OR IGNORE INTO players (espn_id, name, position, team, injury_status, adp, projected_points)
         VALUES (?, ?, ?, ?, ?, ?, ?)
-      `);
-
-      samplePlayers.forEach(player => {
-        stmt.run(player, (err) => {
-          if (err) {
-            console.error('Error inserting player:', err.message);
-          }
-        });
-      });
+      `, player).catch(err => console.error('Error inserting player:', err.message));
+    }
+
+    // Insert sample league info
+    await db.run(`
+      INSERT OR IGNORE INTO league_info (espn_league_id, name, size, scoring_type, season, status)
+      VALUES (123456, 'Sample Fantasy League', 12, 'PPR', 2025, 'ACTIVE')
+    `);
+
+    console.log('✅ Sample data seeded');
+  } finally {
+    await db.close();
+  }
+}
 
-      stmt.finalize();
-
-      // Insert sample league info
-      db.run(`
-        INSERT OR IGNORE INTO league_info (espn_league_id, name, size, scoring_type, season, status)
-        VALUES (123456, 'Sample Fantasy League', 12, 'PPR', 2025, 'ACTIVE')
-      `);
-
-      console.log('✅ Sample data seeded');
-      
-      db.close((err) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve();
-        }
-      });
-    });
+async function printStatus() {
+  const migrations = await status();
+  console.log(`🗄️ Migration status for ${dbPath}`);
+  migrations.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`  ${migration.applied ? '✅' : '⏳'} ${migration.name} (${state})`);
   });
 }
 
 if (require.main === module) {
-  console.log('🗄️ Setting up Fantasy Command Center database...');
-  
-  createTables()
-    .then(() => seedData())
-    .then(() => {
+  const [command = 'setup', arg] = process.argv.slice(2);
+
+  const commands = {
+    // Default keeps the old `npm run migrate` behaviour: schema plus sample data
+    setup: async () => {
+      console.log('🗄️ Setting up Fantasy Command Center database...');
+      await migrate();
+      await seedData();
       console.log('🎉 Database setup completed successfully!');
-      process.exit(0);
-    })
+    },
+    up: () => migrate(dbPath, { targetVersion: arg || null }),
+    down: () => rollback(dbPath, { steps: arg === 'all' ? Infinity : parseInt(arg, 10) || 1 }),
+    status: printStatus,
+    seed: () => seedData()
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+
+  commands[command]()
+    .then(() => process.exit(0))
     .catch((error) => {
-      console.error('❌ Database setup failed:', error.message);
+      console.error(`❌ Migration ${command} failed:`, error.message);
       process.exit(1);
     });
 }
 
-module.exports = { createTables, seedData };
\ No newline at end of file
+module.exports = { migrate, ensureMigrated, rollback, status, seedData, loadMigrations, existingColumns, dbPath };
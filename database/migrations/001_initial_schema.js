@@ -0,0 +1,140 @@
+/**
+ * Initial schema: the tables the original flat migrate.js created.
+ * Uses IF NOT EXISTS so databases created before versioning adopt it cleanly.
+ */
+const tables = [
+  // Players table
+  `CREATE TABLE IF NOT EXISTS players (
+    id INTEGER PRIMARY KEY,
+    espn_id INTEGER UNIQUE,
+    name TEXT NOT NULL,
+    position TEXT NOT NULL,
+    team TEXT,
+    injury_status TEXT,
+    adp REAL,
+    projected_points REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Draft picks table
+  `CREATE TABLE IF NOT EXISTS draft_picks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    overall_pick INTEGER NOT NULL,
+    round INTEGER NOT NULL,
+    pick_in_round INTEGER NOT NULL,
+    player_id INTEGER,
+    team_id INTEGER,
+    team_name TEXT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (player_id) REFERENCES players(id)
+  )`,
+
+  // Teams table
+  `CREATE TABLE IF NOT EXISTS teams (
+    id INTEGER PRIMARY KEY,
+    espn_id INTEGER UNIQUE,
+    name TEXT NOT NULL,
+    owner TEXT,
+    draft_position INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // League info table
+  `CREATE TABLE IF NOT EXISTS league_info (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    espn_league_id INTEGER,
+    name TEXT,
+    size INTEGER,
+    scoring_type TEXT,
+    season INTEGER,
+    status TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // AI recommendations table
+  `CREATE TABLE IF NOT EXISTS ai_recommendations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    draft_pick INTEGER,
+    player_name TEXT,
+    position TEXT,
+    urgency TEXT,
+    reasoning TEXT,
+    value_rating INTEGER,
+    risk_level TEXT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Player enrichment data table
+  `CREATE TABLE IF NOT EXISTS player_enrichment (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    player_id INTEGER,
+    source TEXT,
+    data_type TEXT,
+    data_json TEXT,
+    last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (player_id) REFERENCES players(id)
+  )`,
+
+  // Notifications log table
+  `CREATE TABLE IF NOT EXISTS notifications_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT,
+    urgency TEXT,
+    title TEXT,
+    message TEXT,
+    sent_successfully BOOLEAN,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Draft sessions table
+  `CREATE TABLE IF NOT EXISTS draft_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    league_id INTEGER,
+    started_at DATETIME,
+    ended_at DATETIME,
+    total_picks INTEGER,
+    my_team_id INTEGER,
+    status TEXT,
+    FOREIGN KEY (league_id) REFERENCES league_info(id)
+  )`
+];
+
+const indexes = [
+  'CREATE INDEX IF NOT EXISTS idx_players_position ON players(position)',
+  'CREATE INDEX IF NOT EXISTS idx_players_team ON players(team)',
+  'CREATE INDEX IF NOT EXISTS idx_draft_picks_overall ON draft_picks(overall_pick)',
+  'CREATE INDEX IF NOT EXISTS idx_draft_picks_player ON draft_picks(player_id)',
+  'CREATE INDEX IF NOT EXISTS idx_ai_recommendations_pick ON ai_recommendations(draft_pick)',
+  'CREATE INDEX IF NOT EXISTS idx_notifications_timestamp ON notifications_log(timestamp)',
+  'CREATE INDEX IF NOT EXISTS idx_player_enrichment_player ON player_enrichment(player_id)'
+];
+
+module.exports = {
+  description: 'Players, teams, league info, draft, recommendation and notification tables',
+
+  async up(db) {
+    for (const sql of [...tables, ...indexes]) {
+      await db.run(sql);
+    }
+  },
+
+  async down(db) {
+    // Children before parents so foreign keys never dangle
+    const dropOrder = [
+      'player_enrichment',
+      'ai_recommendations',
+      'draft_picks',
+      'draft_sessions',
+      'notifications_log',
+      'teams',
+      'league_info',
+      'players'
+    ];
+
+    for (const table of dropOrder) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
@@ -0,0 +1,70 @@
+const { existingColumns } = require('../migrate');
+
+/**
+ * Columns the bot needs to persist and rehydrate manual draft sessions.
+ * Skips columns that already exist (databases altered by the pre-versioning migrate.js).
+ */
+const columns = {
+  draft_sessions: [
+    ['session_key', 'TEXT'],
+    ['scope', 'TEXT'],
+    ['guild_id', 'TEXT'],
+    ['channel_id', 'TEXT'],
+    ['league_key', 'TEXT'],
+    ['league_size', 'INTEGER'],
+    ['created_by', 'TEXT'],
+    ['participants', 'TEXT'],
+    ['updated_at', 'DATETIME']
+  ],
+  draft_picks: [
+    ['draft_session_id', 'INTEGER REFERENCES draft_sessions(id)'],
+    ['player_name', 'TEXT'],
+    ['position', 'TEXT'],
+    ['nfl_team', 'TEXT'],
+    ['is_user', 'BOOLEAN'],
+    ['source', 'TEXT']
+  ],
+  ai_recommendations: [
+    ['draft_session_id', 'INTEGER REFERENCES draft_sessions(id)']
+  ]
+};
+
+const indexes = {
+  idx_draft_sessions_key: 'CREATE UNIQUE INDEX IF NOT EXISTS idx_draft_sessions_key ON draft_sessions(session_key)',
+  idx_draft_picks_session: 'CREATE INDEX IF NOT EXISTS idx_draft_picks_session ON draft_picks(draft_session_id)',
+  idx_ai_recommendations_session: 'CREATE INDEX IF NOT EXISTS idx_ai_recommendations_session ON ai_recommendations(draft_session_id)'
+};
+
+module.exports = {
+  description: 'Session keys, pick details and session links for draft persistence',
+
+  async up(db) {
+    for (const [table, tableColumns] of Object.entries(columns)) {
+      const existing = await existingColumns(db, table);
+      for (const [name, type] of tableColumns) {
+        if (!existing.has(name)) {
+          await db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+        }
+      }
+    }
+
+    for (const sql of Object.values(indexes)) {
+      await db.run(sql);
+    }
+  },
+
+  async down(db) {
+    for (const name of Object.keys(indexes)) {
+      await db.run(`DROP INDEX IF EXISTS ${name}`);
+    }
+
+    for (const [table, tableColumns] of Object.entries(columns)) {
+      const existing = await existingColumns(db, table);
+      for (const [name] of tableColumns) {
+        if (existing.has(name)) {
+          await db.run(`ALTER TABLE ${table} DROP COLUMN ${name}`);
+        }
+      }
+    }
+  }
+};
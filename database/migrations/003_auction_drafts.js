@@ -0,0 +1,41 @@
+const { existingColumns } = require('../migrate');
+
+/**
+ * Auction draft support: a session's draft format and per-team budget, and each pick's winning bid.
+ * Skips columns that already exist.
+ */
+const columns = {
+  draft_sessions: [
+    ['draft_format', "TEXT DEFAULT 'snake'"],
+    ['auction_budget', 'INTEGER']
+  ],
+  draft_picks: [
+    ['bid_amount', 'INTEGER']
+  ]
+};
+
+module.exports = {
+  description: 'Draft format, auction budget and winning bids for auction drafts',
+
+  async up(db) {
+    for (const [table, tableColumns] of Object.entries(columns)) {
+      const existing = await existingColumns(db, table);
+      for (const [name, type] of tableColumns) {
+        if (!existing.has(name)) {
+          await db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+        }
+      }
+    }
+  },
+
+  async down(db) {
+    for (const [table, tableColumns] of Object.entries(columns)) {
+      const existing = await existingColumns(db, table);
+      for (const [name] of tableColumns) {
+        if (existing.has(name)) {
+          await db.run(`ALTER TABLE ${table} DROP COLUMN ${name}`);
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * League transactions (adds, drops, trades, waiver claims) seen by the transaction monitor, with the
+ * players resolved to names so manager profiles don't need the platform to look them up again
+ */
+const tables = [
+  `CREATE TABLE IF NOT EXISTS league_transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    league_key TEXT NOT NULL,
+    transaction_id TEXT NOT NULL,
+    type TEXT,
+    team_id TEXT,
+    team_name TEXT,
+    bid_amount INTEGER,
+    players TEXT,
+    ai_take TEXT,
+    processed_at DATETIME,
+    recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`
+];
+
+const indexes = {
+  idx_league_transactions_key: 'CREATE UNIQUE INDEX IF NOT EXISTS idx_league_transactions_key ON league_transactions(league_key, transaction_id)',
+  idx_league_transactions_team: 'CREATE INDEX IF NOT EXISTS idx_league_transactions_team ON league_transactions(league_key, team_name)'
+};
+
+module.exports = {
+  description: 'League transaction log for manager profiles',
+
+  async up(db) {
+    for (const sql of [...tables, ...Object.values(indexes)]) {
+      await db.run(sql);
+    }
+  },
+
+  async down(db) {
+    for (const name of Object.keys(indexes)) {
+      await db.run(`DROP INDEX IF EXISTS ${name}`);
+    }
+    await db.run('DROP TABLE IF EXISTS league_transactions');
+  }
+};
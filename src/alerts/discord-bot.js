@@ -2,6 +2,10 @@ const axios = require('axios');
 const config = require('../../config');
 const winston = require('winston');
 const { discordChannels, channelRouter, alertTemplates } = require('../../config/discord-channels');
+const AvailabilityForecaster = require('../services/availability-forecaster');
+const DraftRecap = require('../services/draft-recap');
+const TransactionMonitor = require('../services/transaction-monitor');
+const MatchupPreviewer = require('../services/matchup-previewer');
 
 const logger = winston.createLogger({
   level: config.logging.level,
@@ -16,8 +20,13 @@ const logger = winston.createLogger({
 });
 
 class DiscordNotifier {
-  constructor() {
-    this.webhookURL = config.notifications.discord.webhookURL;
+  /**
+   * @param {Object} [options] - a league's own Discord webhooks (LeagueRegistry discord settings)
+   * @param {string} [options.webhookURL] - replaces DISCORD_WEBHOOK_URL
+   * @param {Object} [options.webhooks] - per-channel overrides, e.g. { draftCentral: url }
+   */
+  constructor(options = {}) {
+    this.webhookURL = options.webhookURL || config.notifications.discord.webhookURL;
     this.colors = config.notifications.discord.colors;
     this.urgencyLevels = config.notifications.discord.urgencyLevels;
     
@@ -30,7 +39,8 @@ class DiscordNotifier {
       leagueIntelligence: process.env.DISCORD_INTEL_WEBHOOK,
       matchupAnalysis: process.env.DISCORD_MATCHUP_WEBHOOK,
       emergencyAlerts: process.env.DISCORD_EMERGENCY_WEBHOOK,
-      draftRecap: process.env.DISCORD_RECAP_WEBHOOK
+      draftRecap: process.env.DISCORD_RECAP_WEBHOOK,
+      ...Object.fromEntries(Object.entries(options.webhooks || {}).filter(([, url]) => url))
     };
     
     this.axiosInstance = axios.create({
@@ -41,6 +51,15 @@ class DiscordNotifier {
     });
   }
 
+  /**
+   * Notifier for a registered league: its own Discord webhooks when it has them, else `shared`
+   */
+  static forLeague(league, shared) {
+    return league.discord.webhookURL || Object.keys(league.discord.webhooks).length > 0
+      ? new DiscordNotifier(league.discord)
+      : shared;
+  }
+
   async sendNotification(notification) {
     // Use multi-channel routing if available
     if (notification.type && notification.urgency) {
@@ -134,7 +153,7 @@ class DiscordNotifier {
     const urgency = alert.urgency || 'INFO';
     const color = channelConfig.color || this.colors[urgency] || this.colors.INFO;
 
-    let title = template?.title || `${channelConfig.emoji} ${alert.type}`;
+    let title = template?.title || alert.title || `${channelConfig.emoji} ${alert.type}`;
     let description = template?.template || alert.message || this.generateDefaultMessage(alert.type, alert.data);
 
     // Replace template variables
@@ -214,6 +233,11 @@ class DiscordNotifier {
             inline: true
           });
         }
+        this.addForecastField(fields, data.forecast);
+        break;
+
+      case 'TURN_APPROACHING':
+        this.addForecastField(fields, data.forecast);
         break;
 
       case 'INJURY_UPDATE':
@@ -233,6 +257,33 @@ class DiscordNotifier {
         }
         break;
 
+      case 'LEAGUE_TRANSACTION':
+        if (data.aiTake) {
+          fields.push({
+            name: '🧠 Quick Take',
+            value: data.aiTake.substring(0, 1024),
+            inline: false
+          });
+        }
+        break;
+
+      case 'WEEK_PREVIEW':
+        if (data.swingPlayers?.length > 0) {
+          fields.push({
+            name: '🎲 Swing Players',
+            value: data.swingPlayers.join('\n').substring(0, 1024),
+            inline: false
+          });
+        }
+        if (data.stacks?.length > 0) {
+          fields.push({
+            name: '🔗 Same-Game Stacks',
+            value: data.stacks.join('\n').substring(0, 1024),
+            inline: false
+          });
+        }
+        break;
+
       case 'WEATHER_ALERT':
         if (data.conditions) {
           fields.push({
@@ -254,6 +305,20 @@ class DiscordNotifier {
     return fields;
   }
 
+  /**
+   * Survival odds for the best available players at the next pick (AvailabilityForecaster)
+   */
+  addForecastField(fields, forecast) {
+    if (!forecast?.players?.length) {
+      return;
+    }
+    fields.push({
+      name: `🔮 Still there at pick #${forecast.nextPick}? (${forecast.picksUntil} picks away)`,
+      value: AvailabilityForecaster.formatLines(forecast, 6).join('\n'),
+      inline: false
+    });
+  }
+
   createEmbed(notification) {
     const urgency = notification.urgency || 'INFO';
     const color = this.colors[urgency] || this.colors.INFO;
@@ -393,6 +458,83 @@ class DiscordNotifier {
     });
   }
 
+  /**
+   * League-wide draft grades (DraftRecap) for the draft-recap channel
+   */
+  async sendDraftRecap(recap) {
+    const { user } = recap;
+    const standings = recap.teams.map(team =>
+      `${team.rank}. ${team.isUser ? `**${team.name}**` : team.name} - ${team.grade}, ${team.starterPoints} starter pts`
+    ).join('\n');
+    const highlights = picks => picks.map(pick => DraftRecap.describeHighlight(pick)).join('\n') || 'None';
+    const yourDraft = user
+      ? [
+        `**Grade:** ${user.grade} (#${user.rank} of ${recap.leagueSize})`,
+        user.strongest ? `**Strongest:** ${user.strongest} (+${user.positionBalance[user.strongest]} pts vs league)` : null,
+        user.weakest ? `**Weakest:** ${user.weakest} (${user.positionBalance[user.weakest]} pts vs league)` : null,
+        user.byeCollisions.length > 0 ? `**Bye collisions:** ${user.byeCollisions.map(collision => `week ${collision.week} (${collision.players.length} starters)`).join(', ')}` : null
+      ].filter(Boolean).join('\n')
+      : null;
+
+    return await this.sendMultiChannelAlert({
+      type: 'DRAFT_COMPLETE',
+      urgency: 'INFO',
+      data: {
+        grade: user?.grade || null,
+        rank: user?.rank || null,
+        leagueName: recap.leagueName
+      },
+      message: `🏆 **DRAFT COMPLETE${recap.leagueName ? `: ${recap.leagueName}` : ''}**\n\n${standings}\n\n` +
+        `💎 **STEALS:**\n${highlights(recap.steals)}\n\n⚠️ **REACHES:**\n${highlights(recap.reaches)}` +
+        (yourDraft ? `\n\n🎯 **YOUR DRAFT**\n${yourDraft}` : '')
+    });
+  }
+
+  /**
+   * A new league move (TransactionMonitor) for the league-intelligence channel
+   */
+  async sendLeagueTransaction(transaction) {
+    const emoji = transaction.type === 'TRADE' ? '🔄' : transaction.players.some(player => player.action === 'added') ? '📥' : '📤';
+    return await this.sendMultiChannelAlert({
+      type: 'LEAGUE_TRANSACTION',
+      urgency: transaction.type === 'TRADE' ? 'MEDIUM' : 'INFO',
+      title: `${emoji} ${TransactionMonitor.label(transaction.type)}${transaction.teamName && transaction.type !== 'TRADE' ? `: ${transaction.teamName}` : ''}`,
+      data: {
+        transactionType: transaction.type,
+        teamName: transaction.teamName,
+        bidAmount: transaction.bidAmount,
+        aiTake: transaction.aiTake
+      },
+      message: TransactionMonitor.describe(transaction)
+    });
+  }
+
+  /**
+   * One head-to-head preview (MatchupPreviewer) for the matchup-analysis channel
+   */
+  async sendMatchupPreview(matchup, week) {
+    const side = team => `**${team.teamName}** ${team.projected} pts (${team.range[0]}-${team.range[1]}) - ` +
+      `${team.winProbability}% to win`;
+    const gameTimeDecisions = [...matchup.home.gameTimeDecisions, ...matchup.away.gameTimeDecisions];
+
+    return await this.sendMultiChannelAlert({
+      type: 'WEEK_PREVIEW',
+      urgency: 'MEDIUM',
+      title: `⚔️ Week ${week}: ${matchup.home.teamName} vs ${matchup.away.teamName}`,
+      data: {
+        weekNumber: week,
+        favorite: matchup.favorite,
+        swingPlayers: matchup.swingPlayers.map(player => MatchupPreviewer.describeSwing(player)),
+        stacks: matchup.stacks.slice(0, 4).map(stack => MatchupPreviewer.describeStack(stack, matchup))
+      },
+      message: `${side(matchup.home)}\n${side(matchup.away)}\n\n` +
+        (matchup.favorite ? `📈 **${matchup.favorite}** by ${matchup.spread}` : '📈 Dead even') +
+        (gameTimeDecisions.length > 0
+          ? `\n⏰ **Game-time decisions:** ${gameTimeDecisions.map(slot => `${slot.name} (${slot.status.toLowerCase()})`).join(', ')}`
+          : '')
+    });
+  }
+
   async sendPlayerNewsAlert(playerName, newsData) {
     return await this.sendMultiChannelAlert({
       type: 'INJURY_UPDATE',
@@ -257,6 +257,7 @@ Be specific, urgent, and actionable. This is live draft analysis that needs imme
     return players.map(player => 
       `${player.name} (${player.position}, ${player.team}) - ` +
       `Proj: ${player.projectedPoints || 'N/A'}, ` +
+      (player.vor !== undefined ? `VOR: ${player.vor} (${player.position} tier ${player.tier}), ` : '') +
       `ADP: ${player.adp || 'N/A'}, ` +
       `Injury: ${player.injuryStatus || 'Healthy'}`
     ).join('\n');
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const config = require('../../config');
+const ScoringEngine = require('../services/scoring-engine');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -14,12 +15,29 @@ const logger = winston.createLogger({
   ]
 });
 
+// Transaction item types -> player actions. A traded player is an add for the team receiving him,
+// as Sleeper reports trades; lineup and draft items aren't roster moves and are left out.
+const TRANSACTION_ITEM_ACTIONS = {
+  ADD: 'added',
+  DROP: 'dropped',
+  TRADE: 'added'
+};
+
 class ESPNClient {
-  constructor() {
-    this.leagueId = config.espn.leagueId;
-    this.seasonId = config.espn.seasonId;
-    this.s2Cookie = config.espn.s2Cookie;
-    this.swidCookie = config.espn.swidCookie;
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.leagueId] - defaults to ESPN_LEAGUE_ID
+   * @param {number} [options.seasonId] - defaults to ESPN_SEASON
+   * @param {string} [options.s2Cookie] - private leagues; defaults to ESPN_S2_COOKIE
+   * @param {string} [options.swidCookie] - private leagues; defaults to ESPN_SWID_COOKIE
+   */
+  constructor(options = {}) {
+    this.platform = 'espn';
+    this.platformName = 'ESPN';
+    this.leagueId = options.leagueId || config.espn.leagueId;
+    this.seasonId = options.seasonId || config.espn.seasonId;
+    this.s2Cookie = options.s2Cookie || config.espn.s2Cookie;
+    this.swidCookie = options.swidCookie || config.espn.swidCookie;
     this.baseURL = `${config.espn.baseURL}/${this.seasonId}/segments/0/leagues/${this.leagueId}`;
     this.endpoints = config.espn.endpoints;
     
@@ -64,12 +82,18 @@ class ESPNClient {
       const data = await this.makeRequest(this.endpoints.settings);
       return {
         id: data.id,
+        platform: this.platform,
         name: data.settings?.name || 'Unknown League',
         size: data.settings?.size || 12,
         scoringType: this.getScoringType(data.settings?.scoringSettings),
+        scoringSettings: data.settings?.scoringSettings,
         draftSettings: data.settings?.draftSettings,
         rosterSettings: data.settings?.rosterSettings,
         tradeSettings: data.settings?.tradeSettings,
+        // Season FAAB budget; null when the league runs waivers by priority
+        faabBudget: data.settings?.acquisitionSettings?.isUsingAcquisitionBudget
+          ? data.settings.acquisitionSettings.acquisitionBudget
+          : null,
         currentMatchupPeriod: data.scoringPeriodId,
         status: data.status
       };
@@ -87,9 +111,13 @@ class ESPNClient {
         throw new Error('No draft information available - draft may not be scheduled yet');
       }
 
+      // Auction picks carry bidAmount and nominatingTeamId; overallPickNumber is the sale order
+      const draftSettings = data.settings?.draftSettings;
       return {
         drafted: data.draftDetail.drafted || false,
         inProgress: data.draftDetail.inProgress || false,
+        format: draftSettings?.type === 'AUCTION' ? 'auction' : 'snake',
+        budget: draftSettings?.auctionBudget || null,
         picks: data.draftDetail.picks || [],
         currentPick: this.getCurrentPick(data.draftDetail.picks),
         draftOrder: this.getDraftOrder(data.teams, data.draftDetail),
@@ -107,10 +135,11 @@ class ESPNClient {
       
       return data.teams?.map(team => ({
         id: team.id,
-        name: team.location + ' ' + team.nickname,
+        name: team.name || `${team.location} ${team.nickname}`,
         owner: team.owners?.[0] || 'Unknown',
         roster: this.parseRoster(team.roster),
-        stats: team.record
+        stats: team.record,
+        faabSpent: team.transactionCounter?.acquisitionBudgetSpent ?? null
       })) || [];
     } catch (error) {
       logger.error('Failed to get rosters:', error.message);
@@ -176,24 +205,66 @@ class ESPNClient {
     try {
       const data = await this.makeRequest(this.endpoints.transactions);
       
-      return data.transactions?.slice(0, count).map(transaction => ({
-        id: transaction.id,
-        type: this.getTransactionType(transaction.type),
-        date: new Date(transaction.processDate),
-        team: transaction.memberId,
-        players: transaction.items?.map(item => ({
-          playerId: item.playerId,
-          type: item.type === 'ADD' ? 'added' : 'dropped',
-          fromTeam: item.fromTeamId,
-          toTeam: item.toTeamId
-        }))
-      })) || [];
+      // Failed claims stay in the log; keep the ones that went through, as Sleeper does
+      return data.transactions
+        ?.filter(transaction => !transaction.status || transaction.status === 'EXECUTED')
+        .slice(0, count)
+        .map(transaction => ({
+          id: transaction.id,
+          type: this.getTransactionType(transaction.type, transaction.items),
+          date: new Date(transaction.processDate),
+          team: transaction.memberId,
+          teamId: transaction.teamId ?? null,
+          bidAmount: transaction.bidAmount ?? null,
+          players: (transaction.items || [])
+            .filter(item => TRANSACTION_ITEM_ACTIONS[item.type])
+            .map(item => ({
+              playerId: item.playerId,
+              type: TRANSACTION_ITEM_ACTIONS[item.type],
+              fromTeam: item.fromTeamId,
+              toTeam: item.toTeamId
+            }))
+        })) || [];
     } catch (error) {
       logger.error('Failed to get transactions:', error.message);
       throw error;
     }
   }
 
+  /**
+   * NFL schedule for the season keyed by team abbreviation: bye week and, per week, the opponent,
+   * home/away and kickoff time. This view is season-wide, so it does not go through the league URL.
+   */
+  async getProTeamSchedules() {
+    try {
+      const url = `${config.espn.baseURL}/${this.seasonId}`;
+      const response = await this.axiosInstance.get(url, { params: { view: 'proTeamSchedules_wl' } });
+      const proTeams = response.data?.settings?.proTeams || [];
+
+      const schedules = {};
+      proTeams.filter(team => team.id > 0).forEach(team => {
+        const abbrev = this.getTeamAbbr(team.id);
+        const games = {};
+        Object.entries(team.proGamesByScoringPeriod || {}).forEach(([week, weekGames]) => {
+          const game = weekGames[0];
+          if (game) {
+            const home = game.homeProTeamId === team.id;
+            games[week] = {
+              opponent: this.getTeamAbbr(home ? game.awayProTeamId : game.homeProTeamId),
+              home,
+              date: game.date || null
+            };
+          }
+        });
+        schedules[abbrev] = { byeWeek: team.byeWeek || null, games };
+      });
+      return schedules;
+    } catch (error) {
+      logger.error('Failed to get pro team schedules:', error.message);
+      throw error;
+    }
+  }
+
   getCurrentPick(picks) {
     if (!picks || picks.length === 0) return null;
     
@@ -224,15 +295,25 @@ class ESPNClient {
   parseRoster(roster) {
     if (!roster?.entries) return [];
     
-    return roster.entries.map(entry => ({
-      playerId: entry.playerId,
-      slot: this.getSlotName(entry.lineupSlotId),
-      player: entry.playerPoolEntry?.player ? {
-        name: entry.playerPoolEntry.player.fullName,
-        position: this.getPositionName(entry.playerPoolEntry.player.defaultPositionId),
-        team: this.getTeamAbbr(entry.playerPoolEntry.player.proTeamId)
-      } : null
-    }));
+    return roster.entries.map(entry => {
+      const player = entry.playerPoolEntry?.player;
+      // ESPN's own projection for the scoring period (source 1 = projected, split 1 = single week)
+      const projection = player?.stats?.find(stat => stat.statSourceId === 1 && stat.statSplitTypeId === 1);
+
+      return {
+        playerId: entry.playerId,
+        slot: this.getSlotName(entry.lineupSlotId),
+        player: player ? {
+          name: player.fullName,
+          position: this.getPositionName(player.defaultPositionId),
+          team: this.getTeamAbbr(player.proTeamId),
+          injuryStatus: player.injuryStatus || null
+        } : null,
+        // Fantasy points for the requested scoring period (present on matchup lineups)
+        points: entry.playerPoolEntry?.appliedStatTotal ?? null,
+        weeklyProjection: projection ? { week: projection.scoringPeriodId, points: projection.appliedTotal } : null
+      };
+    });
   }
 
   parseLineup(lineup) {
@@ -242,8 +323,9 @@ class ESPNClient {
 
   getScoringType(scoringSettings) {
     if (!scoringSettings) return 'Standard';
-    
-    const receptionPoints = scoringSettings.find(setting => setting.statId === 53)?.points || 0;
+
+    // scoringSettings is an object holding scoringItems; getRule handles either shape
+    const receptionPoints = ScoringEngine.fromESPN(scoringSettings).getRule('receptions');
     
     if (receptionPoints === 1) return 'PPR';
     if (receptionPoints === 0.5) return 'Half-PPR';
@@ -275,7 +357,10 @@ class ESPNClient {
     return teams[teamId] || 'FA';
   }
 
-  getTransactionType(typeId) {
+  /**
+   * mTransactions2 names the move (WAIVER, FREEAGENT, TRADE_ACCEPT); older feeds used numeric codes
+   */
+  getTransactionType(typeId, items = []) {
     const types = {
       178: 'WAIVER_ADD',
       179: 'WAIVER_DROP', 
@@ -283,16 +368,27 @@ class ESPNClient {
       181: 'FREE_AGENT_ADD',
       182: 'FREE_AGENT_DROP'
     };
-    return types[typeId] || 'UNKNOWN';
+    const adding = (items || []).some(item => item.type === 'ADD');
+    switch (typeId) {
+      case 'WAIVER':
+        return adding ? 'WAIVER_ADD' : 'WAIVER_DROP';
+      case 'FREEAGENT':
+        return adding ? 'FREE_AGENT_ADD' : 'FREE_AGENT_DROP';
+      case 'TRADE_ACCEPT':
+        return 'TRADE';
+      default:
+        return types[typeId] || 'UNKNOWN';
+    }
   }
 
   async healthCheck() {
     try {
       await this.getLeagueInfo();
-      return { status: 'connected', timestamp: new Date().toISOString() };
+      return { status: 'connected', platform: this.platform, timestamp: new Date().toISOString() };
     } catch (error) {
       return { 
         status: 'error', 
+        platform: this.platform,
         error: error.message, 
         timestamp: new Date().toISOString() 
       };
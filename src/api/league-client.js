@@ -0,0 +1,31 @@
+/**
+ * League Client
+ * Client for the fantasy platform a league is on. ESPNClient and SleeperClient share one interface
+ * (getLeagueInfo, getDraftInfo, getRosters, getPlayers, getMatchups, getTransactions, healthCheck)
+ * and return the same shapes, so callers build one here instead of naming a platform.
+ */
+const config = require('../../config');
+const ESPNClient = require('./espn-client');
+const SleeperClient = require('./sleeper-client');
+
+const PLATFORMS = {
+  espn: ESPNClient,
+  sleeper: SleeperClient
+};
+
+/**
+ * @param {Object} [options] - passed to the platform client (leagueId, fixturesDir, ...)
+ * @param {string} [options.platform] - 'espn' | 'sleeper'; defaults to LEAGUE_PLATFORM
+ */
+function createLeagueClient(options = {}) {
+  const platform = String(options.platform || config.league.platform || 'espn').toLowerCase();
+  const Client = PLATFORMS[platform];
+  if (!Client) {
+    throw new Error(`Unsupported league platform "${platform}" (expected ${Object.keys(PLATFORMS).join(' or ')})`);
+  }
+  return new Client(options);
+}
+
+createLeagueClient.PLATFORMS = Object.keys(PLATFORMS);
+
+module.exports = createLeagueClient;
@@ -0,0 +1,567 @@
+/**
+ * Sleeper Client
+ * Sleeper's public league API (no auth) mapped onto the shapes ESPNClient returns, so league, draft,
+ * roster, matchup and transaction consumers don't care which platform a league is on.
+ *
+ * Responses can be replayed from recorded JSON fixtures instead of the network: set fixturesDir
+ * (SLEEPER_FIXTURES_DIR) to a directory laid out like the API, e.g. league/<id>/rosters.json.
+ * Setting recordDir (SLEEPER_RECORD_DIR) writes live responses in that layout.
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('../../config');
+const ScoringEngine = require('../services/scoring-engine');
+const createLogger = require('../utils/logger');
+
+const logger = createLogger();
+
+const DEFAULT_PLAYER_CACHE = path.join(__dirname, '../../data/cache/sleeper-players.json');
+const PLAYER_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000; // Sleeper asks for the player dump at most daily
+const FANTASY_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+const UNRANKED = 9999999; // Sleeper's search_rank for unranked players, used when it is missing too
+
+// Sleeper roster_positions -> slot names ESPNClient uses
+const SLOT_NAMES = {
+  DEF: 'DST',
+  SUPER_FLEX: 'SUPERFLEX',
+  REC_FLEX: 'WR/TE',
+  WRRB_FLEX: 'RB/WR',
+  BN: 'BENCH'
+};
+
+// Sleeper team abbreviations that differ from ESPN's (schedules and weather are keyed by ESPN's)
+const TEAM_ABBREVIATIONS = { WAS: 'WSH' };
+
+class SleeperClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.leagueId]
+   * @param {string} [options.fixturesDir] - replay responses from recorded JSON instead of the network
+   * @param {string} [options.recordDir] - save live responses as fixtures
+   * @param {string} [options.playerCachePath]
+   */
+  constructor(options = {}) {
+    this.platform = 'sleeper';
+    this.platformName = 'Sleeper';
+    this.leagueId = options.leagueId || config.sleeper.leagueId;
+    this.baseURL = config.sleeper.baseURL;
+    this.fixturesDir = options.fixturesDir || config.sleeper.fixturesDir || null;
+    this.recordDir = options.recordDir || config.sleeper.recordDir || null;
+    this.playerCachePath = options.playerCachePath || DEFAULT_PLAYER_CACHE;
+    this.playerDirectory = null;
+
+    this.axiosInstance = axios.create({
+      timeout: 30000,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Fantasy-Command-Center/1.0.0'
+      }
+    });
+  }
+
+  async makeRequest(endpoint) {
+    if (this.fixturesDir) {
+      return this.readFixture(endpoint);
+    }
+
+    try {
+      const url = `${this.baseURL}${endpoint}`;
+      logger.debug(`Making Sleeper API request to: ${url}`);
+
+      const response = await this.axiosInstance.get(url);
+      if (this.recordDir) {
+        this.writeFixture(endpoint, response.data);
+      }
+      return response.data;
+    } catch (error) {
+      logger.error(`Sleeper API request failed (${endpoint}): ${error.message}`);
+      throw error;
+    }
+  }
+
+  fixturePath(dir, endpoint) {
+    return path.join(dir, `${endpoint.replace(/^\/+/, '')}.json`);
+  }
+
+  readFixture(endpoint) {
+    const file = this.fixturePath(this.fixturesDir, endpoint);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No Sleeper fixture for ${endpoint} (expected ${file})`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  writeFixture(endpoint, data) {
+    try {
+      const file = this.fixturePath(this.recordDir, endpoint);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    } catch (error) {
+      logger.warn(`Could not record Sleeper fixture for ${endpoint}: ${error.message}`);
+    }
+  }
+
+  requireLeagueId() {
+    if (!this.leagueId) {
+      throw new Error('SLEEPER_LEAGUE_ID is not configured');
+    }
+    return this.leagueId;
+  }
+
+  async getLeague() {
+    return this.makeRequest(`/league/${this.requireLeagueId()}`);
+  }
+
+  /**
+   * A draft by its own ID (draft rooms are addressed by draft, not league): { draft_id, league_id, ... }
+   */
+  async getDraft(draftId) {
+    return this.makeRequest(`/draft/${draftId}`);
+  }
+
+  /**
+   * NFL season state: { season, season_type, week, ... }
+   */
+  async getState() {
+    return this.makeRequest('/state/nfl');
+  }
+
+  async getLeagueInfo() {
+    try {
+      const league = await this.getLeague();
+      const state = await this.getState();
+
+      return {
+        id: league.league_id,
+        platform: this.platform,
+        name: league.name || 'Unknown League',
+        size: league.total_rosters || 12,
+        scoringType: this.getScoringType(league.scoring_settings),
+        scoringSettings: league.scoring_settings,
+        draftSettings: { rounds: league.settings?.draft_rounds },
+        rosterSettings: { positions: league.roster_positions || [] },
+        tradeSettings: { deadlineWeek: league.settings?.trade_deadline ?? null },
+        faabBudget: league.settings?.waiver_type === 2 ? league.settings.waiver_budget ?? null : null,
+        currentMatchupPeriod: this.getCurrentWeek(league, state),
+        status: league.status
+      };
+    } catch (error) {
+      logger.error(`Failed to get league info: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getDraftInfo() {
+    try {
+      const league = await this.getLeague();
+      if (!league.draft_id) {
+        throw new Error('No draft information available - draft may not be scheduled yet');
+      }
+
+      const draft = await this.makeRequest(`/draft/${league.draft_id}`);
+      const draftPicks = await this.makeRequest(`/draft/${league.draft_id}/picks`);
+      const teams = await this.getRosters();
+
+      const size = draft.settings?.teams || league.total_rosters || 12;
+      const picks = (draftPicks || []).map(pick => this.parseDraftPick(pick, size));
+
+      return {
+        drafted: draft.status === 'complete',
+        inProgress: ['drafting', 'paused'].includes(draft.status),
+        format: draft.type === 'auction' ? 'auction' : 'snake',
+        budget: draft.type === 'auction' ? draft.settings?.budget || null : null,
+        picks,
+        currentPick: this.getCurrentPick(picks, size),
+        draftOrder: this.getDraftOrder(draft, teams),
+        totalPicks: size * (draft.settings?.rounds || league.settings?.draft_rounds || 16)
+      };
+    } catch (error) {
+      logger.error(`Failed to get draft info: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getRosters() {
+    try {
+      const league = await this.getLeague();
+      const rosters = await this.makeRequest(`/league/${this.leagueId}/rosters`);
+      const users = await this.makeRequest(`/league/${this.leagueId}/users`);
+      const players = await this.getPlayerDirectory();
+
+      const usersById = new Map((users || []).map(user => [user.user_id, user]));
+
+      return (rosters || []).map(roster => {
+        const user = usersById.get(roster.owner_id);
+        return {
+          id: roster.roster_id,
+          name: this.getTeamName(roster, user),
+          owner: user?.display_name || 'Unknown',
+          roster: this.parseRoster(roster, league.roster_positions, players),
+          stats: this.parseRecord(roster.settings),
+          faabSpent: roster.settings?.waiver_budget_used ?? null
+        };
+      });
+    } catch (error) {
+      logger.error(`Failed to get rosters: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Every roster's ID, owners (owner and co-owners' user IDs) and team name, without the players
+   */
+  async getTeamDirectory() {
+    const rosters = await this.makeRequest(`/league/${this.leagueId}/rosters`);
+    const users = await this.makeRequest(`/league/${this.leagueId}/users`);
+    const usersById = new Map((users || []).map(user => [user.user_id, user]));
+
+    return (rosters || []).map(roster => ({
+      id: roster.roster_id,
+      ownerIds: [roster.owner_id, ...(roster.co_owners || [])].filter(Boolean),
+      name: this.getTeamName(roster, usersById.get(roster.owner_id))
+    }));
+  }
+
+  getTeamName(roster, user) {
+    return user?.metadata?.team_name || user?.display_name || `Team ${roster.roster_id}`;
+  }
+
+  /**
+   * Rostered-position players from the Sleeper directory, best search rank first. Sleeper's API has
+   * no projections or ownership, so those come back empty.
+   */
+  async getPlayers(count = 500) {
+    try {
+      const players = await this.getPlayerDirectory();
+
+      return Object.values(players)
+        .filter(player => player.active && player.team && FANTASY_POSITIONS.includes(player.position))
+        .sort((a, b) => (a.search_rank ?? UNRANKED) - (b.search_rank ?? UNRANKED))
+        .slice(0, count)
+        .map(player => ({
+          ...this.describePlayer(player),
+          id: player.player_id,
+          projections: null,
+          ownership: { percentOwned: 0, percentStarted: 0 },
+          eligibleSlots: (player.fantasy_positions || [player.position]).map(position => this.getSlotName(position))
+        }));
+    } catch (error) {
+      logger.error(`Failed to get players: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getMatchups(week = null) {
+    try {
+      const league = await this.getLeague();
+      const currentWeek = this.getCurrentWeek(league, await this.getState());
+      const targetWeek = week || currentWeek;
+      const entries = await this.makeRequest(`/league/${this.leagueId}/matchups/${targetWeek}`);
+      const players = await this.getPlayerDirectory();
+
+      // Each roster has its own entry; the two sharing a matchup_id played each other
+      const pairs = new Map();
+      (entries || []).filter(entry => entry.matchup_id).forEach(entry => {
+        const pair = pairs.get(entry.matchup_id) || [];
+        pair.push(entry);
+        pairs.set(entry.matchup_id, pair);
+      });
+
+      return Array.from(pairs.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([matchupId, pair]) => {
+          const [home, away] = pair.sort((a, b) => a.roster_id - b.roster_id);
+          return {
+            id: matchupId,
+            week: targetWeek,
+            home: this.parseMatchupSide(home, league.roster_positions, players),
+            away: this.parseMatchupSide(away, league.roster_positions, players),
+            winner: targetWeek < currentWeek ? this.getWinner(home, away) : 'UNDECIDED'
+          };
+        });
+    } catch (error) {
+      logger.error(`Failed to get matchups: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Completed transactions, newest first. Sleeper files them by week, so this walks back from the
+   * current week until it has `count`. A transaction belongs to the creator's team when the creator
+   * manages one of its rosters (a trade's proposer), otherwise to its first roster (commissioner moves).
+   */
+  async getTransactions(count = 50) {
+    try {
+      const league = await this.getLeague();
+      const currentWeek = this.getCurrentWeek(league, await this.getState());
+      const teams = await this.getTeamDirectory();
+      const transactions = [];
+
+      for (let week = currentWeek; week >= 1 && transactions.length < count; week--) {
+        const weekTransactions = await this.makeRequest(`/league/${this.leagueId}/transactions/${week}`);
+        transactions.push(...(weekTransactions || []).filter(transaction => transaction.status === 'complete'));
+      }
+
+      return transactions
+        .sort((a, b) => (b.status_updated || b.created) - (a.status_updated || a.created))
+        .slice(0, count)
+        .map(transaction => {
+          const rosterIds = transaction.roster_ids || [];
+          const team = teams.find(entry => rosterIds.includes(entry.id) && entry.ownerIds.includes(transaction.creator))
+            || teams.find(entry => entry.id === rosterIds[0])
+            || null;
+          return {
+            id: transaction.transaction_id,
+            type: this.getTransactionType(transaction),
+            date: new Date(transaction.status_updated || transaction.created),
+            team: team?.name ?? null,
+            teamId: team?.id ?? rosterIds[0] ?? null,
+            bidAmount: transaction.settings?.waiver_bid ?? null,
+            players: this.parseTransactionPlayers(transaction)
+          };
+        });
+    } catch (error) {
+      logger.error(`Failed to get transactions: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Sleeper's full NFL player dump (player_id -> player, several MB). Cached on disk for a day; the
+   * in-memory copy lives as long as the client.
+   */
+  async getPlayerDirectory() {
+    if (this.playerDirectory) {
+      return this.playerDirectory;
+    }
+
+    if (!this.fixturesDir) {
+      try {
+        const stats = fs.statSync(this.playerCachePath);
+        if (Date.now() - stats.mtimeMs < PLAYER_CACHE_MAX_AGE_MS) {
+          this.playerDirectory = JSON.parse(fs.readFileSync(this.playerCachePath, 'utf8'));
+          return this.playerDirectory;
+        }
+      } catch (error) {
+        // No usable cache; fetch below
+      }
+    }
+
+    this.playerDirectory = await this.makeRequest('/players/nfl');
+
+    if (!this.fixturesDir) {
+      try {
+        fs.mkdirSync(path.dirname(this.playerCachePath), { recursive: true });
+        fs.writeFileSync(this.playerCachePath, JSON.stringify(this.playerDirectory));
+      } catch (error) {
+        logger.warn(`Could not cache Sleeper players: ${error.message}`);
+      }
+    }
+    return this.playerDirectory;
+  }
+
+  /**
+   * Sleeper puts the current week on the NFL state; outside the league's season fall back to its own leg
+   */
+  getCurrentWeek(league, state) {
+    if (state && String(state.season) === String(league.season) && state.week > 0) {
+      return state.week;
+    }
+    return league.settings?.leg || 1;
+  }
+
+  parseDraftPick(pick, size) {
+    const player = pick.metadata || {};
+    return {
+      overallPickNumber: pick.pick_no,
+      roundId: pick.round,
+      roundPickNumber: pick.pick_no - (pick.round - 1) * size,
+      teamId: pick.roster_id,
+      playerId: pick.player_id,
+      playerName: player.position === 'DEF'
+        ? `${player.last_name} D/ST`
+        : [player.first_name, player.last_name].filter(Boolean).join(' ') || null,
+      position: this.getPositionName(player.position),
+      team: this.getTeamAbbr(player.team),
+      keeper: Boolean(pick.is_keeper),
+      ...(player.amount !== undefined ? { bidAmount: parseInt(player.amount, 10) } : {})
+    };
+  }
+
+  getCurrentPick(picks, size) {
+    if (!picks || picks.length === 0) return null;
+
+    const lastPick = Math.max(...picks.map(pick => pick.overallPickNumber));
+    return {
+      overall: lastPick + 1,
+      round: Math.ceil((lastPick + 1) / size),
+      pickInRound: (lastPick % size) + 1
+    };
+  }
+
+  getDraftOrder(draft, teams) {
+    const slots = draft.slot_to_roster_id || {};
+
+    return Object.entries(slots)
+      .map(([slot, rosterId]) => {
+        const team = teams.find(t => t.id === rosterId);
+        return {
+          pickPosition: parseInt(slot, 10),
+          teamId: rosterId,
+          teamName: team ? team.name : `Team ${rosterId}`,
+          owner: team?.owner || 'Unknown'
+        };
+      })
+      .sort((a, b) => a.pickPosition - b.pickPosition);
+  }
+
+  /**
+   * Roster entries in ESPNClient.parseRoster's shape. Starters are listed in roster_positions order
+   * (bench excluded); everyone else is on the bench, IR (reserve) or taxi squad.
+   */
+  parseRoster(roster, rosterPositions = [], players = {}, points = {}) {
+    const startingSlots = (rosterPositions || []).filter(position => position !== 'BN');
+    const slots = new Map();
+    (roster.starters || []).forEach((playerId, index) => {
+      if (playerId && playerId !== '0') {
+        slots.set(playerId, this.getSlotName(startingSlots[index]));
+      }
+    });
+    (roster.reserve || []).forEach(playerId => slots.set(playerId, 'IR'));
+
+    return (roster.players || []).map(playerId => ({
+      playerId,
+      slot: slots.get(playerId) || 'BENCH',
+      player: players[playerId] ? this.describePlayer(players[playerId]) : null,
+      points: points[playerId] ?? null,
+      weeklyProjection: null
+    }));
+  }
+
+  parseMatchupSide(entry, rosterPositions, players) {
+    if (!entry) {
+      return { teamId: null, score: 0, lineup: [] };
+    }
+    return {
+      teamId: entry.roster_id,
+      score: entry.points ?? 0,
+      lineup: this.parseRoster(entry, rosterPositions, players, entry.players_points || {})
+    };
+  }
+
+  getWinner(home, away) {
+    if (!away) return 'HOME';
+    const homeScore = home.points ?? 0;
+    const awayScore = away.points ?? 0;
+    if (homeScore === awayScore) return 'TIE';
+    return homeScore > awayScore ? 'HOME' : 'AWAY';
+  }
+
+  /**
+   * Season record in ESPN's team.record shape
+   */
+  parseRecord(settings = {}) {
+    const points = (whole, decimal) => (whole || 0) + (decimal || 0) / 100;
+    return {
+      overall: {
+        wins: settings.wins || 0,
+        losses: settings.losses || 0,
+        ties: settings.ties || 0,
+        pointsFor: points(settings.fpts, settings.fpts_decimal),
+        pointsAgainst: points(settings.fpts_against, settings.fpts_against_decimal)
+      }
+    };
+  }
+
+  /**
+   * One entry per player moved: adds (with the team a traded player came from) and plain drops
+   */
+  parseTransactionPlayers(transaction) {
+    const adds = transaction.adds || {};
+    const drops = transaction.drops || {};
+
+    const added = Object.entries(adds).map(([playerId, rosterId]) => ({
+      playerId,
+      type: 'added',
+      fromTeam: drops[playerId] ?? null,
+      toTeam: rosterId
+    }));
+    const dropped = Object.entries(drops)
+      .filter(([playerId]) => adds[playerId] === undefined)
+      .map(([playerId, rosterId]) => ({
+        playerId,
+        type: 'dropped',
+        fromTeam: rosterId,
+        toTeam: null
+      }));
+
+    return added.concat(dropped);
+  }
+
+  describePlayer(player) {
+    const isDefense = player.position === 'DEF';
+    return {
+      name: isDefense
+        ? `${player.last_name} D/ST`
+        : player.full_name || [player.first_name, player.last_name].filter(Boolean).join(' '),
+      position: this.getPositionName(player.position),
+      team: this.getTeamAbbr(isDefense ? player.player_id : player.team),
+      injuryStatus: player.injury_status ? String(player.injury_status).toUpperCase() : null
+    };
+  }
+
+  getScoringType(scoringSettings) {
+    if (!scoringSettings) return 'Standard';
+
+    const receptionPoints = ScoringEngine.fromSleeper(scoringSettings).getRule('receptions');
+    if (receptionPoints === 1) return 'PPR';
+    if (receptionPoints === 0.5) return 'Half-PPR';
+    return 'Standard';
+  }
+
+  getPositionName(position) {
+    if (!position) return 'UNKNOWN';
+    return position === 'DEF' ? 'DST' : position;
+  }
+
+  getSlotName(position) {
+    if (!position) return 'UNKNOWN';
+    return SLOT_NAMES[position] || position;
+  }
+
+  getTeamAbbr(team) {
+    if (!team) return 'FA';
+    return TEAM_ABBREVIATIONS[team] || team;
+  }
+
+  getTransactionType(transaction) {
+    const adding = Object.keys(transaction.adds || {}).length > 0;
+    switch (transaction.type) {
+      case 'trade':
+        return 'TRADE';
+      case 'waiver':
+        return adding ? 'WAIVER_ADD' : 'WAIVER_DROP';
+      case 'free_agent':
+        return adding ? 'FREE_AGENT_ADD' : 'FREE_AGENT_DROP';
+      default:
+        return 'UNKNOWN';
+    }
+  }
+
+  async healthCheck() {
+    try {
+      await this.getLeagueInfo();
+      return { status: 'connected', platform: this.platform, timestamp: new Date().toISOString() };
+    } catch (error) {
+      return {
+        status: 'error',
+        platform: this.platform,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+module.exports = SleeperClient;
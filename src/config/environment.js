@@ -139,6 +139,20 @@ class EnvironmentConfig {
         aiRecommendationEnabled: process.env.AI_RECOMMENDATION_ENABLED === 'true'
       };
 
+      // League transaction feed (0 = off)
+      this.transactions = {
+        monitorInterval: Validator.validateNumber(
+          process.env.TRANSACTION_MONITOR_INTERVAL || 15 * 60 * 1000,
+          'TRANSACTION_MONITOR_INTERVAL',
+          { min: 0, max: 24 * 60 * 60 * 1000, integer: true }
+        )
+      };
+
+      // Chrome extension pick relay (shared secret sent in X-Relay-Secret)
+      this.extension = {
+        relaySecret: process.env.EXTENSION_RELAY_SECRET || null
+      };
+
       // Rate limiting configuration
       this.rateLimiting = {
         api: {
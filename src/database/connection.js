@@ -0,0 +1,107 @@
+/**
+ * SQLite Connection
+ * Promise wrapper around the fantasy.db file managed by database/migrate.js
+ */
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const createLogger = require('../utils/logger');
+
+const logger = createLogger();
+
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../../database/fantasy.db');
+
+class DatabaseConnection {
+  constructor(filename = dbPath) {
+    this.filename = filename;
+    this.db = null;
+  }
+
+  /**
+   * Open the database file (idempotent)
+   */
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+
+    return new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.filename, (err) => {
+        if (err) {
+          logger.error(`Failed to open database ${this.filename}:`, err.message);
+          reject(err);
+          return;
+        }
+        this.db = db;
+        db.run('PRAGMA foreign_keys = ON');
+        resolve(db);
+      });
+    });
+  }
+
+  /**
+   * Run a write statement, resolving with lastID and changes
+   */
+  async run(sql, params = []) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function onRun(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        }
+      });
+    });
+  }
+
+  /**
+   * Fetch a single row
+   */
+  async get(sql, params = []) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  /**
+   * Fetch all matching rows
+   */
+  async all(sql, params = []) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  /**
+   * Run several statements inside one transaction
+   */
+  async transaction(work) {
+    await this.run('BEGIN');
+    try {
+      const result = await work(this);
+      await this.run('COMMIT');
+      return result;
+    } catch (error) {
+      await this.run('ROLLBACK');
+      throw error;
+    }
+  }
+
+  close() {
+    if (!this.db) {
+      return Promise.resolve();
+    }
+
+    const db = this.db;
+    this.db = null;
+    return new Promise((resolve, reject) => {
+      db.close((err) => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+DatabaseConnection.DEFAULT_PATH = dbPath;
+
+module.exports = DatabaseConnection;
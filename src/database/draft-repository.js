@@ -0,0 +1,238 @@
+/**
+ * Draft Repository
+ * Persists draft sessions, picks and AI recommendations so a restart mid-draft keeps the board
+ */
+const DatabaseConnection = require('./connection');
+const { ensureMigrated } = require('../../database/migrate');
+const createLogger = require('../utils/logger');
+
+const logger = createLogger();
+
+class DraftRepository {
+  constructor(connection = new DatabaseConnection()) {
+    this.connection = connection;
+    this.sessionIds = new Map(); // session_key -> draft_sessions.id
+  }
+
+  /**
+   * Apply any pending schema migrations before the first write
+   */
+  async initialize() {
+    await ensureMigrated(this.connection);
+    await this.connection.open();
+  }
+
+  /**
+   * Insert or update the draft_sessions row for a session
+   */
+  async saveSession(session) {
+    const params = [
+      session.scope,
+      session.guildId,
+      session.channelId,
+      session.leagueId,
+      session.state.leagueSize,
+      session.state.userTeam,
+      session.state.format || 'snake',
+      session.state.budget || null,
+      session.state.picks.length,
+      session.status,
+      session.createdBy?.username || null,
+      JSON.stringify(session.participants || []),
+      toTimestamp(session.createdAt),
+      toTimestamp(session.archivedAt),
+      toTimestamp(session.updatedAt)
+    ];
+
+    const existingId = await this.getSessionId(session);
+    if (existingId) {
+      await this.connection.run(
+        `UPDATE draft_sessions SET scope = ?, guild_id = ?, channel_id = ?, league_key = ?, league_size = ?,
+          my_team_id = ?, draft_format = ?, auction_budget = ?, total_picks = ?, status = ?, created_by = ?, participants = ?, started_at = ?,
+          ended_at = ?, updated_at = ?
+         WHERE id = ?`,
+        [...params, existingId]
+      );
+      return existingId;
+    }
+
+    const result = await this.connection.run(
+      `INSERT INTO draft_sessions (scope, guild_id, channel_id, league_key, league_size, my_team_id, draft_format,
+          auction_budget, total_picks, status, created_by, participants, started_at, ended_at, updated_at, session_key)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...params, session.key]
+    );
+    this.sessionIds.set(session.key, result.lastID);
+    return result.lastID;
+  }
+
+  async getSessionId(session) {
+    if (this.sessionIds.has(session.key)) {
+      return this.sessionIds.get(session.key);
+    }
+
+    const row = await this.connection.get('SELECT id FROM draft_sessions WHERE session_key = ?', [session.key]);
+    if (row) {
+      this.sessionIds.set(session.key, row.id);
+      return row.id;
+    }
+    return null;
+  }
+
+  /**
+   * Record a single pick (imported, forced, keeper, .my or another team's)
+   */
+  async recordPick(session, pick, source = 'manual') {
+    const sessionId = await this.saveSession(session);
+    const leagueSize = session.state.leagueSize || 8;
+
+    await this.connection.run(
+      `INSERT INTO draft_picks (draft_session_id, overall_pick, round, pick_in_round, team_id, team_name,
+          player_name, position, nfl_team, is_user, bid_amount, source, timestamp)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        sessionId,
+        pick.pick,
+        Math.ceil(pick.pick / leagueSize),
+        ((pick.pick - 1) % leagueSize) + 1,
+        pick.team,
+        pick.teamName || null,
+        pick.player,
+        pick.position || null,
+        pick.nflTeam || null,
+        pick.isUser ? 1 : 0,
+        typeof pick.bid === 'number' ? pick.bid : null,
+        source,
+        toTimestamp(pick.timestamp)
+      ]
+    );
+  }
+
+  /**
+   * Remove one pick from a session's board (a dropped keeper)
+   */
+  async deletePick(session, pick) {
+    const sessionId = await this.saveSession(session);
+    await this.connection.run(
+      'DELETE FROM draft_picks WHERE draft_session_id = ? AND overall_pick = ? AND player_name = ?',
+      [sessionId, pick.pick, pick.player]
+    );
+  }
+
+  /**
+   * Remove every pick for a session (used by .clear)
+   */
+  async clearPicks(session) {
+    const sessionId = await this.saveSession(session);
+    await this.connection.run('DELETE FROM draft_picks WHERE draft_session_id = ?', [sessionId]);
+  }
+
+  /**
+   * Store AI recommendations against the pick they were made for
+   */
+  async recordRecommendations(session, draftPick, recommendations = []) {
+    const sessionId = session ? await this.saveSession(session) : null;
+
+    await this.connection.transaction(async (db) => {
+      for (const rec of recommendations) {
+        await db.run(
+          `INSERT INTO ai_recommendations (draft_session_id, draft_pick, player_name, position, urgency, reasoning,
+              value_rating, risk_level)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            sessionId,
+            draftPick,
+            rec.player || null,
+            rec.position || null,
+            rec.urgency || null,
+            rec.reasoning || null,
+            rec.valueRating || null,
+            rec.riskLevel || null
+          ]
+        );
+      }
+    });
+  }
+
+  /**
+   * Load every active session with its picks, oldest pick first
+   */
+  async loadActiveSessions() {
+    const rows = await this.connection.all(
+      "SELECT * FROM draft_sessions WHERE status = 'active' AND session_key IS NOT NULL"
+    );
+
+    const sessions = [];
+    for (const row of rows) {
+      const picks = await this.connection.all(
+        'SELECT * FROM draft_picks WHERE draft_session_id = ? ORDER BY overall_pick, id',
+        [row.id]
+      );
+      this.sessionIds.set(row.session_key, row.id);
+      sessions.push(this.toSession(row, picks));
+    }
+
+    return sessions;
+  }
+
+  toSession(row, pickRows) {
+    const picks = pickRows.map(pick => ({
+      player: pick.player_name,
+      position: pick.position,
+      nflTeam: pick.nfl_team,
+      team: pick.team_id,
+      ...(pick.team_name ? { teamName: pick.team_name } : {}),
+      pick: pick.overall_pick,
+      timestamp: new Date(pick.timestamp),
+      isUser: Boolean(pick.is_user),
+      ...(pick.bid_amount !== null && pick.bid_amount !== undefined ? { bid: pick.bid_amount } : {}),
+      ...(pick.source === 'import' ? { imported: true } : {}),
+      ...(pick.source === 'force' ? { isForced: true } : {}),
+      ...(pick.source === 'keeper' ? { keeper: true } : {})
+    }));
+
+    const createdBy = row.created_by ? { id: row.created_by, username: row.created_by } : null;
+
+    return {
+      id: `${row.scope}:${row.league_key}`,
+      key: row.session_key,
+      scope: row.scope,
+      guildId: row.guild_id,
+      channelId: row.channel_id,
+      leagueId: row.league_key,
+      status: row.status,
+      createdBy,
+      participants: parseJSON(row.participants, []),
+      createdAt: new Date(row.started_at),
+      updatedAt: new Date(row.updated_at || row.started_at),
+      archivedAt: row.ended_at ? new Date(row.ended_at) : null,
+      state: {
+        picks,
+        currentPick: picks.reduce((next, pick) => Math.max(next, pick.pick + 1), 1),
+        userTeam: row.my_team_id || 2,
+        leagueSize: row.league_size || 8,
+        format: row.draft_format || 'snake',
+        budget: row.auction_budget || null
+      }
+    };
+  }
+
+  async close() {
+    await this.connection.close();
+    logger.debug('Draft repository closed');
+  }
+}
+
+function toTimestamp(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function parseJSON(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+module.exports = DraftRepository;
@@ -0,0 +1,116 @@
+/**
+ * Transaction Repository
+ * League transactions recorded by the transaction monitor, keyed by league and platform transaction
+ * ID so a restart never alerts on the same move twice
+ */
+const DatabaseConnection = require('./connection');
+const { ensureMigrated } = require('../../database/migrate');
+const createLogger = require('../utils/logger');
+
+const logger = createLogger();
+
+class TransactionRepository {
+  constructor(connection = new DatabaseConnection()) {
+    this.connection = connection;
+    this.ready = null;
+  }
+
+  /**
+   * Apply any pending schema migrations before the first query. A failure is not cached, so the
+   * next query tries again.
+   */
+  async initialize() {
+    if (!this.ready) {
+      this.ready = ensureMigrated(this.connection)
+        .then(() => this.connection.open())
+        .catch((error) => {
+          this.ready = null;
+          throw error;
+        });
+    }
+    await this.ready;
+  }
+
+  async hasTransactions(leagueKey) {
+    await this.initialize();
+    const row = await this.connection.get('SELECT COUNT(*) AS count FROM league_transactions WHERE league_key = ?', [leagueKey]);
+    return row.count > 0;
+  }
+
+  /**
+   * Platform transaction IDs already recorded for a league
+   */
+  async getRecordedIds(leagueKey) {
+    await this.initialize();
+    const rows = await this.connection.all('SELECT transaction_id FROM league_transactions WHERE league_key = ?', [leagueKey]);
+    return new Set(rows.map(row => row.transaction_id));
+  }
+
+  /**
+   * Store one transaction; false when it was already recorded
+   */
+  async recordTransaction(leagueKey, transaction) {
+    await this.initialize();
+    const result = await this.connection.run(
+      `INSERT OR IGNORE INTO league_transactions (league_key, transaction_id, type, team_id, team_name, bid_amount,
+          players, ai_take, processed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        leagueKey,
+        String(transaction.id),
+        transaction.type,
+        transaction.teamId === null || transaction.teamId === undefined ? null : String(transaction.teamId),
+        transaction.teamName || null,
+        typeof transaction.bidAmount === 'number' ? transaction.bidAmount : null,
+        JSON.stringify(transaction.players || []),
+        transaction.aiTake || null,
+        transaction.date ? new Date(transaction.date).toISOString() : null
+      ]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * A league's transactions, newest first
+   * @param {Object} [options]
+   * @param {string} [options.teamName] - only this team's moves
+   * @param {number} [options.limit]
+   */
+  async getTransactions(leagueKey, { teamName = null, limit = 500 } = {}) {
+    await this.initialize();
+    const rows = await this.connection.all(
+      `SELECT * FROM league_transactions WHERE league_key = ?${teamName ? ' AND team_name = ? COLLATE NOCASE' : ''}
+       ORDER BY processed_at DESC, id DESC LIMIT ?`,
+      teamName ? [leagueKey, teamName, limit] : [leagueKey, limit]
+    );
+    return rows.map(row => this.toTransaction(row));
+  }
+
+  toTransaction(row) {
+    return {
+      id: row.transaction_id,
+      type: row.type,
+      teamId: row.team_id,
+      teamName: row.team_name,
+      bidAmount: row.bid_amount,
+      date: row.processed_at ? new Date(row.processed_at) : null,
+      players: parseJSON(row.players, []),
+      aiTake: row.ai_take
+    };
+  }
+
+  async close() {
+    await this.connection.close();
+    logger.debug('Transaction repository closed');
+  }
+}
+
+function parseJSON(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+module.exports = TransactionRepository;
@@ -1,4 +1,4 @@
-const { Client, GatewayIntentBits, EmbedBuilder } = require('discord.js');
+const { Client, GatewayIntentBits, EmbedBuilder, AttachmentBuilder } = require('discord.js');
 const ClaudeAI = require('./api/claude-ai');
 const ExternalAPIsClient = require('./api/external-apis');
 const FantasyKnowledgeEnhancer = require('./knowledge/fantasy-enhancer');
@@ -15,6 +15,27 @@ const OfficialInjuryMonitor = require('./monitoring/official-injury-monitor');
 const LiveGameMonitor = require('./monitoring/live-game-monitor');
 const DiscordNotifier = require('./notifications/discord-notifier');
 const TradeAnalyzer = require('./services/trade-analyzer');
+const DraftSessionManager = require('./services/draft-session-manager');
+const DraftRepository = require('./database/draft-repository');
+const TransactionRepository = require('./database/transaction-repository');
+const RosterRequirements = require('./services/roster-requirements');
+const VBDEngine = require('./services/vbd-engine');
+const AuctionEngine = require('./services/auction-engine');
+const KeeperAnalyzer = require('./services/keeper-analyzer');
+const MockDraftEngine = require('./services/mock-draft-engine');
+const AvailabilityForecaster = require('./services/availability-forecaster');
+const DraftStrategyLab = require('./services/draft-strategy-lab');
+const DraftRecap = require('./services/draft-recap');
+const DynastyValueModel = require('./services/dynasty-value-model');
+const LeagueRegistry = require('./services/league-registry');
+const LineupOptimizer = require('./services/lineup-optimizer');
+const WaiverEngine = require('./services/waiver-engine');
+const TransactionMonitor = require('./services/transaction-monitor');
+const SeasonSimulator = require('./services/season-simulator');
+const MatchupPreviewer = require('./services/matchup-previewer');
+const LiveScoreboard = require('./services/live-scoreboard');
+const PickRelay = require('./services/pick-relay');
+const { ValidationError } = require('./utils/validation');
 const { handleSlashCommand } = require('./discord/slash-commands');
 const { registerSlashCommands } = require('./discord/register-commands');
 const winston = require('winston');
@@ -55,7 +76,6 @@ class DiscordAIBot {
     this.depthChartMonitor = new DepthChartMonitor(this.discordNotifier);
     this.officialInjuryMonitor = new OfficialInjuryMonitor(this.discordNotifier);
     this.liveGameMonitor = new LiveGameMonitor();
-    this.scheduledNotifications = new ScheduledNotifications(this.injuryMonitor);
     this.tradeAnalyzer = new TradeAnalyzer();
     
     // Bot configuration
@@ -69,8 +89,26 @@ class DiscordAIBot {
       'newsarticles'
     ];
     
-    // Draft state for manual tracking
-    this.draftState = null;
+    // Manual draft boards, one per guild/channel and league, persisted to fantasy.db
+    this.draftSessions = new DraftSessionManager(new DraftRepository());
+    // League moves recorded by the API server's transaction monitors (shared fantasy.db)
+    this.transactions = new TransactionRepository();
+    // Offline mock drafts against ADP bots, one per user per guild/channel (kept in memory)
+    this.mockDrafts = new Map();
+    // Registered leagues (data/leagues.json); each has its own roster slots, scoring and stats
+    this.leagues = LeagueRegistry.load();
+    // Live fantasy scoreboards, one per league, fed by the live game monitor's box scores
+    this.liveScoreboards = new Map();
+    this.lineupOptimizer = new LineupOptimizer({
+      requirements: this.getLeagueContext().rosterRequirements,
+      valueModel: this.tradeAnalyzer.valueModel
+    });
+    this.scheduledNotifications = new ScheduledNotifications(this.injuryMonitor, {
+      leagues: this.leagues,
+      valueModel: this.tradeAnalyzer.valueModel,
+      espnClient: this.tradeAnalyzer.espnClient,
+      getInjuryReports: () => this.getInjuryReports()
+    });
     
     this.setupEventHandlers();
   }
@@ -585,6 +623,9 @@ Respond in JSON format for Discord embeds.`;
     }
 
     try {
+      // Bring back any draft boards that were in progress before a restart
+      await this.restoreDraftSessions();
+      
       await this.client.login(this.botToken);
       
       // Start Twitter monitoring and learning
@@ -620,6 +661,18 @@ Respond in JSON format for Discord embeds.`;
     }
   }
 
+  async restoreDraftSessions() {
+    try {
+      const restored = await this.draftSessions.hydrate();
+      if (restored > 0) {
+        logger.info(`🗂️ Rehydrated ${restored} active draft session(s)`);
+      }
+    } catch (error) {
+      // Keep running with in-memory sessions if the database is unavailable
+      logger.error('Failed to restore draft sessions:', error.message);
+    }
+  }
+
   async startTwitterLearning() {
     try {
       // Start Twitter monitoring for real-time updates
@@ -648,7 +701,11 @@ Respond in JSON format for Discord embeds.`;
       const leagueIdMatch = question.match(/(\d{9,12})/);
       const leagueId = leagueIdMatch ? leagueIdMatch[1] : null;
 
-      const result = await this.draftAnalyzer.startDraftSession(leagueId, message.author.id);
+      // Registered leagues connect with their own platform client and credentials
+      const league = leagueId ? this.leagues.findByLeagueId(leagueId) : this.getLeagueContext(message).league;
+      const client = league ? this.leagues.getContext(league).client : null;
+
+      const result = await this.draftAnalyzer.startDraftSession(leagueId || league?.leagueId, message.author.id, { client });
       
       if (result.success) {
         const embed = new EmbedBuilder()
@@ -815,65 +872,7 @@ Respond in JSON format for Discord embeds.`;
     }
   }
 
-  async handleDotCommand(message, content) {
-    // Handle fast draft commands with dot syntax
-    const command = content.trim();
-    const username = message.author?.username || 'User';
-    
-    console.log(`📝 Processing dot command: "${command}" from ${username}`);
-    console.log(`🔍 FIRST HANDLER: Processing "${command}" from ${username}`);
-    
-    // Initialize draft state if needed
-    if (!this.draftState) {
-      this.draftState = { picks: [], currentPick: 1, userTeam: 2, leagueSize: 8 };
-    }
-    
-    // Parse different dot command formats
-    if (command.startsWith('.my ')) {
-      return await this.handleMyPick(message, command.slice(4), username);
-    } else if (command.startsWith('.force ')) {
-      return await this.handleForcePick(message, command.slice(7), username);
-    } else if (command.startsWith('.p ')) {
-      return await this.handleTeamPick(message, command.slice(3), username);
-    } else if (command.match(/^\.\d+ /)) {
-      return await this.handleNumberedPick(message, command, username);
-    } else if (command.startsWith('.catch ')) {
-      return await this.handleBatchPicks(message, command.slice(7), username);
-    } else if (command === '.who' || command === '.next') {
-      return await this.handleWhoNext(message, username);
-    } else if (command === '.analyze') {
-      return await this.manualAnalysis(this.draftState, username);
-    } else if (command === '.clear') {
-      return this.clearDraft(username);
-    } else if (command.startsWith('.team ')) {
-      return this.setUserTeam(command.slice(6), username);
-    } else if (command.startsWith('.import ')) {
-      return this.importDraftBoard(command.slice(8), username);
-    } else if (command.startsWith('. ')) {
-      return this.importDraftBoard(command.slice(2), username);
-    } else if (command === '.draft' || command === '.status') {
-      return await this.handleDraftStatus(message, username);
-    } else if (command === '.update') {
-      return await this.handleDataUpdate(username);
-    } else if (command.startsWith('.intel ')) {
-      return await this.handleDraftIntelligence(command.slice(7), username);
-    } else if (command === '.intel') {
-      return await this.handleDraftIntelligence(null, username);
-    } else if (command === '.monitor') {
-      return this.getMonitoringStatus();
-    } else if (command === '.news') {
-      console.log(`🔍 DEBUG: .news command detected in main handler for ${username}`);
-      return await this.handleNewsCommand(username);
-    } else if (command.startsWith('.trade')) {
-      return await this.handleTradeCommand(command, username);
-    } else if (command === '.help') {
-      return this.getDotCommandHelp();
-    } else {
-      return "❓ Unknown dot command. Type `.help` for available commands.";
-    }
-  }
-
-  async manualAnalysis(draftState, username) {
+  async manualAnalysis(draftState, username, leagueContext = this.getLeagueContext()) {
     try {
       if (!draftState || draftState.picks.length === 0) {
         return `📊 **MANUAL AI ANALYSIS**
@@ -886,7 +885,7 @@ Respond in JSON format for Discord embeds.`;
 Type \`.help\` for commands.`;
       }
 
-      const teamAnalysis = this.analyzeTeamNeeds(draftState);
+      const teamAnalysis = this.analyzeTeamNeeds(draftState, leagueContext.rosterRequirements);
       const context = this.buildDraftContext(draftState);
       
       const prompt = `🎯 COMPREHENSIVE DRAFT ANALYSIS (Manual Request)
@@ -900,7 +899,10 @@ ${teamAnalysis.needs}
 DRAFT PROGRESS:
 - Total picks made: ${draftState.picks.length}
 - Your picks: ${draftState.picks.filter(p => p.isUser).length}
-- Next pick: #${draftState.currentPick}
+- Next pick: #${draftState.currentPick}${this.describeLeagueType(draftState, leagueContext)}
+
+VALUE BOARD (best available by value over replacement):
+${this.formatValueBoard(this.getValueBoard(draftState, { limit: 15 }, leagueContext))}
 
 Provide detailed analysis:
 1. **ROSTER STRENGTHS:** What positions are you strong at?
@@ -936,13 +938,12 @@ Use ESPN 2025 projections and ADP data. Be specific with player names and strate
     }
   }
 
-  importDraftBoard(text, username) {
+  importDraftBoard(text, username, source) {
     try {
-      if (!this.draftState) {
-        this.draftState = { picks: [], currentPick: 1, userTeam: 2 };
-      }
+      const session = this.draftSessions.resolve(source);
+      const draftState = session.state;
 
-      console.log(`📋 Importing draft board by ${username}`);
+      console.log(`📋 Importing draft board by ${username} into ${session.id}`);
       
       const lines = text.split('\n').filter(line => line.trim());
       let imported = 0;
@@ -968,14 +969,14 @@ Currently imported: ${imported} picks`;
         let pick = null;
         
         // Format 1: Try current line alone first
-        pick = this.parseDraftLine(currentLine);
+        pick = this.parseDraftLine(currentLine, session);
         
         // Format 2: If that fails, check for ESPN R#, P# format (2-line)
         if (!pick && i + 1 < lines.length) {
           const nextLine = lines[i + 1].trim();
-          if (nextLine.match(/R\d+.*P\d+.*-/)) {
+          if (nextLine.match(/R\d+.*P\d+.*-/) || nextLine.match(/^\$\s?\d+\s*-/)) {
             const combinedLine = `${currentLine}\n${nextLine}`;
-            pick = this.parseDraftLine(combinedLine);
+            pick = this.parseDraftLine(combinedLine, session);
             if (pick) {
               i++; // Skip the next line since we used it
             }
@@ -989,7 +990,7 @@ Currently imported: ${imported} picks`;
           const line4 = lines[i + 3]?.trim();
           
           if (line2 && line3 && line4) {
-            pick = this.parse4LineFormat(currentLine, line2, line3, line4);
+            pick = this.parse4LineFormat(currentLine, line2, line3, line4, session);
             if (pick) {
               i += 3; // Skip the next 3 lines since we used them
             }
@@ -997,23 +998,25 @@ Currently imported: ${imported} picks`;
         }
         
         if (pick) {
-          this.draftState.picks.push(pick);
+          this.draftSessions.recordPick(session, pick, 'import');
           imported++;
-          this.draftState.currentPick = Math.max(this.draftState.currentPick, pick.pick + 1);
-        } else if (currentLine && !currentLine.match(/R\d+.*P\d+.*-/) && !currentLine.match(/^(QB|RB|WR|TE|K|D\/ST)$/)) {
+        } else if (currentLine && !currentLine.match(/R\d+.*P\d+.*-/) && !currentLine.match(/^\$\s?\d+\s*-/) && !currentLine.match(/^(QB|RB|WR|TE|K|D\/ST)$/)) {
           // Only add to errors if it's not a pick info line or position line
           errors.push(currentLine);
         }
       }
 
-      const { round, pickInRound } = this.getRoundAndPick(this.draftState.currentPick, this.draftState.leagueSize);
+      const { round, pickInRound } = this.getRoundAndPick(draftState.currentPick, draftState.leagueSize);
       
       // Show your picks
-      const userPicks = this.draftState.picks.filter(pick => pick.isUser);
+      const userPicks = draftState.picks.filter(pick => pick.isUser);
       let yourPicksText = '';
       if (userPicks.length > 0) {
-        yourPicksText = `\n\n🎯 **YOUR PICKS (Team ${this.draftState.userTeam}):**\n${userPicks.map(pick => {
-          const { round: pRound, pickInRound: pPick } = this.getRoundAndPick(pick.pick, this.draftState.leagueSize);
+        yourPicksText = `\n\n🎯 **YOUR PICKS (Team ${draftState.userTeam}):**\n${userPicks.map(pick => {
+          if (draftState.format === 'auction') {
+            return `• $${pick.bid ?? '?'}: ${pick.player} (${pick.position}, ${pick.nflTeam})`;
+          }
+          const { round: pRound, pickInRound: pPick } = this.getRoundAndPick(pick.pick, draftState.leagueSize);
           return `• R${pRound}, P${pPick}: ${pick.player} (${pick.position}, ${pick.nflTeam})`;
         }).join('\n')}`;
       }
@@ -1021,7 +1024,9 @@ Currently imported: ${imported} picks`;
       let result = `📋 **DRAFT BOARD IMPORTED**
 
 ✅ **${imported} picks imported successfully**
-📊 **Current pick:** #${this.draftState.currentPick} (Rnd ${round}, Pick ${pickInRound})${yourPicksText}`;
+📊 **${draftState.format === 'auction'
+    ? `Players sold:** ${draftState.picks.length}`
+    : `Current pick:** #${draftState.currentPick} (Rnd ${round}, Pick ${pickInRound})`}${yourPicksText}`;
 
       if (errors.length > 0 && errors.length <= 3) {
         result += `\n\n⚠️ **Could not parse:**\n${errors.map(e => `• ${e}`).join('\n')}`;
@@ -1039,7 +1044,61 @@ Currently imported: ${imported} picks`;
     }
   }
 
-  parse4LineFormat(playerName, nflTeam, position, draftTeam) {
+  /**
+   * Picks relayed by the Chrome extension (PickRelay 'picks' batches). They land on every active
+   * session opened for the extension's league (\`.session new <leagueId>\`); picks already on a board
+   * are skipped, so relays and manual \`.p\`/\`.import\` entries don't double up. Auction batches
+   * switch the session to auction mode and carry the winning bids.
+   */
+  recordRelayedPicks({ leagueId, leagueSize, userTeam, format, budget, picks }) {
+    const league = this.draftSessions.normalizeLeagueId(leagueId);
+    const sessions = this.draftSessions.getActiveSessions().filter(session => session.leagueId === league);
+    if (sessions.length === 0) {
+      logger.warn(`Relayed picks for league ${leagueId} ignored: no active session (use .session new ${leagueId})`);
+      return 0;
+    }
+
+    let recorded = 0;
+    sessions.forEach(session => {
+      const draftState = session.state;
+      if ((leagueSize && leagueSize !== draftState.leagueSize) || (userTeam && userTeam !== draftState.userTeam)) {
+        draftState.leagueSize = leagueSize || draftState.leagueSize;
+        draftState.userTeam = userTeam || draftState.userTeam;
+        this.draftSessions.touch(session);
+      }
+      if (format === 'auction' && (draftState.format !== 'auction' || (budget && budget !== draftState.budget))) {
+        draftState.format = 'auction';
+        draftState.budget = budget || draftState.budget || AuctionEngine.DEFAULT_BUDGET;
+        this.draftSessions.touch(session);
+      }
+
+      const onBoard = new Set(draftState.picks.map(pick => pick.pick));
+      picks.filter(relayed => !onBoard.has(relayed.overall)).forEach(relayed => {
+        // Auction sales don't follow the draft order, so the buyer comes from the team name
+        const team = relayed.draftSlot ||
+          (relayed.teamName ? this.parseTeamName(relayed.teamName, session) : null) ||
+          (draftState.format === 'auction' ? null : PickRelay.draftSlot(relayed.overall, draftState.leagueSize));
+        this.draftSessions.recordPick(session, {
+          player: relayed.player,
+          position: relayed.position || '',
+          nflTeam: relayed.nflTeam || '',
+          team,
+          pick: relayed.overall,
+          timestamp: new Date(),
+          isUser: relayed.isUserPick || (team !== null && team === draftState.userTeam),
+          ...(relayed.teamName ? { teamName: relayed.teamName } : {}),
+          ...(typeof relayed.bid === 'number' ? { bid: relayed.bid } : {}),
+          relayed: true
+        }, 'extension');
+        recorded++;
+      });
+    });
+
+    logger.info(`🧩 Recorded ${recorded} relayed pick(s) across ${sessions.length} session(s) for league ${leagueId}`);
+    return recorded;
+  }
+
+  parse4LineFormat(playerName, nflTeam, position, draftTeam, session) {
     // Format: 4-line ESPN format
     // Line 1: Bijan Robinson
     // Line 2: Atl  
@@ -1052,8 +1111,8 @@ Currently imported: ${imported} picks`;
     const validPositions = ['QB', 'RB', 'WR', 'TE', 'K', 'D/ST', 'DST'];
     if (!validPositions.includes(position.toUpperCase())) return null;
     
-    const teamNumber = this.parseTeamName(draftTeam);
-    const pickNumber = this.draftState.picks.length + 1;
+    const teamNumber = this.parseTeamName(draftTeam, session);
+    const pickNumber = session.state.picks.length + 1;
     
     return {
       player: playerName.trim(),
@@ -1062,22 +1121,27 @@ Currently imported: ${imported} picks`;
       team: teamNumber,
       pick: pickNumber,
       timestamp: new Date(),
-      isUser: teamNumber === this.draftState.userTeam || draftTeam.toLowerCase().includes("baron's best team"),
+      isUser: teamNumber === session.state.userTeam || draftTeam.toLowerCase().includes("baron's best team"),
+      teamName: draftTeam.trim(),
       imported: true,
       format: '4-line'
     };
   }
 
-  parseDraftLine(line) {
+  parseDraftLine(line, session) {
     // Handle multiple formats:
     // Format 1: "Bijan Robinson / Atl RB\nR1, P1 - Michael's Monstrous Team"
     // Format 2: "1. Christian McCaffrey (RB, SF) - Team 1"  
     // Format 3: "Josh Allen QB BUF - Team 2"
+    // Auction boards add the winning bid: "Josh Allen QB BUF - Team 2 $45", or in ESPN style
+    // "Bijan Robinson / Atl RB\n$62 - Michael's Monstrous Team"
+    const { text, bid } = this.extractBid(line);
+    line = text;
 
-    let player = '', position = '', team = '', pickNum = 1, draftTeam = 1;
+    let player = '', position = '', team = '', pickNum = 1, draftTeam = 1, draftTeamName = null;
 
-    // Format 1: ESPN style with R#, P# - TeamName
-    if (line.includes(' / ') && line.includes('R') && line.includes('P')) {
+    // Format 1: ESPN style with R#, P# - TeamName (or $bid - TeamName)
+    if (line.includes(' / ') && ((line.includes('R') && line.includes('P')) || bid !== null)) {
       const parts = line.split('\n');
       if (parts.length >= 2) {
         // Parse player: "Bijan Robinson / Atl RB"
@@ -1100,13 +1164,16 @@ Currently imported: ${imported} picks`;
           const round = parseInt(roundMatch[1]);
           const pickInRound = parseInt(pickMatch[1]);
           // Calculate absolute pick number: (Round - 1) × LeagueSize + PickInRound
-          const leagueSize = this.draftState?.leagueSize || 8;
+          const leagueSize = session.state.leagueSize || 8;
           pickNum = (round - 1) * leagueSize + pickInRound;
+        } else {
+          pickNum = session.state.picks.length + 1;
         }
 
-        const teamMatch = pickLine.match(/- (.+)$/);
+        const teamMatch = pickLine.match(/-\s*(.+)$/);
         if (teamMatch) {
-          draftTeam = this.parseTeamName(teamMatch[1]);
+          draftTeamName = teamMatch[1].trim();
+          draftTeam = this.parseTeamName(draftTeamName, session);
         }
       }
     }
@@ -1129,7 +1196,7 @@ Currently imported: ${imported} picks`;
         position = match[2].toUpperCase();
         team = match[3].toUpperCase();
         draftTeam = parseInt(match[4]);
-        pickNum = this.draftState.picks.length + 1;
+        pickNum = session.state.picks.length + 1;
       }
     }
 
@@ -1141,7 +1208,9 @@ Currently imported: ${imported} picks`;
         team: draftTeam,
         pick: pickNum,
         timestamp: new Date(),
-        isUser: draftTeam === this.draftState.userTeam || teamMatch?.[1]?.toLowerCase().includes("baron's best team"),
+        isUser: draftTeam === session.state.userTeam || Boolean(draftTeamName?.toLowerCase().includes("baron's best team")),
+        ...(draftTeamName ? { teamName: draftTeamName } : {}),
+        ...(bid !== null ? { bid } : {}),
         imported: true
       };
     }
@@ -1149,25 +1218,37 @@ Currently imported: ${imported} picks`;
     return null;
   }
 
-  parseTeamName(teamName) {
+  /**
+   * Pull an auction price ("$45") out of a pick line or command
+   * @returns {{text: string, bid: number|null}} the text without the price, and the price
+   */
+  extractBid(text) {
+    const match = String(text || '').match(/(^|\s)\$\s?(\d{1,4})(?=\s|$)/);
+    if (!match) {
+      return { text, bid: null };
+    }
+    return {
+      text: (text.slice(0, match.index + match[1].length) + text.slice(match.index + match[0].length)).replace(/[ \t]{2,}/g, ' ').trim(),
+      bid: parseInt(match[2], 10)
+    };
+  }
+
+  parseTeamName(teamName, session) {
     const key = teamName.toLowerCase().trim();
     
-    // Dynamic team mapping based on order of appearance
-    if (!this.teamNameMap) {
-      this.teamNameMap = {};
-      this.nextTeamNumber = 1;
-    }
+    // Dynamic team mapping based on order of appearance, kept per session
+    const teamNameMap = session.teamNameMap;
     
     // Check if we already mapped this team name
-    if (this.teamNameMap[key]) {
-      return this.teamNameMap[key];
+    if (teamNameMap[key]) {
+      return teamNameMap[key];
     }
     
     // Check for explicit team numbers first
     const teamNumberMatch = key.match(/team\s*(\d+)/);
     if (teamNumberMatch) {
       const teamNum = parseInt(teamNumberMatch[1]);
-      this.teamNameMap[key] = teamNum;
+      teamNameMap[key] = teamNum;
       return teamNum;
     }
     
@@ -1179,31 +1260,29 @@ Currently imported: ${imported} picks`;
     };
     
     if (knownTeams[key]) {
-      this.teamNameMap[key] = knownTeams[key];
+      teamNameMap[key] = knownTeams[key];
       return knownTeams[key];
     }
     
     // Auto-assign new team number based on draft order
-    const assignedNumber = this.nextTeamNumber++;
-    this.teamNameMap[key] = assignedNumber;
+    const assignedNumber = session.nextTeamNumber++;
+    teamNameMap[key] = assignedNumber;
     
     console.log(`📝 Auto-assigned team "${teamName}" as Team ${assignedNumber}`);
     return assignedNumber;
   }
 
-  setUserTeam(teamNumber, username) {
+  setUserTeam(teamNumber, username, source) {
     const team = parseInt(teamNumber);
     if (isNaN(team) || team < 1 || team > 12) {
       return `❌ Invalid team number. Use 1-12.\nExample: \`.team 2\``;
     }
     
-    if (!this.draftState) {
-      this.draftState = { picks: [], currentPick: 1, userTeam: team };
-    } else {
-      this.draftState.userTeam = team;
-    }
+    const session = this.draftSessions.resolve(source);
+    session.state.userTeam = team;
+    this.draftSessions.touch(session);
     
-    console.log(`👤 Team number set to ${team} by ${username}`);
+    console.log(`👤 Team number set to ${team} by ${username} in ${session.id}`);
     
     return `✅ **TEAM NUMBER SET**
 
@@ -1219,21 +1298,26 @@ Continue drafting! 🎯`;
     return { round, pickInRound };
   }
 
-  clearDraft(username) {
-    this.draftState = { picks: [], currentPick: 1, userTeam: 2, leagueSize: 8 };
+  clearDraft(username, source) {
+    const session = this.draftSessions.resolve(source);
+    this.draftSessions.reset(session);
+    // Declared keepers go straight back on the board, as when the league was opened
+    const keepers = this.loadLeagueKeepers(session, this.getLeagueContext(source));
+    const { currentPick, leagueSize, userTeam } = session.state;
+    const { round, pickInRound } = this.getRoundAndPick(currentPick, leagueSize);
     
-    console.log(`🗑️ Draft cleared by ${username}`);
+    console.log(`🗑️ Draft ${session.id} cleared by ${username}`);
     
     return `🗑️ **DRAFT RESET**
 
-✅ All picks cleared!
+✅ All picks cleared from session \`${session.leagueId}\`
 ✅ Draft state reset to beginning
 ✅ Ready for fresh start
 
 **Current Status:**
-- Pick #1 ready (Rnd 1, Pick 1)
-- Team: 2 (Your Team)
-- No players drafted
+- Pick #${currentPick} ready (Rnd ${round}, Pick ${pickInRound})
+- Team: ${userTeam} (Your Team)
+- ${keepers > 0 ? `${keepers} keepers back on the board` : 'No players drafted'}
 
 Start fresh with \`.my PlayerName\` or \`.help\` for commands.
 Use \`.team #\` to change your team number.
@@ -1243,6 +1327,8 @@ Use \`.team #\` to change your team number.
 
   async handleForcePick(message, input, username) {
     try {
+      const session = this.draftSessions.resolve(message);
+      const draftState = session.state;
       const parts = input.trim().split(' ');
       if (parts.length < 3) {
         return `❌ **Invalid force format!**
@@ -1259,23 +1345,25 @@ Example: \`.force John Smith RB FA\``;
         player: playerName,
         position: position,
         nflTeam: team,
-        team: this.draftState.userTeam,
-        pick: this.draftState.currentPick,
+        team: draftState.userTeam,
+        pick: draftState.currentPick,
         timestamp: new Date(),
         isUser: true,
         isForced: true
       };
       
-      this.draftState.picks.push(pick);
-      this.draftState.currentPick++;
+      this.draftSessions.recordPick(session, pick, 'force');
       
-      console.log(`🔧 Force pick recorded: ${playerName} for team ${this.draftState.userTeam}`);
+      console.log(`🔧 Force pick recorded: ${playerName} for team ${draftState.userTeam} in ${session.id}`);
       
-      const analysis = await this.generatePickAnalysis(pick, this.draftState);
+      const analysis = await this.generatePickAnalysis(pick, draftState, this.getLeagueContext(message));
+      this.draftSessions.recordRecommendations(session, pick.pick, [
+        { player: pick.player, position: pick.position, reasoning: analysis }
+      ]);
       
       return `🔧 **FORCE PICK RECORDED!**
 **Pick #${pick.pick}:** ${playerName} (${position}, ${team})
-**Team:** ${this.draftState.userTeam} (Your Team)
+**Team:** ${draftState.userTeam} (Your Team)
 ⚠️ **Override:** Player not in database, manually added
 
 ${analysis}
@@ -1290,6 +1378,11 @@ Type \`.who\` for next recommendations.`;
 
   async handleMyPick(message, playerName, username) {
     try {
+      const session = this.draftSessions.resolve(message);
+      const draftState = session.state;
+      const { text, bid } = this.extractBid(playerName);
+      playerName = text;
+
       // Validate player name
       const validationResult = await this.validatePlayer(playerName.trim());
       if (!validationResult.isValid) {
@@ -1311,19 +1404,22 @@ Type \`.help\` for examples.`;
       const pick = {
         player: validationResult.correctName,
         position: validationResult.position,
-        team: this.draftState.userTeam,
-        pick: this.draftState.currentPick,
+        team: draftState.userTeam,
+        pick: draftState.currentPick,
         timestamp: new Date(),
-        isUser: true
+        isUser: true,
+        ...(bid !== null ? { bid } : {})
       };
       
-      this.draftState.picks.push(pick);
-      this.draftState.currentPick++;
+      this.draftSessions.recordPick(session, pick, 'my');
       
-      console.log(`✅ User pick recorded: ${validationResult.correctName} for team ${this.draftState.userTeam}`);
+      console.log(`✅ User pick recorded: ${validationResult.correctName} for team ${draftState.userTeam} in ${session.id}`);
       
       // Generate AI response with next recommendations
-      const analysis = await this.generatePickAnalysis(pick, this.draftState);
+      const analysis = await this.generatePickAnalysis(pick, draftState, this.getLeagueContext(message));
+      this.draftSessions.recordRecommendations(session, pick.pick, [
+        { player: pick.player, position: pick.position, reasoning: analysis }
+      ]);
       
       // Add rich ESPN data to the response
       let enrichedInfo = '';
@@ -1350,7 +1446,7 @@ Type \`.help\` for examples.`;
 
       return `🎯 **YOUR PICK RECORDED!**
 **Pick #${pick.pick}:** ${validationResult.correctName} (${validationResult.position}, ${validationResult.nflTeam})
-**Team:** ${this.draftState.userTeam} (Your Team)${enrichedInfo}
+**Team:** ${draftState.userTeam} (Your Team)${this.describeSale(draftState, pick, message)}${enrichedInfo}
 
 ${analysis}
 
@@ -1364,8 +1460,12 @@ Type \`.who\` for next pick suggestions!`;
 
   async handleTeamPick(message, content, username) {
     try {
-      // Parse "PlayerName t3" format
-      const parts = content.trim().split(' ');
+      const session = this.draftSessions.resolve(message);
+      const draftState = session.state;
+
+      // Parse "PlayerName t3" format, with an optional auction price ("PlayerName $45 t3")
+      const { text, bid } = this.extractBid(content.trim());
+      const parts = text.split(' ');
       if (parts.length < 2) {
         return "❓ Format: `.p PlayerName t3` (player name then team number)";
       }
@@ -1393,15 +1493,15 @@ ${validationResult.suggestion || 'Player not found in NFL database.'}
         player: validationResult.correctName,
         position: validationResult.position,
         team: teamNumber,
-        pick: this.draftState.currentPick,
+        pick: draftState.currentPick,
         timestamp: new Date(),
-        isUser: false
+        isUser: false,
+        ...(bid !== null ? { bid } : {})
       };
       
-      this.draftState.picks.push(pick);
-      this.draftState.currentPick++;
+      this.draftSessions.recordPick(session, pick, 'team');
       
-      console.log(`📊 Team pick recorded: ${validationResult.correctName} for team ${teamNumber}`);
+      console.log(`📊 Team pick recorded: ${validationResult.correctName} for team ${teamNumber} in ${session.id}`);
       
       // Add ESPN data for team picks too
       let teamPickInfo = '';
@@ -1412,9 +1512,9 @@ ${validationResult.suggestion || 'Player not found in NFL database.'}
       // Quick confirmation
       return `📊 **PICK RECORDED**
 **Pick #${pick.pick}:** ${validationResult.correctName} (${validationResult.position}, ${validationResult.nflTeam})
-**Team:** ${teamNumber}${teamPickInfo}
+**Team:** ${teamNumber}${this.describeSale(draftState, pick, message)}${teamPickInfo}
 
-${this.draftState.picks.length} total picks recorded. Type \`.who\` when it's your turn!`;
+${draftState.picks.length} total picks recorded. Type \`.who\` when it's your turn!`;
 
     } catch (error) {
       console.error('Error handling team pick:', error);
@@ -1437,16 +1537,24 @@ ${this.draftState.picks.length} total picks recorded. Type \`.who\` when it's yo
   }
 
   async handleWhoNext(message, username) {
-    if (!this.draftState || this.draftState.picks.length === 0) {
+    const session = this.draftSessions.resolve(message);
+    const draftState = session.state;
+    if (draftState.format === 'auction') {
+      return await this.handleNominateCommand(message);
+    }
+    if (draftState.picks.length === 0) {
       return "❓ No draft in progress. Record some picks first with `.my PlayerName` or `.p PlayerName t3`";
     }
     
     try {
-      const recommendations = await this.generateCurrentRecommendations(this.draftState);
+      const leagueContext = this.getLeagueContext(message);
+      const recommendations = await this.generateCurrentRecommendations(draftState, leagueContext);
+      this.draftSessions.recordRecommendations(session, draftState.currentPick, [{ reasoning: recommendations }]);
+      const forecast = this.formatAvailabilityForecast(draftState, leagueContext);
       return `🤖 **PICK RECOMMENDATIONS**
 
 ${recommendations}
-
+${forecast ? `\n${forecast}\n` : ''}
 **Quick Commands:**
 \`\`.my PlayerName\`\` - Record your pick
 \`\`.p PlayerName t3\`\` - Record team 3's pick`;
@@ -1457,256 +1565,1041 @@ ${recommendations}
     }
   }
 
+  /**
+   * Who of the best available players should still be there at the user's next pick, or null
+   * when the session has no draft slot to forecast for
+   */
+  formatAvailabilityForecast(draftState, leagueContext = this.getLeagueContext()) {
+    if (!draftState.userTeam || draftState.userTeam > draftState.leagueSize) {
+      return null;
+    }
+
+    const rosters = {};
+    draftState.picks.forEach(pick => {
+      const team = Number(pick.team);
+      if (team) {
+        (rosters[team] = rosters[team] || []).push(pick);
+      }
+    });
+
+    const forecaster = new AvailabilityForecaster({
+      roster: leagueContext.rosterRequirements,
+      leagueSize: draftState.leagueSize
+    });
+    const forecast = forecaster.forecast({
+      available: this.getValueBoard(draftState, { limit: Infinity }, leagueContext).players,
+      rosters,
+      currentPick: draftState.currentPick,
+      userTeam: draftState.userTeam,
+      onTheClock: MockDraftEngine.teamForPick(draftState.currentPick, draftState.leagueSize) === draftState.userTeam,
+      limit: 8
+    });
+    if (forecast.players.length === 0) {
+      return null;
+    }
+
+    return `🔮 **STILL THERE AT PICK #${forecast.nextPick}?** (${forecast.picksUntil} picks away)
+${AvailabilityForecaster.formatLines(forecast).join('\n')}`;
+  }
+
   async handleDraftStatus(message, username) {
-    if (!this.draftState) {
+    const session = this.draftSessions.resolve(message);
+    const draftState = session.state;
+    if (draftState.picks.length === 0) {
       return "❓ No draft in progress. Start with `.my PlayerName` or `.p PlayerName t3`";
     }
     
-    const userPicks = this.draftState.picks.filter(pick => pick.isUser);
-    const totalPicks = this.draftState.picks.length;
+    // Keepers sit in later rounds, so list by pick number rather than by when they were entered
+    const userPicks = draftState.picks.filter(pick => pick.isUser).sort((a, b) => a.pick - b.pick);
+    const totalPicks = draftState.picks.length;
     
-    return `📊 **DRAFT STATUS**
+    return `📊 **DRAFT STATUS** (session \`${session.leagueId}\`)
 
 **Total Picks:** ${totalPicks}
 **Your Picks:** ${userPicks.length}
-**Next Pick:** #${this.draftState.currentPick}
+**Next Pick:** #${draftState.currentPick}
 
 **Your Team:**
-${userPicks.map(pick => `${pick.pick}. ${pick.player}`).join('\n') || 'No picks yet'}
+${userPicks.map(pick => `${pick.pick}. ${pick.player}${pick.keeper ? ' 🔒' : ''}`).join('\n') || 'No picks yet'}
 
 Type \`.who\` for recommendations!`;
   }
 
-  getDotCommandHelp() {
-    return `⚡ **FAST DRAFT COMMANDS**
-
-**Record Picks:**
-\`\`.my McCaffrey\`\` - Your pick
-\`\`.force Unknown Player RB FA\`\` - Force unknown player
-\`\`.p Jefferson t2\`\` - Team 2 picks Jefferson  
-\`\`.3 Adams\`\` - Team 3 picks Adams
-
-**AI Analysis:**
-\`\`.who\`\` or \`\`.next\`\` - AI recommendations  
-\`\`.analyze\`\` - Manual comprehensive analysis
-\`\`.status\`\` - Draft summary
-
-**Intelligence:**
-\`\`.update\`\` - Update all data sources
-\`\`.intel [player]\`\` - Player intelligence report
-\`\`.news\`\` - Send news update to #newsarticles
-\`\`.monitor\`\` - System monitoring status
-
-**Utility:**
-\`\`.team #\`\` - Set your team number (1-12)
-\`\`. [paste]\`\` - Import ESPN draft board (just . then paste)
-\`\`.clear\`\` - Reset draft (fresh start)
-\`\`.help\`\` - This help
-
-**Example:** 
-\`\`.my Travis Kelce\`\` → Records pick & AI advice
-\`\`.analyze\`\` → Full team analysis
-\`\`.clear\`\` → Start over clean`;
-  }
-
-  async generatePickAnalysis(pick, draftState) {
-    try {
-      const context = this.buildDraftContext(draftState);
-      const teamAnalysis = this.analyzeTeamNeeds(draftState);
-      
-      const prompt = `🎯 LIVE DRAFT ANALYSIS for Pick #${pick.pick}: ${pick.player}
-
-CURRENT TEAM COMPOSITION:
-${teamAnalysis.rosterBreakdown}
+  /**
+   * Available players for a session ranked by value over replacement under its league's roster and
+   * scoring settings
+   */
+  getValueBoard(draftState, options = {}, leagueContext = this.getLeagueContext()) {
+    const vbd = new VBDEngine({
+      roster: leagueContext.rosterRequirements,
+      scoring: leagueContext.scoring,
+      leagueSize: draftState.leagueSize
+    });
+    return vbd.buildBoard({ drafted: draftState.picks.map(pick => pick.player), ...options });
+  }
 
-TEAM NEEDS ANALYSIS:
-${teamAnalysis.needs}
+  formatValueBoard(board) {
+    return board.players.map(player =>
+      `${player.rank}. ${player.name} (${RosterRequirements.displayName(player.position)}${player.team ? `, ${player.team}` : ''}) - ` +
+      `VOR ${player.vor}, ${player.projectedPoints} pts, tier ${player.tier}${player.adp ? `, ADP ${player.adp}` : ''}`
+    ).join('\n');
+  }
 
-PICK EVALUATION:
-Pick: ${pick.player} (${pick.position}) - Pick #${pick.pick}
-Current draft state: ${draftState.picks.length} picks made
+  handleBoardCommand(message, args) {
+    const session = this.draftSessions.resolve(message);
+    let position = null;
+    let limit = 15;
 
-Provide comprehensive analysis:
-1. **VALUE ASSESSMENT:** Was this good value for this round?
-2. **TEAM FIT:** How does this fill your needs?
-3. **ROSTER GAPS:** What positions are you still missing?
-4. **NEXT TARGETS:** Top 3 positions to target next with specific player suggestions
-5. **STRATEGY:** Should you pivot strategy based on current roster?
+    args.split(/\s+/).filter(Boolean).forEach(arg => {
+      if (/^\d+$/.test(arg)) {
+        limit = Math.min(parseInt(arg, 10), 40);
+      } else {
+        position = arg;
+      }
+    });
 
-Use ESPN ADP data and 2025 projections for recommendations. Be specific with player names.
-Keep sections clear with bold headers. Max 8 sentences total.`;
+    if (session.state.format === 'auction') {
+      const auctionBoard = this.getAuctionEngine(session.state, this.getLeagueContext(message))
+        .buildBoard({ picks: session.state.picks, position, limit });
+      if (auctionBoard.players.length > 0) {
+        return `💰 **AUCTION VALUES** (session \`${session.leagueId}\`, $${auctionBoard.budget} x ${auctionBoard.leagueSize} teams, inflation ${auctionBoard.inflation}x)
 
-      const analysis = await this.claude.makeRequest([{
-        role: 'user',
-        content: prompt
-      }], this.buildFantasyPrompt('', context, 'User'));
+${this.formatAuctionBoard(auctionBoard)}
 
-      console.log('🔍 Claude Analysis Response:', JSON.stringify(analysis, null, 2));
-      
-      // Handle different response formats
-      if (typeof analysis === 'string') {
-        return analysis;
+Values split the league's money by VOR; the first price is adjusted for money and value left.`;
       }
-      
-      return analysis.content?.[0]?.text || analysis.text || analysis.message || 'Good pick! Keep building your team.';
+    }
 
-    } catch (error) {
-      console.error('Error generating pick analysis:', error);
-      return 'Pick recorded! Type `.who` for next recommendations.';
+    const board = this.getValueBoard(session.state, { position, limit }, this.getLeagueContext(message));
+    if (board.players.length === 0) {
+      return `❓ No available players found${position ? ` at ${position.toUpperCase()}` : ''}. Try \`.board\` or \`.board RB 20\``;
     }
+
+    const replacement = Object.entries(board.replacementLevels)
+      .map(([pos, level]) => `${RosterRequirements.displayName(pos)} ${level.points}`)
+      .join(' | ');
+
+    return `📋 **VALUE BOARD** (session \`${session.leagueId}\`, ${board.leagueSize} teams, ${board.scoring})
+
+${this.formatValueBoard(board)}
+
+**Replacement level:** ${replacement}
+VOR = projected points above the first non-starter at the position.`;
   }
 
-  async generateCurrentRecommendations(draftState) {
-    try {
-      const context = this.buildDraftContext(draftState);
-      const userPicks = draftState.picks.filter(pick => pick.isUser);
-      
-      // Get recent Twitter insights for enhanced analysis
-      const twitterInsights = this.twitterMonitor.getDraftRelevantInsights(null, 180); // Last 3 hours
-      
-      let twitterContext = '';
-      if (twitterInsights && (twitterInsights.critical_news.length > 0 || twitterInsights.injury_updates.length > 0)) {
-        twitterContext = `\n\nRECENT BREAKING NEWS (Last 3 hours):
-${twitterInsights.critical_news.slice(0, 3).map(item => `- ${item.content}`).join('\n')}
-${twitterInsights.injury_updates.slice(0, 2).map(item => `- ${item.content}`).join('\n')}
+  /**
+   * Auction values for a session's league, budget and team count
+   */
+  getAuctionEngine(draftState, leagueContext = this.getLeagueContext()) {
+    return new AuctionEngine({
+      budget: draftState.budget,
+      roster: leagueContext.rosterRequirements,
+      scoring: leagueContext.scoring,
+      leagueSize: draftState.leagueSize
+    });
+  }
 
-Factor this into recommendations.`;
+  formatTeamBudgets(teams, userTeam) {
+    return teams.map(team =>
+      `${team.team === userTeam ? '👤 ' : ''}Team ${team.team}${team.teamName ? ` (${team.teamName})` : ''}: ` +
+      `$${team.remaining} left, ${team.spotsLeft} spots, max bid $${team.maxBid}`
+    ).join('\n');
+  }
+
+  formatAuctionBoard(board) {
+    return board.players.map(player =>
+      `${player.rank}. ${player.name} (${RosterRequirements.displayName(player.position)}${player.team ? `, ${player.team}` : ''}) - ` +
+      `$${player.inflatedValue} (pre-draft $${player.value}), VOR ${player.vor}`
+    ).join('\n');
+  }
+
+  /**
+   * Price line for a recorded auction pick: what the buyer paid and has left
+   */
+  describeSale(draftState, pick, source) {
+    if (draftState.format !== 'auction' || typeof pick.bid !== 'number') {
+      return '';
+    }
+    const budget = this.getAuctionEngine(draftState, this.getLeagueContext(source))
+      .getTeamBudgets(draftState.picks)
+      .find(team => team.team === pick.team);
+    return `\n**Price:** $${pick.bid}${budget ? ` (Team ${pick.team}: $${budget.remaining} left, max bid $${budget.maxBid})` : ''}`;
+  }
+
+  // Auction mode for the current session: on [budget], off, or budgets and values
+  handleAuctionCommand(message, args) {
+    const session = this.draftSessions.resolve(message);
+    const draftState = session.state;
+    const [action = '', amount] = args.split(/\s+/).filter(Boolean);
+
+    if (['on', 'start'].includes(action.toLowerCase())) {
+      const budget = amount === undefined ? null : parseInt(amount.replace('$', ''), 10);
+      if (amount !== undefined && (!Number.isInteger(budget) || budget < 1 || budget > 10000)) {
+        return '❓ Format: `.auction on 200` (budget per team in dollars)';
       }
-      
-      const prompt = `Generate pick recommendations for my next draft selection:
+      draftState.format = 'auction';
+      draftState.budget = budget || draftState.budget || AuctionEngine.DEFAULT_BUDGET;
+      this.draftSessions.touch(session);
+      return `💰 **AUCTION MODE ON** (session \`${session.leagueId}\`)
 
-My current roster: ${userPicks.map(p => p.player).join(', ') || 'None yet'}
-Total picks made: ${draftState.picks.length}
-Next pick: #${draftState.currentPick}${twitterContext}
+**Budget:** $${draftState.budget} per team, ${draftState.leagueSize} teams
 
-Based on ESPN 2025 projections and any recent news, recommend 3-4 players I should target next.
-Focus on value and team needs. Keep it concise for live draft.`;
+Record sales with a price: \`.my Bijan Robinson $62\` or \`.p Bijan Robinson $62 t3\`
+\`.nom PlayerName\` - How high to bid on a nominated player
+\`.nominate\` - Who to nominate next`;
+    }
 
-      const recommendations = await this.claude.makeRequest([{
+    if (['off', 'snake'].includes(action.toLowerCase())) {
+      draftState.format = 'snake';
+      this.draftSessions.touch(session);
+      return `🐍 **SNAKE MODE** (session \`${session.leagueId}\`) - picks follow the draft order again.`;
+    }
+
+    if (draftState.format !== 'auction') {
+      return '❓ This session is a snake draft. Use `.auction on [budget]` to switch it to an auction.';
+    }
+
+    const board = this.getAuctionEngine(draftState, this.getLeagueContext(message))
+      .buildBoard({ picks: draftState.picks, limit: 10 });
+
+    return `💰 **AUCTION BOARD** (session \`${session.leagueId}\`, $${board.budget} x ${board.leagueSize} teams, ${board.scoring})
+
+**Inflation:** ${board.inflation}x (${draftState.picks.length} players sold)
+
+**Budgets:**
+${this.formatTeamBudgets(board.teams, draftState.userTeam)}
+
+**Top values left:**
+${this.formatAuctionBoard(board)}`;
+  }
+
+  /**
+   * Short Claude take on an auction decision; null when the AI is unavailable so callers can still
+   * show the numbers
+   */
+  async generateAuctionAdvice(prompt, draftState) {
+    try {
+      const advice = await this.claude.makeRequest([{
         role: 'user',
         content: prompt
-      }], this.buildFantasyPrompt('', context, 'User'));
+      }], this.buildFantasyPrompt('', this.buildDraftContext(draftState), 'User'));
 
-      console.log('🔍 Claude Response:', JSON.stringify(recommendations, null, 2));
-      
-      // Handle different response formats
-      if (typeof recommendations === 'string') {
-        return recommendations;
+      if (typeof advice === 'string') {
+        return advice;
       }
-      
-      return recommendations.content?.[0]?.text || recommendations.text || recommendations.message || 'Focus on best available player for your team needs.';
-
+      return advice.content?.[0]?.text || advice.text || advice.message || null;
     } catch (error) {
-      console.error('Error generating recommendations:', error);
-      return 'Unable to generate recommendations. Pick the best available player!';
+      console.error('Error generating auction advice:', error);
+      return null;
     }
   }
 
-  buildDraftContext(draftState) {
-    const userPicks = draftState.picks.filter(pick => pick.isUser);
-    const recentPicks = draftState.picks.slice(-5);
-    
-    return {
-      totalPicks: draftState.picks.length,
-      userPicks: userPicks,
-      recentPicks: recentPicks,
-      nextPick: draftState.currentPick
-    };
+  // How high to bid on a nominated player
+  async handleBidCommand(message, playerName) {
+    const session = this.draftSessions.resolve(message);
+    const draftState = session.state;
+    if (draftState.format !== 'auction') {
+      return '❓ This session is a snake draft. Use `.auction on [budget]` first.';
+    }
+    if (!playerName || !playerName.trim()) {
+      return '❓ Format: `.bid <player>`';
+    }
+
+    const advice = this.getAuctionEngine(draftState, this.getLeagueContext(message))
+      .recommendBid(playerName, { picks: draftState.picks, userTeam: draftState.userTeam });
+    if (!advice) {
+      return `❓ "${playerName}" isn't on the auction board (already sold or no projection). Try \`.auction\`.`;
+    }
+
+    const { player, need, bid, fairValue, inflation, budget, rivals } = advice;
+    const needText = {
+      starter: 'fills an open starting slot',
+      depth: 'adds depth you still need',
+      surplus: 'position already covered',
+      blocked: 'position at its roster limit'
+    }[need];
+    const rivalText = rivals.length > 0
+      ? rivals.slice(0, 3).map(team => `Team ${team.team} (max $${team.maxBid})`).join(', ')
+      : 'nobody else can go higher';
+
+    const aiAdvice = await this.generateAuctionAdvice(`Auction draft: ${player.name} (${player.position}${player.team ? `, ${player.team}` : ''}) was just nominated.
+
+Inflation-adjusted value: $${fairValue} (pre-draft $${player.value}, inflation ${inflation}x)
+For my roster: ${needText}
+My budget: $${budget.remaining} left, ${budget.spotsLeft} spots to fill, max bid $${budget.maxBid}
+Suggested ceiling: $${bid}
+Rivals who can outbid that: ${rivalText}
+
+In 2-3 sentences: should I push to the ceiling, stop early, or bid just to drive the price up?`, draftState);
+
+    return `💵 **BID ADVICE: ${player.name}** (${RosterRequirements.displayName(player.position)}${player.team ? `, ${player.team}` : ''})
+
+**Value:** $${fairValue} now (pre-draft $${player.value}, inflation ${inflation}x)
+**Roster fit:** ${needText}
+**Bid up to:** ${bid > 0 ? `$${bid}` : "don't bid"}
+**Your budget:** $${budget.remaining} left, ${budget.spotsLeft} spots, max bid $${budget.maxBid}
+**Can outbid you:** ${rivalText}${aiAdvice ? `\n\n${aiAdvice}` : ''}`;
   }
 
-  analyzeTeamNeeds(draftState) {
-    const userPicks = draftState.picks.filter(pick => pick.isUser);
-    const positions = { QB: [], RB: [], WR: [], TE: [], K: [], 'D/ST': [] };
-    
-    // Categorize current picks
-    userPicks.forEach(pick => {
-      const pos = pick.position || 'UNKNOWN';
-      if (positions[pos]) {
-        positions[pos].push(pick.player);
-      }
+  // Who to nominate next in an auction
+  async handleNominateCommand(message) {
+    const session = this.draftSessions.resolve(message);
+    const draftState = session.state;
+    if (draftState.format !== 'auction') {
+      return '❓ This session is a snake draft. Use `.auction on [budget]` first.';
+    }
+
+    const suggestion = this.getAuctionEngine(draftState, this.getLeagueContext(message))
+      .suggestNominations({ picks: draftState.picks, userTeam: draftState.userTeam });
+    const list = players => players.map(player =>
+      `• ${player.name} (${RosterRequirements.displayName(player.position)}) - $${player.inflatedValue}`
+    ).join('\n') || '• none right now';
+
+    const aiAdvice = await this.generateAuctionAdvice(`Auction draft nomination advice. Inflation is ${suggestion.inflation}x.
+My budget: ${suggestion.budget ? `$${suggestion.budget.remaining} left, ${suggestion.budget.spotsLeft} spots, max bid $${suggestion.budget.maxBid}` : 'unknown'}
+
+Expensive players at positions I've covered (nominate to drain rivals' budgets):
+${list(suggestion.drain)}
+
+Cheap players I need (nominate hoping to win at a low price):
+${list(suggestion.bargains)}
+
+In 2-3 sentences: which one should I nominate now and why?`, draftState);
+
+    return `🔨 **NOMINATION IDEAS** (inflation ${suggestion.inflation}x)
+
+**Drain rivals' budgets:**
+${list(suggestion.drain)}
+
+**Sneak through cheap:**
+${list(suggestion.bargains)}${aiAdvice ? `\n\n${aiAdvice}` : ''}
+
+\`.nom PlayerName\` - Bid advice once a player is nominated`;
+  }
+
+  /**
+   * Keeper values for a session's league and team count
+   */
+  getKeeperAnalyzer(draftState, leagueContext = this.getLeagueContext()) {
+    return new KeeperAnalyzer({
+      roster: leagueContext.rosterRequirements,
+      scoring: leagueContext.scoring,
+      leagueSize: draftState.leagueSize
     });
+  }
 
-    // Standard lineup requirements
-    const needs = {
-      QB: Math.max(0, 1 - positions.QB.length),
-      RB: Math.max(0, 2 - positions.RB.length), 
-      WR: Math.max(0, 2 - positions.WR.length),
-      TE: Math.max(0, 1 - positions.TE.length),
-      K: Math.max(0, 1 - positions.K.length),
-      'D/ST': Math.max(0, 1 - positions['D/ST'].length)
-    };
+  /**
+   * Put a declared keeper on a session's board
+   * @returns {{pick: Object}|{error: string}}
+   */
+  addKeeper(session, keeper, analyzer) {
+    const draftState = session.state;
+    const pick = analyzer.toPick(keeper, { userTeam: draftState.userTeam, nextPick: draftState.picks.length + 1 });
+    const onBoard = draftState.picks.find(existing => existing.player.toLowerCase() === pick.player.toLowerCase());
+    if (onBoard) {
+      return { error: `${pick.player} is already on the board (pick #${onBoard.pick}, Team ${onBoard.team})` };
+    }
+    const slotTaken = draftState.format !== 'auction' && draftState.picks.find(existing => existing.pick === pick.pick);
+    if (slotTaken) {
+      return { error: `Team ${pick.team}'s round ${keeper.round} pick (#${pick.pick}) already went to ${slotTaken.player}` };
+    }
 
-    // Build roster breakdown
-    let rosterBreakdown = '';
-    Object.keys(positions).forEach(pos => {
-      const players = positions[pos];
-      if (players.length > 0) {
-        rosterBreakdown += `${pos}: ${players.join(', ')}\n`;
-      } else {
-        rosterBreakdown += `${pos}: EMPTY\n`;
+    this.draftSessions.recordPick(session, pick, 'keeper');
+    return { pick };
+  }
+
+  /**
+   * Keepers from the league's registry entry that aren't on the session's board yet
+   * @returns {number} keepers added
+   */
+  loadLeagueKeepers(session, leagueContext) {
+    const { keepers } = leagueContext.league;
+    if (keepers.length === 0) {
+      return 0;
+    }
+
+    const analyzer = this.getKeeperAnalyzer(session.state, leagueContext);
+    let added = 0;
+    keepers.forEach((entry, index) => {
+      try {
+        const result = this.addKeeper(session, KeeperAnalyzer.normalize(entry, index, session.state.leagueSize), analyzer);
+        if (result.pick) {
+          added++;
+        }
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+        logger.warn(`Skipped keeper ${index + 1} for league ${leagueContext.league.name}: ${error.message}`);
       }
     });
+    return added;
+  }
 
-    // Build needs analysis
-    let needsAnalysis = '';
-    const urgentNeeds = Object.keys(needs).filter(pos => needs[pos] > 0);
-    
-    if (urgentNeeds.length === 0) {
-      needsAnalysis = '✅ Starting lineup complete! Focus on depth and upside picks.';
-    } else {
-      needsAnalysis = `🚨 MISSING: ${urgentNeeds.map(pos => `${needs[pos]} ${pos}`).join(', ')}`;
-      
-      // Add depth recommendations
-      const depthNeeds = [];
-      if (positions.RB.length < 4) depthNeeds.push('RB depth');
-      if (positions.WR.length < 4) depthNeeds.push('WR depth');
-      
-      if (depthNeeds.length > 0) {
-        needsAnalysis += `\n📈 Consider: ${depthNeeds.join(', ')}`;
-      }
+  formatKeeperEvaluation(evaluation) {
+    if (!evaluation.known) {
+      return `❔ ${evaluation.player} - round ${evaluation.round}: no projection or ADP to compare`;
     }
-
-    return {
-      rosterBreakdown: rosterBreakdown,
-      needs: needsAnalysis,
-      positions: positions,
-      urgentNeeds: urgentNeeds
-    };
+    const icon = { keep: '✅', marginal: '🤔', drop: '❌' }[evaluation.verdict];
+    const market = evaluation.basis === 'adp' ? `ADP ${evaluation.adp}` : 'value rank';
+    const saved = evaluation.surplus === 0 ? 'even' : `${evaluation.surplus > 0 ? '+' : ''}${evaluation.surplus} rounds`;
+    return `${icon} ${evaluation.player} (${RosterRequirements.displayName(evaluation.position)}) - costs round ${evaluation.round}, ` +
+      `goes in round ${evaluation.marketRound} by ${market} (${saved}, VOR ${evaluation.vor})`;
   }
 
-  async validatePlayer(playerName) {
-    try {
-      // Load NFL players database
-      const fs = require('fs');
-      const path = require('path');
-      const playersPath = path.join(__dirname, '../data/nfl-players-enriched.json');
-      
-      let players = [];
+  // Keeper commands: list, add, remove, check, load
+  handleKeeperCommand(message, args) {
+    const session = this.draftSessions.resolve(message);
+    const draftState = session.state;
+    const leagueContext = this.getLeagueContext(message);
+    const analyzer = this.getKeeperAnalyzer(draftState, leagueContext);
+    const [action = '', ...rest] = args.split(/\s+/).filter(Boolean);
+    const subcommand = action.toLowerCase();
+    const text = rest.join(' ').trim();
+
+    if (subcommand === 'add') {
+      const { text: withoutBid, bid } = this.extractBid(text);
+      const tokens = withoutBid.split(/\s+/).filter(Boolean);
+      const teamToken = tokens.find(token => /^t\d+$/i.test(token));
+      const roundToken = tokens.find(token => /^r\d+$/i.test(token));
+      const player = tokens.filter(token => token !== teamToken && token !== roundToken).join(' ');
+      if (!player || (!roundToken && bid === null)) {
+        return '❓ Format: `.keeper add <player> t3 r5` (team, round it costs) or `.keeper add <player> t3 $25` in auctions. Team defaults to yours.';
+      }
+
       try {
-        const playersData = fs.readFileSync(playersPath, 'utf8');
-        players = JSON.parse(playersData);
+        const keeper = KeeperAnalyzer.normalize({
+          player,
+          team: teamToken ? parseInt(teamToken.slice(1), 10) : draftState.userTeam,
+          round: roundToken ? parseInt(roundToken.slice(1), 10) : undefined,
+          bid
+        }, 0, draftState.leagueSize);
+        const result = this.addKeeper(session, keeper, analyzer);
+        if (result.error) {
+          return `❌ ${result.error}`;
+        }
+
+        const { pick } = result;
+        const evaluation = keeper.round ? analyzer.evaluate({ player: pick.player, round: keeper.round }) : null;
+        return `🔒 **KEEPER DECLARED** (session \`${session.leagueId}\`)
+
+**${pick.player}** kept by Team ${pick.team}${pick.isUser ? ' (you)' : ''} - ${keeper.round ? `pick #${pick.pick} (round ${keeper.round})` : `$${keeper.bid}`}
+${evaluation ? `${this.formatKeeperEvaluation(evaluation)}\n` : ''}${pick.player} is off the available board. Next pick: #${draftState.currentPick}`;
       } catch (error) {
-        console.warn('Could not load players database:', error.message);
-        // Return valid for now if database unavailable
-        return { isValid: true, correctName: playerName };
+        if (error instanceof ValidationError) {
+          return `❌ Invalid keeper ${error.field.replace(/^keepers\[0\]\./, '')}: expected ${error.expectedType}.`;
+        }
+        throw error;
       }
+    }
 
-      // Direct match (case insensitive)
-      const directMatch = players.find(player => 
-        player.name.toLowerCase() === playerName.toLowerCase()
-      );
-      
-      if (directMatch) {
-        return {
-          isValid: true,
-          correctName: directMatch.name,
-          position: directMatch.position,
-          nflTeam: directMatch.team || directMatch.proTeam,
-          enrichedData: directMatch
-        };
+    if (subcommand === 'remove' || subcommand === 'drop') {
+      const wanted = text.toLowerCase();
+      const keeper = wanted && draftState.picks.find(pick => pick.keeper && pick.player.toLowerCase().includes(wanted));
+      if (!keeper) {
+        return `❌ No keeper matching "${text}" on this board. Use \`.keeper\` to list them.`;
       }
+      this.draftSessions.removePick(session, keeper);
+      return `🔓 **KEEPER REMOVED:** ${keeper.player} (Team ${keeper.team}) is back in the player pool.`;
+    }
 
-      // Fuzzy matching for partial names
+    if (subcommand === 'check') {
+      const candidates = text.split(/\s*[,;]\s*/).filter(Boolean).map(entry => {
+        const match = entry.match(/^(.+?)\s+r(\d+)$/i);
+        return match ? { player: match[1].trim(), round: parseInt(match[2], 10) } : null;
+      });
+      if (candidates.length === 0 || candidates.includes(null)) {
+        return '❓ Format: `.keeper check Breece Hall r3, Puka Nacua r8` (player and the round keeping them costs)';
+      }
+
+      const limit = leagueContext.league.keeperLimit;
+      const ranked = analyzer.rank(candidates, { max: limit });
+      const keep = ranked.filter(evaluation => evaluation.recommended).map(evaluation => evaluation.player);
+      return `🔍 **KEEPER VALUE** (${draftState.leagueSize} teams${limit ? `, keep up to ${limit}` : ''})
+
+${ranked.map(evaluation => this.formatKeeperEvaluation(evaluation)).join('\n')}
+
+**Keep:** ${keep.join(', ') || 'nobody - every candidate costs more than their market round'}
+Rounds saved = round given up minus the round the player goes in by ADP. ${KeeperAnalyzer.KEEP_SURPLUS}+ is a clear keep.`;
+    }
+
+    if (subcommand === 'load') {
+      const added = this.loadLeagueKeepers(session, leagueContext);
+      return added > 0
+        ? `🔒 Loaded ${added} keeper(s) from league \`${leagueContext.league.name}\`. Use \`.keeper\` to review them.`
+        : `❓ No new keepers to load for league \`${leagueContext.league.name}\` (declare them under "keepers" in the leagues file).`;
+    }
+
+    const keepers = draftState.picks.filter(pick => pick.keeper).sort((a, b) => a.team - b.team || a.pick - b.pick);
+    if (keepers.length === 0) {
+      return `🔒 **KEEPERS** (session \`${session.leagueId}\`)
+
+No keepers on this board yet.
+\`.keeper add <player> t3 r5\` - Declare Team 3's keeper costing their round 5 pick
+\`.keeper check <player> r5, <player> r8\` - Weigh keeper candidates before the deadline
+\`.keeper load\` - Load the keepers declared for this league`;
+    }
+
+    const lines = keepers.map(pick => {
+      if (typeof pick.bid === 'number') {
+        return `Team ${pick.team}${pick.isUser ? ' (you)' : ''}: ${pick.player} - $${pick.bid}`;
+      }
+      const round = Math.ceil(pick.pick / draftState.leagueSize);
+      return `Team ${pick.team}${pick.isUser ? ' (you)' : ''}: ${this.formatKeeperEvaluation(analyzer.evaluate({ player: pick.player, round }))}`;
+    });
+
+    return `🔒 **KEEPERS** (session \`${session.leagueId}\`, ${keepers.length} kept)
+
+${lines.join('\n')}
+
+Kept players are off the available board and their pick slots are filled. \`.keeper remove <player>\` to undo one.`;
+  }
+
+  getMockKey(message) {
+    return `${this.draftSessions.getScope(message)}:${this.draftSessions.getUser(message).id}`;
+  }
+
+  formatMockPick(pick) {
+    return `${pick.round}.${String(pick.pickInRound).padStart(2, '0')} ${pick.isUser ? 'You' : `T${pick.team}`}: ${pick.player} (${RosterRequirements.displayName(pick.position)})`;
+  }
+
+  /**
+   * Bot picks since the user's last turn, trimmed to stay inside a Discord message
+   */
+  formatMockBotPicks(picks, max = 12) {
+    if (picks.length === 0) {
+      return '';
+    }
+    const hidden = picks.length > max ? `…${picks.length - max} earlier picks\n` : '';
+    return `\n**Bots picked:**\n${hidden}${picks.slice(-max).map(pick => this.formatMockPick(pick)).join('\n')}\n`;
+  }
+
+  /**
+   * On-the-clock prompt with suggestions, or the final grade once the mock is over
+   */
+  async describeMockTurn(engine, message) {
+    if (engine.isComplete()) {
+      this.mockDrafts.delete(this.getMockKey(message));
+      return this.formatMockGrade(engine, engine.grade(), true);
+    }
+    const current = engine.getCurrentPick();
+    const suggestions = engine.suggest(5).map((player, index) =>
+      `${index + 1}. ${player.name} (${RosterRequirements.displayName(player.position)}, ${player.team || 'FA'}) - VOR ${player.vor}, ADP ${player.adp ?? '—'} [${player.need}]`
+    );
+    return `⏰ **You're on the clock:** pick ${current.round}.${String(current.pickInRound).padStart(2, '0')} (#${current.pick} of ${engine.getTotalPicks()})
+
+**Suggestions:**
+${suggestions.join('\n')}
+
+\`.mock pick <player>\` or \`.mock auto\``;
+  }
+
+  /**
+   * Grade summary: the user's lineup, value picks and the league table, plus a Claude review when
+   * the mock is finished and the AI is reachable
+   */
+  async formatMockGrade(engine, grade, final = false) {
+    const { user } = grade;
+    const lineup = user.starters.map(slot =>
+      `${RosterRequirements.displayName(slot.slot)}: ${slot.player ? `${slot.player.player} (${slot.player.projectedPoints})` : '— empty —'}`
+    );
+    const table = grade.teams.map(team =>
+      `${team.rank}. ${team.isUser ? '**You**' : `Team ${team.team}`} - ${team.grade} (${team.starterPoints} pts)`
+    );
+    const notes = [
+      user.bestValue ? `💎 Best value: ${user.bestValue.player} at #${user.bestValue.pick} (ADP ${user.bestValue.adp})` : null,
+      user.biggestReach ? `⚠️ Biggest reach: ${user.biggestReach.player} at #${user.biggestReach.pick} (ADP ${user.biggestReach.adp})` : null
+    ].filter(Boolean);
+    const review = final ? await this.generateMockDraftReview(engine, grade) : null;
+
+    return `${final ? '🏁 **MOCK DRAFT COMPLETE**' : '📋 **MOCK DRAFT GRADE SO FAR**'} (${grade.leagueSize} teams, slot ${grade.draftSlot})
+
+**Your grade: ${user.grade}** - #${user.rank} of ${grade.leagueSize}, ${user.starterPoints} projected starter points (${user.vsAverage >= 0 ? '+' : ''}${user.vsAverage} vs average)
+${lineup.join('\n')}
+${notes.length > 0 ? `\n${notes.join('\n')}\n` : ''}
+**League:**
+${table.join('\n')}
+${review ? `\n**🤖 Review:** ${review}\n` : ''}
+Seed ${grade.seed} - rerun in the CLI with \`npm run mock -- --teams ${grade.leagueSize} --slot ${grade.draftSlot} --seed ${grade.seed}\``;
+  }
+
+  /**
+   * Short Claude review of a finished mock; null when the AI is unavailable so the grade still shows
+   */
+  async generateMockDraftReview(engine, grade) {
+    const picks = grade.user.picks.map(pick => `${pick.round}.${String(pick.pickInRound).padStart(2, '0')} ${pick.player} (${pick.position}, ADP ${pick.adp ?? 'none'})`);
+    const prompt = `Review this mock draft in 3-4 sentences: strongest part of the roster, the weakest spot, and one thing to do differently from this draft slot.
+
+MOCK DRAFT: ${grade.leagueSize} teams, pick ${grade.draftSlot}, ${engine.vbd.scoring.describe()}
+GRADE: ${grade.user.grade} (#${grade.user.rank} of ${grade.leagueSize} by projected starter points)
+PICKS:
+${picks.join('\n')}`;
+
+    try {
+      const review = await this.claude.makeRequest([{
+        role: 'user',
+        content: prompt
+      }], this.buildFantasyPrompt('', this.buildDraftContext({ picks: engine.picks, currentPick: null }), 'User'));
+
+      if (typeof review === 'string') {
+        return review;
+      }
+      return review.content?.[0]?.text || review.text || review.message || null;
+    } catch (error) {
+      console.error('Error generating mock draft review:', error);
+      return null;
+    }
+  }
+
+  // Mock draft commands: start, pick, auto, board, roster, grade, end
+  async handleMockCommand(message, args) {
+    const key = this.getMockKey(message);
+    const engine = this.mockDrafts.get(key);
+    const [action = '', ...rest] = args.split(/\s+/).filter(Boolean);
+    const subcommand = action.toLowerCase();
+    const text = rest.join(' ').trim();
+
+    if (subcommand === 'start' || subcommand === 'new') {
+      const leagueContext = this.getLeagueContext(message);
+      const [teams, slot] = rest.map(value => parseInt(value, 10));
+      const leagueSize = Number.isInteger(teams) ? teams : (leagueContext.rosterRequirements.size || 12);
+      if (leagueSize < 2 || leagueSize > 20 || (slot !== undefined && (!Number.isInteger(slot) || slot < 1 || slot > leagueSize))) {
+        return '❓ Format: `.mock start 12 5` (teams 2-20, your draft slot; slot is random if left out)';
+      }
+
+      const mock = new MockDraftEngine({
+        leagueSize,
+        draftSlot: slot || Math.floor(Math.random() * leagueSize) + 1,
+        roster: leagueContext.rosterRequirements,
+        scoring: leagueContext.scoring
+      });
+      this.mockDrafts.set(key, mock);
+      const botPicks = mock.simulateUntilUser();
+
+      return `🎲 **MOCK DRAFT STARTED** - ${mock.leagueSize} teams, ${mock.rounds} rounds, you pick at slot ${mock.draftSlot}
+League \`${leagueContext.league.name}\` roster and scoring (${mock.vbd.scoring.describe()}). Bots draft by ADP and projected value.
+${this.formatMockBotPicks(botPicks)}
+${await this.describeMockTurn(mock, message)}`;
+    }
+
+    if (!engine) {
+      return `🎲 **MOCK DRAFTS**
+
+No mock draft running. \`.mock start [teams] [slot]\` starts one against ADP bots using this league's roster and scoring.
+Everything runs offline from the local projections; \`npm run mock\` runs the same draft in a terminal.`;
+    }
+
+    if (subcommand === 'end' || subcommand === 'stop') {
+      this.mockDrafts.delete(key);
+      return `🛑 Mock draft ended after ${engine.picks.length} of ${engine.getTotalPicks()} picks.`;
+    }
+
+    if (subcommand === 'pick' || subcommand === 'auto') {
+      if (subcommand === 'pick' && !text) {
+        return '❓ Format: `.mock pick <player>`';
+      }
+      try {
+        const { pick, botPicks } = subcommand === 'auto' ? engine.autoPick() : engine.draftPlayer(text);
+        return `✅ **${this.formatMockPick(pick)}**
+${this.formatMockBotPicks(botPicks)}
+${await this.describeMockTurn(engine, message)}`;
+      } catch (error) {
+        return `❌ ${error.message}`;
+      }
+    }
+
+    if (subcommand === 'board') {
+      const players = engine.getAvailable({ position: text || null, limit: 15 });
+      if (players.length === 0) {
+        return `❓ No available players${text ? ` at ${text.toUpperCase()}` : ''}.`;
+      }
+      return `📋 **MOCK BOARD** - best available by ADP${text ? ` (${text.toUpperCase()})` : ''}
+
+${players.map((player, index) => `${index + 1}. ${player.name} (${RosterRequirements.displayName(player.position)}, ${player.team || 'FA'}) - ADP ${player.adp ?? '—'}, VOR ${player.vor}`).join('\n')}`;
+    }
+
+    if (subcommand === 'roster') {
+      const picks = engine.getUserPicks();
+      return `👤 **YOUR MOCK ROSTER** (slot ${engine.draftSlot}, ${picks.length}/${engine.rounds} picks)
+
+${picks.map(pick => this.formatMockPick(pick)).join('\n') || 'No picks yet.'}`;
+    }
+
+    if (subcommand === 'grade') {
+      return this.formatMockGrade(engine, engine.grade());
+    }
+
+    return this.describeMockTurn(engine, message);
+  }
+
+  /**
+   * Strategy lab results as an embed: strategies best first for each slot with their starter-point
+   * spread, average finish and a sparkline of the distribution
+   */
+  formatStrategyLabEmbed(report, leagueName) {
+    const bars = '▁▂▃▄▅▆▇█';
+    const sparkline = counts => {
+      const peak = Math.max(...counts, 1);
+      return counts.map(count => bars[Math.min(bars.length - 1, Math.floor((count / peak) * (bars.length - 1)))]).join('');
+    };
+    const slots = [...new Set(report.results.map(result => result.slot))];
+    const detailed = slots.length <= 3;
+
+    const embed = new EmbedBuilder()
+      .setTitle('🧪 Draft Strategy Lab')
+      .setDescription(`${report.iterations} mock drafts per strategy and slot - ${report.leagueSize} teams, ${report.rounds} rounds, ` +
+        `${report.scoring}, league \`${leagueName}\`\nExpected starter points (± spread, p10-p90), average finish and 🏆 league-best rate`)
+      .setColor(0x4A90E2)
+      .setFooter({ text: `Seed ${report.seed} • same bot drafts for every strategy` })
+      .setTimestamp();
+
+    slots.slice(0, 25).forEach(slot => {
+      const ranked = report.results
+        .filter(result => result.slot === slot)
+        .sort((a, b) => b.mean - a.mean)
+        .slice(0, detailed ? 10 : 3);
+      const lines = ranked.map((result, index) =>
+        `${index === 0 ? '🥇' : '•'} \`${result.strategy}\` **${Math.round(result.mean)}** ±${Math.round(result.stdev)} ` +
+        `(${Math.round(result.p10)}-${Math.round(result.p90)}) · #${result.averageRank} · 🏆 ${Math.round(result.firstPlaceRate * 100)}%` +
+        `${detailed ? ` ${sparkline(result.histogram.counts)}` : ''}`
+      );
+      embed.addFields({ name: `Slot ${slot}`, value: lines.join('\n').substring(0, 1024), inline: false });
+    });
+
+    return embed;
+  }
+
+  // Strategy lab: .lab [slot|all|3,8] [strategy ...] [x1000]
+  async handleStrategyLabCommand(message, args) {
+    const tokens = args.split(/\s+/).filter(Boolean);
+    const slotToken = tokens.find(token => /^(all|\d+(,\d+)*)$/i.test(token));
+    const iterationsToken = tokens.find(token => /^[xn]=?\d+$/i.test(token));
+    const strategies = tokens.filter(token => token !== slotToken && token !== iterationsToken);
+
+    const leagueContext = this.getLeagueContext(message);
+    const draftState = this.draftSessions.resolve(message).state;
+    const leagueSize = leagueContext.rosterRequirements.size || 12;
+    let slots = [Math.min(draftState.userTeam, leagueSize)];
+    if (slotToken) {
+      slots = slotToken.toLowerCase() === 'all' ? null : slotToken.split(',').map(slot => parseInt(slot, 10));
+    }
+
+    if (DraftStrategyLab.isRunning()) {
+      return '⏳ A strategy lab run is already in progress - try again in a minute.';
+    }
+
+    try {
+      const lab = new DraftStrategyLab({
+        leagueSize,
+        roster: leagueContext.rosterRequirements,
+        scoring: leagueContext.scoring
+      });
+      const report = await lab.run({
+        strategies: strategies.length > 0 ? strategies : undefined,
+        slots,
+        iterations: iterationsToken ? parseInt(iterationsToken.replace(/\D/g, ''), 10) : null
+      });
+      return { embeds: [this.formatStrategyLabEmbed(report, leagueContext.league.name)] };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return `❌ Invalid ${error.field}: expected ${error.expectedType}.
+Format: \`.lab 8 zero-rb hero-rb RB-RB x1000\` (slot or \`all\`, strategies, drafts per strategy)`;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Draft recap as an embed: every team's grade, the league's steals and reaches, and the user's
+   * report card
+   */
+  formatDraftRecapEmbed(recap, sessionId) {
+    const embed = new EmbedBuilder()
+      .setTitle(`🏆 Draft Recap${recap.leagueName ? `: ${recap.leagueName}` : ''}`)
+      .setDescription(recap.teams.map(team =>
+        `**${team.rank}.** ${team.isUser ? `__${team.name}__` : team.name} - **${team.grade}**, ${team.starterPoints} starter pts, ` +
+        `VOR ${team.vorGained}${team.emptySlots.length > 0 ? `, ${team.emptySlots.length} open slot(s)` : ''}`
+      ).join('\n').substring(0, 4096))
+      .setColor(0x708090)
+      .setFooter({ text: `Session ${sessionId} • ${recap.leagueSize} teams, ${recap.scoring}${recap.byeWeeks ? '' : ' • no bye data'} • Markdown and JSON attached` })
+      .setTimestamp();
+
+    embed.addFields(
+      { name: '💎 Steals', value: recap.steals.map(pick => DraftRecap.describeHighlight(pick)).join('\n') || 'None', inline: false },
+      { name: '⚠️ Reaches', value: recap.reaches.map(pick => DraftRecap.describeHighlight(pick)).join('\n') || 'None', inline: false }
+    );
+
+    const { user } = recap;
+    if (user) {
+      const lines = [
+        `**${user.grade}** - #${user.rank} of ${recap.leagueSize}, ${user.starterPoints} starter pts, ${user.adpValue >= 0 ? '+' : ''}${user.adpValue} picks vs ADP`,
+        user.strongest ? `Strongest: ${RosterRequirements.displayName(user.strongest)} (+${user.positionBalance[user.strongest]} vs league)` : null,
+        user.weakest ? `Weakest: ${RosterRequirements.displayName(user.weakest)} (${user.positionBalance[user.weakest]} vs league)` : null,
+        user.bestPick ? `Best pick: ${user.bestPick.player} at ${user.bestPick.pick}` : null,
+        user.worstPick && user.worstPick.value < 0 ? `Worst pick: ${user.worstPick.player} at ${user.worstPick.pick}` : null,
+        user.emptySlots.length > 0 ? `Open slots: ${user.emptySlots.map(slot => RosterRequirements.displayName(slot)).join(', ')}` : null,
+        user.byeCollisions.length > 0 ? `Bye collisions: ${user.byeCollisions.map(collision => `week ${collision.week} (${collision.players.join(', ')})`).join('; ')}` : null
+      ].filter(Boolean);
+      embed.addFields({ name: `🎯 ${user.name}`, value: lines.join('\n').substring(0, 1024), inline: false });
+    }
+
+    return embed;
+  }
+
+  // Draft recap: .recap - grades every team in the session, with Markdown and JSON exports attached
+  async handleDraftRecapCommand(message) {
+    const session = this.draftSessions.resolve(message);
+    const draftState = session.state;
+    const picks = draftState.picks.filter(pick => Number(pick.team) > 0);
+    if (picks.length === 0) {
+      return "❓ No picks to grade yet. Record picks with `.my PlayerName` or `.p PlayerName t3`";
+    }
+
+    const leagueContext = this.getLeagueContext(message);
+    const teamNames = {};
+    picks.filter(pick => pick.teamName).forEach(pick => {
+      teamNames[Number(pick.team)] = pick.teamName;
+    });
+
+    const recap = await new DraftRecap({
+      roster: leagueContext.rosterRequirements,
+      scoring: leagueContext.scoring,
+      leagueSize: draftState.leagueSize
+    }).generate({
+      picks,
+      teamNames,
+      userTeam: draftState.userTeam,
+      leagueName: leagueContext.league.name
+    });
+
+    const fileName = `draft-recap-${String(session.leagueId).replace(/[^a-z0-9-]+/gi, '-')}`;
+    return {
+      embeds: [this.formatDraftRecapEmbed(recap, session.leagueId)],
+      files: [
+        new AttachmentBuilder(Buffer.from(DraftRecap.toMarkdown(recap)), { name: `${fileName}.md` }),
+        new AttachmentBuilder(Buffer.from(JSON.stringify(recap, null, 2)), { name: `${fileName}.json` })
+      ]
+    };
+  }
+
+  async generatePickAnalysis(pick, draftState, leagueContext = this.getLeagueContext()) {
+    try {
+      const context = this.buildDraftContext(draftState);
+      const teamAnalysis = this.analyzeTeamNeeds(draftState, leagueContext.rosterRequirements);
+      
+      const prompt = `🎯 LIVE DRAFT ANALYSIS for Pick #${pick.pick}: ${pick.player}
+
+CURRENT TEAM COMPOSITION:
+${teamAnalysis.rosterBreakdown}
+
+TEAM NEEDS ANALYSIS:
+${teamAnalysis.needs}
+
+PICK EVALUATION:
+Pick: ${pick.player} (${pick.position}) - Pick #${pick.pick}
+Current draft state: ${draftState.picks.length} picks made${this.describeLeagueType(draftState, leagueContext)}
+
+Provide comprehensive analysis:
+1. **VALUE ASSESSMENT:** Was this good value for this round?
+2. **TEAM FIT:** How does this fill your needs?
+3. **ROSTER GAPS:** What positions are you still missing?
+4. **NEXT TARGETS:** Top 3 positions to target next with specific player suggestions
+5. **STRATEGY:** Should you pivot strategy based on current roster?
+
+Use ESPN ADP data and 2025 projections for recommendations. Be specific with player names.
+Keep sections clear with bold headers. Max 8 sentences total.`;
+
+      const analysis = await this.claude.makeRequest([{
+        role: 'user',
+        content: prompt
+      }], this.buildFantasyPrompt('', context, 'User'));
+
+      console.log('🔍 Claude Analysis Response:', JSON.stringify(analysis, null, 2));
+      
+      // Handle different response formats
+      if (typeof analysis === 'string') {
+        return analysis;
+      }
+      
+      return analysis.content?.[0]?.text || analysis.text || analysis.message || 'Good pick! Keep building your team.';
+
+    } catch (error) {
+      console.error('Error generating pick analysis:', error);
+      return 'Pick recorded! Type `.who` for next recommendations.';
+    }
+  }
+
+  async generateCurrentRecommendations(draftState, leagueContext = this.getLeagueContext()) {
+    try {
+      const context = this.buildDraftContext(draftState);
+      const userPicks = draftState.picks.filter(pick => pick.isUser);
+      
+      // Get recent Twitter insights for enhanced analysis
+      const twitterInsights = this.twitterMonitor.getDraftRelevantInsights(null, 180); // Last 3 hours
+      
+      let twitterContext = '';
+      if (twitterInsights && (twitterInsights.critical_news.length > 0 || twitterInsights.injury_updates.length > 0)) {
+        twitterContext = `\n\nRECENT BREAKING NEWS (Last 3 hours):
+${twitterInsights.critical_news.slice(0, 3).map(item => `- ${item.content}`).join('\n')}
+${twitterInsights.injury_updates.slice(0, 2).map(item => `- ${item.content}`).join('\n')}
+
+Factor this into recommendations.`;
+      }
+      
+      const prompt = `Generate pick recommendations for my next draft selection:
+
+My current roster: ${userPicks.map(p => p.player).join(', ') || 'None yet'}
+Total picks made: ${draftState.picks.length}
+Next pick: #${draftState.currentPick}${this.describeLeagueType(draftState, leagueContext)}${twitterContext}
+
+VALUE BOARD (best available by value over replacement):
+${this.formatValueBoard(this.getValueBoard(draftState, { limit: 15 }, leagueContext))}
+
+Based on ESPN 2025 projections, the value board and any recent news, recommend 3-4 players I should target next.
+Focus on value and team needs. Keep it concise for live draft.`;
+
+      const recommendations = await this.claude.makeRequest([{
+        role: 'user',
+        content: prompt
+      }], this.buildFantasyPrompt('', context, 'User'));
+
+      console.log('🔍 Claude Response:', JSON.stringify(recommendations, null, 2));
+      
+      // Handle different response formats
+      if (typeof recommendations === 'string') {
+        return recommendations;
+      }
+      
+      return recommendations.content?.[0]?.text || recommendations.text || recommendations.message || 'Focus on best available player for your team needs.';
+
+    } catch (error) {
+      console.error('Error generating recommendations:', error);
+      return 'Unable to generate recommendations. Pick the best available player!';
+    }
+  }
+
+  /**
+   * Prompt lines telling Claude the league isn't a redraft: keepers already off the board, or
+   * dynasty rosters that carry over. Empty for redraft leagues without keepers.
+   */
+  describeLeagueType(draftState, leagueContext = this.getLeagueContext()) {
+    const keepers = draftState.picks.filter(pick => pick.keeper);
+    const type = leagueContext.league.type;
+    const lines = [];
+
+    if (type === 'dynasty') {
+      lines.push('LEAGUE TYPE: Dynasty - rosters carry over every season. Favor young players and rookies on the rise over aging veterans with similar projections.');
+    } else if (type === 'keeper' || keepers.length > 0) {
+      lines.push(`LEAGUE TYPE: Keeper${leagueContext.league.keeperLimit ? ` (up to ${leagueContext.league.keeperLimit} per team)` : ''} - kept players are already off the board; don't recommend them.`);
+    }
+    if (keepers.length > 0) {
+      lines.push(`KEEPERS: ${keepers.map(pick => `${pick.player} (Team ${pick.team}, pick #${pick.pick}${pick.isUser ? ', yours' : ''})`).join(', ')}`);
+    }
+    return lines.length > 0 ? `\n${lines.join('\n')}` : '';
+  }
+
+  buildDraftContext(draftState) {
+    const userPicks = draftState.picks.filter(pick => pick.isUser);
+    const recentPicks = draftState.picks.slice(-5);
+    
+    return {
+      totalPicks: draftState.picks.length,
+      userPicks: userPicks,
+      recentPicks: recentPicks,
+      nextPick: draftState.currentPick
+    };
+  }
+
+  analyzeTeamNeeds(draftState, requirements = this.getLeagueContext().rosterRequirements) {
+    const userPicks = draftState.picks.filter(pick => pick.isUser);
+    const roster = requirements.analyze(userPicks);
+    const label = RosterRequirements.displayName;
+
+    // Build roster breakdown
+    let rosterBreakdown = '';
+    Object.keys(roster.positions).forEach(pos => {
+      const players = roster.positions[pos];
+      const starters = requirements.starters[pos] || 0;
+      const slots = starters > 0 ? ` (start ${starters})` : '';
+      if (players.length > 0) {
+        rosterBreakdown += `${label(pos)}${slots}: ${players.join(', ')}\n`;
+      } else {
+        rosterBreakdown += `${label(pos)}${slots}: EMPTY\n`;
+      }
+    });
+    Object.entries(roster.flexAssignments).forEach(([slot, players]) => {
+      const filled = players.length > 0 ? players.join(', ') : 'EMPTY';
+      rosterBreakdown += `${requirements.describeSlot(slot)} x${requirements.starters[slot]}: ${filled}\n`;
+    });
+    rosterBreakdown += `Bench: ${requirements.benchSize} | Roster spots left: ${roster.rosterSpotsLeft}\n`;
+
+    // Build needs analysis
+    let needsAnalysis = '';
+    const urgentNeeds = Object.keys(roster.openSlots);
+    
+    if (roster.startingLineupComplete) {
+      needsAnalysis = '✅ Starting lineup complete! Focus on depth and upside picks.';
+    } else {
+      needsAnalysis = `🚨 MISSING: ${urgentNeeds.map(slot => `${roster.openSlots[slot]} ${requirements.describeSlot(slot)}`).join(', ')}`;
+
+      const openStarters = Object.values(roster.openSlots).reduce((sum, count) => sum + count, 0);
+      if (openStarters >= roster.rosterSpotsLeft) {
+        needsAnalysis += `\n⚠️ Only ${roster.rosterSpotsLeft} roster spot(s) left for ${openStarters} open starting slot(s) - fill starters now`;
+      }
+    }
+
+    // Add depth recommendations
+    if (roster.depthNeeds.length > 0) {
+      needsAnalysis += `\n📈 Consider: ${roster.depthNeeds.map(need => `${label(need.position)} depth (${need.have}/${need.target})`).join(', ')}`;
+    }
+
+    if (roster.atLimit.length > 0) {
+      needsAnalysis += `\n⛔ At league max: ${roster.atLimit.map(pos => `${label(pos)} (${requirements.limits[pos]})`).join(', ')} - don't draft more`;
+    }
+
+    return {
+      rosterBreakdown: rosterBreakdown,
+      needs: needsAnalysis,
+      positions: roster.positions,
+      urgentNeeds: urgentNeeds,
+      depthTargets: roster.depthTargets,
+      rosterSpotsLeft: roster.rosterSpotsLeft
+    };
+  }
+
+  async validatePlayer(playerName) {
+    try {
+      // Load NFL players database
+      const fs = require('fs');
+      const path = require('path');
+      const playersPath = path.join(__dirname, '../data/nfl-players-enriched.json');
+      
+      let players = [];
+      try {
+        const playersData = fs.readFileSync(playersPath, 'utf8');
+        players = JSON.parse(playersData);
+      } catch (error) {
+        console.warn('Could not load players database:', error.message);
+        // Return valid for now if database unavailable
+        return { isValid: true, correctName: playerName };
+      }
+
+      // Direct match (case insensitive)
+      const directMatch = players.find(player => 
+        player.name.toLowerCase() === playerName.toLowerCase()
+      );
+      
+      if (directMatch) {
+        return {
+          isValid: true,
+          correctName: directMatch.name,
+          position: directMatch.position,
+          nflTeam: directMatch.team || directMatch.proTeam,
+          enrichedData: directMatch
+        };
+      }
+
+      // Fuzzy matching for partial names
       const partialMatches = players.filter(player => {
         const playerLower = player.name.toLowerCase();
         const inputLower = playerName.toLowerCase();
@@ -2065,12 +2958,13 @@ Make it detailed, specific, and actionable. Maximum 1800 characters.`;
   }
 
   getUserDraftedPlayers(username) {
-    // Get user's drafted players from draft state
-    if (!this.draftState || !this.draftState.picks) {
+    // Get user's drafted players from every draft session they've worked in
+    const sessions = this.draftSessions.getSessionsForUsername(username);
+    if (sessions.length === 0) {
       return [];
     }
     
-    const userPicks = this.draftState.picks.filter(pick => 
+    const userPicks = sessions.flatMap(session => session.state.picks).filter(pick => 
       pick.isUser || 
       pick.team === 'Baron\'s Best Team' ||
       (pick.username && pick.username.toLowerCase() === username.toLowerCase())
@@ -2262,6 +3156,12 @@ Make it ESPN-quality analysis with specific fantasy advice. No generic content.`
 \`/team\` - View your current roster
 \`/clear\` - Reset all draft data
 
+**📋 Weekly Lineup**
+\`/lineup [week] [team]\` - Optimal starters with injury, weather and backup plans
+
+**🏟️ Leagues**
+\`/league [use]\` - Registered leagues, or switch the active one
+
 **📊 Data & Import**
 \`/import <data>\` - Import ESPN draft data
 \`/player <name>\` - Get detailed player information
@@ -2276,12 +3176,13 @@ Make it ESPN-quality analysis with specific fantasy advice. No generic content.`
 🚨 **NEW**: Automated injury alerts in production mode!`;
   }
 
-  async showUserTeam(username) {
-    if (!this.draftState || !this.draftState.picks) {
+  async showUserTeam(username, source) {
+    const draftState = this.draftSessions.resolve(source).state;
+    if (draftState.picks.length === 0) {
       return `👤 **${username}'s Team**\n\n🚫 No picks recorded yet!\n\n💡 Use \`/draft <player>\` to start building your team.`;
     }
 
-    const userPicks = this.draftState.picks.filter(pick => 
+    const userPicks = draftState.picks.filter(pick => 
       pick.isUser || 
       pick.team === 'Baron\'s Best Team' ||
       (pick.username && pick.username.toLowerCase() === username.toLowerCase())
@@ -2370,14 +3271,52 @@ Make it ESPN-quality analysis with specific fantasy advice. No generic content.`
         console.log(`🔍 DEBUG: .news command detected for ${username}`);
         return await this.handleNewsCommand(username);
       } else if (command.startsWith('.my ')) {
-        const playerName = content.substring(4).trim();
-        return await this.addPlayerToTeam(playerName, username);
+        const playerName = content.trim().substring(4).trim();
+        return await this.handleMyPick(message, playerName, username);
+      } else if (command.startsWith('.force ')) {
+        return await this.handleForcePick(message, content.trim().substring(7), username);
+      } else if (command.startsWith('.p ')) {
+        return await this.handleTeamPick(message, content.trim().substring(3), username);
+      } else if (command.match(/^\.\d+ /)) {
+        return await this.handleNumberedPick(message, content.trim(), username);
+      } else if (command === '.who' || command === '.next') {
+        return await this.handleWhoNext(message, username);
+      } else if (command === '.draft') {
+        return await this.handleDraftStatus(message, username);
+      } else if (command === '.board' || command.startsWith('.board ')) {
+        return this.handleBoardCommand(message, command.substring(6).trim());
+      } else if (command === '.auction' || command.startsWith('.auction ')) {
+        return this.handleAuctionCommand(message, command.substring(8).trim());
+      } else if (command === '.nominate') {
+        return await this.handleNominateCommand(message);
+      } else if (command.startsWith('.nom ')) {
+        return await this.handleBidCommand(message, content.trim().substring(5).trim());
+      } else if (command === '.recap') {
+        return await this.handleDraftRecapCommand(message);
+      } else if (command === '.lab' || command.startsWith('.lab ')) {
+        return await this.handleStrategyLabCommand(message, content.trim().substring(4).trim());
+      } else if (command === '.mock' || command.startsWith('.mock ')) {
+        return await this.handleMockCommand(message, content.trim().substring(5).trim());
+      } else if (/^\.keepers?(\s|$)/.test(command)) {
+        return this.handleKeeperCommand(message, content.trim().replace(/^\.keepers?/i, '').trim());
+      } else if (command === '.league' || command.startsWith('.league ')) {
+        return this.handleLeagueCommand(message, content.trim().substring(7).trim());
+      } else if (command === '.session' || command.startsWith('.session ')) {
+        return this.handleSessionCommand(message, content.trim().substring(8).trim(), username);
       } else if (command === '.analyze') {
-        return await this.manualAnalysis(this.draftState, username);
+        return await this.manualAnalysis(this.draftSessions.resolve(message).state, username, this.getLeagueContext(message));
       } else if (command === '.clear') {
-        return this.clearDraftData(username);
+        return this.clearDraft(username, message);
       } else if (command === '.team') {
-        return await this.showUserTeam(username);
+        return await this.showUserTeam(username, message);
+      } else if (command.startsWith('.team ')) {
+        return this.setUserTeam(command.substring(6).trim(), username, message);
+      } else if (command.startsWith('.trade')) {
+        return await this.handleTradeCommand(content.trim(), username, message);
+      } else if (command === '.lineup' || command.startsWith('.lineup ')) {
+        const args = content.trim().substring(7).trim();
+        const week = /^\d+$/.test(args) ? Number(args) : null;
+        return await this.handleLineupCommand(username, message, week, week === null && args ? args : null);
       } else if (command.startsWith('.intel ')) {
         const playerName = content.substring(7).trim();
         return await this.getPlayerIntelligence(playerName);
@@ -2392,10 +3331,14 @@ Make it ESPN-quality analysis with specific fantasy advice. No generic content.`
         return await this.handleWatchlistCommand();
       } else if (command === '.breaking') {
         return await this.handleBreakingNewsCommand();
-      } else if (command === '.matchups') {
-        return await this.handleMatchupsCommand();
-      } else if (command === '.waiver') {
-        return await this.handleWaiverCommand();
+      } else if (command === '.matchups' || command.startsWith('.matchups ')) {
+        return await this.handleMatchupsCommand(message, content.trim().substring(9).trim());
+      } else if (command === '.waiver' || command.startsWith('.waiver ')) {
+        return await this.handleWaiverCommand(username, message, content.trim().substring(7).trim() || null);
+      } else if (command === '.live' || command.startsWith('.live ')) {
+        return await this.handleLiveCommand(message, content.trim().substring(5).trim());
+      } else if (command === '.odds' || command.startsWith('.odds ')) {
+        return await this.handleOddsCommand(message, content.trim().substring(5).trim());
       } else if (command === '.rankings') {
         return await this.handleRankingsCommand();
       } else if (command === '.depth') {
@@ -2406,14 +3349,153 @@ Make it ESPN-quality analysis with specific fantasy advice. No generic content.`
         return await this.getSystemStatus();
       } else if (command.startsWith('.import ')) {
         const draftData = content.substring(8).trim();
-        return this.importDraftBoard(draftData, username);
+        return this.importDraftBoard(draftData, username, message);
+      } else if (command.startsWith('. ')) {
+        return this.importDraftBoard(content.trim().substring(2), username, message);
       } else {
         return "❓ Unknown dot command. Type `.help` for available commands.";
       }
-    } catch (error) {
-      logger.error('Error in dot command:', error.message);
-      return '🚨 Sorry, I encountered an error processing your request. Please try again!';
+    } catch (error) {
+      logger.error('Error in dot command:', error.message);
+      return '🚨 Sorry, I encountered an error processing your request. Please try again!';
+    }
+  }
+
+  /**
+   * Run a dot command on behalf of a slash command interaction
+   */
+  async processDotCommand(content, username, source = {}) {
+    const message = {
+      author: source.author || source.user || { id: username, username },
+      guildId: source.guildId,
+      channelId: source.channelId || source.channel?.id,
+      channel: source.channel
+    };
+    return await this.handleDotCommand(message, content);
+  }
+
+  // Draft session commands: list, open/switch, archive
+  handleSessionCommand(message, args, username) {
+    const [action = '', ...rest] = args.split(/\s+/).filter(Boolean);
+    const leagueId = rest.join(' ').trim();
+    const subcommand = action.toLowerCase();
+
+    if (!subcommand || subcommand === 'list') {
+      const current = this.draftSessions.resolve(message);
+      const sessions = this.draftSessions.list(message, { includeArchived: subcommand === 'list' });
+      const lines = sessions.map(session => {
+        const marker = session.id === current.id ? '👉' : session.status === 'archived' ? '📦' : '•';
+        return `${marker} \`${session.leagueId}\` - ${session.state.picks.length} picks, next #${session.state.currentPick} (Team ${session.state.userTeam})`;
+      });
+
+      return `🗂️ **DRAFT SESSIONS**
+
+${lines.join('\n')}
+
+**Current:** \`${current.leagueId}\`
+Use \`.session new <league>\`, \`.session use <league>\` or \`.session archive [league]\`.`;
+    }
+
+    if (subcommand === 'new' || subcommand === 'open') {
+      if (!leagueId) {
+        return '❓ Format: `.session new <league>` (league ID or nickname)';
+      }
+      const session = this.draftSessions.open(message, leagueId);
+      return `✅ **SESSION OPEN:** \`${session.leagueId}\`\n\n${session.state.picks.length} picks recorded. Your \`.my\`, \`.p\`, \`.import\` and \`.clear\` commands now apply here.`;
+    }
+
+    if (subcommand === 'use' || subcommand === 'switch') {
+      if (!leagueId) {
+        return '❓ Format: `.session use <league>`';
+      }
+      const session = this.draftSessions.switchTo(message, leagueId);
+      if (!session) {
+        return `❌ No active session \`${leagueId}\` in this channel. Use \`.session new ${leagueId}\` to start one.`;
+      }
+      return `🔀 **SWITCHED TO:** \`${session.leagueId}\`\n\nNext pick: #${session.state.currentPick} • ${session.state.picks.length} picks recorded.`;
+    }
+
+    if (subcommand === 'archive') {
+      const session = this.draftSessions.archive(message, leagueId || null);
+      if (!session) {
+        return `❌ No active session${leagueId ? ` \`${leagueId}\`` : ''} to archive.`;
+      }
+      console.log(`📦 Draft session ${session.id} archived by ${username}`);
+      return `📦 **SESSION ARCHIVED:** \`${session.leagueId}\` (${session.state.picks.length} picks kept for reference)`;
+    }
+
+    return '❓ Session commands: `.session`, `.session list`, `.session new <league>`, `.session use <league>`, `.session archive [league]`';
+  }
+
+  /**
+   * League context (registry entry, client, roster requirements, scoring, stats) for a message or
+   * interaction: the league of the caller's active draft board, else the league picked here with
+   * .league use, else the channel's league, else the default
+   */
+  getLeagueContext(source = null) {
+    if (!source) {
+      return this.leagues.getContext();
+    }
+    const session = this.draftSessions.current(source);
+    const boardLeague = session && this.leagues.find(session.leagueId);
+    if (boardLeague) {
+      return this.leagues.getContext(boardLeague);
+    }
+    const channelId = source.channelId || source.channel?.id;
+    const league = this.leagues.resolve({
+      scope: this.draftSessions.getScope(source),
+      channel: source.channel || (channelId ? { id: channelId } : null)
+    });
+    return this.leagues.getContext(league);
+  }
+
+  // League commands: show active, list, use <name>
+  handleLeagueCommand(message, args) {
+    const [action = '', ...rest] = args.split(/\s+/).filter(Boolean);
+    const subcommand = action.toLowerCase();
+    const name = rest.join(' ').trim();
+    const describe = league => `\`${league.name}\` - ${league.displayName} (${league.platform === 'sleeper' ? 'Sleeper' : 'ESPN'}` +
+      `${league.leagueId ? ` ${league.leagueId}` : ''}${league.season ? `, ${league.season}` : ''}` +
+      `${league.profile ? `, ${league.profile} roster` : ''}${league.type !== 'redraft' ? `, ${league.type}` : ''})`;
+
+    if (!subcommand || subcommand === 'list') {
+      const current = this.getLeagueContext(message).league;
+      const lines = this.leagues.list().map(league =>
+        `${league.name === current.name ? '👉' : '•'} ${describe(league)}${league.name === this.leagues.defaultName ? ' ⭐' : ''}`
+      );
+
+      return `🏟️ **LEAGUES**
+
+${lines.join('\n')}
+
+**Active here:** \`${current.name}\` (⭐ = default)
+Use \`.league use <name>\` to switch. Draft boards, trades, lineups and value boards follow the active league.`;
+    }
+
+    if (subcommand === 'use' || subcommand === 'switch') {
+      if (!name) {
+        return '❓ Format: `.league use <name>`';
+      }
+      try {
+        const league = this.leagues.select(this.draftSessions.getScope(message), name);
+        const leagueContext = this.leagues.getContext(league);
+        const session = this.draftSessions.open(message, league.name, {
+          leagueSize: leagueContext.rosterRequirements.size
+        });
+        // A fresh board in a keeper or dynasty league starts with the declared keepers on it
+        const keepers = session.state.picks.length === 0 ? this.loadLeagueKeepers(session, leagueContext) : 0;
+        return `🔀 **LEAGUE:** ${describe(league)}
+
+Draft board \`${session.leagueId}\` is now active (${session.state.picks.length} picks recorded${keepers > 0 ? `, ${keepers} of them keepers` : ''}).`;
+      } catch (error) {
+        if (error instanceof ValidationError) {
+          return `❌ Unknown league \`${name}\`. Registered: ${this.leagues.list().map(league => `\`${league.name}\``).join(', ')}`;
+        }
+        throw error;
+      }
     }
+
+    return '❓ League commands: `.league`, `.league list`, `.league use <name>`';
   }
 
   // Get help for dot commands
@@ -2440,16 +3522,59 @@ Make it ESPN-quality analysis with specific fantasy advice. No generic content.`
 \`.watchlist\` - View all players being monitored
 
 **📊 Weekly Analysis**
-\`.matchups\` - Game analysis, weather, and key matchups
-\`.waiver\` - Waiver wire targets and pickup suggestions
+\`.matchups [week]\` - Your head-to-head preview: win probability, swing players and stacks
+\`.waiver [team]\` - Free agents ranked for your roster holes and byes, with drops and FAAB bids
+\`.live\` - Live fantasy score and win probability for your matchup while games are on
+\`.live follow <team>\` / \`.live unfollow <team>\` - Lead-change and touchdown alerts for a team's matchup
+\`.odds\` - Playoff, bye and title odds from simulating the rest of the season
+\`.odds <yours> for <theirs>\` - How a trade moves your playoff odds
 \`.rankings\` - Updated weekly position rankings
 \`.depth\` - Depth chart monitoring and starter changes
 
 **🏈 Draft Management**  
 \`.my <player>\` - Add a player to your team
+\`.p <player> t3\` / \`.3 <player>\` - Record another team's pick
+\`.force <player> POS TEAM\` - Force record an unknown player
+\`.who\` / \`.next\` - AI pick recommendations
+\`.draft\` - Draft board summary
+\`.recap\` - Grade every team's draft (Markdown and JSON attached)
+\`.board [POS] [N]\` - Best available by value over replacement (VOR)
 \`.analyze\` - AI analysis of your current draft situation
 \`.team\` - View your current roster
-\`.clear\` - Reset all draft data
+\`.team <#>\` - Set your team number
+\`.clear\` - Reset the current draft session
+
+**💰 Auction Drafts**
+\`.auction on [budget]\` / \`.auction off\` - Switch the session to an auction (default $200)
+\`.auction\` - Team budgets, max bids, inflation and top values
+\`.my <player> $45\` / \`.p <player> $45 t3\` - Record a sale with its price
+\`.nom <player>\` - How high to bid on a nominated player
+\`.nominate\` - Who to nominate next (\`.who\` does this in auctions)
+
+**🔒 Keepers & Dynasty**
+\`.keeper\` - Keepers on the board with round cost vs ADP
+\`.keeper add <player> t3 r5\` - Declare a keeper (team, round it costs)
+\`.keeper remove <player>\` - Put a keeper back in the pool
+\`.keeper check <player> r5, <player> r8\` - Weigh keeper candidates before the deadline
+\`.keeper load\` - Load the keepers declared for this league
+Dynasty leagues value trades over several seasons; include picks like \`.trade eval Player for 2026 1st\`
+
+**🎲 Mock Drafts**
+\`.mock start [teams] [slot]\` - Mock draft against ADP bots with this league's roster and scoring
+\`.mock pick <player>\` / \`.mock auto\` - Make your pick (bots pick until your next turn)
+\`.mock\` / \`.mock board [POS]\` / \`.mock roster\` - Suggestions, best available, your picks
+\`.mock grade\` - Grade the rosters (final when the draft ends) / \`.mock end\` - Stop the mock
+\`.lab [slot|all] [strategies] [x1000]\` - Simulate strategies (zero-rb, hero-rb, RB-RB...) over many mocks
+
+**🏟️ Leagues**
+\`.league\` - Registered leagues and the one active here
+\`.league use <name>\` - Switch leagues (rosters, scoring, trades, lineups)
+
+**🗂️ Draft Sessions**
+\`.session\` - Sessions in this channel (👉 = yours)
+\`.session new <league>\` - Start a separate board for another league
+\`.session use <league>\` - Switch your active board
+\`.session archive [league]\` - Archive a finished draft
 
 **💰 Trade Analysis (12-Team League)**
 \`.trade\` - Full AI trade analysis and suggestions
@@ -2457,6 +3582,10 @@ Make it ESPN-quality analysis with specific fantasy advice. No generic content.`
 \`.trade quick\` - Quick trade suggestions
 \`.trade context\` - League-focused trade analysis
 \`.trade <TeamName>\` - Target specific team for trades
+\`.trade eval <yours> for <theirs>\` - Grade a specific N-for-M trade
+
+**📋 Weekly Lineup**
+\`.lineup [week | team]\` - Optimal start/sit for your league's slots
 
 **📊 Data & Import**
 \`.import <data>\` - Import ESPN draft data
@@ -3006,71 +4135,382 @@ ${alertList}
     }
   }
 
-  async handleMatchupsCommand() {
+  /**
+   * .matchups [week | team]: your head-to-head preview for the week (both lineups projected with
+   * win probability, swing players and same-game stacks) and a line on every other league matchup
+   */
+  async handleMatchupsCommand(source, args = '') {
     try {
-      return `🏈 **Week ${this.getCurrentWeek()} Matchups & Analysis**
+      const { league, client, leagueStats, rosterRequirements } = this.getLeagueContext(source);
+      if (!leagueStats.isConfigured()) {
+        return `⚔️ **Matchup Preview**\n\n❌ No league connected for ${league.displayName}. Previews need your league's rosters and schedule - set its league ID in \`data/leagues.json\` or switch with \`.league use <name>\`.`;
+      }
+
+      const week = /^\d+$/.test(args) ? Number(args) : null;
+      const team = args && week === null ? args : null;
+      const playerNames = this.draftSessions.resolve(source).state.picks
+        .filter(pick => pick.isUser)
+        .map(pick => pick.player);
+
+      const snapshot = await leagueStats.getSnapshot();
+      const previewer = new MatchupPreviewer({
+        client,
+        requirements: rosterRequirements,
+        valueModel: this.tradeAnalyzer.valueModel,
+        lineupOptimizer: this.lineupOptimizer
+      });
+      const preview = await previewer.preview({
+        week,
+        team,
+        playerNames,
+        seasonStats: leagueStats.toSeasonStats(snapshot),
+        injuryReports: this.getInjuryReports()
+      });
+      return this.formatMatchupPreview(preview);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return `⚔️ **Matchup Preview**\n\n❌ Couldn't match **${error.value}** to ${error.expectedType}.\n**Usage:** \`.matchups\`, \`.matchups <week>\` or \`.matchups <team name>\``;
+      }
+      logger.error('Error in matchups command:', error.message);
+      return '🚨 Error building matchup previews. Please try again!';
+    }
+  }
 
-**🌦️ Weather Alerts**
-• No weather concerns currently identified
-• Check back Thursday for weekend forecasts
+  formatMatchupPreview(preview) {
+    const line = matchup => {
+      const [leader, trailer] = matchup.home.winProbability >= matchup.away.winProbability
+        ? [matchup.home, matchup.away]
+        : [matchup.away, matchup.home];
+      return `${leader.teamName} ${leader.projected} - ${trailer.projected} ${trailer.teamName} (${leader.teamName} ${leader.winProbability}%)`;
+    };
+
+    let response = `⚔️ **Week ${preview.week} Matchup Preview**\n`;
+    const mine = preview.myMatchup;
+    if (mine) {
+      const side = team => {
+        const name = team.teamName === preview.myTeam ? `**${team.teamName}** ⬅️` : `**${team.teamName}**`;
+        return `${name}: ${team.projected} pts (${team.range[0]}-${team.range[1]}) - **${team.winProbability}%** to win`;
+      };
+      response += `\n${side(mine.home)}\n${side(mine.away)}\n`;
+      response += mine.favorite ? `📈 ${mine.favorite} by ${mine.spread}\n` : '📈 Dead even\n';
 
-**🔥 Key Matchups to Watch**
-• High-scoring game environments  
-• Potential shootouts and pace-up spots
-• Defense vs Position matchups
+      if (mine.swingPlayers.length > 0) {
+        response += `\n🎲 **Swing players**\n${mine.swingPlayers.map(player => `• ${MatchupPreviewer.describeSwing(player)}`).join('\n')}\n`;
+      }
+      if (mine.stacks.length > 0) {
+        response += `\n🔗 **Same-game stacks**\n${mine.stacks.slice(0, 4).map(stack => `• ${MatchupPreviewer.describeStack(stack, mine)}`).join('\n')}\n`;
+      }
+      const gameTimeDecisions = [...mine.home.gameTimeDecisions, ...mine.away.gameTimeDecisions];
+      if (gameTimeDecisions.length > 0) {
+        response += `\n⏰ **Game-time decisions:** ${gameTimeDecisions.map(slot => `${slot.name} (${slot.status.toLowerCase()}${slot.backup ? `, backup ${slot.backup}` : ''})`).join(', ')}\n`;
+      }
+    } else {
+      response += '\n_Not sure which team is yours - use `.matchups <team name>` or add your players with `.my PlayerName`._\n';
+    }
 
-**📊 Game Environment**
-• Vegas totals and spreads
-• Pace and snap count projections
-• Red zone and target share analysis
+    const others = preview.matchups.filter(matchup => matchup !== mine);
+    if (others.length > 0) {
+      response += `\n📋 **${mine ? 'Around the league' : 'This week'}**\n${others.map(matchup => `• ${line(matchup)}`).join('\n')}\n`;
+    }
+    return response;
+  }
 
-**💡 Quick Tips**
-• Monitor final injury reports Friday-Saturday
-• Check snap counts from previous week
-• Weather updates typically available Thursday
+  /**
+   * .waiver [team]: free agents ranked by the lineup points they add to your league team over the
+   * rest of the season, with a drop for each and FAAB bids in budget leagues
+   */
+  async handleWaiverCommand(username, source, teamName = null) {
+    try {
+      const { league, client, leagueStats, rosterRequirements } = this.getLeagueContext(source);
+      if (!leagueStats.isConfigured()) {
+        return `🎯 **Waiver Wire**\n\n❌ No league connected for ${league.displayName}. Waiver picks need your league's rosters - set its league ID in \`data/leagues.json\` or switch with \`.league use <name>\`.`;
+      }
 
-⏰ **Updated:** ${new Date().toLocaleTimeString()}
-🔄 **Refreshes:** Every Thursday with weekend slate`;
+      const playerNames = this.draftSessions.resolve(source).state.picks
+        .filter(pick => pick.isUser)
+        .map(pick => pick.player);
+      if (!teamName && playerNames.length === 0) {
+        return `🎯 **Waiver Wire**\n\n❌ Not sure which team is yours. Use \`.waiver <team name>\`, or add your players with \`.my PlayerName\` first.`;
+      }
 
+      const snapshot = await leagueStats.getSnapshot();
+      const engine = new WaiverEngine({
+        client,
+        requirements: rosterRequirements,
+        valueModel: this.tradeAnalyzer.valueModel,
+        espnClient: this.tradeAnalyzer.espnClient
+      });
+      const report = await engine.recommend({
+        team: teamName,
+        playerNames,
+        limit: 8,
+        seasonStats: leagueStats.toSeasonStats(snapshot),
+        currentWeek: snapshot.week,
+        history: await this.getRecordedTransactions(league)
+      });
+      return this.formatWaiverReport(report, username);
     } catch (error) {
-      logger.error('Error in matchups command:', error.message);
-      return '🚨 Error fetching matchup data. Please try again!';
+      logger.error('Error in waiver command:', error.message);
+      return '🚨 Error building waiver targets. Please try again!';
     }
   }
 
-  async handleWaiverCommand() {
+  /**
+   * .odds [yours for theirs]: playoff, bye and title odds from seasons simulated on the league's
+   * schedule, and how a trade would move your team's
+   */
+  async handleOddsCommand(source, args = '') {
+    const sides = args ? args.match(/^(.+?)\s+for\s+(.+)$/i) : null;
+    if (args && !sides) {
+      return `🏆 **Playoff Odds**
+
+**Usage:** \`.odds\` or \`.odds <your players> for <their players>\`
+**Example:** \`.odds Derrick Henry for Puka Nacua\`
+
+Separate players with commas, \`+\` or \`and\`. Everyone you receive must be on the same team.`;
+    }
+
     try {
-      const trending = await this.handleTrendingCommand();
-      
-      return `🎯 **Waiver Wire Targets**
+      const { league, client, leagueStats, rosterRequirements } = this.getLeagueContext(source);
+      if (!leagueStats.isConfigured()) {
+        return `🏆 **Playoff Odds**\n\n❌ No league connected for ${league.displayName}. Odds need your league's rosters and schedule - set its league ID in \`data/leagues.json\` or switch with \`.league use <name>\`.`;
+      }
+
+      const snapshot = await leagueStats.getSnapshot();
+      if (snapshot.teams.length < 2) {
+        return `🏆 **Playoff Odds**\n\n${leagueStats.describe(snapshot)}`;
+      }
+
+      const playerNames = this.draftSessions.resolve(source).state.picks
+        .filter(pick => pick.isUser)
+        .map(pick => pick.player);
+      if (sides && playerNames.length === 0) {
+        return `🏆 **Playoff Odds**\n\n❌ Not sure which team is yours. Add your players with \`.my PlayerName\` first.`;
+      }
+
+      const splitNames = text => text.split(/\s*(?:,|\+|&|\band\b)\s*/i).map(name => name.trim()).filter(Boolean);
+      const simulator = new SeasonSimulator({
+        client,
+        requirements: rosterRequirements,
+        valueModel: this.tradeAnalyzer.valueModel,
+        espnClient: this.tradeAnalyzer.espnClient,
+        format: SeasonSimulator.loadFormat(league.profile || undefined)
+      });
+      const report = await simulator.simulate({
+        snapshot,
+        seasonStats: leagueStats.toSeasonStats(snapshot),
+        playerNames,
+        trade: sides ? { give: splitNames(sides[1]), receive: splitNames(sides[2]) } : null
+      });
+      return this.formatPlayoffOdds(report, leagueStats.describe(snapshot));
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return `🏆 **Playoff Odds**\n\n❌ Couldn't match **${error.value}** to ${error.expectedType}.`;
+      }
+      logger.error('Error in odds command:', error.message);
+      return '🚨 Error simulating the season. Please try again!';
+    }
+  }
 
-**🔥 Rising Players**
-${trending.split('\n').slice(1, 4).join('\n')}
+  formatPlayoffOdds(report, dataSummary = null) {
+    const { format } = report;
+    const weeks = list => (list.length > 1 ? `wks ${list[0]}-${list[list.length - 1]}` : `wk ${list[0]}`);
+    const percent = value => `${value}%`;
+
+    let response = `🏆 **Playoff Odds - Week ${report.week}** (${report.iterations.toLocaleString()} simulated seasons)\n`;
+    response += `${format.playoffTeams} teams make it${format.byes > 0 ? `, top ${format.byes} on bye` : ''}: ` +
+      `${format.rounds.map(round => `${round.name} ${weeks(round.weeks)}`).join(' • ')}\n`;
+    if (dataSummary) {
+      response += `${dataSummary}\n`;
+    }
+    if (report.schedule.generatedWeeks.length > 0) {
+      response += `⚠️ No league schedule for ${weeks(report.schedule.generatedWeeks)}, so those games pair teams round-robin\n`;
+    }
+    if (report.note) {
+      response += `ℹ️ ${report.note}\n`;
+    }
 
-**💡 Strategy Tips**
-• Target players with increasing snap counts
-• Monitor backup RBs for injury-prone starters  
-• Look for WRs in high-volume passing offenses
-• Consider defenses with favorable schedules
+    response += '\n';
+    report.teams.forEach((team, index) => {
+      const name = team.teamName === report.myTeam ? `**${team.teamName}** ⬅️` : team.teamName;
+      const { wins, losses, ties } = team.record;
+      response += `${index + 1}. ${name} (${wins}-${losses}${ties ? `-${ties}` : ''}) - ` +
+        `Playoffs ${percent(team.playoffOdds)}${format.byes > 0 ? ` • Bye ${percent(team.byeOdds)}` : ''} • ` +
+        `Title ${percent(team.championshipOdds)} • ~${team.projectedWins} wins\n`;
+    });
 
-**📈 Pickup Priority**
-1. **Immediate Impact:** Players getting starter snaps
-2. **Handcuffs:** Backup RBs for your starters
-3. **Breakout Candidates:** Players with target/touch upside
-4. **Streaming Options:** QB/DEF for favorable matchups
+    if (report.trade) {
+      const { trade } = report;
+      const signed = value => `${value >= 0 ? '+' : ''}${value}`;
+      const shift = (label, side, field, suffix = '%') =>
+        `${label} ${side.before[field]}${suffix} → ${side.after[field]}${suffix} (${signed(side.change[field])})`;
+      const describe = side => [
+        shift('Playoffs', side, 'playoffOdds'),
+        format.byes > 0 ? shift('Bye', side, 'byeOdds') : null,
+        shift('Title', side, 'championshipOdds'),
+        shift('', side, 'projectedWeekly', ' pts/wk').trim()
+      ].filter(Boolean).join(' • ');
+
+      response += `\n🔄 **Trade:** ${trade.give.join(', ')} for ${trade.receive.join(', ')} (${trade.partner})\n`;
+      response += `**You:** ${describe(trade.myTeam)}\n`;
+      response += `**${trade.partner}:** ${describe(trade.partnerTeam)}\n`;
+    }
 
-**⚠️ Waiver Strategy**
-• Save FAAB for true emergencies
-• Don't chase last week's points
-• Target opportunity over recent production
+    return response;
+  }
 
-⏰ **Updated:** ${new Date().toLocaleTimeString()}
-📊 **Based on:** Trending analysis and snap count data`;
+  /**
+   * A league's live scoreboard, registered with the live game monitor on first use. Teams in
+   * LIVE_FOLLOW_TEAMS (comma-separated names or IDs) are followed from the start.
+   */
+  getLiveScoreboard(league) {
+    if (!this.liveScoreboards.has(league.name)) {
+      const { client, scoring, rosterRequirements } = this.leagues.getContext(league);
+      const scoreboard = new LiveScoreboard({
+        league,
+        client,
+        scoring,
+        requirements: rosterRequirements,
+        valueModel: this.tradeAnalyzer.valueModel,
+        espnClient: this.tradeAnalyzer.espnClient,
+        follow: (process.env.LIVE_FOLLOW_TEAMS || '').split(',').map(team => team.trim()).filter(Boolean)
+      });
+      this.liveGameMonitor.addScoreboard(scoreboard);
+      this.liveScoreboards.set(league.name, scoreboard);
+    }
+    return this.liveScoreboards.get(league.name);
+  }
 
+  /**
+   * .live [follow|unfollow <team>]: running fantasy score, what's left to play and live win
+   * probability for your matchup (followed teams get lead-change, touchdown and final alerts)
+   */
+  async handleLiveCommand(source, args = '') {
+    try {
+      const { league, leagueStats } = this.getLeagueContext(source);
+      if (!leagueStats.isConfigured()) {
+        return `📺 **Live Scoreboard**\n\n❌ No league connected for ${league.displayName}. Live scoring needs your league's lineups - set its league ID in \`data/leagues.json\` or switch with \`.league use <name>\`.`;
+      }
+
+      const scoreboard = this.getLiveScoreboard(league);
+      await scoreboard.ensureLoaded();
+
+      const [, action, teamArg] = args.match(/^(follow|unfollow)\s*(.*)$/i) || [];
+      if (action) {
+        const key = teamArg.trim().toLowerCase();
+        const sides = scoreboard.matchups.flatMap(matchup => [matchup.home, matchup.away]);
+        const side = sides.find(entry => String(entry.teamId) === key || entry.teamName.toLowerCase() === key)
+          || sides.find(entry => key && entry.teamName.toLowerCase().includes(key));
+        if (!side) {
+          return `📺 **Live Scoreboard**\n\n❌ No team matching **${teamArg || '(none)'}** plays this week.\n**Usage:** \`.live follow <team name>\``;
+        }
+        if (action.toLowerCase() === 'follow') {
+          scoreboard.follow(side.teamName);
+          return `📺 Following **${side.teamName}** - lead changes, touchdowns and the final for its week ${scoreboard.week} matchup will be posted to the live game channel.`;
+        }
+        scoreboard.unfollow(side.teamName);
+        scoreboard.unfollow(side.teamId);
+        return `📺 Stopped following **${side.teamName}**.`;
+      }
+      if (args) {
+        return `📺 **Live Scoreboard**\n\n**Usage:** \`.live\`, \`.live follow <team>\` or \`.live unfollow <team>\``;
+      }
+
+      const names = new Set(this.draftSessions.resolve(source).state.picks
+        .filter(pick => pick.isUser)
+        .map(pick => LiveScoreboard.normalizeName(pick.player)));
+      return this.formatLiveScoreboard(scoreboard.getScoreboard(), names);
     } catch (error) {
-      logger.error('Error in waiver command:', error.message);
-      return '🚨 Error fetching waiver targets. Please try again!';
+      logger.error('Error in live command:', error.message);
+      return '🚨 Error loading the live scoreboard. Please try again!';
+    }
+  }
+
+  formatLiveScoreboard(board, myPlayers = new Set()) {
+    const overlap = side => side.starters.filter(starter => myPlayers.has(LiveScoreboard.normalizeName(starter.name))).length;
+    const mine = board.matchups.find(matchup => matchup.followed) ||
+      board.matchups.filter(matchup => overlap(matchup.home) + overlap(matchup.away) > 0)
+        .sort((a, b) => (overlap(b.home) + overlap(b.away)) - (overlap(a.home) + overlap(a.away)))[0];
+
+    let response = `📺 **Live Scoreboard - Week ${board.week}**` +
+      `${board.updatedAt ? ` (updated ${new Date(board.updatedAt).toLocaleTimeString()})` : ' (no live games scored yet)'}\n`;
+
+    if (mine) {
+      const status = starter => (starter.played >= 1 ? '✅' : starter.played > 0 ? '🔴' : '⏳');
+      const side = team => {
+        let text = `\n**${team.teamName}** - ${team.points} pts, on pace for ${team.projected} • **${team.winProbability}%** to win\n`;
+        team.starters.forEach(starter => {
+          const label = RosterRequirements.displayName(starter.slot).padEnd(5);
+          text += `\`${label}\` ${status(starter)} ${starter.name} ${starter.points}${starter.played < 1 ? ` _(+${starter.remaining} to go)_` : ''}\n`;
+        });
+        return text;
+      };
+      response += side(mine.home) + side(mine.away);
+      response += `\n${mine.final ? '🏁 Final' : `⏳ Left to play: ${mine.home.playersLeft} vs ${mine.away.playersLeft}`}\n`;
+    } else {
+      response += '\n_Not sure which matchup is yours - use `.live follow <team name>` or add your players with `.my PlayerName`._\n';
+    }
+
+    const others = board.matchups.filter(matchup => matchup !== mine);
+    if (others.length > 0) {
+      response += `\n📋 **${mine ? 'Around the league' : 'This week'}**\n${others.map(matchup => `• ${LiveScoreboard.describeMatchup(matchup)}`).join('\n')}\n`;
+    }
+    return response;
+  }
+
+  /**
+   * Recorded moves for a league; empty when the database can't be read so callers fall back to the
+   * platform's own log
+   */
+  async getRecordedTransactions(league) {
+    try {
+      return await this.transactions.getTransactions(league.name, { limit: 5000 });
+    } catch (error) {
+      logger.warn(`Recorded transactions unavailable for ${league.name}: ${error.message}`);
+      return [];
+    }
+  }
+
+  formatWaiverReport(report, username) {
+    let response = `🎯 **Waiver Wire - Week ${report.week}** (${report.team.name || `${username}'s Team`})\n`;
+    response += `Roster ${report.rosterSize}/${report.rosterLimit}`;
+    if (report.holes.length > 0) {
+      response += ` • ⚠️ Empty this week: ${report.holes.map(slot => RosterRequirements.displayName(slot)).join(', ')}`;
+    }
+    if (report.faab) {
+      response += ` • 💰 FAAB $${report.faab.remaining}/$${report.faab.budget}`;
+    }
+    response += '\n';
+    if (report.byeWeeks.length > 0) {
+      response += `📅 **Starter byes:** ${report.byeWeeks.map(bye => `Wk ${bye.week} (${bye.players.join(', ')})`).join(' • ')}\n`;
+    }
+
+    if (report.recommendations.length === 0) {
+      return `${response}\n✅ No free agent would improve your starting lineup right now.`;
+    }
+
+    response += '\n';
+    report.recommendations.forEach((pickup, index) => {
+      response += `**${index + 1}. ${pickup.name}** (${pickup.position}${pickup.team ? `, ${pickup.team}` : ''}) - +${pickup.netGain} lineup pts ROS`;
+      if (pickup.bid) {
+        response += ` • bid **$${pickup.bid.amount}** ($${pickup.bid.low}-${pickup.bid.high})`;
+      }
+      response += '\n';
+      const details = [...pickup.reasons];
+      if (pickup.drop) {
+        details.push(`drop ${pickup.drop.name} (${pickup.drop.position})`);
+      }
+      if (details.length > 0) {
+        response += `   _${details.join(' • ')}_\n`;
+      }
+    });
+
+    if (report.faab) {
+      const rivals = report.faab.teams.filter(team => team.name !== report.team.name).slice(0, 3);
+      response += `\n💰 **Most FAAB left:** ${rivals.map(team => `${team.name} $${team.remaining}`).join(', ')}\n`;
+      response += `📈 **Bids based on:** ${report.recommendations[0].bid.basis}\n`;
     }
+    return response;
   }
 
   async handleRankingsCommand() {
@@ -3162,11 +4602,284 @@ ${trending.split('\n').slice(1, 4).join('\n')}
     }
   }
 
-  async handleTradeCommand(command, username) {
+  /**
+   * My team, every league team and season stats for trade tools. Uses the ESPN rosters once we can
+   * tell which team is ours, otherwise the draft board.
+   */
+  async buildTradeContext(draftState, username, leagueContext = this.getLeagueContext()) {
+    const { leagueStats } = leagueContext;
+    const myTeam = {
+      teamName: `${username}'s Team`,
+      roster: draftState.picks
+        .filter(pick => pick.isUser)
+        .map(pick => ({
+          name: pick.player,
+          position: pick.position || 'UNKNOWN',
+          team: pick.nflTeam || 'FA',
+          pick: pick.pick
+        }))
+    };
+
+    // Real standings and weekly scores when ESPN (or its cache) has them
+    const snapshot = await leagueStats.getSnapshot();
+    const leagueTeam = snapshot.teams.length > 0
+      ? leagueStats.findTeamByRoster(snapshot, myTeam.roster.map(player => player.name))
+      : null;
+
+    let allTeams;
+    if (leagueTeam) {
+      myTeam.teamName = leagueTeam.teamName;
+      myTeam.roster = leagueTeam.roster;
+      allTeams = snapshot.teams;
+    } else {
+      allTeams = this.buildTeamsFromDraftState(draftState, myTeam.teamName);
+    }
+
+    return {
+      myTeam,
+      allTeams,
+      snapshot,
+      leagueData: {
+        teams: allTeams,
+        currentWeek: snapshot.week,
+        settings: {
+          size: draftState.leagueSize || 12,
+          scoringType: 'PPR'
+        }
+      },
+      seasonStats: leagueStats.toSeasonStats(snapshot),
+      dataSource: { mode: snapshot.mode, summary: leagueStats.describe(snapshot) }
+    };
+  }
+
+  /**
+   * .trade eval Player A, Player B for Player C
+   */
+  async handleTradeEvalCommand(args, username, draftState, leagueContext = this.getLeagueContext()) {
+    const sides = args.match(/^(.+?)\s+for\s+(.+)$/i);
+    if (!sides) {
+      return `⚖️ **Trade Evaluation**
+
+**Usage:** \`.trade eval <your players> for <their players>\`
+**Example:** \`.trade eval Derrick Henry, Mike Evans for Bijan Robinson\`
+
+Separate players with commas, \`+\` or \`and\`. Everyone you receive must be on the same team.`;
+    }
+
+    const splitNames = text => text.split(/\s*(?:,|\+|&|\band\b)\s*/i).map(name => name.trim()).filter(Boolean);
+    const give = splitNames(sides[1]);
+    const receive = splitNames(sides[2]);
+
+    try {
+      const { myTeam, allTeams, snapshot, seasonStats, dataSource } = await this.buildTradeContext(draftState, username, leagueContext);
+      const partnerTeam = this.tradeAnalyzer.findTeamWithPlayers(allTeams, receive, myTeam.teamName);
+      if (!partnerTeam) {
+        return `⚖️ **Trade Evaluation**\n\n❌ Couldn't find one team that rosters all of: ${receive.join(', ')}. Check the spelling or \`.import\` the league's rosters.`;
+      }
+
+      logger.info(`⚖️ ${username} evaluating ${give.join(' + ')} for ${receive.join(' + ')} with ${partnerTeam.teamName}`);
+
+      const evaluation = await this.tradeAnalyzer.evaluateTradeProposal(
+        { myTeam, partnerTeam, give, receive },
+        {
+          seasonStats,
+          currentWeek: snapshot.week,
+          rosterRequirements: leagueContext.rosterRequirements,
+          mode: leagueContext.league.type === 'dynasty' ? 'dynasty' : 'redraft'
+        }
+      );
+      return this.formatTradeEvaluation(evaluation, dataSource);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return `⚖️ **Trade Evaluation**\n\n❌ Couldn't match **${error.value}** to ${error.expectedType}.`;
+      }
+      throw error;
+    }
+  }
+
+  formatTradeEvaluation(evaluation, dataSource = null) {
+    const { myTeam, partnerTeam, verdict } = evaluation;
+    const signed = value => `${value >= 0 ? '+' : ''}${value}`;
+    const dynasty = evaluation.mode === 'dynasty';
+    const describePlayers = players => players
+      .map(player => (player.position === 'PICK'
+        ? `${player.name} pick (value ${player.value})`
+        : `${player.name} (${player.position}${dynasty && player.age ? `, age ${player.ageAssumed ? '~' : ''}${player.age}` : ''}, value ${player.value}` +
+          `${player.injury.risk !== 'low' ? `, ${player.injury.risk} injury risk` : ''})`))
+      .join(', ');
+
+    let response = `⚖️ **${dynasty ? 'Dynasty ' : ''}Trade Evaluation** vs ${partnerTeam.teamName}\n\n`;
+    if (dynasty) {
+      response += `Values cover the next ${DynastyValueModel.HORIZON_SEASONS} seasons along each position's age curve; picks are valued as the rookies they become.\n\n`;
+    }
+    if (dataSource?.summary) {
+      response += `${dataSource.summary}\n\n`;
+    }
+
+    response += `**You give:** ${describePlayers(evaluation.give)}\n`;
+    response += `**You get:** ${describePlayers(evaluation.receive)}\n\n`;
+
+    response += `🏷️ **Verdict:** ${verdict.label} (value ${evaluation.valueReceived} in vs ${evaluation.valueSent} out, ${signed(verdict.percentGap)}%)\n`;
+    if (verdict.mutualBenefit) {
+      response += `🤝 Both starting lineups improve - a good trade to pitch\n`;
+    }
+    response += '\n';
+
+    [['Your', myTeam], ['Their', partnerTeam]].forEach(([label, side]) => {
+      response += `${side.rosPointsDelta >= 0 ? '📈' : '📉'} **${label} starting lineup:** ${side.before.rosPoints} → ${side.after.rosPoints} ROS pts ` +
+        `(${signed(side.rosPointsDelta)}, ${signed(side.weeklyPointsDelta)}/wk)\n`;
+    });
+
+    const depth = Object.entries(myTeam.depth)
+      .map(([position, change]) => `${RosterRequirements.displayName(position)} ${change.before}→${change.after}`);
+    if (depth.length > 0) {
+      response += `📋 **Your depth:** ${depth.join(', ')}\n`;
+    }
+
+    const startersBefore = new Set(myTeam.before.starters.map(slot => slot.name).filter(Boolean));
+    const startersAfter = new Set(myTeam.after.starters.map(slot => slot.name).filter(Boolean));
+    const promoted = [...startersAfter].filter(name => !startersBefore.has(name));
+    const benched = [...startersBefore].filter(name => !startersAfter.has(name));
+    if (promoted.length > 0 || benched.length > 0) {
+      response += `🔁 **Lineup changes:** in ${promoted.join(', ') || 'none'}; out ${benched.join(', ') || 'none'}\n`;
+    }
+    const openBefore = myTeam.before.starters.filter(slot => slot.replacement).map(slot => slot.slot);
+    const newlyOpen = myTeam.after.starters
+      .filter(slot => slot.replacement)
+      .map(slot => slot.slot)
+      .filter(slot => {
+        const index = openBefore.indexOf(slot);
+        if (index === -1) return true;
+        openBefore.splice(index, 1);
+        return false;
+      });
+    if (newlyOpen.length > 0) {
+      response += `⚠️ **Starting spots this trade opens:** ${newlyOpen.join(', ')} (valued at waiver level)\n`;
+    }
+    if (myTeam.drops.length > 0) {
+      response += `✂️ **Cuts to make room:** ${myTeam.drops.join(', ')}\n`;
+    }
+
+    if (evaluation.narrative) {
+      const narrative = evaluation.narrative.length > 700 ? `${evaluation.narrative.substring(0, 700)}...` : evaluation.narrative;
+      response += `\n🤖 **Analysis:** ${narrative}\n`;
+    }
+
+    return response;
+  }
+
+  /**
+   * .lineup [week | team] and /lineup: optimal starters for the week, using the ESPN or Sleeper roster
+   * (current slots, injury designations, weekly projections) of the team named, or of the caller's
+   * team under the league's discord.owners. Without a connected league the draft board's picks are used.
+   */
+  async handleLineupCommand(username, source, week = null, team = null) {
+    try {
+      const draftState = this.draftSessions.resolve(source).state;
+      const { league, leagueStats, rosterRequirements } = this.getLeagueContext(source);
+      let roster = draftState.picks
+        .filter(pick => pick.isUser)
+        .map(pick => ({ name: pick.player, position: pick.position, team: pick.nflTeam }));
+      let teamName = `${username}'s Team`;
+
+      if (leagueStats.isConfigured()) {
+        const wanted = team || this.leagues.ownedTeam(league, this.draftSessions.getUser(source));
+        if (wanted === null) {
+          return `📋 **Weekly Lineup**\n\n❓ Which ${league.displayName} team is yours? Use \`.lineup <team name>\`, or add your Discord ID under \`discord.owners\` for this league in \`data/leagues.json\`.`;
+        }
+
+        try {
+          const teams = await leagueStats.leagueClient.getRosters();
+          const myTeam = this.findLeagueTeam(teams, wanted);
+          if (!myTeam) {
+            return `📋 **Weekly Lineup**\n\n❌ No ${league.displayName} team matches \`${wanted}\`. Teams: ${teams.map(entry => entry.name).join(', ')}`;
+          }
+          roster = myTeam.roster;
+          teamName = myTeam.name;
+        } catch (error) {
+          logger.warn(`League roster unavailable for lineup, using draft board: ${error.message}`);
+        }
+      }
+
+      if (roster.length === 0) {
+        return `📋 **Weekly Lineup**\n\n❌ No roster found. Add your players with \`.my PlayerName\` or \`.import\` your draft first.`;
+      }
+
+      const lineup = await this.lineupOptimizer.optimize(roster, { week, injuryReports: this.getInjuryReports(), requirements: rosterRequirements });
+      return this.formatLineup(lineup, teamName);
+    } catch (error) {
+      logger.error(`Lineup optimization failed: ${error.message}`);
+      return '🚨 Error building your lineup. Please try again!';
+    }
+  }
+
+  /**
+   * League team by platform team ID or name (exact, else the one team whose name contains it)
+   */
+  findLeagueTeam(teams, wanted) {
+    const key = String(wanted).trim().toLowerCase();
+    const byName = teams.filter(team => team.name && team.name.toLowerCase().includes(key));
+    return teams.find(team => String(team.id) === key) ||
+      byName.find(team => team.name.toLowerCase() === key) ||
+      (byName.length === 1 ? byName[0] : null);
+  }
+
+  /**
+   * Latest statuses from the injury monitor and the official injury report
+   */
+  getInjuryReports() {
+    return [
+      ...this.injuryMonitor.knownInjuries.values(),
+      ...this.officialInjuryMonitor.lastInjuryReports.values()
+    ];
+  }
+
+  formatLineup(lineup, teamName) {
+    const describe = player => {
+      const details = [player.team, player.opponent].filter(Boolean).join(' ');
+      const notes = player.notes.length > 0 ? ` _(${player.notes.join(', ')})_` : '';
+      return `**${player.name}**${details ? ` (${details})` : ''} - ${player.expected}${notes}`;
+    };
+
+    let response = `📋 **Optimal Lineup - Week ${lineup.week}** (${teamName})\n\n`;
+    lineup.starters.forEach(slot => {
+      const label = RosterRequirements.displayName(slot.slot).padEnd(5);
+      response += `\`${label}\` ${slot.name ? describe(slot) : '⚠️ _empty - pick someone up_'}\n`;
+    });
+    response += `\n**Projected starters total:** ${lineup.totalExpected}\n`;
+
+    if (lineup.moves.length > 0) {
+      response += `\n🔁 **Lineup moves:** ${lineup.moves
+        .map(move => move.action === 'start' ? `▶️ Start ${move.name} (${move.slot})` : `⏸️ Sit ${move.name}`)
+        .join(' • ')}\n`;
+    }
+
+    if (lineup.gameTimeDecisions.length > 0) {
+      response += `\n⚠️ **Game-time decisions:**\n`;
+      lineup.gameTimeDecisions.forEach(slot => {
+        const backup = slot.backup.name
+          ? `backup **${slot.backup.name}** (${slot.backup.expected}) - ${slot.backup.reason}`
+          : slot.backup.reason;
+        response += `• ${slot.name} - ${slot.status.toLowerCase()} (${Math.round(slot.playProbability * 100)}% to play) → ${backup}\n`;
+      });
+    }
+
+    if (lineup.bench.length > 0) {
+      response += `\n🪑 **Bench:** ${lineup.bench
+        .map(player => `${player.name} (${player.expected}${player.notes.length > 0 ? `, ${player.notes.join(', ')}` : ''})`)
+        .join(', ')}\n`;
+    }
+
+    return response;
+  }
+
+  async handleTradeCommand(command, username, source) {
     try {
       logger.info(`💼 ${username} requested trade analysis with: ${command}`);
       
-      if (!this.draftState || !this.draftState.picks || this.draftState.picks.length === 0) {
+      const draftState = this.draftSessions.resolve(source).state;
+      const leagueContext = this.getLeagueContext(source);
+      if (draftState.picks.length === 0) {
         return `💼 **Trade Analysis**
 
 ❌ **No team data available!**
@@ -3183,31 +4896,16 @@ To use trade analysis, you need:
 Type \`.help\` for more commands.`;
       }
 
+      // Evaluate a specific proposal (.trade eval A, B for C)
+      if (/^\.trade\s+eval\b/i.test(command)) {
+        return await this.handleTradeEvalCommand(command.replace(/^\.trade\s+eval\s*/i, ''), username, draftState, leagueContext);
+      }
+
       // Extract team name if specified (.trade Team Name)
       const targetTeam = command.length > 6 ? command.substring(6).trim() : null;
 
-      // Build current team data
-      const myTeam = {
-        teamName: `${username}'s Team`,
-        roster: this.draftState.picks
-          .filter(pick => pick.isUser)
-          .map(pick => ({
-            name: pick.player,
-            position: pick.position || 'UNKNOWN',
-            team: pick.nflTeam || 'FA',
-            pick: pick.pick
-          }))
-      };
-
-      // Build league data from draft state
-      const allTeams = this.buildTeamsFromDraftState();
-      const leagueData = {
-        teams: allTeams,
-        settings: {
-          size: this.draftState.leagueSize || 12,
-          scoringType: 'PPR'
-        }
-      };
+      const { myTeam, leagueData, seasonStats, dataSource } = await this.buildTradeContext(draftState, username, leagueContext);
+      const managerProfiles = TransactionMonitor.buildManagerProfiles(await this.getRecordedTransactions(leagueContext.league));
 
       logger.info(`🔍 Analyzing trades for ${myTeam.teamName} with ${myTeam.roster.length} players`);
 
@@ -3218,9 +4916,6 @@ Type \`.help\` for more commands.`;
       // Check if this is a scan command for active trade opportunity detection
       const isScanMode = analysisType === 'scan' || command.includes('scan');
       
-      // Build season stats (mock data for now - would integrate with real stats)
-      const seasonStats = this.buildSeasonStats(allTeams);
-      
       let analysis;
       if (isScanMode) {
         // SCAN MODE: Actively search all teams for trade opportunities and trigger immediate notifications
@@ -3234,7 +4929,9 @@ Type \`.help\` for more commands.`;
             targetTeam: null, // Scan ALL teams
             sendToDiscord: true,
             scanMode: true, // Enhanced scanning
-            forceNotification: true // Force immediate Discord alert
+            forceNotification: true, // Force immediate Discord alert
+            seasonStats,
+            managerProfiles
           }
         );
       } else if (analysisType === 'context' || analysisType === 'full') {
@@ -3249,7 +4946,7 @@ Type \`.help\` for more commands.`;
         const tradeOpportunities = await this.tradeAnalyzer.analyzeTradeOpportunities(
           myTeam,
           leagueData,
-          { targetTeam, sendToDiscord: true } // Enable Discord webhook
+          { targetTeam, sendToDiscord: true, seasonStats, managerProfiles } // Enable Discord webhook
         );
         
         analysis.tradeOpportunities = tradeOpportunities;
@@ -3258,7 +4955,7 @@ Type \`.help\` for more commands.`;
         analysis = await this.tradeAnalyzer.analyzeTradeOpportunities(
           myTeam, 
           leagueData,
-          { targetTeam, sendToDiscord: true } // Enable Discord webhook
+          { targetTeam, sendToDiscord: true, seasonStats, managerProfiles } // Enable Discord webhook
         );
       }
       
@@ -3271,10 +4968,10 @@ Type \`.help\` for more commands.`;
           `**Trade opportunities will be sent as separate Discord alerts!**`;
         
         // Return scan confirmation first, detailed analysis will come via webhook
-        return scanResponse + '\n\n' + this.formatEnhancedTradeAnalysis(analysis, analysisType, targetTeam);
+        return scanResponse + '\n\n' + this.formatEnhancedTradeAnalysis(analysis, analysisType, targetTeam, dataSource);
       }
       
-      return this.formatEnhancedTradeAnalysis(analysis, analysisType, targetTeam);
+      return this.formatEnhancedTradeAnalysis(analysis, analysisType, targetTeam, dataSource);
 
     } catch (error) {
       logger.error('Trade analysis failed:', error.message);
@@ -3291,15 +4988,15 @@ Try again or use \`.help\` for support.`;
     }
   }
 
-  buildTeamsFromDraftState() {
+  buildTeamsFromDraftState(draftState, userTeamName = 'Your Team') {
     const teams = {};
     
     // Group picks by team
-    this.draftState.picks.forEach(pick => {
+    draftState.picks.forEach(pick => {
       const teamNum = pick.team || 1;
       if (!teams[teamNum]) {
         teams[teamNum] = {
-          teamName: pick.isUser ? 'Your Team' : `Team ${teamNum}`,
+          teamName: pick.isUser ? userTeamName : `Team ${teamNum}`,
           roster: []
         };
       }
@@ -3315,70 +5012,19 @@ Try again or use \`.help\` for support.`;
     return Object.values(teams);
   }
 
-  buildSeasonStats(allTeams) {
-    // Mock season stats based on team composition (would integrate with real data)
-    const seasonStats = {};
-    
-    allTeams.forEach((team, index) => {
-      const wins = Math.floor(Math.random() * 8) + 2; // 2-9 wins
-      const losses = 10 - wins;
-      const pointsFor = 1200 + (Math.random() * 400); // 1200-1600 points
-      const pointsAgainst = 1200 + (Math.random() * 400);
-      
-      seasonStats[team.teamName] = {
-        wins,
-        losses,
-        pointsFor: Math.round(pointsFor),
-        pointsAgainst: Math.round(pointsAgainst),
-        rank: index + 1
-      };
-      
-      // Add individual player stats
-      team.roster.forEach(player => {
-        const baseProjection = this.getPositionProjection(player.position);
-        const variance = (Math.random() - 0.5) * 0.4; // ±20% variance
-        const weeklyAverage = Math.round((baseProjection * (1 + variance)) * 10) / 10;
-        
-        seasonStats[player.name] = {
-          weeklyAverage,
-          last3Games: this.generateRecentScores(weeklyAverage),
-          trend: Math.random() > 0.7 ? 'rising' : Math.random() > 0.7 ? 'declining' : 'stable',
-          weeklyScores: this.generateWeeklyScores(weeklyAverage, 8) // 8 weeks of data
-        };
-      });
-    });
-    
-    return seasonStats;
-  }
-
-  getPositionProjection(position) {
-    const projections = {
-      QB: 18, RB: 12, WR: 10, TE: 8, K: 8, 'D/ST': 8, DST: 8
-    };
-    return projections[position] || 8;
-  }
-
-  generateRecentScores(average) {
-    return Array.from({ length: 3 }, () => 
-      Math.round((average + (Math.random() - 0.5) * average * 0.3) * 10) / 10
-    );
-  }
-
-  generateWeeklyScores(average, weeks) {
-    return Array.from({ length: weeks }, () => 
-      Math.round((average + (Math.random() - 0.5) * average * 0.4) * 10) / 10
-    );
-  }
-
-  formatEnhancedTradeAnalysis(analysis, analysisType, targetTeam) {
+  formatEnhancedTradeAnalysis(analysis, analysisType, targetTeam, dataSource = null) {
     if (!analysis || (analysis.success === false)) {
       return `💼 **Trade Analysis Failed**\n\n❌ ${analysis?.error || 'Unknown error'}`;
     }
 
     let response = `💼 **AI Trade Analysis Report** (${analysisType.toUpperCase()})\n\n`;
+    if (dataSource) {
+      response += `${dataSource.summary}\n\n`;
+    }
+    const hasResults = dataSource?.mode !== 'fallback';
 
-    // League Context (if available)
-    if (analysis.leagueContext) {
+    // League Context (only meaningful with real results)
+    if (analysis.leagueContext && hasResults) {
       const ctx = analysis.leagueContext;
       response += `📊 **League Standing**: ${ctx.myPosition}/${ctx.totalTeams}\n`;
       response += `🏆 **Playoff Status**: ${ctx.isInPlayoffs ? 'IN PLAYOFFS' : `${ctx.distanceFromPlayoffs} spots behind`}\n`;
@@ -3446,7 +5092,7 @@ Try again or use \`.help\` for support.`;
     }
 
     // Player Performance Insights (if available)
-    if (analysis.playerPerformance) {
+    if (analysis.playerPerformance && hasResults) {
       const perf = analysis.playerPerformance;
       if (perf.sellHigh && perf.sellHigh.length > 0) {
         response += `📈 **Sell High Candidates**: ${perf.sellHigh.slice(0, 3).map(p => p.name).join(', ')}\n`;
@@ -3481,9 +5127,11 @@ Try again or use \`.help\` for support.`;
       // Add players to monitoring
       this.liveGameMonitor.addPlayersToWatchlist(watchedPlayers);
       
-      // Add any drafted players from current draft state
-      if (this.draftState && this.draftState.picks) {
-        const draftedPlayers = this.draftState.picks
+      // Add any drafted players from active draft sessions
+      const sessions = this.draftSessions.getActiveSessions();
+      if (sessions.length > 0) {
+        const draftedPlayers = sessions
+          .flatMap(session => session.state.picks)
           .filter(pick => pick.isUser)
           .map(pick => pick.player || pick.name)
           .filter(name => name);
@@ -3494,6 +5142,13 @@ Try again or use \`.help\` for support.`;
         }
       }
       
+      // Score every connected league's matchups as games go on
+      this.leagues.list().forEach(league => {
+        if (this.leagues.getContext(league).leagueStats.isConfigured()) {
+          this.getLiveScoreboard(league);
+        }
+      });
+      
       // Start monitoring with webhook
       await this.liveGameMonitor.startMonitoring(liveWebhookUrl);
       
@@ -3612,6 +5267,9 @@ Try again or use \`.help\` for support.`;
       await this.client.destroy();
     }
     
+    // Let queued draft writes land before exiting
+    await this.draftSessions.flush();
+    
     // Cleanup trade analyzer
     if (this.tradeAnalyzer) {
       this.tradeAnalyzer.destroy();
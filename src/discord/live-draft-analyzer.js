@@ -1,6 +1,7 @@
-const ESPNClient = require('../api/espn-client');
+const createLeagueClient = require('../api/league-client');
 const ClaudeAI = require('../api/claude-ai');
 const FantasyKnowledgeEnhancer = require('../knowledge/fantasy-enhancer');
+const VBDEngine = require('../services/vbd-engine');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -17,18 +18,24 @@ const logger = winston.createLogger({
 
 class LiveDraftAnalyzer {
   constructor() {
-    this.espnClient = new ESPNClient();
+    this.leagueClient = createLeagueClient();
     this.claude = new ClaudeAI();
     this.knowledgeEnhancer = new FantasyKnowledgeEnhancer();
     this.activeDrafts = new Map(); // Track active draft sessions
   }
 
-  async startDraftSession(leagueId, userId) {
+  /**
+   * @param {string} [leagueId]
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {Object} [options.client] - a registered league's ESPN/Sleeper client
+   */
+  async startDraftSession(leagueId, userId, options = {}) {
     try {
       // Get current draft state
-      const draftData = await this.getDraftState(leagueId);
+      const draftData = await this.getDraftState(leagueId, options.client);
       
-      if (!draftData || !draftData.draftDetail) {
+      if (!draftData || !draftData.draftInfo) {
         return {
           success: false,
           message: "No active draft found for this league. Make sure your draft is in progress!"
@@ -38,6 +45,7 @@ class LiveDraftAnalyzer {
       // Store draft session
       this.activeDrafts.set(userId, {
         leagueId,
+        client: options.client || null,
         draftData,
         startTime: new Date(),
         lastUpdate: new Date()
@@ -45,7 +53,7 @@ class LiveDraftAnalyzer {
 
       return {
         success: true,
-        message: `✅ Connected to live draft! League: ${draftData.settings?.name || 'Unknown'}`,
+        message: `✅ Connected to live draft! League: ${draftData.leagueInfo?.name || 'Unknown'}`,
         draftInfo: this.formatDraftInfo(draftData)
       };
 
@@ -53,18 +61,25 @@ class LiveDraftAnalyzer {
       logger.error('Failed to start draft session:', error);
       return {
         success: false,
-        message: "❌ Could not connect to ESPN draft. Check your league ID and make sure the draft is active."
+        message: `❌ Could not connect to ${(options.client || this.leagueClient).platformName} draft. Check your league ID and make sure the draft is active.`
       };
     }
   }
 
-  async getDraftState(leagueId = null) {
+  /**
+   * League settings, draft board and teams from the league's platform (ESPN or Sleeper)
+   */
+  async getDraftState(leagueId = null, leagueClient = null) {
     try {
-      // Use provided leagueId or default from config
-      const targetLeagueId = leagueId || this.espnClient.leagueId;
-      
-      const draftData = await this.espnClient.makeRequest('?view=mDraftDetail&view=mTeam&view=mRoster');
-      return draftData;
+      // Use the given client, else the provided leagueId, else the default league from config
+      const client = leagueClient || (leagueId && String(leagueId) !== String(this.leagueClient.leagueId)
+        ? createLeagueClient({ leagueId })
+        : this.leagueClient);
+
+      const leagueInfo = await client.getLeagueInfo();
+      const draftInfo = await client.getDraftInfo();
+      const teams = await client.getRosters();
+      return { leagueInfo, draftInfo, teams };
     } catch (error) {
       logger.error('Failed to get draft state:', error);
       throw error;
@@ -81,9 +96,9 @@ class LiveDraftAnalyzer {
       }
 
       // Get fresh draft data
-      const currentDraftData = await this.getDraftState(session.leagueId);
+      const currentDraftData = await this.getDraftState(session.leagueId, session.client);
       
-      if (!currentDraftData?.draftDetail) {
+      if (!currentDraftData?.draftInfo) {
         return {
           error: "Draft not active or accessible."
         };
@@ -109,9 +124,9 @@ class LiveDraftAnalyzer {
   async analyzeDraftSituation(draftData, userTeamId = 2) {
     try {
       // Extract key draft information
-      const picks = draftData.draftDetail.picks || [];
+      const picks = (draftData.draftInfo.picks || []).map(pick => this.describePick(pick, draftData.teams));
       const teams = draftData.teams || [];
-      const settings = draftData.settings || {};
+      const settings = draftData.leagueInfo || {};
       
       const userTeam = teams.find(team => team.id === userTeamId);
       const totalPicks = picks.length;
@@ -119,13 +134,13 @@ class LiveDraftAnalyzer {
       
       // Determine if it's user's turn
       const nextPickOrder = (totalPicks % teams.length) + 1;
-      const isUsersTurn = this.isUsersTurn(draftData.draftDetail, userTeamId);
+      const isUsersTurn = this.isUsersTurn(draftData.draftInfo, userTeamId);
       
       // Get user's current roster
       const userPicks = picks.filter(pick => pick.teamId === userTeamId);
       
-      // Get available players (this is complex - ESPN doesn't always provide this)
-      const availablePlayers = await this.getAvailableTopPlayers(picks);
+      // Get available players (this is complex - the platforms don't always provide this)
+      const availablePlayers = await this.getAvailableTopPlayers(picks, teams.length);
       
       // Build context for AI analysis
       const draftContext = {
@@ -136,14 +151,14 @@ class LiveDraftAnalyzer {
         },
         myTeam: {
           id: userTeamId,
-          name: userTeam?.location + ' ' + userTeam?.nickname || 'Your Team',
+          name: userTeam?.name || 'Your Team',
           roster: this.formatUserRoster(userPicks)
         },
         availablePlayers: availablePlayers,
         recentPicks: picks.slice(-10), // Last 10 picks
         leagueSettings: {
           size: teams.length,
-          scoringType: settings.scoringSettings?.scoringType || 'Standard',
+          scoringType: settings.scoringType || 'Standard',
           draftRounds: settings.draftSettings?.rounds || 16,
           rosterPositions: this.getRosterPositions(settings)
         },
@@ -177,15 +192,21 @@ class LiveDraftAnalyzer {
     }
   }
 
-  async getAvailableTopPlayers(picks) {
+  async getAvailableTopPlayers(picks, leagueSize = null) {
     // This is a simplified version - in a real implementation, you'd need
     // a comprehensive player database or ESPN's available players endpoint
     
-    const draftedPlayers = new Set(picks.map(pick => 
-      pick.playerPoolEntry?.player?.fullName || 'Unknown'
-    ));
+    const draftedPlayers = new Set(picks.map(pick => pick.playerName || 'Unknown'));
+
+    // Rank the local projection pool by value over replacement; fall back to the static list
+    const board = new VBDEngine({ leagueSize: leagueSize || undefined }).buildBoard({
+      drafted: Array.from(draftedPlayers),
+      limit: 200
+    });
+    if (board.players.length > 0) {
+      return board.players;
+    }
 
-    // Get top 200 players from knowledge base / projections
     const topPlayers = await this.getTopPlayerProjections();
     
     return topPlayers.filter(player => !draftedPlayers.has(player.name));
@@ -207,45 +228,53 @@ class LiveDraftAnalyzer {
     ];
   }
 
-  isUsersTurn(draftDetail, userTeamId) {
+  /**
+   * Draft pick with the player's name and position, which ESPN leaves to the rosters and Sleeper
+   * includes on the pick, plus the drafting team's name
+   */
+  describePick(pick, teams = []) {
+    const team = teams.find(t => t.id === pick.teamId);
+    const entry = team?.roster.find(rosterEntry => rosterEntry.playerId === pick.playerId);
+    return {
+      ...pick,
+      playerName: pick.playerName || entry?.player?.name || 'Unknown',
+      position: pick.position || entry?.player?.position || 'FLEX',
+      teamName: team?.name || `Team ${pick.teamId}`
+    };
+  }
+
+  isUsersTurn(draftInfo, userTeamId) {
     // Check if it's currently the user's turn to pick
-    const picks = draftDetail.picks || [];
+    const picks = draftInfo.picks || [];
     const totalPicks = picks.length;
     
     // Simple calculation - would need more sophisticated logic for snake drafts
-    const nextTeamId = (totalPicks % draftDetail.draftOrder?.length) + 1;
+    const nextTeamId = (totalPicks % draftInfo.draftOrder?.length) + 1;
     return nextTeamId === userTeamId;
   }
 
   formatUserRoster(userPicks) {
     return userPicks.map(pick => ({
-      name: pick.playerPoolEntry?.player?.fullName || 'Unknown',
-      position: this.getPositionName(pick.playerPoolEntry?.player?.defaultPositionId),
+      name: pick.playerName,
+      position: pick.position,
       round: pick.roundId,
       pick: pick.roundPickNumber
     }));
   }
 
   formatDraftInfo(draftData) {
-    const settings = draftData.settings || {};
+    const settings = draftData.leagueInfo || {};
     const teams = draftData.teams || [];
     
     return {
       leagueName: settings.name || 'Unknown League',
       size: teams.length,
       rounds: settings.draftSettings?.rounds || 16,
-      scoringType: settings.scoringSettings?.scoringType || 'Standard',
+      scoringType: settings.scoringType || 'Standard',
       draftType: settings.draftSettings?.type || 'Snake'
     };
   }
 
-  getPositionName(positionId) {
-    const positions = {
-      1: 'QB', 2: 'RB', 3: 'WR', 4: 'TE', 5: 'K', 16: 'D/ST'
-    };
-    return positions[positionId] || 'FLEX';
-  }
-
   getRosterPositions(settings) {
     // Default roster positions - would come from league settings
     return {
@@ -259,7 +288,7 @@ class LiveDraftAnalyzer {
       const positions = { QB: 0, RB: 0, WR: 0, TE: 0, K: 0, DST: 0 };
       
       teamPicks.forEach(pick => {
-        const pos = this.getPositionName(pick.playerPoolEntry?.player?.defaultPositionId);
+        const pos = pick.position;
         if (positions.hasOwnProperty(pos)) {
           positions[pos]++;
         }
@@ -273,7 +302,7 @@ class LiveDraftAnalyzer {
 
       return {
         id: team.id,
-        name: `${team.location || ''} ${team.nickname || 'Team ' + team.id}`.trim(),
+        name: team.name || `Team ${team.id}`,
         needs: needs.join(', ') || 'Depth'
       };
     });
@@ -83,6 +83,30 @@ const commands = [
     .setName('update')
     .setDescription('Manually trigger data updates (injuries, news, etc.)'),
 
+  // Weekly lineup optimizer
+  new SlashCommandBuilder()
+    .setName('lineup')
+    .setDescription('Optimal start/sit for your roster with injury, weather and backup plans')
+    .addIntegerOption(option =>
+      option.setName('week')
+        .setDescription('NFL week (defaults to the current week)')
+        .setRequired(false)
+        .setMinValue(1)
+        .setMaxValue(18))
+    .addStringOption(option =>
+      option.setName('team')
+        .setDescription('Your league team (defaults to the one registered to you)')
+        .setRequired(false)),
+
+  // League registry: show or switch the active league
+  new SlashCommandBuilder()
+    .setName('league')
+    .setDescription('Show registered leagues or switch the active one')
+    .addStringOption(option =>
+      option.setName('use')
+        .setDescription('League name to switch to')
+        .setRequired(false)),
+
   // Trade analysis command
   new SlashCommandBuilder()
     .setName('trade')
@@ -117,46 +141,46 @@ module.exports = {
         case 'draft':
           await interaction.deferReply();
           const playerName = options.getString('player');
-          const draftResult = await discordBot.processDotCommand(`.my ${playerName}`, username);
+          const draftResult = await discordBot.processDotCommand(`.my ${playerName}`, username, interaction);
           await interaction.editReply(draftResult);
           break;
 
         case 'analyze':
           await interaction.deferReply();
-          const analyzeResult = await discordBot.processDotCommand('.analyze', username);
+          const analyzeResult = await discordBot.processDotCommand('.analyze', username, interaction);
           await interaction.editReply(analyzeResult);
           break;
 
         case 'clear':
           await interaction.deferReply();
-          const clearResult = await discordBot.processDotCommand('.clear', username);
+          const clearResult = await discordBot.processDotCommand('.clear', username, interaction);
           await interaction.editReply(clearResult);
           break;
 
         case 'team':
           await interaction.deferReply();
-          const teamResult = await discordBot.showUserTeam(username);
+          const teamResult = await discordBot.showUserTeam(username, interaction);
           await interaction.editReply(teamResult);
           break;
 
         case 'player':
           await interaction.deferReply();
           const playerName2 = options.getString('name');
-          const playerResult = await discordBot.processDotCommand(`.intel ${playerName2}`, username);
+          const playerResult = await discordBot.processDotCommand(`.intel ${playerName2}`, username, interaction);
           await interaction.editReply(playerResult);
           break;
 
         case 'import':
           await interaction.deferReply();
           const importData = options.getString('data');
-          const importResult = await discordBot.importDraftBoard(importData, username);
+          const importResult = await discordBot.importDraftBoard(importData, username, interaction);
           await interaction.editReply(importResult);
           break;
 
         case 'intel':
           await interaction.deferReply();
           const playerName3 = options.getString('player') || '';
-          const intelResult = await discordBot.processDotCommand(`.intel ${playerName3}`.trim(), username);
+          const intelResult = await discordBot.processDotCommand(`.intel ${playerName3}`.trim(), username, interaction);
           await interaction.editReply(intelResult);
           break;
 
@@ -186,13 +210,25 @@ module.exports = {
         case 'trade':
           await interaction.deferReply();
           const analysisType = options.getString('analysis_type') || 'full';
-          const tradeResult = await discordBot.handleTradeCommand(`.trade ${analysisType}`, username);
+          const tradeResult = await discordBot.handleTradeCommand(`.trade ${analysisType}`, username, interaction);
           await interaction.editReply(tradeResult);
           break;
 
+        case 'lineup':
+          await interaction.deferReply();
+          const lineupResult = await discordBot.handleLineupCommand(username, interaction, options.getInteger('week'), options.getString('team'));
+          await interaction.editReply(lineupResult);
+          break;
+
+        case 'league':
+          const leagueName = options.getString('use');
+          const leagueResult = await discordBot.processDotCommand(leagueName ? `.league use ${leagueName}` : '.league', username, interaction);
+          await interaction.reply(leagueResult);
+          break;
+
         case 'update':
           await interaction.deferReply();
-          const updateResult = await discordBot.processDotCommand('.update', username);
+          const updateResult = await discordBot.processDotCommand('.update', username, interaction);
           await interaction.editReply(updateResult);
           break;
 
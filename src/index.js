@@ -4,6 +4,20 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const config = require('./config/environment');
 const DraftMonitor = require('./services/draft-monitor');
+const VBDEngine = require('./services/vbd-engine');
+const AuctionEngine = require('./services/auction-engine');
+const KeeperAnalyzer = require('./services/keeper-analyzer');
+const DraftStrategyLab = require('./services/draft-strategy-lab');
+const DraftRecap = require('./services/draft-recap');
+const TradeAnalyzer = require('./services/trade-analyzer');
+const WaiverEngine = require('./services/waiver-engine');
+const TransactionMonitor = require('./services/transaction-monitor');
+const SeasonSimulator = require('./services/season-simulator');
+const MatchupPreviewer = require('./services/matchup-previewer');
+const TransactionRepository = require('./database/transaction-repository');
+const { ensureMigrated } = require('../database/migrate');
+const LeagueRegistry = require('./services/league-registry');
+const PickRelay = require('./services/pick-relay');
 const DiscordNotifier = require('./alerts/discord-bot');
 const ExternalAPIsClient = require('./api/external-apis');
 const createLogger = require('./utils/logger');
@@ -16,9 +30,18 @@ const logger = createLogger(config.logging.level);
 class FantasyCommandCenter {
   constructor() {
     this.app = express();
-    this.draftMonitor = new DraftMonitor();
+    this.leagues = LeagueRegistry.load();
+    this.draftMonitors = new Map(); // league name -> DraftMonitor, created on first use
+    this.transactionMonitors = new Map(); // league name -> TransactionMonitor
+    this.transactionRepository = new TransactionRepository();
     this.discordNotifier = new DiscordNotifier();
+    this.draftMonitor = this.getDraftMonitor(this.leagues.getDefault());
     this.externalAPIs = new ExternalAPIsClient();
+    this.tradeAnalyzer = new TradeAnalyzer();
+    this.pickRelay = new PickRelay({
+      secret: config.extension.relaySecret,
+      acceptsLeague: batch => Boolean(this.leagues.findByLeagueId(batch.leagueId, batch.platform))
+    });
     this.isInitialized = false;
     
     // Setup global error handlers
@@ -31,9 +54,11 @@ class FantasyCommandCenter {
       
       this.setupMiddleware();
       this.setupRoutes();
-      this.setupDraftMonitorEvents();
+      this.setupPickRelay();
       
       await this.performHealthChecks();
+      await this.prepareDatabase();
+      this.startTransactionMonitors();
       
       this.isInitialized = true;
       logger.info('✅ Fantasy Command Center initialized successfully');
@@ -45,6 +70,112 @@ class FantasyCommandCenter {
     }
   }
 
+  /**
+   * Apply pending schema migrations once, before any monitor or route touches the database
+   */
+  async prepareDatabase() {
+    try {
+      await ensureMigrated();
+    } catch (error) {
+      // Repositories retry on their first query, so the API still starts
+      logger.error(`Database migration failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Draft monitor for a registered league, with alerts going to the league's own webhooks when it
+   * has them
+   */
+  getDraftMonitor(league) {
+    if (!this.draftMonitors.has(league.name)) {
+      const context = this.leagues.getContext(league);
+      const monitor = new DraftMonitor({
+        league,
+        leagueClient: context.client,
+        scoring: context.scoring,
+        rosterRequirements: context.rosterRequirements
+      });
+      this.setupDraftMonitorEvents(monitor, this.getLeagueNotifier(league), league);
+      this.draftMonitors.set(league.name, monitor);
+    }
+    return this.draftMonitors.get(league.name);
+  }
+
+  /**
+   * The league's own Discord webhooks when it has them, else the shared ones
+   */
+  getLeagueNotifier(league) {
+    return DiscordNotifier.forLeague(league, this.discordNotifier);
+  }
+
+  /**
+   * Watch every registered league with a league ID for adds, drops, trades and waiver claims,
+   * posting new ones to #league-intelligence (TRANSACTION_MONITOR_INTERVAL, 0 = off)
+   */
+  startTransactionMonitors() {
+    const interval = config.transactions.monitorInterval;
+    if (!interval) {
+      logger.info('League transaction feed disabled');
+      return;
+    }
+
+    this.leagues.list().forEach(league => {
+      const context = this.leagues.getContext(league);
+      if (!context.leagueStats.isConfigured() || this.transactionMonitors.has(league.name)) {
+        return;
+      }
+
+      const monitor = new TransactionMonitor({
+        league,
+        client: context.client,
+        repository: this.transactionRepository,
+        claude: this.tradeAnalyzer.claude,
+        valueModel: this.tradeAnalyzer.valueModel,
+        interval
+      });
+      const notifier = this.getLeagueNotifier(league);
+      monitor.on('transaction', async (transaction) => {
+        logger.info(`[${league.name}] New transaction: ${TransactionMonitor.describe(transaction)}`);
+        await notifier.sendLeagueTransaction(transaction);
+      });
+      monitor.on('error', (error) => {
+        logger.error(`[${league.name}] Transaction Monitor error: ${error.message}`);
+      });
+
+      this.transactionMonitors.set(league.name, monitor);
+      monitor.startMonitoring();
+    });
+  }
+
+  /**
+   * SeasonSimulator run for the request's league, with its own playoff format and standings
+   */
+  async simulateSeason(req, options) {
+    const { league, client, leagueStats, rosterRequirements } = this.getLeagueContext(req);
+    const snapshot = await leagueStats.getSnapshot();
+    const simulator = new SeasonSimulator({
+      client,
+      requirements: rosterRequirements,
+      valueModel: this.tradeAnalyzer.valueModel,
+      espnClient: this.tradeAnalyzer.espnClient,
+      format: SeasonSimulator.loadFormat(league.profile || undefined)
+    });
+    const report = await simulator.simulate({ snapshot, seasonStats: leagueStats.toSeasonStats(snapshot), ...options });
+    return { league: league.name, ...report, dataSource: snapshot.mode };
+  }
+
+  /**
+   * League named by ?league= (or "league" in a JSON body), else the default league. Unknown names
+   * throw a ValidationError.
+   */
+  getLeagueContext(req) {
+    const league = this.leagues.resolve({ league: req.query.league || req.body?.league });
+    return {
+      ...this.leagues.getContext(league),
+      draftMonitor: this.getDraftMonitor(league)
+    };
+  }
+
   setupMiddleware() {
     // Security middleware
     this.app.use(helmet({
@@ -103,38 +234,415 @@ class FantasyCommandCenter {
     });
 
     // Draft monitoring endpoints
+    // Every league-specific route takes ?league=<name or ID>; the registry's default league otherwise
+    this.app.get('/leagues', (req, res) => {
+      res.json({
+        success: true,
+        data: this.leagues.list().map(league => ({
+          ...this.leagues.describe(league),
+          monitoring: this.draftMonitors.get(league.name)?.isMonitoring || false
+        }))
+      });
+    });
+
     this.app.post('/draft/start', async (req, res) => {
       try {
-        if (!this.draftMonitor.isMonitoring) {
-          await this.draftMonitor.initialize();
-          this.draftMonitor.startMonitoring();
-          res.json({ message: 'Draft monitoring started', status: 'active' });
+        const { league, draftMonitor } = this.getLeagueContext(req);
+        if (!draftMonitor.isMonitoring) {
+          await draftMonitor.initialize();
+          draftMonitor.startMonitoring();
+          res.json({ message: 'Draft monitoring started', status: 'active', league: league.name });
         } else {
-          res.json({ message: 'Draft monitoring already active', status: 'active' });
+          res.json({ message: 'Draft monitoring already active', status: 'active', league: league.name });
         }
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        errorHandler.respond(res, error, 'Draft Monitor');
       }
     });
 
     this.app.post('/draft/stop', (req, res) => {
       try {
-        this.draftMonitor.stopMonitoring();
-        res.json({ message: 'Draft monitoring stopped', status: 'inactive' });
+        const { league, draftMonitor } = this.getLeagueContext(req);
+        draftMonitor.stopMonitoring();
+        res.json({ message: 'Draft monitoring stopped', status: 'inactive', league: league.name });
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        errorHandler.respond(res, error, 'Draft Monitor');
       }
     });
 
     this.app.get('/draft/status', (req, res) => {
       try {
-        const status = this.draftMonitor.getDraftStatus();
-        res.json(status);
+        const { league, draftMonitor } = this.getLeagueContext(req);
+        res.json({ ...draftMonitor.getDraftStatus(), league: league.name });
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        errorHandler.respond(res, error, 'Draft Monitor');
       }
     });
 
+    this.app.get('/draft/board', (req, res) => {
+      try {
+        const { league, draftMonitor, scoring, rosterRequirements } = this.getLeagueContext(req);
+        const validPositions = ['QB', 'RB', 'WR', 'TE', 'K', 'DST'];
+        const position = req.query.position ? req.query.position.toUpperCase().replace('D/ST', 'DST') : null;
+
+        if (position && !validPositions.includes(position)) {
+          return res.status(400).json({ 
+            success: false,
+            error: `Invalid position. Valid positions: ${validPositions.join(', ')}` 
+          });
+        }
+
+        const limit = Validator.validateNumber(req.query.limit || 25, 'limit', { 
+          min: 1, 
+          max: 200, 
+          integer: true 
+        });
+        // Declared keepers are off the board before the draft starts
+        const drafted = (req.query.drafted
+          ? req.query.drafted.split(',').map(name => name.trim()).filter(Boolean)
+          : []
+        ).concat(league.keepers.map(keeper => keeper.player));
+
+        // Live ESPN player pool once the monitor has loaded it, local projections otherwise
+        const board = draftMonitor.playerDatabase.size > 0
+          ? draftMonitor.getValueBoard({ limit, position, drafted })
+          : new VBDEngine({ scoring, roster: rosterRequirements }).buildBoard({ limit, position, drafted });
+
+        res.json({ 
+          success: true, 
+          league: league.name,
+          data: board.players,
+          replacementLevels: board.replacementLevels,
+          scoring: board.scoring,
+          leagueSize: board.leagueSize
+        });
+      } catch (error) {
+        errorHandler.respond(res, error, 'Draft Board');
+      }
+    });
+
+    // Auction values with inflation and every team's budget and max bid. Uses the live draft once the
+    // monitor has loaded an auction; otherwise pre-draft values from local projections (?budget=200).
+    this.app.get('/draft/auction', (req, res) => {
+      try {
+        const { league, draftMonitor, scoring, rosterRequirements } = this.getLeagueContext(req);
+        const validPositions = ['QB', 'RB', 'WR', 'TE', 'K', 'DST'];
+        const position = req.query.position ? req.query.position.toUpperCase().replace('D/ST', 'DST') : null;
+
+        if (position && !validPositions.includes(position)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid position. Valid positions: ${validPositions.join(', ')}`
+          });
+        }
+
+        const limit = Validator.validateNumber(req.query.limit || 25, 'limit', {
+          min: 1,
+          max: 200,
+          integer: true
+        });
+        const budget = req.query.budget
+          ? Validator.validateNumber(req.query.budget, 'budget', { min: 1, max: 10000, integer: true })
+          : null;
+
+        const live = draftMonitor.isAuction() && draftMonitor.playerDatabase.size > 0;
+        const board = live
+          ? draftMonitor.getAuctionBoard({ limit, position })
+          : new AuctionEngine({ budget, scoring, roster: rosterRequirements }).buildBoard({ limit, position });
+
+        res.json({
+          success: true,
+          league: league.name,
+          live,
+          data: board.players,
+          budget: board.budget,
+          inflation: board.inflation,
+          teams: board.teams,
+          scoring: board.scoring,
+          leagueSize: board.leagueSize
+        });
+      } catch (error) {
+        errorHandler.respond(res, error, 'Auction Board');
+      }
+    });
+
+    // Keeper value: round cost against ADP. GET evaluates the league's declared keepers; POST takes
+    // candidates ({ player, round, team? }) to weigh ahead of the keeper deadline.
+    const evaluateKeepers = (req, res) => {
+      try {
+        const { league, scoring, rosterRequirements } = this.getLeagueContext(req);
+        const leagueSize = rosterRequirements.size || 12;
+        const candidates = req.method === 'POST'
+          ? Validator.validateArray(req.body.candidates, 'candidates', { minLength: 1, maxLength: 100 }).map((candidate, index) => {
+            const field = key => `candidates[${index}].${key}`;
+            return {
+              player: Validator.validateString(candidate?.player, field('player'), { required: true, maxLength: 60 }),
+              round: Validator.validateNumber(candidate?.round, field('round'), { min: 1, max: 30, integer: true }),
+              team: candidate?.team ? Validator.validateNumber(candidate.team, field('team'), { min: 1, max: leagueSize, integer: true }) : null
+            };
+          })
+          : league.keepers.map((keeper, index) => KeeperAnalyzer.normalize(keeper, index, leagueSize));
+
+        const analyzer = new KeeperAnalyzer({ scoring, roster: rosterRequirements, leagueSize });
+        res.json({
+          success: true,
+          league: league.name,
+          type: league.type,
+          keeperLimit: league.keeperLimit,
+          leagueSize,
+          data: analyzer.rank(candidates, { max: req.method === 'POST' ? league.keeperLimit : null })
+        });
+      } catch (error) {
+        errorHandler.respond(res, error, 'Keeper Evaluation');
+      }
+    };
+    this.app.get('/draft/keepers', evaluateKeepers);
+    this.app.post('/draft/keepers/evaluate', evaluateKeepers);
+
+    // Monte Carlo strategy comparison over offline mock drafts: expected starter points and their
+    // distribution for each strategy ({ strategies?, slots?, iterations?, seed?, leagueSize? })
+    this.app.post('/draft/strategy-lab', async (req, res) => {
+      try {
+        const { league, scoring, rosterRequirements } = this.getLeagueContext(req);
+        const body = req.body || {};
+        const leagueSize = body.leagueSize === undefined
+          ? rosterRequirements.size || 12
+          : Validator.validateNumber(body.leagueSize, 'leagueSize', { min: 2, max: 20, integer: true });
+        const strategies = body.strategies === undefined
+          ? undefined
+          : Validator.validateArray(body.strategies, 'strategies', { minLength: 1, maxLength: 10 })
+            .map((strategy, index) => Validator.validateString(strategy, `strategies[${index}]`, { required: true, maxLength: 40 }));
+        const slots = body.slots === undefined
+          ? null
+          : Validator.validateArray(body.slots, 'slots', { minLength: 1, maxLength: leagueSize });
+        const seed = body.seed === undefined
+          ? null
+          : Validator.validateNumber(body.seed, 'seed', { min: 0, max: 4294967295, integer: true });
+
+        if (DraftStrategyLab.isRunning()) {
+          return res.status(429).json({
+            success: false,
+            error: 'A strategy lab run is already in progress; try again when it finishes'
+          });
+        }
+        const lab = new DraftStrategyLab({ leagueSize, scoring, roster: rosterRequirements });
+        const report = await lab.run({ strategies, slots, iterations: body.iterations ?? null, seed });
+
+        res.json({
+          success: true,
+          league: league.name,
+          ...report
+        });
+      } catch (error) {
+        errorHandler.respond(res, error, 'Strategy Lab');
+      }
+    });
+
+    // Report card for every team in the monitored draft: JSON by default, ?format=markdown for a
+    // document to share
+    this.app.get('/draft/recap', async (req, res) => {
+      try {
+        const { league, draftMonitor } = this.getLeagueContext(req);
+        const format = req.query.format ? String(req.query.format).toLowerCase() : 'json';
+        if (!['json', 'markdown', 'md'].includes(format)) {
+          throw new ValidationError('format', req.query.format, 'json or markdown');
+        }
+        if (draftMonitor.draftData.picks.length === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'No draft picks to grade yet'
+          });
+        }
+
+        const recap = await draftMonitor.getDraftRecap();
+        if (format === 'json') {
+          return res.json({ success: true, league: league.name, ...recap });
+        }
+        res.type('text/markdown').send(DraftRecap.toMarkdown(recap));
+      } catch (error) {
+        errorHandler.respond(res, error, 'Draft Recap');
+      }
+    });
+
+    // Trade proposal evaluation. Rosters may be posted; otherwise both teams are found in the
+    // ESPN league by the players named on each side.
+    this.app.post('/trade/evaluate', async (req, res) => {
+      try {
+        const { give, receive, narrative } = req.body;
+        Validator.validateArray(give, 'give', { minLength: 1, maxLength: 6 });
+        Validator.validateArray(receive, 'receive', { minLength: 1, maxLength: 6 });
+
+        const { league, leagueStats, rosterRequirements } = this.getLeagueContext(req);
+        const mode = req.body.mode || (league.type === 'dynasty' ? 'dynasty' : 'redraft');
+        if (!['redraft', 'dynasty'].includes(mode)) {
+          throw new ValidationError('mode', mode, 'redraft or dynasty');
+        }
+        const snapshot = await leagueStats.getSnapshot();
+        const myTeam = req.body.myTeam || this.tradeAnalyzer.findTeamWithPlayers(snapshot.teams, give);
+        const partnerTeam = req.body.partnerTeam
+          || this.tradeAnalyzer.findTeamWithPlayers(snapshot.teams, receive, myTeam?.teamName);
+
+        if (!myTeam || !partnerTeam) {
+          return res.status(400).json({
+            success: false,
+            error: `Could not find the ${myTeam ? 'receiving' : 'giving'} team in the league; include myTeam and partnerTeam rosters`
+          });
+        }
+
+        const evaluation = await this.tradeAnalyzer.evaluateTradeProposal(
+          { myTeam, partnerTeam, give, receive },
+          {
+            seasonStats: leagueStats.toSeasonStats(snapshot),
+            currentWeek: snapshot.week,
+            narrative: narrative !== false,
+            rosterRequirements,
+            mode
+          }
+        );
+
+        res.json({ success: true, league: league.name, data: evaluation, dataSource: snapshot.mode });
+      } catch (error) {
+        errorHandler.respond(res, error, 'Trade Evaluation');
+      }
+    });
+
+    // Waiver pickups for one league team (by name or ID, or found from players on it), with
+    // drops and FAAB bids
+    this.app.get('/waivers', async (req, res) => {
+      try {
+        const players = req.query.players ? String(req.query.players).split(',').map(name => name.trim()).filter(Boolean) : [];
+        if (!req.query.team && players.length === 0) {
+          throw new ValidationError('team', req.query.team, 'a team name or ID, or players on the team');
+        }
+        const limit = req.query.limit ? Validator.validateNumber(Number(req.query.limit), 'limit', { min: 1, max: 25, integer: true }) : 10;
+
+        const { league, client, leagueStats, rosterRequirements } = this.getLeagueContext(req);
+        const snapshot = await leagueStats.getSnapshot();
+        const engine = new WaiverEngine({
+          client,
+          requirements: rosterRequirements,
+          valueModel: this.tradeAnalyzer.valueModel,
+          espnClient: this.tradeAnalyzer.espnClient
+        });
+        const report = await engine.recommend({
+          team: req.query.team || null,
+          playerNames: players,
+          limit,
+          seasonStats: leagueStats.toSeasonStats(snapshot),
+          currentWeek: snapshot.week,
+          history: await this.transactionRepository.getTransactions(league.name)
+        });
+
+        res.json({ success: true, league: league.name, data: report, dataSource: snapshot.mode });
+      } catch (error) {
+        errorHandler.respond(res, error, 'Waiver Recommendations');
+      }
+    });
+
+    // Playoff, bye and title odds from simulating the rest of the season on the league's schedule
+    this.app.get('/league/playoff-odds', async (req, res) => {
+      try {
+        const players = req.query.players ? String(req.query.players).split(',').map(name => name.trim()).filter(Boolean) : [];
+        const report = await this.simulateSeason(req, {
+          team: req.query.team || null,
+          playerNames: players,
+          iterations: req.query.iterations ? Number(req.query.iterations) : null,
+          seed: req.query.seed ? Validator.validateNumber(Number(req.query.seed), 'seed', { min: 0, max: 4294967295, integer: true }) : null
+        });
+
+        res.json({ success: true, ...report });
+      } catch (error) {
+        errorHandler.respond(res, error, 'Playoff Odds');
+      }
+    });
+
+    // Head-to-head previews for a week: projections, win probability, swing players and stacks
+    this.app.get('/league/matchups', async (req, res) => {
+      try {
+        const { league, client, leagueStats, rosterRequirements } = this.getLeagueContext(req);
+        const snapshot = await leagueStats.getSnapshot();
+        const players = req.query.players ? String(req.query.players).split(',').map(name => name.trim()).filter(Boolean) : [];
+        const previewer = new MatchupPreviewer({
+          client,
+          requirements: rosterRequirements,
+          valueModel: this.tradeAnalyzer.valueModel,
+          espnClient: this.tradeAnalyzer.espnClient
+        });
+        const preview = await previewer.preview({
+          week: req.query.week ? Number(req.query.week) : null,
+          team: req.query.team || null,
+          playerNames: players,
+          seasonStats: leagueStats.toSeasonStats(snapshot)
+        });
+
+        res.json({ success: true, league: league.name, ...preview, dataSource: snapshot.mode });
+      } catch (error) {
+        errorHandler.respond(res, error, 'Matchup Preview');
+      }
+    });
+
+    // Recorded league transactions, newest first
+    this.app.get('/league/transactions', async (req, res) => {
+      try {
+        const limit = req.query.limit ? Validator.validateNumber(Number(req.query.limit), 'limit', { min: 1, max: 500, integer: true }) : 50;
+        const { league } = this.getLeagueContext(req);
+        const transactions = await this.transactionRepository.getTransactions(league.name, {
+          teamName: req.query.team || null,
+          limit
+        });
+
+        res.json({
+          success: true,
+          league: league.name,
+          data: transactions.map(transaction => ({ ...transaction, summary: TransactionMonitor.describe(transaction) }))
+        });
+      } catch (error) {
+        errorHandler.respond(res, error, 'League Transactions');
+      }
+    });
+
+    // How each manager works the wire and the trade market, from recorded transactions
+    this.app.get('/league/managers', async (req, res) => {
+      try {
+        const { league } = this.getLeagueContext(req);
+        const transactions = await this.transactionRepository.getTransactions(league.name, { limit: 5000 });
+
+        res.json({
+          success: true,
+          league: league.name,
+          data: TransactionMonitor.buildManagerProfiles(transactions),
+          transactions: transactions.length
+        });
+      } catch (error) {
+        errorHandler.respond(res, error, 'Manager Profiles');
+      }
+    });
+
+    // How a trade moves both teams' playoff odds, replayed on the same simulated seasons
+    this.app.post('/trade/playoff-odds', async (req, res) => {
+      try {
+        const body = req.body || {};
+        if (!body.team && !body.players) {
+          throw new ValidationError('team', body.team, 'a team name or ID, or players on the team');
+        }
+        const report = await this.simulateSeason(req, {
+          team: body.team || null,
+          playerNames: body.players ? Validator.validateArray(body.players, 'players', { maxLength: 30 }) : [],
+          trade: { give: body.give, receive: body.receive },
+          iterations: body.iterations ?? null,
+          seed: body.seed === undefined ? null : Validator.validateNumber(body.seed, 'seed', { min: 0, max: 4294967295, integer: true })
+        });
+
+        res.json({ success: true, ...report });
+      } catch (error) {
+        errorHandler.respond(res, error, 'Trade Playoff Odds');
+      }
+    });
+
+    // Picks scraped by the Chrome extension (X-Relay-Secret header); fed to the monitor of the
+    // registered league with that ID, or the default league's
+    this.pickRelay.register(this.app);
+
     // Player data endpoints
     this.app.get('/players/search', async (req, res) => {
       try {
@@ -150,7 +658,8 @@ class FantasyCommandCenter {
           integer: true 
         });
         
-        const players = await this.draftMonitor.searchPlayers(query, limit);
+        const { draftMonitor } = this.getLeagueContext(req);
+        const players = await draftMonitor.searchPlayers(query, limit);
         res.json({ 
           success: true, 
           data: players,
@@ -158,14 +667,7 @@ class FantasyCommandCenter {
           limit: limit
         });
       } catch (error) {
-        if (error instanceof ValidationError) {
-          return res.status(400).json({ 
-            success: false, 
-            error: error.message 
-          });
-        }
-        const errorResponse = errorHandler.handleAPIError(error, 'Player Search');
-        res.status(errorResponse.status).json(errorResponse);
+        errorHandler.respond(res, error, 'Player Search');
       }
     });
 
@@ -187,7 +689,8 @@ class FantasyCommandCenter {
           integer: true 
         });
         
-        const players = await this.draftMonitor.getAvailablePlayersByPosition(position, limit);
+        const { draftMonitor } = this.getLeagueContext(req);
+        const players = await draftMonitor.getAvailablePlayersByPosition(position, limit);
         res.json({ 
           success: true, 
           data: players,
@@ -195,14 +698,7 @@ class FantasyCommandCenter {
           limit: limit
         });
       } catch (error) {
-        if (error instanceof ValidationError) {
-          return res.status(400).json({ 
-            success: false, 
-            error: error.message 
-          });
-        }
-        const errorResponse = errorHandler.handleAPIError(error, 'Position Search');
-        res.status(errorResponse.status).json(errorResponse);
+        errorHandler.respond(res, error, 'Position Search');
       }
     });
 
@@ -224,10 +720,11 @@ class FantasyCommandCenter {
           return res.status(400).json({ error: 'currentPick is required' });
         }
         
-        const recommendations = await this.draftMonitor.generateAIRecommendations(currentPick, context?.picksUntilNext);
+        const { draftMonitor } = this.getLeagueContext(req);
+        const recommendations = await draftMonitor.generateAIRecommendations(currentPick, context?.picksUntilNext);
         res.json(recommendations);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        errorHandler.respond(res, error, 'Draft Monitor');
       }
     });
 
@@ -269,9 +766,24 @@ class FantasyCommandCenter {
         status: this.isInitialized ? 'ready' : 'initializing',
         endpoints: [
           'GET /health - System health check',
+          'GET /leagues - Registered leagues (league routes take ?league={name})',
           'POST /draft/start - Start draft monitoring',
           'POST /draft/stop - Stop draft monitoring',
           'GET /draft/status - Get draft status',
+          'GET /draft/board?position={pos}&limit={n}&drafted={names} - Value-over-replacement draft board',
+          'GET /draft/auction?position={pos}&limit={n}&budget={n} - Auction values, inflation and team budgets',
+          'GET /draft/keepers - Declared keepers with round cost vs ADP',
+          'POST /draft/keepers/evaluate - Weigh keeper candidates ({ player, round, team? })',
+          'POST /draft/strategy-lab - Compare draft strategies over simulated mock drafts',
+          'GET /draft/recap?format={json|markdown} - Post-draft grades for every team',
+          'POST /trade/evaluate - Evaluate an N-for-M trade proposal (dynasty leagues value picks and age)',
+          'GET /waivers?team={name}&limit={n} - Waiver pickups with drops and FAAB bids',
+          'GET /league/playoff-odds?team={name}&iterations={n} - Playoff, bye and title odds for every team',
+          'GET /league/matchups?week={n}&team={name} - Head-to-head previews with win probability, swing players and stacks',
+          'POST /trade/playoff-odds - Playoff odds for both teams before and after a trade',
+          'GET /league/transactions?team={name}&limit={n} - Recorded adds, drops, trades and waiver claims',
+          'GET /league/managers - Transaction habits of every manager',
+          'POST /extension/picks - Relay draft picks from the Chrome extension',
           'GET /players/search?query={name} - Search players',
           'GET /players/position/{pos} - Get players by position',
           'POST /notifications/test - Test Discord notifications',
@@ -284,46 +796,54 @@ class FantasyCommandCenter {
     });
   }
 
-  setupDraftMonitorEvents() {
-    this.draftMonitor.on('initialized', (data) => {
-      logger.info('Draft Monitor initialized:', data);
+  setupDraftMonitorEvents(draftMonitor, discordNotifier, league) {
+    const prefix = this.leagues.list().length > 1 ? `[${league.name}] ` : '';
+
+    draftMonitor.on('initialized', (data) => {
+      logger.info(`${prefix}Draft Monitor initialized: ${data.leagueInfo?.name}`);
     });
 
-    this.draftMonitor.on('newPick', async (pick) => {
-      logger.info(`New pick detected: ${pick.player.name} to ${pick.teamName}`);
+    draftMonitor.on('newPick', async (pick) => {
+      logger.info(`${prefix}New pick detected: ${pick.player.name} to ${pick.teamName}`);
       
-      await this.discordNotifier.sendDraftAlert({
+      await discordNotifier.sendDraftAlert({
         type: 'NEW_PICK',
         urgency: 'MEDIUM',
         data: pick
       });
     });
 
-    this.draftMonitor.on('myTurn', async (data) => {
-      logger.info('🚨 IT\'S MY TURN! 🚨');
+    draftMonitor.on('myTurn', async (data) => {
+      logger.info(`${prefix}🚨 IT'S MY TURN! 🚨`);
       
-      await this.discordNotifier.sendDraftAlert({
+      await discordNotifier.sendDraftAlert({
         type: 'MY_TURN',
         urgency: 'CRITICAL',
         data: data
       });
     });
 
-    this.draftMonitor.on('turnApproaching', async (data) => {
-      logger.info(`Turn approaching in ${data.picksUntilTurn} picks`);
+    draftMonitor.on('turnApproaching', async (data) => {
+      logger.info(`${prefix}Turn approaching in ${data.picksUntilTurn} picks`);
       
-      await this.discordNotifier.sendDraftAlert({
+      await discordNotifier.sendDraftAlert({
         type: 'TURN_APPROACHING',
         urgency: 'HIGH',
         data: data
       });
     });
 
-    this.draftMonitor.on('aiRecommendations', async (recommendations) => {
-      logger.info(`AI recommendations generated: ${recommendations.recommendations?.length || 0} options`);
+    draftMonitor.on('draftComplete', async (recap) => {
+      logger.info(`${prefix}Draft complete: ${recap.user ? `graded ${recap.user.grade} (#${recap.user.rank} of ${recap.leagueSize})` : `${recap.teams.length} teams graded`}`);
+
+      await discordNotifier.sendDraftRecap(recap);
+    });
+
+    draftMonitor.on('aiRecommendations', async (recommendations) => {
+      logger.info(`${prefix}AI recommendations generated: ${recommendations.recommendations?.length || 0} options`);
       
       if (recommendations.recommendations && recommendations.recommendations.length > 0) {
-        await this.discordNotifier.sendDraftAlert({
+        await discordNotifier.sendDraftAlert({
           type: 'AI_RECOMMENDATIONS',
           urgency: 'HIGH',
           data: recommendations
@@ -331,16 +851,32 @@ class FantasyCommandCenter {
       }
     });
 
-    this.draftMonitor.on('error', (error) => {
-      logger.error('Draft Monitor error:', error.message);
+    draftMonitor.on('error', (error) => {
+      logger.error(`${prefix}Draft Monitor error: ${error.message}`);
     });
 
-    this.draftMonitor.on('monitoringStarted', (data) => {
-      logger.info(`Draft monitoring started with ${data.interval}ms interval`);
+    draftMonitor.on('monitoringStarted', (data) => {
+      logger.info(`${prefix}Draft monitoring started with ${data.interval}ms interval`);
     });
 
-    this.draftMonitor.on('monitoringStopped', () => {
-      logger.info('Draft monitoring stopped');
+    draftMonitor.on('monitoringStopped', () => {
+      logger.info(`${prefix}Draft monitoring stopped`);
+    });
+  }
+
+  setupPickRelay() {
+    if (!this.pickRelay.isEnabled()) {
+      logger.info('Extension pick relay disabled (set EXTENSION_RELAY_SECRET to enable)');
+    }
+
+    this.pickRelay.on('picks', async (batch) => {
+      try {
+        // The relay only accepts registered leagues, so every batch has one
+        const league = this.leagues.findByLeagueId(batch.leagueId, batch.platform);
+        await this.getDraftMonitor(league).ingestRelayedPicks(batch);
+      } catch (error) {
+        logger.error(`Failed to process relayed picks: ${error.message}`);
+      }
     });
   }
 
@@ -348,9 +884,9 @@ class FantasyCommandCenter {
     logger.info('Performing system health checks...');
     
     try {
-      // Check ESPN API connection
-      const espnHealth = await this.draftMonitor.espnClient.healthCheck();
-      logger.info('ESPN API Health:', espnHealth.status);
+      // Check fantasy platform (ESPN or Sleeper) connection
+      const leagueHealth = await this.draftMonitor.leagueClient.healthCheck();
+      logger.info(`${this.draftMonitor.leagueClient.platformName} API Health: ${leagueHealth.status}`);
       
       // Check Claude AI connection
       const claudeHealth = await this.draftMonitor.claudeAI.healthCheck();
@@ -379,7 +915,7 @@ class FantasyCommandCenter {
     };
 
     try {
-      health.services.espn = await this.draftMonitor.espnClient.healthCheck();
+      health.services.league = await this.draftMonitor.leagueClient.healthCheck();
       health.services.claude = await this.draftMonitor.claudeAI.healthCheck();
       health.services.discord = await this.discordNotifier.testConnection();
       health.services.external = await this.externalAPIs.healthCheck();
@@ -388,6 +924,11 @@ class FantasyCommandCenter {
         lastKnownPick: this.draftMonitor.lastKnownPick,
         timestamp: new Date().toISOString()
       };
+      health.leagues = Array.from(this.draftMonitors.entries()).map(([name, monitor]) => ({
+        name,
+        status: monitor.isMonitoring ? 'monitoring' : 'idle',
+        lastKnownPick: monitor.lastKnownPick
+      }));
 
       const hasErrors = Object.values(health.services).some(service => 
         service.status === 'error' || service.success === false
@@ -422,9 +963,12 @@ class FantasyCommandCenter {
   }
 
   async stop() {
-    if (this.draftMonitor.isMonitoring) {
-      this.draftMonitor.stopMonitoring();
-    }
+    this.draftMonitors.forEach(monitor => {
+      if (monitor.isMonitoring) {
+        monitor.stopMonitoring();
+      }
+    });
+    this.transactionMonitors.forEach(monitor => monitor.stopMonitoring());
 
     if (this.server) {
       this.server.close();
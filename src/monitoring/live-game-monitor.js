@@ -26,6 +26,8 @@ class LiveGameMonitor {
     this.gameAlerts = new Map();
     this.liveWebhookUrl = null;
     this.nflSchedule = new NFLSchedule();
+    // League scoreboards (LiveScoreboard) scored from each update's box scores
+    this.scoreboards = [];
     
     // Thresholds for alerts (reduced for preseason testing)
     this.SNAP_COUNT_THRESHOLD = 5; // Alert if snap count changes by 5+ (more sensitive for preseason)
@@ -157,6 +159,56 @@ class LiveGameMonitor {
         logger.error(`Error updating stats for game ${gameId}:`, error.message);
       }
     }
+    await this.updateScoreboards(Array.from(this.activeGames.values()));
+  }
+
+  // Follow a league's fantasy matchups; its lead-change, touchdown and final alerts go to the live webhook
+  addScoreboard(scoreboard) {
+    this.scoreboards.push(scoreboard);
+    scoreboard.on('alert', async (alert) => {
+      await this.sendScoreboardAlert(alert);
+    });
+  }
+
+  // Score every league scoreboard from the latest box scores
+  async updateScoreboards(games) {
+    if (this.scoreboards.length === 0 || games.length === 0) {
+      return;
+    }
+
+    const boxScores = new Map();
+    for (const game of games) {
+      const summary = await this.fetchBoxScore(game.id);
+      if (summary) {
+        boxScores.set(game.id, summary);
+      }
+    }
+
+    for (const scoreboard of this.scoreboards) {
+      try {
+        await scoreboard.update(games, boxScores);
+      } catch (error) {
+        logger.error(`Error updating ${scoreboard.league.name} scoreboard:`, error.message);
+      }
+    }
+  }
+
+  // Player box score for a game from ESPN's game summary API
+  async fetchBoxScore(gameId) {
+    try {
+      const response = await axios.get('https://site.api.espn.com/apis/site/v2/sports/football/nfl/summary', {
+        params: { event: gameId },
+        timeout: 15000,
+        headers: {
+          'User-Agent': 'Fantasy-Command-Center/1.0.0',
+          'Accept': 'application/json'
+        }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`Error fetching box score for game ${gameId}:`, error.message);
+      return null;
+    }
   }
 
   // Scrape live game stats from ESPN GameCenter
@@ -716,6 +768,33 @@ class LiveGameMonitor {
     await this.sendAlert(embed, `🚨 **LIVE INJURY ALERT** - ${player} status update`);
   }
 
+  // Fantasy matchup alert from a league scoreboard
+  async sendScoreboardAlert(alert) {
+    const titles = {
+      LEAD_CHANGE: '🔄 LEAD CHANGE',
+      TOUCHDOWN: '🏈 TOUCHDOWN',
+      FINAL: '🏁 FINAL'
+    };
+    const { home, away } = alert.matchup;
+    const side = team => `${team.points} pts • ${team.winProbability}% to win • ${team.playersLeft} left to play`;
+
+    const embed = {
+      title: `${titles[alert.type] || '📺 MATCHUP UPDATE'} - ${alert.league}`,
+      description: alert.message,
+      color: alert.type === 'FINAL' ? 0x9932CC : alert.type === 'LEAD_CHANGE' ? 0xFF8800 : 0x00FF00,
+      fields: [
+        { name: home.teamName, value: side(home), inline: true },
+        { name: away.teamName, value: side(away), inline: true }
+      ],
+      timestamp: new Date().toISOString(),
+      footer: {
+        text: `Week ${alert.week} live scoreboard`
+      }
+    };
+
+    await this.sendAlert(embed, `📺 **${alert.message}**`);
+  }
+
   // Send alert to Discord webhook
   async sendAlert(embed, content) {
     if (!this.liveWebhookUrl) {
@@ -742,6 +821,7 @@ class LiveGameMonitor {
       watchedPlayers: this.watchedPlayers.size,
       lastUpdate: new Date().toISOString(),
       gameDay: this.isGameDay(),
+      scoreboards: this.scoreboards.length,
       webhookConfigured: !!this.liveWebhookUrl
     };
   }
@@ -831,6 +911,8 @@ class LiveGameMonitor {
       for (const endedGame of endedGames) {
         await this.sendGameEndAlert(endedGame);
       }
+      // One last scoreboard pass so ended games count as final with their full box scores
+      await this.updateScoreboards(endedGames.map(game => ({ ...game, status: 'STATUS_FINAL' })));
 
       // Update active games
       this.activeGames = currentActiveGames;
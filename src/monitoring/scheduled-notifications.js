@@ -3,8 +3,11 @@ const winston = require('winston');
 const AdvancedDataMonitor = require('./advanced-data-monitor');
 const TwitterMonitor = require('./twitter-monitor');
 const DiscordNotifier = require('../notifications/discord-notifier');
+const LeagueNotifier = require('../alerts/discord-bot');
 const NewsArticleFetcher = require('../news-article-fetcher');
 const SimpleTrendingAnalyzer = require('../services/simple-trending');
+const MatchupPreviewer = require('../services/matchup-previewer');
+const config = require('../../config');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -19,13 +22,28 @@ const logger = winston.createLogger({
 });
 
 class ScheduledNotifications {
-  constructor(injuryMonitor = null) {
+  /**
+   * @param {InjuryMonitor} [injuryMonitor]
+   * @param {Object} [options] - what weekly matchup previews need
+   * @param {LeagueRegistry} [options.leagues] - leagues to preview (none without it)
+   * @param {PlayerValueModel} [options.valueModel]
+   * @param {ESPNClient} [options.espnClient]
+   * @param {Function} [options.getInjuryReports] - () => current injury reports
+   */
+  constructor(injuryMonitor = null, options = {}) {
     this.dataMonitor = new AdvancedDataMonitor();
     this.twitterMonitor = new TwitterMonitor();
     this.discordNotifier = new DiscordNotifier();
+    // Channel-routed alerts (matchup previews go to #matchup-analysis)
+    this.leagueNotifier = new LeagueNotifier();
     this.newsArticleFetcher = new NewsArticleFetcher();
     this.trendingAnalyzer = new SimpleTrendingAnalyzer();
     this.injuryMonitor = injuryMonitor;
+    this.leagues = options.leagues || null;
+    this.valueModel = options.valueModel || null;
+    this.espnClient = options.espnClient || null;
+    this.getInjuryReports = options.getInjuryReports || (() => []);
+    this.matchupPreviewSchedule = config.matchupPreviews.schedule;
     this.isActive = false;
     
     // Track sent alerts to prevent duplicates
@@ -81,6 +99,19 @@ class ScheduledNotifications {
       timezone: 'America/New_York'
     });
 
+    // WEEKLY MATCHUP PREVIEWS (MATCHUP_PREVIEW_SCHEDULE, default Thursday 12:00 PM EST)
+    if (this.leagues && this.matchupPreviewSchedule !== 'off') {
+      if (cron.validate(this.matchupPreviewSchedule)) {
+        cron.schedule(this.matchupPreviewSchedule, async () => {
+          await this.sendMatchupPreviews();
+        }, {
+          timezone: 'America/New_York'
+        });
+      } else {
+        logger.warn(`Invalid MATCHUP_PREVIEW_SCHEDULE "${this.matchupPreviewSchedule}", matchup previews not scheduled`);
+      }
+    }
+
     logger.info('✅ All scheduled notifications active');
   }
 
@@ -684,6 +715,43 @@ class ScheduledNotifications {
     }
   }
 
+  // WEEKLY MATCHUP PREVIEWS - every head-to-head in each connected league, to #matchup-analysis
+  async sendMatchupPreviews() {
+    if (!this.leagues) {
+      return;
+    }
+
+    for (const league of this.leagues.list()) {
+      try {
+        const { client, leagueStats, rosterRequirements } = this.leagues.getContext(league);
+        if (!leagueStats.isConfigured()) {
+          continue;
+        }
+
+        logger.info(`⚔️ Generating matchup previews for ${league.name}...`);
+        const snapshot = await leagueStats.getSnapshot();
+        const previewer = new MatchupPreviewer({
+          client,
+          requirements: rosterRequirements,
+          valueModel: this.valueModel || undefined,
+          espnClient: this.espnClient || undefined
+        });
+        const preview = await previewer.preview({
+          seasonStats: leagueStats.toSeasonStats(snapshot),
+          injuryReports: this.getInjuryReports()
+        });
+
+        const notifier = LeagueNotifier.forLeague(league, this.leagueNotifier);
+        for (const matchup of preview.matchups) {
+          await notifier.sendMatchupPreview(matchup, preview.week);
+        }
+        logger.info(`✅ ${preview.matchups.length} week ${preview.week} matchup previews sent for ${league.name}`);
+      } catch (error) {
+        logger.error(`Failed to send matchup previews for ${league.name}:`, error.message);
+      }
+    }
+  }
+
   // Stop all notifications
   stop() {
     this.isActive = false;
@@ -697,7 +765,10 @@ class ScheduledNotifications {
       next_reports: {
         morning: '8:00 AM EST daily',
         evening: '6:00 PM EST daily',
-        weekly: '10:00 AM EST Sundays'
+        weekly: '10:00 AM EST Sundays',
+        matchup_previews: this.leagues && this.matchupPreviewSchedule !== 'off'
+          ? `${this.matchupPreviewSchedule} (cron, EST)`
+          : 'off'
       },
       monitoring: {
         critical_checks: 'Hourly 8 AM - 10 PM EST',
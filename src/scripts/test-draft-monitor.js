@@ -40,7 +40,7 @@ class DraftMonitorTest {
     logger.info('🔧 Testing Draft Monitor Initialization...');
 
     // Mock ESPN client to avoid real API calls during testing
-    this.draftMonitor.espnClient = {
+    this.draftMonitor.leagueClient = {
       async getLeagueInfo() {
         return {
           id: 123456,
@@ -0,0 +1,235 @@
+/**
+ * Auction Engine
+ * Dollar values for auction drafts. League money beyond the minimum bid for every roster spot is
+ * split across the draftable players in proportion to value over replacement (VOR). During a draft,
+ * money left versus value left gives an inflation rate, and each team's budget and max bid follow
+ * from its winning bids.
+ */
+const VBDEngine = require('./vbd-engine');
+const RosterRequirements = require('./roster-requirements');
+const { Validator } = require('../utils/validation');
+
+const DEFAULT_BUDGET = 200;
+const MIN_BID = 1;
+// Shortest name fragment matched against part of a player's name (shorter ones must match exactly)
+const MIN_PARTIAL_NAME = 3;
+
+// How far above/below the inflated value to go depending on what the player does for the roster
+const NEED_FACTORS = {
+  starter: 1.1, // fills an open starting slot
+  depth: 1.0, // below the position's depth target
+  surplus: 0.75, // position already covered
+  blocked: 0 // position at its max-per-roster limit
+};
+
+class AuctionEngine {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.budget] - per-team budget (default $200)
+   * @param {number} [options.minBid] - smallest legal bid (default $1)
+   * @param {ScoringEngine} [options.scoring]
+   * @param {RosterRequirements} [options.roster]
+   * @param {number} [options.leagueSize]
+   * @param {Array} [options.players] - player pool passed to VBDEngine
+   */
+  constructor(options = {}) {
+    this.budget = options.budget || DEFAULT_BUDGET;
+    this.minBid = options.minBid ?? MIN_BID;
+    this.vbd = new VBDEngine({
+      scoring: options.scoring,
+      roster: options.roster,
+      leagueSize: options.leagueSize,
+      players: options.players
+    });
+    this.roster = this.vbd.roster;
+    this.leagueSize = this.vbd.leagueSize;
+    this.baseValues = null;
+  }
+
+  static takenNames(picks) {
+    return new Set(picks.map(pick => String(pick.player || '').toLowerCase().trim()));
+  }
+
+  /**
+   * Pre-draft auction value of every projected player, best first. Players at or below replacement
+   * are worth the minimum bid.
+   */
+  getBaseValues() {
+    if (!this.baseValues) {
+      const board = this.vbd.buildBoard({ limit: Infinity });
+      const totalVOR = board.players.reduce((sum, player) => sum + Math.max(player.vor, 0), 0);
+      const spendable = Math.max(0, (this.budget - this.minBid * this.roster.getTotalRosterSize()) * this.leagueSize);
+      this.dollarsPerPoint = totalVOR > 0 ? spendable / totalVOR : 0;
+
+      this.baseValues = board.players.map(player => ({
+        ...player,
+        value: Math.round(this.minBid + Math.max(player.vor, 0) * this.dollarsPerPoint)
+      }));
+    }
+    return this.baseValues;
+  }
+
+  /**
+   * Spent, remaining, open roster spots and max bid for every team
+   * @param {Array} picks - board picks ({ team, bid }); picks without a bid count as minimum bids and
+   * picks without a team only take the player off the board
+   */
+  getTeamBudgets(picks = []) {
+    const rosterSize = this.roster.getTotalRosterSize();
+    const teams = new Map();
+    const teamFor = team => {
+      if (!teams.has(team)) {
+        teams.set(team, { team, spent: 0, rostered: 0 });
+      }
+      return teams.get(team);
+    };
+
+    for (let team = 1; team <= this.leagueSize; team++) {
+      teamFor(team);
+    }
+    picks.filter(pick => pick.team !== null && pick.team !== undefined).forEach(pick => {
+      const entry = teamFor(pick.team);
+      entry.spent += typeof pick.bid === 'number' ? pick.bid : this.minBid;
+      entry.rostered++;
+      if (pick.teamName) {
+        entry.teamName = pick.teamName;
+      }
+    });
+
+    return Array.from(teams.values())
+      .sort((a, b) => a.team - b.team)
+      .map(entry => {
+        const remaining = Math.max(0, this.budget - entry.spent);
+        const spotsLeft = Math.max(0, rosterSize - entry.rostered);
+        return {
+          ...entry,
+          remaining,
+          spotsLeft,
+          maxBid: spotsLeft > 0 ? Math.max(0, remaining - (spotsLeft - 1) * this.minBid) : 0
+        };
+      });
+  }
+
+  /**
+   * Money left league-wide (beyond the minimum for each open spot) over the pre-draft value left
+   * (beyond the minimum) in the players who will fill those spots. Above 1, the remaining players
+   * will sell for more than their pre-draft values.
+   */
+  getInflation(picks = []) {
+    const budgets = this.getTeamBudgets(picks);
+    const spotsLeft = budgets.reduce((sum, team) => sum + team.spotsLeft, 0);
+    const moneyLeft = budgets.reduce((sum, team) => sum + team.remaining, 0) - spotsLeft * this.minBid;
+
+    const taken = AuctionEngine.takenNames(picks);
+    const available = this.getBaseValues()
+      .filter(player => !taken.has(player.name.toLowerCase()))
+      .slice(0, spotsLeft);
+    const valueLeft = available.reduce((sum, player) => sum + (player.value - this.minBid), 0);
+
+    return valueLeft > 0 && moneyLeft > 0 ? moneyLeft / valueLeft : 1;
+  }
+
+  /**
+   * Available players with pre-draft and inflation-adjusted values, plus every team's budget
+   * @param {Object} [options]
+   * @param {Array} [options.picks] - board picks so far
+   * @param {string} [options.position] - limit to one position
+   * @param {number} [options.limit]
+   */
+  buildBoard({ picks = [], position = null, limit = 25 } = {}) {
+    const inflation = this.getInflation(picks);
+    const wanted = position ? RosterRequirements.normalizePosition(position) : null;
+    const taken = AuctionEngine.takenNames(picks);
+
+    const players = this.getBaseValues()
+      .filter(player => !taken.has(player.name.toLowerCase()))
+      .filter(player => !wanted || player.position === wanted)
+      .slice(0, limit)
+      .map((player, index) => ({
+        ...player,
+        rank: index + 1,
+        inflatedValue: Math.max(this.minBid, Math.round(this.minBid + (player.value - this.minBid) * inflation))
+      }));
+
+    return {
+      budget: this.budget,
+      leagueSize: this.leagueSize,
+      scoring: this.vbd.scoring.describe(),
+      inflation: Math.round(inflation * 100) / 100,
+      teams: this.getTeamBudgets(picks),
+      players
+    };
+  }
+
+  /**
+   * What a player does for the user's roster (see RosterRequirements.classifyNeed)
+   * @param {string} position
+   * @param {Object} analysis - RosterRequirements.analyze() of the user's picks
+   */
+  classifyNeed(position, analysis) {
+    return this.roster.classifyNeed(position, analysis);
+  }
+
+  /**
+   * Bid ceiling for a nominated player: the inflation-adjusted value scaled by roster need and
+   * capped by the user's max bid, plus the rivals who can still afford to outbid it. An exact name
+   * wins over a partial one; a blank name throws a ValidationError.
+   * @returns {Object|null} null when the player isn't on the board (already sold or unknown)
+   */
+  recommendBid(playerName, { picks = [], userTeam } = {}) {
+    const wanted = Validator.validateString(String(playerName ?? ''), 'playerName', { required: true }).toLowerCase();
+    const board = this.buildBoard({ picks, limit: Infinity });
+    const player = board.players.find(candidate => candidate.name.toLowerCase() === wanted) ||
+      (wanted.length >= MIN_PARTIAL_NAME
+        ? board.players.find(candidate => candidate.name.toLowerCase().includes(wanted))
+        : null);
+    if (!player) {
+      return null;
+    }
+
+    const mine = board.teams.find(team => team.team === userTeam) || { remaining: this.budget, maxBid: this.budget, spotsLeft: 0 };
+    const need = this.classifyNeed(player.position, this.roster.analyze(picks.filter(pick => pick.team === userTeam)));
+    const ceiling = Math.min(mine.maxBid, Math.round(player.inflatedValue * NEED_FACTORS[need]));
+    const rivals = board.teams
+      .filter(team => team.team !== userTeam && team.maxBid > ceiling)
+      .sort((a, b) => b.maxBid - a.maxBid);
+
+    return {
+      player,
+      need,
+      bid: need === 'blocked' ? 0 : Math.max(ceiling, Math.min(this.minBid, mine.maxBid)),
+      fairValue: player.inflatedValue,
+      inflation: board.inflation,
+      budget: mine,
+      rivals
+    };
+  }
+
+  /**
+   * Players worth nominating: pricey players at positions the user has covered, to drain rivals'
+   * budgets, and cheap players the user needs, who can slip through while others save money
+   */
+  suggestNominations({ picks = [], userTeam, limit = 3 } = {}) {
+    const board = this.buildBoard({ picks, limit: Infinity });
+    const analysis = this.roster.analyze(picks.filter(pick => pick.team === userTeam));
+    const mine = board.teams.find(team => team.team === userTeam);
+    const bargainCeiling = Math.max(this.minBid * 3, Math.round((mine?.maxBid || this.budget) * 0.1));
+    const withNeed = board.players.map(player => ({ ...player, need: this.classifyNeed(player.position, analysis) }));
+
+    return {
+      inflation: board.inflation,
+      budget: mine,
+      drain: withNeed
+        .filter(player => ['surplus', 'blocked'].includes(player.need) && player.inflatedValue > bargainCeiling)
+        .slice(0, limit),
+      bargains: withNeed
+        .filter(player => ['starter', 'depth'].includes(player.need) && player.inflatedValue <= bargainCeiling)
+        .slice(0, limit)
+    };
+  }
+}
+
+AuctionEngine.DEFAULT_BUDGET = DEFAULT_BUDGET;
+AuctionEngine.MIN_BID = MIN_BID;
+
+module.exports = AuctionEngine;
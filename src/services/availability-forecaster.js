@@ -0,0 +1,194 @@
+/**
+ * Availability Forecaster
+ * "Will he make it back to me?" Simulates the picks between now and the user's next turn many
+ * times. Each run draws every player's draft spot around his ADP - wider the later he goes - and
+ * each team on the clock takes the earliest spot it can use, pushing back positions its roster
+ * doesn't need (the same need rules the mock draft bots follow). A player's forecast is the share
+ * of runs he is still on the board at the user's pick.
+ */
+const MockDraftEngine = require('./mock-draft-engine');
+const RosterRequirements = require('./roster-requirements');
+const { Validator } = require('../utils/validation');
+
+const DEFAULT_ITERATIONS = 500;
+
+// Spread of a player's draft spot: a share of his ADP, never under a couple of picks
+const ADP_SPREAD = 0.2;
+const MIN_SPREAD = 2;
+
+// Players this many picks past the last pick before the user's turn are never in reach
+const CANDIDATE_BUFFER = 40;
+
+// Survival chances for each outlook
+const OUTLOOKS = [
+  [0.75, 'likely'],
+  [0.4, 'risky']
+];
+
+const OUTLOOK_EMOJIS = {
+  likely: '✅',
+  risky: '⚠️',
+  unlikely: '❌'
+};
+
+class AvailabilityForecaster {
+  /**
+   * @param {Object} [options]
+   * @param {RosterRequirements} [options.roster]
+   * @param {number} [options.leagueSize] - default 12
+   * @param {number} [options.iterations] - simulated runs (default 500)
+   * @param {number} [options.valueWeight] - share of a player's expected spot from his value rank
+   *   instead of ADP, as for the mock draft bots
+   * @param {number} [options.seed] - the same board always gets the same forecast (default 1)
+   */
+  constructor(options = {}) {
+    this.roster = options.roster || RosterRequirements.load();
+    this.leagueSize = Validator.validateNumber(options.leagueSize ?? 12, 'leagueSize', { min: 2, max: 20, integer: true });
+    this.iterations = Validator.validateNumber(options.iterations ?? DEFAULT_ITERATIONS, 'iterations', { min: 1, max: 5000, integer: true });
+    this.valueWeight = Validator.validateNumber(options.valueWeight ?? MockDraftEngine.DEFAULT_VALUE_WEIGHT, 'valueWeight', { min: 0, max: 1 });
+    this.seed = options.seed ?? 1;
+  }
+
+  /**
+   * The user's next pick at or after a pick number in a snake draft
+   * @param {boolean} [includeCurrent] - false when the user is on the clock and wants the pick after
+   */
+  nextUserPick(currentPick, userTeam, includeCurrent = true) {
+    let pick = includeCurrent ? currentPick : currentPick + 1;
+    while (MockDraftEngine.teamForPick(pick, this.leagueSize) !== userTeam) {
+      pick++;
+    }
+    return pick;
+  }
+
+  static outlookFor(probability) {
+    return OUTLOOKS.find(([threshold]) => probability >= threshold)?.[1] || 'unlikely';
+  }
+
+  /**
+   * One line per forecast player, e.g. "✅ 92% Breece Hall (RB, NYJ)"
+   */
+  static formatLines(forecast, limit = 8) {
+    return forecast.players.slice(0, limit).map(player =>
+      `${OUTLOOK_EMOJIS[player.outlook]} ${Math.round(player.probability * 100)}% ${player.name} ` +
+      `(${RosterRequirements.displayName(player.position)}${player.team ? `, ${player.team}` : ''})`
+    );
+  }
+
+  /**
+   * Chance each of the best available players is still there at the user's next pick
+   * @param {Object} options
+   * @param {Array} options.available - value board players (VBDEngine.buildBoard), best first
+   * @param {Object} [options.rosters] - picks so far by draft slot: { 3: [{ player, position }] }
+   * @param {number} options.currentPick - overall pick on the clock
+   * @param {number} options.userTeam - the user's draft slot
+   * @param {boolean} [options.onTheClock] - the user is picking now; forecast the pick after
+   * @param {number} [options.limit] - players to forecast, from the top of the board (default 10)
+   * @returns {Object} { currentPick, nextPick, picksUntil, iterations, players }
+   */
+  forecast({ available, rosters = {}, currentPick, userTeam, onTheClock = false, limit = 10 }) {
+    const nextPick = this.nextUserPick(currentPick, userTeam, !onTheClock);
+    const firstOpponentPick = onTheClock ? currentPick + 1 : currentPick;
+    const teams = [];
+    for (let pick = firstOpponentPick; pick < nextPick; pick++) {
+      teams.push(MockDraftEngine.teamForPick(pick, this.leagueSize));
+    }
+
+    const pool = available.map(player => {
+      const valueSpot = currentPick - 1 + player.rank;
+      const marketPick = typeof player.adp === 'number'
+        ? player.adp * (1 - this.valueWeight) + valueSpot * this.valueWeight
+        : valueSpot;
+      return {
+        player,
+        marketPick,
+        spread: Math.max(MIN_SPREAD, marketPick * ADP_SPREAD)
+      };
+    });
+    const targets = pool.slice(0, limit);
+    const reach = nextPick + CANDIDATE_BUFFER;
+    const candidates = pool.filter(entry => entry.marketPick - 3 * entry.spread <= reach || targets.includes(entry));
+
+    const survived = new Map(targets.map(entry => [entry, 0]));
+    const random = MockDraftEngine.createRandom(this.seed);
+
+    for (let run = 0; run < this.iterations; run++) {
+      const order = candidates
+        .map(entry => ({ entry, spot: entry.marketPick + MockDraftEngine.gaussian(random) * entry.spread }))
+        .sort((a, b) => a.spot - b.spot);
+      const taken = new Set();
+      const added = {};
+
+      teams.forEach(team => {
+        const entry = this.choosePick(order, taken, team, (rosters[team] || []).concat(added[team] || []));
+        if (entry) {
+          taken.add(entry);
+          (added[team] = added[team] || []).push({ player: entry.player.name, position: entry.player.position });
+        }
+      });
+
+      targets.forEach(entry => {
+        if (!taken.has(entry)) {
+          survived.set(entry, survived.get(entry) + 1);
+        }
+      });
+    }
+
+    return {
+      currentPick,
+      nextPick,
+      picksUntil: teams.length,
+      iterations: this.iterations,
+      players: targets.map(entry => {
+        const probability = Math.round((survived.get(entry) / this.iterations) * 100) / 100;
+        return {
+          name: entry.player.name,
+          position: entry.player.position,
+          team: entry.player.team,
+          adp: entry.player.adp,
+          vor: entry.player.vor,
+          probability,
+          outlook: AvailabilityForecaster.outlookFor(probability)
+        };
+      })
+    };
+  }
+
+  /**
+   * A team's pick in one run: the earliest drawn spot after its need penalty. Spots are sorted and
+   * penalties only push players back, so the scan stops once no later player can win.
+   */
+  choosePick(order, taken, team, picks) {
+    const analysis = this.roster.analyze(picks);
+    const penalties = {};
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const { entry, spot } of order) {
+      if (spot >= bestScore) {
+        break;
+      }
+      if (taken.has(entry)) {
+        continue;
+      }
+      const position = entry.player.position;
+      if (!(position in penalties)) {
+        const need = this.roster.classifyNeed(position, analysis);
+        penalties[position] = need === 'blocked' ? null : (MockDraftEngine.NEED_PENALTY_ROUNDS[need] || 0) * this.leagueSize;
+      }
+      if (penalties[position] === null) {
+        continue;
+      }
+      const score = spot + penalties[position];
+      if (score < bestScore) {
+        best = entry;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+}
+
+AvailabilityForecaster.DEFAULT_ITERATIONS = DEFAULT_ITERATIONS;
+
+module.exports = AvailabilityForecaster;
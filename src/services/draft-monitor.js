@@ -1,6 +1,13 @@
-const ESPNClient = require('../api/espn-client');
+const createLeagueClient = require('../api/league-client');
 const ClaudeAI = require('../api/claude-ai');
 const FantasyKnowledgeEnhancer = require('../knowledge/fantasy-enhancer');
+const ScoringEngine = require('./scoring-engine');
+const VBDEngine = require('./vbd-engine');
+const AuctionEngine = require('./auction-engine');
+const AvailabilityForecaster = require('./availability-forecaster');
+const MockDraftEngine = require('./mock-draft-engine');
+const DraftRecap = require('./draft-recap');
+const PickRelay = require('./pick-relay');
 const config = require('../../config');
 const winston = require('winston');
 const EventEmitter = require('events');
@@ -18,9 +25,17 @@ const logger = winston.createLogger({
 });
 
 class DraftMonitor extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.league] - LeagueRegistry entry this monitor watches
+   * @param {Object} [options.leagueClient] - that league's ESPN/Sleeper client
+   * @param {ScoringEngine} [options.scoring] - used until the platform's league settings load
+   * @param {RosterRequirements} [options.rosterRequirements] - the league's starting lineup profile
+   */
+  constructor(options = {}) {
     super();
-    this.espnClient = new ESPNClient();
+    this.league = options.league || null;
+    this.leagueClient = options.leagueClient || createLeagueClient();
     this.claudeAI = new ClaudeAI();
     this.knowledgeEnhancer = new FantasyKnowledgeEnhancer();
     this.isMonitoring = false;
@@ -30,12 +45,20 @@ class DraftMonitor extends EventEmitter {
       picks: [],
       teams: [],
       myTeamId: null,
+      relayDraftSlot: null,
       draftOrder: [],
       currentPick: null,
-      isMyTurn: false
+      isMyTurn: false,
+      complete: false,
+      format: 'snake',
+      budget: null
     };
     this.playerDatabase = new Map();
+    // Drafted players by overall pick; they leave playerDatabase but their positions still shape team needs
+    this.draftedPlayers = new Map();
     this.analysisCache = new Map();
+    this.scoring = options.scoring || ScoringEngine.load();
+    this.rosterRequirements = options.rosterRequirements;
   }
 
   async initialize() {
@@ -62,15 +85,22 @@ class DraftMonitor extends EventEmitter {
 
   async loadLeagueData() {
     try {
-      const leagueInfo = await this.espnClient.getLeagueInfo();
-      const draftInfo = await this.espnClient.getDraftInfo();
-      const rosters = await this.espnClient.getRosters();
+      const leagueInfo = await this.leagueClient.getLeagueInfo();
+      const draftInfo = await this.leagueClient.getDraftInfo();
+      const rosters = await this.leagueClient.getRosters();
 
       this.draftData.leagueInfo = leagueInfo;
       this.draftData.draftInfo = draftInfo;
       this.draftData.teams = rosters;
       this.draftData.picks = draftInfo.picks || [];
       this.draftData.draftOrder = draftInfo.draftOrder || [];
+      this.draftData.format = draftInfo.format || 'snake';
+      this.draftData.budget = draftInfo.budget || null;
+
+      if (leagueInfo.scoringSettings) {
+        this.scoring = ScoringEngine.fromLeague(leagueInfo);
+        logger.info(`Using league scoring: ${this.scoring.describe()}`);
+      }
       
       if (this.draftData.picks.length > 0) {
         this.lastKnownPick = Math.max(...this.draftData.picks.map(p => p.overallPickNumber));
@@ -85,7 +115,7 @@ class DraftMonitor extends EventEmitter {
 
   async loadPlayerData() {
     try {
-      const players = await this.espnClient.getPlayers(1000);
+      const players = await this.leagueClient.getPlayers(1000);
       
       players.forEach(player => {
         this.playerDatabase.set(player.id, {
@@ -172,7 +202,7 @@ class DraftMonitor extends EventEmitter {
 
   async checkForNewPicks() {
     try {
-      const draftInfo = await this.espnClient.getDraftInfo();
+      const draftInfo = await this.leagueClient.getDraftInfo();
       const newPicks = draftInfo.picks || [];
 
       if (newPicks.length === 0) {
@@ -196,6 +226,13 @@ class DraftMonitor extends EventEmitter {
         await this.checkIfMyTurn(draftInfo);
       }
 
+      // Checked on every poll so a monitor started after the last pick still sends the recap, once
+      if (!this.draftData.complete && (draftInfo.drafted || newPicks.length >= draftInfo.totalPicks)) {
+        this.draftData.complete = true;
+        logger.info('Draft complete, grading every team');
+        this.emit('draftComplete', await this.getDraftRecap());
+      }
+
       this.draftData.currentPick = draftInfo.currentPick;
     } catch (error) {
       logger.error('Error checking for new picks:', error.message);
@@ -203,6 +240,92 @@ class DraftMonitor extends EventEmitter {
     }
   }
 
+  /**
+   * Picks relayed from the Chrome extension (PickRelay 'picks' batches). They go through the same
+   * processPick/checkIfMyTurn path as ESPN/Sleeper polling, so newPick, myTurn and turnApproaching fire
+   * either way. Without a readable league the league size and the user's draft slot come from the extension.
+   */
+  async ingestRelayedPicks({ leagueSize, userTeam, format, budget, picks }) {
+    if (!this.draftData.leagueInfo) {
+      this.draftData.leagueInfo = { name: 'Extension relay', size: leagueSize || config.league.size || 12 };
+    }
+    if (userTeam) {
+      this.draftData.relayDraftSlot = userTeam;
+    }
+    if (format === 'auction') {
+      this.draftData.format = 'auction';
+      this.draftData.budget = budget || this.draftData.budget;
+    }
+
+    const size = this.draftData.leagueInfo.size;
+    const newPicks = picks.filter(pick => pick.overall > this.lastKnownPick);
+    if (newPicks.length === 0) {
+      return 0;
+    }
+
+    for (const relayed of newPicks) {
+      const player = this.findPlayerByName(relayed.player);
+      const pick = {
+        overallPickNumber: relayed.overall,
+        playerId: player?.id ?? null,
+        playerName: relayed.player,
+        position: relayed.position || player?.position,
+        team: relayed.nflTeam || player?.team,
+        teamId: this.findRelayedTeamId(relayed, size),
+        ...(relayed.bid !== null && relayed.bid !== undefined ? { bidAmount: relayed.bid } : {}),
+        source: 'extension'
+      };
+
+      await this.processPick(pick);
+      this.draftData.picks.push(pick);
+      this.lastKnownPick = relayed.overall;
+    }
+
+    // A batch can span our own pick, so a turn flagged on an earlier batch has been used by now
+    if (this.draftData.isMyTurn) {
+      this.draftData.isMyTurn = false;
+      this.emit('turnEnded');
+    }
+
+    const next = this.lastKnownPick + 1;
+    const currentPick = {
+      overall: next,
+      round: Math.ceil(next / size),
+      pickInRound: ((next - 1) % size) + 1
+    };
+    this.draftData.currentPick = currentPick;
+    await this.checkIfMyTurn({ currentPick });
+
+    return newPicks.length;
+  }
+
+  /**
+   * League team for a relayed pick: the team in that draft slot, or in auctions (no slot order) the
+   * team the extension named
+   */
+  findRelayedTeamId(relayed, size) {
+    if (this.isAuction() && !relayed.draftSlot) {
+      const wanted = relayed.teamName?.toLowerCase();
+      return (wanted && this.draftData.teams.find(team => team.name?.toLowerCase() === wanted)?.id) ?? null;
+    }
+    const slot = relayed.draftSlot || PickRelay.draftSlot(relayed.overall, size);
+    return this.draftData.draftOrder.find(order => order.pickPosition === slot)?.teamId ?? slot;
+  }
+
+  isAuction() {
+    return this.draftData.format === 'auction';
+  }
+
+  findPlayerByName(name) {
+    const wanted = name.toLowerCase().trim();
+    for (const player of this.playerDatabase.values()) {
+      if (player.name?.toLowerCase() === wanted) {
+        return player;
+      }
+    }
+    return null;
+  }
+
   async processPick(pick) {
     try {
       const player = this.playerDatabase.get(pick.playerId) || {
@@ -224,13 +347,30 @@ class DraftMonitor extends EventEmitter {
         pickInRound: ((pick.overallPickNumber - 1) % this.draftData.leagueInfo.size) + 1
       };
 
-      logger.info(
-        `NEW PICK: ${pick.overallPickNumber}. ${player.name} (${player.position}) ` +
-        `to ${teamName} - Round ${processedPick.round}, Pick ${processedPick.pickInRound}`
-      );
+      if (this.isAuction()) {
+        // Rounds mean nothing in an auction; report the price and what the buyer has left
+        const sold = this.draftData.picks
+          .filter(other => other.overallPickNumber !== pick.overallPickNumber)
+          .concat(pick);
+        processedPick.bid = pick.bidAmount ?? null;
+        processedPick.teamBudget = this.getAuctionBoard({ picks: sold, limit: 0 }).teams
+          .find(entry => entry.team === pick.teamId) || null;
+
+        logger.info(
+          `NEW SALE: ${pick.overallPickNumber}. ${player.name} (${player.position}) ` +
+          `to ${teamName} for $${processedPick.bid ?? '?'}` +
+          (processedPick.teamBudget ? ` ($${processedPick.teamBudget.remaining} left, max bid $${processedPick.teamBudget.maxBid})` : '')
+        );
+      } else {
+        logger.info(
+          `NEW PICK: ${pick.overallPickNumber}. ${player.name} (${player.position}) ` +
+          `to ${teamName} - Round ${processedPick.round}, Pick ${processedPick.pickInRound}`
+        );
+      }
 
       this.emit('newPick', processedPick);
 
+      this.draftedPlayers.set(pick.overallPickNumber, { player: player.name, position: player.position, team: player.team });
       this.playerDatabase.delete(pick.playerId);
 
     } catch (error) {
@@ -240,7 +380,8 @@ class DraftMonitor extends EventEmitter {
   }
 
   async checkIfMyTurn(draftInfo) {
-    if (!draftInfo.currentPick || !this.draftData.myTeamId) {
+    // Auctions have no pick order to wait for; nominations rotate but anyone can bid
+    if (!draftInfo.currentPick || this.isAuction()) {
       return;
     }
 
@@ -270,7 +411,8 @@ class DraftMonitor extends EventEmitter {
       this.emit('myTurn', {
         pick: currentPick,
         availablePlayers: Array.from(this.playerDatabase.values()),
-        timeToDecide: this.estimateDecisionTime()
+        timeToDecide: this.estimateDecisionTime(),
+        forecast: this.getAvailabilityForecast(currentPick, { onTheClock: true })
       });
 
       if (config.draft.aiRecommendationEnabled) {
@@ -285,7 +427,8 @@ class DraftMonitor extends EventEmitter {
       this.emit('turnApproaching', {
         picksUntilTurn: picksUntilMyTurn,
         currentPick: currentPick,
-        preparationTime: picksUntilMyTurn * 90
+        preparationTime: picksUntilMyTurn * 90,
+        forecast: this.getAvailabilityForecast(currentPick)
       });
 
       if (config.draft.aiRecommendationEnabled) {
@@ -295,12 +438,10 @@ class DraftMonitor extends EventEmitter {
   }
 
   getMyDraftPosition() {
-    if (!this.draftData.draftOrder || !this.draftData.myTeamId) {
-      return null;
-    }
-
-    const myOrder = this.draftData.draftOrder.find(order => order.teamId === this.draftData.myTeamId);
-    return myOrder ? myOrder.pickPosition : null;
+    // ESPN's draft order wins; the slot the extension reports covers leagues we can't read
+    const myOrder = this.draftData.myTeamId &&
+      this.draftData.draftOrder?.find(order => order.teamId === this.draftData.myTeamId);
+    return myOrder ? myOrder.pickPosition : this.draftData.relayDraftSlot;
   }
 
   calculatePicksUntilMyTurn(currentPick, myPosition) {
@@ -346,6 +487,97 @@ class DraftMonitor extends EventEmitter {
     return picksUntilMyTurn;
   }
 
+  /**
+   * Picks so far by draft slot, for judging what each team still needs
+   */
+  getTeamRosters() {
+    const rosters = {};
+    this.draftData.picks.forEach(pick => {
+      const slot = this.getDraftSlot(pick);
+      const { player, position } = this.describeDraftedPick(pick);
+      (rosters[slot] = rosters[slot] || []).push({ player, position });
+    });
+    return rosters;
+  }
+
+  /**
+   * Draft slot of the team that made a pick: ESPN/Sleeper's draft order, or snake order without one
+   */
+  getDraftSlot(pick) {
+    return this.draftData.draftOrder.find(order => order.teamId === pick.teamId)?.pickPosition ||
+      MockDraftEngine.teamForPick(pick.overallPickNumber, this.draftData.leagueInfo.size);
+  }
+
+  /**
+   * Name, position and NFL team of a drafted player, wherever the monitor still has them
+   */
+  describeDraftedPick(pick) {
+    const known = this.draftedPlayers.get(pick.overallPickNumber) || this.playerDatabase.get(pick.playerId);
+    return {
+      player: known?.player || known?.name || pick.playerName,
+      position: known?.position || pick.position,
+      nflTeam: known?.team || pick.team || null
+    };
+  }
+
+  /**
+   * Report card for every team in the draft so far (DraftRecap), with the league's team names
+   */
+  async getDraftRecap() {
+    const teamNames = {};
+    this.draftData.draftOrder.forEach(order => {
+      const team = this.draftData.teams.find(entry => entry.id === order.teamId);
+      if (team?.name) {
+        teamNames[order.pickPosition] = team.name;
+      }
+    });
+
+    const recap = new DraftRecap({
+      scoring: this.scoring,
+      roster: this.rosterRequirements,
+      leagueSize: this.draftData.leagueInfo?.size
+    });
+    return recap.generate({
+      picks: this.draftData.picks.map(pick => ({
+        ...this.describeDraftedPick(pick),
+        team: this.getDraftSlot(pick),
+        pick: pick.overallPickNumber,
+        keeper: Boolean(pick.keeper)
+      })),
+      teamNames,
+      userTeam: this.getMyDraftPosition(),
+      leagueName: this.league?.name || this.draftData.leagueInfo?.name || null
+    });
+  }
+
+  /**
+   * Chance each of the best available players is still on the board at my next pick (the one
+   * after this when I'm on the clock). Null when my slot is unknown or the forecast fails, so
+   * turn alerts still go out.
+   */
+  getAvailabilityForecast(currentPick, { onTheClock = false, limit = 8 } = {}) {
+    const myPosition = this.getMyDraftPosition();
+    if (!myPosition) {
+      return null;
+    }
+
+    try {
+      const size = this.draftData.leagueInfo.size;
+      const forecaster = new AvailabilityForecaster({ roster: this.rosterRequirements, leagueSize: size });
+      return forecaster.forecast({
+        available: this.getValueBoard({ limit: Infinity }).players,
+        rosters: this.getTeamRosters(),
+        currentPick: currentPick.overall || (currentPick.round - 1) * size + currentPick.pickInRound,
+        userTeam: myPosition,
+        onTheClock,
+        limit
+      });
+    } catch (error) {
+      logger.warn('Availability forecast failed:', error.message);
+      return null;
+    }
+  }
+
   async generateAIRecommendations(currentPick, picksUntilMyTurn = 0) {
     try {
       const cacheKey = `${currentPick.overall}-${this.draftData.myTeamId}`;
@@ -362,9 +594,7 @@ class DraftMonitor extends EventEmitter {
 
       const myTeam = this.draftData.teams.find(t => t.id === this.draftData.myTeamId);
       const otherTeams = this.draftData.teams.filter(t => t.id !== this.draftData.myTeamId);
-      const availablePlayers = Array.from(this.playerDatabase.values())
-        .sort((a, b) => (b.projectedPoints || 0) - (a.projectedPoints || 0))
-        .slice(0, 50);
+      const availablePlayers = this.getValueBoard({ limit: 50 }).players;
 
       const recentPicks = this.draftData.picks
         .slice(-10)
@@ -540,7 +770,55 @@ class DraftMonitor extends EventEmitter {
     return adpRanges.average;
   }
 
+  /**
+   * Available players ranked by value over replacement for this league's scoring and size. Keepers
+   * declared for the league count as taken even before the platform puts them on the board.
+   */
+  getValueBoard({ limit = 50, position = null, drafted = [] } = {}) {
+    const taken = this.draftData.picks
+      .map(pick => this.playerDatabase.get(pick.playerId)?.name || pick.playerName)
+      .filter(Boolean)
+      .concat(drafted)
+      .concat((this.league?.keepers || []).map(keeper => keeper.player));
+
+    const vbd = new VBDEngine({
+      scoring: this.scoring,
+      roster: this.rosterRequirements,
+      leagueSize: this.draftData.leagueInfo?.size,
+      players: Array.from(this.playerDatabase.values())
+    });
+    return vbd.buildBoard({ drafted: taken, position, limit });
+  }
+
+  /**
+   * Auction values, inflation and every team's budget and max bid after the sales so far
+   */
+  getAuctionBoard({ limit = 50, position = null, picks = this.draftData.picks } = {}) {
+    const auction = new AuctionEngine({
+      budget: this.draftData.budget,
+      scoring: this.scoring,
+      roster: this.rosterRequirements,
+      leagueSize: this.draftData.leagueInfo?.size,
+      players: Array.from(this.playerDatabase.values())
+    });
+    return auction.buildBoard({
+      picks: picks.map(pick => ({
+        player: this.playerDatabase.get(pick.playerId)?.name || pick.playerName || '',
+        team: pick.teamId,
+        bid: pick.bidAmount
+      })),
+      position,
+      limit
+    });
+  }
+
   getProjectedPoints(player) {
+    // Score the raw projected stat line with this league's rules when ESPN provides it
+    if (player.projections?.stats && Object.keys(player.projections.stats).length > 0) {
+      const statLine = ScoringEngine.fromESPNStats(player.projections.stats);
+      return this.scoring.score(statLine, player.position);
+    }
+
     if (player.projections?.appliedTotal) {
       return player.projections.appliedTotal;
     }
@@ -580,7 +858,7 @@ class DraftMonitor extends EventEmitter {
   }
 
   getDraftStatus() {
-    return {
+    const status = {
       isMonitoring: this.isMonitoring,
       lastKnownPick: this.lastKnownPick,
       totalPicks: this.draftData.picks.length,
@@ -588,8 +866,15 @@ class DraftMonitor extends EventEmitter {
       isMyTurn: this.draftData.isMyTurn,
       myTeamId: this.draftData.myTeamId,
       availablePlayerCount: this.playerDatabase.size,
-      leagueInfo: this.draftData.leagueInfo
+      leagueInfo: this.draftData.leagueInfo,
+      format: this.draftData.format
     };
+
+    if (this.isAuction() && this.draftData.leagueInfo) {
+      const { budget, inflation, teams } = this.getAuctionBoard({ limit: 0 });
+      status.auction = { budget, inflation, teams };
+    }
+    return status;
   }
 
   async refreshData() {
@@ -0,0 +1,308 @@
+/**
+ * Draft Recap
+ * Post-draft report card for every team. Each roster is scored on its projected starting lineup,
+ * the value over replacement it drafted, where its picks went against ADP (steals and reaches),
+ * starting slots it left open and starters sharing a bye week. Grades use the mock draft scale:
+ * standard deviations from the league average of a weighted composite.
+ */
+const VBDEngine = require('./vbd-engine');
+const LineupOptimizer = require('./lineup-optimizer');
+const RosterRequirements = require('./roster-requirements');
+const MockDraftEngine = require('./mock-draft-engine');
+const ScheduleProvider = require('./schedule-provider');
+const { round } = require('../utils/numbers');
+
+// Composite weights, applied to each measure's standard score across the league
+const SCORE_WEIGHTS = {
+  starterPoints: 0.6,
+  vorGained: 0.2,
+  adpValue: 0.2
+};
+
+// Composite deductions per starting slot left empty and per extra starter lost on the worst bye week
+const OPEN_SLOT_PENALTY = 0.5;
+const BYE_PENALTY = 0.25;
+
+// Starters sharing a bye week before it counts as a collision
+const BYE_COLLISION_STARTERS = 2;
+
+// League-wide steals and reaches listed in the recap
+const HIGHLIGHT_COUNT = 3;
+
+class DraftRecap {
+  /**
+   * @param {Object} [options]
+   * @param {ScoringEngine} [options.scoring]
+   * @param {RosterRequirements} [options.roster]
+   * @param {number} [options.leagueSize] - default: the highest team number in the picks
+   * @param {Array} [options.players] - player pool passed to VBDEngine
+   * @param {Object} [options.schedules] - ESPNClient.getProTeamSchedules() output, for bye weeks
+   * @param {ESPNClient} [options.espnClient] - loads the schedules when they aren't given
+   */
+  constructor(options = {}) {
+    this.vbd = new VBDEngine({
+      scoring: options.scoring,
+      roster: options.roster,
+      leagueSize: options.leagueSize,
+      players: options.players
+    });
+    this.roster = this.vbd.roster;
+    this.leagueSize = options.leagueSize || null;
+    this.schedules = options.schedules || null;
+    this.espnClient = options.espnClient || null;
+    this.index = null;
+  }
+
+  /**
+   * Projected players by lower-case name, with VOR and overall value rank
+   */
+  getIndex() {
+    if (!this.index) {
+      const board = this.vbd.buildBoard({ limit: Infinity });
+      this.index = new Map(board.players.map(player => [player.name.toLowerCase(), player]));
+    }
+    return this.index;
+  }
+
+  /**
+   * A pick with its projection, VOR and market pick (ADP, or overall value rank without one)
+   */
+  describePick(pick) {
+    const known = this.getIndex().get(String(pick.player || '').toLowerCase().trim());
+    const position = RosterRequirements.normalizePosition(pick.position || known?.position || '');
+    const nflTeam = pick.nflTeam || known?.team || null;
+    const marketPick = known ? known.adp || known.rank : null;
+
+    return {
+      pick: pick.pick,
+      round: this.leagueSize ? Math.ceil(pick.pick / this.leagueSize) : null,
+      team: Number(pick.team),
+      player: known?.name || pick.player,
+      position,
+      nflTeam,
+      keeper: Boolean(pick.keeper),
+      known: Boolean(known),
+      projectedPoints: known?.projectedPoints || 0,
+      vor: known?.vor || 0,
+      adp: known?.adp || null,
+      marketPick,
+      // Picks after the market spot are steals (positive), before it reaches (negative)
+      value: marketPick && !pick.keeper ? round(pick.pick - marketPick) : null,
+      byeWeek: (nflTeam && this.schedules?.[nflTeam]?.byeWeek) || null
+    };
+  }
+
+  /**
+   * Grade every team's draft
+   * @param {Object} options
+   * @param {Array} options.picks - { player, team, pick, position?, nflTeam?, keeper? }
+   * @param {Object} [options.teamNames] - team names by draft slot
+   * @param {number} [options.userTeam] - the user's draft slot
+   * @param {string} [options.leagueName]
+   * @returns {Promise<Object>} { leagueName, leagueSize, rounds, scoring, generatedAt, byeWeeks,
+   *   teams, steals, reaches, user }
+   */
+  async generate({ picks, teamNames = {}, userTeam = null, leagueName = null }) {
+    this.schedules = this.schedules ||
+      await ScheduleProvider.forClient(this.espnClient).load('grading without bye weeks') || {};
+    const slots = picks.map(pick => Number(pick.team)).filter(team => team > 0);
+    this.leagueSize = this.leagueSize || Math.max(0, ...slots);
+
+    const described = picks
+      .filter(pick => Number(pick.team) > 0)
+      .map(pick => this.describePick(pick))
+      .sort((a, b) => a.pick - b.pick);
+
+    const teams = [];
+    for (let team = 1; team <= this.leagueSize; team++) {
+      teams.push(this.gradeTeam(team, described.filter(pick => pick.team === team), {
+        name: teamNames[team] || `Team ${team}`,
+        isUser: team === userTeam
+      }));
+    }
+
+    this.addPositionBalance(teams);
+    this.addGrades(teams);
+
+    const margin = this.leagueSize / 2;
+    const againstMarket = described.filter(pick => pick.value !== null);
+    const steals = againstMarket
+      .filter(pick => pick.value >= margin)
+      .sort((a, b) => b.value - a.value)
+      .slice(0, HIGHLIGHT_COUNT);
+    const reaches = againstMarket
+      .filter(pick => pick.value <= -margin)
+      .sort((a, b) => a.value - b.value)
+      .slice(0, HIGHLIGHT_COUNT);
+
+    return {
+      leagueName,
+      leagueSize: this.leagueSize,
+      rounds: Math.ceil(described.length / Math.max(1, this.leagueSize)),
+      scoring: this.vbd.scoring.describe(),
+      generatedAt: new Date().toISOString(),
+      byeWeeks: Object.keys(this.schedules || {}).length > 0,
+      teams,
+      steals: steals.map(pick => ({ ...pick, teamName: teamNames[pick.team] || `Team ${pick.team}` })),
+      reaches: reaches.map(pick => ({ ...pick, teamName: teamNames[pick.team] || `Team ${pick.team}` })),
+      user: teams.find(team => team.isUser) || null
+    };
+  }
+
+  /**
+   * One roster's lineup, value, ADP record, open slots and bye collisions (grade comes later)
+   */
+  gradeTeam(team, picks, { name, isUser }) {
+    const lineup = LineupOptimizer.fillSlots(this.roster, picks, pick => pick.projectedPoints);
+    const starters = lineup.starters.filter(slot => slot.player).map(slot => slot.player);
+    const analysis = this.roster.analyze(picks);
+    const againstMarket = picks.filter(pick => pick.value !== null).sort((a, b) => b.value - a.value);
+
+    const byes = {};
+    starters.filter(pick => pick.byeWeek).forEach(pick => {
+      (byes[pick.byeWeek] = byes[pick.byeWeek] || []).push(pick.player);
+    });
+    const byeCollisions = Object.entries(byes)
+      .filter(([, players]) => players.length >= BYE_COLLISION_STARTERS)
+      .map(([week, players]) => ({ week: Number(week), players }))
+      .sort((a, b) => b.players.length - a.players.length || a.week - b.week);
+
+    return {
+      team,
+      name,
+      isUser,
+      picks,
+      starters: lineup.starters,
+      starterPoints: round(starters.reduce((sum, pick) => sum + pick.projectedPoints, 0)),
+      benchPoints: round(lineup.bench.reduce((sum, pick) => sum + pick.projectedPoints, 0)),
+      vorGained: round(picks.reduce((sum, pick) => sum + pick.vor, 0)),
+      adpValue: round(againstMarket.reduce((sum, pick) => sum + pick.value, 0)),
+      bestPick: againstMarket[0] || null,
+      worstPick: againstMarket.length > 1 ? againstMarket[againstMarket.length - 1] : null,
+      emptySlots: lineup.starters.filter(slot => !slot.player).map(slot => slot.slot),
+      depthNeeds: analysis.depthNeeds.map(need => need.position),
+      byeCollisions
+    };
+  }
+
+  /**
+   * Starter points at each position against the league average there
+   */
+  addPositionBalance(teams) {
+    const totals = teams.map(team => {
+      const byPosition = {};
+      team.starters.filter(slot => slot.player).forEach(({ player }) => {
+        byPosition[player.position] = (byPosition[player.position] || 0) + player.projectedPoints;
+      });
+      return byPosition;
+    });
+    const positions = [...new Set(totals.flatMap(byPosition => Object.keys(byPosition)))];
+
+    teams.forEach((team, index) => {
+      team.positionBalance = {};
+      positions.forEach(position => {
+        const average = totals.reduce((sum, byPosition) => sum + (byPosition[position] || 0), 0) / teams.length;
+        team.positionBalance[position] = round((totals[index][position] || 0) - average);
+      });
+      const ranked = Object.entries(team.positionBalance).sort((a, b) => b[1] - a[1]);
+      team.strongest = ranked[0]?.[1] > 0 ? ranked[0][0] : null;
+      team.weakest = ranked[ranked.length - 1]?.[1] < 0 ? ranked[ranked.length - 1][0] : null;
+    });
+  }
+
+  /**
+   * Weighted composite of standard scores, less open-slot and bye penalties, graded on the mock
+   * draft scale and ranked best first
+   */
+  addGrades(teams) {
+    const standardScores = {};
+    Object.keys(SCORE_WEIGHTS).forEach(measure => {
+      standardScores[measure] = standardize(teams.map(team => team[measure]));
+    });
+
+    const composites = teams.map((team, index) => {
+      const worstBye = team.byeCollisions[0]?.players.length || 0;
+      return Object.entries(SCORE_WEIGHTS)
+        .reduce((sum, [measure, weight]) => sum + standardScores[measure][index] * weight, 0) -
+        team.emptySlots.length * OPEN_SLOT_PENALTY -
+        Math.max(0, worstBye - 1) * BYE_PENALTY;
+    });
+    const scores = standardize(composites);
+
+    teams.forEach((team, index) => {
+      team.score = round(scores[index], 2);
+      team.grade = (MockDraftEngine.GRADE_SCALE.find(([threshold]) => scores[index] >= threshold) || [null, 'F'])[1];
+    });
+    teams.sort((a, b) => b.score - a.score || b.starterPoints - a.starterPoints);
+    teams.forEach((team, index) => {
+      team.rank = index + 1;
+    });
+  }
+
+  /**
+   * The recap as a Markdown document
+   */
+  static toMarkdown(recap) {
+    const lines = [
+      `# Draft Recap${recap.leagueName ? `: ${recap.leagueName}` : ''}`,
+      '',
+      `${recap.leagueSize} teams, ${recap.rounds} rounds, ${recap.scoring} scoring. Generated ${recap.generatedAt}.`,
+      '',
+      '## Standings',
+      '',
+      '| Rank | Team | Grade | Starter pts | VOR | vs ADP | Open slots | Bye collisions |',
+      '| --- | --- | --- | --- | --- | --- | --- | --- |',
+      ...recap.teams.map(team =>
+        `| ${team.rank} | ${team.name}${team.isUser ? ' (you)' : ''} | ${team.grade} | ${team.starterPoints} | ` +
+        `${team.vorGained} | ${signed(team.adpValue)} | ${team.emptySlots.map(RosterRequirements.displayName).join(', ') || '-'} | ` +
+        `${team.byeCollisions.map(collision => `wk ${collision.week} (${collision.players.length})`).join(', ') || '-'} |`
+      ),
+      '',
+      '## Steals',
+      '',
+      ...(recap.steals.length > 0 ? recap.steals.map(pick => `- ${DraftRecap.describeHighlight(pick)}`) : ['- None']),
+      '',
+      '## Reaches',
+      '',
+      ...(recap.reaches.length > 0 ? recap.reaches.map(pick => `- ${DraftRecap.describeHighlight(pick)}`) : ['- None'])
+    ];
+
+    recap.teams.forEach(team => {
+      lines.push('', `## ${team.rank}. ${team.name} - ${team.grade}`, '');
+      if (team.strongest || team.weakest) {
+        lines.push(`Strongest: ${team.strongest ? RosterRequirements.displayName(team.strongest) : '-'}. ` +
+          `Weakest: ${team.weakest ? RosterRequirements.displayName(team.weakest) : '-'}.`, '');
+      }
+      team.picks.forEach(pick => {
+        const value = pick.value === null ? '' : ` (${signed(pick.value)} vs ${pick.adp ? 'ADP' : 'value rank'})`;
+        lines.push(`- ${pick.pick}. ${pick.player} ${RosterRequirements.displayName(pick.position)}${pick.nflTeam ? ` ${pick.nflTeam}` : ''}${pick.keeper ? ' (keeper)' : ''}${value}`);
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * "Pick 31: Player (RB, Team 4) - 14 picks after ADP 17"
+   */
+  static describeHighlight(pick) {
+    const basis = pick.adp ? `ADP ${pick.adp}` : `value rank ${pick.marketPick}`;
+    const direction = pick.value >= 0 ? 'after' : 'before';
+    return `Pick ${pick.pick}: ${pick.player} (${RosterRequirements.displayName(pick.position)}, ${pick.teamName}) - ` +
+      `${Math.abs(Math.round(pick.value))} picks ${direction} ${basis}`;
+  }
+}
+
+function standardize(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const deviation = Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length);
+  return values.map(value => (deviation > 0 ? (value - mean) / deviation : 0));
+}
+
+function signed(value) {
+  return `${value > 0 ? '+' : ''}${value}`;
+}
+
+DraftRecap.SCORE_WEIGHTS = SCORE_WEIGHTS;
+
+module.exports = DraftRecap;
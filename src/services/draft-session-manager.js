@@ -0,0 +1,365 @@
+/**
+ * Draft Session Manager
+ * Keeps one manual draft board per guild/channel and league so concurrent drafts don't collide.
+ * When given a store (DraftRepository) every change is written through so boards survive restarts.
+ */
+const createLogger = require('../utils/logger');
+
+const logger = createLogger();
+
+const DEFAULT_LEAGUE = 'default';
+
+class DraftSessionManager {
+  constructor(store = null) {
+    this.store = store;
+    this.sessions = new Map(); // sessionId -> session
+    this.activeSessions = new Map(); // `${scope}:${userId}` -> sessionId
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Load active sessions from the store (call once on startup)
+   */
+  async hydrate() {
+    if (!this.store) {
+      return 0;
+    }
+
+    await this.store.initialize();
+    const sessions = await this.store.loadActiveSessions();
+
+    sessions.forEach(stored => {
+      const session = {
+        ...stored,
+        createdBy: stored.createdBy || { id: 'unknown', username: 'User' },
+        teamNameMap: {},
+        nextTeamNumber: 1
+      };
+
+      // Rebuild the import team-name mapping from what the picks recorded
+      session.state.picks.forEach(pick => {
+        if (pick.teamName) {
+          session.teamNameMap[pick.teamName.toLowerCase().trim()] = pick.team;
+        }
+      });
+      const mapped = Object.values(session.teamNameMap);
+      session.nextTeamNumber = mapped.length > 0 ? Math.max(...mapped) + 1 : 1;
+      session.state.currentPick = DraftSessionManager.nextOpenPick(session.state.picks);
+
+      this.sessions.set(session.id, session);
+    });
+
+    logger.info(`🗂️ Restored ${sessions.length} draft session(s) from the database`);
+    return sessions.length;
+  }
+
+  /**
+   * Queue a store write; writes run one at a time so a session row exists before its picks
+   */
+  persist(operation, description) {
+    if (!this.store) {
+      return this.pendingWrite;
+    }
+
+    this.pendingWrite = this.pendingWrite
+      .then(() => operation(this.store))
+      .catch(error => logger.error(`Failed to persist ${description}:`, error.message));
+    return this.pendingWrite;
+  }
+
+  /**
+   * Wait for queued writes (used on shutdown)
+   */
+  flush() {
+    return this.pendingWrite;
+  }
+
+  /**
+   * Build the scope key for a Discord message or interaction: the guild channel, or the DM channel
+   */
+  getScope(source = {}) {
+    const guildId = source.guildId || source.guild?.id;
+    const channelId = source.channelId || source.channel?.id;
+
+    if (guildId) {
+      return channelId ? `guild:${guildId}:channel:${channelId}` : `guild:${guildId}`;
+    }
+
+    if (channelId) {
+      return `channel:${channelId}`;
+    }
+
+    return `user:${this.getUser(source).id}`;
+  }
+
+  /**
+   * Extract the requesting user from a message or interaction
+   */
+  getUser(source = {}) {
+    const user = source.author || source.user || {};
+    return {
+      id: user.id || user.username || 'anonymous',
+      username: user.username || 'User'
+    };
+  }
+
+  getSessionId(scope, leagueId) {
+    return `${scope}:${this.normalizeLeagueId(leagueId)}`;
+  }
+
+  normalizeLeagueId(leagueId) {
+    const value = String(leagueId || DEFAULT_LEAGUE).trim().toLowerCase();
+    return value || DEFAULT_LEAGUE;
+  }
+
+  /**
+   * Fresh board state, same shape the bot has always used for manual tracking
+   */
+  createInitialState(options = {}) {
+    return {
+      picks: [],
+      currentPick: 1,
+      userTeam: options.userTeam || 2,
+      leagueSize: options.leagueSize || 8,
+      format: options.format || 'snake', // 'snake' or 'auction'
+      budget: options.budget || null // auction budget per team; AuctionEngine's default when unset
+    };
+  }
+
+  /**
+   * Resolve the session the requesting user is currently working in,
+   * creating the scope's default session on first use
+   */
+  resolve(source) {
+    const user = this.getUser(source);
+    const current = this.current(source);
+
+    if (current && this.activeSessions.get(`${current.scope}:${user.id}`) === current.id) {
+      this.addParticipant(current, user);
+      return current;
+    }
+
+    // After a restart the user's pointer is gone; reopen the last board they worked on here
+    return this.open(source, current ? current.leagueId : DEFAULT_LEAGUE);
+  }
+
+  /**
+   * The session the requesting user is working in, or null if they have none here (never creates one)
+   */
+  current(source) {
+    const scope = this.getScope(source);
+    const user = this.getUser(source);
+    const activeId = this.activeSessions.get(`${scope}:${user.id}`);
+    const active = activeId && this.sessions.get(activeId);
+
+    if (active && active.status === 'active') {
+      return active;
+    }
+
+    return this.list(source).find(session => session.participants.includes(user.username)) || null;
+  }
+
+  /**
+   * Open (or rejoin) the session for a league and make it the user's active one
+   */
+  open(source, leagueId, options = {}) {
+    const scope = this.getScope(source);
+    const user = this.getUser(source);
+    const id = this.getSessionId(scope, leagueId);
+
+    let session = this.sessions.get(id);
+    if (!session || session.status === 'archived') {
+      session = this.createSession(source, leagueId, options);
+      this.sessions.set(id, session);
+      logger.info(`🗂️ Draft session ${id} opened by ${user.username}`);
+    }
+
+    if (this.addParticipant(session, user)) {
+      this.persist(store => store.saveSession(session), `session ${id}`);
+    }
+    this.activeSessions.set(`${scope}:${user.id}`, id);
+    return session;
+  }
+
+  createSession(source, leagueId, options = {}) {
+    const scope = this.getScope(source);
+    const user = this.getUser(source);
+    const id = this.getSessionId(scope, leagueId);
+
+    // A league reopened after .session archive gets its own stored row, so its key carries the
+    // open time (kept past the archived session's, even within the same millisecond)
+    const previous = this.sessions.get(id);
+    const now = new Date(Math.max(Date.now(), previous ? previous.createdAt.getTime() + 1 : 0));
+
+    return {
+      id,
+      key: `${id}:${now.getTime()}`,
+      scope,
+      guildId: source.guildId || source.guild?.id || null,
+      channelId: source.channelId || source.channel?.id || null,
+      leagueId: this.normalizeLeagueId(leagueId),
+      status: 'active',
+      createdBy: user,
+      participants: [],
+      createdAt: now,
+      updatedAt: now,
+      archivedAt: null,
+      state: this.createInitialState(options),
+      teamNameMap: {},
+      nextTeamNumber: 1
+    };
+  }
+
+  addParticipant(session, user) {
+    if (session.participants.includes(user.username)) {
+      return false;
+    }
+    session.participants.push(user.username);
+    return true;
+  }
+
+  /**
+   * Next pick to be made: after the last drafted pick, skipping slots keepers already fill
+   */
+  static nextOpenPick(picks) {
+    const filled = new Set(picks.map(pick => pick.pick));
+    let next = picks.filter(pick => !pick.keeper).reduce((latest, pick) => Math.max(latest, pick.pick + 1), 1);
+    while (filled.has(next)) {
+      next++;
+    }
+    return next;
+  }
+
+  /**
+   * Add a pick to a session's board and write it through
+   */
+  recordPick(session, pick, source = 'manual') {
+    // A winning bid means the board is an auction, whatever it was opened as (auction keepers carry
+    // a price too)
+    if (typeof pick.bid === 'number' && session.state.format !== 'auction') {
+      session.state.format = 'auction';
+      logger.info(`💰 Draft session ${session.id} switched to auction mode`);
+    }
+    session.state.picks.push(pick);
+    session.state.currentPick = DraftSessionManager.nextOpenPick(session.state.picks);
+    session.updatedAt = new Date();
+    this.persist(store => store.recordPick(session, pick, pick.keeper ? 'keeper' : source), `pick #${pick.pick} in ${session.id}`);
+    return pick;
+  }
+
+  /**
+   * Take a pick off a session's board (a keeper that is no longer kept)
+   */
+  removePick(session, pick) {
+    session.state.picks = session.state.picks.filter(existing => existing !== pick);
+    session.state.currentPick = DraftSessionManager.nextOpenPick(session.state.picks);
+    session.updatedAt = new Date();
+    this.persist(store => store.deletePick(session, pick), `removal of pick #${pick.pick} in ${session.id}`);
+    return pick;
+  }
+
+  /**
+   * Record AI recommendations made for a pick in this session
+   */
+  recordRecommendations(session, draftPick, recommendations) {
+    this.persist(
+      store => store.recordRecommendations(session, draftPick, recommendations),
+      `recommendations for pick #${draftPick} in ${session.id}`
+    );
+  }
+
+  /**
+   * Switch the user to an existing session in this scope
+   */
+  switchTo(source, leagueId) {
+    const id = this.getSessionId(this.getScope(source), leagueId);
+    const session = this.sessions.get(id);
+
+    if (!session || session.status !== 'active') {
+      return null;
+    }
+
+    return this.open(source, leagueId);
+  }
+
+  /**
+   * List sessions visible from this scope
+   */
+  list(source, { includeArchived = false } = {}) {
+    const scope = this.getScope(source);
+    return Array.from(this.sessions.values())
+      .filter(session => session.scope === scope)
+      .filter(session => includeArchived || session.status === 'active')
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Archive a session so it stops receiving picks; users pointing at it fall back to the default
+   */
+  archive(source, leagueId = null) {
+    const session = leagueId
+      ? this.sessions.get(this.getSessionId(this.getScope(source), leagueId))
+      : this.resolve(source);
+
+    if (!session || session.status === 'archived') {
+      return null;
+    }
+
+    session.status = 'archived';
+    session.archivedAt = new Date();
+    session.updatedAt = session.archivedAt;
+
+    for (const [key, sessionId] of this.activeSessions.entries()) {
+      if (sessionId === session.id) {
+        this.activeSessions.delete(key);
+      }
+    }
+
+    this.persist(store => store.saveSession(session), `archive of ${session.id}`);
+    logger.info(`📦 Draft session ${session.id} archived`);
+    return session;
+  }
+
+  /**
+   * Clear a session's board but keep it open, with its league size, team number, format and budget
+   */
+  reset(session) {
+    const { leagueSize, userTeam, format, budget } = session.state;
+    session.state = this.createInitialState({ leagueSize, userTeam, format, budget });
+    session.teamNameMap = {};
+    session.nextTeamNumber = 1;
+    session.updatedAt = new Date();
+    this.persist(store => store.saveSession(session), `session ${session.id}`);
+    this.persist(store => store.clearPicks(session), `reset of ${session.id}`);
+    return session;
+  }
+
+  /**
+   * Mark a session as changed (team number, league size) and save it
+   */
+  touch(session) {
+    session.updatedAt = new Date();
+    this.persist(store => store.saveSession(session), `session ${session.id}`);
+  }
+
+  /**
+   * All sessions still accepting picks, across every guild
+   */
+  getActiveSessions() {
+    return Array.from(this.sessions.values()).filter(session => session.status === 'active');
+  }
+
+  /**
+   * Active sessions a given username has worked in
+   */
+  getSessionsForUsername(username) {
+    const name = (username || '').toLowerCase();
+    return this.getActiveSessions().filter(session =>
+      session.participants.some(participant => participant.toLowerCase() === name)
+    );
+  }
+}
+
+DraftSessionManager.DEFAULT_LEAGUE = DEFAULT_LEAGUE;
+
+module.exports = DraftSessionManager;
@@ -0,0 +1,337 @@
+/**
+ * Draft Strategy Lab
+ * Monte Carlo comparison of draft strategies. Each strategy drafts the user's team from a slot in
+ * many mock drafts against the ADP bots (MockDraftEngine), and the resulting rosters are scored by
+ * their projected starting lineups. Every strategy faces the same bot seeds, so differences come
+ * from the strategy rather than from luckier drafts.
+ */
+const MockDraftEngine = require('./mock-draft-engine');
+const RosterRequirements = require('./roster-requirements');
+const { Validator, ValidationError } = require('../utils/validation');
+const { round } = require('../utils/numbers');
+
+// Position rules by round: "only" restricts the user's pick to those positions, "avoid" rules them out
+const STRATEGIES = {
+  'best-available': {
+    description: 'Highest VOR the roster can use every round',
+    rules: []
+  },
+  'zero-rb': {
+    description: 'No RBs in rounds 1-5',
+    rules: [{ avoid: ['RB'], from: 1, through: 5 }]
+  },
+  'hero-rb': {
+    description: 'An RB in round 1, then none until round 6',
+    rules: [{ only: ['RB'], from: 1, through: 1 }, { avoid: ['RB'], from: 2, through: 5 }]
+  },
+  'robust-rb': {
+    description: 'RBs in rounds 1-3',
+    rules: [{ only: ['RB'], from: 1, through: 3 }]
+  },
+  'late-qb': {
+    description: 'No QB before round 9',
+    rules: [{ avoid: ['QB'], from: 1, through: 8 }]
+  },
+  'early-te': {
+    description: 'A TE in round 2',
+    rules: [{ only: ['TE'], from: 2, through: 2 }]
+  }
+};
+
+const DEFAULT_ITERATIONS = 1000;
+const MAX_ITERATIONS = 2000;
+// Drafts per run across every strategy and slot (about 40 seconds of CPU)
+const MAX_DRAFTS = 5000;
+// A draft takes a few milliseconds, so pausing after this many keeps Discord heartbeats and API requests served
+const YIELD_EVERY = 25;
+const HISTOGRAM_BINS = 10;
+
+// Players past this many picks deep by ADP and by value never get drafted; trimming them keeps
+// thousands of drafts fast
+const POOL_DEPTH_FACTOR = 1.5;
+
+// Runs are CPU-bound, so a process runs one at a time
+let running = false;
+
+class DraftStrategyLab {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.leagueSize] - default 12
+   * @param {number} [options.rounds] - default: the roster's total size
+   * @param {RosterRequirements} [options.roster]
+   * @param {ScoringEngine} [options.scoring]
+   * @param {Array} [options.players] - player pool passed to VBDEngine
+   * @param {number} [options.randomness] - bot randomness, 0-1 (default 0.5)
+   * @param {number} [options.valueWeight] - share of bot rankings from projected value, 0-1
+   */
+  constructor(options = {}) {
+    const base = new MockDraftEngine({
+      leagueSize: options.leagueSize,
+      rounds: options.rounds,
+      roster: options.roster,
+      scoring: options.scoring,
+      players: options.players,
+      randomness: options.randomness,
+      valueWeight: options.valueWeight,
+      seed: 1
+    });
+    this.leagueSize = base.leagueSize;
+    this.rounds = base.rounds;
+    this.randomness = base.randomness;
+    this.roster = base.roster;
+    this.scoring = base.vbd.scoring;
+    this.pool = DraftStrategyLab.trimPool(base.pool, base.getTotalPicks(), this.leagueSize);
+  }
+
+  /**
+   * Named strategy, or a custom round-by-round plan such as "RB-RB-WR" (positions for the first
+   * rounds, best available after)
+   * @returns {Object} { name, description, rules }
+   */
+  static resolveStrategy(name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (STRATEGIES[key]) {
+      return { name: key, ...STRATEGIES[key] };
+    }
+
+    const positions = key.toUpperCase().split(/[-,/]/).map(position => RosterRequirements.normalizePosition(position.trim()));
+    if (positions.length > 0 && positions.length <= 10 && positions.every(position => ['QB', 'RB', 'WR', 'TE'].includes(position))) {
+      return {
+        name: positions.join('-'),
+        description: `${positions.map((position, index) => `R${index + 1} ${position}`).join(', ')}, then best available`,
+        rules: positions.map((position, index) => ({ only: [position], from: index + 1, through: index + 1 }))
+      };
+    }
+
+    throw new ValidationError('strategy', name, `one of ${Object.keys(STRATEGIES).join(', ')} or a plan like RB-RB-WR`);
+  }
+
+  /**
+   * The draft pool cut to players who could be drafted: the top picks by ADP and by value, plus
+   * enough at each position that a roster can always fill its slots
+   */
+  static trimPool(pool, totalPicks, leagueSize) {
+    const depth = Math.ceil(totalPicks * POOL_DEPTH_FACTOR);
+    const keep = new Set(pool.slice(0, depth).map(player => player.key));
+    [...pool]
+      .sort((a, b) => b.vor - a.vor)
+      .slice(0, depth)
+      .forEach(player => keep.add(player.key));
+
+    const perPosition = {};
+    [...pool].sort((a, b) => b.vor - a.vor).forEach(player => {
+      perPosition[player.position] = (perPosition[player.position] || 0) + 1;
+      if (perPosition[player.position] <= leagueSize * 2) {
+        keep.add(player.key);
+      }
+    });
+
+    return pool.filter(player => keep.has(player.key));
+  }
+
+  /**
+   * Positions a strategy allows in a round, or null when any position is fine
+   */
+  static allowedPositions(strategy, round) {
+    let allowed = null;
+    const avoided = new Set();
+    strategy.rules
+      .filter(rule => round >= rule.from && round <= rule.through)
+      .forEach(rule => {
+        if (rule.only) {
+          allowed = rule.only;
+        }
+        (rule.avoid || []).forEach(position => avoided.add(position));
+      });
+    return { allowed, avoided };
+  }
+
+  /**
+   * The user's pick under a strategy: best VOR among positions the round allows and the roster
+   * needs, falling back to best available when the rules rule everyone out
+   */
+  choosePick(engine, strategy) {
+    const { round } = engine.getCurrentPick();
+    const { allowed, avoided } = DraftStrategyLab.allowedPositions(strategy, round);
+    const eligible = engine.getEligible(engine.draftSlot, { sort: 'vor' });
+    const fits = eligible.filter(({ player }) =>
+      (!allowed || allowed.includes(player.position)) && !avoided.has(player.position)
+    );
+    const ordered = (fits.length > 0 ? fits : eligible)
+      .sort((a, b) => (a.need === 'surplus') - (b.need === 'surplus'));
+    return ordered[0]?.player || null;
+  }
+
+  /**
+   * One full mock draft with the user following a strategy
+   * @returns {Object} the user's grade entry
+   */
+  simulate(strategy, slot, seed) {
+    const engine = new MockDraftEngine({
+      leagueSize: this.leagueSize,
+      rounds: this.rounds,
+      draftSlot: slot,
+      roster: this.roster,
+      scoring: this.scoring,
+      randomness: this.randomness,
+      pool: this.pool,
+      seed
+    });
+
+    engine.simulateUntilUser();
+    while (!engine.isComplete()) {
+      const player = this.choosePick(engine, strategy);
+      if (!player) {
+        break;
+      }
+      engine.draftPlayer(player.name);
+    }
+    return engine.grade().user;
+  }
+
+  /**
+   * Run every strategy from every slot
+   * @param {Object} [options]
+   * @param {Array<string>} [options.strategies] - names or custom plans (default: every named strategy)
+   * @param {Array<number>} [options.slots] - draft slots (default: all)
+   * @param {number} [options.iterations] - drafts per strategy and slot (default 1000, fewer when
+   *   that would go over the per-run limit)
+   * @param {number} [options.seed] - first bot seed; draft i uses seed + i
+   * @returns {Promise<Object>} { leagueSize, rounds, scoring, iterations, seed, results, best }
+   */
+  async run({ strategies = Object.keys(STRATEGIES), slots = null, iterations = null, seed = null } = {}) {
+    const resolved = Validator.validateArray(strategies, 'strategies', { minLength: 1, maxLength: 10 })
+      .map(name => DraftStrategyLab.resolveStrategy(name));
+    const draftSlots = slots && slots.length > 0
+      ? slots.map((slot, index) => Validator.validateNumber(slot, `slots[${index}]`, { min: 1, max: this.leagueSize, integer: true }))
+      : Array.from({ length: this.leagueSize }, (_, index) => index + 1);
+    const combinations = resolved.length * draftSlots.length;
+    const runs = iterations === null || iterations === undefined
+      ? Math.max(1, Math.min(DEFAULT_ITERATIONS, Math.floor(MAX_DRAFTS / combinations)))
+      : Validator.validateNumber(iterations, 'iterations', { min: 1, max: MAX_ITERATIONS, integer: true });
+    if (runs * combinations > MAX_DRAFTS) {
+      throw new ValidationError('iterations', runs, `at most ${MAX_DRAFTS} drafts in total (iterations x strategies x slots)`);
+    }
+    const baseSeed = seed ?? Math.floor(Math.random() * 1e9);
+    if (running) {
+      throw new Error('A strategy lab run is already in progress');
+    }
+    running = true;
+    try {
+      return await this.runDrafts(resolved, draftSlots, runs, baseSeed);
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * The drafts behind run(): every resolved strategy from every slot, `runs` times each
+   */
+  async runDrafts(resolved, draftSlots, runs, baseSeed) {
+    const results = [];
+    let drafted = 0;
+    for (const slot of draftSlots) {
+      for (const strategy of resolved) {
+        const outcomes = [];
+        for (let i = 0; i < runs; i++) {
+          outcomes.push(this.simulate(strategy, slot, baseSeed + i));
+          if (++drafted % YIELD_EVERY === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+          }
+        }
+        results.push({
+          strategy: strategy.name,
+          description: strategy.description,
+          slot,
+          ...DraftStrategyLab.summarize(outcomes)
+        });
+      }
+    }
+
+    DraftStrategyLab.addHistograms(results);
+
+    const best = draftSlots.map(slot => {
+      const [top] = results.filter(result => result.slot === slot).sort((a, b) => b.mean - a.mean);
+      return { slot, strategy: top.strategy, mean: top.mean };
+    });
+
+    return {
+      leagueSize: this.leagueSize,
+      rounds: this.rounds,
+      scoring: this.scoring.describe(),
+      iterations: runs,
+      seed: baseSeed,
+      results,
+      best
+    };
+  }
+
+  static isRunning() {
+    return running;
+  }
+
+  /**
+   * Starter-point distribution and league finish for one strategy and slot
+   */
+  static summarize(outcomes) {
+    const points = outcomes.map(outcome => outcome.starterPoints).sort((a, b) => a - b);
+    const mean = points.reduce((sum, value) => sum + value, 0) / points.length;
+    const variance = points.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / points.length;
+
+    return {
+      drafts: outcomes.length,
+      mean: round(mean),
+      stdev: round(Math.sqrt(variance)),
+      min: points[0],
+      p10: percentile(points, 0.1),
+      median: percentile(points, 0.5),
+      p90: percentile(points, 0.9),
+      max: points[points.length - 1],
+      averageRank: round(outcomes.reduce((sum, outcome) => sum + outcome.rank, 0) / outcomes.length, 2),
+      firstPlaceRate: round(outcomes.filter(outcome => outcome.rank === 1).length / outcomes.length, 3),
+      typicalGrade: mostCommon(outcomes.map(outcome => outcome.grade)),
+      points
+    };
+  }
+
+  /**
+   * Replace each result's raw points with counts over bins shared by every result, so the
+   * distributions line up
+   */
+  static addHistograms(results) {
+    const low = Math.min(...results.map(result => result.min));
+    const high = Math.max(...results.map(result => result.max));
+    const width = high > low ? (high - low) / HISTOGRAM_BINS : 1;
+
+    results.forEach(result => {
+      const counts = new Array(HISTOGRAM_BINS).fill(0);
+      result.points.forEach(value => {
+        counts[Math.min(HISTOGRAM_BINS - 1, Math.floor((value - low) / width))]++;
+      });
+      result.histogram = {
+        binStart: round(low),
+        binWidth: round(width),
+        counts
+      };
+      delete result.points;
+    });
+  }
+}
+
+function percentile(sorted, fraction) {
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round(fraction * (sorted.length - 1))));
+  return sorted[index];
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+DraftStrategyLab.STRATEGIES = STRATEGIES;
+DraftStrategyLab.DEFAULT_ITERATIONS = DEFAULT_ITERATIONS;
+DraftStrategyLab.MAX_ITERATIONS = MAX_ITERATIONS;
+DraftStrategyLab.MAX_DRAFTS = MAX_DRAFTS;
+
+module.exports = DraftStrategyLab;
@@ -0,0 +1,178 @@
+/**
+ * Dynasty Value Model
+ * Multi-season trade value for dynasty leagues. A player's current value (PlayerValueModel) is
+ * carried over the next few seasons along a position's age curve - rising until the peak, falling
+ * after it - and discounted for distance. Rookie draft picks are valued as the rookies they become.
+ */
+const PlayerValueModel = require('./player-value-model');
+const { ValidationError } = require('../utils/validation');
+const { round } = require('../utils/numbers');
+
+const HORIZON_SEASONS = 3;
+const SEASON_DISCOUNT = 0.85;
+
+// Peak production window and the yearly change before (growth) and after (decline) it
+const AGE_CURVES = {
+  QB: { peakStart: 26, peakEnd: 33, growth: 0.05, decline: 0.08 },
+  RB: { peakStart: 23, peakEnd: 26, growth: 0.08, decline: 0.15 },
+  WR: { peakStart: 24, peakEnd: 29, growth: 0.08, decline: 0.1 },
+  TE: { peakStart: 25, peakEnd: 30, growth: 0.1, decline: 0.1 }
+};
+
+// Age assumed for a rookie without a birth date
+const ROOKIE_AGE = 22;
+// Age assumed for a veteran without one: a typical starter's age at each position
+const DEFAULT_AGES = { QB: 28, RB: 25, WR: 26, TE: 27 };
+
+// Value (model scale) of a rookie taken in each round of the rookie draft; later rounds get the last
+const PICK_VALUES = [30, 14, 6, 3, 1];
+// First pick of a round is worth this much more than the round average, the last pick that much less
+const PICK_SLOT_SPREAD = 0.25;
+
+const ORDINAL_ROUNDS = { '1st': 1, '2nd': 2, '3rd': 3, '4th': 4, '5th': 5 };
+
+class DynastyValueModel {
+  /**
+   * @param {Object} [options]
+   * @param {PlayerValueModel} [options.valueModel] - current-season values (shared with the trade analyzer)
+   * @param {number} [options.leagueSize] - teams per rookie-draft round
+   */
+  constructor(options = {}) {
+    this.valueModel = options.valueModel || new PlayerValueModel();
+    this.leagueSize = options.leagueSize || this.valueModel.vbd.leagueSize;
+  }
+
+  /**
+   * Season of the next rookie draft: rookie drafts run in the spring, so after May it's next year's
+   */
+  static nextDraftSeason(date = new Date()) {
+    return date.getMonth() >= 5 ? date.getFullYear() + 1 : date.getFullYear();
+  }
+
+  /**
+   * Rookie pick named in a trade: "2026 1st", "2026 round 2", "2026 1.04" or "1st" (next draft).
+   * @returns {Object|null} { season, round, slot } or null when the text isn't a pick
+   */
+  static parsePick(text) {
+    const match = String(text || '').trim().toLowerCase()
+      .match(/^(?:(20\d{2})\s+)?(?:(1st|2nd|3rd|4th|5th)(?:\s+round)?|round\s*(\d)|(\d)\.(\d{1,2}))(?:\s+pick)?$/);
+    if (!match) {
+      return null;
+    }
+    return {
+      season: match[1] ? parseInt(match[1], 10) : DynastyValueModel.nextDraftSeason(),
+      round: ORDINAL_ROUNDS[match[2]] || parseInt(match[3] || match[4], 10),
+      slot: match[5] ? parseInt(match[5], 10) : null
+    };
+  }
+
+  static describePick({ season, round, slot }) {
+    const ordinal = Object.keys(ORDINAL_ROUNDS).find(key => ORDINAL_ROUNDS[key] === round) || `round ${round}`;
+    return slot ? `${season} ${round}.${String(slot).padStart(2, '0')}` : `${season} ${ordinal}`;
+  }
+
+  static isRookie(player) {
+    return player.rookie === true || player.yearsExp === 0 || player.years_exp === 0;
+  }
+
+  /**
+   * Production relative to peak at an age (1 inside the peak window)
+   */
+  getCurveFactor(position, age) {
+    const curve = AGE_CURVES[position];
+    if (!curve || age === null) {
+      return 1;
+    }
+    if (age < curve.peakStart) {
+      return Math.pow(1 - curve.growth, curve.peakStart - age);
+    }
+    if (age > curve.peakEnd) {
+      return Math.max(0.1, Math.pow(1 - curve.decline, age - curve.peakEnd));
+    }
+    return 1;
+  }
+
+  /**
+   * Player valuation with dynasty value: this season's value projected over the horizon along the
+   * age curve, discounted and averaged so it stays on the value model's 0-100 scale. Players without
+   * a birth date get a typical age for their position and are flagged with ageAssumed.
+   */
+  evaluate(player, stats) {
+    const current = this.valueModel.evaluate(player, stats);
+    const rookie = DynastyValueModel.isRookie(player);
+    const ageAssumed = current.age === null || current.age === undefined;
+    const age = ageAssumed ? (rookie ? ROOKIE_AGE : DEFAULT_AGES[current.position] ?? null) : current.age;
+
+    // The redraft value already trims older players; undo that so age is only counted once here
+    let baseValue = current.ageFactor > 0 ? current.value / current.ageFactor : current.value;
+    if (rookie && !current.known) {
+      // No projection yet: worth what an average second-round rookie pick is
+      baseValue = PICK_VALUES[1];
+    }
+
+    const seasons = [];
+    let weighted = 0;
+    let weights = 0;
+    for (let year = 0; year < HORIZON_SEASONS; year++) {
+      const factor = age === null ? 1 : this.getCurveFactor(current.position, age + year) / this.getCurveFactor(current.position, age);
+      const value = baseValue * factor;
+      const weight = Math.pow(SEASON_DISCOUNT, year);
+      seasons.push(round(value));
+      weighted += value * weight;
+      weights += weight;
+    }
+
+    const dynastyValue = round(weighted / weights);
+    return {
+      ...current,
+      age,
+      ageAssumed,
+      rookie,
+      redraftValue: current.value,
+      dynastyValue,
+      seasons,
+      value: dynastyValue
+    };
+  }
+
+  /**
+   * Valuation for a rookie pick, shaped like a player valuation so trade evaluations can mix them
+   * @param {Object} pick - { season, round, slot? }
+   */
+  evaluatePick(pick) {
+    const nextSeason = DynastyValueModel.nextDraftSeason();
+    if (pick.season < nextSeason) {
+      throw new ValidationError('pick', DynastyValueModel.describePick(pick), `a pick in ${nextSeason} or later`);
+    }
+
+    let value = PICK_VALUES[Math.min(pick.round, PICK_VALUES.length) - 1];
+    if (pick.slot && this.leagueSize > 1) {
+      const position = (Math.min(pick.slot, this.leagueSize) - 1) / (this.leagueSize - 1);
+      value *= 1 + PICK_SLOT_SPREAD - 2 * PICK_SLOT_SPREAD * position;
+    }
+    value *= Math.pow(SEASON_DISCOUNT, pick.season - nextSeason);
+
+    return {
+      name: DynastyValueModel.describePick(pick),
+      position: 'PICK',
+      team: null,
+      known: true,
+      age: null,
+      ageAssumed: false,
+      rookie: false,
+      pick,
+      rosPoints: 0,
+      perGame: 0,
+      injury: { status: 'ACTIVE', risk: 'low', expectedGamesMissed: 0 },
+      redraftValue: 0,
+      dynastyValue: round(value),
+      value: round(value),
+      tier: null
+    };
+  }
+}
+
+DynastyValueModel.HORIZON_SEASONS = HORIZON_SEASONS;
+DynastyValueModel.AGE_CURVES = AGE_CURVES;
+
+module.exports = DynastyValueModel;
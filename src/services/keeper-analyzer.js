@@ -0,0 +1,182 @@
+/**
+ * Keeper Analyzer
+ * Keeper declarations and keeper value. A keeper costs its owner the pick in a given round, so it
+ * goes on the board in that team's slot for the round (snake order) and leaves the available pool.
+ * Keeping a player pays off when that round comes later than the round the player would go in by
+ * ADP (or by value over replacement when there is no ADP).
+ */
+const VBDEngine = require('./vbd-engine');
+const RosterRequirements = require('./roster-requirements');
+const { Validator } = require('../utils/validation');
+
+// Rounds saved (round cost minus market round) needed for each verdict
+const KEEP_SURPLUS = 2;
+const MARGINAL_SURPLUS = 0;
+
+class KeeperAnalyzer {
+  /**
+   * @param {Object} [options]
+   * @param {ScoringEngine} [options.scoring]
+   * @param {RosterRequirements} [options.roster]
+   * @param {number} [options.leagueSize]
+   * @param {Array} [options.players] - player pool passed to VBDEngine
+   */
+  constructor(options = {}) {
+    this.vbd = new VBDEngine({
+      scoring: options.scoring,
+      roster: options.roster,
+      leagueSize: options.leagueSize,
+      players: options.players
+    });
+    this.leagueSize = this.vbd.leagueSize;
+    this.index = null;
+  }
+
+  /**
+   * Overall pick a team makes in a round of a snake draft
+   */
+  static slotFor(round, team, leagueSize) {
+    const pickInRound = round % 2 === 1 ? team : leagueSize - team + 1;
+    return (round - 1) * leagueSize + pickInRound;
+  }
+
+  /**
+   * Validate one declaration: { player, team, round } plus optional position, nflTeam, teamName and
+   * bid (auction keepers cost dollars instead of a round)
+   */
+  static normalize(keeper = {}, index = 0, leagueSize = 20) {
+    const field = key => `keepers[${index}].${key}`;
+    const bid = keeper.bid === undefined || keeper.bid === null
+      ? null
+      : Validator.validateNumber(keeper.bid, field('bid'), { min: 0, max: 10000, integer: true });
+
+    return {
+      player: Validator.validateString(keeper.player, field('player'), { required: true, minLength: 2, maxLength: 60 }),
+      team: Validator.validateNumber(keeper.team, field('team'), { min: 1, max: leagueSize, integer: true }),
+      round: bid === null || keeper.round !== undefined
+        ? Validator.validateNumber(keeper.round, field('round'), { min: 1, max: 30, integer: true })
+        : null,
+      position: keeper.position ? RosterRequirements.normalizePosition(keeper.position) : null,
+      nflTeam: keeper.nflTeam ? String(keeper.nflTeam).toUpperCase() : null,
+      teamName: keeper.teamName || null,
+      bid
+    };
+  }
+
+  /**
+   * Projected players by lower-case name, with VOR and overall value rank
+   */
+  getIndex() {
+    if (!this.index) {
+      const board = this.vbd.buildBoard({ limit: Infinity });
+      this.index = new Map(board.players.map(player => [player.name.toLowerCase(), player]));
+    }
+    return this.index;
+  }
+
+  findPlayer(name) {
+    const wanted = String(name || '').toLowerCase().trim();
+    const index = this.getIndex();
+    if (index.has(wanted)) {
+      return index.get(wanted);
+    }
+    const partial = Array.from(index.values()).filter(player => player.name.toLowerCase().includes(wanted));
+    return partial.length === 1 ? partial[0] : null;
+  }
+
+  /**
+   * Board pick for a declared keeper. Auction keepers take the next open pick number and carry
+   * their price as the bid.
+   * @param {Object} keeper - normalized declaration
+   * @param {Object} [options]
+   * @param {number} [options.userTeam]
+   * @param {number} [options.nextPick] - pick number for keepers without a round
+   */
+  toPick(keeper, { userTeam = null, nextPick = 1 } = {}) {
+    const known = this.findPlayer(keeper.player);
+    return {
+      player: known?.name || keeper.player,
+      position: keeper.position || known?.position || '',
+      nflTeam: keeper.nflTeam || known?.team || '',
+      team: keeper.team,
+      pick: keeper.round ? KeeperAnalyzer.slotFor(keeper.round, keeper.team, this.leagueSize) : nextPick,
+      timestamp: new Date(),
+      isUser: keeper.team === userTeam,
+      ...(keeper.teamName ? { teamName: keeper.teamName } : {}),
+      ...(typeof keeper.bid === 'number' ? { bid: keeper.bid } : {}),
+      keeper: true
+    };
+  }
+
+  /**
+   * Round cost against the round the player would go in on the open market
+   * @param {Object} candidate - { player, round, team? }
+   */
+  evaluate(candidate) {
+    const player = this.findPlayer(candidate.player);
+    if (!player) {
+      return {
+        player: candidate.player,
+        team: candidate.team || null,
+        round: candidate.round,
+        known: false,
+        verdict: 'unknown'
+      };
+    }
+
+    const basis = player.adp ? 'adp' : 'vor';
+    const marketPick = player.adp || player.rank;
+    const marketRound = Math.max(1, Math.ceil(marketPick / this.leagueSize));
+    const surplus = candidate.round - marketRound;
+
+    let verdict = 'drop';
+    if (surplus >= KEEP_SURPLUS) {
+      verdict = 'keep';
+    } else if (surplus >= MARGINAL_SURPLUS) {
+      verdict = 'marginal';
+    }
+
+    return {
+      player: player.name,
+      position: player.position,
+      nflTeam: player.team,
+      team: candidate.team || null,
+      round: candidate.round,
+      known: true,
+      adp: player.adp,
+      basis,
+      marketRound,
+      vor: player.vor,
+      surplus,
+      verdict
+    };
+  }
+
+  /**
+   * Evaluate candidates best first (most rounds saved, then VOR) and mark the ones worth keeping
+   * within the league's keeper limit, counted separately for each team
+   * @param {Array<Object>} candidates - { player, round, team? }
+   * @param {Object} [options]
+   * @param {number} [options.max] - keepers allowed per team
+   */
+  rank(candidates, { max = null } = {}) {
+    const evaluations = candidates
+      .map(candidate => this.evaluate(candidate))
+      .sort((a, b) => (b.surplus ?? -Infinity) - (a.surplus ?? -Infinity) || (b.vor ?? 0) - (a.vor ?? 0));
+
+    const kept = new Map(); // team (lowercased, '' when not given) -> keepers recommended
+    return evaluations.map(evaluation => {
+      const team = String(evaluation.team || '').trim().toLowerCase();
+      const recommended = evaluation.verdict !== 'drop' && evaluation.verdict !== 'unknown' &&
+        (max === null || (kept.get(team) || 0) < max);
+      if (recommended) {
+        kept.set(team, (kept.get(team) || 0) + 1);
+      }
+      return { ...evaluation, recommended };
+    });
+  }
+}
+
+KeeperAnalyzer.KEEP_SURPLUS = KEEP_SURPLUS;
+
+module.exports = KeeperAnalyzer;
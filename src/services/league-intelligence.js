@@ -1,4 +1,4 @@
-const ESPNClient = require('../api/espn-client');
+const createLeagueClient = require('../api/league-client');
 const DiscordNotifier = require('../alerts/discord-bot');
 const { channelRouter } = require('../../config/discord-channels');
 const winston = require('winston');
@@ -17,7 +17,7 @@ const logger = winston.createLogger({
 
 class LeagueIntelligence {
   constructor() {
-    this.espnClient = new ESPNClient();
+    this.leagueClient = createLeagueClient();
     this.discordNotifier = new DiscordNotifier();
     this.leagueData = {
       teams: [],
@@ -45,9 +45,9 @@ class LeagueIntelligence {
 
   async loadLeagueSetup() {
     try {
-      const leagueInfo = await this.espnClient.getLeagueInfo();
-      const teams = await this.espnClient.getRosters();
-      const draftInfo = await this.espnClient.getDraftInfo();
+      const leagueInfo = await this.leagueClient.getLeagueInfo();
+      const teams = await this.leagueClient.getRosters();
+      const draftInfo = await this.leagueClient.getDraftInfo();
 
       this.leagueData = {
         leagueInfo: leagueInfo,
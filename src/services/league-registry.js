@@ -0,0 +1,299 @@
+/**
+ * League Registry
+ * Every league the team manages: platform, league ID, season, credentials, Discord channels and
+ * roster/scoring settings. Leagues come from data/leagues.json (LEAGUES_FILE); without that file the
+ * single league configured through ESPN_* / SLEEPER_* variables is registered as "default".
+ *
+ * A league's type (redraft, keeper or dynasty) decides whether keepers are declared before the draft
+ * and whether trades are valued over several seasons.
+ *
+ * Each league gets one context ({ league, client, rosterRequirements, scoring, leagueStats }) that
+ * monitors, commands and routes share. Discord scopes can switch their active league with select().
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const createLeagueClient = require('../api/league-client');
+const RosterRequirements = require('./roster-requirements');
+const ScoringEngine = require('./scoring-engine');
+const LeagueStats = require('./league-stats');
+const { Validator, ValidationError } = require('../utils/validation');
+const createLogger = require('../utils/logger');
+
+const logger = createLogger();
+
+const DEFAULT_PATH = path.join(__dirname, '../../data/leagues.json');
+const DEFAULT_NAME = 'default';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const LEAGUE_TYPES = ['redraft', 'keeper', 'dynasty'];
+
+class LeagueRegistry {
+  /**
+   * @param {Array<Object>} leagues - raw league entries (see data/leagues.example.json)
+   * @param {Object} [options]
+   * @param {string} [options.defaultName] - league used when a scope hasn't picked one
+   */
+  constructor(leagues = [], options = {}) {
+    if (leagues.length === 0) {
+      throw new Error('League registry needs at least one league');
+    }
+
+    this.leagues = leagues.map((entry, index) => LeagueRegistry.normalize(entry, index));
+    const names = this.leagues.map(league => league.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`League "${duplicate}" is registered twice`);
+    }
+
+    this.defaultName = options.defaultName ? String(options.defaultName).toLowerCase() : names[0];
+    if (!names.includes(this.defaultName)) {
+      throw new Error(`Default league "${this.defaultName}" is not in the registry (${names.join(', ')})`);
+    }
+
+    this.contexts = new Map(); // league name -> context
+    this.selections = new Map(); // Discord scope -> league name chosen with .league use
+  }
+
+  /**
+   * Registry from a leagues file ({ default, leagues: [...] } or a bare array), or the environment's
+   * single league when there is no file
+   */
+  static load(filePath = process.env.LEAGUES_FILE || DEFAULT_PATH) {
+    const resolved = path.isAbsolute(filePath) ? filePath : path.join(process.cwd(), filePath);
+    if (!fs.existsSync(resolved)) {
+      return new LeagueRegistry([LeagueRegistry.fromEnvironment()]);
+    }
+
+    const file = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    const leagues = Array.isArray(file) ? file : file.leagues || [];
+    const registry = new LeagueRegistry(leagues, { defaultName: Array.isArray(file) ? null : file.default });
+    logger.info(`🏟️ Loaded ${registry.leagues.length} league(s) from ${resolved} (default: ${registry.defaultName})`);
+    return registry;
+  }
+
+  /**
+   * The one league the ESPN_* / SLEEPER_* / LEAGUE_PROFILE / SCORING_RULES variables describe
+   */
+  static fromEnvironment() {
+    const platform = config.league.platform;
+    return {
+      name: DEFAULT_NAME,
+      platform,
+      leagueId: platform === 'sleeper' ? config.sleeper.leagueId : config.espn.leagueId,
+      season: config.espn.seasonId,
+      credentials: { s2Cookie: config.espn.s2Cookie, swidCookie: config.espn.swidCookie },
+      profile: process.env.LEAGUE_PROFILE,
+      scoring: process.env.SCORING_RULES,
+      type: process.env.LEAGUE_TYPE,
+      keeperLimit: process.env.KEEPER_LIMIT,
+      optionalLeagueId: true
+    };
+  }
+
+  /**
+   * Validate one entry. Credentials written as "env:NAME" are read from that environment variable,
+   * so the leagues file doesn't have to hold cookies.
+   */
+  static normalize(entry = {}, index = 0) {
+    const field = key => `leagues[${index}].${key}`;
+    const name = Validator.validateString(entry.name, field('name'), { required: true, maxLength: 32 }).toLowerCase();
+    if (!NAME_PATTERN.test(name)) {
+      throw new ValidationError(field('name'), entry.name, 'letters, digits, "-" or "_"');
+    }
+
+    const platform = String(entry.platform || 'espn').toLowerCase();
+    if (!createLeagueClient.PLATFORMS.includes(platform)) {
+      throw new ValidationError(field('platform'), entry.platform, createLeagueClient.PLATFORMS.join(' or '));
+    }
+
+    const leagueId = entry.leagueId === undefined || entry.leagueId === null || entry.leagueId === ''
+      ? null
+      : String(entry.leagueId).trim();
+    if (!leagueId && !entry.optionalLeagueId) {
+      throw new ValidationError(field('leagueId'), entry.leagueId, 'a league ID');
+    }
+
+    const type = String(entry.type || 'redraft').toLowerCase();
+    if (!LEAGUE_TYPES.includes(type)) {
+      throw new ValidationError(field('type'), entry.type, LEAGUE_TYPES.join(', '));
+    }
+
+    const fromEnv = value => (typeof value === 'string' && value.startsWith('env:')
+      ? process.env[value.slice(4)] || null
+      : value || null);
+    const discord = entry.discord || {};
+
+    return {
+      name,
+      displayName: entry.displayName || entry.name,
+      platform,
+      leagueId,
+      season: entry.season
+        ? Validator.validateNumber(entry.season, field('season'), { min: 2000, max: 2100, integer: true })
+        : null,
+      credentials: {
+        s2Cookie: fromEnv(entry.credentials?.s2Cookie),
+        swidCookie: fromEnv(entry.credentials?.swidCookie)
+      },
+      discord: {
+        channels: (discord.channels || []).map(channel => String(channel).toLowerCase()),
+        // Discord user ID or username -> the platform team ID or team name that is theirs
+        owners: Object.fromEntries(Object.entries(discord.owners || {}).map(([user, team]) => [user.toLowerCase(), team])),
+        webhookURL: fromEnv(discord.webhookURL),
+        webhooks: Object.fromEntries(Object.entries(discord.webhooks || {}).map(([key, url]) => [key, fromEnv(url)]))
+      },
+      profile: entry.profile || null,
+      scoring: entry.scoring || null,
+      type,
+      keeperLimit: entry.keeperLimit
+        ? Validator.validateNumber(entry.keeperLimit, field('keeperLimit'), { min: 1, max: 30, integer: true })
+        : null,
+      // Keepers declared ahead of the draft ({ player, team, round }); checked against the league size
+      // when they are put on a board
+      keepers: entry.keepers ? Validator.validateArray(entry.keepers, field('keepers'), { maxLength: 400 }) : []
+    };
+  }
+
+  list() {
+    return this.leagues;
+  }
+
+  getDefault() {
+    return this.find(this.defaultName);
+  }
+
+  /**
+   * League by registry name or platform league ID (case-insensitive), or null
+   */
+  find(nameOrId) {
+    const key = String(nameOrId || '').trim().toLowerCase();
+    if (!key) {
+      return null;
+    }
+    return this.leagues.find(league => league.name === key) ||
+      this.leagues.find(league => league.leagueId && league.leagueId.toLowerCase() === key) ||
+      null;
+  }
+
+  /**
+   * Like find(), but an unknown league is a ValidationError naming the registered ones
+   */
+  require(nameOrId) {
+    const league = this.find(nameOrId);
+    if (!league) {
+      throw new ValidationError('league', nameOrId, `one of ${this.leagues.map(entry => entry.name).join(', ')}`);
+    }
+    return league;
+  }
+
+  findByLeagueId(leagueId, platform = null) {
+    const key = String(leagueId || '').trim().toLowerCase();
+    return this.leagues.find(league =>
+      league.leagueId && league.leagueId.toLowerCase() === key && (!platform || league.platform === platform)
+    ) || null;
+  }
+
+  /**
+   * League bound to a Discord channel (by channel name or ID in its discord.channels)
+   */
+  forChannel(channel) {
+    if (!channel) {
+      return null;
+    }
+    const keys = [channel.name, channel.id].filter(Boolean).map(key => String(key).toLowerCase());
+    return this.leagues.find(league => league.discord.channels.some(bound => keys.includes(bound))) || null;
+  }
+
+  /**
+   * Team a Discord user ({ id, username }) registered as theirs under discord.owners (team ID or
+   * name), or null
+   */
+  ownedTeam(league, user = {}) {
+    const owners = league.discord.owners;
+    const key = [user.id, user.username]
+      .filter(Boolean)
+      .map(value => String(value).toLowerCase())
+      .find(value => Object.hasOwn(owners, value));
+    return key ? owners[key] : null;
+  }
+
+  /**
+   * Make a league the active one for a Discord scope (guild, channel or DM user)
+   */
+  select(scope, nameOrId) {
+    const league = this.require(nameOrId);
+    this.selections.set(scope, league.name);
+    logger.info(`🏟️ ${scope} switched to league ${league.name}`);
+    return league;
+  }
+
+  /**
+   * League for a request: an explicit name or ID, then the scope's selection, then the channel's
+   * bound league, then the default
+   */
+  resolve({ league = null, scope = null, channel = null } = {}) {
+    if (league) {
+      return this.require(league);
+    }
+    const selected = scope && this.selections.get(scope);
+    return (selected && this.find(selected)) || this.forChannel(channel) || this.getDefault();
+  }
+
+  /**
+   * Shared services for a league, built on first use
+   * @param {Object|string} [league] - registry entry or name/ID; defaults to the default league
+   */
+  getContext(league = null) {
+    const entry = typeof league === 'object' && league !== null ? league : (league ? this.require(league) : this.getDefault());
+    if (!this.contexts.has(entry.name)) {
+      this.contexts.set(entry.name, this.createContext(entry));
+    }
+    return this.contexts.get(entry.name);
+  }
+
+  createContext(league) {
+    const client = createLeagueClient({
+      platform: league.platform,
+      leagueId: league.leagueId,
+      seasonId: league.season,
+      s2Cookie: league.credentials.s2Cookie,
+      swidCookie: league.credentials.swidCookie
+    });
+
+    return {
+      league,
+      client,
+      rosterRequirements: RosterRequirements.load(league.profile || undefined),
+      scoring: ScoringEngine.load(league.scoring || undefined),
+      leagueStats: new LeagueStats({
+        leagueClient: client,
+        cachePath: league.name === DEFAULT_NAME ? undefined : LeagueStats.cachePathFor(league.name)
+      })
+    };
+  }
+
+  /**
+   * League summary safe to show in Discord or return from the API (no credentials or webhooks)
+   */
+  describe(league) {
+    return {
+      name: league.name,
+      displayName: league.displayName,
+      platform: league.platform,
+      leagueId: league.leagueId,
+      season: league.season,
+      channels: league.discord.channels,
+      profile: league.profile,
+      scoring: league.scoring,
+      type: league.type,
+      keeperLimit: league.keeperLimit,
+      keepers: league.keepers.length,
+      default: league.name === this.defaultName
+    };
+  }
+}
+
+LeagueRegistry.DEFAULT_NAME = DEFAULT_NAME;
+LeagueRegistry.LEAGUE_TYPES = LEAGUE_TYPES;
+
+module.exports = LeagueRegistry;
@@ -0,0 +1,270 @@
+/**
+ * League Stats
+ * Standings and weekly player scores from ESPN or Sleeper matchups/rosters, cached on disk so trade
+ * analysis works on real results. When neither live nor cached data exists it reports fallback mode
+ * instead of inventing numbers.
+ */
+const fs = require('fs');
+const path = require('path');
+const createLeagueClient = require('../api/league-client');
+const createLogger = require('../utils/logger');
+const { round } = require('../utils/numbers');
+
+const logger = createLogger();
+
+const DEFAULT_CACHE_PATH = path.join(__dirname, '../../data/cache/league-stats.json');
+const DEFAULT_MAX_AGE_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+class LeagueStats {
+  constructor(options = {}) {
+    this.leagueClient = options.leagueClient || createLeagueClient();
+    this.cachePath = options.cachePath || process.env.LEAGUE_STATS_CACHE || DEFAULT_CACHE_PATH;
+    this.maxAgeMs = options.maxAgeMs || DEFAULT_MAX_AGE_MS;
+  }
+
+  /**
+   * Cache file for a named league in the registry, next to the default cache
+   */
+  static cachePathFor(leagueName) {
+    return path.join(path.dirname(DEFAULT_CACHE_PATH), `league-stats-${leagueName}.json`);
+  }
+
+  isConfigured() {
+    return Boolean(this.leagueClient.leagueId);
+  }
+
+  /**
+   * Best available league snapshot: fresh cache, then the live platform, then stale cache, then fallback.
+   * Every result carries `mode` ('live' | 'cached' | 'fallback') so callers can say where numbers came from.
+   */
+  async getSnapshot({ refresh = false } = {}) {
+    const cached = this.readCache();
+    if (cached && !refresh && Date.now() - new Date(cached.fetchedAt).getTime() < this.maxAgeMs) {
+      return { ...cached, mode: 'cached', stale: false };
+    }
+
+    if (!this.isConfigured()) {
+      return cached
+        ? { ...cached, mode: 'cached', stale: true }
+        : this.fallback(`No ${this.leagueClient.platformName} league ID is configured`);
+    }
+
+    try {
+      const snapshot = await this.fetchLive();
+      this.writeCache(snapshot);
+      return { ...snapshot, mode: 'live', stale: false };
+    } catch (error) {
+      logger.warn(`Live league stats unavailable: ${error.message}`);
+      return cached
+        ? { ...cached, mode: 'cached', stale: true }
+        : this.fallback(`${this.leagueClient.platformName} request failed: ${error.message}`);
+    }
+  }
+
+  fallback(reason) {
+    return {
+      mode: 'fallback',
+      reason,
+      fetchedAt: null,
+      week: null,
+      teams: [],
+      teamStats: {},
+      playerStats: {}
+    };
+  }
+
+  /**
+   * Pull rosters, records and every completed week's box scores from the league's platform
+   */
+  async fetchLive() {
+    const leagueInfo = await this.leagueClient.getLeagueInfo();
+    const rosters = await this.leagueClient.getRosters();
+    const currentWeek = leagueInfo.currentMatchupPeriod || 1;
+
+    const teamNames = new Map(rosters.map(team => [team.id, team.name]));
+    const results = {};
+    const playerScores = {};
+
+    rosters.forEach(team => {
+      results[team.name] = { wins: 0, losses: 0, ties: 0, pointsFor: 0, pointsAgainst: 0 };
+    });
+
+    for (let week = 1; week < currentWeek; week++) {
+      const matchups = (await this.leagueClient.getMatchups(week)).filter(matchup => matchup.week === week);
+
+      matchups.forEach(matchup => {
+        this.recordResult(results, teamNames, matchup);
+        [matchup.home, matchup.away].forEach(side => {
+          (side?.lineup || []).forEach(entry => {
+            if (entry.player && typeof entry.points === 'number') {
+              playerScores[entry.player.name] = playerScores[entry.player.name] || [];
+              playerScores[entry.player.name].push({ week, points: entry.points });
+            }
+          });
+        });
+      });
+    }
+
+    const teamStats = this.buildStandings(rosters, results);
+    const playerStats = {};
+    Object.entries(playerScores).forEach(([name, scores]) => {
+      scores.sort((a, b) => a.week - b.week);
+      playerStats[name] = this.summarizeScores(scores.map(score => score.points), scores.map(score => score.week));
+    });
+
+    logger.info(`📊 Loaded league stats through week ${currentWeek - 1} for ${rosters.length} teams`);
+
+    return {
+      fetchedAt: new Date().toISOString(),
+      platform: this.leagueClient.platformName,
+      week: currentWeek,
+      teams: rosters.map(team => ({
+        id: team.id,
+        teamName: team.name,
+        roster: team.roster
+          .filter(entry => entry.player)
+          .map(entry => ({ name: entry.player.name, position: entry.player.position, team: entry.player.team }))
+      })),
+      teamStats,
+      playerStats
+    };
+  }
+
+  recordResult(results, teamNames, matchup) {
+    const home = results[teamNames.get(matchup.home?.teamId)];
+    const away = results[teamNames.get(matchup.away?.teamId)];
+    if (!home || !away || !matchup.winner || matchup.winner === 'UNDECIDED') {
+      return;
+    }
+
+    const homeScore = matchup.home.score || 0;
+    const awayScore = matchup.away.score || 0;
+    home.pointsFor += homeScore;
+    home.pointsAgainst += awayScore;
+    away.pointsFor += awayScore;
+    away.pointsAgainst += homeScore;
+
+    if (matchup.winner === 'HOME') {
+      home.wins++;
+      away.losses++;
+    } else if (matchup.winner === 'AWAY') {
+      away.wins++;
+      home.losses++;
+    } else {
+      home.ties++;
+      away.ties++;
+    }
+  }
+
+  /**
+   * Prefer the platform's own record (it includes adjustments); otherwise use what the matchups add up to
+   */
+  buildStandings(rosters, results) {
+    const standings = rosters.map(team => {
+      const overall = team.stats?.overall;
+      const computed = results[team.name];
+      return {
+        teamName: team.name,
+        wins: overall?.wins ?? computed.wins,
+        losses: overall?.losses ?? computed.losses,
+        ties: overall?.ties ?? computed.ties,
+        pointsFor: round(overall?.pointsFor ?? computed.pointsFor, 1),
+        pointsAgainst: round(overall?.pointsAgainst ?? computed.pointsAgainst, 1)
+      };
+    });
+
+    standings.sort((a, b) => b.wins - a.wins || b.pointsFor - a.pointsFor);
+
+    const teamStats = {};
+    standings.forEach((team, index) => {
+      teamStats[team.teamName] = { ...team, rank: index + 1 };
+    });
+    return teamStats;
+  }
+
+  /**
+   * @param {number[]} weeklyScores - points for each week the player was on a roster, in order
+   * @param {number[]} [weeks] - the NFL week of each score
+   */
+  summarizeScores(weeklyScores, weeks = null) {
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const weeklyAverage = average(weeklyScores);
+    const last3Games = weeklyScores.slice(-3);
+    const recentAverage = average(last3Games);
+
+    let trend = 'stable';
+    if (weeklyScores.length >= 4 && weeklyAverage > 0) {
+      if (recentAverage > weeklyAverage * 1.15) trend = 'rising';
+      else if (recentAverage < weeklyAverage * 0.85) trend = 'declining';
+    }
+
+    return {
+      weeklyAverage: round(weeklyAverage, 1),
+      last3Games,
+      trend,
+      weeklyScores,
+      ...(weeks ? { weeks } : {}),
+      gamesPlayed: weeklyScores.length
+    };
+  }
+
+  /**
+   * Stats keyed by team name and player name, the shape TradeAnalyzer reads
+   */
+  toSeasonStats(snapshot) {
+    return { ...snapshot.playerStats, ...snapshot.teamStats };
+  }
+
+  /**
+   * The league team whose roster overlaps most with a list of player names
+   */
+  findTeamByRoster(snapshot, playerNames) {
+    const names = new Set(playerNames.map(name => name.toLowerCase()));
+    let best = null;
+    let bestOverlap = 0;
+
+    snapshot.teams.forEach(team => {
+      const overlap = team.roster.filter(player => names.has(player.name.toLowerCase())).length;
+      if (overlap > bestOverlap) {
+        best = team;
+        bestOverlap = overlap;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * One-line description of where the numbers came from
+   */
+  describe(snapshot) {
+    if (snapshot.mode === 'fallback') {
+      return `⚠️ **Fallback mode:** no league results available (${snapshot.reason}). Standings and player trends are omitted; analysis uses rosters and projections only.`;
+    }
+    const fetched = new Date(snapshot.fetchedAt).toLocaleString();
+    const source = snapshot.platform || 'ESPN';
+    const through = snapshot.week > 1 ? `through week ${snapshot.week - 1}` : 'preseason';
+    if (snapshot.mode === 'live') {
+      return `📡 **Data:** live ${source} results ${through}`;
+    }
+    return `🗂️ **Data:** cached ${source} results ${through} (fetched ${fetched}${snapshot.stale ? `, ${source} unreachable - may be out of date` : ''})`;
+  }
+
+  readCache() {
+    try {
+      return JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writeCache(snapshot) {
+    try {
+      fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+      fs.writeFileSync(this.cachePath, JSON.stringify(snapshot, null, 2));
+    } catch (error) {
+      logger.warn(`Could not write league stats cache: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LeagueStats;
@@ -0,0 +1,290 @@
+/**
+ * Lineup Optimizer
+ * Deterministic weekly start/sit: projects every rostered player for the week, discounts for injury
+ * designations and game-day weather, fills the league's starting slots and lines up a backup for
+ * each game-time decision
+ */
+const RosterRequirements = require('./roster-requirements');
+const PlayerValueModel = require('./player-value-model');
+const ScheduleProvider = require('./schedule-provider');
+const WeatherClient = require('../api/weather-client');
+const ESPNClient = require('../api/espn-client');
+const { round } = require('../utils/numbers');
+
+// Chance a player with each designation suits up
+const PLAY_PROBABILITY = {
+  ACTIVE: 1,
+  PROBABLE: 0.95,
+  QUESTIONABLE: 0.75,
+  DOUBTFUL: 0.25,
+  OUT: 0,
+  IR: 0,
+  SUSPENSION: 0
+};
+
+const STATUS_ALIASES = {
+  HEALTHY: 'ACTIVE',
+  FULL_PRACTICE: 'ACTIVE',
+  LIMITED_PRACTICE: 'QUESTIONABLE',
+  DID_NOT_PRACTICE: 'DOUBTFUL',
+  INJURY_RESERVE: 'IR',
+  INJURED_RESERVE: 'IR',
+  SUSPENDED: 'SUSPENSION'
+};
+
+const GAME_TIME_STATUSES = ['QUESTIONABLE', 'DOUBTFUL'];
+
+// Output multipliers by position for each kind of bad weather
+const WEATHER_EFFECTS = {
+  highWind: { QB: 0.9, WR: 0.9, TE: 0.95, K: 0.85 },
+  wind: { QB: 0.96, WR: 0.96, K: 0.92 },
+  heavyPrecipitation: { QB: 0.93, WR: 0.93, TE: 0.97, K: 0.9, RB: 1.03 },
+  extremeCold: { QB: 0.97, WR: 0.97, K: 0.95 }
+};
+
+// Forecasts are only worth applying close to kickoff
+const FORECAST_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+
+const NON_STARTING_SLOTS = ['BENCH', 'BE', 'BN', 'IR'];
+
+class LineupOptimizer {
+  /**
+   * @param {Object} [options]
+   * @param {RosterRequirements} [options.requirements]
+   * @param {PlayerValueModel} [options.valueModel]
+   * @param {WeatherClient} [options.weatherClient]
+   * @param {ESPNClient} [options.espnClient]
+   */
+  constructor(options = {}) {
+    this.requirements = options.requirements || RosterRequirements.load();
+    this.valueModel = options.valueModel || new PlayerValueModel();
+    this.weatherClient = options.weatherClient || new WeatherClient();
+    this.espnClient = options.espnClient || new ESPNClient();
+  }
+
+  /**
+   * Player positions that can fill a slot
+   */
+  static slotPositions(slot) {
+    return RosterRequirements.FLEX_ELIGIBILITY[slot] || [slot];
+  }
+
+  /**
+   * Fill starting slots with the highest-scoring candidates: dedicated slots first, then flex slots
+   * from most to least restrictive (exact for nested flex rules such as WR/TE inside FLEX inside SUPERFLEX).
+   * Slots nobody can fill come back with player: null.
+   * @param {RosterRequirements} requirements
+   * @param {Array<{position: string}>} candidates
+   * @param {Function} score - candidate => number
+   */
+  static fillSlots(requirements, candidates, score) {
+    const available = [...candidates].sort((a, b) => score(b) - score(a));
+    const starters = [];
+
+    const fill = slot => {
+      const eligible = LineupOptimizer.slotPositions(slot);
+      const index = available.findIndex(candidate => eligible.includes(candidate.position));
+      starters.push({ slot, player: index === -1 ? null : available.splice(index, 1)[0] });
+    };
+
+    const slots = Object.entries(requirements.starters);
+    slots
+      .filter(([slot]) => !requirements.isFlexSlot(slot))
+      .forEach(([slot, count]) => {
+        for (let i = 0; i < count; i++) fill(slot);
+      });
+    slots
+      .filter(([slot]) => requirements.isFlexSlot(slot))
+      .sort(([a], [b]) => LineupOptimizer.slotPositions(a).length - LineupOptimizer.slotPositions(b).length)
+      .forEach(([slot, count]) => {
+        for (let i = 0; i < count; i++) fill(slot);
+      });
+
+    return { starters, bench: available };
+  }
+
+  static normalizeStatus(status) {
+    const key = String(status || 'ACTIVE').trim().toUpperCase().replace(/[\s-]+/g, '_');
+    return STATUS_ALIASES[key] || key;
+  }
+
+  /**
+   * Best lineup for a week
+   * @param {Array} roster - ESPNClient.getRosters() entries ({ slot, player, weeklyProjection }) or plain players
+   * @param {Object} [options]
+   * @param {number} [options.week]
+   * @param {Array} [options.injuryReports] - injury monitor reports ({ player, status | gameStatus })
+   * @param {RosterRequirements} [options.requirements] - another league's slots
+   */
+  async optimize(roster, { week = null, injuryReports = [], requirements = this.requirements } = {}) {
+    const targetWeek = week || this.valueModel.getCurrentWeek();
+    await ScheduleProvider.forClient(this.espnClient).applyTo(this.valueModel, 'optimizing without byes, matchups or weather');
+
+    const injuries = new Map();
+    injuryReports.forEach(report => {
+      if (report?.player) {
+        injuries.set(report.player.toLowerCase(), LineupOptimizer.normalizeStatus(report.gameStatus || report.status));
+      }
+    });
+
+    const weather = new Map(); // one forecast per game
+    const players = [];
+    for (const entry of roster) {
+      const player = entry.player !== undefined
+        ? (entry.player ? { ...entry.player, currentSlot: entry.slot, weeklyProjection: entry.weeklyProjection } : null)
+        : entry;
+      if (player?.name) {
+        players.push(await this.projectPlayer(player, targetWeek, injuries, weather));
+      }
+    }
+
+    const { starters, bench } = LineupOptimizer.fillSlots(requirements, players, player => player.expected);
+
+    const lineup = starters.map(({ slot, player }) => ({
+      slot,
+      ...(player || { name: null, expected: 0 }),
+      backup: player && GAME_TIME_STATUSES.includes(player.status) ? this.findBackup(slot, player, bench) : null
+    }));
+
+    return {
+      week: targetWeek,
+      starters: lineup,
+      bench,
+      totalExpected: round(lineup.reduce((sum, slot) => sum + slot.expected, 0)),
+      gameTimeDecisions: lineup.filter(slot => slot.backup !== null),
+      emptySlots: lineup.filter(slot => !slot.name).map(slot => slot.slot),
+      moves: this.describeMoves(lineup, bench)
+    };
+  }
+
+  /**
+   * Weekly projection (ESPN's when it has one for this week, otherwise the value model against this
+   * week's opponent) times the chance of playing and any weather effect
+   */
+  async projectPlayer(player, week, injuries, weather) {
+    const outlook = this.valueModel.projectWeek(player, week);
+    const { position, team } = outlook.valuation;
+
+    const espnProjection = player.weeklyProjection?.week === week ? player.weeklyProjection.points : null;
+    const projected = outlook.bye ? 0 : espnProjection ?? outlook.points;
+
+    const status = injuries.get(player.name.toLowerCase()) || LineupOptimizer.normalizeStatus(player.injuryStatus);
+    const playProbability = PLAY_PROBABILITY[status] ?? 1;
+
+    const notes = [];
+    if (outlook.bye) {
+      notes.push('bye week');
+    }
+    if (playProbability < 1) {
+      notes.push(`${status.toLowerCase()} (${Math.round(playProbability * 100)}% to play)`);
+    }
+
+    let weatherFactor = 1;
+    if (outlook.game && playProbability > 0) {
+      const effect = await this.getWeatherEffect(position, team, outlook.game, weather);
+      weatherFactor = effect.factor;
+      notes.push(...effect.notes);
+    }
+
+    return {
+      name: player.name,
+      position,
+      team,
+      opponent: outlook.game ? `${outlook.game.home ? 'vs' : '@'} ${outlook.game.opponent}` : null,
+      kickoff: outlook.game?.date || null,
+      status,
+      playProbability,
+      projected: round(projected),
+      projectionSource: espnProjection !== null ? 'espn' : 'model',
+      weatherFactor,
+      expected: round(projected * playProbability * weatherFactor),
+      notes,
+      currentSlot: player.currentSlot || null
+    };
+  }
+
+  /**
+   * Weather multiplier for an outdoor game inside the forecast window. Mock forecasts (no API key)
+   * are ignored rather than applied.
+   */
+  async getWeatherEffect(position, team, game, cache) {
+    if (!game.date || Math.abs(game.date - Date.now()) > FORECAST_WINDOW_MS) {
+      return { factor: 1, notes: [] };
+    }
+
+    const homeTeam = game.home ? team : game.opponent;
+    const awayTeam = game.home ? game.opponent : team;
+    const key = `${homeTeam}-${awayTeam}`;
+    if (!cache.has(key)) {
+      cache.set(key, await this.weatherClient.getGameDayForecast(homeTeam, awayTeam, game.date));
+    }
+
+    const forecast = cache.get(key);
+    if (!forecast || forecast.note || forecast.severity === 'NONE') {
+      return { factor: 1, notes: [] };
+    }
+
+    const effects = [];
+    if (forecast.windSpeed > 20) {
+      effects.push(['highWind', `${forecast.windSpeed} mph wind`]);
+    } else if (forecast.windSpeed > 15) {
+      effects.push(['wind', `${forecast.windSpeed} mph wind`]);
+    }
+    if (forecast.precipitation > 0.2 || /snow/i.test(forecast.conditions || '')) {
+      effects.push(['heavyPrecipitation', forecast.conditions]);
+    }
+    if (forecast.temperature < 20) {
+      effects.push(['extremeCold', `${forecast.temperature}°F`]);
+    }
+
+    const applied = effects.filter(([effect]) => WEATHER_EFFECTS[effect][position]);
+    const factor = applied.reduce((product, [effect]) => product * WEATHER_EFFECTS[effect][position], 1);
+    return {
+      factor: round(factor, 3),
+      notes: applied.map(([effect, detail]) => {
+        const change = Math.round((WEATHER_EFFECTS[effect][position] - 1) * 100);
+        return `${detail} (${change > 0 ? '+' : ''}${change}%)`;
+      })
+    };
+  }
+
+  /**
+   * Bench player to swap in if a game-time decision is ruled out. Someone kicking off later is
+   * preferred because the swap can still be made after the inactive list comes out.
+   */
+  findBackup(slot, starter, bench) {
+    const eligible = LineupOptimizer.slotPositions(slot);
+    const options = bench.filter(player => eligible.includes(player.position) && player.expected > 0);
+    if (options.length === 0) {
+      return { name: null, reason: 'no eligible bench player - consider a waiver pickup' };
+    }
+
+    const later = options.filter(player => starter.kickoff && player.kickoff && player.kickoff > starter.kickoff);
+    const pick = (later.length > 0 ? later : options).sort((a, b) => b.expected - a.expected)[0];
+    return {
+      name: pick.name,
+      expected: pick.expected,
+      playsLater: later.includes(pick),
+      reason: later.includes(pick)
+        ? 'kicks off later, so you can swap after inactives are announced'
+        : `decide before ${starter.name}'s kickoff`
+    };
+  }
+
+  /**
+   * Start/sit changes against the lineup currently set on ESPN
+   */
+  describeMoves(lineup, bench) {
+    const start = lineup
+      .filter(slot => slot.name && slot.currentSlot && NON_STARTING_SLOTS.includes(slot.currentSlot))
+      .map(slot => ({ action: 'start', name: slot.name, slot: slot.slot }));
+    const sit = bench
+      .filter(player => player.currentSlot && !NON_STARTING_SLOTS.includes(player.currentSlot))
+      .map(player => ({ action: 'sit', name: player.name, slot: player.currentSlot }));
+    return [...start, ...sit];
+  }
+}
+
+LineupOptimizer.NON_STARTING_SLOTS = NON_STARTING_SLOTS;
+
+module.exports = LineupOptimizer;
@@ -0,0 +1,491 @@
+/**
+ * Live Scoreboard
+ * Fantasy scores for every league matchup while NFL games are on. Each starter's box-score stat line
+ * (fetched by LiveGameMonitor) is scored with the league's own rules, and a live win probability
+ * shrinks every starter's projection and spread to the part of his game still to play. Matchups with
+ * a followed team raise alerts for lead changes, touchdowns by either side's starters and the final.
+ */
+const EventEmitter = require('events');
+const PlayerValueModel = require('./player-value-model');
+const RosterRequirements = require('./roster-requirements');
+const LineupOptimizer = require('./lineup-optimizer');
+const MatchupPreviewer = require('./matchup-previewer');
+const ScoringEngine = require('./scoring-engine');
+const ScheduleProvider = require('./schedule-provider');
+const ESPNClient = require('../api/espn-client');
+const { round } = require('../utils/numbers');
+const createLogger = require('../utils/logger');
+
+const logger = createLogger();
+
+// Managers change lineups between kickoffs, so the league's lineups are re-read this often
+const LINEUP_REFRESH_MS = 30 * 60 * 1000;
+const QUARTER_MINUTES = 15;
+// A game this long past kickoff is over, with room for overtime and weather delays
+const GAME_LENGTH_MS = 4 * 60 * 60 * 1000;
+
+// Box-score columns (ESPN summary keys) -> canonical stat keys
+const BOX_SCORE_STATS = {
+  passing: { passingYards: 'passingYards', passingTouchdowns: 'passingTouchdowns', interceptions: 'interceptions' },
+  rushing: { rushingYards: 'rushingYards', rushingTouchdowns: 'rushingTouchdowns' },
+  receiving: { receptions: 'receptions', receivingYards: 'receivingYards', receivingTouchdowns: 'receivingTouchdowns' },
+  fumbles: { fumblesLost: 'fumblesLost' },
+  kickReturns: { kickReturnTouchdowns: 'kickoffReturnTouchdowns' },
+  puntReturns: { puntReturnTouchdowns: 'puntReturnTouchdowns' }
+};
+
+// "made/attempted" kicking columns -> [made, missed] stat keys. Box scores don't give field goal
+// distances, so every make is scored at the under-40 rate.
+const KICKING_STATS = {
+  'fieldGoalsMade/fieldGoalAttempts': ['fgMade0To39', 'fgMissed'],
+  'extraPointsMade/extraPointAttempts': ['patMade', 'patMissed']
+};
+
+const TOUCHDOWN_STATS = {
+  passingTouchdowns: 'threw a TD',
+  rushingTouchdowns: 'ran in a TD',
+  receivingTouchdowns: 'caught a TD',
+  kickoffReturnTouchdowns: 'took a kickoff back for a TD',
+  puntReturnTouchdowns: 'took a punt back for a TD',
+  interceptionReturnTouchdowns: 'scored a pick-six',
+  fumbleReturnTouchdowns: 'returned a fumble for a TD'
+};
+
+class LiveScoreboard extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.league - LeagueRegistry league
+   * @param {Object} options.client - league client (ESPNClient or SleeperClient)
+   * @param {ScoringEngine} [options.scoring] - the league's scoring rules
+   * @param {RosterRequirements} [options.requirements]
+   * @param {PlayerValueModel} [options.valueModel]
+   * @param {ESPNClient} [options.espnClient] - NFL schedule source for projections
+   * @param {Array<string>} [options.follow] - team names or IDs to raise alerts for
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.league || !options.client) {
+      throw new Error('LiveScoreboard needs a league and its client');
+    }
+    this.league = options.league;
+    this.client = options.client;
+    this.scoring = options.scoring || ScoringEngine.load();
+    this.requirements = options.requirements || RosterRequirements.load();
+    this.valueModel = options.valueModel || new PlayerValueModel();
+    this.lineupOptimizer = new LineupOptimizer({
+      requirements: this.requirements,
+      valueModel: this.valueModel,
+      espnClient: options.espnClient || new ESPNClient()
+    });
+
+    this.followed = new Set((options.follow || []).map(team => String(team).toLowerCase()));
+    this.week = null;
+    this.matchups = [];
+    this.loadedAt = 0;
+    // NFL team -> share of its game played (0 before kickoff, 1 once final)
+    this.progress = new Map();
+    // Normalized player name (or "DST:<team>") -> latest stat line
+    this.statLines = new Map();
+    this.updatedAt = null;
+    this.baselined = false;
+  }
+
+  follow(team) {
+    this.followed.add(String(team).toLowerCase());
+  }
+
+  unfollow(team) {
+    return this.followed.delete(String(team).toLowerCase());
+  }
+
+  isFollowed(side) {
+    return this.followed.has(String(side.teamId).toLowerCase()) || this.followed.has(side.teamName.toLowerCase());
+  }
+
+  /**
+   * The followed side of a matchup, or null
+   */
+  followedSide(matchup) {
+    if (this.isFollowed(matchup.home)) {
+      return 'home';
+    }
+    return this.isFollowed(matchup.away) ? 'away' : null;
+  }
+
+  /**
+   * Read this week's lineups and project every starter. Alert state (leader, touchdowns seen) carries
+   * over when the same week is reloaded.
+   */
+  async load(week = null) {
+    const leagueInfo = await this.client.getLeagueInfo();
+    const targetWeek = week || leagueInfo.currentMatchupPeriod || PlayerValueModel.estimateCurrentWeek();
+    const teamNames = new Map((await this.client.getRosters()).map(team => [String(team.id), team.name]));
+    const matchups = (await this.client.getMatchups(targetWeek)).filter(matchup => matchup.week === targetWeek);
+    await ScheduleProvider.forClient(this.lineupOptimizer.espnClient)
+      .applyTo(this.valueModel, 'optimizing without byes, matchups or weather');
+
+    const previous = targetWeek === this.week ? new Map(this.matchups.map(matchup => [matchup.id, matchup])) : new Map();
+    if (targetWeek !== this.week) {
+      this.progress.clear();
+      this.statLines.clear();
+      this.baselined = false;
+    }
+
+    const weather = new Map();
+    this.matchups = [];
+    for (const matchup of matchups) {
+      if (!teamNames.has(String(matchup.home?.teamId)) || !teamNames.has(String(matchup.away?.teamId))) {
+        continue;
+      }
+      const side = async (entry, sign) => ({
+        teamId: entry.teamId,
+        teamName: teamNames.get(String(entry.teamId)),
+        starters: await this.projectStarters(entry.lineup || [], targetWeek, weather, sign)
+      });
+      const earlier = previous.get(matchup.id);
+      this.matchups.push({
+        id: matchup.id,
+        home: await side(matchup.home, 1),
+        away: await side(matchup.away, -1),
+        leader: earlier ? earlier.leader : null,
+        touchdowns: earlier ? earlier.touchdowns : new Map(),
+        finalSent: earlier ? earlier.finalSent : false
+      });
+    }
+
+    this.week = targetWeek;
+    this.loadedAt = Date.now();
+    this.score();
+    logger.info(`📺 Live scoreboard loaded week ${targetWeek} for ${this.league.name}: ${this.matchups.length} matchups`);
+  }
+
+  async ensureLoaded() {
+    if (!this.week || Date.now() - this.loadedAt > LINEUP_REFRESH_MS) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Starters the manager actually set, each with a full-game projection and spread
+   */
+  async projectStarters(lineup, week, weather, sign) {
+    const starters = [];
+    for (const entry of lineup) {
+      if (!entry.player?.name || LineupOptimizer.NON_STARTING_SLOTS.includes(entry.slot)) {
+        continue;
+      }
+      const projection = await this.lineupOptimizer.projectPlayer(
+        { ...entry.player, weeklyProjection: entry.weeklyProjection },
+        week,
+        new Map(),
+        weather
+      );
+      starters.push({
+        ...projection,
+        slot: entry.slot,
+        team: projection.team || entry.player.team,
+        platformPoints: typeof entry.points === 'number' ? entry.points : null
+      });
+    }
+    const spreads = MatchupPreviewer.describeStarters({ starters }, sign, null);
+    return starters.map((starter, index) => ({
+      slot: starter.slot,
+      name: starter.name,
+      position: starter.position,
+      team: starter.team,
+      opponent: spreads[index].opponent,
+      home: spreads[index].home,
+      kickoff: starter.kickoff,
+      expected: starter.expected,
+      sd: spreads[index].sd,
+      platformPoints: starter.platformPoints,
+      points: 0
+    }));
+  }
+
+  /**
+   * Score the latest box scores. The first update only records where games stand, so starting up
+   * mid-game doesn't replay every touchdown already scored.
+   * @param {Array} games - LiveGameMonitor game info ({ id, homeTeam, awayTeam, quarter, clock, status, homeScore, awayScore })
+   * @param {Map} boxScores - game ID -> ESPN game summary
+   */
+  async update(games, boxScores = new Map()) {
+    await this.ensureLoaded();
+
+    games.forEach(game => {
+      const progress = LiveScoreboard.gameProgress(game);
+      [game.homeTeam, game.awayTeam].forEach(team => this.progress.set(team, Math.max(this.progress.get(team) || 0, progress)));
+      const summary = boxScores.get(game.id);
+      if (summary) {
+        LiveScoreboard.parseBoxScore(summary, game).forEach((line, key) => this.statLines.set(key, line));
+      }
+    });
+
+    this.score();
+    this.updatedAt = new Date().toISOString();
+    if (!this.baselined) {
+      this.matchups.forEach(matchup => this.detectAlerts(matchup, false));
+      this.baselined = true;
+      return;
+    }
+    this.matchups.forEach(matchup => this.detectAlerts(matchup, true));
+  }
+
+  /**
+   * Points so far, remaining projection and win probability for every matchup. Starters without a
+   * box-score line (games before this process started watching) keep the platform's own points.
+   */
+  score() {
+    this.matchups.forEach(matchup => {
+      const players = [...matchup.home.starters, ...matchup.away.starters].map(starter => {
+        const line = this.statLines.get(LiveScoreboard.statKey(starter));
+        const played = this.progress.has(starter.team) ? this.progress.get(starter.team) : this.scheduledProgress(starter);
+        starter.stats = line ? line.stats : {};
+        starter.points = line ? this.scoring.score(line.stats, starter.position) : starter.platformPoints || 0;
+        starter.played = played;
+        starter.remaining = round(starter.expected * (1 - played));
+        return { starter, sign: matchup.home.starters.includes(starter) ? 1 : -1, sd: starter.sd * Math.sqrt(1 - played) };
+      });
+
+      const variance = players.reduce((sum, a) => sum + players.reduce((inner, b) =>
+        inner + a.sign * b.sign * (a === b ? a.sd * a.sd : MatchupPreviewer.correlation(a.starter, b.starter) * a.sd * b.sd), 0), 0);
+
+      [matchup.home, matchup.away].forEach(side => {
+        side.points = round(side.starters.reduce((sum, starter) => sum + starter.points, 0), 2);
+        side.projected = round(side.points + side.starters.reduce((sum, starter) => sum + starter.remaining, 0));
+        side.playersLeft = side.starters.filter(starter => starter.played < 1).length;
+      });
+
+      const margin = matchup.home.projected - matchup.away.projected;
+      const sd = Math.sqrt(Math.max(variance, 0));
+      const homeWin = sd > 0 ? MatchupPreviewer.normalCdf(margin / sd) : margin > 0 ? 1 : margin < 0 ? 0 : 0.5;
+      matchup.home.winProbability = round(homeWin * 100);
+      matchup.away.winProbability = round((1 - homeWin) * 100);
+      matchup.final = matchup.home.playersLeft === 0 && matchup.away.playersLeft === 0;
+    });
+  }
+
+  /**
+   * Share of a starter's game played when LiveGameMonitor hasn't reported it: a bye or a game long
+   * past kickoff is done, anything else hasn't started
+   */
+  scheduledProgress(starter) {
+    const schedule = this.valueModel.schedules?.[starter.team];
+    if (schedule && !schedule.games[this.week]) {
+      return 1;
+    }
+    return starter.kickoff && Date.now() - new Date(starter.kickoff).getTime() >= GAME_LENGTH_MS ? 1 : 0;
+  }
+
+  /**
+   * Lead changes, touchdowns and the final for a followed matchup
+   */
+  detectAlerts(matchup, emit) {
+    const perspective = this.followedSide(matchup);
+    const { home, away } = matchup;
+    const leader = home.points > away.points ? 'home' : away.points > home.points ? 'away' : matchup.leader;
+    const alerts = [];
+
+    if (leader && matchup.leader && leader !== matchup.leader) {
+      const team = matchup[leader];
+      const other = matchup[leader === 'home' ? 'away' : 'home'];
+      alerts.push({
+        type: 'LEAD_CHANGE',
+        message: `${leader === perspective ? 'You just took the lead' : `${team.teamName} just took the lead`}: ` +
+          `${team.teamName} ${team.points} - ${other.points} ${other.teamName}`
+      });
+    }
+    matchup.leader = leader;
+
+    ['home', 'away'].forEach(sideKey => matchup[sideKey].starters.forEach(starter => {
+      Object.keys(TOUCHDOWN_STATS).forEach(stat => {
+        const key = `${starter.name}:${stat}`;
+        const count = starter.stats[stat] || 0;
+        const seen = matchup.touchdowns.get(key) || 0;
+        if (count > seen) {
+          const owner = !perspective ? `${matchup[sideKey].teamName}'s` : sideKey === perspective ? 'Your' : "Opponent's";
+          alerts.push({
+            type: 'TOUCHDOWN',
+            message: `${owner} ${starter.position} ${starter.name} just ${TOUCHDOWN_STATS[stat]}` +
+              `${count - seen > 1 ? ` (x${count - seen})` : ''} - ${LiveScoreboard.describeMatchup(matchup)}`
+          });
+        }
+        matchup.touchdowns.set(key, count);
+      });
+    }));
+
+    if (matchup.final && !matchup.finalSent) {
+      matchup.finalSent = true;
+      const winner = home.points === away.points ? null : home.points > away.points ? 'home' : 'away';
+      alerts.push({
+        type: 'FINAL',
+        message: winner
+          ? `${perspective ? (winner === perspective ? 'You won' : 'You lost') : `${matchup[winner].teamName} won`}: ` +
+            `${home.teamName} ${home.points} - ${away.points} ${away.teamName}`
+          : `Tied: ${home.teamName} ${home.points} - ${away.points} ${away.teamName}`
+      });
+    }
+
+    if (emit && perspective) {
+      alerts.forEach(alert => this.emit('alert', { ...alert, league: this.league.name, week: this.week, matchup: this.summarize(matchup) }));
+    }
+  }
+
+  /**
+   * Current state of every matchup, followed ones first
+   * @returns {Object} { league, week, updatedAt, matchups: [{ id, followed, final, home, away }] }
+   */
+  getScoreboard() {
+    const matchups = this.matchups.map(matchup => this.summarize(matchup));
+    return {
+      league: this.league.name,
+      week: this.week,
+      updatedAt: this.updatedAt,
+      matchups: matchups.filter(matchup => matchup.followed).concat(matchups.filter(matchup => !matchup.followed))
+    };
+  }
+
+  summarize(matchup) {
+    const side = entry => ({
+      teamId: entry.teamId,
+      teamName: entry.teamName,
+      points: entry.points,
+      projected: entry.projected,
+      winProbability: entry.winProbability,
+      playersLeft: entry.playersLeft,
+      starters: entry.starters.map(starter => ({
+        slot: starter.slot,
+        name: starter.name,
+        position: starter.position,
+        team: starter.team,
+        points: starter.points,
+        remaining: starter.remaining,
+        played: round(starter.played, 2)
+      }))
+    });
+    return {
+      id: matchup.id,
+      followed: this.followedSide(matchup) !== null,
+      final: matchup.final,
+      home: side(matchup.home),
+      away: side(matchup.away)
+    };
+  }
+
+  /**
+   * Share of a game played, from LiveGameMonitor's quarter and clock
+   */
+  static gameProgress(game) {
+    if ([game.status, game.statusId].some(status => /FINAL/i.test(status || ''))) {
+      return 1;
+    }
+    if (/HALFTIME/i.test(game.status || '')) {
+      return 0.5;
+    }
+    const quarter = Math.min(Number(game.quarter) || 1, 4);
+    const [minutes, seconds] = String(game.clock || '15:00').split(':').map(Number);
+    const left = Math.min((minutes || 0) + (seconds || 0) / 60, QUARTER_MINUTES);
+    return Math.max(0, Math.min(0.99, ((quarter - 1) * QUARTER_MINUTES + QUARTER_MINUTES - left) / (4 * QUARTER_MINUTES)));
+  }
+
+  /**
+   * Stat lines from an ESPN game summary, keyed by normalized player name, plus one per defense
+   * ("DST:<team>") built from what the opponent did against it
+   * @returns {Map} key -> { name, team, stats }
+   */
+  static parseBoxScore(summary, game = {}) {
+    const lines = new Map();
+    const teams = summary?.boxscore?.players || [];
+
+    teams.forEach(teamEntry => {
+      const team = teamEntry.team?.abbreviation;
+      (teamEntry.statistics || []).forEach(category => {
+        const columns = BOX_SCORE_STATS[category.name] || {};
+        (category.athletes || []).forEach(({ athlete, stats = [] }) => {
+          if (!athlete?.displayName) {
+            return;
+          }
+          const key = LiveScoreboard.normalizeName(athlete.displayName);
+          const line = lines.get(key) || { name: athlete.displayName, team, stats: {} };
+          (category.keys || []).forEach((column, index) => {
+            if (columns[column]) {
+              line.stats[columns[column]] = (line.stats[columns[column]] || 0) + (parseFloat(stats[index]) || 0);
+            } else if (category.name === 'kicking' && KICKING_STATS[column]) {
+              const [made, attempts] = String(stats[index] || '0/0').split('/').map(value => parseInt(value, 10) || 0);
+              const [madeStat, missedStat] = KICKING_STATS[column];
+              line.stats[madeStat] = (line.stats[madeStat] || 0) + made;
+              line.stats[missedStat] = (line.stats[missedStat] || 0) + Math.max(0, attempts - made);
+            }
+          });
+          lines.set(key, line);
+        });
+      });
+    });
+
+    const totals = (team, categoryName) => {
+      const category = teams.find(entry => entry.team?.abbreviation === team)?.statistics?.find(entry => entry.name === categoryName);
+      return column => {
+        const index = (category?.keys || []).indexOf(column);
+        return index === -1 ? 0 : parseFloat(category.totals?.[index]) || 0;
+      };
+    };
+    const competitors = summary?.header?.competitions?.[0]?.competitors || [];
+    const scoreOf = (team, fallback) => {
+      const competitor = competitors.find(entry => entry.team?.abbreviation === team);
+      return parseInt(competitor ? competitor.score : fallback, 10) || 0;
+    };
+    const yardsOf = team => {
+      const entry = (summary?.boxscore?.teams || []).find(teamEntry => teamEntry.team?.abbreviation === team);
+      return parseFloat(entry?.statistics?.find(stat => stat.name === 'totalYards')?.displayValue) || 0;
+    };
+
+    [[game.homeTeam, game.awayTeam, game.awayScore], [game.awayTeam, game.homeTeam, game.homeScore]].forEach(([team, opponent, opponentScore]) => {
+      if (!team || !opponent) {
+        return;
+      }
+      const defense = totals(team, 'defensive');
+      const picks = totals(team, 'interceptions');
+      const returnTouchdowns = picks('interceptionTouchdowns');
+      lines.set(`DST:${team}`, {
+        name: `${team} D/ST`,
+        team,
+        stats: {
+          pointsAllowed: scoreOf(opponent, opponentScore),
+          yardsAllowed: yardsOf(opponent),
+          defSacks: defense('sacks'),
+          defInterceptions: picks('interceptions'),
+          defFumblesRecovered: totals(opponent, 'fumbles')('fumblesLost'),
+          interceptionReturnTouchdowns: returnTouchdowns,
+          fumbleReturnTouchdowns: Math.max(0, defense('defensiveTouchdowns') - returnTouchdowns),
+          kickoffReturnTouchdowns: totals(team, 'kickReturns')('kickReturnTouchdowns'),
+          puntReturnTouchdowns: totals(team, 'puntReturns')('puntReturnTouchdowns')
+        }
+      });
+    });
+
+    return lines;
+  }
+
+  static statKey(starter) {
+    return starter.position === 'DST' ? `DST:${starter.team}` : LiveScoreboard.normalizeName(starter.name);
+  }
+
+  static normalizeName(name) {
+    return String(name).toLowerCase()
+      .replace(/[.'’]/g, '')
+      .replace(/\s+(jr|sr|ii|iii|iv|v)$/, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * "Gurus 45.2 - 38.1 Sharks (Gurus 71% to win)"
+   */
+  static describeMatchup(matchup) {
+    const { home, away } = matchup;
+    const favorite = home.winProbability >= away.winProbability ? home : away;
+    return `${home.teamName} ${home.points} - ${away.points} ${away.teamName} (${favorite.teamName} ${favorite.winProbability}% to win)`;
+  }
+}
+
+module.exports = LiveScoreboard;
@@ -0,0 +1,314 @@
+/**
+ * Matchup Previewer
+ * Head-to-head previews for a league week: both sides' best lineups (LineupOptimizer), a spread for
+ * every starter from injury risk and position volatility, and a win probability for the difference
+ * in team scores that accounts for correlated starters - a QB and his own receivers rise and fall
+ * together, players in the same NFL game move with its pace, and a defense suffers when the offense
+ * it faces scores. Swing players and same-game stacks come out of the same variance breakdown.
+ */
+const PlayerValueModel = require('./player-value-model');
+const RosterRequirements = require('./roster-requirements');
+const LineupOptimizer = require('./lineup-optimizer');
+const SeasonSimulator = require('./season-simulator');
+const ESPNClient = require('../api/espn-client');
+const { Validator, ValidationError } = require('../utils/validation');
+const { round } = require('../utils/numbers');
+
+// A starter's score swings about this share of his projection when he plays
+const POSITION_SD_SHARE = { QB: 0.35, RB: 0.5, WR: 0.55, TE: 0.6, K: 0.45, DST: 0.6 };
+const DEFAULT_SD_SHARE = 0.5;
+
+// Correlation between two players on the same NFL team, and on opposite sides of the same game
+const TEAMMATE_CORRELATION = { 'QB-WR': 0.35, 'QB-TE': 0.3, 'QB-RB': 0.1, 'K-QB': 0.15, 'RB-RB': -0.15, 'WR-WR': -0.05, 'TE-WR': -0.05 };
+const OPPONENT_CORRELATION = { 'QB-QB': 0.2, 'QB-WR': 0.15, 'QB-TE': 0.1, 'WR-WR': 0.1 };
+const SAME_GAME_CORRELATION = 0.05;
+const DEFENSE_CORRELATION = -0.3;
+
+// z-score for the 10th/90th percentile range
+const RANGE_Z = 1.28;
+const SWING_PLAYERS = 3;
+
+class MatchupPreviewer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - league client (ESPNClient or SleeperClient)
+   * @param {RosterRequirements} [options.requirements]
+   * @param {PlayerValueModel} [options.valueModel]
+   * @param {ESPNClient} [options.espnClient] - NFL schedule source for byes and matchups
+   * @param {LineupOptimizer} [options.lineupOptimizer]
+   */
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new Error('MatchupPreviewer needs a league client');
+    }
+    this.client = options.client;
+    this.requirements = options.requirements || RosterRequirements.load();
+    this.valueModel = options.valueModel || new PlayerValueModel();
+    this.lineupOptimizer = options.lineupOptimizer || new LineupOptimizer({
+      requirements: this.requirements,
+      valueModel: this.valueModel,
+      espnClient: options.espnClient || new ESPNClient()
+    });
+  }
+
+  /**
+   * Every league matchup for a week
+   * @param {Object} [options]
+   * @param {number} [options.week] - default: the league's current week
+   * @param {Object} [options.seasonStats] - LeagueStats.toSeasonStats output for the value model
+   * @param {Array} [options.injuryReports] - injury monitor reports ({ player, status | gameStatus })
+   * @param {string|number} [options.team] - your team's name or ID
+   * @param {Array<string>} [options.playerNames] - your players, when the team isn't named
+   * @returns {Promise<Object>} { week, myTeam, myMatchup, matchups: [{ id, home, away, favorite, spread, swingPlayers, stacks }] }
+   */
+  async preview({ week = null, seasonStats = null, injuryReports = [], team = null, playerNames = [] } = {}) {
+    const leagueInfo = await this.client.getLeagueInfo();
+    const currentWeek = leagueInfo.currentMatchupPeriod || PlayerValueModel.estimateCurrentWeek();
+    const targetWeek = week === null || week === undefined
+      ? currentWeek
+      : Validator.validateNumber(week, 'week', { min: 1, max: 18, integer: true });
+    this.valueModel.setContext({ seasonStats, currentWeek });
+
+    const teams = (await this.client.getRosters()).map(entry => ({
+      id: entry.id,
+      teamName: entry.name,
+      entries: entry.roster,
+      roster: entry.roster.filter(slot => slot.player).map(slot => slot.player)
+    }));
+    const myTeam = SeasonSimulator.findTeam(teams, { team, playerNames });
+    if (!myTeam && team) {
+      throw new ValidationError('team', team, 'a team name or ID in this league');
+    }
+
+    const teamsById = new Map(teams.map(entry => [String(entry.id), entry]));
+    const pairings = (await this.client.getMatchups(targetWeek))
+      .filter(matchup => matchup.week === targetWeek)
+      .map(matchup => ({
+        id: matchup.id,
+        home: teamsById.get(String(matchup.home?.teamId)),
+        away: teamsById.get(String(matchup.away?.teamId))
+      }))
+      .filter(matchup => matchup.home && matchup.away);
+    if (pairings.length === 0) {
+      throw new ValidationError('week', targetWeek, 'a week with league matchups');
+    }
+
+    const matchups = [];
+    for (const pairing of pairings) {
+      const lineups = [];
+      for (const side of [pairing.home, pairing.away]) {
+        lineups.push(await this.lineupOptimizer.optimize(side.entries, { week: targetWeek, injuryReports, requirements: this.requirements }));
+      }
+      matchups.push({ id: pairing.id, ...MatchupPreviewer.compare(pairing.home, lineups[0], pairing.away, lineups[1]) });
+    }
+
+    const myMatchup = myTeam
+      ? matchups.find(matchup => [matchup.home.teamName, matchup.away.teamName].includes(myTeam.teamName)) || null
+      : null;
+    return {
+      week: targetWeek,
+      myTeam: myTeam ? myTeam.teamName : null,
+      myMatchup,
+      matchups: myMatchup ? [myMatchup, ...matchups.filter(matchup => matchup !== myMatchup)] : matchups
+    };
+  }
+
+  /**
+   * Projection, spread and win probability for two optimized lineups
+   */
+  static compare(homeTeam, homeLineup, awayTeam, awayLineup) {
+    const players = [
+      ...MatchupPreviewer.describeStarters(homeLineup, 1, homeTeam.teamName),
+      ...MatchupPreviewer.describeStarters(awayLineup, -1, awayTeam.teamName)
+    ];
+
+    // Covariance of each pair, signed so that home-side variance adds to the score difference
+    const covariance = players.map(a => players.map(b => {
+      if (a === b) {
+        return a.sd * a.sd;
+      }
+      return MatchupPreviewer.correlation(a, b) * a.sd * b.sd;
+    }));
+    const sideSd = sign => Math.sqrt(players.reduce((sum, a, i) => sum + players.reduce((inner, b, j) =>
+      inner + (a.sign === sign && b.sign === sign ? covariance[i][j] : 0), 0), 0));
+    const differenceVariance = players.reduce((sum, a, i) => sum + players.reduce((inner, b, j) =>
+      inner + a.sign * b.sign * covariance[i][j], 0), 0);
+
+    const homeProjected = homeLineup.totalExpected;
+    const awayProjected = awayLineup.totalExpected;
+    const spread = homeProjected - awayProjected;
+    const differenceSd = Math.sqrt(Math.max(differenceVariance, 0));
+    const homeWin = differenceSd > 0 ? normalCdf(spread / differenceSd) : spread > 0 ? 1 : spread < 0 ? 0 : 0.5;
+
+    const side = (team, lineup, sign, winProbability) => {
+      const sd = sideSd(sign);
+      return {
+        teamId: team.id,
+        teamName: team.teamName,
+        projected: lineup.totalExpected,
+        sd: round(sd),
+        range: [round(Math.max(0, lineup.totalExpected - RANGE_Z * sd)), round(lineup.totalExpected + RANGE_Z * sd)],
+        winProbability: round(winProbability * 100),
+        starters: players.filter(player => player.sign === sign).map(({ sign: _sign, ...player }) => player),
+        emptySlots: lineup.emptySlots,
+        gameTimeDecisions: lineup.gameTimeDecisions.map(slot => ({ name: slot.name, status: slot.status, backup: slot.backup?.name || null }))
+      };
+    };
+
+    return {
+      home: side(homeTeam, homeLineup, 1, homeWin),
+      away: side(awayTeam, awayLineup, -1, 1 - homeWin),
+      favorite: spread === 0 ? null : spread > 0 ? homeTeam.teamName : awayTeam.teamName,
+      spread: round(Math.abs(spread)),
+      sd: round(differenceSd),
+      swingPlayers: MatchupPreviewer.findSwingPlayers(players, covariance, differenceVariance),
+      stacks: MatchupPreviewer.findStacks(players, covariance)
+    };
+  }
+
+  /**
+   * Filled starting slots with each player's spread: position volatility when he plays, plus the
+   * all-or-nothing risk of him sitting out
+   */
+  static describeStarters(lineup, sign, teamName) {
+    return lineup.starters.filter(slot => slot.name).map(slot => {
+      const ifPlaying = slot.projected * (slot.weatherFactor ?? 1);
+      const share = POSITION_SD_SHARE[slot.position] ?? DEFAULT_SD_SHARE;
+      const p = slot.playProbability ?? 1;
+      const variance = p * Math.pow(share * ifPlaying, 2) + p * (1 - p) * Math.pow(ifPlaying, 2);
+      return {
+        sign,
+        teamName,
+        slot: slot.slot,
+        name: slot.name,
+        position: slot.position,
+        team: slot.team,
+        opponent: slot.opponent ? slot.opponent.split(' ').pop() : null,
+        home: slot.opponent ? slot.opponent.startsWith('vs') : null,
+        status: slot.status,
+        expected: slot.expected,
+        sd: round(Math.sqrt(variance))
+      };
+    });
+  }
+
+  /**
+   * How two starters' scores move together this week (0 unless they share an NFL game)
+   */
+  static correlation(a, b) {
+    if (!a.team || !b.team || !a.opponent || !b.opponent) {
+      return 0;
+    }
+    const pair = [a.position, b.position].sort().join('-');
+
+    if (a.team === b.team) {
+      return a.position === 'DST' || b.position === 'DST' ? 0 : TEAMMATE_CORRELATION[pair] || 0;
+    }
+    if (a.team === b.opponent) {
+      if (a.position === 'DST' || b.position === 'DST') {
+        return a.position === b.position || a.position === 'K' || b.position === 'K' ? 0 : DEFENSE_CORRELATION;
+      }
+      return OPPONENT_CORRELATION[pair] || SAME_GAME_CORRELATION;
+    }
+    return 0;
+  }
+
+  /**
+   * Starters carrying the biggest share of the uncertainty in the result
+   */
+  static findSwingPlayers(players, covariance, differenceVariance) {
+    if (differenceVariance <= 0) {
+      return [];
+    }
+    return players
+      .map((player, i) => ({
+        player,
+        share: players.reduce((sum, other, j) => sum + player.sign * other.sign * covariance[i][j], 0) / differenceVariance
+      }))
+      .filter(entry => entry.share > 0)
+      .sort((a, b) => b.share - a.share)
+      .slice(0, SWING_PLAYERS)
+      .map(({ player, share }) => ({
+        name: player.name,
+        teamName: player.teamName,
+        position: player.position,
+        team: player.team,
+        status: player.status,
+        expected: player.expected,
+        floor: round(Math.max(0, player.expected - RANGE_Z * player.sd)),
+        ceiling: round(player.expected + RANGE_Z * player.sd),
+        share: round(share * 100)
+      }));
+  }
+
+  /**
+   * Starters from either lineup sharing an NFL game. Same-side stacks make a result swingier;
+   * players on opposite sides of the matchup partly cancel each other out.
+   * @returns {Array} [{ game, home: [names], away: [names], effect: 'raises' | 'offsets' }]
+   */
+  static findStacks(players, covariance) {
+    const games = new Map();
+    players.forEach((player, index) => {
+      if (!player.team || !player.opponent) {
+        return;
+      }
+      const key = [player.team, player.opponent].sort().join('-');
+      const label = player.home ? `${player.opponent} @ ${player.team}` : `${player.team} @ ${player.opponent}`;
+      const game = games.get(key) || { game: label, members: [] };
+      game.members.push(index);
+      games.set(key, game);
+    });
+
+    const stacks = [];
+    games.forEach(({ game, members }) => {
+      let effect = 0;
+      members.forEach((i, n) => members.slice(n + 1).forEach(j => {
+        effect += 2 * players[i].sign * players[j].sign * covariance[i][j];
+      }));
+      if (members.length < 2 || Math.abs(effect) < 0.01) {
+        return;
+      }
+      stacks.push({
+        game,
+        home: members.filter(i => players[i].sign === 1).map(i => players[i].name),
+        away: members.filter(i => players[i].sign === -1).map(i => players[i].name),
+        effect: effect > 0 ? 'raises' : 'offsets',
+        magnitude: Math.abs(effect)
+      });
+    });
+    return stacks
+      .sort((a, b) => b.magnitude - a.magnitude)
+      .map(({ magnitude: _magnitude, ...stack }) => stack);
+  }
+
+  /**
+   * "Ja'Marr Chase (Bengals Bunch) 14.2, range 5.1-23.3, 24% of the swing"
+   */
+  static describeSwing(player) {
+    const status = player.status && player.status !== 'ACTIVE' ? `, ${player.status.toLowerCase()}` : '';
+    return `${player.name} (${player.teamName}${status}) ${player.expected}, range ${player.floor}-${player.ceiling}, ${player.share}% of the swing`;
+  }
+
+  /**
+   * "KC @ BUF: Mahomes + Kelce vs Allen - offsets"
+   */
+  static describeStack(stack, matchup) {
+    const sideNames = (names, teamName) => (names.length > 0 ? `${names.join(' + ')} (${teamName})` : null);
+    const players = [sideNames(stack.home, matchup.home.teamName), sideNames(stack.away, matchup.away.teamName)].filter(Boolean).join(' vs ');
+    return `${stack.game}: ${players} - ${stack.effect === 'raises' ? 'boom-or-bust together' : 'partly cancels out'}`;
+  }
+}
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun 7.1.26 erf approximation, error < 1.5e-7)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+MatchupPreviewer.normalCdf = normalCdf;
+
+module.exports = MatchupPreviewer;
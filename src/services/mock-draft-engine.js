@@ -0,0 +1,467 @@
+/**
+ * Mock Draft Engine
+ * Offline snake-draft simulator. Every team but the user's is a bot that takes players near their
+ * ADP (blended with projected value rank) - with seeded randomness, so no two mocks go the same way
+ * unless asked to - and adjusts for what its roster still needs. After the last round every roster is graded on its projected
+ * starting lineup against the rest of the league.
+ */
+const fs = require('fs');
+const path = require('path');
+const VBDEngine = require('./vbd-engine');
+const LineupOptimizer = require('./lineup-optimizer');
+const RosterRequirements = require('./roster-requirements');
+const { Validator } = require('../utils/validation');
+const { round } = require('../utils/numbers');
+
+const ADP_DIR = path.join(__dirname, '../../data/adp');
+
+// One-week positions bots leave for the end of the draft and never back up
+const LATE_POSITIONS = ['K', 'DST'];
+
+// How many rounds later than ADP a bot treats a player, by what the player does for its roster
+const NEED_PENALTY_ROUNDS = {
+  starter: 0,
+  depth: 0.5,
+  surplus: 1.5
+};
+
+// Share of a bot's ranking that comes from projected value rank instead of ADP, so bots still
+// chase the players the projections like when ADP and projections disagree
+const DEFAULT_VALUE_WEIGHT = 0.5;
+
+// Bots weigh this many of the highest-ranked eligible players each pick
+const CANDIDATE_WINDOW = 12;
+
+// Standard deviations from the league average needed for each grade
+const GRADE_SCALE = [
+  [1.5, 'A+'],
+  [1, 'A'],
+  [0.5, 'B+'],
+  [0, 'B'],
+  [-0.5, 'C+'],
+  [-1, 'C'],
+  [-1.5, 'D']
+];
+
+let cachedAdp = null;
+
+class MockDraftEngine {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.leagueSize] - teams in the draft (default 12)
+   * @param {number} [options.draftSlot] - the user's first-round pick (default 1)
+   * @param {number} [options.rounds] - default: the roster's total size
+   * @param {RosterRequirements} [options.roster]
+   * @param {ScoringEngine} [options.scoring]
+   * @param {Array} [options.players] - player pool passed to VBDEngine
+   * @param {Array} [options.pool] - draft pool from another engine with the same league settings
+   *   (skips re-projecting the players when running many drafts)
+   * @param {number} [options.randomness] - 0 (bots follow their rankings exactly) to 1 (default 0.5)
+   * @param {number} [options.valueWeight] - 0 (bots rank by ADP alone) to 1 (by projected value alone)
+   * @param {number} [options.seed] - repeat a mock exactly; random by default
+   */
+  constructor(options = {}) {
+    this.leagueSize = Validator.validateNumber(options.leagueSize ?? 12, 'leagueSize', { min: 2, max: 20, integer: true });
+    this.draftSlot = Validator.validateNumber(options.draftSlot ?? 1, 'draftSlot', { min: 1, max: this.leagueSize, integer: true });
+    this.randomness = Validator.validateNumber(options.randomness ?? 0.5, 'randomness', { min: 0, max: 1 });
+    this.valueWeight = Validator.validateNumber(options.valueWeight ?? DEFAULT_VALUE_WEIGHT, 'valueWeight', { min: 0, max: 1 });
+    this.seed = options.seed ?? Math.floor(Math.random() * 1e9);
+    this.random = createRandom(this.seed);
+
+    this.vbd = new VBDEngine({
+      scoring: options.scoring,
+      roster: options.roster,
+      leagueSize: this.leagueSize,
+      players: options.players
+    });
+    this.roster = this.vbd.roster;
+    this.rounds = Validator.validateNumber(options.rounds ?? this.roster.getTotalRosterSize(), 'rounds', { min: 1, max: 30, integer: true });
+
+    this.pool = options.pool || this.buildPool();
+    this.poolByValue = null;
+    this.picks = [];
+    this.taken = new Set();
+    this.createdAt = new Date();
+  }
+
+  /**
+   * First-round ADP from data/adp/*.json ({ adp_data: { "1.01": { player } } }), by lower-case name
+   * and round/pick, so the top of the draft follows the published boards over the projection file
+   */
+  static loadAdpFiles() {
+    if (!cachedAdp) {
+      cachedAdp = new Map();
+      let files = [];
+      try {
+        files = fs.readdirSync(ADP_DIR).filter(file => file.endsWith('.json'));
+      } catch (error) {
+        files = [];
+      }
+      files.forEach(file => {
+        try {
+          const { adp_data: entries = {} } = JSON.parse(fs.readFileSync(path.join(ADP_DIR, file), 'utf8'));
+          Object.entries(entries).forEach(([slot, entry]) => {
+            const match = slot.match(/^(\d+)\.(\d+)$/);
+            if (match && entry?.player) {
+              cachedAdp.set(entry.player.toLowerCase(), { round: parseInt(match[1], 10), pickInRound: parseInt(match[2], 10) });
+            }
+          });
+        } catch (error) {
+          // Not an ADP board; skip it
+        }
+      });
+    }
+    return cachedAdp;
+  }
+
+  /**
+   * Team on the clock for an overall pick in a snake draft
+   */
+  static teamForPick(pick, leagueSize) {
+    const round = Math.ceil(pick / leagueSize);
+    const pickInRound = pick - (round - 1) * leagueSize;
+    return round % 2 === 1 ? pickInRound : leagueSize - pickInRound + 1;
+  }
+
+  /**
+   * Draftable players with VOR and the pick they go at on the market: published ADP (then the
+   * projection file's ADP) blended with value rank, or value rank alone for players without ADP
+   */
+  buildPool() {
+    const adpFiles = MockDraftEngine.loadAdpFiles();
+    return this.vbd.buildBoard({ limit: Infinity }).players
+      .map(player => {
+        const published = adpFiles.get(player.name.toLowerCase());
+        const adp = published ? (published.round - 1) * this.leagueSize + published.pickInRound : player.adp;
+        const marketPick = adp === null || adp === undefined
+          ? player.rank
+          : adp * (1 - this.valueWeight) + player.rank * this.valueWeight;
+        return { ...player, key: player.name.toLowerCase(), adp, marketPick: round(marketPick) };
+      })
+      .sort((a, b) => a.marketPick - b.marketPick);
+  }
+
+  getTotalPicks() {
+    return this.leagueSize * this.rounds;
+  }
+
+  isComplete() {
+    return this.picks.length >= this.getTotalPicks();
+  }
+
+  /**
+   * The pick on the clock, or null once the draft is over
+   */
+  getCurrentPick() {
+    if (this.isComplete()) {
+      return null;
+    }
+    const pick = this.picks.length + 1;
+    const team = MockDraftEngine.teamForPick(pick, this.leagueSize);
+    return {
+      pick,
+      round: Math.ceil(pick / this.leagueSize),
+      pickInRound: pick - (Math.ceil(pick / this.leagueSize) - 1) * this.leagueSize,
+      team,
+      isUser: team === this.draftSlot
+    };
+  }
+
+  isUserTurn() {
+    return this.getCurrentPick()?.isUser === true;
+  }
+
+  /**
+   * Picks until the user is on the clock again (0 when they are now, null when they have no picks left)
+   */
+  getPicksUntilUser() {
+    for (let pick = this.picks.length + 1; pick <= this.getTotalPicks(); pick++) {
+      if (MockDraftEngine.teamForPick(pick, this.leagueSize) === this.draftSlot) {
+        return pick - this.picks.length - 1;
+      }
+    }
+    return null;
+  }
+
+  getTeamPicks(team) {
+    return this.picks.filter(pick => pick.team === team);
+  }
+
+  getUserPicks() {
+    return this.getTeamPicks(this.draftSlot);
+  }
+
+  /**
+   * Players still on the board, by market position unless sorted by value
+   * @param {Object} [options]
+   * @param {string} [options.position]
+   * @param {string} [options.sort] - 'adp' (default) or 'vor'
+   * @param {number} [options.limit]
+   */
+  getAvailable({ position = null, sort = 'adp', limit = Infinity } = {}) {
+    const wanted = position ? RosterRequirements.normalizePosition(position) : null;
+    return this.getSortedPool(sort)
+      .filter(player => !this.taken.has(player.key))
+      .filter(player => !wanted || player.position === wanted)
+      .slice(0, limit);
+  }
+
+  getSortedPool(sort = 'adp') {
+    if (sort !== 'vor') {
+      return this.pool;
+    }
+    if (!this.poolByValue) {
+      this.poolByValue = [...this.pool].sort((a, b) => b.vor - a.vor || a.marketPick - b.marketPick);
+    }
+    return this.poolByValue;
+  }
+
+  findAvailable(name) {
+    const wanted = String(name || '').toLowerCase().trim();
+    const available = this.getAvailable();
+    const exact = available.find(player => player.key === wanted);
+    if (exact) {
+      return exact;
+    }
+    const partial = available.filter(player => player.key.includes(wanted));
+    return partial.length === 1 ? partial[0] : null;
+  }
+
+  /**
+   * What each available player does for a team's roster, skipping positions it can't roster and
+   * (until its last picks) kickers and defenses it doesn't start yet
+   * @param {number} team
+   * @param {Object} [options]
+   * @param {string} [options.sort] - 'adp' (default) or 'vor'
+   * @param {number} [options.limit] - stop after this many eligible players
+   */
+  getEligible(team, { sort = 'adp', limit = Infinity } = {}) {
+    const picks = this.getTeamPicks(team);
+    const analysis = this.roster.analyze(picks);
+    const picksLeft = this.rounds - picks.length;
+    const openStarters = Object.values(analysis.openSlots).reduce((sum, count) => sum + count, 0);
+    const openLate = LATE_POSITIONS.reduce((sum, position) => sum + (analysis.openSlots[position] || 0), 0);
+
+    // Need only depends on the position, so classify each position once per call
+    const needs = {};
+    const needFor = position => needs[position] || (needs[position] = this.roster.classifyNeed(position, analysis));
+
+    const isEligible = (player, need) => {
+      if (need === 'blocked') {
+        return false;
+      }
+      if (picksLeft <= openStarters && need !== 'starter') {
+        return false; // Every remaining pick has to fill the lineup
+      }
+      if (LATE_POSITIONS.includes(player.position)) {
+        return need === 'starter' && picksLeft <= openLate + 1;
+      }
+      return true;
+    };
+
+    const eligible = [];
+    const fallback = [];
+    for (const player of this.getSortedPool(sort)) {
+      if (eligible.length >= limit) {
+        break;
+      }
+      if (this.taken.has(player.key)) {
+        continue;
+      }
+      const need = needFor(player.position);
+      if (isEligible(player, need)) {
+        eligible.push({ player, need });
+      } else if (fallback.length < limit) {
+        fallback.push({ player, need });
+      }
+    }
+
+    return eligible.length > 0 ? eligible : fallback;
+  }
+
+  /**
+   * A bot's pick: the eligible player whose ADP, jittered and pushed back for positions the bot
+   * doesn't need, comes first
+   */
+  chooseBotPick(team) {
+    const current = this.getCurrentPick();
+    const spread = this.randomness * Math.max(2, current.pick * 0.1);
+
+    const scored = this.getEligible(team, { limit: CANDIDATE_WINDOW })
+      .map(({ player, need }) => ({
+        player,
+        score: player.marketPick + gaussian(this.random) * spread +
+          (NEED_PENALTY_ROUNDS[need] || 0) * this.leagueSize
+      }))
+      .sort((a, b) => a.score - b.score);
+
+    return scored[0]?.player || null;
+  }
+
+  /**
+   * Best value for the user right now: highest VOR among players the roster can use, positions it
+   * needs ahead of surplus ones
+   */
+  suggest(limit = 5) {
+    return this.getEligible(this.draftSlot, { sort: 'vor' })
+      .sort((a, b) => (a.need === 'surplus') - (b.need === 'surplus'))
+      .slice(0, limit)
+      .map(({ player, need }) => ({ ...player, need }));
+  }
+
+  recordPick(player) {
+    const current = this.getCurrentPick();
+    const pick = {
+      pick: current.pick,
+      round: current.round,
+      pickInRound: current.pickInRound,
+      team: current.team,
+      isUser: current.isUser,
+      player: player.name,
+      position: player.position,
+      nflTeam: player.team,
+      adp: player.adp,
+      vor: player.vor,
+      projectedPoints: player.projectedPoints
+    };
+    this.picks.push(pick);
+    this.taken.add(player.key);
+    return pick;
+  }
+
+  /**
+   * Let the bots pick until the user is on the clock or the draft ends
+   * @returns {Array} the bot picks made
+   */
+  simulateUntilUser() {
+    const made = [];
+    while (!this.isComplete() && !this.isUserTurn()) {
+      const current = this.getCurrentPick();
+      const player = this.chooseBotPick(current.team);
+      if (!player) {
+        break; // Player pool exhausted
+      }
+      made.push(this.recordPick(player));
+    }
+    return made;
+  }
+
+  /**
+   * The user's pick, then the bots' picks up to the user's next turn
+   * @param {string} name - full or unique partial player name
+   * @returns {Object} { pick, botPicks }
+   */
+  draftPlayer(name) {
+    if (!this.isUserTurn()) {
+      throw new Error(this.isComplete() ? 'The mock draft is over' : 'You are not on the clock');
+    }
+    const player = this.findAvailable(name);
+    if (!player) {
+      throw new Error(`"${name}" is not available (use the full name or a unique part of it)`);
+    }
+    const need = this.roster.classifyNeed(player.position, this.roster.analyze(this.getUserPicks()));
+    if (need === 'blocked') {
+      throw new Error(`Your roster is at its ${player.position} limit`);
+    }
+
+    const pick = this.recordPick(player);
+    return { pick, botPicks: this.simulateUntilUser() };
+  }
+
+  /**
+   * Draft the top suggestion for the user
+   */
+  autoPick() {
+    const [best] = this.suggest(1);
+    if (!best) {
+      throw new Error('No players left to draft');
+    }
+    return this.draftPlayer(best.name);
+  }
+
+  /**
+   * Grade every roster: projected points of its best starting lineup (bench points break ties)
+   * compared with the league average. The user's entry also names their best value pick and
+   * biggest reach against ADP (at least half a round either way).
+   */
+  grade() {
+    const teams = [];
+    for (let team = 1; team <= this.leagueSize; team++) {
+      const picks = this.getTeamPicks(team);
+      const lineup = LineupOptimizer.fillSlots(this.roster, picks, pick => pick.projectedPoints || 0);
+      const starterPoints = lineup.starters.reduce((sum, slot) => sum + (slot.player?.projectedPoints || 0), 0);
+      const benchPoints = lineup.bench.reduce((sum, pick) => sum + (pick.projectedPoints || 0), 0);
+      teams.push({
+        team,
+        isUser: team === this.draftSlot,
+        picks,
+        starters: lineup.starters,
+        emptySlots: lineup.starters.filter(slot => !slot.player).map(slot => slot.slot),
+        starterPoints: round(starterPoints),
+        benchPoints: round(benchPoints)
+      });
+    }
+
+    const mean = teams.reduce((sum, team) => sum + team.starterPoints, 0) / teams.length;
+    const deviation = Math.sqrt(teams.reduce((sum, team) => sum + Math.pow(team.starterPoints - mean, 2), 0) / teams.length);
+    teams.sort((a, b) => b.starterPoints - a.starterPoints || b.benchPoints - a.benchPoints);
+    teams.forEach((team, index) => {
+      const z = deviation > 0 ? (team.starterPoints - mean) / deviation : 0;
+      team.rank = index + 1;
+      team.vsAverage = round(team.starterPoints - mean);
+      team.grade = (GRADE_SCALE.find(([threshold]) => z >= threshold) || [null, 'F'])[1];
+    });
+
+    const user = teams.find(team => team.isUser);
+    const margin = this.leagueSize / 2;
+    const againstAdp = user.picks
+      .filter(pick => typeof pick.adp === 'number')
+      .map(pick => ({ ...pick, value: round(pick.pick - pick.adp) }))
+      .sort((a, b) => b.value - a.value);
+
+    return {
+      leagueSize: this.leagueSize,
+      rounds: this.rounds,
+      draftSlot: this.draftSlot,
+      seed: this.seed,
+      complete: this.isComplete(),
+      leagueAverage: round(mean),
+      teams,
+      user: {
+        ...user,
+        bestValue: againstAdp.length > 0 && againstAdp[0].value >= margin ? againstAdp[0] : null,
+        biggestReach: againstAdp.length > 0 && againstAdp[againstAdp.length - 1].value <= -margin ? againstAdp[againstAdp.length - 1] : null
+      }
+    };
+  }
+}
+
+/**
+ * Seeded PRNG (mulberry32) returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ */
+function gaussian(random) {
+  const u = Math.max(random(), Number.EPSILON);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+MockDraftEngine.GRADE_SCALE = GRADE_SCALE;
+MockDraftEngine.DEFAULT_VALUE_WEIGHT = DEFAULT_VALUE_WEIGHT;
+MockDraftEngine.NEED_PENALTY_ROUNDS = NEED_PENALTY_ROUNDS;
+MockDraftEngine.createRandom = createRandom;
+MockDraftEngine.gaussian = gaussian;
+
+module.exports = MockDraftEngine;
@@ -0,0 +1,248 @@
+/**
+ * Pick Relay
+ * HTTP ingestion point for draft picks the Chrome extension scrapes from the draft room. Requests
+ * carry a shared secret; picks already relayed for a draft (same pick, same player) are dropped, so the
+ * extension can resend its backlog after a failed delivery. New picks are emitted as 'picks' for whichever process mounts
+ * the relay (DraftMonitor on the API server, draft sessions in the bot). Sleeper draft rooms only know
+ * their draft ID, so the league is looked up from the draft before anything is recorded.
+ */
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const express = require('express');
+const SleeperClient = require('../api/sleeper-client');
+const { Validator, ValidationError } = require('../utils/validation');
+const errorHandler = require('../utils/error-handler');
+const createLogger = require('../utils/logger');
+
+const logger = createLogger();
+
+const SECRET_HEADER = 'x-relay-secret';
+const DEFAULT_PATH = '/extension/picks';
+const MAX_PICKS_PER_REQUEST = 400;
+
+class PickRelay extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.secret] - shared with the extension; the relay refuses picks without one
+   * @param {SleeperClient} [options.sleeperClient] - looks up the league of a Sleeper draft
+   * @param {Function} [options.acceptsLeague] - (batch) => whether this process handles the batch's
+   *   league; picks for other leagues are refused with a 404
+   */
+  constructor(options = {}) {
+    super();
+    this.secret = options.secret || null;
+    this.sleeperClient = options.sleeperClient || null;
+    this.acceptsLeague = options.acceptsLeague || null;
+    this.relayed = new Map(); // `${platform}:${draftId || leagueId}` -> Map of overall pick -> player emitted
+    this.draftLeagues = new Map(); // Sleeper draft ID -> league ID
+  }
+
+  isEnabled() {
+    return Boolean(this.secret);
+  }
+
+  /**
+   * Constant-time comparison of the secret the extension sent
+   */
+  authorize(provided) {
+    if (!this.secret || typeof provided !== 'string') {
+      return false;
+    }
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(provided), digest(this.secret));
+  }
+
+  /**
+   * Draft slot (1-based position in the draft order) that makes an overall pick in a snake draft
+   */
+  static draftSlot(overall, leagueSize) {
+    const round = Math.ceil(overall / leagueSize);
+    const pickInRound = ((overall - 1) % leagueSize) + 1;
+    return round % 2 === 1 ? pickInRound : leagueSize - pickInRound + 1;
+  }
+
+  /**
+   * Validate an extension payload:
+   * { platform?, leagueId | draftId, leagueSize?, userTeam?, format?, budget?,
+   *   picks: [{ overall, player, position?, team?, draftSlot?, teamName?, bid?, isUserPick? }] }
+   * Auction picks carry the winning bid; a payload with bids is an auction even without format.
+   */
+  normalize(body = {}) {
+    // Draft IDs are numeric on every platform; anything else never reaches a URL or fixture path
+    const draftId = body.draftId === undefined || body.draftId === null
+      ? null
+      : Validator.validateString(String(body.draftId), 'draftId', { required: true, maxLength: 50, pattern: /^\d+$/ });
+    const leagueId = draftId && (body.leagueId === undefined || body.leagueId === null)
+      ? null
+      : Validator.validateString(String(body.leagueId ?? ''), 'leagueId', { required: true, maxLength: 50 });
+    const leagueSize = body.leagueSize === undefined || body.leagueSize === null
+      ? null
+      : Validator.validateNumber(body.leagueSize, 'leagueSize', { min: 2, max: 20, integer: true });
+    const userTeam = body.userTeam === undefined || body.userTeam === null
+      ? null
+      : Validator.validateNumber(body.userTeam, 'userTeam', { min: 1, max: leagueSize || 20, integer: true });
+    const picks = Validator.validateArray(body.picks, 'picks', { maxLength: MAX_PICKS_PER_REQUEST });
+    const hasBids = picks.some(pick => pick && pick.bid !== undefined && pick.bid !== null);
+    const format = body.format ? String(body.format).toLowerCase() : hasBids ? 'auction' : 'snake';
+    if (!['snake', 'auction'].includes(format)) {
+      throw new ValidationError('format', body.format, 'snake or auction');
+    }
+    const budget = body.budget === undefined || body.budget === null
+      ? null
+      : Validator.validateNumber(body.budget, 'budget', { min: 1, max: 10000, integer: true });
+
+    return {
+      platform: body.platform ? String(body.platform).toLowerCase() : 'espn',
+      leagueId,
+      draftId,
+      leagueSize,
+      userTeam,
+      format,
+      budget,
+      picks: picks.map((pick, index) => {
+        if (!pick || typeof pick !== 'object') {
+          throw new ValidationError(`picks[${index}]`, pick, 'object');
+        }
+        const overall = Validator.validateNumber(pick.overall, `picks[${index}].overall`, { min: 1, integer: true });
+        // Auction picks come in nomination order, so the snake slot says nothing about the buyer
+        const draftSlot = pick.draftSlot
+          ? Validator.validateNumber(pick.draftSlot, `picks[${index}].draftSlot`, { min: 1, max: 20, integer: true })
+          : leagueSize && format === 'snake' ? PickRelay.draftSlot(overall, leagueSize) : null;
+        const bid = pick.bid === undefined || pick.bid === null
+          ? null
+          : Validator.validateNumber(pick.bid, `picks[${index}].bid`, { min: 0, max: budget || 10000, integer: true });
+
+        return {
+          overall,
+          player: Validator.validateString(pick.player, `picks[${index}].player`, { required: true, minLength: 2, maxLength: 60 }),
+          position: pick.position ? String(pick.position).toUpperCase().replace('DST', 'D/ST') : null,
+          nflTeam: pick.team ? String(pick.team).toUpperCase() : null,
+          draftSlot,
+          teamName: pick.teamName ? Validator.validateString(pick.teamName, `picks[${index}].teamName`, { maxLength: 60 }) : null,
+          bid,
+          isUserPick: pick.isUserPick === true || (draftSlot !== null && draftSlot === userTeam)
+        };
+      })
+    };
+  }
+
+  /**
+   * Fill in the league of a batch that only names its draft (Sleeper draft rooms). Left null when
+   * the platform has no such lookup or the draft isn't a league's (mock drafts).
+   */
+  async resolveLeague(batch) {
+    if (batch.leagueId || !batch.draftId || batch.platform !== 'sleeper') {
+      return batch;
+    }
+    if (!this.draftLeagues.has(batch.draftId)) {
+      this.sleeperClient = this.sleeperClient || new SleeperClient();
+      const draft = await this.sleeperClient.getDraft(batch.draftId);
+      this.draftLeagues.set(batch.draftId, draft?.league_id ? String(draft.league_id) : null);
+    }
+    return { ...batch, leagueId: this.draftLeagues.get(batch.draftId) };
+  }
+
+  /**
+   * Validate a payload and find its league. Drafts that don't belong to a league throw a
+   * ValidationError.
+   */
+  async prepare(body) {
+    const batch = await this.resolveLeague(this.normalize(body));
+    if (!batch.leagueId) {
+      throw new ValidationError('draftId', batch.draftId, `a draft that belongs to a ${batch.platform} league`);
+    }
+    return batch;
+  }
+
+  /**
+   * Whether picks in a batch can be delivered. An empty batch (the extension's connection test)
+   * always can.
+   */
+  isKnownLeague(batch) {
+    return batch.picks.length === 0 || !this.acceptsLeague || Boolean(this.acceptsLeague(batch));
+  }
+
+  /**
+   * Record a prepared batch and emit the picks not seen before, in draft order. A pick counts as seen
+   * when the same player was already relayed at that pick; a different player there (a corrected
+   * pick) goes through. A new first pick means the room is on a new draft, so the record starts over.
+   */
+  ingest(batch) {
+    const key = `${batch.platform}:${batch.draftId || batch.leagueId}`;
+    const playerKey = pick => pick.player.trim().toLowerCase();
+    const first = batch.picks.find(pick => pick.overall === 1);
+    let relayed = this.relayed.get(key);
+    if (!relayed || (first && relayed.has(1) && relayed.get(1) !== playerKey(first))) {
+      relayed = new Map();
+      this.relayed.set(key, relayed);
+    }
+
+    const fresh = [];
+    const dropped = [];
+    [...batch.picks].sort((a, b) => a.overall - b.overall).forEach(pick => {
+      const repeated = relayed.get(pick.overall) === playerKey(pick) ||
+        fresh.some(other => other.overall === pick.overall);
+      if (repeated) {
+        dropped.push({ overall: pick.overall, player: pick.player });
+        return;
+      }
+      relayed.set(pick.overall, playerKey(pick));
+      fresh.push(pick);
+    });
+
+    if (dropped.length > 0) {
+      logger.info(`🧩 Dropped ${dropped.length} already-relayed pick(s) for ${batch.platform} league ${batch.leagueId}: ${dropped.map(pick => `#${pick.overall} ${pick.player}`).join(', ')}`);
+    }
+    if (fresh.length > 0) {
+      logger.info(`🧩 Extension relayed ${fresh.length} pick(s) for ${batch.platform} league ${batch.leagueId} (through #${fresh[fresh.length - 1].overall})`);
+      this.emit('picks', { ...batch, picks: fresh });
+    }
+
+    return {
+      leagueId: batch.leagueId,
+      received: batch.picks.length,
+      accepted: fresh.length,
+      duplicates: dropped.length,
+      dropped
+    };
+  }
+
+  /**
+   * Mount POST <path> on an Express app. Parses its own JSON body so it also works on apps without
+   * express.json() (the bot's health check server).
+   */
+  register(app, path = DEFAULT_PATH) {
+    app.post(path, express.json({ limit: '256kb' }), async (req, res) => {
+      if (!this.isEnabled()) {
+        return res.status(503).json({
+          success: false,
+          error: 'Pick relay is disabled; set EXTENSION_RELAY_SECRET on the server'
+        });
+      }
+
+      if (!this.authorize(req.get(SECRET_HEADER))) {
+        logger.warn(`Rejected extension pick relay from ${req.ip}: bad or missing ${SECRET_HEADER}`);
+        return res.status(401).json({ success: false, error: 'Invalid relay secret' });
+      }
+
+      try {
+        const batch = await this.prepare(req.body);
+        if (!this.isKnownLeague(batch)) {
+          logger.warn(`Rejected relayed picks for unregistered ${batch.platform} league ${batch.leagueId}`);
+          return res.status(404).json({
+            success: false,
+            error: `No registered ${batch.platform} league ${batch.leagueId}`
+          });
+        }
+        res.json({ success: true, data: this.ingest(batch) });
+      } catch (error) {
+        errorHandler.respond(res, error, 'Pick Relay');
+      }
+    });
+    return this;
+  }
+}
+
+PickRelay.SECRET_HEADER = SECRET_HEADER;
+
+module.exports = PickRelay;
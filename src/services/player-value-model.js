@@ -0,0 +1,348 @@
+/**
+ * Player Value Model
+ * Rest-of-season value for trades: league-scored projections blended with real results, the remaining
+ * NFL schedule (byes and opposing defenses), age curves and injury outlook, measured against the
+ * replacement level at each position so scarce positions count for more
+ */
+const fs = require('fs');
+const path = require('path');
+const VBDEngine = require('./vbd-engine');
+const RosterRequirements = require('./roster-requirements');
+const { round } = require('../utils/numbers');
+const createLogger = require('../utils/logger');
+
+const logger = createLogger();
+
+const AGES_PATH = path.join(__dirname, '../../data/current-players-2025.json');
+
+const SEASON_GAMES = 17;
+const SEASON_WEEKS = 18;
+const FINAL_FANTASY_WEEK = 17;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Games of real results that weigh as much as the preseason projection
+const PROJECTION_WEIGHT_GAMES = 6;
+
+// Last peak-age season and share of value lost per year after it
+const AGE_CURVES = {
+  QB: { peakEnd: 33, decline: 0.015 },
+  RB: { peakEnd: 26, decline: 0.05 },
+  WR: { peakEnd: 29, decline: 0.03 },
+  TE: { peakEnd: 30, decline: 0.025 }
+};
+
+// Expected games missed from here on for a current injury designation
+const STATUS_GAMES_MISSED = {
+  ACTIVE: 0,
+  QUESTIONABLE: 0.25,
+  DOUBTFUL: 0.75,
+  OUT: 1.5,
+  SUSPENSION: 2,
+  IR: 4,
+  INJURY_RESERVE: 4
+};
+
+// Most a schedule of the best (or worst) defenses moves an offensive player's weekly output
+const MAX_MATCHUP_SWING = 0.15;
+const MATCHUP_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K'];
+
+// Value (0-100, elite starter = 100) needed for each tier
+const TIER_THRESHOLDS = { 1: 35, 2: 5 };
+
+class PlayerValueModel {
+  /**
+   * @param {Object} [options]
+   * @param {VBDEngine} [options.vbd] - projection pool and replacement levels
+   * @param {Object} [options.seasonStats] - per-player results keyed by name (LeagueStats.toSeasonStats)
+   * @param {number} [options.currentWeek]
+   * @param {Object} [options.schedules] - ESPNClient.getProTeamSchedules() output
+   */
+  constructor(options = {}) {
+    this.vbd = options.vbd || new VBDEngine();
+    this.seasonStats = options.seasonStats || {};
+    this.currentWeek = options.currentWeek || null;
+    this.schedules = options.schedules || null;
+    this.ages = options.ages || PlayerValueModel.loadAges();
+    this.index = null;
+  }
+
+  static loadAges() {
+    try {
+      const { players } = JSON.parse(fs.readFileSync(AGES_PATH, 'utf8'));
+      return new Map(players.map(player => [normalizeName(player.name), player]));
+    } catch (error) {
+      logger.warn(`Could not load player ages: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Same week estimate the trade analyzer uses when the league hasn't told us
+   */
+  static estimateCurrentWeek(date = new Date()) {
+    const seasonStart = new Date(date.getFullYear(), 8, 1);
+    if (date < seasonStart) {
+      return 1;
+    }
+    return Math.min(SEASON_WEEKS, Math.floor((date - seasonStart) / WEEK_MS) + 1);
+  }
+
+  setContext({ seasonStats, currentWeek } = {}) {
+    if (seasonStats) {
+      this.seasonStats = seasonStats;
+    }
+    if (currentWeek) {
+      this.currentWeek = currentWeek;
+    }
+  }
+
+  setSchedules(schedules) {
+    this.schedules = schedules;
+  }
+
+  getCurrentWeek() {
+    return this.currentWeek || PlayerValueModel.estimateCurrentWeek();
+  }
+
+  /**
+   * Projection pool, replacement levels and defense ratings, built once
+   */
+  getIndex() {
+    if (this.index) {
+      return this.index;
+    }
+
+    const pool = this.vbd.getProjectedPool();
+    const replacementLevels = this.vbd.getReplacementLevels(pool);
+    const byName = new Map();
+    let topMarginPerGame = 0;
+
+    Object.entries(pool).forEach(([position, players]) => {
+      players.forEach((player, index) => {
+        byName.set(normalizeName(player.name), { ...player, positionRank: index + 1 });
+      });
+      if (players.length > 0) {
+        const margin = (players[0].projectedPoints - replacementLevels[position].points) / SEASON_GAMES;
+        topMarginPerGame = Math.max(topMarginPerGame, margin);
+      }
+    });
+
+    this.index = {
+      byName,
+      replacementLevels,
+      topMarginPerGame,
+      defenseRatings: this.rateDefenses(pool.DST || [])
+    };
+    return this.index;
+  }
+
+  /**
+   * -1 (weakest projected defense) to 1 (strongest), keyed by NFL team
+   */
+  rateDefenses(defenses) {
+    const ratings = {};
+    if (defenses.length === 0) {
+      return ratings;
+    }
+
+    const average = defenses.reduce((sum, dst) => sum + dst.projectedPoints, 0) / defenses.length;
+    const spread = Math.max(...defenses.map(dst => Math.abs(dst.projectedPoints - average))) || 1;
+    defenses.forEach(dst => {
+      if (dst.team) {
+        ratings[dst.team] = (dst.projectedPoints - average) / spread;
+      }
+    });
+    return ratings;
+  }
+
+  /**
+   * Games left through the fantasy final, and who they're against when the NFL schedule is loaded
+   */
+  getRemainingSchedule(team) {
+    const currentWeek = this.getCurrentWeek();
+    const weeksLeft = Math.max(0, FINAL_FANTASY_WEEK - currentWeek + 1);
+    const schedule = this.schedules?.[team];
+
+    if (!schedule) {
+      // Unknown bye: spread the 17 games over 18 weeks
+      return { games: weeksLeft * SEASON_GAMES / SEASON_WEEKS, opponents: [], byeWeek: null };
+    }
+
+    const opponents = [];
+    for (let week = currentWeek; week <= FINAL_FANTASY_WEEK; week++) {
+      if (schedule.games[week]) {
+        opponents.push(schedule.games[week].opponent);
+      }
+    }
+    return { games: opponents.length, opponents, byeWeek: schedule.byeWeek };
+  }
+
+  /**
+   * Output multiplier from the strength of the defenses left on the schedule
+   */
+  getMatchupFactor(position, opponents) {
+    if (!MATCHUP_POSITIONS.includes(position) || opponents.length === 0) {
+      return 1;
+    }
+    const { defenseRatings } = this.getIndex();
+    const rating = opponents.reduce((sum, team) => sum + (defenseRatings[team] || 0), 0) / opponents.length;
+    return 1 - MAX_MATCHUP_SWING * rating;
+  }
+
+  /**
+   * One week's outlook: current form against that week's opponent, zero on a bye
+   */
+  projectWeek(player, week = this.getCurrentWeek()) {
+    const valuation = this.evaluate(player);
+    const schedule = this.schedules?.[valuation.team];
+    const game = schedule?.games[week] || null;
+    if (schedule && !game) {
+      return { points: 0, bye: true, game: null, valuation };
+    }
+
+    const factor = this.getMatchupFactor(valuation.position, game ? [game.opponent] : []);
+    return { points: round(valuation.formPerGame * factor), bye: false, game, valuation };
+  }
+
+  getAge(player) {
+    if (typeof player.age === 'number') {
+      return player.age;
+    }
+    const birthDate = player.birthDate || this.ages.get(normalizeName(player.name))?.birthDate;
+    if (!birthDate) {
+      return null;
+    }
+    return Math.floor((Date.now() - new Date(birthDate).getTime()) / (365.25 * 24 * 60 * 60 * 1000));
+  }
+
+  getAgeFactor(position, age) {
+    const curve = AGE_CURVES[position];
+    if (!curve || age === null) {
+      return 1;
+    }
+    const yearsPastPeak = Math.max(0, age - curve.peakEnd);
+    return Math.max(0.7, 1 - yearsPastPeak * curve.decline);
+  }
+
+  /**
+   * Current designation plus zero-point weeks this season (and any supplied history) turned into
+   * expected games missed over the rest of the season. Only weeks the player was rostered and had a
+   * game count: a zero on the bye isn't a missed game.
+   * @param {number} [byeWeek] - the player's bye, matched against stats.weeks when the season stats have them
+   */
+  getInjuryOutlook(player, source, stats, gamesLeft, byeWeek = null) {
+    const status = String(player.injuryStatus || source?.injuryStatus || 'ACTIVE').toUpperCase();
+    const weeks = stats.weeks || [];
+    const gameWeeks = (stats.weeklyScores || []).filter((points, index) => !byeWeek || weeks[index] !== byeWeek);
+    const missedThisSeason = gameWeeks.filter(points => points === 0).length;
+
+    let missRate = gameWeeks.length > 0 ? missedThisSeason / gameWeeks.length : 0;
+    if (player.injuryHistory?.gamesMissed && player.injuryHistory?.seasons) {
+      const historicalRate = player.injuryHistory.gamesMissed / (player.injuryHistory.seasons * SEASON_GAMES);
+      missRate = Math.max(missRate, historicalRate);
+    }
+
+    // Half of the past miss rate carries forward; the rest is treated as bad luck
+    const expectedGamesMissed = Math.min(
+      gamesLeft,
+      (STATUS_GAMES_MISSED[status] ?? 0) + gamesLeft * missRate * 0.5
+    );
+
+    let risk = 'low';
+    if (['OUT', 'IR', 'INJURY_RESERVE', 'SUSPENSION'].includes(status) || expectedGamesMissed >= 2) {
+      risk = 'high';
+    } else if (status !== 'ACTIVE' || expectedGamesMissed >= 0.5) {
+      risk = 'medium';
+    }
+
+    return {
+      status,
+      gamesMissed: missedThisSeason,
+      expectedGamesMissed: round(expectedGamesMissed),
+      risk
+    };
+  }
+
+  /**
+   * What a waiver-level player at a position is worth over the rest of the season
+   */
+  getReplacementOutlook(position) {
+    const points = this.getIndex().replacementLevels[position]?.points || 0;
+    const perGame = points / SEASON_GAMES;
+    return {
+      perGame: round(perGame),
+      rosPoints: round(perGame * this.getRemainingSchedule(null).games)
+    };
+  }
+
+  /**
+   * Full valuation for one player
+   * @param {Object} player - at least { name }, optionally position/team/age/injuryStatus/injuryHistory
+   * @param {Object} [stats] - season results for the player; defaults to the loaded season stats
+   */
+  evaluate(player, stats = this.seasonStats[player.name] || {}) {
+    const index = this.getIndex();
+    const source = index.byName.get(normalizeName(player.name));
+    const position = RosterRequirements.normalizePosition(
+      player.position && player.position !== 'UNKNOWN' ? player.position : source?.position
+    );
+    const team = source?.team || (player.team !== 'FA' ? player.team : null);
+
+    const replacementPerGame = (index.replacementLevels[position]?.points || 0) / SEASON_GAMES;
+    const projectedPerGame = source
+      ? source.projectedPoints / SEASON_GAMES
+      : stats.weeklyAverage ?? replacementPerGame;
+
+    const gamesPlayed = stats.gamesPlayed || 0;
+    const resultsWeight = gamesPlayed / (gamesPlayed + PROJECTION_WEIGHT_GAMES);
+    const blendedPerGame = gamesPlayed > 0
+      ? projectedPerGame * (1 - resultsWeight) + (stats.weeklyAverage ?? replacementPerGame) * resultsWeight
+      : projectedPerGame;
+
+    const schedule = this.getRemainingSchedule(team);
+    const matchupFactor = this.getMatchupFactor(position, schedule.opponents);
+    const age = this.getAge(player);
+    const ageFactor = this.getAgeFactor(position, age);
+    const injury = this.getInjuryOutlook(player, source, stats, schedule.games, schedule.byeWeek);
+
+    const perGame = blendedPerGame * matchupFactor;
+    const expectedGames = Math.max(0, schedule.games - injury.expectedGamesMissed);
+    const rosPoints = perGame * expectedGames;
+    const rosVOR = (perGame - replacementPerGame) * expectedGames;
+
+    // 100 = the best projected player at any position, healthy, over the same stretch of season
+    const reference = index.topMarginPerGame * this.getRemainingSchedule(null).games;
+    const value = reference > 0 ? Math.max(0, Math.min(100, (rosVOR / reference) * 100 * ageFactor)) : 0;
+
+    return {
+      name: player.name,
+      position,
+      team,
+      known: Boolean(source),
+      positionRank: source?.positionRank || null,
+      age,
+      projectedPerGame: round(projectedPerGame),
+      formPerGame: round(blendedPerGame),
+      perGame: round(perGame),
+      replacementPerGame: round(replacementPerGame),
+      gamesRemaining: round(schedule.games),
+      byeWeek: schedule.byeWeek,
+      rosPoints: round(rosPoints),
+      rosVOR: round(rosVOR),
+      matchupFactor: round(matchupFactor, 3),
+      ageFactor: round(ageFactor, 3),
+      injury,
+      value: round(value),
+      tier: value >= TIER_THRESHOLDS[1] ? 1 : value >= TIER_THRESHOLDS[2] ? 2 : 3
+    };
+  }
+}
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[.'’]/g, '').replace(/\s+(jr|sr|ii|iii|iv)$/, '').trim();
+}
+
+PlayerValueModel.TIER_THRESHOLDS = TIER_THRESHOLDS;
+PlayerValueModel.FINAL_FANTASY_WEEK = FINAL_FANTASY_WEEK;
+
+module.exports = PlayerValueModel;
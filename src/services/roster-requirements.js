@@ -0,0 +1,307 @@
+/**
+ * Roster Requirements
+ * Turns a league's roster configuration (starting slots, flex slots, bench size, per-position caps)
+ * into team needs so draft advice matches the league actually being drafted
+ */
+const config = require('../../config');
+const { leagueConfigurations } = require('../../config/league-settings');
+const bayouLeague = require('../../data/bayou-league-config.json');
+
+// Which player positions can fill each flex-style slot
+const FLEX_ELIGIBILITY = {
+  FLEX: ['RB', 'WR', 'TE'],
+  SUPERFLEX: ['QB', 'RB', 'WR', 'TE'],
+  'WR/TE': ['WR', 'TE'],
+  'RB/WR': ['RB', 'WR'],
+  IDP_FLEX: ['DL', 'LB', 'DB']
+};
+
+const SLOT_ALIASES = {
+  OP: 'SUPERFLEX',
+  'QB/RB/WR/TE': 'SUPERFLEX',
+  'RB/WR/TE': 'FLEX',
+  'WR/RB': 'RB/WR',
+  'TE/WR': 'WR/TE',
+  IDP: 'IDP_FLEX',
+  'DL/LB/DB': 'IDP_FLEX',
+  'D/ST': 'DST',
+  DEF: 'DST',
+  PK: 'K'
+};
+
+const POSITION_ALIASES = {
+  'D/ST': 'DST',
+  DEF: 'DST',
+  D: 'DST',
+  PK: 'K',
+  DE: 'DL',
+  DT: 'DL',
+  CB: 'DB',
+  S: 'DB'
+};
+
+const NON_ROSTER_SLOTS = ['BE', 'BN', 'BENCH', 'IR'];
+
+// One-week positions don't get bench depth targets
+const NO_DEPTH_POSITIONS = ['K', 'DST'];
+
+const DISPLAY_NAMES = { DST: 'D/ST' };
+
+class RosterRequirements {
+  constructor({ name, size = null, starters = {}, benchSize = 0, limits = {} }) {
+    this.name = name;
+    this.size = size;
+    this.starters = {};
+    this.limits = {};
+    this.benchSize = benchSize;
+
+    Object.entries(starters).forEach(([slot, count]) => {
+      const key = RosterRequirements.normalizeSlot(slot);
+      if (count > 0 && !NON_ROSTER_SLOTS.includes(key)) {
+        this.starters[key] = (this.starters[key] || 0) + count;
+      }
+    });
+
+    Object.entries(limits).forEach(([position, max]) => {
+      if (max) {
+        this.limits[RosterRequirements.normalizePosition(position)] = max;
+      }
+    });
+  }
+
+  /**
+   * Load a named league profile: "bayou", a key from config/league-settings.js,
+   * or (default) the LEAGUE_SIZE / ROSTER_POSITIONS / BENCH_SIZE environment settings
+   */
+  static load(profile = process.env.LEAGUE_PROFILE) {
+    const key = (profile || '').trim().toLowerCase();
+
+    if (key === 'bayou') {
+      return RosterRequirements.fromBayouConfig(bayouLeague);
+    }
+
+    if (leagueConfigurations[key]) {
+      const league = leagueConfigurations[key];
+      return new RosterRequirements({
+        name: key,
+        size: league.size,
+        starters: league.rosterPositions,
+        benchSize: league.benchSize,
+        limits: league.positionLimits
+      });
+    }
+
+    return RosterRequirements.fromSlotList(config.league.rosterPositions, {
+      name: 'default',
+      size: config.league.size,
+      benchSize: config.league.benchSize
+    });
+  }
+
+  static fromBayouConfig(league) {
+    const starters = {};
+    const limits = {};
+    Object.entries(league.roster.positions).forEach(([position, slot]) => {
+      starters[position] = slot.starters;
+      limits[position] = slot.max;
+    });
+
+    return new RosterRequirements({
+      name: league.leagueName.toLowerCase(),
+      size: league.leagueSize,
+      starters,
+      benchSize: league.roster.bench,
+      limits
+    });
+  }
+
+  /**
+   * Build from a flat slot list such as ['QB', 'RB', 'RB', 'WR', 'WR', 'TE', 'FLEX', 'K', 'DST']
+   */
+  static fromSlotList(slots, options = {}) {
+    const starters = {};
+    slots.forEach(slot => {
+      const key = slot.trim().toUpperCase();
+      starters[key] = (starters[key] || 0) + 1;
+    });
+    return new RosterRequirements({ ...options, starters });
+  }
+
+  static normalizeSlot(slot) {
+    const key = String(slot).trim().toUpperCase();
+    return SLOT_ALIASES[key] || key;
+  }
+
+  static normalizePosition(position) {
+    const key = String(position || '').trim().toUpperCase();
+    return POSITION_ALIASES[key] || key;
+  }
+
+  static displayName(position) {
+    return DISPLAY_NAMES[position] || position;
+  }
+
+  isFlexSlot(slot) {
+    return Boolean(FLEX_ELIGIBILITY[slot]);
+  }
+
+  /**
+   * Player positions the league actually rosters, in slot order
+   */
+  getPositions() {
+    const positions = [];
+    Object.keys(this.starters).forEach(slot => {
+      const eligible = FLEX_ELIGIBILITY[slot] || [slot];
+      eligible.forEach(position => {
+        if (!positions.includes(position)) {
+          positions.push(position);
+        }
+      });
+    });
+    return positions;
+  }
+
+  getTotalRosterSize() {
+    const starters = Object.values(this.starters).reduce((sum, count) => sum + count, 0);
+    return starters + this.benchSize;
+  }
+
+  /**
+   * How many players at each position a roster should carry: starting demand (flex slots split
+   * evenly across eligible positions) plus a proportional share of the bench, capped by max-per-position
+   */
+  getDepthTargets() {
+    const demand = {};
+    this.getPositions().forEach(position => {
+      demand[position] = this.starters[position] || 0;
+    });
+
+    Object.entries(this.starters)
+      .filter(([slot]) => this.isFlexSlot(slot))
+      .forEach(([slot, count]) => {
+        const eligible = FLEX_ELIGIBILITY[slot];
+        eligible.forEach(position => {
+          demand[position] += count / eligible.length;
+        });
+      });
+
+    const benchDemand = Object.entries(demand)
+      .filter(([position]) => !NO_DEPTH_POSITIONS.includes(position))
+      .reduce((sum, [, value]) => sum + value, 0);
+
+    const targets = {};
+    Object.entries(demand).forEach(([position, value]) => {
+      let target = NO_DEPTH_POSITIONS.includes(position) || benchDemand === 0
+        ? Math.ceil(value)
+        : Math.round(value * (1 + this.benchSize / benchDemand));
+      if (this.limits[position]) {
+        target = Math.min(target, this.limits[position]);
+      }
+      targets[position] = Math.max(target, this.starters[position] || 0);
+    });
+    return targets;
+  }
+
+  /**
+   * Fill starting slots from a list of picks and report what is still missing
+   */
+  analyze(picks = []) {
+    const positions = {};
+    this.getPositions().forEach(position => {
+      positions[position] = [];
+    });
+
+    picks.forEach(pick => {
+      const position = RosterRequirements.normalizePosition(pick.position);
+      if (positions[position]) {
+        positions[position].push(pick.player);
+      }
+    });
+
+    // Dedicated slots first, then flex slots from most to least restrictive
+    const leftover = {};
+    const openSlots = {};
+    Object.entries(positions).forEach(([position, players]) => {
+      const slots = this.starters[position] || 0;
+      leftover[position] = Math.max(0, players.length - slots);
+      if (slots > players.length) {
+        openSlots[position] = slots - players.length;
+      }
+    });
+
+    const flexAssignments = {};
+    Object.entries(this.starters)
+      .filter(([slot]) => this.isFlexSlot(slot))
+      .sort(([a], [b]) => FLEX_ELIGIBILITY[a].length - FLEX_ELIGIBILITY[b].length)
+      .forEach(([slot, count]) => {
+        flexAssignments[slot] = [];
+        for (let i = 0; i < count; i++) {
+          const position = FLEX_ELIGIBILITY[slot]
+            .filter(candidate => leftover[candidate] > 0)
+            .sort((a, b) => leftover[b] - leftover[a])[0];
+
+          if (position) {
+            const players = positions[position];
+            flexAssignments[slot].push(players[players.length - leftover[position]]);
+            leftover[position]--;
+          } else {
+            openSlots[slot] = (openSlots[slot] || 0) + 1;
+          }
+        }
+      });
+
+    const depthTargets = this.getDepthTargets();
+    const depthNeeds = Object.keys(positions)
+      .filter(position => !NO_DEPTH_POSITIONS.includes(position))
+      .filter(position => positions[position].length < depthTargets[position])
+      .map(position => ({ position, have: positions[position].length, target: depthTargets[position] }));
+
+    const atLimit = Object.keys(positions)
+      .filter(position => this.limits[position] && positions[position].length >= this.limits[position]);
+
+    const totalRoster = this.getTotalRosterSize();
+    const rostered = Object.values(positions).reduce((sum, players) => sum + players.length, 0);
+
+    return {
+      positions,
+      flexAssignments,
+      openSlots,
+      depthTargets,
+      depthNeeds,
+      atLimit,
+      rosterSpotsLeft: Math.max(0, totalRoster - rostered),
+      startingLineupComplete: Object.keys(openSlots).length === 0
+    };
+  }
+
+  /**
+   * What a player at a position does for a roster: fills a starting slot, adds needed depth, is
+   * surplus, or can't be rostered because the position is at its limit
+   * @param {string} position
+   * @param {Object} analysis - analyze() of the roster's picks
+   * @returns {string} 'starter' | 'depth' | 'surplus' | 'blocked'
+   */
+  classifyNeed(position, analysis) {
+    const normalized = RosterRequirements.normalizePosition(position);
+
+    if (analysis.atLimit.includes(normalized)) {
+      return 'blocked';
+    }
+    const fillsSlot = Object.keys(analysis.openSlots).some(slot =>
+      slot === normalized || (FLEX_ELIGIBILITY[slot] || []).includes(normalized)
+    );
+    if (fillsSlot) {
+      return 'starter';
+    }
+    return analysis.depthNeeds.some(need => need.position === normalized) ? 'depth' : 'surplus';
+  }
+
+  describeSlot(slot) {
+    const name = RosterRequirements.displayName(slot);
+    return FLEX_ELIGIBILITY[slot] ? `${name} (${FLEX_ELIGIBILITY[slot].map(RosterRequirements.displayName).join('/')})` : name;
+  }
+}
+
+RosterRequirements.FLEX_ELIGIBILITY = FLEX_ELIGIBILITY;
+
+module.exports = RosterRequirements;
@@ -0,0 +1,79 @@
+/**
+ * Schedule Provider
+ * NFL schedule (weekly opponents, kickoffs and bye weeks) for the services that project by week. One
+ * provider per ESPN client loads the schedule once a day and shares it; a failed load is logged with
+ * what the caller does without it and retried on the next call.
+ */
+const ESPNClient = require('../api/espn-client');
+const createLogger = require('../utils/logger');
+
+const logger = createLogger();
+
+// Flexed kickoffs are the only changes worth picking up, so a day-old schedule is fine
+const SCHEDULE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const providers = new WeakMap(); // ESPNClient -> ScheduleProvider
+let defaultProvider = null;
+
+class ScheduleProvider {
+  /**
+   * @param {ESPNClient} [espnClient]
+   */
+  constructor(espnClient = new ESPNClient()) {
+    this.espnClient = espnClient;
+    this.schedules = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * The provider shared by every service on an ESPN client (or on a default client when none is given)
+   */
+  static forClient(espnClient = null) {
+    if (!espnClient) {
+      defaultProvider = defaultProvider || new ScheduleProvider();
+      return defaultProvider;
+    }
+    if (!providers.has(espnClient)) {
+      providers.set(espnClient, new ScheduleProvider(espnClient));
+    }
+    return providers.get(espnClient);
+  }
+
+  /**
+   * ESPNClient.getProTeamSchedules() output, or the last one loaded (null if none) when ESPN fails
+   * @param {string} fallback - what the caller does without a schedule, for the warning
+   */
+  async load(fallback) {
+    if (this.schedules && Date.now() - this.loadedAt < SCHEDULE_TTL_MS) {
+      return this.schedules;
+    }
+
+    // Services asking at the same time share one request
+    this.loading = this.loading || this.espnClient.getProTeamSchedules().finally(() => {
+      this.loading = null;
+    });
+    try {
+      this.schedules = await this.loading;
+      this.loadedAt = Date.now();
+    } catch (error) {
+      logger.warn(`NFL schedule unavailable, ${fallback}: ${error.message}`);
+    }
+    return this.schedules;
+  }
+
+  /**
+   * Give a PlayerValueModel the schedule unless it already has one
+   */
+  async applyTo(valueModel, fallback) {
+    if (!valueModel.schedules) {
+      const schedules = await this.load(fallback);
+      if (schedules) {
+        valueModel.setSchedules(schedules);
+      }
+    }
+    return valueModel.schedules;
+  }
+}
+
+module.exports = ScheduleProvider;
@@ -0,0 +1,493 @@
+/**
+ * Scoring Engine
+ * Converts raw stat lines into fantasy points using a league's full scoring rules
+ * (ESPN scoringSettings, Sleeper scoring_settings, a JSON rules file, or a built-in preset)
+ */
+const fs = require('fs');
+const path = require('path');
+const { round } = require('../utils/numbers');
+
+// ESPN statId -> canonical stat key
+const ESPN_STATS = {
+  3: 'passingYards',
+  4: 'passingTouchdowns',
+  19: 'passing2pt',
+  20: 'interceptions',
+  24: 'rushingYards',
+  25: 'rushingTouchdowns',
+  26: 'rushing2pt',
+  42: 'receivingYards',
+  43: 'receivingTouchdowns',
+  44: 'receiving2pt',
+  53: 'receptions',
+  72: 'fumblesLost',
+  74: 'fgMade50Plus',
+  77: 'fgMade40To49',
+  80: 'fgMade0To39',
+  85: 'fgMissed',
+  86: 'patMade',
+  88: 'patMissed',
+  93: 'blockedKickTouchdowns',
+  95: 'defInterceptions',
+  96: 'defFumblesRecovered',
+  97: 'defBlockedKicks',
+  98: 'defSafeties',
+  99: 'defSacks',
+  101: 'kickoffReturnTouchdowns',
+  102: 'puntReturnTouchdowns',
+  103: 'interceptionReturnTouchdowns',
+  104: 'fumbleReturnTouchdowns',
+  120: 'pointsAllowed',
+  127: 'yardsAllowed',
+  198: 'fgMade50To59',
+  201: 'fgMade60Plus'
+};
+
+// ESPN statIds that are awarded once when a stat falls inside a range (bonuses and D/ST tiers)
+const ESPN_RANGES = {
+  17: { stat: 'passingYards', min: 300, max: 399 },
+  18: { stat: 'passingYards', min: 400 },
+  37: { stat: 'rushingYards', min: 100, max: 199 },
+  38: { stat: 'rushingYards', min: 200 },
+  56: { stat: 'receivingYards', min: 100, max: 199 },
+  57: { stat: 'receivingYards', min: 200 },
+  89: { stat: 'pointsAllowed', min: 0, max: 0 },
+  90: { stat: 'pointsAllowed', min: 1, max: 6 },
+  91: { stat: 'pointsAllowed', min: 7, max: 13 },
+  92: { stat: 'pointsAllowed', min: 14, max: 17 },
+  121: { stat: 'pointsAllowed', min: 18, max: 21 },
+  122: { stat: 'pointsAllowed', min: 22, max: 27 },
+  123: { stat: 'pointsAllowed', min: 28, max: 34 },
+  124: { stat: 'pointsAllowed', min: 35, max: 45 },
+  125: { stat: 'pointsAllowed', min: 46 },
+  128: { stat: 'yardsAllowed', max: 99 },
+  129: { stat: 'yardsAllowed', min: 100, max: 199 },
+  130: { stat: 'yardsAllowed', min: 200, max: 299 },
+  131: { stat: 'yardsAllowed', min: 300, max: 349 },
+  132: { stat: 'yardsAllowed', min: 350, max: 399 },
+  133: { stat: 'yardsAllowed', min: 400, max: 449 },
+  134: { stat: 'yardsAllowed', min: 450, max: 499 },
+  135: { stat: 'yardsAllowed', min: 500, max: 549 },
+  136: { stat: 'yardsAllowed', min: 550 }
+};
+
+// Sleeper scoring_settings key -> canonical stat key(s). Field goals under 30 yards (fgm_0_19,
+// fgm_20_29) are almost always scored like 30-39, which the canonical fgMade0To39 covers.
+const SLEEPER_STATS = {
+  pass_yd: 'passingYards',
+  pass_td: 'passingTouchdowns',
+  pass_2pt: 'passing2pt',
+  pass_int: 'interceptions',
+  rush_yd: 'rushingYards',
+  rush_td: 'rushingTouchdowns',
+  rush_2pt: 'rushing2pt',
+  rec: 'receptions',
+  rec_yd: 'receivingYards',
+  rec_td: 'receivingTouchdowns',
+  rec_2pt: 'receiving2pt',
+  fum_lost: 'fumblesLost',
+  fgm_30_39: 'fgMade0To39',
+  fgm_40_49: 'fgMade40To49',
+  fgm_50p: 'fgMade50Plus',
+  fgm_50_59: 'fgMade50To59',
+  fgm_60p: 'fgMade60Plus',
+  fgmiss: 'fgMissed',
+  xpm: 'patMade',
+  xpmiss: 'patMissed',
+  sack: 'defSacks',
+  int: 'defInterceptions',
+  fum_rec: 'defFumblesRecovered',
+  safe: 'defSafeties',
+  blk_kick: 'defBlockedKicks',
+  def_td: ['interceptionReturnTouchdowns', 'fumbleReturnTouchdowns', 'blockedKickTouchdowns'],
+  def_st_td: ['kickoffReturnTouchdowns', 'puntReturnTouchdowns']
+};
+
+// Sleeper bonuses and D/ST tiers awarded once when a stat falls inside a range
+const SLEEPER_RANGES = {
+  bonus_pass_yd_300: { stat: 'passingYards', min: 300, max: 399 },
+  bonus_pass_yd_400: { stat: 'passingYards', min: 400 },
+  bonus_rush_yd_100: { stat: 'rushingYards', min: 100, max: 199 },
+  bonus_rush_yd_200: { stat: 'rushingYards', min: 200 },
+  bonus_rec_yd_100: { stat: 'receivingYards', min: 100, max: 199 },
+  bonus_rec_yd_200: { stat: 'receivingYards', min: 200 },
+  pts_allow_0: { stat: 'pointsAllowed', min: 0, max: 0 },
+  pts_allow_1_6: { stat: 'pointsAllowed', min: 1, max: 6 },
+  pts_allow_7_13: { stat: 'pointsAllowed', min: 7, max: 13 },
+  pts_allow_14_20: { stat: 'pointsAllowed', min: 14, max: 20 },
+  pts_allow_21_27: { stat: 'pointsAllowed', min: 21, max: 27 },
+  pts_allow_28_34: { stat: 'pointsAllowed', min: 28, max: 34 },
+  pts_allow_35p: { stat: 'pointsAllowed', min: 35 },
+  yds_allow_0_100: { stat: 'yardsAllowed', max: 99 },
+  yds_allow_100_199: { stat: 'yardsAllowed', min: 100, max: 199 },
+  yds_allow_200_299: { stat: 'yardsAllowed', min: 200, max: 299 },
+  yds_allow_300_349: { stat: 'yardsAllowed', min: 300, max: 349 },
+  yds_allow_350_399: { stat: 'yardsAllowed', min: 350, max: 399 },
+  yds_allow_400_449: { stat: 'yardsAllowed', min: 400, max: 449 },
+  yds_allow_450_499: { stat: 'yardsAllowed', min: 450, max: 499 },
+  yds_allow_500_549: { stat: 'yardsAllowed', min: 500, max: 549 },
+  yds_allow_550p: { stat: 'yardsAllowed', min: 550 }
+};
+
+// Sleeper per-position reception bonuses (TE premium and friends), added on top of rec
+const SLEEPER_RECEPTION_BONUSES = { bonus_rec_rb: 'RB', bonus_rec_wr: 'WR', bonus_rec_te: 'TE' };
+
+// Stat names used by the projection files in data/ -> canonical stat key
+const STAT_ALIASES = {
+  passingTDs: 'passingTouchdowns',
+  rushingTDs: 'rushingTouchdowns',
+  receivingTDs: 'receivingTouchdowns',
+  fieldGoals: 'fgMade0To39',
+  extraPoints: 'patMade',
+  sacks: 'defSacks',
+  fumbleRecoveries: 'defFumblesRecovered',
+  defensiveTDs: 'interceptionReturnTouchdowns'
+};
+
+// ESPN lineup slot ids used in pointsOverrides (e.g. TE premium is an override on slot 6)
+const ESPN_SLOT_POSITIONS = { 0: 'QB', 2: 'RB', 4: 'WR', 6: 'TE', 16: 'DST', 17: 'K' };
+
+const BASE_RULES = {
+  passingYards: 0.04,
+  passingTouchdowns: 4,
+  passing2pt: 2,
+  interceptions: -2,
+  rushingYards: 0.1,
+  rushingTouchdowns: 6,
+  rushing2pt: 2,
+  receivingYards: 0.1,
+  receivingTouchdowns: 6,
+  receiving2pt: 2,
+  fumblesLost: -2,
+  fgMade0To39: 3,
+  fgMade40To49: 4,
+  fgMade50Plus: 5,
+  fgMissed: -1,
+  patMade: 1,
+  defSacks: 1,
+  defInterceptions: 2,
+  defFumblesRecovered: 2,
+  defSafeties: 2,
+  defBlockedKicks: 2,
+  interceptionReturnTouchdowns: 6,
+  fumbleReturnTouchdowns: 6,
+  blockedKickTouchdowns: 6,
+  kickoffReturnTouchdowns: 6,
+  puntReturnTouchdowns: 6
+};
+
+const PRESETS = {
+  standard: { name: 'Standard', stats: { ...BASE_RULES, receptions: 0 } },
+  'half-ppr': { name: 'Half-PPR', stats: { ...BASE_RULES, receptions: 0.5 } },
+  ppr: { name: 'PPR', stats: { ...BASE_RULES, receptions: 1 } }
+};
+
+// Bayou-style nested config (data/bayou-league-config.json "scoring") -> canonical key(s)
+const CATEGORY_KEYS = {
+  passing: { yards: 'passingYards', td: 'passingTouchdowns', int: 'interceptions', twoPoint: 'passing2pt' },
+  rushing: { yards: 'rushingYards', td: 'rushingTouchdowns', twoPoint: 'rushing2pt' },
+  receiving: { yards: 'receivingYards', receptions: 'receptions', td: 'receivingTouchdowns', twoPoint: 'receiving2pt' },
+  kicking: {
+    pat: 'patMade',
+    patMiss: 'patMissed',
+    fgMiss: 'fgMissed',
+    fg0_39: 'fgMade0To39',
+    fg40_49: 'fgMade40To49',
+    fg50_59: 'fgMade50To59',
+    fg60_plus: 'fgMade60Plus'
+  },
+  defense: {
+    sack: 'defSacks',
+    int: 'defInterceptions',
+    fumbleRec: 'defFumblesRecovered',
+    safety: 'defSafeties',
+    td: ['interceptionReturnTouchdowns', 'fumbleReturnTouchdowns', 'blockedKickTouchdowns'],
+    block: 'defBlockedKicks'
+  },
+  misc: { fumbleLost: 'fumblesLost' }
+};
+
+class ScoringEngine {
+  /**
+   * @param {Object} rules
+   * @param {string} [rules.name]
+   * @param {Object} rules.stats - points per unit of each stat
+   * @param {Object} [rules.positionOverrides] - per-position stat points, e.g. { TE: { receptions: 1.5 } }
+   * @param {Array} [rules.ranges] - one-off awards when a stat lands in [min, max], e.g. 300+ passing yards
+   */
+  constructor(rules = PRESETS.ppr) {
+    this.name = rules.name || 'Custom';
+    this.stats = { ...(rules.stats || {}) };
+    this.positionOverrides = rules.positionOverrides || {};
+    this.ranges = rules.ranges || [];
+  }
+
+  /**
+   * Load scoring from a preset name ("ppr", "half-ppr", "standard") or a JSON rules file path
+   */
+  static load(source = process.env.SCORING_RULES || 'ppr') {
+    const key = String(source).trim().toLowerCase();
+    if (PRESETS[key]) {
+      return new ScoringEngine(PRESETS[key]);
+    }
+    return ScoringEngine.fromFile(source);
+  }
+
+  static fromFile(filePath) {
+    const resolved = path.isAbsolute(filePath) ? filePath : path.join(process.cwd(), filePath);
+    const rules = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+
+    // Accept a whole league config (like bayou-league-config.json) or just its scoring block
+    if (rules.scoring) {
+      return ScoringEngine.fromCategoryRules(rules.scoring, rules.leagueName);
+    }
+    if (rules.stats) {
+      return new ScoringEngine(rules);
+    }
+    return ScoringEngine.fromCategoryRules(rules, path.basename(filePath, '.json'));
+  }
+
+  /**
+   * Build from the nested passing/rushing/receiving/kicking/defense format
+   */
+  static fromCategoryRules(scoring, name = 'Custom') {
+    const stats = {};
+    const ranges = [];
+
+    Object.entries(CATEGORY_KEYS).forEach(([category, keys]) => {
+      Object.entries(scoring[category] || {}).forEach(([key, points]) => {
+        if (keys[key] && typeof points === 'number') {
+          [].concat(keys[key]).forEach(stat => {
+            stats[stat] = points;
+          });
+        }
+      });
+    });
+
+    const defense = scoring.defense || {};
+    Object.entries(defense.pointsAllowed || {}).forEach(([bucket, points]) => {
+      ranges.push({ stat: 'pointsAllowed', ...parseBucket(bucket), points });
+    });
+    Object.entries(defense.yardsAllowed || {}).forEach(([bucket, points]) => {
+      ranges.push({ stat: 'yardsAllowed', ...parseBucket(bucket), points });
+    });
+
+    return new ScoringEngine({
+      name,
+      stats,
+      positionOverrides: scoring.positionOverrides || {},
+      ranges: ranges.concat(scoring.bonuses || [])
+    });
+  }
+
+  /**
+   * Build from ESPN league settings (settings.scoringSettings or its scoringItems array)
+   */
+  static fromESPN(scoringSettings, name = 'ESPN League') {
+    const items = Array.isArray(scoringSettings) ? scoringSettings : scoringSettings?.scoringItems || [];
+    const stats = {};
+    const positionOverrides = {};
+    const ranges = [];
+
+    items.forEach(item => {
+      const points = item.points ?? 0;
+
+      if (ESPN_RANGES[item.statId]) {
+        ranges.push({ ...ESPN_RANGES[item.statId], points });
+        return;
+      }
+
+      const stat = ESPN_STATS[item.statId];
+      if (!stat) {
+        return;
+      }
+
+      stats[stat] = points;
+      Object.entries(item.pointsOverrides || {}).forEach(([slotId, override]) => {
+        const position = ESPN_SLOT_POSITIONS[slotId];
+        if (position) {
+          positionOverrides[position] = { ...positionOverrides[position], [stat]: override };
+        }
+      });
+    });
+
+    return new ScoringEngine({ name, stats, positionOverrides, ranges });
+  }
+
+  /**
+   * Build from Sleeper league scoring_settings ({ pass_td: 4, rec: 1, ... })
+   */
+  static fromSleeper(scoringSettings = {}, name = 'Sleeper League') {
+    const stats = {};
+    const positionOverrides = {};
+    const ranges = [];
+
+    Object.entries(scoringSettings || {}).forEach(([key, points]) => {
+      if (typeof points !== 'number') {
+        return;
+      }
+      if (SLEEPER_RANGES[key]) {
+        ranges.push({ ...SLEEPER_RANGES[key], points });
+      } else if (SLEEPER_STATS[key]) {
+        [].concat(SLEEPER_STATS[key]).forEach(stat => {
+          stats[stat] = points;
+        });
+      }
+    });
+
+    Object.entries(SLEEPER_RECEPTION_BONUSES).forEach(([key, position]) => {
+      if (scoringSettings?.[key]) {
+        positionOverrides[position] = { receptions: (stats.receptions || 0) + scoringSettings[key] };
+      }
+    });
+
+    return new ScoringEngine({ name, stats, positionOverrides, ranges });
+  }
+
+  /**
+   * Scoring for a league from ESPNClient/SleeperClient getLeagueInfo()
+   */
+  static fromLeague(leagueInfo) {
+    return leagueInfo.platform === 'sleeper'
+      ? ScoringEngine.fromSleeper(leagueInfo.scoringSettings, leagueInfo.name)
+      : ScoringEngine.fromESPN(leagueInfo.scoringSettings, leagueInfo.name);
+  }
+
+  /**
+   * Convert an ESPN stats object ({ statId: value }) into a canonical stat line
+   */
+  static fromESPNStats(espnStats = {}) {
+    const line = {};
+    Object.entries(espnStats).forEach(([statId, value]) => {
+      const stat = ESPN_STATS[statId];
+      if (stat) {
+        line[stat] = value;
+      }
+    });
+    return line;
+  }
+
+  /**
+   * Map a stat line with source-specific names (passingTDs, sacks, ...) onto canonical keys.
+   * "interceptions" means thrown for offense and made for a defense.
+   */
+  static normalizeStatLine(line = {}, position = null) {
+    const isDefense = position && normalizePosition(position) === 'DST';
+    const normalized = {};
+
+    Object.entries(line).forEach(([stat, value]) => {
+      if (typeof value !== 'number' || stat === 'fantasyPoints') {
+        return;
+      }
+      const key = isDefense && stat === 'interceptions' ? 'defInterceptions' : STAT_ALIASES[stat] || stat;
+      normalized[key] = (normalized[key] || 0) + value;
+    });
+    return normalized;
+  }
+
+  /**
+   * Points for one unit of a stat, honouring position overrides
+   */
+  getRule(stat, position = null) {
+    const override = position && this.positionOverrides[normalizePosition(position)];
+    if (override && override[stat] !== undefined) {
+      return override[stat];
+    }
+    return this.stats[stat] ?? 0;
+  }
+
+  /**
+   * Itemised points for a stat line: [{ stat, value, points }]
+   */
+  breakdown(statLine = {}, position = null) {
+    const items = [];
+
+    Object.entries(statLine).forEach(([stat, value]) => {
+      if (typeof value !== 'number' || value === 0) {
+        return;
+      }
+      const rule = this.getRule(stat, position);
+      if (rule !== 0) {
+        items.push({ stat, value, points: round(value * rule, 2) });
+      }
+    });
+
+    this.ranges.forEach(range => {
+      const value = statLine[range.stat];
+      if (typeof value !== 'number') {
+        return;
+      }
+      if (range.min !== undefined && value < range.min) return;
+      if (range.max !== undefined && value > range.max) return;
+      if (range.points !== 0) {
+        items.push({ stat: `${range.stat} ${describeRange(range)}`, value, points: range.points });
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * Total fantasy points for a stat line (fractional, rounded to 2 decimals)
+   */
+  score(statLine = {}, position = null) {
+    const total = this.breakdown(statLine, position).reduce((sum, item) => sum + item.points, 0);
+    return round(total, 2);
+  }
+
+  /**
+   * Short label such as "PPR, TE premium 1.5, 6pt pass TD"
+   */
+  describe() {
+    const receptions = this.stats.receptions || 0;
+    const parts = [receptions === 1 ? 'PPR' : receptions === 0.5 ? 'Half-PPR' : receptions ? `${receptions} PPR` : 'Standard'];
+
+    const tePremium = this.positionOverrides.TE?.receptions;
+    if (tePremium !== undefined && tePremium !== receptions) {
+      parts.push(`TE premium ${tePremium}`);
+    }
+    if (this.stats.passingTouchdowns && this.stats.passingTouchdowns !== 4) {
+      parts.push(`${this.stats.passingTouchdowns}pt pass TD`);
+    }
+    return parts.join(', ');
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      stats: this.stats,
+      positionOverrides: this.positionOverrides,
+      ranges: this.ranges
+    };
+  }
+}
+
+function normalizePosition(position) {
+  const key = String(position).toUpperCase();
+  return key === 'D/ST' || key === 'DEF' ? 'DST' : key;
+}
+
+/**
+ * "0" -> {0,0}, "1_6" -> {1,6}, "46_plus" -> {46}, "under100" -> {max 99}
+ */
+function parseBucket(bucket) {
+  const under = bucket.match(/^under(\d+)$/);
+  if (under) {
+    return { max: Number(under[1]) - 1 };
+  }
+  const [min, max] = bucket.split('_');
+  if (max === 'plus') {
+    return { min: Number(min) };
+  }
+  return { min: Number(min), max: Number(max ?? min) };
+}
+
+function describeRange(range) {
+  if (range.min === undefined) return `<=${range.max}`;
+  if (range.max === undefined) return `${range.min}+`;
+  return range.min === range.max ? `${range.min}` : `${range.min}-${range.max}`;
+}
+
+ScoringEngine.PRESETS = PRESETS;
+
+module.exports = ScoringEngine;
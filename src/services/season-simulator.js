@@ -0,0 +1,525 @@
+/**
+ * Season Simulator
+ * Monte Carlo playoff odds from the league's real schedule. Each team's weekly score is drawn around
+ * its best projected lineup for that week (byes and matchups from the value model, nudged by how the
+ * team has actually scored), the rest of the regular season is played on top of the current
+ * standings, and the league's playoff format (config/league-settings.js) decides seeds, byes and the
+ * title. A proposed trade is replayed on the same random draws, so the change in odds comes from the
+ * trade rather than from luckier seasons.
+ */
+const PlayerValueModel = require('./player-value-model');
+const RosterRequirements = require('./roster-requirements');
+const LineupOptimizer = require('./lineup-optimizer');
+const MockDraftEngine = require('./mock-draft-engine');
+const ScheduleProvider = require('./schedule-provider');
+const ESPNClient = require('../api/espn-client');
+const { leagueConfigurations } = require('../../config/league-settings');
+const bayouLeague = require('../../data/bayou-league-config.json');
+const { Validator, ValidationError } = require('../utils/validation');
+const { round } = require('../utils/numbers');
+const createLogger = require('../utils/logger');
+
+const logger = createLogger();
+
+const DEFAULT_ITERATIONS = 2000;
+const MAX_ITERATIONS = 20000;
+// Seasons played per batch before other work gets a turn; a season is far cheaper than a mock draft
+const YIELD_EVERY = 250;
+
+// Leagues without a playoff format in their profile: 14-week regular season, six teams in weeks 15-17
+const DEFAULT_FORMAT = { playoffWeeks: [15, 16, 17], playoffTeams: 6 };
+
+// A team's weekly score swings about this share of its projection
+const WEEKLY_SD_SHARE = 0.18;
+
+// Weeks of results it takes for a team's scoring form to count as much as its projection, and the
+// furthest form can move a projection
+const FORM_WEIGHT_GAMES = 4;
+const MAX_FORM_ADJUSTMENT = 0.3;
+
+class SeasonSimulator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - league client (ESPNClient or SleeperClient) for the schedule
+   * @param {RosterRequirements} [options.requirements]
+   * @param {PlayerValueModel} [options.valueModel]
+   * @param {ESPNClient} [options.espnClient] - NFL schedule source for byes and matchups
+   * @param {Object} [options.format] - SeasonSimulator.loadFormat output (default: LEAGUE_PROFILE's)
+   */
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new Error('SeasonSimulator needs a league client');
+    }
+    this.client = options.client;
+    this.requirements = options.requirements || RosterRequirements.load();
+    this.valueModel = options.valueModel || new PlayerValueModel();
+    this.espnClient = options.espnClient || new ESPNClient();
+    this.format = options.format || SeasonSimulator.loadFormat();
+  }
+
+  /**
+   * Playoff format for a league profile: "bayou", a key from config/league-settings.js, or the default
+   * @returns {Object} { name, regularSeasonWeeks, playoffTeams, byes, bracketSize, rounds: [{ name, weeks }] }
+   */
+  static loadFormat(profile = process.env.LEAGUE_PROFILE) {
+    const key = (profile || '').trim().toLowerCase();
+
+    if (key === 'bayou') {
+      // Weeks per round in order, e.g. { round1: 2, championship: 2 }
+      const { regularSeasonWeeks, playoffTeams, playoffWeeks } = bayouLeague.season;
+      const roundLengths = Object.values(playoffWeeks);
+      const weeks = Array.from({ length: roundLengths.reduce((sum, length) => sum + length, 0) }, (_, index) => regularSeasonWeeks + index + 1);
+      return SeasonSimulator.buildFormat(key, weeks, playoffTeams, roundLengths);
+    }
+
+    const league = leagueConfigurations[key];
+    if (league?.playoffWeeks && league.playoffTeams) {
+      return SeasonSimulator.buildFormat(key, league.playoffWeeks, league.playoffTeams);
+    }
+    return SeasonSimulator.buildFormat('default', DEFAULT_FORMAT.playoffWeeks, DEFAULT_FORMAT.playoffTeams);
+  }
+
+  /**
+   * Rounds for a single-elimination bracket, top seeds getting byes when the field isn't a power of
+   * two. Without explicit round lengths the playoff weeks are split evenly and any extra weeks go to
+   * the championship.
+   */
+  static buildFormat(name, playoffWeeks, playoffTeams, roundLengths = null) {
+    const weeks = [...playoffWeeks].sort((a, b) => a - b);
+    const bracketSize = Math.pow(2, Math.ceil(Math.log2(Math.max(2, playoffTeams))));
+    const roundCount = Math.log2(bracketSize);
+    if (roundLengths && roundLengths.length !== roundCount) {
+      throw new Error(`Playoff format ${name}: ${playoffTeams} teams play ${roundCount} rounds, not ${roundLengths.length}`);
+    }
+    if (weeks.length < roundCount) {
+      throw new Error(`Playoff format ${name}: ${playoffTeams} teams need at least ${roundCount} playoff weeks`);
+    }
+
+    const baseLength = Math.floor(weeks.length / roundCount);
+    const lengths = roundLengths || Array.from({ length: roundCount }, (_, index) =>
+      (index === roundCount - 1 ? weeks.length - baseLength * (roundCount - 1) : baseLength));
+    const names = ['Championship', 'Semifinals', 'Quarterfinals'];
+
+    let next = 0;
+    const rounds = lengths.map((length, index) => {
+      const round = {
+        name: names[roundCount - 1 - index] || `Round ${index + 1}`,
+        weeks: weeks.slice(next, next + length)
+      };
+      next += length;
+      return round;
+    });
+
+    return {
+      name,
+      regularSeasonWeeks: weeks[0] - 1,
+      playoffTeams,
+      byes: bracketSize - playoffTeams,
+      bracketSize,
+      rounds
+    };
+  }
+
+  /**
+   * Seed order down a bracket so the top seeds meet last, e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+   */
+  static bracketOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+      const span = order.length * 2;
+      order = order.flatMap(seed => [seed, span + 1 - seed]);
+    }
+    return order;
+  }
+
+  /**
+   * Playoff, bye and title odds for every team, and optionally how a trade changes them
+   * @param {Object} options
+   * @param {Object} options.snapshot - LeagueStats snapshot (rosters, standings, current week)
+   * @param {Object} [options.seasonStats] - LeagueStats.toSeasonStats output
+   * @param {string|number} [options.team] - my team's name or ID
+   * @param {Array<string>} [options.playerNames] - players on my team, to find it when no name is given
+   * @param {Object} [options.trade] - { give: [names], receive: [names] }, all received from one team
+   * @param {number} [options.iterations] - seasons to simulate (default 2000)
+   * @param {number} [options.seed]
+   * @returns {Promise<Object>} { week, iterations, seed, format, schedule, myTeam, teams, trade, note }
+   */
+  async simulate({ snapshot, seasonStats = null, team = null, playerNames = [], trade = null, iterations = null, seed = null } = {}) {
+    const runs = iterations === null || iterations === undefined
+      ? DEFAULT_ITERATIONS
+      : Validator.validateNumber(iterations, 'iterations', { min: 100, max: MAX_ITERATIONS, integer: true });
+    if (!snapshot?.teams || snapshot.teams.length < 2) {
+      throw new ValidationError('league', snapshot?.reason || 'no rosters', 'a league with rosters and standings');
+    }
+
+    const myTeam = SeasonSimulator.findTeam(snapshot.teams, { team, playerNames });
+    if (!myTeam && (team || trade)) {
+      throw team
+        ? new ValidationError('team', team, 'a team name or ID in this league')
+        : new ValidationError('playerNames', playerNames.join(', '), 'players on a team in this league');
+    }
+
+    const currentWeek = snapshot.week || PlayerValueModel.estimateCurrentWeek();
+    this.valueModel.setContext({ seasonStats, currentWeek });
+    await ScheduleProvider.forClient(this.espnClient).applyTo(this.valueModel, 'projecting without byes');
+
+    const schedule = await this.loadSchedule(snapshot.teams, currentWeek);
+    const playoffWeeks = this.format.rounds.flatMap(round => round.weeks);
+    const weeks = Array.from(new Set(schedule.games.map(game => game.week).concat(playoffWeeks))).sort((a, b) => a - b);
+    const baseSeed = seed ?? Math.floor(Math.random() * 1e9);
+
+    const projections = this.projectTeams(snapshot.teams, weeks, snapshot.teamStats || {});
+    const outcome = await this.run(projections, snapshot.teamStats || {}, schedule.games, weeks, runs, baseSeed);
+
+    let tradeImpact = null;
+    if (trade) {
+      const traded = SeasonSimulator.applyTrade(snapshot.teams, myTeam, trade);
+      const after = await this.run(
+        this.projectTeams(traded.teams, weeks, snapshot.teamStats || {}),
+        snapshot.teamStats || {}, schedule.games, weeks, runs, baseSeed
+      );
+      const compare = name => {
+        const before = outcome.find(entry => entry.teamName === name);
+        const now = after.find(entry => entry.teamName === name);
+        const change = {};
+        ['playoffOdds', 'byeOdds', 'championshipOdds', 'projectedWeekly', 'projectedWins'].forEach(field => {
+          change[field] = round(now[field] - before[field]);
+        });
+        return { before: SeasonSimulator.pickOdds(before), after: SeasonSimulator.pickOdds(now), change };
+      };
+      tradeImpact = {
+        give: traded.sent.map(player => player.name),
+        receive: traded.received.map(player => player.name),
+        partner: traded.partner.teamName,
+        myTeam: compare(myTeam.teamName),
+        partnerTeam: compare(traded.partner.teamName)
+      };
+    }
+
+    return {
+      week: currentWeek,
+      iterations: runs,
+      seed: baseSeed,
+      format: this.format,
+      schedule: {
+        weeks: Array.from(new Set(schedule.games.map(game => game.week))),
+        generatedWeeks: schedule.generatedWeeks
+      },
+      myTeam: myTeam ? myTeam.teamName : null,
+      teams: outcome,
+      trade: tradeImpact,
+      note: currentWeek > this.format.regularSeasonWeeks
+        ? 'The regular season is over; playoff games already played are simulated too'
+        : null
+    };
+  }
+
+  /**
+   * Regular-season games from the current week on, by team name. ESPN returns the whole schedule in
+   * one call, Sleeper one week at a time; weeks the platform can't supply are filled round-robin.
+   * @returns {Promise<Object>} { games: [{ week, home, away }], generatedWeeks }
+   */
+  async loadSchedule(teams, fromWeek) {
+    const teamNames = new Map(teams.map(team => [String(team.id), team.teamName]));
+    const lastWeek = this.format.regularSeasonWeeks;
+    const byWeek = new Map();
+    const seen = new Set();
+
+    const add = matchups => matchups.forEach(matchup => {
+      const home = teamNames.get(String(matchup.home?.teamId));
+      const away = teamNames.get(String(matchup.away?.teamId));
+      const key = `${matchup.week}:${matchup.id}`;
+      if (!home || !away || matchup.week < fromWeek || matchup.week > lastWeek || seen.has(key)) {
+        return;
+      }
+      seen.add(key);
+      byWeek.set(matchup.week, (byWeek.get(matchup.week) || []).concat({ week: matchup.week, home, away }));
+    });
+
+    for (let week = fromWeek; week <= lastWeek; week++) {
+      if (byWeek.has(week)) {
+        continue;
+      }
+      try {
+        add(await this.client.getMatchups(week));
+      } catch (error) {
+        logger.warn(`League schedule unavailable from week ${week}, pairing teams round-robin: ${error.message}`);
+        break;
+      }
+    }
+
+    const generatedWeeks = [];
+    const names = teams.map(team => team.teamName);
+    for (let week = fromWeek; week <= lastWeek; week++) {
+      if (!byWeek.has(week)) {
+        byWeek.set(week, SeasonSimulator.roundRobin(names, week));
+        generatedWeeks.push(week);
+      }
+    }
+
+    return {
+      games: Array.from(byWeek.keys()).sort((a, b) => a - b).flatMap(week => byWeek.get(week)),
+      generatedWeeks
+    };
+  }
+
+  /**
+   * One week of a circle-method round robin (an odd team out sits the week)
+   */
+  static roundRobin(names, week) {
+    const slots = names.length % 2 === 0 ? [...names] : names.concat(null);
+    const rotation = week % (slots.length - 1);
+    const rotated = [slots[0]].concat(slots.slice(1).map((_, index) => slots[1 + ((index + rotation) % (slots.length - 1))]));
+
+    const games = [];
+    for (let i = 0; i < rotated.length / 2; i++) {
+      const home = rotated[i];
+      const away = rotated[rotated.length - 1 - i];
+      if (home && away) {
+        games.push({ week, home, away });
+      }
+    }
+    return games;
+  }
+
+  /**
+   * Each team's expected score per week from its best lineup, adjusted for how it has scored
+   * relative to the league against how it projects relative to the league
+   * @returns {Map} team name -> { weekly: { week: points }, average, form }
+   */
+  projectTeams(teams, weeks, teamStats) {
+    const projections = new Map();
+    teams.forEach(team => {
+      const weekly = {};
+      weeks.forEach(week => {
+        const candidates = team.roster.map(player => {
+          const outlook = this.valueModel.projectWeek(player, week);
+          return { position: outlook.valuation.position, points: outlook.points };
+        });
+        const { starters } = LineupOptimizer.fillSlots(this.requirements, candidates, candidate => candidate.points);
+        weekly[week] = starters.reduce((sum, slot) => sum + (slot.player ? slot.player.points : 0), 0);
+      });
+      const average = weeks.length > 0 ? weeks.reduce((sum, week) => sum + weekly[week], 0) / weeks.length : 0;
+      projections.set(team.teamName, { weekly, average, form: 0 });
+    });
+
+    const records = teams
+      .map(team => ({ team, stats: teamStats[team.teamName], games: SeasonSimulator.gamesPlayed(teamStats[team.teamName]) }))
+      .filter(record => record.games > 0);
+    if (records.length === 0) {
+      return projections;
+    }
+
+    const leagueActual = records.reduce((sum, record) => sum + record.stats.pointsFor, 0) /
+      records.reduce((sum, record) => sum + record.games, 0);
+    const leagueProjected = Array.from(projections.values()).reduce((sum, projection) => sum + projection.average, 0) / projections.size;
+    if (!leagueActual || !leagueProjected) {
+      return projections;
+    }
+
+    records.forEach(({ team, stats, games }) => {
+      const projection = projections.get(team.teamName);
+      if (!projection.average) {
+        return;
+      }
+      const relative = (stats.pointsFor / games / leagueActual) / (projection.average / leagueProjected);
+      const weight = games / (games + FORM_WEIGHT_GAMES);
+      projection.form = Math.max(-MAX_FORM_ADJUSTMENT, Math.min(MAX_FORM_ADJUSTMENT, (relative - 1) * weight));
+      Object.keys(projection.weekly).forEach(week => {
+        projection.weekly[week] *= 1 + projection.form;
+      });
+      projection.average *= 1 + projection.form;
+    });
+    return projections;
+  }
+
+  static gamesPlayed(stats) {
+    return stats ? (stats.wins || 0) + (stats.losses || 0) + (stats.ties || 0) : 0;
+  }
+
+  /**
+   * Play the season out `iterations` times. Every team-week gets one standard normal draw per season,
+   * taken in the same order every run, so two runs with the same seed differ only in projections.
+   */
+  async run(projections, teamStats, games, weeks, iterations, seed) {
+    const random = MockDraftEngine.createRandom(seed);
+    const names = Array.from(projections.keys()).sort();
+    const order = SeasonSimulator.bracketOrder(this.format.bracketSize);
+    const tallies = new Map(names.map(name => [name, { playoffs: 0, byes: 0, titles: 0, wins: 0, seedSum: 0 }]));
+
+    for (let i = 0; i < iterations; i++) {
+      const scores = new Map();
+      names.forEach(name => {
+        const { weekly } = projections.get(name);
+        const byWeek = {};
+        weeks.forEach(week => {
+          const mean = weekly[week] || 0;
+          byWeek[week] = Math.max(0, mean + MockDraftEngine.gaussian(random) * mean * WEEKLY_SD_SHARE);
+        });
+        scores.set(name, byWeek);
+      });
+
+      const records = new Map(names.map(name => {
+        const stats = teamStats[name] || {};
+        return [name, { wins: (stats.wins || 0) + (stats.ties || 0) / 2, pointsFor: stats.pointsFor || 0 }];
+      }));
+      games.forEach(game => {
+        const home = records.get(game.home);
+        const away = records.get(game.away);
+        const homeScore = scores.get(game.home)[game.week];
+        const awayScore = scores.get(game.away)[game.week];
+        home.pointsFor += homeScore;
+        away.pointsFor += awayScore;
+        if (homeScore === awayScore) {
+          home.wins += 0.5;
+          away.wins += 0.5;
+        } else {
+          (homeScore > awayScore ? home : away).wins++;
+        }
+      });
+
+      const seeds = [...names].sort((a, b) =>
+        records.get(b).wins - records.get(a).wins || records.get(b).pointsFor - records.get(a).pointsFor);
+      seeds.forEach((name, index) => {
+        const tally = tallies.get(name);
+        tally.wins += records.get(name).wins;
+        tally.seedSum += index + 1;
+        if (index < this.format.playoffTeams) tally.playoffs++;
+        if (index < this.format.byes) tally.byes++;
+      });
+
+      tallies.get(this.playBracket(seeds, order, scores)).titles++;
+
+      if ((i + 1) % YIELD_EVERY === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    const percent = count => round((count / iterations) * 100);
+    return names
+      .map(name => {
+        const stats = teamStats[name] || {};
+        const tally = tallies.get(name);
+        const projection = projections.get(name);
+        return {
+          teamName: name,
+          record: { wins: stats.wins || 0, losses: stats.losses || 0, ties: stats.ties || 0 },
+          pointsFor: stats.pointsFor || 0,
+          projectedWeekly: round(projection.average),
+          form: round(projection.form * 100),
+          projectedWins: round(tally.wins / iterations),
+          averageSeed: round(tally.seedSum / iterations),
+          playoffOdds: percent(tally.playoffs),
+          byeOdds: percent(tally.byes),
+          championshipOdds: percent(tally.titles)
+        };
+      })
+      .sort((a, b) => b.playoffOdds - a.playoffOdds || b.championshipOdds - a.championshipOdds || a.averageSeed - b.averageSeed);
+  }
+
+  /**
+   * Single elimination on the format's rounds; a round spanning several weeks is decided on total
+   * points, and the better seed wins a tie
+   * @returns {string} champion
+   */
+  playBracket(seeds, order, scores) {
+    let field = order.map(seed => (seed <= this.format.playoffTeams ? seeds[seed - 1] : null));
+    this.format.rounds.forEach(round => {
+      const total = name => round.weeks.reduce((sum, week) => sum + (scores.get(name)[week] || 0), 0);
+      const next = [];
+      for (let i = 0; i < field.length; i += 2) {
+        const [a, b] = [field[i], field[i + 1]];
+        if (!a || !b) {
+          next.push(a || b);
+          continue;
+        }
+        const [scoreA, scoreB] = [total(a), total(b)];
+        next.push(scoreA > scoreB || (scoreA === scoreB && seeds.indexOf(a) < seeds.indexOf(b)) ? a : b);
+      }
+      field = next;
+    });
+    return field[0];
+  }
+
+  static pickOdds(entry) {
+    const { playoffOdds, byeOdds, championshipOdds, projectedWeekly, projectedWins } = entry;
+    return { playoffOdds, byeOdds, championshipOdds, projectedWeekly, projectedWins };
+  }
+
+  /**
+   * The team matching a name or ID, otherwise the one whose roster overlaps most with playerNames
+   */
+  static findTeam(teams, { team = null, playerNames = [] } = {}) {
+    if (team !== null && team !== undefined && team !== '') {
+      const key = String(team).toLowerCase();
+      return teams.find(entry => String(entry.id) === key || entry.teamName.toLowerCase() === key)
+        || teams.find(entry => entry.teamName.toLowerCase().includes(key))
+        || null;
+    }
+
+    const names = new Set(playerNames.map(name => name.toLowerCase()));
+    let best = null;
+    let bestOverlap = 0;
+    teams.forEach(entry => {
+      const overlap = entry.roster.filter(player => names.has(player.name.toLowerCase())).length;
+      if (overlap > bestOverlap) {
+        best = entry;
+        bestOverlap = overlap;
+      }
+    });
+    return best;
+  }
+
+  static findRosterPlayer(team, name) {
+    const wanted = String(name).toLowerCase().trim();
+    const exact = team.roster.find(player => player.name?.toLowerCase() === wanted);
+    if (exact) {
+      return exact;
+    }
+    const partial = team.roster.filter(player => player.name?.toLowerCase().includes(wanted));
+    return partial.length === 1 ? partial[0] : null;
+  }
+
+  /**
+   * Rosters with the trade made; everyone received has to come from the same team
+   * @returns {Object} { teams, partner, sent, received }
+   */
+  static applyTrade(teams, myTeam, trade) {
+    const give = Validator.validateArray(trade.give, 'give', { minLength: 1, maxLength: 10 });
+    const receive = Validator.validateArray(trade.receive, 'receive', { minLength: 1, maxLength: 10 });
+
+    const sent = give.map(name => {
+      const player = SeasonSimulator.findRosterPlayer(myTeam, name);
+      if (!player) {
+        throw new ValidationError('give', name, `a player on ${myTeam.teamName}'s roster`);
+      }
+      return player;
+    });
+    const partner = teams.find(team => team.teamName !== myTeam.teamName &&
+      receive.every(name => SeasonSimulator.findRosterPlayer(team, name)));
+    if (!partner) {
+      throw new ValidationError('receive', receive.join(', '), 'players all on one other team');
+    }
+    const received = receive.map(name => SeasonSimulator.findRosterPlayer(partner, name));
+
+    return {
+      teams: teams.map(team => {
+        if (team === myTeam) {
+          return { ...team, roster: team.roster.filter(player => !sent.includes(player)).concat(received) };
+        }
+        if (team === partner) {
+          return { ...team, roster: team.roster.filter(player => !received.includes(player)).concat(sent) };
+        }
+        return team;
+      }),
+      partner,
+      sent,
+      received
+    };
+  }
+}
+
+SeasonSimulator.DEFAULT_ITERATIONS = DEFAULT_ITERATIONS;
+SeasonSimulator.MAX_ITERATIONS = MAX_ITERATIONS;
+
+module.exports = SeasonSimulator;
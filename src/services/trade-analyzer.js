@@ -4,12 +4,23 @@
  */
 const createLogger = require('../utils/logger');
 const { Validator, ValidationError } = require('../utils/validation');
+const { round } = require('../utils/numbers');
 const ImprovedClaudeAI = require('../api/improved-claude-ai');
 const ESPN_2025_DRAFT_GUIDE = require('../../data/espn-2025-draft-guide');
 const TradeWebhook = require('./trade-webhook');
+const PlayerValueModel = require('./player-value-model');
+const DynastyValueModel = require('./dynasty-value-model');
+const RosterRequirements = require('./roster-requirements');
+const LineupOptimizer = require('./lineup-optimizer');
+const ESPNClient = require('../api/espn-client');
+const SeasonSimulator = require('./season-simulator');
 
 const logger = createLogger();
 
+// Compatibility points per recorded trade a partner has made, capped: managers who trade listen
+const TRADE_ACTIVITY_BONUS = 5;
+const MAX_TRADE_ACTIVITY_BONUS = 15;
+
 class TradeAnalyzer {
   constructor() {
     this.claude = new ImprovedClaudeAI();
@@ -17,10 +28,16 @@ class TradeAnalyzer {
     this.marketValues = new Map();
     this.lastMarketUpdate = null;
     this.webhook = new TradeWebhook();
+    this.espnClient = new ESPNClient();
+    this.valueModel = new PlayerValueModel();
+    this.rosterRequirements = RosterRequirements.load();
+    this.playoffFormat = SeasonSimulator.loadFormat();
   }
 
   /**
    * Analyze potential trades for a team
+   * @param {Object} [options] - { targetTeam, sendToDiscord, seasonStats, managerProfiles }; manager
+   *   profiles (TransactionMonitor.buildManagerProfiles) favour partners who actually trade
    */
   async analyzeTradeOpportunities(teamData, leagueData, options = {}) {
     try {
@@ -33,12 +50,13 @@ class TradeAnalyzer {
 
       // Get current market values
       await this.updateMarketValues();
+      this.valueModel.setContext({ seasonStats: options.seasonStats, currentWeek: leagueData.currentWeek });
 
       // Analyze team strengths and weaknesses
       const teamAnalysis = this.analyzeTeamComposition(teamData);
       
       // Find potential trade partners
-      const tradePartners = this.identifyTradePartners(teamData, leagueData, teamAnalysis);
+      const tradePartners = this.identifyTradePartners(teamData, leagueData, teamAnalysis, options.managerProfiles);
       
       // Generate AI-powered trade suggestions
       const suggestions = await this.generateTradeSuggestions(
@@ -110,18 +128,24 @@ class TradeAnalyzer {
 
     // Categorize players by position
     roster.forEach(player => {
-      const pos = player.position || 'UNKNOWN';
+      const valuation = this.valueModel.evaluate(player);
+      const pos = valuation.position || 'UNKNOWN';
       if (analysis.positions[pos]) {
         analysis.positions[pos].push({
           ...player,
-          marketValue: this.getPlayerMarketValue(player),
-          tier: this.getPlayerTier(player),
-          age: this.getPlayerAge(player),
-          injury: this.getInjuryRisk(player)
+          position: pos,
+          marketValue: this.marketValues.get(player.name) || valuation.value,
+          tier: valuation.tier,
+          age: valuation.age,
+          injury: valuation.injury.risk,
+          valuation
         });
       }
     });
 
+    // Best first, so starters/bench slices and surplus pick the right players
+    Object.values(analysis.positions).forEach(players => players.sort((a, b) => b.marketValue - a.marketValue));
+
     // Analyze each position
     for (const [position, players] of Object.entries(analysis.positions)) {
       const positionAnalysis = this.analyzePosition(position, players);
@@ -283,15 +307,22 @@ class TradeAnalyzer {
 
   /**
    * Identify potential trade partners
+   * @param {Array} [managerProfiles] - recorded transaction habits per team name
    */
-  identifyTradePartners(myTeam, leagueData, myAnalysis) {
+  identifyTradePartners(myTeam, leagueData, myAnalysis, managerProfiles = []) {
     const partners = [];
+    const profiles = new Map(managerProfiles.map(profile => [profile.teamName.toLowerCase(), profile]));
     
     for (const team of leagueData.teams) {
       if (team.teamName === myTeam.teamName) continue;
       
       const partnerAnalysis = this.analyzeTeamComposition(team);
       const compatibility = this.calculateTradeCompatibility(myAnalysis, partnerAnalysis);
+      const profile = profiles.get(String(team.teamName).toLowerCase());
+      if (profile) {
+        compatibility.managerProfile = profile;
+        compatibility.score += Math.min(MAX_TRADE_ACTIVITY_BONUS, profile.trades * TRADE_ACTIVITY_BONUS);
+      }
       
       if (compatibility.score > 30) { // Threshold for viable trades
         partners.push({
@@ -454,7 +485,7 @@ Format as JSON with structure:
     for (const [position, players] of Object.entries(analysis.positions)) {
       if (players.length > 0) {
         formatted += `${position}: ${players.map(p => 
-          `${p.name} (Tier ${p.tier}, Value: ${p.marketValue || 'N/A'})`
+          `${p.name} (Tier ${p.tier}, Value: ${p.marketValue ?? 'N/A'}, ROS: ${p.valuation?.rosPoints ?? 'N/A'} pts, Injury risk: ${p.injury})`
         ).join(', ')}\n`;
       }
     }
@@ -484,6 +515,12 @@ Format as JSON with structure:
       formatted += `${i + 1}. ${opp.type}: ${opp.myNeed?.position || opp.myStrength?.position} (Value: ${opp.value})\n`;
     });
 
+    const profile = compatibility.managerProfile;
+    if (profile) {
+      formatted += `\nPARTNER HABITS: ${profile.trades} trades, ${profile.adds} adds on record` +
+        `${profile.tendencies.length > 0 ? ` (${profile.tendencies.join(', ')})` : ''}\n`;
+    }
+
     return formatted;
   }
 
@@ -575,58 +612,308 @@ Format as JSON with structure:
    */
   calculateTradeScore(suggestion, myAnalysis) {
     let score = suggestion.fairness || 5;
-    
+    const received = TradeAnalyzer.uniqueNames(suggestion.trade.receive || []).map(name => this.valueModel.evaluate({ name }));
+
     // Boost score if addresses high priority needs
-    if (suggestion.trade.receive) {
-      for (const playerName of suggestion.trade.receive) {
-        const player = this.findPlayerInAnalysis(playerName, myAnalysis);
-        if (player) {
-          const need = myAnalysis.needs.find(n => n.position === player.position);
-          if (need) {
-            score += need.priority * 0.1;
-          }
-        }
+    for (const player of received) {
+      const need = myAnalysis.needs.find(n => n.position === player.position);
+      if (need) {
+        score += need.priority * 0.1;
       }
     }
 
-    // Reduce score for giving up too much value
-    if (suggestion.trade.give && suggestion.trade.give.length > suggestion.trade.receive?.length) {
-      score -= 1;
+    // Net value on the value model's 0-100 scale. Values are over replacement, so the spare
+    // roster spot in a two-for-one is worth a waiver pickup (zero), which is what makes
+    // consolidation trades score correctly.
+    const valueSent = TradeAnalyzer.uniqueNames(suggestion.trade.give || [])
+      .reduce((sum, name) => sum + (this.findPlayerInAnalysis(name, myAnalysis)?.marketValue
+        ?? this.valueModel.evaluate({ name }).value), 0);
+    const valueReceived = received.reduce((sum, player) => sum + player.value, 0);
+    score += (valueReceived - valueSent) / 10;
+
+    return round(score, 1);
+  }
+
+  /**
+   * Evaluate a specific N-for-M proposal: both teams' optimal lineups before and after, the
+   * rest-of-season points swing, depth changes and a fairness verdict. The AI narrative is added
+   * on top of these numbers and never replaces them.
+   * In dynasty mode values cover the next few seasons along age curves, and either side may include
+   * rookie picks ("2026 1st", "2026 1.04").
+   * @param {Object} proposal - { myTeam, partnerTeam, give: [names], receive: [names] }
+   * @param {Object} [options] - { seasonStats, currentWeek, narrative, rosterRequirements, mode }; the
+   *   requirements default to this analyzer's league profile, the mode ('redraft' or 'dynasty') to redraft
+   */
+  async evaluateTradeProposal(proposal, options = {}) {
+    this.validateTradeProposal(proposal);
+    const { myTeam, partnerTeam } = proposal;
+    const requirements = options.rosterRequirements || this.rosterRequirements;
+    const dynasty = options.mode === 'dynasty';
+
+    await this.updateMarketValues();
+    this.valueModel.setContext({ seasonStats: options.seasonStats, currentWeek: options.currentWeek });
+    const dynastyModel = dynasty
+      ? new DynastyValueModel({ valueModel: this.valueModel, leagueSize: requirements.size })
+      : null;
+
+    // Picks only change hands in dynasty leagues; they never touch either lineup
+    const pickFor = name => (dynasty ? DynastyValueModel.parsePick(name) : null);
+    const sentPicks = proposal.give.map(pickFor).filter(Boolean);
+    const receivedPicks = proposal.receive.map(pickFor).filter(Boolean);
+    // A player named twice (in any case, or once in full and once in part) is only traded once;
+    // picks can repeat, since a team may own several picks in the same round
+    const findPlayers = (team, names, side) => [...new Set(TradeAnalyzer.uniqueNames(names.filter(name => !pickFor(name)))
+      .map(name => this.findRosterPlayer(team, name, side)))];
+    const sent = findPlayers(myTeam, proposal.give, 'give');
+    const received = findPlayers(partnerTeam, proposal.receive, 'receive');
+
+    const myAfter = myTeam.roster.filter(player => !sent.includes(player)).concat(received);
+    const partnerAfter = partnerTeam.roster.filter(player => !received.includes(player)).concat(sent);
+
+    const evaluate = player => (dynasty ? dynastyModel.evaluate(player) : this.valueModel.evaluate(player));
+    const give = sent.map(evaluate).concat(sentPicks.map(pick => dynastyModel.evaluatePick(pick)));
+    const receive = received.map(evaluate).concat(receivedPicks.map(pick => dynastyModel.evaluatePick(pick)));
+    const valueSent = round(give.reduce((sum, player) => sum + player.value, 0), 1);
+    const valueReceived = round(receive.reduce((sum, player) => sum + player.value, 0), 1);
+
+    const result = {
+      mode: dynasty ? 'dynasty' : 'redraft',
+      myTeam: this.compareRosters(myTeam.teamName, myTeam.roster, myAfter, requirements),
+      partnerTeam: this.compareRosters(partnerTeam.teamName, partnerTeam.roster, partnerAfter, requirements),
+      give,
+      receive,
+      valueSent,
+      valueReceived,
+      narrative: null,
+      timestamp: new Date().toISOString()
+    };
+    result.verdict = this.judgeFairness(valueSent, valueReceived, result.myTeam, result.partnerTeam);
+
+    if (options.narrative !== false) {
+      result.narrative = await this.getTradeNarrative(result);
+    }
+
+    this.tradeHistory.push({ give: proposal.give, receive: proposal.receive, verdict: result.verdict.label });
+    return result;
+  }
+
+  /**
+   * Names with repeats removed, ignoring case and surrounding spaces; the first spelling is kept
+   */
+  static uniqueNames(names) {
+    const seen = new Set();
+    return names.filter(name => {
+      const key = String(name).trim().toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  validateTradeProposal(proposal) {
+    const teamSchema = {
+      teamName: (value, field) => Validator.validateString(value, field, { required: true }),
+      roster: (value, field) => Validator.validateArray(value, field, { minLength: 1 })
+    };
+    Validator.validateObject(proposal, 'proposal');
+    Validator.validateObject(proposal.myTeam, 'myTeam', teamSchema);
+    Validator.validateObject(proposal.partnerTeam, 'partnerTeam', teamSchema);
+    Validator.validateArray(proposal.give, 'give', { minLength: 1, maxLength: 6 });
+    Validator.validateArray(proposal.receive, 'receive', { minLength: 1, maxLength: 6 });
+  }
+
+  /**
+   * Roster entry for a typed name: exact match first, then a unique partial match (e.g. last name)
+   */
+  findRosterPlayer(team, name, field) {
+    const wanted = String(name).toLowerCase().trim();
+    const exact = team.roster.find(player => player.name?.toLowerCase() === wanted);
+    if (exact) {
+      return exact;
+    }
+
+    const partial = team.roster.filter(player => player.name?.toLowerCase().includes(wanted));
+    if (partial.length === 1) {
+      return partial[0];
+    }
+    throw new ValidationError(field, name, `a player on ${team.teamName}'s roster`);
+  }
+
+  /**
+   * The team (other than excludeTeamName) whose roster holds every named player
+   */
+  findTeamWithPlayers(teams, names, excludeTeamName = null) {
+    // Rookie picks aren't on rosters, so only the players named can identify the team
+    names = names.filter(name => !DynastyValueModel.parsePick(name));
+    if (names.length === 0) {
+      return null;
+    }
+    return teams.find(team => team.teamName !== excludeTeamName && names.every(name => {
+      try {
+        this.findRosterPlayer(team, name, 'player');
+        return true;
+      } catch (error) {
+        return false;
+      }
+    })) || null;
+  }
+
+  /**
+   * Best starting lineup for the league's slots by rest-of-season points. Dedicated slots are filled
+   * first, then flex slots from most to least restrictive; an empty slot is filled from waivers at
+   * replacement level.
+   */
+  buildOptimalLineup(roster, requirements = this.rosterRequirements) {
+    const valuations = roster.map(player => this.valueModel.evaluate(player));
+    const { starters: filled, bench } = LineupOptimizer.fillSlots(
+      requirements,
+      valuations,
+      valuation => valuation.rosPoints
+    );
+
+    const starters = filled.map(({ slot, player }) => {
+      if (player) {
+        return { slot, name: player.name, position: player.position, rosPoints: player.rosPoints, perGame: player.perGame };
+      }
+      const replacement = LineupOptimizer.slotPositions(slot)
+        .map(position => ({ position, ...this.valueModel.getReplacementOutlook(position) }))
+        .sort((a, b) => b.rosPoints - a.rosPoints)[0];
+      return { slot, name: null, position: replacement.position, rosPoints: replacement.rosPoints, perGame: replacement.perGame, replacement: true };
+    });
+
+    return {
+      starters,
+      bench: bench.map(player => ({ name: player.name, position: player.position, rosPoints: player.rosPoints })),
+      rosPoints: round(starters.reduce((sum, slot) => sum + slot.rosPoints, 0), 1),
+      weeklyPoints: round(starters.reduce((sum, slot) => sum + slot.perGame, 0), 1)
+    };
+  }
+
+  /**
+   * Lineup and depth for one side of a trade, before and after. A team taking back more players
+   * than it sends cuts its lowest-value bench players if that takes it past the league roster size.
+   */
+  compareRosters(teamName, before, after, requirements = this.rosterRequirements) {
+    const rosterLimit = Math.max(before.length, requirements.getTotalRosterSize());
+    const drops = [];
+    let roster = after;
+    if (roster.length > rosterLimit) {
+      const lineup = this.buildOptimalLineup(roster, requirements);
+      const cuts = [...lineup.bench].sort((a, b) => a.rosPoints - b.rosPoints).slice(0, roster.length - rosterLimit);
+      drops.push(...cuts.map(player => player.name));
+      roster = roster.filter(player => !drops.includes(player.name));
+    }
+
+    const lineupBefore = this.buildOptimalLineup(before, requirements);
+    const lineupAfter = this.buildOptimalLineup(roster, requirements);
+
+    const countByPosition = players => players.reduce((counts, player) => {
+      const position = RosterRequirements.normalizePosition(player.position);
+      counts[position] = (counts[position] || 0) + 1;
+      return counts;
+    }, {});
+    const depthBefore = countByPosition(before);
+    const depthAfter = countByPosition(roster);
+    const depth = {};
+    new Set([...Object.keys(depthBefore), ...Object.keys(depthAfter)]).forEach(position => {
+      const change = (depthAfter[position] || 0) - (depthBefore[position] || 0);
+      if (change !== 0) {
+        depth[position] = { before: depthBefore[position] || 0, after: depthAfter[position] || 0, change };
+      }
+    });
+
+    return {
+      teamName,
+      before: lineupBefore,
+      after: lineupAfter,
+      rosPointsDelta: round(lineupAfter.rosPoints - lineupBefore.rosPoints, 1),
+      weeklyPointsDelta: round(lineupAfter.weeklyPoints - lineupBefore.weeklyPoints, 1),
+      depth,
+      drops
+    };
+  }
+
+  /**
+   * Verdict from the value each side gives up (value model scale), plus whether both lineups improve
+   */
+  judgeFairness(valueSent, valueReceived, mine, theirs) {
+    const gap = valueReceived - valueSent;
+    const share = gap / Math.max(valueSent, valueReceived, 1);
+    const favors = share > 0 ? 'you' : 'them';
+
+    let label = 'Fair';
+    if (Math.abs(share) > 0.25) {
+      label = `Lopsided in favor of ${favors}`;
+    } else if (Math.abs(share) > 0.1) {
+      label = `Slightly favors ${favors}`;
     }
 
-    return Math.round(score * 10) / 10;
+    return {
+      label,
+      favors: label === 'Fair' ? null : favors,
+      valueGap: round(gap, 1),
+      percentGap: Math.round(share * 100),
+      mutualBenefit: mine.rosPointsDelta > 0 && theirs.rosPointsDelta > 0
+    };
   }
 
   /**
-   * Helper methods for player data
+   * Short AI read on a computed evaluation; the model is given the numbers and asked not to redo them
+   */
+  async getTradeNarrative(evaluation) {
+    const dynasty = evaluation.mode === 'dynasty';
+    const describeSide = players => players
+      .map(player => (player.position === 'PICK'
+        ? `${player.name} rookie pick (value ${player.value})`
+        : `${player.name} (${player.position}${dynasty && player.age ? `, age ${player.ageAssumed ? '~' : ''}${player.age}` : ''}, value ${player.value}` +
+          `${dynasty ? `, this season ${player.redraftValue}` : ''}, ${player.rosPoints} ROS pts, injury risk ${player.injury.risk})`))
+      .join('; ');
+
+    const systemPrompt = `You are an expert fantasy football trade analyst. You are given a trade that has already been
+evaluated with projections, schedule, age and injury data. Explain the result in 3-5 sentences: who wins, why,
+and what could change it. Use the numbers provided; do not invent new ones or contradict the verdict.${dynasty ? `
+This is a dynasty league: values cover the next ${DynastyValueModel.HORIZON_SEASONS} seasons along age curves and rookie
+picks are valued as the rookies they become, so weigh youth and long-term value over this season's points.` : ''}`;
+
+    const userMessage = `TRADE: ${evaluation.myTeam.teamName} gives ${describeSide(evaluation.give)}
+${evaluation.partnerTeam.teamName} gives ${describeSide(evaluation.receive)}
+
+VALUE: sent ${evaluation.valueSent}, received ${evaluation.valueReceived} (${evaluation.verdict.label})
+${evaluation.myTeam.teamName} starting lineup: ${evaluation.myTeam.rosPointsDelta >= 0 ? '+' : ''}${evaluation.myTeam.rosPointsDelta} ROS pts (${evaluation.myTeam.weeklyPointsDelta} per week)
+${evaluation.partnerTeam.teamName} starting lineup: ${evaluation.partnerTeam.rosPointsDelta >= 0 ? '+' : ''}${evaluation.partnerTeam.rosPointsDelta} ROS pts (${evaluation.partnerTeam.weeklyPointsDelta} per week)
+Depth change for ${evaluation.myTeam.teamName}: ${JSON.stringify(evaluation.myTeam.depth)}`;
+
+    try {
+      return await this.claude.makeRequest([{ role: 'user', content: userMessage }], systemPrompt);
+    } catch (error) {
+      logger.warn(`Trade narrative unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Helper methods for player data (all backed by the player value model)
    */
   getPlayerMarketValue(player) {
     return this.marketValues.get(player.name) || this.estimateValue(player);
   }
 
   getPlayerTier(player) {
-    // Simple tier estimation based on position and name recognition
-    const tier1Names = ['McCaffrey', 'Jefferson', 'Chase', 'Barkley', 'Kelce'];
-    const tier2Names = ['Henry', 'Adams', 'Brown', 'Jacobs', 'Hill'];
-    
-    if (tier1Names.some(name => player.name?.includes(name))) return 1;
-    if (tier2Names.some(name => player.name?.includes(name))) return 2;
-    return 3;
+    return this.valueModel.evaluate(player).tier;
   }
 
   getPlayerAge(player) {
-    // Placeholder - would integrate with player database
-    return player.age || 26;
+    return this.valueModel.evaluate(player).age;
   }
 
   getInjuryRisk(player) {
-    // Placeholder - would integrate with injury database
-    return player.injuryRisk || 'low';
+    return player.injuryRisk || this.valueModel.evaluate(player).injury.risk;
   }
 
-  estimateValue(player) {
-    const tierValues = { 1: 100, 2: 70, 3: 40 };
-    return tierValues[this.getPlayerTier(player)] || 30;
+  estimateValue(player, stats) {
+    return this.valueModel.evaluate(player, stats).value;
   }
 
   findPlayerInAnalysis(playerName, analysis) {
@@ -638,15 +925,18 @@ Format as JSON with structure:
   }
 
   /**
-   * Update market values from external sources
+   * Update market inputs from external sources (currently the NFL schedule for byes and matchups)
    */
   async updateMarketValues() {
     if (this.lastMarketUpdate && Date.now() - this.lastMarketUpdate < 24 * 60 * 60 * 1000) {
       return; // Updated within last 24 hours
     }
 
-    // Placeholder for market value updates
-    // Would integrate with FantasyPros, Yahoo, etc.
+    try {
+      this.valueModel.setSchedules(await this.espnClient.getProTeamSchedules());
+    } catch (error) {
+      logger.warn(`NFL schedule unavailable, valuing players without bye/matchup data: ${error.message}`);
+    }
     this.lastMarketUpdate = Date.now();
   }
 
@@ -666,6 +956,9 @@ Format as JSON with structure:
    */
   async analyzeTeamWithLeagueContext(teamData, leagueData, seasonStats = {}) {
     try {
+      await this.updateMarketValues();
+      this.valueModel.setContext({ seasonStats, currentWeek: leagueData.currentWeek });
+
       const baseAnalysis = this.analyzeTeamComposition(teamData);
       
       // Add league context analysis
@@ -695,7 +988,7 @@ Format as JSON with structure:
     const myPosition = standings.findIndex(team => team.teamName === myTeam.teamName) + 1;
     const totalTeams = standings.length;
     
-    const playoffSpots = Math.ceil(totalTeams / 2);
+    const playoffSpots = Math.min(totalTeams, this.playoffFormat.playoffTeams);
     const isInPlayoffs = myPosition <= playoffSpots;
     const distanceFromPlayoffs = isInPlayoffs ? 0 : myPosition - playoffSpots;
     
@@ -720,6 +1013,7 @@ Format as JSON with structure:
       const analysis = this.analyzeTeamComposition(team);
       return {
         teamName: team.teamName,
+        roster: team.roster || [],
         overallStrength: this.calculateOverallStrength(analysis),
         positionStrengths: analysis.strengths,
         weaknesses: analysis.weaknesses,
@@ -801,8 +1095,10 @@ Format as JSON with structure:
     }
 
     // Competitive gap
-    const avgStrongerTeam = competitiveAnalysis.strongerTeams.reduce((sum, team) => 
-      sum + team.overallStrength, 0) / competitiveAnalysis.strongerTeams.length;
+    const strongerTeams = competitiveAnalysis.strongerTeams;
+    const avgStrongerTeam = strongerTeams.length > 0
+      ? strongerTeams.reduce((sum, team) => sum + team.overallStrength, 0) / strongerTeams.length
+      : competitiveAnalysis.myTeamStrength.overallStrength;
     const competitiveGap = avgStrongerTeam - competitiveAnalysis.myTeamStrength.overallStrength;
     urgency += Math.min(30, competitiveGap * 5);
     if (competitiveGap > 2) {
@@ -891,9 +1187,90 @@ Format as JSON with structure:
       });
   }
 
+  calculateUrgencyLevel(myPosition, totalTeams, distanceFromPlayoffs) {
+    if (distanceFromPlayoffs >= 3) return 'CRITICAL';
+    if (distanceFromPlayoffs > 0) return 'HIGH';
+    if (myPosition > Math.ceil(totalTeams / 4)) return 'MEDIUM';
+    return 'LOW';
+  }
+
+  /**
+   * Points per week from the best possible starting lineup, using the value model's per-game outlook
+   */
+  projectWeeklyScore(team, seasonStats = {}) {
+    const byPosition = {};
+    (team.roster || []).forEach(player => {
+      const valuation = this.valueModel.evaluate(player, seasonStats[player.name] || {});
+      byPosition[valuation.position] = byPosition[valuation.position] || [];
+      byPosition[valuation.position].push(valuation.perGame);
+    });
+
+    let total = 0;
+    Object.entries(byPosition).forEach(([position, scores]) => {
+      const { ideal } = this.getStarterRequirements(position);
+      total += scores.sort((a, b) => b - a).slice(0, ideal).reduce((sum, points) => sum + points, 0);
+    });
+    return round(total, 1);
+  }
+
+  /**
+   * Positions where teams ahead of us are strong and we are weak
+   */
+  identifyCompetitiveGaps(myTeamStrength, strongerTeams) {
+    const myWeaknesses = new Set((myTeamStrength?.weaknesses || []).map(weakness => weakness.position));
+    const gaps = {};
+
+    strongerTeams.forEach(team => {
+      team.positionStrengths
+        .filter(strength => myWeaknesses.has(strength.position))
+        .forEach(strength => {
+          gaps[strength.position] = gaps[strength.position] || { position: strength.position, teams: [] };
+          gaps[strength.position].teams.push(team.teamName);
+        });
+    });
+
+    return Object.values(gaps).sort((a, b) => b.teams.length - a.teams.length);
+  }
+
+  findExploitableWeaknesses(weakerTeams) {
+    return weakerTeams.flatMap(team => team.weaknesses.map(weakness => ({
+      teamName: team.teamName,
+      position: weakness.position,
+      reason: weakness.reason
+    })));
+  }
+
+  /**
+   * Startable players on weaker teams scoring well under their projection so far
+   */
+  findBuyLowTargets(weakerTeams) {
+    const targets = [];
+    weakerTeams.forEach(team => {
+      team.roster.forEach(player => {
+        const stats = this.valueModel.seasonStats[player.name];
+        if (!stats?.gamesPlayed) return;
+
+        const valuation = this.valueModel.evaluate(player, stats);
+        if (valuation.tier <= 2 && stats.weeklyAverage < valuation.projectedPerGame * 0.85) {
+          targets.push({
+            name: player.name,
+            position: valuation.position,
+            teamName: team.teamName,
+            weeklyAverage: stats.weeklyAverage,
+            projectedAverage: valuation.projectedPerGame,
+            value: valuation.value
+          });
+        }
+      });
+    });
+    return targets.sort((a, b) => b.value - a.value);
+  }
+
+  /**
+   * Regular-season weeks left, this week included, under the league's playoff format
+   */
   calculateWeeksRemaining() {
-    const currentWeek = new Date().getMonth() >= 8 ? Math.min(17, Math.floor((Date.now() - new Date(new Date().getFullYear(), 8, 1)) / (7 * 24 * 60 * 60 * 1000)) + 1) : 1;
-    return Math.max(0, 14 - currentWeek); // Regular season ends week 14
+    return Math.max(0, this.playoffFormat.regularSeasonWeeks - this.valueModel.getCurrentWeek() + 1);
   }
 
   calculateOverallStrength(analysis) {
@@ -915,14 +1292,11 @@ Format as JSON with structure:
     return Math.max(0, Math.min(100, strength));
   }
 
+  /**
+   * Preseason per-game projection under league scoring
+   */
   getPlayerProjection(player) {
-    const positionAverages = { QB: 18, RB: 12, WR: 10, TE: 8, K: 8, DST: 8 };
-    const tierMultipliers = { 1: 1.4, 2: 1.1, 3: 0.9 };
-    
-    const baseProjection = positionAverages[player.position] || 8;
-    const tierMultiplier = tierMultipliers[this.getPlayerTier(player)] || 1;
-    
-    return baseProjection * tierMultiplier;
+    return this.valueModel.evaluate(player, {}).projectedPerGame;
   }
 
   calculateTrend(recentGames) {
@@ -953,12 +1327,14 @@ Format as JSON with structure:
     return 'low';
   }
 
+  /**
+   * Value with this season's results blended into the projection, nudged by recent trend
+   */
   calculateCurrentTradeValue(player, stats) {
-    const baseValue = this.getPlayerMarketValue(player);
-    const performanceMultiplier = (stats.weeklyAverage || 0) / this.getPlayerProjection(player);
+    const baseValue = this.marketValues.get(player.name) || this.estimateValue(player, stats);
     const trendMultiplier = stats.trend === 'rising' ? 1.1 : stats.trend === 'declining' ? 0.9 : 1;
-    
-    return Math.round(baseValue * performanceMultiplier * trendMultiplier);
+
+    return Math.round(baseValue * trendMultiplier);
   }
 
   /**
@@ -0,0 +1,378 @@
+/**
+ * Transaction Monitor
+ * Polls a league's transaction log for new adds, drops, trades and waiver claims, resolves platform
+ * player and team IDs to names, asks for a quick AI take and records every move so the waiver and
+ * trade tools can learn how each manager operates. The first run against an empty log records the
+ * season so far without alerting.
+ */
+const EventEmitter = require('events');
+const ImprovedClaudeAI = require('../api/improved-claude-ai');
+const PlayerValueModel = require('./player-value-model');
+const TransactionRepository = require('../database/transaction-repository');
+const createLogger = require('../utils/logger');
+const { round } = require('../utils/numbers');
+
+const logger = createLogger();
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+const POLL_COUNT = 100;
+const DIRECTORY_SIZE = 1000;
+
+// A long outage shouldn't flood the channel: older unseen moves are recorded without alerts
+const MAX_ALERTS_PER_POLL = 10;
+
+// Manager tendencies
+const ACTIVE_TRADER_TRADES = 2;
+const AGGRESSIVE_BID_RATIO = 1.5;
+const FAVORITE_POSITION_SHARE = 0.4;
+const FAVORITE_POSITION_MIN_ADDS = 3;
+
+const TYPE_LABELS = {
+  WAIVER_ADD: 'Waiver claim',
+  WAIVER_DROP: 'Drop',
+  FREE_AGENT_ADD: 'Free agent add',
+  FREE_AGENT_DROP: 'Drop',
+  TRADE: 'Trade'
+};
+
+class TransactionMonitor extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.league - LeagueRegistry entry; its name keys the recorded log
+   * @param {Object} options.client - the league's ESPN/Sleeper client
+   * @param {TransactionRepository} [options.repository]
+   * @param {ImprovedClaudeAI} [options.claude] - set to null to skip AI takes
+   * @param {PlayerValueModel} [options.valueModel]
+   * @param {number} [options.interval] - poll interval in ms (default 15 minutes)
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.league || !options.client) {
+      throw new Error('TransactionMonitor needs a league and its client');
+    }
+    this.league = options.league;
+    this.client = options.client;
+    this.repository = options.repository || new TransactionRepository();
+    this.claude = options.claude === undefined ? new ImprovedClaudeAI() : options.claude;
+    this.valueModel = options.valueModel || new PlayerValueModel();
+    this.interval = options.interval || DEFAULT_INTERVAL_MS;
+    this.isMonitoring = false;
+    this.monitoringInterval = null;
+    this.players = new Map(); // platform player ID -> { name, position, team }
+    this.directoryLoaded = false;
+  }
+
+  async startMonitoring() {
+    if (this.isMonitoring) {
+      logger.warn(`Transaction monitoring already running for ${this.league.name}`);
+      return;
+    }
+    this.isMonitoring = true;
+
+    try {
+      const seeded = await this.repository.hasTransactions(this.league.name);
+      const recorded = await this.poll({ silent: !seeded });
+      if (!seeded) {
+        logger.info(`📒 Recorded ${recorded.length} earlier transactions for ${this.league.name}`);
+      }
+    } catch (error) {
+      logger.error(`Initial transaction check failed for ${this.league.name}: ${error.message}`);
+    }
+
+    this.monitoringInterval = setInterval(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        logger.error(`Error checking transactions for ${this.league.name}: ${error.message}`);
+        this.emit('error', error);
+      }
+    }, this.interval);
+
+    logger.info(`📒 Watching ${this.league.name} transactions every ${Math.round(this.interval / 60000)} min`);
+    this.emit('monitoringStarted', { interval: this.interval });
+  }
+
+  stopMonitoring() {
+    if (!this.isMonitoring) {
+      return;
+    }
+    this.isMonitoring = false;
+    if (this.monitoringInterval) {
+      clearInterval(this.monitoringInterval);
+      this.monitoringInterval = null;
+    }
+    this.emit('monitoringStopped');
+  }
+
+  /**
+   * Record every transaction not seen before, oldest first, emitting 'transaction' for each new
+   * one unless silent
+   * @returns {Promise<Array>} the newly recorded transactions
+   */
+  async poll({ silent = false } = {}) {
+    const transactions = await this.client.getTransactions(POLL_COUNT);
+    const recordedIds = await this.repository.getRecordedIds(this.league.name);
+    const fresh = transactions
+      .filter(transaction => TransactionMonitor.isRosterMove(transaction) && !recordedIds.has(String(transaction.id)))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    if (fresh.length === 0) {
+      return [];
+    }
+
+    const teams = await this.client.getRosters();
+    await this.loadPlayers(teams, fresh);
+    const teamNames = new Map(teams.map(team => [String(team.id), team.name]));
+    const alertFrom = silent ? fresh.length : Math.max(0, fresh.length - MAX_ALERTS_PER_POLL);
+
+    const recorded = [];
+    for (const [index, transaction] of fresh.entries()) {
+      const record = this.resolveTransaction(transaction, teamNames);
+      const alert = index >= alertFrom;
+      if (alert) {
+        record.aiTake = await this.getAiTake(record);
+      }
+      if (await this.repository.recordTransaction(this.league.name, record)) {
+        recorded.push(record);
+        if (alert) {
+          this.emit('transaction', record);
+        }
+      }
+    }
+    return recorded;
+  }
+
+  /**
+   * Player names by platform ID from the rosters, plus the platform's player list the first time
+   * (or again when a transaction names someone we haven't seen)
+   */
+  async loadPlayers(teams, transactions) {
+    teams.forEach(team => team.roster.forEach(entry => {
+      if (entry.player) {
+        this.players.set(String(entry.playerId), entry.player);
+      }
+    }));
+
+    const missing = transactions.some(transaction =>
+      (transaction.players || []).some(item => !this.players.has(String(item.playerId)))
+    );
+    if (this.directoryLoaded && !missing) {
+      return;
+    }
+    try {
+      (await this.client.getPlayers(DIRECTORY_SIZE)).forEach(player => {
+        if (!this.players.has(String(player.id))) {
+          this.players.set(String(player.id), { name: player.name, position: player.position, team: player.team });
+        }
+      });
+      this.directoryLoaded = true;
+    } catch (error) {
+      logger.warn(`Player list unavailable, some transaction players stay unnamed: ${error.message}`);
+    }
+  }
+
+  /**
+   * A client transaction with names in place of platform IDs
+   */
+  resolveTransaction(transaction, teamNames) {
+    const teamName = id => (id === null || id === undefined ? null : teamNames.get(String(id)) || `Team ${id}`);
+    const players = (transaction.players || []).map(item => {
+      const player = this.players.get(String(item.playerId));
+      return {
+        playerId: item.playerId,
+        name: player?.name || `Player ${item.playerId}`,
+        position: player?.position || null,
+        nflTeam: player?.team || null,
+        action: item.type,
+        fromTeamId: item.fromTeam ?? null,
+        fromTeam: teamName(item.fromTeam),
+        toTeamId: item.toTeam ?? null,
+        toTeam: teamName(item.toTeam)
+      };
+    });
+
+    const add = players.find(player => player.action === 'added' && player.toTeamId !== null);
+    const teamId = transaction.teamId ?? add?.toTeamId ?? players[0]?.fromTeamId ?? null;
+    return {
+      id: transaction.id,
+      type: transaction.type,
+      teamId,
+      teamName: teamName(teamId),
+      bidAmount: transaction.bidAmount > 0 ? transaction.bidAmount : null,
+      date: transaction.date,
+      players
+    };
+  }
+
+  /**
+   * A couple of sentences on what the move means, grounded in each player's rest-of-season value
+   */
+  async getAiTake(record) {
+    // Nothing useful to say about players we couldn't even name
+    if (!this.claude || record.players.every(player => !player.position)) {
+      return null;
+    }
+
+    const players = record.players.map(player => {
+      const valuation = this.valueModel.evaluate({ name: player.name, position: player.position, team: player.nflTeam });
+      return `${player.name} (${player.position || '?'}, ${player.action}${player.toTeam ? ` to ${player.toTeam}` : ''}) - ` +
+        `value ${valuation.value}/100, tier ${valuation.tier}, ${valuation.rosPoints} ROS pts` +
+        `${valuation.positionRank ? `, ${valuation.position}${valuation.positionRank}` : ''}`;
+    });
+    const systemPrompt = `You are a fantasy football analyst posting in a league's group chat. In at most two short
+sentences, say what a league transaction means: who got better, whether it was smart, and who it affects.
+Use only the values provided; do not invent stats.`;
+    const userMessage = `${TransactionMonitor.describe(record)}\n${players.join('\n')}`;
+
+    try {
+      return await this.claude.makeRequest([{ role: 'user', content: userMessage }], systemPrompt);
+    } catch (error) {
+      logger.warn(`AI take unavailable for transaction ${record.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * One line for a move, e.g. "Team A claimed Jaylen Warren (RB, PIT) for $14, dropping Zay Jones"
+   */
+  static describe(record) {
+    const name = player => `${player.name}${player.position ? ` (${player.position}${player.nflTeam ? `, ${player.nflTeam}` : ''})` : ''}`;
+    const added = record.players.filter(player => player.action === 'added');
+    const dropped = record.players.filter(player => player.action === 'dropped');
+
+    if (record.type === 'TRADE') {
+      const receivers = new Map();
+      added.forEach(player => receivers.set(player.toTeam, (receivers.get(player.toTeam) || []).concat(name(player))));
+      if (receivers.size === 0) {
+        return `${record.teamName || 'A team'} made a trade`;
+      }
+      return `Trade: ${Array.from(receivers.entries()).map(([team, players]) => `${team} gets ${players.join(', ')}`).join(' • ')}`;
+    }
+
+    const team = record.teamName || 'A team';
+    const drops = dropped.length > 0 ? dropped.map(name).join(', ') : null;
+    if (added.length === 0) {
+      return `${team} dropped ${drops || 'a player'}`;
+    }
+    const verb = record.type === 'WAIVER_ADD' ? 'claimed' : 'added';
+    return `${team} ${verb} ${added.map(name).join(', ')}${record.bidAmount ? ` for $${record.bidAmount}` : ''}` +
+      `${drops ? `, dropping ${drops}` : ''}`;
+  }
+
+  /**
+   * Adds, drops, trades and claims that moved at least one player; lineup changes, draft picks and
+   * types the client doesn't recognise are skipped
+   */
+  static isRosterMove(transaction) {
+    return Boolean(TYPE_LABELS[transaction.type]) && (transaction.players || []).length > 0;
+  }
+
+  static label(type) {
+    return TYPE_LABELS[type] || 'Roster move';
+  }
+
+  /**
+   * How each manager uses the wire and the trade market, from recorded transactions
+   * @returns {Array} { teamName, moves, adds, drops, trades, waiverClaims, faab, favoritePosition,
+   *   lastMove, tendencies }, most active first
+   */
+  static buildManagerProfiles(transactions) {
+    const profiles = new Map();
+    const profileFor = teamName => {
+      if (!profiles.has(teamName)) {
+        profiles.set(teamName, {
+          teamName,
+          moves: 0,
+          adds: 0,
+          drops: 0,
+          trades: 0,
+          waiverClaims: 0,
+          bids: [],
+          positionsAdded: {},
+          lastMove: null
+        });
+      }
+      return profiles.get(teamName);
+    };
+    const touch = (profile, date) => {
+      profile.moves++;
+      if (date && (!profile.lastMove || new Date(date) > new Date(profile.lastMove))) {
+        profile.lastMove = new Date(date).toISOString();
+      }
+    };
+
+    transactions.forEach(transaction => {
+      if (transaction.type === 'TRADE') {
+        const sides = new Set(transaction.players.flatMap(player => [player.fromTeam, player.toTeam]).filter(Boolean));
+        sides.forEach(team => {
+          const profile = profileFor(team);
+          profile.trades++;
+          touch(profile, transaction.date);
+        });
+        return;
+      }
+      if (!transaction.teamName) {
+        return;
+      }
+
+      const profile = profileFor(transaction.teamName);
+      touch(profile, transaction.date);
+      transaction.players.forEach(player => {
+        if (player.action === 'added') {
+          profile.adds++;
+          if (player.position) {
+            profile.positionsAdded[player.position] = (profile.positionsAdded[player.position] || 0) + 1;
+          }
+        } else if (player.action === 'dropped') {
+          profile.drops++;
+        }
+      });
+      if (transaction.type === 'WAIVER_ADD') {
+        profile.waiverClaims++;
+      }
+      if (transaction.bidAmount > 0) {
+        profile.bids.push(transaction.bidAmount);
+      }
+    });
+
+    const allBids = Array.from(profiles.values()).flatMap(profile => profile.bids);
+    const leagueAverageBid = allBids.length > 0 ? allBids.reduce((sum, bid) => sum + bid, 0) / allBids.length : 0;
+
+    return Array.from(profiles.values())
+      .map(({ bids, ...profile }) => {
+        const spent = bids.reduce((sum, bid) => sum + bid, 0);
+        const averageBid = bids.length > 0 ? spent / bids.length : 0;
+        const [favoritePosition, favoriteAdds] = Object.entries(profile.positionsAdded).sort((a, b) => b[1] - a[1])[0] || [];
+
+        const tendencies = [];
+        if (profile.trades >= ACTIVE_TRADER_TRADES) {
+          tendencies.push('active trader');
+        }
+        if (bids.length > 0 && leagueAverageBid > 0 && averageBid >= leagueAverageBid * AGGRESSIVE_BID_RATIO) {
+          tendencies.push('aggressive FAAB bidder');
+        }
+        if (favoriteAdds >= FAVORITE_POSITION_MIN_ADDS && favoriteAdds / profile.adds >= FAVORITE_POSITION_SHARE) {
+          tendencies.push(`chases ${favoritePosition}s`);
+        }
+        if (profile.moves === 0 || (profile.adds === 0 && profile.trades === 0)) {
+          tendencies.push('inactive');
+        }
+
+        return {
+          ...profile,
+          faab: {
+            bids: bids.length,
+            spent,
+            average: round(averageBid, 1),
+            max: bids.length > 0 ? Math.max(...bids) : 0
+          },
+          favoritePosition: favoritePosition || null,
+          tendencies
+        };
+      })
+      .sort((a, b) => b.moves - a.moves);
+  }
+}
+
+TransactionMonitor.DEFAULT_INTERVAL_MS = DEFAULT_INTERVAL_MS;
+
+module.exports = TransactionMonitor;
@@ -0,0 +1,196 @@
+/**
+ * Value-Based Drafting Engine
+ * Scores projections with the league's scoring rules, sets a replacement level per position from
+ * league size and roster slots, and ranks available players by value over replacement (VOR)
+ */
+const fs = require('fs');
+const path = require('path');
+const ScoringEngine = require('./scoring-engine');
+const RosterRequirements = require('./roster-requirements');
+const createLogger = require('../utils/logger');
+const { round } = require('../utils/numbers');
+
+const logger = createLogger();
+
+const PLAYER_POOL_PATH = path.join(__dirname, '../../data/nfl-players-enriched.json');
+
+let cachedPool = null;
+
+class VBDEngine {
+  /**
+   * @param {Object} options
+   * @param {ScoringEngine} [options.scoring]
+   * @param {RosterRequirements} [options.roster]
+   * @param {number} [options.leagueSize]
+   * @param {Array} [options.players] - player pool; defaults to data/nfl-players-enriched.json
+   */
+  constructor(options = {}) {
+    this.scoring = options.scoring || ScoringEngine.load();
+    this.roster = options.roster || RosterRequirements.load();
+    this.leagueSize = options.leagueSize || this.roster.size || 12;
+    this.players = options.players || null;
+  }
+
+  /**
+   * Load the local projection file once per process
+   */
+  static loadPlayerPool() {
+    if (!cachedPool) {
+      try {
+        cachedPool = JSON.parse(fs.readFileSync(PLAYER_POOL_PATH, 'utf8'));
+      } catch (error) {
+        logger.warn('Could not load player projections for VBD:', error.message);
+        cachedPool = [];
+      }
+    }
+    return cachedPool;
+  }
+
+  /**
+   * Season points for a player: raw projected stats scored with league rules when present,
+   * otherwise the source's own point total
+   */
+  project(player) {
+    const seasonTotal = player.projections?.seasonTotal;
+    if (seasonTotal) {
+      const statLine = ScoringEngine.normalizeStatLine(seasonTotal, player.position);
+      if (Object.keys(statLine).length > 0) {
+        return this.scoring.score(statLine, player.position);
+      }
+      if (typeof seasonTotal.fantasyPoints === 'number') {
+        return Math.round(seasonTotal.fantasyPoints * 100) / 100;
+      }
+    }
+    return typeof player.projectedPoints === 'number' ? player.projectedPoints : 0;
+  }
+
+  /**
+   * Projected players grouped by roster position, best first
+   */
+  getProjectedPool() {
+    const positions = this.roster.getPositions();
+    const byPosition = {};
+    positions.forEach(position => {
+      byPosition[position] = [];
+    });
+
+    (this.players || VBDEngine.loadPlayerPool()).forEach(player => {
+      const position = RosterRequirements.normalizePosition(player.position);
+      if (!byPosition[position]) {
+        return;
+      }
+      byPosition[position].push({
+        name: player.name,
+        position,
+        team: player.team || null,
+        adp: typeof player.adp === 'number' ? round(player.adp, 1) : null,
+        injuryStatus: player.injuryStatus || null,
+        projectedPoints: this.project(player)
+      });
+    });
+
+    Object.values(byPosition).forEach(players => players.sort((a, b) => b.projectedPoints - a.projectedPoints));
+    return byPosition;
+  }
+
+  /**
+   * How many players at each position start league-wide, and the points of the first one who doesn't.
+   * Dedicated slots are filled first; flex slots then take the best remaining eligible players.
+   */
+  getReplacementLevels(pool = this.getProjectedPool()) {
+    const starters = {};
+    Object.keys(pool).forEach(position => {
+      starters[position] = Math.min(pool[position].length, (this.roster.starters[position] || 0) * this.leagueSize);
+    });
+
+    Object.entries(this.roster.starters)
+      .filter(([slot]) => this.roster.isFlexSlot(slot))
+      .forEach(([slot, count]) => {
+        const eligible = RosterRequirements.FLEX_ELIGIBILITY[slot].filter(position => pool[position]);
+        for (let i = 0; i < count * this.leagueSize; i++) {
+          const best = eligible
+            .filter(position => starters[position] < pool[position].length)
+            .sort((a, b) => pool[b][starters[b]].projectedPoints - pool[a][starters[a]].projectedPoints)[0];
+          if (!best) {
+            break;
+          }
+          starters[best]++;
+        }
+      });
+
+    const levels = {};
+    Object.entries(pool).forEach(([position, players]) => {
+      const replacement = players[starters[position]] || players[players.length - 1];
+      levels[position] = {
+        starters: starters[position],
+        player: replacement?.name || null,
+        points: replacement?.projectedPoints || 0
+      };
+    });
+    return levels;
+  }
+
+  /**
+   * Ranked, tiered board of available players
+   * @param {Object} [options]
+   * @param {Array<string>} [options.drafted] - names already taken
+   * @param {string} [options.position] - limit to one position
+   * @param {number} [options.limit]
+   */
+  buildBoard({ drafted = [], position = null, limit = 50 } = {}) {
+    const pool = this.getProjectedPool();
+    const replacementLevels = this.getReplacementLevels(pool);
+    const taken = new Set(drafted.map(name => String(name).toLowerCase().trim()));
+    const wanted = position ? RosterRequirements.normalizePosition(position) : null;
+
+    const board = [];
+    Object.entries(pool).forEach(([pos, players]) => {
+      const tiers = this.assignTiers(players, replacementLevels[pos].starters);
+      players.forEach((player, index) => {
+        if (taken.has(player.name.toLowerCase())) {
+          return;
+        }
+        board.push({
+          ...player,
+          vor: round(player.projectedPoints - replacementLevels[pos].points, 1),
+          tier: tiers[index],
+          positionRank: index + 1
+        });
+      });
+    });
+
+    const players = board
+      .filter(player => !wanted || player.position === wanted)
+      .sort((a, b) => b.vor - a.vor || (a.adp ?? Infinity) - (b.adp ?? Infinity))
+      .slice(0, limit)
+      .map((player, index) => ({ rank: index + 1, ...player }));
+
+    return {
+      leagueSize: this.leagueSize,
+      scoring: this.scoring.describe(),
+      replacementLevels,
+      players
+    };
+  }
+
+  /**
+   * Break a position into tiers wherever the drop to the next player is well above the typical gap
+   * among the startable group
+   */
+  assignTiers(players, starterCount) {
+    const sample = players.slice(0, Math.max(starterCount + 1, 2));
+    const gaps = sample.slice(1).map((player, index) => sample[index].projectedPoints - player.projectedPoints);
+    const averageGap = gaps.length > 0 ? gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length : 0;
+    const threshold = Math.max(averageGap * 2, 0.5);
+
+    let tier = 1;
+    return players.map((player, index) => {
+      if (index > 0 && players[index - 1].projectedPoints - player.projectedPoints > threshold) {
+        tier++;
+      }
+      return tier;
+    });
+  }
+}
+
+module.exports = VBDEngine;
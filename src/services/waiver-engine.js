@@ -0,0 +1,425 @@
+/**
+ * Waiver Engine
+ * Waiver wire recommendations for one team in a league. Free agents are scored by how many
+ * rest-of-season points they add to that team's starting lineup, week by week, so a pickup that
+ * fills an empty slot or covers a starter's bye ranks above a better player who would sit on the
+ * bench. Each pickup comes with the cheapest drop when the roster is full and, in FAAB leagues, a
+ * bid sized from the league's own winning bids and what every team has left to spend.
+ */
+const PlayerValueModel = require('./player-value-model');
+const RosterRequirements = require('./roster-requirements');
+const LineupOptimizer = require('./lineup-optimizer');
+const ScheduleProvider = require('./schedule-provider');
+const ESPNClient = require('../api/espn-client');
+const { Validator, ValidationError } = require('../utils/validation');
+const { round } = require('../utils/numbers');
+const createLogger = require('../utils/logger');
+
+const logger = createLogger();
+
+const DEFAULT_PLAYER_COUNT = 500;
+const TRANSACTION_COUNT = 200;
+
+// Free agents scored in full at each position, after a first cut by rest-of-season points
+const CANDIDATES_PER_POSITION = 12;
+
+// Pickups at one position mostly fill the same hole, so only the best few are listed
+const MAX_PER_POSITION = 3;
+
+const NON_ROSTER_SLOTS = ['IR'];
+
+// Past winning bids (at least this many) set the price; otherwise bids follow DEFAULT_BID_SHARES
+const MIN_BID_HISTORY = 3;
+const COMPARABLE_BIDS = 5;
+
+// Share of the season budget bid for a player of at least this value (0-100) without league history
+const DEFAULT_BID_SHARES = [
+  [35, 0.25],
+  [15, 0.1],
+  [5, 0.04],
+  [0, 0.01]
+];
+
+// Streamed week to week, so bid the floor of the default curve for them
+const STREAMING_POSITIONS = ['K', 'DST'];
+
+// Pay up for a player who starts right away
+const URGENT_BID_BOOST = 1.25;
+const MIN_BID = 1;
+
+class WaiverEngine {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - league client (ESPNClient or SleeperClient)
+   * @param {RosterRequirements} [options.requirements]
+   * @param {PlayerValueModel} [options.valueModel]
+   * @param {ESPNClient} [options.espnClient] - NFL schedule source for byes
+   */
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new Error('WaiverEngine needs a league client');
+    }
+    this.client = options.client;
+    this.requirements = options.requirements || RosterRequirements.load();
+    this.valueModel = options.valueModel || new PlayerValueModel();
+    this.espnClient = options.espnClient || new ESPNClient();
+  }
+
+  /**
+   * Ranked pickups for a team
+   * @param {Object} [options]
+   * @param {string|number} [options.team] - team name or ID
+   * @param {Array<string>} [options.playerNames] - players on the team, to find it when no name is given
+   * @param {number} [options.limit] - recommendations to return (default 10)
+   * @param {Object} [options.seasonStats] - LeagueStats.toSeasonStats output
+   * @param {number} [options.currentWeek]
+   * @param {Array} [options.history] - moves recorded by the TransactionMonitor, for winning bids the
+   *   platform's log no longer returns
+   * @returns {Promise<Object>} { week, team, rosterSize, rosterLimit, holes, byeWeeks, faab, recommendations }
+   */
+  async recommend({ team = null, playerNames = [], limit = 10, seasonStats = null, currentWeek = null, history = [] } = {}) {
+    Validator.validateNumber(limit, 'limit', { min: 1, max: 25, integer: true });
+
+    const leagueInfo = await this.client.getLeagueInfo();
+    const rosters = await this.client.getRosters();
+    const myTeam = WaiverEngine.findTeam(rosters, { team, playerNames });
+    if (!myTeam) {
+      throw team
+        ? new ValidationError('team', team, 'a team name or ID in this league')
+        : new ValidationError('playerNames', playerNames.join(', '), 'players on a team in this league');
+    }
+
+    this.valueModel.setContext({ seasonStats, currentWeek: currentWeek || leagueInfo.currentMatchupPeriod });
+    await ScheduleProvider.forClient(this.espnClient).applyTo(this.valueModel, 'ranking waivers without byes');
+
+    const players = await this.client.getPlayers(DEFAULT_PLAYER_COUNT);
+    let transactions = [];
+    try {
+      transactions = await this.client.getTransactions(TRANSACTION_COUNT);
+    } catch (error) {
+      logger.warn(`Transaction log unavailable, bidding without league history: ${error.message}`);
+    }
+
+    const weeks = this.getRemainingWeeks();
+    const roster = myTeam.roster
+      .filter(entry => entry.player && !NON_ROSTER_SLOTS.includes(entry.slot))
+      .map(entry => this.describePlayer(entry.player));
+    const baseline = this.scoreLineups(roster, weeks);
+
+    const byPosition = {};
+    WaiverEngine.findFreeAgents(players, rosters)
+      .map(player => this.describePlayer(player))
+      .filter(player => player.weekly > 0 && this.requirements.getPositions().includes(player.position))
+      .sort((a, b) => b.valuation.rosPoints - a.valuation.rosPoints)
+      .forEach(player => {
+        byPosition[player.position] = byPosition[player.position] || [];
+        if (byPosition[player.position].length < CANDIDATES_PER_POSITION) {
+          byPosition[player.position].push(player);
+        }
+      });
+    const freeAgents = Object.values(byPosition).flat();
+
+    const rosterLimit = this.requirements.getTotalRosterSize();
+    const needsDrop = roster.length >= rosterLimit;
+    const faab = this.getFaabOutlook(leagueInfo, rosters, myTeam, transactions, players, history);
+
+    const byeWeeks = this.findByeWeeks(roster, weeks);
+    const recommendations = freeAgents
+      .map(player => this.scorePickup(player, roster, weeks, baseline, {
+        needsDrop,
+        byeWeeks: byeWeeks.map(bye => bye.week)
+      }))
+      .filter(pickup => pickup.netGain > 0)
+      .sort((a, b) => b.netGain - a.netGain || b.value - a.value)
+      .filter((pickup, index, sorted) =>
+        sorted.slice(0, index).filter(other => other.position === pickup.position).length < MAX_PER_POSITION
+      )
+      .slice(0, limit);
+
+    recommendations.forEach(pickup => {
+      pickup.bid = faab ? this.recommendBid(pickup, faab) : null;
+    });
+
+    return {
+      week: weeks[0] || this.valueModel.getCurrentWeek(),
+      team: { id: myTeam.id, name: myTeam.name },
+      rosterSize: roster.length,
+      rosterLimit,
+      holes: baseline.byWeek[0]?.emptySlots || [],
+      byeWeeks,
+      faab: faab ? {
+        budget: faab.budget,
+        remaining: faab.remaining,
+        teams: faab.teams,
+        historyBids: faab.history.length
+      } : null,
+      recommendations
+    };
+  }
+
+  /**
+   * The team matching a name or ID, otherwise the one whose roster overlaps most with playerNames
+   */
+  static findTeam(rosters, { team = null, playerNames = [] } = {}) {
+    if (team !== null && team !== undefined && team !== '') {
+      const key = String(team).toLowerCase();
+      return rosters.find(entry => String(entry.id) === key || entry.name.toLowerCase() === key)
+        || rosters.find(entry => entry.name.toLowerCase().includes(key))
+        || null;
+    }
+
+    const names = new Set(playerNames.map(name => name.toLowerCase()));
+    const overlap = entry => entry.roster.filter(slot => slot.player && names.has(slot.player.name.toLowerCase())).length;
+    return rosters
+      .filter(entry => overlap(entry) > 0)
+      .sort((a, b) => overlap(b) - overlap(a))[0] || null;
+  }
+
+  /**
+   * League players on nobody's roster, matched by platform ID and then by name
+   */
+  static findFreeAgents(players, rosters) {
+    const ids = new Set();
+    const names = new Set();
+    rosters.forEach(team => team.roster.forEach(entry => {
+      if (entry.playerId !== undefined && entry.playerId !== null) {
+        ids.add(String(entry.playerId));
+      }
+      if (entry.player) {
+        names.add(entry.player.name.toLowerCase());
+      }
+    }));
+    return players.filter(player => player.name && !ids.has(String(player.id)) && !names.has(player.name.toLowerCase()));
+  }
+
+  getRemainingWeeks() {
+    const weeks = [];
+    for (let week = this.valueModel.getCurrentWeek(); week <= PlayerValueModel.FINAL_FANTASY_WEEK; week++) {
+      weeks.push(week);
+    }
+    return weeks;
+  }
+
+  /**
+   * Valuation plus expected points in each game week; rosPoints already allows for injuries and
+   * the schedule, so it is spread over the weeks the player's team plays
+   */
+  describePlayer(player) {
+    const valuation = this.valueModel.evaluate(player);
+    const gameWeeks = this.getRemainingWeeks().filter(week => week !== valuation.byeWeek).length;
+    return {
+      name: player.name,
+      position: valuation.position,
+      team: valuation.team,
+      byeWeek: valuation.byeWeek,
+      weekly: gameWeeks > 0 ? valuation.rosPoints / gameWeeks : 0,
+      valuation
+    };
+  }
+
+  /**
+   * Best lineup each remaining week; players on bye score zero that week
+   */
+  scoreLineups(players, weeks) {
+    const byWeek = weeks.map(week => {
+      const score = player => (player.byeWeek === week ? 0 : player.weekly);
+      const { starters } = LineupOptimizer.fillSlots(this.requirements, players, score);
+      return {
+        week,
+        points: starters.reduce((sum, slot) => sum + (slot.player ? score(slot.player) : 0), 0),
+        starters: starters.filter(slot => slot.player && score(slot.player) > 0).map(slot => slot.player),
+        emptySlots: starters.filter(slot => !slot.player).map(slot => slot.slot)
+      };
+    });
+    return { byWeek, total: byWeek.reduce((sum, week) => sum + week.points, 0) };
+  }
+
+  /**
+   * Lineup points a free agent adds over the rest of the season, the drop that costs the least,
+   * and why he helps
+   * @param {Object} context - { needsDrop, byeWeeks: weeks a starter is on bye }
+   */
+  scorePickup(player, roster, weeks, baseline, { needsDrop, byeWeeks }) {
+    const withPlayer = roster.concat(player);
+    const added = this.scoreLineups(withPlayer, weeks);
+    const lineupGain = added.total - baseline.total;
+
+    let drop = null;
+    if (needsDrop) {
+      drop = roster
+        .map(candidate => ({
+          candidate,
+          loss: added.total - this.scoreLineups(withPlayer.filter(entry => entry !== candidate), weeks).total
+        }))
+        .sort((a, b) => a.loss - b.loss || a.candidate.valuation.value - b.candidate.valuation.value)[0];
+    }
+    const dropLoss = drop ? drop.loss : 0;
+
+    const startWeeks = added.byWeek.filter(week => week.starters.includes(player)).map(week => week.week);
+    const startsNow = startWeeks[0] === weeks[0];
+    const reasons = [];
+    const openSlot = baseline.byWeek[0]?.emptySlots.find(slot => LineupOptimizer.slotPositions(slot).includes(player.position));
+    if (startsNow && openSlot) {
+      reasons.push(`fills your empty ${RosterRequirements.displayName(openSlot)} slot`);
+    } else if (startsNow) {
+      reasons.push('starts for you this week');
+    }
+    const byesCovered = startWeeks.filter(week => byeWeeks.includes(week));
+    if (byesCovered.length > 0 && startWeeks.length <= weeks.length / 2) {
+      reasons.push(`covers bye week${byesCovered.length > 1 ? 's' : ''} ${byesCovered.join(', ')}`);
+    } else if (startWeeks.length > 1 && !startsNow) {
+      reasons.push(`starts ${startWeeks.length} of the ${weeks.length} weeks left`);
+    }
+    if (player.valuation.injury.risk !== 'low') {
+      reasons.push(`${player.valuation.injury.risk} injury risk`);
+    }
+
+    return {
+      name: player.name,
+      position: player.position,
+      team: player.team,
+      value: player.valuation.value,
+      tier: player.valuation.tier,
+      rosPoints: player.valuation.rosPoints,
+      lineupGain: round(lineupGain),
+      startsNow,
+      startWeeks,
+      reasons,
+      drop: drop ? {
+        name: drop.candidate.name,
+        position: drop.candidate.position,
+        value: drop.candidate.valuation.value,
+        lineupLoss: round(drop.loss)
+      } : null,
+      netGain: round(lineupGain - dropLoss)
+    };
+  }
+
+  /**
+   * Remaining weeks in which a starter-quality player on the roster is on bye
+   */
+  findByeWeeks(roster, weeks) {
+    const { starters } = LineupOptimizer.fillSlots(this.requirements, roster, player => player.weekly);
+    const byes = {};
+    starters
+      .filter(slot => slot.player && weeks.includes(slot.player.byeWeek))
+      .forEach(slot => {
+        (byes[slot.player.byeWeek] = byes[slot.player.byeWeek] || []).push(slot.player.name);
+      });
+    return Object.entries(byes).map(([week, players]) => ({ week: Number(week), players }));
+  }
+
+  /**
+   * Budgets left for every team and the league's past winning bids as shares of the budget, each
+   * paired with the value of the player it bought. ESPN's roster view has no spending, so spending
+   * is added up from the transaction log when the platform doesn't report it. Recorded moves only
+   * add bids, never spending, since they can reach back into earlier seasons.
+   */
+  getFaabOutlook(leagueInfo, rosters, myTeam, transactions, players, recorded = []) {
+    const budget = leagueInfo.faabBudget;
+    if (!budget) {
+      return null;
+    }
+
+    const names = new Map();
+    players.forEach(player => names.set(String(player.id), player));
+    rosters.forEach(team => team.roster.forEach(entry => {
+      if (entry.player) {
+        names.set(String(entry.playerId), entry.player);
+      }
+    }));
+
+    const spentInLog = new Map();
+    const history = [];
+    transactions
+      .filter(transaction => transaction.bidAmount > 0)
+      .forEach(transaction => {
+        const add = (transaction.players || []).find(item => item.type === 'added');
+        const teamId = transaction.teamId ?? add?.toTeam;
+        if (teamId !== null && teamId !== undefined) {
+          spentInLog.set(String(teamId), (spentInLog.get(String(teamId)) || 0) + transaction.bidAmount);
+        }
+        const player = add ? names.get(String(add.playerId)) : null;
+        if (player) {
+          history.push(this.describeBid(player, transaction.bidAmount, budget));
+        }
+      });
+
+    const logged = new Set(transactions.map(transaction => String(transaction.id)));
+    recorded
+      .filter(transaction => transaction.bidAmount > 0 && !logged.has(String(transaction.id)))
+      .forEach(transaction => {
+        const add = transaction.players.find(player => player.action === 'added');
+        if (add) {
+          history.push(this.describeBid({ name: add.name, position: add.position, team: add.nflTeam }, transaction.bidAmount, budget));
+        }
+      });
+
+    const teams = rosters
+      .map(team => {
+        const spent = team.faabSpent ?? spentInLog.get(String(team.id)) ?? 0;
+        return { id: team.id, name: team.name, remaining: Math.max(0, budget - spent) };
+      })
+      .sort((a, b) => b.remaining - a.remaining);
+    const mine = teams.find(team => team.id === myTeam.id);
+
+    return {
+      budget,
+      remaining: mine ? mine.remaining : budget,
+      teams: teams.map(({ name, remaining }) => ({ name, remaining })),
+      richestRival: teams.find(team => team.id !== myTeam.id)?.remaining ?? 0,
+      history
+    };
+  }
+
+  describeBid(player, bid, budget) {
+    return {
+      player: player.name,
+      value: this.valueModel.evaluate(player).value,
+      bid,
+      share: bid / budget
+    };
+  }
+
+  /**
+   * Bid for a pickup: the median share of the budget the league paid for the most similar players
+   * (a default curve by value until there are enough bids), a bump when he starts right away, never
+   * more than we have or more than a dollar over what the richest rival can spend
+   * @returns {Object} { amount, low, high, basis }
+   */
+  recommendBid(pickup, faab) {
+    let shares;
+    let basis;
+    if (faab.history.length >= MIN_BID_HISTORY) {
+      const comparable = [...faab.history]
+        .sort((a, b) => Math.abs(a.value - pickup.value) - Math.abs(b.value - pickup.value))
+        .slice(0, COMPARABLE_BIDS);
+      shares = comparable.map(bid => bid.share).sort((a, b) => a - b);
+      basis = `median of ${comparable.length} similar winning bids in your league`;
+    } else {
+      const share = STREAMING_POSITIONS.includes(pickup.position)
+        ? DEFAULT_BID_SHARES[DEFAULT_BID_SHARES.length - 1][1]
+        : DEFAULT_BID_SHARES.find(([value]) => pickup.value >= value)[1];
+      shares = [share * 0.5, share, share * 1.5];
+      basis = 'default bid curve (not enough league bid history yet)';
+    }
+
+    const boost = pickup.startsNow ? URGENT_BID_BOOST : 1;
+    const cap = Math.min(faab.remaining, faab.richestRival + 1);
+    const toBid = share => Math.max(Math.min(MIN_BID, faab.remaining), Math.min(cap, Math.round(share * faab.budget * boost)));
+
+    return {
+      amount: toBid(median(shares)),
+      low: toBid(shares[0]),
+      high: toBid(shares[shares.length - 1]),
+      basis
+    };
+  }
+}
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+module.exports = WaiverEngine;
@@ -3,6 +3,7 @@
  * Provides consistent error handling across the application
  */
 const createLogger = require('./logger');
+const { ValidationError } = require('./validation');
 
 class ErrorHandler {
   constructor() {
@@ -34,6 +35,21 @@ class ErrorHandler {
     };
   }
 
+  /**
+   * Send an Express route's error: 400 with the message for invalid input, otherwise the
+   * handleAPIError response
+   */
+  respond(res, error, context = '') {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    const errorResponse = this.handleAPIError(error, context);
+    return res.status(errorResponse.status).json(errorResponse);
+  }
+
   /**
    * Handle validation errors
    */
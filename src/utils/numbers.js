@@ -0,0 +1,14 @@
+/**
+ * Number Utilities
+ * Rounding shared by the projection, draft and simulation services
+ */
+
+/**
+ * Round to a number of decimal places (one by default)
+ */
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = { round };
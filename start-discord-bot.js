@@ -2,6 +2,7 @@
 const { validateEnvironment, config } = require('./config/config');
 const HealthCheck = require('./src/health-check');
 const DiscordAIBot = require('./src/discord-ai-bot');
+const PickRelay = require('./src/services/pick-relay');
 
 async function startDiscordBot() {
   console.log('🤖 Starting Fantasy Command Center Discord Bot...\n');
@@ -43,6 +44,11 @@ async function startDiscordBot() {
   
   const bot = new DiscordAIBot();
   
+  // Chrome extension picks feed the bot's draft sessions through the health check server
+  const pickRelay = new PickRelay({ secret: config.extension.relaySecret });
+  pickRelay.register(healthCheck.app);
+  pickRelay.on('picks', batch => bot.recordRelayedPicks(batch));
+  
   try {
     const started = await bot.start();
     
@@ -66,6 +72,9 @@ async function startDiscordBot() {
       console.log(`   - http://localhost:${config.app.port}/health`);
       console.log(`   - http://localhost:${config.app.port}/ready`);
       console.log(`   - http://localhost:${config.app.port}/status`);
+      if (pickRelay.isEnabled()) {
+        console.log(`   - http://localhost:${config.app.port}/extension/picks (Chrome extension relay)`);
+      }
       console.log('\n⚡ 24/7 Fantasy Intelligence Active!');
       
       // Graceful shutdown handling
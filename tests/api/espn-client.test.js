@@ -0,0 +1,87 @@
+/**
+ * ESPNClient's mapping of the raw league payloads, with makeRequest stubbed
+ */
+const ESPNClient = require('../../src/api/espn-client');
+
+const createClient = data => {
+  const client = new ESPNClient({ leagueId: '123456', seasonId: 2025 });
+  client.makeRequest = jest.fn(async () => data);
+  return client;
+};
+
+describe('ESPNClient transactions', () => {
+  test('maps executed moves onto roster actions', async () => {
+    const client = createClient({
+      transactions: [
+        {
+          id: 'claim',
+          type: 'WAIVER',
+          status: 'EXECUTED',
+          processDate: 1727000000000,
+          memberId: '{MEMBER}',
+          teamId: 3,
+          bidAmount: 17,
+          items: [
+            { type: 'ADD', playerId: 4242, fromTeamId: 0, toTeamId: 3 },
+            { type: 'DROP', playerId: 1717, fromTeamId: 3, toTeamId: 0 },
+            { type: 'LINEUP', playerId: 9999, fromTeamId: 3, toTeamId: 3 }
+          ]
+        },
+        { id: 'failed', type: 'WAIVER', status: 'FAILED_INVALIDPLAYERSOURCE', processDate: 1727000000000, items: [] }
+      ]
+    });
+
+    const [claim, ...rest] = await client.getTransactions();
+
+    expect(client.makeRequest).toHaveBeenCalledWith('?view=mTransactions2');
+    expect(rest).toEqual([]);
+    expect(claim).toEqual({
+      id: 'claim',
+      type: 'WAIVER_ADD',
+      date: new Date(1727000000000),
+      team: '{MEMBER}',
+      teamId: 3,
+      bidAmount: 17,
+      players: [
+        { playerId: 4242, type: 'added', fromTeam: 0, toTeam: 3 },
+        { playerId: 1717, type: 'dropped', fromTeam: 3, toTeam: 0 }
+      ]
+    });
+  });
+
+  test('treats each side of a trade as an add for the team receiving the player', async () => {
+    const client = createClient({
+      transactions: [{
+        id: 'trade',
+        type: 'TRADE_ACCEPT',
+        processDate: 1727000000000,
+        items: [
+          { type: 'TRADE', playerId: 1, fromTeamId: 1, toTeamId: 2 },
+          { type: 'TRADE', playerId: 2, fromTeamId: 2, toTeamId: 1 }
+        ]
+      }]
+    });
+
+    const [trade] = await client.getTransactions();
+
+    expect(trade).toMatchObject({ type: 'TRADE', teamId: null, bidAmount: null });
+    expect(trade.players.map(player => [player.playerId, player.type, player.toTeam])).toEqual([[1, 'added', 2], [2, 'added', 1]]);
+  });
+
+  test('names transaction types from the action and the items', () => {
+    const client = createClient({});
+
+    expect(client.getTransactionType('FREEAGENT', [{ type: 'ADD' }, { type: 'DROP' }])).toBe('FREE_AGENT_ADD');
+    expect(client.getTransactionType('FREEAGENT', [{ type: 'DROP' }])).toBe('FREE_AGENT_DROP');
+    expect(client.getTransactionType('WAIVER', [])).toBe('WAIVER_DROP');
+    expect(client.getTransactionType(178)).toBe('WAIVER_ADD');
+    expect(client.getTransactionType('ROSTER')).toBe('UNKNOWN');
+  });
+
+  test('limits the log to the requested count and copes with an empty payload', async () => {
+    const transactions = Array.from({ length: 5 }, (_, index) => ({ id: `t${index}`, type: 'FREEAGENT', processDate: 0, items: [] }));
+
+    expect(await createClient({ transactions }).getTransactions(2)).toHaveLength(2);
+    expect(await createClient({}).getTransactions()).toEqual([]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * SleeperClient against fixtures laid out like the API (tests/fixtures/sleeper), the way
+ * SLEEPER_FIXTURES_DIR replays a recorded league
+ */
+const path = require('path');
+const SleeperClient = require('../../src/api/sleeper-client');
+
+const LEAGUE_ID = '1048241337640960000';
+const DRAFT_ID = '1048241337640960001';
+
+const fixturesDir = path.join(__dirname, '../fixtures/sleeper');
+const createClient = () => new SleeperClient({ leagueId: LEAGUE_ID, fixturesDir });
+
+describe('SleeperClient with recorded fixtures', () => {
+  let client;
+
+  beforeEach(() => {
+    client = createClient();
+  });
+
+  test('maps league settings onto ESPN-shaped league info', async () => {
+    const info = await client.getLeagueInfo();
+
+    expect(info).toMatchObject({
+      id: LEAGUE_ID,
+      platform: 'sleeper',
+      name: 'Bayou Fixture League',
+      size: 4,
+      scoringType: 'PPR',
+      faabBudget: 100,
+      currentMatchupPeriod: 3,
+      tradeSettings: { deadlineWeek: 11 }
+    });
+  });
+
+  test('names teams by team name, then display name, and places starters, bench and IR', async () => {
+    const rosters = await client.getRosters();
+
+    expect(rosters.map(team => team.name)).toEqual(['Gumbo Gang', 'bayou_bob', 'Crawfish Kings', 'dtown']);
+    expect(rosters[0].stats.overall).toMatchObject({ wins: 2, losses: 0, pointsFor: 251.4 });
+    expect(rosters[2].faabSpent).toBe(17);
+
+    const slots = Object.fromEntries(rosters[2].roster.map(entry => [entry.player.name, entry.slot]));
+    expect(slots).toEqual({
+      'Lamar Jackson': 'QB',
+      'Bijan Robinson': 'IR',
+      'Puka Nacua': 'WR',
+      'Bills D/ST': 'DST'
+    });
+
+    const mclaurin = rosters[0].roster.find(entry => entry.playerId === '5927');
+    expect(mclaurin).toMatchObject({ slot: 'FLEX', player: { team: 'WSH' } });
+  });
+
+  test('returns completed transactions newest first, credited to the team that made them', async () => {
+    const transactions = await client.getTransactions();
+
+    expect(transactions.map(transaction => transaction.id)).toEqual([
+      '1120000000000000001',
+      '1120000000000000004',
+      '1120000000000000002',
+      '1110000000000000001'
+    ]);
+
+    const [trade, commissionerAdd, waiver] = transactions;
+    // Proposed by roster 2's co-owner
+    expect(trade).toMatchObject({ type: 'TRADE', team: 'bayou_bob', teamId: 2 });
+    expect(trade.players).toEqual([
+      { playerId: '4866', type: 'added', fromTeam: 1, toTeam: 2 },
+      { playerId: '6794', type: 'added', fromTeam: 2, toTeam: 1 }
+    ]);
+    // Made by the commissioner, who doesn't manage roster 4
+    expect(commissionerAdd).toMatchObject({ type: 'FREE_AGENT_ADD', team: 'dtown', teamId: 4 });
+    expect(waiver).toMatchObject({ type: 'WAIVER_ADD', team: 'Crawfish Kings', teamId: 3, bidAmount: 17 });
+    expect(waiver.players).toEqual([
+      { playerId: '9493', type: 'added', fromTeam: null, toTeam: 3 },
+      { playerId: '4217', type: 'dropped', fromTeam: 3, toTeam: null }
+    ]);
+  });
+
+  test('pairs matchup entries and only decides weeks already played', async () => {
+    const [played] = await client.getMatchups(2);
+    expect(played).toMatchObject({ id: 1, week: 2, winner: 'HOME', home: { teamId: 1, score: 121.4 }, away: { teamId: 2 } });
+
+    const current = await client.getMatchups();
+    expect(current).toHaveLength(2);
+    expect(current.every(matchup => matchup.week === 3 && matchup.winner === 'UNDECIDED')).toBe(true);
+    expect(current[0].home.lineup.find(entry => entry.playerId === '4046').points).toBe(18.2);
+  });
+
+  test('reads the draft with its order and picks', async () => {
+    const draft = await client.getDraftInfo();
+
+    expect(draft).toMatchObject({ drafted: true, format: 'snake', totalPicks: 8 });
+    expect(draft.draftOrder.map(slot => slot.teamName)).toEqual(['Crawfish Kings', 'Gumbo Gang', 'bayou_bob', 'dtown']);
+    expect(draft.picks[4]).toMatchObject({ overallPickNumber: 5, roundPickNumber: 1, playerName: 'Chiefs D/ST', position: 'DST' });
+    expect(draft.currentPick).toEqual({ overall: 7, round: 2, pickInRound: 3 });
+  });
+
+  test('finds the league a draft room belongs to', async () => {
+    const draft = await client.getDraft(DRAFT_ID);
+    expect(draft.league_id).toBe(LEAGUE_ID);
+  });
+
+  test('ranks active fantasy players and skips inactive ones', async () => {
+    const players = await client.getPlayers(3);
+
+    expect(players.map(player => player.name)).toEqual(['Bijan Robinson', 'CeeDee Lamb', 'Christian McCaffrey']);
+    expect(players[2].injuryStatus).toBe('IR');
+    expect((await client.getPlayers(100)).some(player => player.name === 'Tom Brady')).toBe(false);
+  });
+
+  test('names the missing fixture instead of calling the API', async () => {
+    await expect(client.getMatchups(9)).rejects.toThrow(/No Sleeper fixture for \/league\/\d+\/matchups\/9/);
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseConnection = require('../../src/database/connection');
+const DraftRepository = require('../../src/database/draft-repository');
+const DraftSessionManager = require('../../src/services/draft-session-manager');
+
+const source = { guildId: 'g1', channelId: 'c1', author: { id: 'u1', username: 'alice' } };
+
+describe('DraftRepository', () => {
+  let directory;
+  let filename;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'draft-repository-'));
+    filename = path.join(directory, 'fantasy.db');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const startManager = async () => {
+    const repository = new DraftRepository(new DatabaseConnection(filename));
+    await repository.initialize();
+    return { repository, manager: new DraftSessionManager(repository) };
+  };
+
+  test('restores boards, picks and auction bids after a restart', async () => {
+    const first = await startManager();
+    const session = first.manager.open(source, 'bayou', { leagueSize: 10, userTeam: 4 });
+    first.manager.recordPick(session, { pick: 1, player: 'Bijan Robinson', position: 'RB', team: 1, teamName: 'Gumbo Gang' });
+    first.manager.recordPick(session, { pick: 2, player: 'CeeDee Lamb', position: 'WR', team: 4, isUser: true, bid: 55 });
+    first.manager.recordPick(session, { pick: 12, player: 'Josh Allen', position: 'QB', team: 9, keeper: true }, 'import');
+    await first.manager.flush();
+    await first.repository.close();
+
+    const second = await startManager();
+    expect(await second.manager.hydrate()).toBe(1);
+    const restored = second.manager.resolve(source);
+    await second.repository.close();
+
+    expect(restored.id).toBe(session.id);
+    expect(restored.state).toMatchObject({ leagueSize: 10, userTeam: 4, format: 'auction', currentPick: 3 });
+    expect(restored.state.picks).toEqual([
+      expect.objectContaining({ pick: 1, player: 'Bijan Robinson', teamName: 'Gumbo Gang' }),
+      expect.objectContaining({ pick: 2, player: 'CeeDee Lamb', isUser: true, bid: 55 }),
+      expect.objectContaining({ pick: 12, player: 'Josh Allen', keeper: true })
+    ]);
+    expect(restored.teamNameMap).toEqual({ 'gumbo gang': 1 });
+  });
+
+  test('leaves archived and cleared boards behind', async () => {
+    const first = await startManager();
+    const cleared = first.manager.open(source, 'bayou', { leagueSize: 10, userTeam: 4 });
+    first.manager.recordPick(cleared, { pick: 1, player: 'Bijan Robinson', team: 1 });
+    first.manager.reset(cleared);
+    const archived = first.manager.open(source, 'work');
+    first.manager.archive(source, 'work');
+    await first.manager.flush();
+    await first.repository.close();
+
+    const second = await startManager();
+    await second.manager.hydrate();
+    await second.repository.close();
+
+    expect(second.manager.sessions.has(archived.id)).toBe(false);
+    expect(second.manager.sessions.get(cleared.id).state).toMatchObject({ picks: [], leagueSize: 10, userTeam: 4 });
+  });
+
+  test('starts a fresh board when an archived league is reopened', async () => {
+    const first = await startManager();
+    const archived = first.manager.open(source, 'bayou');
+    first.manager.recordPick(archived, { pick: 1, player: 'Old Guy', team: 1 });
+    first.manager.archive(source, 'bayou');
+    const reopened = first.manager.open(source, 'bayou');
+    first.manager.recordPick(reopened, { pick: 1, player: 'New Guy', team: 1 });
+    await first.manager.flush();
+    await first.repository.close();
+
+    expect(reopened.key).not.toBe(archived.key);
+
+    const second = await startManager();
+    expect(await second.manager.hydrate()).toBe(1);
+    const restored = second.manager.resolve(source);
+    await second.repository.close();
+
+    expect(restored).toMatchObject({ id: archived.id, key: reopened.key, status: 'active' });
+    expect(restored.state.picks.map(pick => pick.player)).toEqual(['New Guy']);
+  });
+});
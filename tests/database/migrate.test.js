@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseConnection = require('../../src/database/connection');
+const { migrate, ensureMigrated, rollback, status, loadMigrations, existingColumns } = require('../../database/migrate');
+
+describe('schema migrations', () => {
+  let directory;
+  let filename;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-'));
+    filename = path.join(directory, 'fantasy.db');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const withConnection = async (operation) => {
+    const db = new DatabaseConnection(filename);
+    try {
+      return await operation(db);
+    } finally {
+      await db.close();
+    }
+  };
+
+  test('loads migrations in version order with up and down', () => {
+    const migrations = loadMigrations();
+    expect(migrations.map(migration => migration.version)).toEqual(
+      [...migrations.map(migration => migration.version)].sort()
+    );
+    expect(migrations[0].name).toBe('001_initial_schema');
+  });
+
+  test('applies pending migrations once and reports them applied', async () => {
+    const applied = await migrate(filename, { quiet: true });
+    expect(applied).toEqual(loadMigrations().map(migration => migration.name));
+    expect(await migrate(filename, { quiet: true })).toEqual([]);
+    expect((await status(filename)).every(migration => migration.applied)).toBe(true);
+  });
+
+  test('stops at a target version and rolls back newest first', async () => {
+    await migrate(filename, { targetVersion: '002', quiet: true });
+    expect((await status(filename)).filter(migration => migration.applied).map(migration => migration.version))
+      .toEqual(['001', '002']);
+
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      expect(await rollback(filename)).toEqual(['002_draft_session_persistence']);
+    } finally {
+      log.mockRestore();
+    }
+    const columns = await withConnection(db => existingColumns(db, 'draft_sessions'));
+    expect(columns.has('session_key')).toBe(false);
+  });
+
+  test('adopts databases that already have the columns a migration adds', async () => {
+    // The pre-versioning migrate.js altered tables in place
+    await migrate(filename, { targetVersion: '001', quiet: true });
+    await withConnection(async (db) => {
+      await db.run('ALTER TABLE draft_sessions ADD COLUMN session_key TEXT');
+      await db.run("ALTER TABLE draft_sessions ADD COLUMN draft_format TEXT DEFAULT 'snake'");
+      await db.run('ALTER TABLE draft_picks ADD COLUMN bid_amount INTEGER');
+    });
+
+    await migrate(filename, { quiet: true });
+
+    const columns = await withConnection(db => existingColumns(db, 'draft_sessions'));
+    expect([...columns]).toEqual(expect.arrayContaining(['session_key', 'draft_format', 'auction_budget', 'league_key']));
+  });
+
+  test('shares one run per database and retries after a failure', async () => {
+    const [first, second] = await Promise.all([ensureMigrated(filename), ensureMigrated(filename)]);
+    expect(second).toBe(first);
+
+    const unwritable = path.join(directory, 'missing', 'fantasy.db');
+    await expect(ensureMigrated(unwritable)).rejects.toThrow();
+    fs.mkdirSync(path.dirname(unwritable));
+    await expect(ensureMigrated(unwritable)).resolves.toHaveLength(loadMigrations().length);
+  });
+
+  test('migrates an in-memory database on the connection that uses it', async () => {
+    const db = new DatabaseConnection(':memory:');
+    try {
+      await expect(ensureMigrated(db)).resolves.toHaveLength(loadMigrations().length);
+      expect((await existingColumns(db, 'draft_sessions')).has('session_key')).toBe(true);
+      expect((await status(db)).every(migration => migration.applied)).toBe(true);
+    } finally {
+      await db.close();
+    }
+
+    // Another connection would be a different, empty database
+    await expect(ensureMigrated(':memory:')).rejects.toThrow('open connection');
+  });
+});
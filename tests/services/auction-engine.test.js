@@ -0,0 +1,85 @@
+const AuctionEngine = require('../../src/services/auction-engine');
+const ScoringEngine = require('../../src/services/scoring-engine');
+const RosterRequirements = require('../../src/services/roster-requirements');
+const { ValidationError } = require('../../src/utils/validation');
+
+const player = (name, position, projectedPoints) => ({ name, position, projectedPoints });
+
+// Two teams, $100 each, one QB / RB / WR plus a bench spot; one QB per roster
+const pool = [
+  player('QB A', 'QB', 300), player('QB B', 'QB', 250), player('QB C', 'QB', 200),
+  player('RB A', 'RB', 260), player('RB B', 'RB', 200), player('RB C', 'RB', 140),
+  player('WR A', 'WR', 250), player('WR B', 'WR', 190), player('WR C', 'WR', 130)
+];
+
+const createEngine = () => new AuctionEngine({
+  budget: 100,
+  scoring: ScoringEngine.load('ppr'),
+  roster: new RosterRequirements({ name: 'tiny', size: 2, starters: { QB: 1, RB: 1, WR: 1 }, benchSize: 1, limits: { QB: 1 } }),
+  players: pool
+});
+
+const sold = (name, position, team, bid) => ({ player: name, position, team, bid });
+
+describe('AuctionEngine', () => {
+  test('splits the money above minimum bids in proportion to value over replacement', () => {
+    const values = createEngine().getBaseValues();
+
+    expect(values.map(entry => [entry.name, entry.value])).toEqual([
+      ['RB A', 46], ['WR A', 46], ['QB A', 39], ['RB B', 24], ['WR B', 24], ['QB B', 20], ['QB C', 1], ['RB C', 1], ['WR C', 1]
+    ]);
+    // Everything the league can spend, give or take rounding
+    expect(values.reduce((sum, entry) => sum + entry.value, 0)).toBeCloseTo(200, -1);
+  });
+
+  test('keeps a minimum bid back for every open roster spot', () => {
+    const budgets = createEngine().getTeamBudgets([sold('RB A', 'RB', 1, 60), { player: 'WR C', position: 'WR', team: 2 }, { player: 'QB C' }]);
+
+    expect(budgets).toEqual([
+      { team: 1, spent: 60, rostered: 1, remaining: 40, spotsLeft: 3, maxBid: 38 },
+      { team: 2, spent: 1, rostered: 1, remaining: 99, spotsLeft: 3, maxBid: 97 }
+    ]);
+  });
+
+  test('deflates the remaining players after an overpay', () => {
+    const engine = createEngine();
+    const picks = [sold('RB A', 'RB', 1, 60)];
+
+    expect(engine.getInflation([])).toBeCloseTo(1, 1);
+    expect(engine.getInflation(picks)).toBeCloseTo(133 / 148);
+
+    const board = engine.buildBoard({ picks, position: 'wr' });
+    expect(board.inflation).toBe(0.9);
+    expect(board.players.map(entry => [entry.name, entry.inflatedValue])).toEqual([['WR A', 41], ['WR B', 22], ['WR C', 1]]);
+  });
+
+  test('caps a recommended bid at the user\'s max bid and lists rivals who can go higher', () => {
+    const picks = [sold('RB A', 'RB', 1, 60), sold('QB A', 'QB', 1, 30)];
+    const recommendation = createEngine().recommendBid('wr a', { picks, userTeam: 1 });
+
+    expect(recommendation).toMatchObject({ need: 'starter', bid: 9, fairValue: 44, budget: { maxBid: 9 } });
+    expect(recommendation.rivals.map(team => team.team)).toEqual([2]);
+  });
+
+  test('bids nothing on a position at its roster limit', () => {
+    const picks = [sold('QB A', 'QB', 1, 30)];
+    expect(createEngine().recommendBid('QB B', { picks, userTeam: 1 })).toMatchObject({ need: 'blocked', bid: 0 });
+  });
+
+  test('matches partial names only from three letters and skips sold players', () => {
+    const engine = createEngine();
+
+    expect(engine.recommendBid('wr', { userTeam: 1 })).toBeNull();
+    expect(engine.recommendBid('RB', { userTeam: 1 })).toBeNull();
+    expect(engine.recommendBid('WR A', { picks: [sold('WR A', 'WR', 2, 50)], userTeam: 1 })).toBeNull();
+    expect(() => engine.recommendBid('  ', { userTeam: 1 })).toThrow(ValidationError);
+  });
+
+  test('nominates pricey players the user does not need and cheap ones the user does', () => {
+    const picks = [sold('RB A', 'RB', 1, 60), sold('QB A', 'QB', 1, 30)];
+    const nominations = createEngine().suggestNominations({ picks, userTeam: 1 });
+
+    expect(nominations.drain.map(entry => [entry.name, entry.need])).toEqual([['RB B', 'surplus'], ['QB B', 'blocked']]);
+    expect(nominations.bargains.map(entry => entry.name)).toEqual(['WR C']);
+  });
+});
@@ -0,0 +1,75 @@
+const AvailabilityForecaster = require('../../src/services/availability-forecaster');
+const RosterRequirements = require('../../src/services/roster-requirements');
+
+const roster = new RosterRequirements({
+  name: 'forecast',
+  size: 10,
+  starters: { QB: 1, RB: 2, WR: 2 },
+  benchSize: 3,
+  limits: { QB: 1 }
+});
+
+// Value board: one QB at ADP 2, then alternating RBs and WRs in ADP order
+const board = Array.from({ length: 40 }, (_, index) => {
+  const adp = index + 1;
+  const position = adp === 2 ? 'QB' : adp % 2 === 0 ? 'WR' : 'RB';
+  return { name: `${position} ${adp}`, position, team: 'NYJ', adp, rank: adp, vor: 100 - adp };
+});
+
+const createForecaster = (options = {}) => new AvailabilityForecaster({ roster, leagueSize: 10, iterations: 300, ...options });
+
+describe('AvailabilityForecaster', () => {
+  test('finds the user\'s next pick in a snake draft', () => {
+    const forecaster = createForecaster();
+
+    expect(forecaster.nextUserPick(1, 10)).toBe(10);
+    expect(forecaster.nextUserPick(10, 10)).toBe(10);
+    expect(forecaster.nextUserPick(10, 10, false)).toBe(11);
+    expect(forecaster.nextUserPick(3, 3, false)).toBe(18);
+  });
+
+  test('gives players going well before the user\'s pick little chance of lasting', () => {
+    const forecast = createForecaster().forecast({ available: board, currentPick: 1, userTeam: 10, limit: 20 });
+    const chance = name => forecast.players.find(player => player.name === name).probability;
+
+    expect(forecast).toMatchObject({ currentPick: 1, nextPick: 10, picksUntil: 9, iterations: 300 });
+    expect(chance('RB 1')).toBeLessThan(0.05);
+    expect(chance('WR 20')).toBeGreaterThan(0.9);
+    expect(chance('RB 3')).toBeLessThan(chance('RB 13'));
+    expect(forecast.players.find(player => player.name === 'WR 20').outlook).toBe('likely');
+  });
+
+  test('lets positions the other teams cannot use fall', () => {
+    // Every team already has its one allowed QB
+    const rosters = Object.fromEntries(Array.from({ length: 9 }, (_, index) => [index + 1, [{ player: `Starter ${index}`, position: 'QB' }]]));
+    const forecast = createForecaster().forecast({ available: board, rosters, currentPick: 1, userTeam: 10 });
+
+    expect(forecast.players.find(player => player.name === 'QB 2').probability).toBe(1);
+  });
+
+  test('forecasts the pick after the current one at the turn', () => {
+    const forecast = createForecaster().forecast({ available: board, currentPick: 10, userTeam: 10, onTheClock: true, limit: 3 });
+
+    expect(forecast).toMatchObject({ nextPick: 11, picksUntil: 0 });
+    expect(forecast.players.map(player => player.probability)).toEqual([1, 1, 1]);
+  });
+
+  test('gives the same board the same forecast', () => {
+    const options = { available: board, currentPick: 1, userTeam: 10 };
+    expect(createForecaster().forecast(options)).toEqual(createForecaster().forecast(options));
+  });
+
+  test('describes each forecast in one line', () => {
+    expect(AvailabilityForecaster.outlookFor(0.75)).toBe('likely');
+    expect(AvailabilityForecaster.outlookFor(0.4)).toBe('risky');
+    expect(AvailabilityForecaster.outlookFor(0.39)).toBe('unlikely');
+
+    const lines = AvailabilityForecaster.formatLines({
+      players: [
+        { name: 'Breece Hall', position: 'RB', team: 'NYJ', probability: 0.92, outlook: 'likely' },
+        { name: 'Bills D/ST', position: 'DST', team: null, probability: 0.3, outlook: 'unlikely' }
+      ]
+    });
+    expect(lines).toEqual(['✅ 92% Breece Hall (RB, NYJ)', `❌ 30% Bills D/ST (${RosterRequirements.displayName('DST')})`]);
+  });
+});
@@ -0,0 +1,104 @@
+const DraftMonitor = require('../../src/services/draft-monitor');
+const config = require('../../config');
+
+const draftOrder = [{ teamId: 11, pickPosition: 1 }, { teamId: 12, pickPosition: 2 }];
+const allPicks = [
+  { overallPickNumber: 1, playerId: 101, teamId: 11 },
+  { overallPickNumber: 2, playerId: 102, teamId: 12 },
+  { overallPickNumber: 3, playerId: 103, teamId: 12 },
+  { overallPickNumber: 4, playerId: 104, teamId: 11 }
+];
+
+// Two teams, two rounds; each poll of getDraftInfo returns the next state of the board
+const createClient = (...boards) => {
+  const getDraftInfo = jest.fn();
+  boards.forEach(board => getDraftInfo.mockResolvedValueOnce({ draftOrder, totalPicks: 4, currentPick: null, ...board }));
+  getDraftInfo.mockResolvedValue({ draftOrder, totalPicks: 4, currentPick: null, ...boards[boards.length - 1] });
+
+  return {
+    getLeagueInfo: jest.fn(async () => ({ name: 'Test League', size: 2 })),
+    getDraftInfo,
+    getRosters: jest.fn(async () => [
+      { id: 11, name: 'Alpha', owner: 'user one' },
+      { id: 12, name: 'Beta', owner: 'someone else' }
+    ]),
+    getPlayers: jest.fn(async () => [
+      { id: 101, name: 'Monitor RB 1', position: 'RB', team: 'ATL' },
+      { id: 102, name: 'Monitor WR 1', position: 'WR', team: 'DAL' },
+      { id: 103, name: 'Monitor RB 2', position: 'RB', team: 'PHI' },
+      { id: 104, name: 'Monitor WR 2', position: 'WR', team: 'LAR' }
+    ])
+  };
+};
+
+describe('DraftMonitor', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('sends the recap once when the last pick is in', async () => {
+    const monitor = new DraftMonitor({
+      leagueClient: createClient({ picks: [] }, { picks: allPicks.slice(0, 2) }, { picks: allPicks })
+    });
+    const newPicks = jest.fn();
+    const recaps = jest.fn();
+    monitor.on('newPick', newPicks);
+    monitor.on('draftComplete', recaps);
+
+    await monitor.initialize();
+    await monitor.checkForNewPicks();
+    expect(recaps).not.toHaveBeenCalled();
+
+    await monitor.checkForNewPicks();
+    await monitor.checkForNewPicks();
+
+    expect(newPicks).toHaveBeenCalledTimes(4);
+    expect(recaps).toHaveBeenCalledTimes(1);
+    const [recap] = recaps.mock.calls[0];
+    expect(recap.leagueName).toBe('Test League');
+    expect(recap.teams.map(team => team.name).sort()).toEqual(['Alpha', 'Beta']);
+    expect(recap.user.name).toBe('Alpha');
+  });
+
+  test('still sends the recap when started after the draft finished', async () => {
+    const monitor = new DraftMonitor({ leagueClient: createClient({ picks: allPicks, drafted: true }) });
+    const recaps = jest.fn();
+    monitor.on('draftComplete', recaps);
+
+    await monitor.initialize();
+    await monitor.checkForNewPicks();
+    await monitor.checkForNewPicks();
+
+    expect(recaps).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports a failed start and rethrows', async () => {
+    const leagueClient = createClient({ picks: [] });
+    leagueClient.getRosters.mockResolvedValue([]);
+    const monitor = new DraftMonitor({ leagueClient });
+    const errors = jest.fn();
+    monitor.on('error', errors);
+
+    await expect(monitor.initialize()).rejects.toThrow('No team data available');
+    expect(errors).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('No team data') }));
+  });
+
+  test('rethrows a failed poll and reports it while monitoring', async () => {
+    const leagueClient = createClient({ picks: [] });
+    const monitor = new DraftMonitor({ leagueClient });
+    await monitor.initialize();
+
+    leagueClient.getDraftInfo.mockRejectedValue(new Error('ESPN timeout'));
+    await expect(monitor.checkForNewPicks()).rejects.toThrow('ESPN timeout');
+
+    jest.useFakeTimers();
+    const failures = jest.fn();
+    monitor.on('monitoringError', failures);
+    monitor.startMonitoring();
+    await jest.advanceTimersByTimeAsync(config.draft.monitorInterval || 5000);
+    monitor.stopMonitoring();
+
+    expect(failures).toHaveBeenCalledWith(expect.objectContaining({ message: 'ESPN timeout' }));
+    expect(monitor.isMonitoring).toBe(false);
+  });
+});
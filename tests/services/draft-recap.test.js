@@ -0,0 +1,97 @@
+const DraftRecap = require('../../src/services/draft-recap');
+const ScoringEngine = require('../../src/services/scoring-engine');
+const RosterRequirements = require('../../src/services/roster-requirements');
+
+const player = (name, position, projectedPoints, adp, team) => ({ name, position, projectedPoints, adp, team });
+
+const players = [
+  player('QB A', 'QB', 340, 5, 'BUF'),
+  player('QB B', 'QB', 300, 6, 'KC'),
+  player('RB A', 'RB', 300, 1, 'ATL'),
+  player('RB B', 'RB', 250, 3, 'PHI'),
+  player('RB C', 'RB', 150, 8, 'CAR'),
+  player('WR A', 'WR', 280, 2, 'DAL'),
+  player('WR B', 'WR', 230, 4, 'LAR'),
+  player('WR C', 'WR', 140, 7, 'NYG')
+];
+
+// Buffalo, Atlanta and Dallas share week 5 off
+const schedules = {
+  ATL: { byeWeek: 5 }, BUF: { byeWeek: 5 }, DAL: { byeWeek: 5 }, KC: { byeWeek: 6 },
+  PHI: { byeWeek: 7 }, CAR: { byeWeek: 8 }, LAR: { byeWeek: 9 }, NYG: { byeWeek: 10 }
+};
+
+// Team 1 drafts to ADP and steals two players; team 2 reaches twice and never takes a QB
+const draftOrder = [[1, 'RB A'], [2, 'RB C'], [2, 'WR B'], [1, 'WR A'], [1, 'QB A'], [2, 'RB B'], [2, 'WR C'], [1, 'QB B']];
+const picks = draftOrder.map(([team, name], index) => ({ team, player: name, pick: index + 1 }));
+
+const createRecap = (options = {}) => new DraftRecap({
+  scoring: ScoringEngine.load('ppr'),
+  roster: RosterRequirements.fromSlotList(['QB', 'RB', 'WR'], { name: 'tiny', size: 2, benchSize: 1 }),
+  players,
+  schedules,
+  ...options
+});
+
+const generate = (recap = createRecap()) => recap.generate({
+  picks,
+  teamNames: { 1: 'Team One', 2: 'Team Two' },
+  userTeam: 2,
+  leagueName: 'Test League'
+});
+
+describe('DraftRecap', () => {
+  test('grades each team on its lineup, value and record against ADP', async () => {
+    const recap = await generate();
+    const [first, second] = recap.teams;
+
+    expect(recap).toMatchObject({ leagueName: 'Test League', leagueSize: 2, rounds: 4, scoring: 'PPR', byeWeeks: true });
+    expect(first).toMatchObject({ name: 'Team One', rank: 1, grade: 'A', starterPoints: 920, vorGained: 330, adpValue: 4, emptySlots: [] });
+    expect(first.bestPick.player).toBe('WR A');
+    expect(second).toMatchObject({ name: 'Team Two', rank: 2, grade: 'C', isUser: true, emptySlots: ['QB'], weakest: 'QB' });
+    expect(recap.user).toBe(second);
+  });
+
+  test('flags starters who share a bye week', async () => {
+    const [first, second] = (await generate()).teams;
+
+    expect(first.byeCollisions).toEqual([{ week: 5, players: ['QB A', 'RB A', 'WR A'] }]);
+    expect(second.byeCollisions).toEqual([]);
+  });
+
+  test('lists the league\'s biggest steals and reaches', async () => {
+    const recap = await generate();
+
+    expect(recap.steals.map(pick => [pick.player, pick.value, pick.teamName])).toEqual([
+      ['RB B', 3, 'Team Two'], ['WR A', 2, 'Team One'], ['QB B', 2, 'Team One']
+    ]);
+    expect(recap.reaches.map(pick => [pick.player, pick.value])).toEqual([['RB C', -6], ['WR B', -1]]);
+  });
+
+  test('leaves keepers out of the ADP record', () => {
+    const recap = createRecap({ leagueSize: 2 });
+
+    expect(recap.describePick({ player: 'rb a', team: 1, pick: 5, keeper: true })).toMatchObject({ player: 'RB A', keeper: true, value: null, round: 3 });
+    expect(recap.describePick({ player: 'Unknown Rookie', position: 'wr', team: 1, pick: 6 }))
+      .toMatchObject({ known: false, position: 'WR', marketPick: null, value: null, byeWeek: null });
+  });
+
+  test('grades without bye weeks when the schedule cannot be loaded', async () => {
+    const espnClient = { getProTeamSchedules: jest.fn(async () => { throw new Error('ESPN down'); }) };
+    const recap = await generate(createRecap({ schedules: null, espnClient }));
+
+    expect(espnClient.getProTeamSchedules).toHaveBeenCalledTimes(1);
+    expect(recap.byeWeeks).toBe(false);
+    expect(recap.teams[0].byeCollisions).toEqual([]);
+  });
+
+  test('writes the recap as Markdown', async () => {
+    const markdown = DraftRecap.toMarkdown(await generate());
+
+    expect(markdown).toMatch(/^# Draft Recap: Test League\n/);
+    expect(markdown).toContain('| 1 | Team One | A | 920 | 330 | +4 | - | wk 5 (3) |');
+    expect(markdown).toContain('| 2 | Team Two (you) | C | 480 | 190 | -4 | QB | - |');
+    expect(markdown).toContain('- Pick 2: RB C (RB, Team Two) - 6 picks before ADP 8');
+    expect(markdown).toContain('- 6. RB B RB PHI (+3 vs ADP)');
+  });
+});
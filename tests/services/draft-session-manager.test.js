@@ -0,0 +1,136 @@
+const DraftSessionManager = require('../../src/services/draft-session-manager');
+
+const message = (guildId, username, channelId = 'c1') => ({
+  guildId,
+  channelId,
+  author: { id: `${username}-id`, username }
+});
+
+describe('DraftSessionManager', () => {
+  test('keeps one board per channel and league', () => {
+    const manager = new DraftSessionManager();
+    const bayou = manager.open(message('g1', 'alice'), 'Bayou');
+    const work = manager.open(message('g1', 'alice'), 'work');
+    const otherGuild = manager.open(message('g2', 'alice'), 'bayou');
+
+    expect(bayou.id).toBe('guild:g1:channel:c1:bayou');
+    expect(new Set([bayou, work, otherGuild]).size).toBe(3);
+    expect(manager.open(message('g1', 'bob'), 'BAYOU')).toBe(bayou);
+    expect(bayou.participants).toEqual(['alice', 'bob']);
+  });
+
+  test('keeps drafts in two channels of one guild apart', () => {
+    const manager = new DraftSessionManager();
+    const draftRoom = manager.open(message('g1', 'alice', 'c1'), 'bayou');
+    const otherRoom = manager.open(message('g1', 'bob', 'c2'), 'bayou');
+
+    expect(otherRoom).not.toBe(draftRoom);
+    expect(otherRoom.id).toBe('guild:g1:channel:c2:bayou');
+    expect(manager.resolve(message('g1', 'alice', 'c2')).leagueId).toBe(DraftSessionManager.DEFAULT_LEAGUE);
+    expect(manager.list(message('g1', 'carol', 'c1'))).toEqual([draftRoom]);
+    expect(manager.getScope({ guild: { id: 'g1' } })).toBe('guild:g1');
+  });
+
+  test('resolves the board a user last opened in this scope', () => {
+    const manager = new DraftSessionManager();
+    const work = manager.open(message('g1', 'alice'), 'work');
+
+    expect(manager.resolve(message('g1', 'alice'))).toBe(work);
+    expect(manager.resolve(message('g1', 'carol')).leagueId).toBe(DraftSessionManager.DEFAULT_LEAGUE);
+  });
+
+  test('looks up a user\'s current board without opening one', () => {
+    const manager = new DraftSessionManager();
+    const work = manager.open(message('g1', 'alice'), 'work');
+
+    expect(manager.current(message('g1', 'alice'))).toBe(work);
+    expect(manager.current(message('g1', 'bob'))).toBeNull();
+    expect(manager.list(message('g1', 'bob'))).toEqual([work]);
+  });
+
+  test('direct messages are scoped to the channel', () => {
+    const manager = new DraftSessionManager();
+    expect(manager.getScope({ channelId: 'dm1', author: { id: 'u1' } })).toBe('channel:dm1');
+    expect(manager.getScope({ author: { id: 'u1' } })).toBe('user:u1');
+  });
+
+  test('skips keeper slots when working out the next pick', () => {
+    const picks = [
+      { pick: 1 },
+      { pick: 2 },
+      { pick: 3, keeper: true },
+      { pick: 9, keeper: true }
+    ];
+    expect(DraftSessionManager.nextOpenPick(picks)).toBe(4);
+    expect(DraftSessionManager.nextOpenPick([{ pick: 1, keeper: true }])).toBe(2);
+  });
+
+  test('switches a board to auction mode on its first winning bid', () => {
+    const manager = new DraftSessionManager();
+    const session = manager.open(message('g1', 'alice'), 'bayou');
+
+    manager.recordPick(session, { pick: 1, player: 'Bijan Robinson', team: 1, bid: 62 });
+    expect(session.state.format).toBe('auction');
+    expect(session.state.currentPick).toBe(2);
+  });
+
+  test('archiving sends users back to the default board', () => {
+    const manager = new DraftSessionManager();
+    const source = message('g1', 'alice');
+    const bayou = manager.open(source, 'bayou');
+
+    expect(manager.archive(source)).toBe(bayou);
+    expect(manager.switchTo(source, 'bayou')).toBeNull();
+    expect(manager.resolve(source).leagueId).toBe(DraftSessionManager.DEFAULT_LEAGUE);
+    expect(manager.list(source, { includeArchived: true })).toContain(bayou);
+  });
+
+  test('writes through to the store in order and survives a failed write', async () => {
+    const calls = [];
+    const store = {
+      saveSession: jest.fn(async session => calls.push(`save ${session.id}`)),
+      recordPick: jest.fn(async () => {
+        throw new Error('disk full');
+      }),
+      clearPicks: jest.fn(async () => calls.push('clear'))
+    };
+    const manager = new DraftSessionManager(store);
+    const session = manager.open(message('g1', 'alice'), 'bayou', { leagueSize: 12, userTeam: 5 });
+
+    manager.recordPick(session, { pick: 1, player: 'Bijan Robinson', team: 1 });
+    manager.reset(session);
+    await manager.flush();
+
+    expect(calls).toEqual(['save guild:g1:channel:c1:bayou', 'save guild:g1:channel:c1:bayou', 'clear']);
+    expect(store.recordPick).toHaveBeenCalledWith(session, expect.objectContaining({ pick: 1 }), 'manual');
+    expect(session.state).toMatchObject({ picks: [], currentPick: 1, leagueSize: 12, userTeam: 5 });
+  });
+
+  test('rebuilds team names and the next pick when hydrating', async () => {
+    const store = {
+      initialize: jest.fn(async () => {}),
+      loadActiveSessions: jest.fn(async () => [{
+        id: 'guild:g1:channel:c1:bayou',
+        scope: 'guild:g1:channel:c1',
+        leagueId: 'bayou',
+        status: 'active',
+        participants: ['alice'],
+        updatedAt: new Date(),
+        state: {
+          picks: [
+            { pick: 1, team: 3, teamName: 'Gumbo Gang' },
+            { pick: 2, team: 1, teamName: 'Crawfish Kings' }
+          ]
+        }
+      }])
+    };
+    const manager = new DraftSessionManager(store);
+
+    expect(await manager.hydrate()).toBe(1);
+    const session = manager.sessions.get('guild:g1:channel:c1:bayou');
+    expect(session.teamNameMap).toEqual({ 'gumbo gang': 3, 'crawfish kings': 1 });
+    expect(session.nextTeamNumber).toBe(4);
+    expect(session.state.currentPick).toBe(3);
+    expect(manager.resolve(message('g1', 'alice'))).toBe(session);
+  });
+});
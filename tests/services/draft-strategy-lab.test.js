@@ -0,0 +1,111 @@
+const DraftStrategyLab = require('../../src/services/draft-strategy-lab');
+const ScoringEngine = require('../../src/services/scoring-engine');
+const RosterRequirements = require('../../src/services/roster-requirements');
+const { ValidationError } = require('../../src/utils/validation');
+
+const group = (position, count, topPoints, step) => Array.from({ length: count }, (_, index) => ({
+  name: `${position} Player ${index + 1}`,
+  position,
+  projectedPoints: topPoints - index * step,
+  adp: null
+}));
+
+const createLab = () => new DraftStrategyLab({
+  leagueSize: 4,
+  roster: new RosterRequirements({
+    name: 'lab',
+    size: 4,
+    starters: { QB: 1, RB: 2, WR: 2, TE: 1 },
+    benchSize: 2,
+    limits: { QB: 2, TE: 2 }
+  }),
+  scoring: ScoringEngine.load('ppr'),
+  players: [
+    ...group('QB', 8, 340, 15),
+    ...group('RB', 14, 300, 15),
+    ...group('WR', 14, 290, 12),
+    ...group('TE', 8, 220, 20)
+  ]
+});
+
+describe('DraftStrategyLab', () => {
+  test('resolves named strategies and round-by-round plans', () => {
+    expect(DraftStrategyLab.resolveStrategy('Zero-RB')).toMatchObject({ name: 'zero-rb', rules: [{ avoid: ['RB'], from: 1, through: 5 }] });
+    expect(DraftStrategyLab.resolveStrategy('rb-wr/te')).toEqual({
+      name: 'RB-WR-TE',
+      description: 'R1 RB, R2 WR, R3 TE, then best available',
+      rules: [
+        { only: ['RB'], from: 1, through: 1 },
+        { only: ['WR'], from: 2, through: 2 },
+        { only: ['TE'], from: 3, through: 3 }
+      ]
+    });
+    expect(() => DraftStrategyLab.resolveStrategy('K-DST')).toThrow(ValidationError);
+  });
+
+  test('applies the rules for each round', () => {
+    const heroRb = DraftStrategyLab.resolveStrategy('hero-rb');
+
+    expect(DraftStrategyLab.allowedPositions(heroRb, 1)).toEqual({ allowed: ['RB'], avoided: new Set() });
+    expect(DraftStrategyLab.allowedPositions(heroRb, 3)).toEqual({ allowed: null, avoided: new Set(['RB']) });
+    expect(DraftStrategyLab.allowedPositions(heroRb, 6)).toEqual({ allowed: null, avoided: new Set() });
+  });
+
+  test('drafts the user\'s team by the strategy', () => {
+    const lab = createLab();
+    const zeroRb = lab.simulate(DraftStrategyLab.resolveStrategy('zero-rb'), 1, 3);
+    const plan = lab.simulate(DraftStrategyLab.resolveStrategy('TE-QB'), 1, 3);
+
+    expect(zeroRb.picks.filter(pick => pick.round <= 5).map(pick => pick.position)).not.toContain('RB');
+    expect(plan.picks.slice(0, 2).map(pick => pick.position)).toEqual(['TE', 'QB']);
+    expect(zeroRb.emptySlots).toEqual([]);
+  });
+
+  test('compares strategies from every slot against the same bot seeds', async () => {
+    const lab = createLab();
+    const options = { strategies: ['best-available', 'zero-rb'], slots: [1, 4], iterations: 5, seed: 100 };
+    const report = await lab.run(options);
+
+    expect(report).toMatchObject({ leagueSize: 4, rounds: 8, iterations: 5, seed: 100 });
+    expect(report.results.map(result => [result.slot, result.strategy])).toEqual([
+      [1, 'best-available'], [1, 'zero-rb'], [4, 'best-available'], [4, 'zero-rb']
+    ]);
+    report.results.forEach(result => {
+      expect(result.drafts).toBe(5);
+      expect(result.histogram.counts.reduce((sum, count) => sum + count, 0)).toBe(5);
+      expect(result.min).toBeLessThanOrEqual(result.median);
+      expect(result.points).toBeUndefined();
+    });
+    expect(report.best.map(entry => entry.slot)).toEqual([1, 4]);
+    expect((await lab.run(options)).results).toEqual(report.results);
+  });
+
+  test('caps the drafts in a run', async () => {
+    const lab = createLab();
+
+    await expect(lab.run({ iterations: DraftStrategyLab.MAX_ITERATIONS + 1 })).rejects.toThrow(ValidationError);
+    await expect(lab.run({ strategies: Object.keys(DraftStrategyLab.STRATEGIES), iterations: DraftStrategyLab.MAX_ITERATIONS }))
+      .rejects.toThrow('at most 5000 drafts');
+    await expect(lab.run({ slots: [5] })).rejects.toThrow(ValidationError);
+    expect(DraftStrategyLab.isRunning()).toBe(false);
+  });
+
+  test('runs one lab at a time per process', async () => {
+    const lab = createLab();
+    const first = lab.run({ strategies: ['best-available'], slots: [1], iterations: 30, seed: 1 });
+
+    expect(DraftStrategyLab.isRunning()).toBe(true);
+    await expect(createLab().run({ strategies: ['zero-rb'], slots: [1], iterations: 1 })).rejects.toThrow('already in progress');
+
+    await first;
+    expect(DraftStrategyLab.isRunning()).toBe(false);
+  });
+
+  test('summarizes outcomes as a distribution and league finish', () => {
+    const outcomes = [100, 120, 140, 160, 180].map((starterPoints, index) => ({ starterPoints, rank: index + 1, grade: index < 3 ? 'B' : 'A' }));
+
+    expect(DraftStrategyLab.summarize(outcomes)).toMatchObject({
+      drafts: 5, mean: 140, min: 100, median: 140, max: 180, averageRank: 3, firstPlaceRate: 0.2, typicalGrade: 'B'
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const DynastyValueModel = require('../../src/services/dynasty-value-model');
+const PlayerValueModel = require('../../src/services/player-value-model');
+const VBDEngine = require('../../src/services/vbd-engine');
+const ScoringEngine = require('../../src/services/scoring-engine');
+const RosterRequirements = require('../../src/services/roster-requirements');
+const { ValidationError } = require('../../src/utils/validation');
+
+const player = (name, position, projectedPoints) => ({ name, position, projectedPoints, team: null });
+
+const createModel = () => {
+  const roster = RosterRequirements.fromSlotList(['RB', 'TE'], { name: 'tiny', size: 12 });
+  const pool = [
+    player('Young Back', 'RB', 300),
+    player('Old Back', 'RB', 300),
+    player('Prime End', 'TE', 250),
+    ...Array.from({ length: 14 }, (_, index) => player(`Depth Back ${index}`, 'RB', 150 - index)),
+    ...Array.from({ length: 14 }, (_, index) => player(`Depth End ${index}`, 'TE', 120 - index))
+  ];
+  return new DynastyValueModel({
+    valueModel: new PlayerValueModel({
+      vbd: new VBDEngine({ scoring: ScoringEngine.load('ppr'), roster, players: pool }),
+      ages: new Map(),
+      currentWeek: 1
+    })
+  });
+};
+
+describe('DynastyValueModel', () => {
+  test('reads rookie picks the way managers write them', () => {
+    const nextSeason = DynastyValueModel.nextDraftSeason();
+
+    expect(DynastyValueModel.parsePick('2027 1st')).toEqual({ season: 2027, round: 1, slot: null });
+    expect(DynastyValueModel.parsePick('2027 1.04')).toEqual({ season: 2027, round: 1, slot: 4 });
+    expect(DynastyValueModel.parsePick('Round 2 pick')).toEqual({ season: nextSeason, round: 2, slot: null });
+    expect(DynastyValueModel.parsePick('Josh Allen')).toBeNull();
+    expect(DynastyValueModel.describePick({ season: 2027, round: 3, slot: null })).toBe('2027 3rd');
+    expect(DynastyValueModel.describePick({ season: 2027, round: 1, slot: 4 })).toBe('2027 1.04');
+  });
+
+  test('counts the next rookie draft from June onwards as next year\'s', () => {
+    expect(DynastyValueModel.nextDraftSeason(new Date(2026, 4, 31))).toBe(2026);
+    expect(DynastyValueModel.nextDraftSeason(new Date(2026, 5, 1))).toBe(2027);
+  });
+
+  test('follows each position\'s age curve', () => {
+    const model = createModel();
+
+    expect(model.getCurveFactor('RB', 25)).toBe(1);
+    expect(model.getCurveFactor('RB', 21)).toBeCloseTo(0.92 ** 2);
+    expect(model.getCurveFactor('RB', 29)).toBeCloseTo(0.85 ** 3);
+    expect(model.getCurveFactor('RB', 45)).toBe(0.1);
+    expect(model.getCurveFactor('K', 40)).toBe(1);
+  });
+
+  test('values a young player above an old one with the same production this season', () => {
+    const model = createModel();
+    const young = model.evaluate({ name: 'Young Back', age: 22 });
+    const old = model.evaluate({ name: 'Old Back', age: 29 });
+
+    expect(young.seasons[1]).toBeGreaterThan(young.seasons[0]);
+    expect(old.seasons[1]).toBeLessThan(old.seasons[0]);
+    expect(young.value).toBeGreaterThan(old.value);
+    expect(young.redraftValue).toBeGreaterThanOrEqual(old.redraftValue);
+  });
+
+  test('keeps a player inside the peak window at this season\'s value', () => {
+    const prime = createModel().evaluate({ name: 'Prime End', age: 26 });
+
+    expect(new Set(prime.seasons).size).toBe(1);
+    expect(prime.dynastyValue).toBe(prime.redraftValue);
+  });
+
+  test('assumes a typical age when the birth date is missing', () => {
+    const model = createModel();
+
+    expect(model.evaluate({ name: 'Prime End' })).toMatchObject({ age: 27, ageAssumed: true });
+    expect(model.evaluate({ name: 'Unprojected Rookie', position: 'RB', rookie: true })).toMatchObject({ age: 22, rookie: true, seasons: [14, 15.2, 15.2] });
+  });
+
+  test('values picks by round and slot, discounted by distance', () => {
+    const model = createModel();
+    const nextSeason = DynastyValueModel.nextDraftSeason();
+
+    expect(model.evaluatePick({ season: nextSeason, round: 1, slot: null })).toMatchObject({ position: 'PICK', value: 30, name: `${nextSeason} 1st` });
+    expect(model.evaluatePick({ season: nextSeason, round: 1, slot: 1 }).value).toBe(37.5);
+    expect(model.evaluatePick({ season: nextSeason, round: 1, slot: 12 }).value).toBe(22.5);
+    expect(model.evaluatePick({ season: nextSeason + 1, round: 1, slot: null }).value).toBe(25.5);
+    expect(model.evaluatePick({ season: nextSeason, round: 9, slot: null }).value).toBe(1);
+    expect(() => model.evaluatePick({ season: nextSeason - 1, round: 1, slot: null })).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,62 @@
+const KeeperAnalyzer = require('../../src/services/keeper-analyzer');
+const ScoringEngine = require('../../src/services/scoring-engine');
+const RosterRequirements = require('../../src/services/roster-requirements');
+const { ValidationError } = require('../../src/utils/validation');
+
+const player = (name, position, projectedPoints, adp = null, team = null) => ({ name, position, projectedPoints, adp, team });
+
+// Ten teams, so ADP 25 is a third-round pick
+const createAnalyzer = () => new KeeperAnalyzer({
+  scoring: ScoringEngine.load('ppr'),
+  roster: RosterRequirements.fromSlotList(['QB', 'RB', 'WR'], { name: 'ten', size: 10, benchSize: 2 }),
+  players: [
+    player('Bijan Robinson', 'RB', 320, 3, 'ATL'),
+    player('Puka Nacua', 'WR', 260, 25, 'LAR'),
+    player('Late Sleeper', 'WR', 150, 110),
+    player('Josh Allen', 'QB', 380, null, 'BUF'),
+    player('Lamar Jackson', 'QB', 370, 40, 'BAL')
+  ]
+});
+
+describe('KeeperAnalyzer', () => {
+  test('places a keeper in its team\'s snake slot for the round', () => {
+    expect(KeeperAnalyzer.slotFor(1, 3, 10)).toBe(3);
+    expect(KeeperAnalyzer.slotFor(2, 3, 10)).toBe(18);
+    expect(KeeperAnalyzer.slotFor(3, 10, 10)).toBe(30);
+
+    const pick = createAnalyzer().toPick(KeeperAnalyzer.normalize({ player: 'nacua', team: 3, round: 6 }), { userTeam: 3 });
+    expect(pick).toMatchObject({ player: 'Puka Nacua', position: 'WR', nflTeam: 'LAR', team: 3, pick: 58, isUser: true, keeper: true });
+  });
+
+  test('validates declarations, letting auction keepers cost dollars instead of a round', () => {
+    const auction = KeeperAnalyzer.normalize({ player: 'Puka Nacua', team: 2, bid: 31, position: 'wr' }, 0, 10);
+
+    expect(auction).toMatchObject({ round: null, bid: 31, position: 'WR' });
+    expect(createAnalyzer().toPick(auction, { nextPick: 4 })).toMatchObject({ pick: 4, bid: 31, isUser: false });
+    expect(() => KeeperAnalyzer.normalize({ player: 'Puka Nacua', team: 11, round: 3 }, 0, 10)).toThrow(ValidationError);
+    expect(() => KeeperAnalyzer.normalize({ player: 'Puka Nacua', team: 1 })).toThrow(ValidationError);
+  });
+
+  test('compares the round a keeper costs with the round the market would take the player', () => {
+    const analyzer = createAnalyzer();
+
+    expect(analyzer.evaluate({ player: 'Puka Nacua', round: 6 })).toMatchObject({ basis: 'adp', marketRound: 3, surplus: 3, verdict: 'keep' });
+    expect(analyzer.evaluate({ player: 'Bijan Robinson', round: 1 })).toMatchObject({ surplus: 0, verdict: 'marginal' });
+    expect(analyzer.evaluate({ player: 'Late Sleeper', round: 10 })).toMatchObject({ marketRound: 11, verdict: 'drop' });
+    expect(analyzer.evaluate({ player: 'Josh Allen', round: 3 }).basis).toBe('vor');
+    expect(analyzer.evaluate({ player: 'Nobody Known', round: 3 })).toMatchObject({ known: false, verdict: 'unknown' });
+  });
+
+  test('recommends the best keepers up to the limit for each team', () => {
+    const ranked = createAnalyzer().rank([
+      { player: 'Bijan Robinson', round: 1, team: 'Gumbo Gang' },
+      { player: 'Puka Nacua', round: 6, team: 'Gumbo Gang' },
+      { player: 'Lamar Jackson', round: 9, team: 'dtown' },
+      { player: 'Late Sleeper', round: 10, team: 'dtown' }
+    ], { max: 1 });
+
+    expect(ranked.map(entry => [entry.player, entry.recommended])).toEqual([
+      ['Lamar Jackson', true], ['Puka Nacua', true], ['Bijan Robinson', false], ['Late Sleeper', false]
+    ]);
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LeagueRegistry = require('../../src/services/league-registry');
+const { ValidationError } = require('../../src/utils/validation');
+
+const leagues = () => [
+  {
+    name: 'Bayou',
+    platform: 'espn',
+    leagueId: '12345',
+    season: 2025,
+    credentials: { s2Cookie: 'env:TEST_BAYOU_S2', swidCookie: '{SWID}' },
+    discord: { channels: ['bayou-draft', '9001'], owners: { 4242: 3, Alice: 'Gumbo Gang' } },
+    profile: '12-team-ppr',
+    scoring: 'ppr'
+  },
+  {
+    name: 'gumbo',
+    platform: 'Sleeper',
+    leagueId: '1048241337640960000',
+    type: 'dynasty',
+    discord: { channels: ['gumbo'] },
+    profile: '10-team-half-ppr',
+    scoring: 'half-ppr'
+  }
+];
+
+describe('LeagueRegistry', () => {
+  afterEach(() => {
+    delete process.env.TEST_BAYOU_S2;
+  });
+
+  test('normalizes entries and reads credentials from the environment', () => {
+    process.env.TEST_BAYOU_S2 = 'cookie-from-env';
+    const [bayou, gumbo] = new LeagueRegistry(leagues()).list();
+
+    expect(bayou).toMatchObject({
+      name: 'bayou',
+      displayName: 'Bayou',
+      type: 'redraft',
+      credentials: { s2Cookie: 'cookie-from-env', swidCookie: '{SWID}' },
+      keepers: []
+    });
+    expect(gumbo).toMatchObject({ platform: 'sleeper', type: 'dynasty', season: null });
+  });
+
+  test('rejects invalid entries and registries', () => {
+    const only = entry => () => new LeagueRegistry([{ name: 'x', leagueId: '1', ...entry }]);
+
+    expect(only({ name: 'has spaces' })).toThrow(ValidationError);
+    expect(only({ platform: 'yahoo' })).toThrow(ValidationError);
+    expect(only({ leagueId: '' })).toThrow(ValidationError);
+    expect(only({ type: 'best-ball' })).toThrow(ValidationError);
+    expect(() => new LeagueRegistry([])).toThrow('at least one league');
+    expect(() => new LeagueRegistry([...leagues(), { name: 'BAYOU', leagueId: '9' }])).toThrow('"bayou" is registered twice');
+    expect(() => new LeagueRegistry(leagues(), { defaultName: 'crawfish' })).toThrow('not in the registry');
+  });
+
+  test('finds leagues by name, league ID or bound channel', () => {
+    const registry = new LeagueRegistry(leagues());
+
+    expect(registry.find('GUMBO').name).toBe('gumbo');
+    expect(registry.find('12345').name).toBe('bayou');
+    expect(registry.findByLeagueId('12345', 'sleeper')).toBeNull();
+    expect(registry.forChannel({ name: 'general', id: '9001' }).name).toBe('bayou');
+    expect(registry.find('')).toBeNull();
+    expect(() => registry.require('crawfish')).toThrow('one of bayou, gumbo');
+  });
+
+  test('looks up the team a Discord user registered as theirs', () => {
+    const registry = new LeagueRegistry(leagues());
+    const bayou = registry.find('bayou');
+
+    expect(registry.ownedTeam(bayou, { id: '4242', username: 'bob' })).toBe(3);
+    expect(registry.ownedTeam(bayou, { id: '1', username: 'alice' })).toBe('Gumbo Gang');
+    expect(registry.ownedTeam(bayou, { id: '1', username: 'constructor' })).toBeNull();
+    expect(registry.ownedTeam(registry.find('gumbo'), { id: '4242' })).toBeNull();
+  });
+
+  test('resolves a request from the explicit league, then the scope, then the channel, then the default', () => {
+    const registry = new LeagueRegistry(leagues(), { defaultName: 'gumbo' });
+    registry.select('guild:1', 'bayou');
+
+    expect(registry.resolve({ league: 'gumbo', scope: 'guild:1' }).name).toBe('gumbo');
+    expect(registry.resolve({ scope: 'guild:1', channel: { name: 'gumbo' } }).name).toBe('bayou');
+    expect(registry.resolve({ scope: 'guild:2', channel: { name: 'bayou-draft' } }).name).toBe('bayou');
+    expect(registry.resolve({ scope: 'guild:2' }).name).toBe('gumbo');
+  });
+
+  test('builds one context per league with its own client and settings', () => {
+    const registry = new LeagueRegistry(leagues());
+    const context = registry.getContext('gumbo');
+
+    expect(registry.getContext('1048241337640960000')).toBe(context);
+    expect(context.client.platformName).toBe('Sleeper');
+    expect(context.rosterRequirements.name).toBe('10-team-half-ppr');
+    expect(context.scoring.getRule('receptions')).toBe(0.5);
+    expect(registry.getContext().league.name).toBe('bayou');
+  });
+
+  test('describes a league without credentials', () => {
+    process.env.TEST_BAYOU_S2 = 'cookie-from-env';
+    const registry = new LeagueRegistry(leagues());
+    const summary = registry.describe(registry.find('bayou'));
+
+    expect(summary).toMatchObject({ name: 'bayou', channels: ['bayou-draft', '9001'], keepers: 0, default: true });
+    expect(JSON.stringify(summary)).not.toContain('cookie-from-env');
+  });
+
+  test('loads a leagues file, or the environment\'s league without one', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'league-registry-'));
+    const filePath = path.join(directory, 'leagues.json');
+    try {
+      fs.writeFileSync(filePath, JSON.stringify({ default: 'gumbo', leagues: leagues() }));
+      expect(LeagueRegistry.load(filePath).getDefault().name).toBe('gumbo');
+
+      const fallback = LeagueRegistry.load(path.join(directory, 'missing.json'));
+      expect(fallback.list().map(league => league.name)).toEqual([LeagueRegistry.DEFAULT_NAME]);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LeagueStats = require('../../src/services/league-stats');
+const createLeagueClient = require('../../src/api/league-client');
+
+const fixturesDir = path.join(__dirname, '../fixtures/sleeper');
+const sleeperClient = () => createLeagueClient({ platform: 'sleeper', leagueId: '1048241337640960000', fixturesDir });
+
+const unreachableClient = () => ({
+  leagueId: '1048241337640960000',
+  platformName: 'Sleeper',
+  getLeagueInfo: jest.fn(async () => {
+    throw new Error('ECONNRESET');
+  })
+});
+
+describe('LeagueStats', () => {
+  let directory;
+  let cachePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'league-stats-'));
+    cachePath = path.join(directory, 'league-stats.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('builds standings and weekly player scores from completed weeks and caches them', async () => {
+    const stats = new LeagueStats({ leagueClient: sleeperClient(), cachePath });
+    const snapshot = await stats.getSnapshot();
+
+    expect(snapshot).toMatchObject({ mode: 'live', stale: false, platform: 'Sleeper', week: 3 });
+    expect(snapshot.teamStats['Gumbo Gang']).toMatchObject({ wins: 2, losses: 0, pointsFor: 251.4, rank: 1 });
+    expect(snapshot.teamStats.dtown.rank).toBe(4);
+    // Weeks 1 and 2 only; week 3 is still being played
+    expect(snapshot.playerStats['Patrick Mahomes']).toMatchObject({ weeklyScores: [28.4, 24.1], weeks: [1, 2], weeklyAverage: 26.3, gamesPlayed: 2 });
+    expect(snapshot.teams[2].roster.map(player => player.name)).toContain('Bijan Robinson');
+    expect(JSON.parse(fs.readFileSync(cachePath, 'utf8')).week).toBe(3);
+    expect(stats.describe(snapshot)).toBe('📡 **Data:** live Sleeper results through week 2');
+  });
+
+  test('serves a fresh cache without calling the platform', async () => {
+    await new LeagueStats({ leagueClient: sleeperClient(), cachePath }).getSnapshot();
+    const client = unreachableClient();
+
+    const snapshot = await new LeagueStats({ leagueClient: client, cachePath }).getSnapshot();
+
+    expect(snapshot).toMatchObject({ mode: 'cached', stale: false });
+    expect(client.getLeagueInfo).not.toHaveBeenCalled();
+  });
+
+  test('falls back to a stale cache when the platform is down', async () => {
+    await new LeagueStats({ leagueClient: sleeperClient(), cachePath }).getSnapshot();
+    const stats = new LeagueStats({ leagueClient: unreachableClient(), cachePath, maxAgeMs: 1 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const snapshot = await stats.getSnapshot();
+
+    expect(snapshot).toMatchObject({ mode: 'cached', stale: true });
+    expect(stats.describe(snapshot)).toMatch(/Sleeper unreachable - may be out of date/);
+  });
+
+  test('reports fallback mode instead of inventing numbers', async () => {
+    const down = await new LeagueStats({ leagueClient: unreachableClient(), cachePath }).getSnapshot();
+    expect(down).toMatchObject({ mode: 'fallback', reason: 'Sleeper request failed: ECONNRESET', teams: [] });
+
+    const unconfigured = await new LeagueStats({
+      leagueClient: { leagueId: null, platformName: 'ESPN' },
+      cachePath
+    }).getSnapshot();
+    expect(unconfigured.reason).toBe('No ESPN league ID is configured');
+  });
+
+  test('calls a trend only after four games', () => {
+    const stats = new LeagueStats({ leagueClient: unreachableClient(), cachePath });
+
+    expect(stats.summarizeScores([10, 10, 20, 20, 20]).trend).toBe('rising');
+    expect(stats.summarizeScores([20, 20, 10, 10, 10]).trend).toBe('declining');
+    expect(stats.summarizeScores([5, 30, 30]).trend).toBe('stable');
+  });
+
+  test('finds the team whose roster overlaps most with a list of players', async () => {
+    const stats = new LeagueStats({ leagueClient: sleeperClient(), cachePath });
+    const snapshot = await stats.getSnapshot();
+
+    expect(stats.findTeamByRoster(snapshot, ['josh allen', 'Puka Nacua', 'Lamar Jackson']).teamName).toBe('Crawfish Kings');
+    expect(stats.findTeamByRoster(snapshot, ['Nobody'])).toBeNull();
+  });
+});
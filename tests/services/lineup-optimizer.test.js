@@ -0,0 +1,163 @@
+const LineupOptimizer = require('../../src/services/lineup-optimizer');
+const PlayerValueModel = require('../../src/services/player-value-model');
+const VBDEngine = require('../../src/services/vbd-engine');
+const ScoringEngine = require('../../src/services/scoring-engine');
+const RosterRequirements = require('../../src/services/roster-requirements');
+
+const HOUR = 60 * 60 * 1000;
+const requirements = RosterRequirements.fromSlotList(['QB', 'RB', 'WR', 'FLEX'], { name: 'tiny', size: 2, benchSize: 3 });
+
+const pool = [
+  { name: 'Patrick Mahomes', position: 'QB', projectedPoints: 300, team: 'KC' },
+  { name: 'Josh Allen', position: 'QB', projectedPoints: 340, team: 'BUF' },
+  { name: 'Bijan Robinson', position: 'RB', projectedPoints: 306, team: 'ATL' },
+  { name: 'Saquon Barkley', position: 'RB', projectedPoints: 250, team: 'PHI' },
+  { name: 'Waiver Back', position: 'RB', projectedPoints: 150, team: 'CAR' },
+  { name: 'CeeDee Lamb', position: 'WR', projectedPoints: 280, team: 'DAL' },
+  { name: 'Puka Nacua', position: 'WR', projectedPoints: 230, team: 'LAR' }
+];
+
+const game = (opponent, home, date) => ({ opponent, home, date });
+const weekFive = (games, byeWeek = 12) => ({ byeWeek, games: { 5: games } });
+
+const createOptimizer = (forecast = async () => ({ severity: 'NONE' })) => {
+  const soon = Date.now() + HOUR;
+  const later = Date.now() + 5 * HOUR;
+  const valueModel = new PlayerValueModel({
+    vbd: new VBDEngine({ scoring: ScoringEngine.load('ppr'), roster: requirements, players: pool }),
+    ages: new Map(),
+    currentWeek: 5,
+    schedules: {
+      KC: weekFive(game('NYJ', true, soon)),
+      BUF: weekFive(game('MIA', false, soon)),
+      ATL: { byeWeek: 5, games: {} },
+      PHI: weekFive(game('NYG', true, soon)),
+      CAR: weekFive(game('SEA', false, later)),
+      DAL: weekFive(game('WSH', true, later)),
+      LAR: weekFive(game('SF', false, soon))
+    }
+  });
+
+  return new LineupOptimizer({
+    requirements,
+    valueModel,
+    weatherClient: { getGameDayForecast: jest.fn(forecast) },
+    espnClient: { getProTeamSchedules: jest.fn() }
+  });
+};
+
+// ESPNClient.getRosters() entries with ESPN's weekly projections
+const entry = (name, slot, points, injuryStatus = 'ACTIVE') => ({
+  slot,
+  player: { name, injuryStatus },
+  weeklyProjection: { week: 5, points }
+});
+
+describe('LineupOptimizer', () => {
+  test('fills dedicated slots first, then flex slots from most to least restrictive', () => {
+    const superflex = RosterRequirements.fromSlotList(['QB', 'WR', 'SUPERFLEX', 'FLEX']);
+    const candidates = [
+      { name: 'QB A', position: 'QB', points: 30 },
+      { name: 'QB B', position: 'QB', points: 25 },
+      { name: 'WR A', position: 'WR', points: 20 },
+      { name: 'RB A', position: 'RB', points: 15 },
+      { name: 'WR B', position: 'WR', points: 10 }
+    ];
+
+    const { starters, bench } = LineupOptimizer.fillSlots(superflex, candidates, candidate => candidate.points);
+
+    expect(starters.map(({ slot, player }) => [slot, player.name])).toEqual([
+      ['QB', 'QB A'], ['WR', 'WR A'], ['FLEX', 'RB A'], ['SUPERFLEX', 'QB B']
+    ]);
+    expect(bench.map(player => player.name)).toEqual(['WR B']);
+  });
+
+  test('normalizes injury and practice designations', () => {
+    expect(LineupOptimizer.normalizeStatus(undefined)).toBe('ACTIVE');
+    expect(LineupOptimizer.normalizeStatus('limited practice')).toBe('QUESTIONABLE');
+    expect(LineupOptimizer.normalizeStatus('Injured-Reserve')).toBe('IR');
+    expect(LineupOptimizer.normalizeStatus('out')).toBe('OUT');
+  });
+
+  test('sets the lineup by expected points and lists the start/sit moves', async () => {
+    const result = await createOptimizer().optimize([
+      entry('Patrick Mahomes', 'QB', 22),
+      entry('Josh Allen', 'BE', 24),
+      entry('Bijan Robinson', 'RB', 18),
+      entry('Saquon Barkley', 'BE', 15),
+      entry('CeeDee Lamb', 'WR', 14),
+      entry('Puka Nacua', 'FLEX', 16, 'QUESTIONABLE'),
+      entry('Waiver Back', 'BE', 8),
+      { slot: 'BE', player: null }
+    ]);
+
+    expect(result.starters.map(slot => [slot.slot, slot.name, slot.expected])).toEqual([
+      ['QB', 'Josh Allen', 24], ['RB', 'Saquon Barkley', 15], ['WR', 'CeeDee Lamb', 14], ['FLEX', 'Puka Nacua', 12]
+    ]);
+    expect(result.totalExpected).toBe(65);
+    expect(result.bench.find(player => player.name === 'Bijan Robinson')).toMatchObject({ expected: 0, notes: ['bye week'] });
+    expect(result.moves).toEqual([
+      { action: 'start', name: 'Josh Allen', slot: 'QB' },
+      { action: 'start', name: 'Saquon Barkley', slot: 'RB' },
+      { action: 'sit', name: 'Patrick Mahomes', slot: 'QB' },
+      { action: 'sit', name: 'Bijan Robinson', slot: 'RB' }
+    ]);
+  });
+
+  test('backs up a game-time decision with a bench player who kicks off later', async () => {
+    const result = await createOptimizer().optimize([
+      entry('Josh Allen', 'QB', 24),
+      entry('Saquon Barkley', 'RB', 15),
+      entry('CeeDee Lamb', 'WR', 14),
+      entry('Puka Nacua', 'FLEX', 16, 'QUESTIONABLE'),
+      entry('Waiver Back', 'BE', 8)
+    ]);
+
+    expect(result.gameTimeDecisions.map(slot => slot.name)).toEqual(['Puka Nacua']);
+    expect(result.gameTimeDecisions[0].backup).toMatchObject({ name: 'Waiver Back', expected: 8, playsLater: true });
+  });
+
+  test('prefers injury reports over the roster status and leaves unfillable slots empty', async () => {
+    const result = await createOptimizer().optimize([
+      entry('Josh Allen', 'QB', 24),
+      entry('CeeDee Lamb', 'WR', 14)
+    ], { injuryReports: [{ player: 'josh allen', gameStatus: 'Out' }] });
+
+    expect(result.starters[0]).toMatchObject({ name: 'Josh Allen', status: 'OUT', expected: 0, backup: null });
+    expect(result.emptySlots).toEqual(['RB', 'FLEX']);
+  });
+
+  test('discounts passing games in high wind and ignores mock forecasts', async () => {
+    const optimizer = createOptimizer();
+    const kickoff = game('BUF', true, Date.now() + HOUR);
+
+    optimizer.weatherClient = { getGameDayForecast: async () => ({ severity: 'HIGH', windSpeed: 25, precipitation: 0, temperature: 50 }) };
+    expect(await optimizer.getWeatherEffect('WR', 'KC', kickoff, new Map())).toEqual({ factor: 0.9, notes: ['25 mph wind (-10%)'] });
+    expect((await optimizer.getWeatherEffect('RB', 'KC', kickoff, new Map())).factor).toBe(1);
+
+    optimizer.weatherClient = { getGameDayForecast: async () => ({ note: 'Mock data', windSpeed: 40 }) };
+    expect((await optimizer.getWeatherEffect('WR', 'KC', kickoff, new Map())).factor).toBe(1);
+
+    // Too far out for a forecast to mean anything
+    const farOff = game('BUF', true, Date.now() + 7 * 24 * HOUR);
+    expect(await optimizer.getWeatherEffect('WR', 'KC', farOff, new Map())).toEqual({ factor: 1, notes: [] });
+  });
+
+  test('fetches one forecast per game', async () => {
+    const optimizer = createOptimizer();
+    const cache = new Map();
+    const kickoff = game('BUF', true, Date.now() + HOUR);
+
+    await optimizer.getWeatherEffect('QB', 'KC', kickoff, cache);
+    await optimizer.getWeatherEffect('WR', 'KC', kickoff, cache);
+
+    expect(optimizer.weatherClient.getGameDayForecast).toHaveBeenCalledTimes(1);
+    expect(optimizer.weatherClient.getGameDayForecast).toHaveBeenCalledWith('KC', 'BUF', kickoff.date);
+  });
+
+  test('suggests a waiver pickup when nobody on the bench can cover', () => {
+    const optimizer = createOptimizer();
+    expect(optimizer.findBackup('QB', { name: 'Josh Allen' }, [{ name: 'Waiver Back', position: 'RB', expected: 8 }]))
+      .toEqual({ name: null, reason: 'no eligible bench player - consider a waiver pickup' });
+  });
+});
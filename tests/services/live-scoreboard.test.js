@@ -0,0 +1,200 @@
+const LiveScoreboard = require('../../src/services/live-scoreboard');
+const PlayerValueModel = require('../../src/services/player-value-model');
+const VBDEngine = require('../../src/services/vbd-engine');
+const ScoringEngine = require('../../src/services/scoring-engine');
+const RosterRequirements = require('../../src/services/roster-requirements');
+
+const roster = RosterRequirements.fromSlotList(['QB', 'DST'], { name: 'tiny', size: 2, benchSize: 1 });
+
+// Week 5: Kansas City at Buffalo; Los Angeles is on bye
+const schedules = {
+  BUF: { byeWeek: 7, games: { 5: { opponent: 'KC', home: true, date: null } } },
+  KC: { byeWeek: 6, games: { 5: { opponent: 'BUF', home: false, date: null } } },
+  LAR: { byeWeek: 5, games: {} }
+};
+
+const entry = (slot, name, position, team, points) => ({
+  slot, player: { name, position, team }, weeklyProjection: { week: 5, points }
+});
+
+const createClient = () => ({
+  getLeagueInfo: jest.fn(async () => ({ currentMatchupPeriod: 5 })),
+  getRosters: jest.fn(async () => [{ id: 1, name: 'Gumbo Gang' }, { id: 2, name: 'Crawfish Kings' }]),
+  getMatchups: jest.fn(async () => [{
+    id: 9,
+    week: 5,
+    home: { teamId: 1, lineup: [entry('QB', 'Josh Allen', 'QB', 'BUF', 20), entry('BE', 'Bench Guy', 'QB', 'BUF', 15)] },
+    away: { teamId: 2, lineup: [entry('QB', 'Patrick Mahomes', 'QB', 'KC', 18), entry('DST', 'Bills D/ST', 'DST', 'BUF', 8)] }
+  }])
+});
+
+const createScoreboard = (options = {}) => new LiveScoreboard({
+  league: { name: 'bayou' },
+  client: createClient(),
+  scoring: ScoringEngine.load('ppr'),
+  requirements: roster,
+  valueModel: new PlayerValueModel({
+    vbd: new VBDEngine({ scoring: ScoringEngine.load('ppr'), roster, players: [] }),
+    ages: new Map(),
+    currentWeek: 5,
+    schedules
+  }),
+  espnClient: { getProTeamSchedules: jest.fn(async () => schedules) },
+  ...options
+});
+
+const game = (quarter, clock, status = 'STATUS_IN_PROGRESS', scores = {}) => ({
+  id: 'g1', homeTeam: 'BUF', awayTeam: 'KC', quarter, clock, status, homeScore: 0, awayScore: 0, ...scores
+});
+
+// ESPN game summary with the passing lines and Buffalo's defense
+const summary = ({ allen = [0, 0], mahomes = [0, 0], sacks = 0, buffaloScore = 0, kansasCityScore = 0 }) => ({
+  header: {
+    competitions: [{
+      competitors: [
+        { team: { abbreviation: 'BUF' }, score: String(buffaloScore) },
+        { team: { abbreviation: 'KC' }, score: String(kansasCityScore) }
+      ]
+    }]
+  },
+  boxscore: {
+    teams: [
+      { team: { abbreviation: 'BUF' }, statistics: [{ name: 'totalYards', displayValue: '310' }] },
+      { team: { abbreviation: 'KC' }, statistics: [{ name: 'totalYards', displayValue: '275' }] }
+    ],
+    players: [
+      {
+        team: { abbreviation: 'BUF' },
+        statistics: [
+          {
+            name: 'passing',
+            keys: ['completions/passingAttempts', 'passingYards', 'passingTouchdowns', 'interceptions'],
+            athletes: [{ athlete: { displayName: 'Josh Allen' }, stats: ['10/15', String(allen[0]), String(allen[1]), '0'] }]
+          },
+          {
+            name: 'kicking',
+            keys: ['fieldGoalsMade/fieldGoalAttempts', 'extraPointsMade/extraPointAttempts'],
+            athletes: [{ athlete: { displayName: 'Tyler Bass' }, stats: ['2/3', '1/1'] }]
+          },
+          { name: 'defensive', keys: ['sacks', 'defensiveTouchdowns'], athletes: [], totals: [String(sacks), '0'] }
+        ]
+      },
+      {
+        team: { abbreviation: 'KC' },
+        statistics: [{
+          name: 'passing',
+          keys: ['completions/passingAttempts', 'passingYards', 'passingTouchdowns', 'interceptions'],
+          athletes: [{ athlete: { displayName: 'Patrick Mahomes' }, stats: ['12/20', String(mahomes[0]), String(mahomes[1]), '1'] }]
+        }]
+      }
+    ]
+  }
+});
+
+const boxScores = lines => new Map([['g1', summary(lines)]]);
+
+describe('LiveScoreboard', () => {
+  test('works out how much of a game has been played', () => {
+    expect(LiveScoreboard.gameProgress({ quarter: 1, clock: '15:00' })).toBe(0);
+    expect(LiveScoreboard.gameProgress({ quarter: 3, clock: '7:30' })).toBe(0.625);
+    expect(LiveScoreboard.gameProgress({ status: 'STATUS_HALFTIME' })).toBe(0.5);
+    // Never done until the final, even at 0:00 of the fourth or in overtime
+    expect(LiveScoreboard.gameProgress({ quarter: 4, clock: '0:00' })).toBe(0.99);
+    expect(LiveScoreboard.gameProgress({ quarter: 5, clock: '0:00' })).toBe(0.99);
+    expect(LiveScoreboard.gameProgress({ status: 'STATUS_FINAL', quarter: 4, clock: '0:00' })).toBe(1);
+    expect(LiveScoreboard.gameProgress({ statusId: 'FINAL_OVERTIME' })).toBe(1);
+  });
+
+  test('reads player and defense stat lines from a box score', () => {
+    const lines = LiveScoreboard.parseBoxScore(summary({ allen: [250, 2], sacks: 3, kansasCityScore: 10 }), game(4, '2:00'));
+
+    expect(lines.get('josh allen')).toEqual({ name: 'Josh Allen', team: 'BUF', stats: { passingYards: 250, passingTouchdowns: 2, interceptions: 0 } });
+    expect(lines.get('tyler bass').stats).toEqual({ fgMade0To39: 2, fgMissed: 1, patMade: 1, patMissed: 0 });
+    expect(lines.get('DST:BUF')).toEqual({
+      name: 'BUF D/ST',
+      team: 'BUF',
+      stats: {
+        pointsAllowed: 10,
+        yardsAllowed: 275,
+        defSacks: 3,
+        defInterceptions: 0,
+        defFumblesRecovered: 0,
+        interceptionReturnTouchdowns: 0,
+        fumbleReturnTouchdowns: 0,
+        kickoffReturnTouchdowns: 0,
+        puntReturnTouchdowns: 0
+      }
+    });
+    expect(LiveScoreboard.parseBoxScore({}, {}).size).toBe(0);
+  });
+
+  test('matches box-score names to starters', () => {
+    expect(LiveScoreboard.normalizeName("Amon-Ra St. Brown")).toBe('amon ra st brown');
+    expect(LiveScoreboard.normalizeName('Marvin Harrison Jr.')).toBe('marvin harrison');
+    expect(LiveScoreboard.statKey({ name: 'Bills D/ST', position: 'DST', team: 'BUF' })).toBe('DST:BUF');
+  });
+
+  test('treats byes and games long past kickoff as played', () => {
+    const scoreboard = createScoreboard();
+    scoreboard.week = 5;
+
+    expect(scoreboard.scheduledProgress({ team: 'LAR' })).toBe(1);
+    expect(scoreboard.scheduledProgress({ team: 'KC', kickoff: new Date(Date.now() - 5 * 60 * 60 * 1000).toISOString() })).toBe(1);
+    expect(scoreboard.scheduledProgress({ team: 'KC', kickoff: new Date().toISOString() })).toBe(0);
+  });
+
+  test('scores starters live and shrinks projections to what is left to play', async () => {
+    const scoreboard = createScoreboard({ follow: ['Gumbo Gang'] });
+    await scoreboard.update([game(3, '15:00')], boxScores({ allen: [200, 1], mahomes: [100, 0] }));
+
+    const [matchup] = scoreboard.getScoreboard().matchups;
+    expect(matchup).toMatchObject({ id: 9, followed: true, final: false });
+    // 200 yards and a TD is 12 points, with half of a 20-point projection still to come
+    expect(matchup.home).toMatchObject({ teamName: 'Gumbo Gang', points: 12, projected: 22, playersLeft: 1 });
+    expect(matchup.home.starters).toEqual([
+      { slot: 'QB', name: 'Josh Allen', position: 'QB', team: 'BUF', points: 12, remaining: 10, played: 0.5 }
+    ]);
+    expect(matchup.away.starters.map(starter => starter.name)).toEqual(['Patrick Mahomes', 'Bills D/ST']);
+    expect(matchup.home.winProbability + matchup.away.winProbability).toBeCloseTo(100, 0);
+    expect(matchup.home.winProbability).toBeGreaterThan(50);
+  });
+
+  test('alerts a followed team on touchdowns, lead changes and the final', async () => {
+    const scoreboard = createScoreboard({ follow: ['gumbo gang'] });
+    const alerts = [];
+    scoreboard.on('alert', alert => alerts.push(alert));
+
+    // Starting up mid-game records the touchdown already scored without alerting
+    await scoreboard.update([game(2, '10:00')], boxScores({ allen: [100, 1] }));
+    expect(alerts).toEqual([]);
+
+    await scoreboard.update([game(3, '10:00')], boxScores({ allen: [100, 1], mahomes: [150, 2] }));
+    expect(alerts.map(alert => alert.type)).toEqual(['LEAD_CHANGE', 'TOUCHDOWN']);
+    expect(alerts[0].message).toBe('Crawfish Kings just took the lead: Crawfish Kings 12 - 8 Gumbo Gang');
+    expect(alerts[1].message).toMatch(/^Opponent's QB Patrick Mahomes just threw a TD \(x2\) - Gumbo Gang 8 - 12 Crawfish Kings/);
+    expect(alerts[1]).toMatchObject({ league: 'bayou', week: 5, matchup: { id: 9 } });
+
+    alerts.length = 0;
+    const final = game(4, '0:00', 'STATUS_FINAL', { homeScore: 7, awayScore: 14 });
+    await scoreboard.update([final], boxScores({ allen: [100, 1], mahomes: [150, 2], buffaloScore: 7, kansasCityScore: 14 }));
+    await scoreboard.update([final], boxScores({ allen: [100, 1], mahomes: [150, 2], buffaloScore: 7, kansasCityScore: 14 }));
+    expect(alerts.map(alert => alert.message)).toEqual([expect.stringMatching(/^You lost: Gumbo Gang 8 - /)]);
+    expect(scoreboard.getScoreboard().matchups[0].final).toBe(true);
+  });
+
+  test('keeps quiet about matchups nobody follows', async () => {
+    const scoreboard = createScoreboard();
+    const alerts = jest.fn();
+    scoreboard.on('alert', alerts);
+
+    await scoreboard.update([game(1, '15:00')]);
+    await scoreboard.update([game(2, '10:00')], boxScores({ allen: [100, 1] }));
+
+    expect(alerts).not.toHaveBeenCalled();
+    expect(scoreboard.getScoreboard().matchups[0].followed).toBe(false);
+
+    scoreboard.follow(2);
+    expect(scoreboard.getScoreboard().matchups[0].followed).toBe(true);
+    expect(scoreboard.unfollow(2)).toBe(true);
+  });
+});
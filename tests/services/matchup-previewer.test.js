@@ -0,0 +1,132 @@
+const MatchupPreviewer = require('../../src/services/matchup-previewer');
+const { ValidationError } = require('../../src/utils/validation');
+
+const starter = (slot, name, position, team, opponent, projected, extra = {}) => ({
+  slot, name, position, team, opponent, projected, expected: projected, status: 'ACTIVE', playProbability: 1, ...extra
+});
+
+const lineup = (...starters) => ({
+  starters,
+  totalExpected: starters.reduce((sum, slot) => sum + slot.expected, 0),
+  emptySlots: [],
+  gameTimeDecisions: []
+});
+
+// Allen and his receiver against Mahomes in the same game; Nacua plays elsewhere
+const homeLineup = lineup(
+  starter('QB', 'Josh Allen', 'QB', 'BUF', 'vs KC', 24),
+  starter('WR', 'Khalil Shakir', 'WR', 'BUF', 'vs KC', 12)
+);
+const awayLineup = lineup(
+  starter('QB', 'Patrick Mahomes', 'QB', 'KC', '@ BUF', 22),
+  starter('WR', 'Puka Nacua', 'WR', 'LAR', 'vs SF', 15)
+);
+const home = { id: 1, teamName: 'Gumbo Gang' };
+const away = { id: 2, teamName: 'Crawfish Kings' };
+
+describe('MatchupPreviewer', () => {
+  test('computes the normal CDF', () => {
+    expect(MatchupPreviewer.normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(MatchupPreviewer.normalCdf(1.96)).toBeCloseTo(0.975, 3);
+    expect(MatchupPreviewer.normalCdf(-1.28)).toBeCloseTo(0.1, 2);
+  });
+
+  test('correlates starters who share an NFL game', () => {
+    const player = (position, team, opponent) => ({ position, team, opponent });
+
+    expect(MatchupPreviewer.correlation(player('QB', 'BUF', 'KC'), player('WR', 'BUF', 'KC'))).toBe(0.35);
+    expect(MatchupPreviewer.correlation(player('RB', 'BUF', 'KC'), player('RB', 'BUF', 'KC'))).toBe(-0.15);
+    expect(MatchupPreviewer.correlation(player('QB', 'BUF', 'KC'), player('QB', 'KC', 'BUF'))).toBe(0.2);
+    expect(MatchupPreviewer.correlation(player('RB', 'BUF', 'KC'), player('RB', 'KC', 'BUF'))).toBe(0.05);
+    expect(MatchupPreviewer.correlation(player('DST', 'BUF', 'KC'), player('QB', 'KC', 'BUF'))).toBe(-0.3);
+    expect(MatchupPreviewer.correlation(player('DST', 'BUF', 'KC'), player('K', 'KC', 'BUF'))).toBe(0);
+    expect(MatchupPreviewer.correlation(player('DST', 'BUF', 'KC'), player('QB', 'BUF', 'KC'))).toBe(0);
+    expect(MatchupPreviewer.correlation(player('QB', 'BUF', 'KC'), player('WR', 'LAR', 'SF'))).toBe(0);
+    expect(MatchupPreviewer.correlation(player('QB', 'BUF', null), player('WR', 'BUF', 'KC'))).toBe(0);
+  });
+
+  test('widens a starter\'s spread for the chance of sitting out', () => {
+    const [healthy, questionable] = MatchupPreviewer.describeStarters(lineup(
+      starter('WR', 'Puka Nacua', 'WR', 'LAR', '@ SF', 10),
+      starter('FLEX', 'Cooper Kupp', 'WR', 'LAR', '@ SF', 10, { expected: 7.5, playProbability: 0.75, status: 'QUESTIONABLE' })
+    ), 1, 'Gumbo Gang');
+
+    expect(healthy).toMatchObject({ sign: 1, teamName: 'Gumbo Gang', opponent: 'SF', home: false, sd: 5.5 });
+    // 0.75 * 5.5^2 + 0.75 * 0.25 * 10^2
+    expect(questionable).toMatchObject({ slot: 'FLEX', status: 'QUESTIONABLE', expected: 7.5, sd: 6.4 });
+  });
+
+  test('gives each side a projection, range and win probability', () => {
+    const preview = MatchupPreviewer.compare(home, homeLineup, away, awayLineup);
+
+    expect(preview).toMatchObject({ favorite: 'Crawfish Kings', spread: 1, sd: 15.5 });
+    expect(preview.home).toMatchObject({ teamId: 1, projected: 36, winProbability: 47.4 });
+    expect(preview.away).toMatchObject({ teamId: 2, projected: 37, winProbability: 52.6 });
+    expect(preview.home.range[0]).toBeLessThan(36);
+    expect(preview.home.range[1]).toBeGreaterThan(36);
+    expect(preview.home.starters.map(player => player.name)).toEqual(['Josh Allen', 'Khalil Shakir']);
+  });
+
+  test('calls an even matchup a coin flip', () => {
+    const preview = MatchupPreviewer.compare(home, homeLineup, away, homeLineup);
+
+    expect(preview).toMatchObject({ favorite: null, spread: 0 });
+    expect(preview.home.winProbability).toBe(50);
+  });
+
+  test('names the swing players and the same-game stacks', () => {
+    const preview = MatchupPreviewer.compare(home, homeLineup, away, awayLineup);
+
+    expect(preview.swingPlayers.map(player => [player.name, player.share])).toEqual([
+      ['Josh Allen', 32.1], ['Puka Nacua', 28.7], ['Khalil Shakir', 23.1]
+    ]);
+    // The Buffalo stack raises the home side's variance, but both QBs facing each other offsets more
+    expect(preview.stacks).toEqual([
+      { game: 'KC @ BUF', home: ['Josh Allen', 'Khalil Shakir'], away: ['Patrick Mahomes'], effect: 'offsets' }
+    ]);
+
+    const stacked = MatchupPreviewer.compare(home, homeLineup, away, lineup(starter('WR', 'Puka Nacua', 'WR', 'LAR', 'vs SF', 15)));
+    expect(stacked.stacks).toEqual([{ game: 'KC @ BUF', home: ['Josh Allen', 'Khalil Shakir'], away: [], effect: 'raises' }]);
+  });
+
+  test('describes swing players and stacks in one line', () => {
+    const preview = MatchupPreviewer.compare(home, homeLineup, away, awayLineup);
+
+    expect(MatchupPreviewer.describeSwing({ ...preview.swingPlayers[0], status: 'QUESTIONABLE' }))
+      .toMatch(/^Josh Allen \(Gumbo Gang, questionable\) 24, range [\d.]+-[\d.]+, 32.1% of the swing$/);
+    expect(MatchupPreviewer.describeStack(preview.stacks[0], preview))
+      .toBe('KC @ BUF: Josh Allen + Khalil Shakir (Gumbo Gang) vs Patrick Mahomes (Crawfish Kings) - partly cancels out');
+  });
+
+  describe('preview', () => {
+    const createPreviewer = (matchups = [{ id: 7, week: 5, home: { teamId: 2 }, away: { teamId: 1 } }]) => new MatchupPreviewer({
+      client: {
+        getLeagueInfo: jest.fn(async () => ({ currentMatchupPeriod: 5 })),
+        getRosters: jest.fn(async () => [
+          { id: 1, name: 'Gumbo Gang', roster: [{ player: { name: 'Josh Allen' } }] },
+          { id: 2, name: 'Crawfish Kings', roster: [{ player: { name: 'Patrick Mahomes' } }] }
+        ]),
+        getMatchups: jest.fn(async () => matchups)
+      },
+      requirements: {},
+      valueModel: { setContext: jest.fn() },
+      lineupOptimizer: {
+        optimize: jest.fn(async entries => (entries[0].player.name === 'Josh Allen' ? homeLineup : awayLineup))
+      }
+    });
+
+    test('previews the week\'s matchups, the user\'s first', async () => {
+      const result = await createPreviewer().preview({ playerNames: ['Josh Allen'] });
+
+      expect(result).toMatchObject({ week: 5, myTeam: 'Gumbo Gang' });
+      expect(result.myMatchup).toBe(result.matchups[0]);
+      expect(result.myMatchup).toMatchObject({ id: 7, home: { teamName: 'Crawfish Kings' }, away: { teamName: 'Gumbo Gang' } });
+    });
+
+    test('rejects weeks without matchups and unknown teams', async () => {
+      await expect(createPreviewer([]).preview()).rejects.toThrow(ValidationError);
+      await expect(createPreviewer().preview({ week: 19 })).rejects.toThrow(ValidationError);
+      await expect(createPreviewer().preview({ team: 'Nobody' })).rejects.toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const MockDraftEngine = require('../../src/services/mock-draft-engine');
+const ScoringEngine = require('../../src/services/scoring-engine');
+const RosterRequirements = require('../../src/services/roster-requirements');
+
+// Made-up names, so the published ADP boards in data/adp don't apply
+const group = (position, count, topPoints, step) => Array.from({ length: count }, (_, index) => ({
+  name: `${position} Player ${index + 1}`,
+  position,
+  projectedPoints: topPoints - index * step,
+  adp: null
+}));
+
+const pool = [
+  ...group('QB', 8, 340, 15),
+  ...group('RB', 14, 300, 15),
+  ...group('WR', 14, 290, 12),
+  ...group('K', 5, 140, 5),
+  ...group('DST', 5, 130, 8)
+];
+
+// Four teams, seven starters and a bench spot: eight rounds
+const roster = new RosterRequirements({
+  name: 'mock',
+  size: 4,
+  starters: { QB: 1, RB: 2, WR: 2, K: 1, DST: 1 },
+  benchSize: 1,
+  limits: { QB: 1, K: 1, DST: 1 }
+});
+
+const createEngine = (options = {}) => new MockDraftEngine({
+  leagueSize: 4,
+  draftSlot: 2,
+  roster,
+  scoring: ScoringEngine.load('ppr'),
+  players: pool,
+  seed: 7,
+  ...options
+});
+
+// Bots pick for every team, the user takes the top suggestion
+const runDraft = engine => {
+  while (!engine.isComplete()) {
+    engine.simulateUntilUser();
+    if (engine.isUserTurn()) {
+      engine.autoPick();
+    }
+  }
+  return engine;
+};
+
+describe('MockDraftEngine', () => {
+  test('puts the right team on the clock in a snake draft', () => {
+    expect([1, 2, 3, 4, 5, 6, 7, 8, 9].map(pick => MockDraftEngine.teamForPick(pick, 4))).toEqual([1, 2, 3, 4, 4, 3, 2, 1, 1]);
+
+    const engine = createEngine();
+    expect(engine.rounds).toBe(8);
+    expect(engine.getPicksUntilUser()).toBe(1);
+  });
+
+  test('lets the bots pick up to the user\'s turn', () => {
+    const engine = createEngine();
+    const botPicks = engine.simulateUntilUser();
+
+    expect(botPicks).toHaveLength(1);
+    expect(engine.getCurrentPick()).toEqual({ pick: 2, round: 1, pickInRound: 2, team: 2, isUser: true });
+
+    const [best] = engine.getAvailable({ limit: 1 });
+    const { pick, botPicks: next } = engine.draftPlayer(best.name);
+    expect(pick).toMatchObject({ team: 2, player: best.name, isUser: true });
+    expect(engine.findAvailable(best.name)).toBeNull();
+    // Picks 3 to 6 go to the other teams before the user's turn at pick 7
+    expect(next.map(entry => entry.team)).toEqual([3, 4, 4, 3]);
+  });
+
+  test('repeats a draft exactly with the same seed', () => {
+    const draft = seed => runDraft(createEngine({ seed })).picks.map(pick => pick.player);
+
+    expect(draft(11)).toEqual(draft(11));
+    expect(draft(11)).not.toEqual(draft(12));
+  });
+
+  test('fills every lineup and leaves kickers and defenses to the last rounds', () => {
+    const engine = runDraft(createEngine({ randomness: 1 }));
+
+    const grades = engine.grade();
+    expect(grades.complete).toBe(true);
+    grades.teams.forEach(team => {
+      expect(team.emptySlots).toEqual([]);
+    });
+    engine.picks
+      .filter(pick => !pick.isUser && ['K', 'DST'].includes(pick.position))
+      .forEach(pick => expect(pick.round).toBeGreaterThanOrEqual(6));
+  });
+
+  test('refuses picks out of turn, unknown players and positions at their limit', () => {
+    const engine = createEngine();
+
+    expect(() => engine.draftPlayer('QB Player 1')).toThrow('You are not on the clock');
+    engine.simulateUntilUser();
+    expect(() => engine.draftPlayer('Nobody')).toThrow('is not available');
+    // "Player 1" matches a player at every position
+    expect(() => engine.draftPlayer('Player 1')).toThrow('is not available');
+
+    engine.draftPlayer('QB Player 2');
+    expect(() => engine.draftPlayer('QB Player 3')).toThrow('at its QB limit');
+  });
+
+  test('suggests needed positions ahead of surplus ones', () => {
+    const engine = createEngine();
+    engine.simulateUntilUser();
+    engine.draftPlayer(engine.getAvailable({ position: 'RB', limit: 1 })[0].name);
+    engine.draftPlayer(engine.getAvailable({ position: 'RB', limit: 1 })[0].name);
+
+    const suggestions = engine.suggest(3);
+    expect(suggestions.map(player => player.need)).not.toContain('surplus');
+    expect(suggestions.map(player => player.position)).not.toContain('RB');
+  });
+
+  test('grades rosters against the league average', () => {
+    const grades = runDraft(createEngine({ randomness: 0 })).grade();
+    const average = grades.teams.reduce((sum, team) => sum + team.starterPoints, 0) / 4;
+
+    expect(grades.teams.map(team => team.rank)).toEqual([1, 2, 3, 4]);
+    expect(grades.leagueAverage).toBeCloseTo(average, 1);
+    grades.teams.forEach(team => {
+      expect(team.grade).toMatch(/^[A-DF][+]?$/);
+      expect(team.vsAverage).toBeCloseTo(team.starterPoints - average, 1);
+    });
+    expect(grades.user.team).toBe(2);
+  });
+
+  test('draws repeatable random numbers from a seed', () => {
+    const first = MockDraftEngine.createRandom(42);
+    const second = MockDraftEngine.createRandom(42);
+    const draws = Array.from({ length: 5 }, () => first());
+
+    expect(draws).toEqual(Array.from({ length: 5 }, () => second()));
+    draws.forEach(draw => {
+      expect(draw).toBeGreaterThanOrEqual(0);
+      expect(draw).toBeLessThan(1);
+    });
+  });
+});
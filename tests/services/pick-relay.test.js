@@ -0,0 +1,210 @@
+const path = require('path');
+const express = require('express');
+const PickRelay = require('../../src/services/pick-relay');
+const SleeperClient = require('../../src/api/sleeper-client');
+const { ValidationError } = require('../../src/utils/validation');
+
+const SECRET = 'relay-secret-for-tests';
+
+const batch = (picks, extra = {}) => ({ platform: 'espn', leagueId: '123', picks, ...extra });
+const pick = (overall, player) => ({ overall, player, position: null, nflTeam: null, draftSlot: null, teamName: null, bid: null, isUserPick: false });
+
+describe('PickRelay', () => {
+  test('computes the snake draft slot of an overall pick', () => {
+    expect(PickRelay.draftSlot(1, 10)).toBe(1);
+    expect(PickRelay.draftSlot(10, 10)).toBe(10);
+    expect(PickRelay.draftSlot(11, 10)).toBe(10);
+    expect(PickRelay.draftSlot(20, 10)).toBe(1);
+    expect(PickRelay.draftSlot(21, 10)).toBe(1);
+  });
+
+  test('normalizes snake picks and flags the user\'s own', () => {
+    const normalized = new PickRelay().normalize({
+      leagueId: 123,
+      leagueSize: 10,
+      userTeam: 10,
+      picks: [{ overall: 11, player: 'Bijan Robinson', position: 'rb', team: 'atl' }, { overall: 19, player: 'Bills DST', position: 'DST' }]
+    });
+
+    expect(normalized).toMatchObject({ platform: 'espn', leagueId: '123', format: 'snake', budget: null });
+    expect(normalized.picks[0]).toEqual({
+      overall: 11, player: 'Bijan Robinson', position: 'RB', nflTeam: 'ATL', draftSlot: 10, teamName: null, bid: null, isUserPick: true
+    });
+    expect(normalized.picks[1]).toMatchObject({ position: 'D/ST', draftSlot: 2, isUserPick: false });
+  });
+
+  test('treats a payload with bids as an auction without guessing draft slots', () => {
+    const normalized = new PickRelay().normalize({
+      leagueId: '123',
+      leagueSize: 10,
+      budget: 200,
+      picks: [{ overall: 1, player: 'CeeDee Lamb', bid: 58 }]
+    });
+
+    expect(normalized.format).toBe('auction');
+    expect(normalized.picks[0]).toMatchObject({ bid: 58, draftSlot: null });
+  });
+
+  test('rejects malformed payloads', () => {
+    const relay = new PickRelay();
+
+    expect(() => relay.normalize({ picks: [] })).toThrow(ValidationError);
+    expect(() => relay.normalize({ leagueId: '1', picks: [{ overall: 0, player: 'Josh Allen' }] })).toThrow(ValidationError);
+    expect(() => relay.normalize({ leagueId: '1', picks: [null] })).toThrow(ValidationError);
+    expect(() => relay.normalize({ leagueId: '1', format: 'keeper', picks: [] })).toThrow(ValidationError);
+    expect(() => relay.normalize({ leagueId: '1', budget: 200, picks: [{ overall: 1, player: 'Josh Allen', bid: 201 }] })).toThrow(ValidationError);
+  });
+
+  test('emits only picks it has not relayed before, in draft order', () => {
+    const relay = new PickRelay();
+    const emitted = [];
+    relay.on('picks', relayed => emitted.push(relayed.picks.map(entry => entry.overall)));
+
+    expect(relay.ingest(batch([pick(2, 'B'), pick(1, 'A'), pick(2, 'B')]))).toEqual({
+      leagueId: '123', received: 3, accepted: 2, duplicates: 1, dropped: [{ overall: 2, player: 'B' }]
+    });
+    expect(relay.ingest(batch([pick(1, 'A'), pick(2, 'B'), pick(3, 'C')])).accepted).toBe(1);
+    expect(relay.ingest(batch([pick(3, 'C')])).accepted).toBe(0);
+    // The same pick numbers in another league are new
+    expect(relay.ingest(batch([pick(1, 'A')], { leagueId: '456' })).accepted).toBe(1);
+
+    expect(emitted).toEqual([[1, 2], [3], [1]]);
+  });
+
+  test('lets corrected picks and a new draft in the same room through', () => {
+    const relay = new PickRelay();
+    const emitted = [];
+    relay.on('picks', relayed => emitted.push(relayed.picks.map(entry => `${entry.overall} ${entry.player}`)));
+
+    relay.ingest(batch([pick(1, 'Aa'), pick(2, 'Bb')]));
+    // The draft room fixed pick 2
+    expect(relay.ingest(batch([pick(1, 'Aa'), pick(2, 'Cc')]))).toMatchObject({ accepted: 1, dropped: [{ overall: 1, player: 'Aa' }] });
+    // A restarted draft opens with a different first pick
+    expect(relay.ingest(batch([pick(1, 'Dd'), pick(2, 'Cc')])).accepted).toBe(2);
+    // Picks are tracked per draft when the room names one
+    expect(relay.ingest(batch([pick(1, 'Dd')], { draftId: '99' })).accepted).toBe(1);
+
+    expect(emitted).toEqual([['1 Aa', '2 Bb'], ['2 Cc'], ['1 Dd', '2 Cc'], ['1 Dd']]);
+  });
+
+  describe('Sleeper draft rooms', () => {
+    const DRAFT_ID = '1048241337640960001';
+    const sleeperClient = () => new SleeperClient({ fixturesDir: path.join(__dirname, '../fixtures/sleeper') });
+
+    test('looks up the league of a draft once', async () => {
+      const client = sleeperClient();
+      const getDraft = jest.spyOn(client, 'getDraft');
+      const relay = new PickRelay({ sleeperClient: client });
+      const body = { platform: 'Sleeper', draftId: DRAFT_ID, leagueSize: 4, picks: [{ overall: 5, player: 'Josh Allen' }] };
+
+      const prepared = await relay.prepare(body);
+      await relay.prepare(body);
+
+      expect(prepared).toMatchObject({ platform: 'sleeper', draftId: DRAFT_ID, leagueId: '1048241337640960000' });
+      expect(prepared.picks[0].draftSlot).toBe(4);
+      expect(getDraft).toHaveBeenCalledTimes(1);
+    });
+
+    test('refuses draft IDs that are not numeric before looking them up', async () => {
+      const getDraft = jest.fn();
+      const relay = new PickRelay({ sleeperClient: { getDraft } });
+
+      await expect(relay.prepare({ platform: 'sleeper', draftId: '../../../package', picks: [] })).rejects.toThrow(ValidationError);
+      await expect(relay.prepare({ platform: 'sleeper', draftId: `${DRAFT_ID}/picks`, picks: [] })).rejects.toThrow(ValidationError);
+      expect(getDraft).not.toHaveBeenCalled();
+    });
+
+    test('refuses mock drafts, which belong to no league', async () => {
+      const relay = new PickRelay({ sleeperClient: { getDraft: jest.fn(async () => ({ draft_id: '77', league_id: null })) } });
+
+      await expect(relay.prepare({ platform: 'sleeper', draftId: '77', picks: [] })).rejects.toThrow(ValidationError);
+    });
+
+    test('keeps a league ID the extension already sent', async () => {
+      const client = { getDraft: jest.fn() };
+      const prepared = await new PickRelay({ sleeperClient: client }).prepare({ platform: 'sleeper', draftId: DRAFT_ID, leagueId: '42', picks: [] });
+
+      expect(prepared.leagueId).toBe('42');
+      expect(client.getDraft).not.toHaveBeenCalled();
+    });
+  });
+
+  test('compares secrets without accepting missing or different ones', () => {
+    const relay = new PickRelay({ secret: SECRET });
+
+    expect(relay.authorize(SECRET)).toBe(true);
+    expect(relay.authorize(`${SECRET}x`)).toBe(false);
+    expect(relay.authorize(undefined)).toBe(false);
+    expect(new PickRelay().authorize('')).toBe(false);
+  });
+
+  describe('HTTP endpoint', () => {
+    let server;
+    let url;
+
+    const start = options => new Promise(resolve => {
+      const app = express();
+      const relay = new PickRelay(options).register(app);
+      server = app.listen(0, '127.0.0.1', () => {
+        url = `http://127.0.0.1:${server.address().port}/extension/picks`;
+        resolve(relay);
+      });
+    });
+
+    const post = (body, secret = SECRET) => fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...(secret ? { [PickRelay.SECRET_HEADER]: secret } : {}) },
+      body: JSON.stringify(body)
+    });
+
+    afterEach(done => {
+      server.close(done);
+    });
+
+    test('accepts picks for a known league', async () => {
+      const relay = await start({ secret: SECRET, acceptsLeague: ({ leagueId }) => leagueId === '123' });
+      const received = jest.fn();
+      relay.on('picks', received);
+
+      const response = await post({ leagueId: '123', picks: [{ overall: 1, player: 'Bijan Robinson' }] });
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ success: true, data: { leagueId: '123', received: 1, accepted: 1, duplicates: 0, dropped: [] } });
+      expect(received).toHaveBeenCalledTimes(1);
+    });
+
+    test('refuses requests without the secret', async () => {
+      await start({ secret: SECRET });
+      const response = await post({ leagueId: '123', picks: [] }, 'wrong');
+
+      expect(response.status).toBe(401);
+      expect((await response.json()).error).toBe('Invalid relay secret');
+    });
+
+    test('refuses picks for leagues this process does not handle, but not a connection test', async () => {
+      await start({ secret: SECRET, acceptsLeague: () => false });
+
+      const picks = await post({ leagueId: '999', picks: [{ overall: 1, player: 'Bijan Robinson' }] });
+      expect(picks.status).toBe(404);
+      expect((await picks.json()).error).toBe('No registered espn league 999');
+
+      const connectionTest = await post({ leagueId: '999', picks: [] });
+      expect(connectionTest.status).toBe(200);
+    });
+
+    test('answers invalid payloads with a 400', async () => {
+      await start({ secret: SECRET });
+      const response = await post({ leagueId: '123', picks: [{ overall: 'first', player: 'Bijan Robinson' }] });
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toMatchObject({ success: false });
+    });
+
+    test('is switched off until a secret is configured', async () => {
+      await start({});
+      const response = await post({ leagueId: '123', picks: [] });
+
+      expect(response.status).toBe(503);
+    });
+  });
+});
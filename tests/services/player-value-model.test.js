@@ -0,0 +1,119 @@
+const PlayerValueModel = require('../../src/services/player-value-model');
+const VBDEngine = require('../../src/services/vbd-engine');
+const ScoringEngine = require('../../src/services/scoring-engine');
+const RosterRequirements = require('../../src/services/roster-requirements');
+
+const player = (name, position, projectedPoints, team = null) => ({ name, position, projectedPoints, team });
+
+const pool = [
+  player('Josh Allen', 'QB', 340, 'BUF'),
+  player('Patrick Mahomes', 'QB', 300, 'KC'),
+  player('Backup Quarterback', 'QB', 250, 'NYJ'),
+  player('Bijan Robinson', 'RB', 306, 'ATL'),
+  player('Saquon Barkley', 'RB', 200, 'PHI'),
+  player('Waiver Back', 'RB', 153, 'CAR'),
+  player('CeeDee Lamb', 'WR', 280, 'DAL'),
+  player('Puka Nacua', 'WR', 200, 'LAR'),
+  player('Waiver Receiver', 'WR', 150, 'NYG'),
+  player('Bills D/ST', 'DST', 150, 'BUF'),
+  player('Chiefs D/ST', 'DST', 110, 'KC'),
+  player('49ers D/ST', 'DST', 70, 'SF')
+];
+
+// Atlanta faces the same defense every week and is off in week 12
+const atlantaSchedule = opponent => {
+  const games = {};
+  for (let week = 1; week <= 18; week++) {
+    if (week !== 12) {
+      games[week] = { opponent, home: week % 2 === 0, date: null };
+    }
+  }
+  return { ATL: { byeWeek: 12, games } };
+};
+
+const createModel = (options = {}) => new PlayerValueModel({
+  vbd: new VBDEngine({
+    scoring: ScoringEngine.load('ppr'),
+    roster: RosterRequirements.fromSlotList(['QB', 'RB', 'WR', 'DST'], { name: 'tiny', size: 2 }),
+    players: pool
+  }),
+  ages: new Map(),
+  currentWeek: 10,
+  ...options
+});
+
+describe('PlayerValueModel', () => {
+  test('estimates the NFL week from the date', () => {
+    expect(PlayerValueModel.estimateCurrentWeek(new Date(2025, 7, 20))).toBe(1);
+    expect(PlayerValueModel.estimateCurrentWeek(new Date(2025, 8, 15))).toBe(3);
+    expect(PlayerValueModel.estimateCurrentWeek(new Date(2025, 11, 31))).toBe(18);
+  });
+
+  test('counts games left through the fantasy final, skipping the bye', () => {
+    const model = createModel({ schedules: atlantaSchedule('BUF') });
+
+    expect(model.getRemainingSchedule('ATL')).toMatchObject({ games: 7, byeWeek: 12 });
+    // Without a schedule the 17 games are spread over 18 weeks
+    expect(model.getRemainingSchedule('PHI').games).toBeCloseTo(8 * 17 / 18);
+  });
+
+  test('scales output by the strength of the defenses left to face', () => {
+    const model = createModel();
+    expect(model.getMatchupFactor('RB', ['BUF'])).toBeCloseTo(0.85);
+    expect(model.getMatchupFactor('RB', ['SF'])).toBeCloseTo(1.15);
+    expect(model.getMatchupFactor('DST', ['SF'])).toBe(1);
+  });
+
+  test('blends the projection with real results as games are played', () => {
+    const model = createModel({ seasonStats: { 'Bijan Robinson': { weeklyAverage: 10, gamesPlayed: 6, weeklyScores: [10, 10, 10, 10, 10, 10] } } });
+    const valuation = model.evaluate({ name: 'Bijan Robinson' });
+
+    expect(valuation).toMatchObject({ position: 'RB', team: 'ATL', known: true, projectedPerGame: 18, formPerGame: 14 });
+    expect(valuation.replacementPerGame).toBe(9);
+  });
+
+  test('projects a week against that week\'s opponent and zero on a bye', () => {
+    const model = createModel({ schedules: atlantaSchedule('SF') });
+
+    expect(model.projectWeek({ name: 'Bijan Robinson' }, 12)).toMatchObject({ points: 0, bye: true });
+    expect(model.projectWeek({ name: 'Bijan Robinson' }, 11)).toMatchObject({ points: 20.7, bye: false, game: { opponent: 'SF' } });
+  });
+
+  test('discounts value past a position\'s peak age, down to a floor', () => {
+    const model = createModel();
+    expect(model.getAgeFactor('RB', 30)).toBeCloseTo(0.8);
+    expect(model.getAgeFactor('RB', 40)).toBe(0.7);
+    expect(model.getAgeFactor('QB', 30)).toBe(1);
+    expect(model.getAgeFactor('RB', null)).toBe(1);
+
+    const young = model.evaluate({ name: 'Bijan Robinson', age: 23 });
+    const old = model.evaluate({ name: 'Bijan Robinson', age: 30 });
+    expect(old.value).toBeLessThan(young.value);
+  });
+
+  test('turns injury designations and missed weeks into expected games missed', () => {
+    const model = createModel();
+
+    expect(model.getInjuryOutlook({ injuryStatus: 'IR' }, null, {}, 8)).toMatchObject({ expectedGamesMissed: 4, risk: 'high' });
+    expect(model.getInjuryOutlook({ injuryStatus: 'Questionable' }, null, {}, 8).risk).toBe('medium');
+    expect(model.getInjuryOutlook({}, null, { weeklyScores: [12, 0, 14, 0] }, 8))
+      .toMatchObject({ gamesMissed: 2, expectedGamesMissed: 2, risk: 'high' });
+    // The zero in week 4 was the bye
+    expect(model.getInjuryOutlook({}, null, { weeklyScores: [12, 0, 14, 0], weeks: [3, 4, 5, 6] }, 8, 4))
+      .toMatchObject({ gamesMissed: 1, expectedGamesMissed: 1.3, risk: 'medium' });
+  });
+
+  test('blends results without a weekly average into the replacement level', () => {
+    const model = createModel({ seasonStats: { 'Bijan Robinson': { gamesPlayed: 6 } } });
+
+    expect(model.evaluate({ name: 'Bijan Robinson' }).formPerGame).toBe(13.5);
+  });
+
+  test('rates the best projected player near 100 and replacement players at 0', () => {
+    const model = createModel();
+
+    expect(model.evaluate({ name: 'Bijan Robinson' })).toMatchObject({ value: 100, tier: 1 });
+    expect(model.evaluate({ name: 'Waiver Back' })).toMatchObject({ value: 0, tier: 3 });
+    expect(model.evaluate({ name: 'Unknown Rookie', position: 'WR', team: 'FA' })).toMatchObject({ known: false, team: null });
+  });
+});
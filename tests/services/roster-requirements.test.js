@@ -0,0 +1,76 @@
+const RosterRequirements = require('../../src/services/roster-requirements');
+
+const superflexLeague = () => RosterRequirements.fromSlotList(
+  ['QB', 'RB', 'RB', 'WR', 'WR', 'TE', 'FLEX', 'SUPERFLEX', 'K', 'DEF'],
+  { name: 'test', size: 10, benchSize: 6 }
+);
+
+describe('RosterRequirements', () => {
+  test('normalizes platform slot and position names', () => {
+    const requirements = RosterRequirements.fromSlotList(['QB', 'OP', 'RB/WR/TE', 'D/ST', 'PK', 'BN', 'BN']);
+
+    expect(requirements.starters).toEqual({ QB: 1, SUPERFLEX: 1, FLEX: 1, DST: 1, K: 1 });
+    expect(RosterRequirements.normalizePosition('def')).toBe('DST');
+    expect(requirements.describeSlot('FLEX')).toBe('FLEX (RB/WR/TE)');
+    expect(requirements.getPositions()).toEqual(['QB', 'RB', 'WR', 'TE', 'DST', 'K']);
+  });
+
+  test('loads named profiles and falls back to the environment settings', () => {
+    expect(RosterRequirements.load('12-team-ppr').name).toBe('12-team-ppr');
+    expect(RosterRequirements.load('bayou').size).toBeGreaterThan(0);
+    expect(RosterRequirements.load('').name).toBe('default');
+  });
+
+  test('splits flex demand across positions and caps depth at position limits', () => {
+    const requirements = new RosterRequirements({
+      name: 'capped',
+      starters: { QB: 1, RB: 2, WR: 2, TE: 1, FLEX: 1, K: 1, DST: 1 },
+      benchSize: 6,
+      limits: { QB: 2, K: 1 }
+    });
+    const targets = requirements.getDepthTargets();
+
+    expect(targets.QB).toBe(2);
+    expect(targets.K).toBe(1);
+    expect(targets.DST).toBe(1);
+    expect(targets.RB).toBeGreaterThan(targets.TE);
+    expect(targets.RB + targets.WR + targets.TE + targets.QB).toBeLessThanOrEqual(requirements.getTotalRosterSize());
+  });
+
+  test('fills dedicated slots before flex slots and reports the gaps', () => {
+    const requirements = superflexLeague();
+    const analysis = requirements.analyze([
+      { player: 'Josh Allen', position: 'QB' },
+      { player: 'Lamar Jackson', position: 'QB' },
+      { player: 'Bijan Robinson', position: 'RB' },
+      { player: 'CeeDee Lamb', position: 'WR' },
+      { player: 'Puka Nacua', position: 'WR' },
+      { player: 'Justin Jefferson', position: 'WR' }
+    ]);
+
+    expect(analysis.flexAssignments).toEqual({ FLEX: ['Justin Jefferson'], SUPERFLEX: ['Lamar Jackson'] });
+    expect(analysis.openSlots).toEqual({ RB: 1, TE: 1, K: 1, DST: 1 });
+    expect(analysis.startingLineupComplete).toBe(false);
+    expect(analysis.rosterSpotsLeft).toBe(10);
+  });
+
+  test('classifies what a pick does for the roster', () => {
+    const requirements = new RosterRequirements({
+      name: 'capped',
+      starters: { QB: 1, RB: 2, WR: 2, TE: 1 },
+      benchSize: 4,
+      limits: { QB: 1 }
+    });
+    const analysis = requirements.analyze([
+      { player: 'Josh Allen', position: 'QB' },
+      { player: 'Bijan Robinson', position: 'RB' },
+      { player: 'Saquon Barkley', position: 'RB' },
+      { player: 'CeeDee Lamb', position: 'WR' },
+      { player: 'Puka Nacua', position: 'WR' }
+    ]);
+
+    expect(requirements.classifyNeed('QB', analysis)).toBe('blocked');
+    expect(requirements.classifyNeed('TE', analysis)).toBe('starter');
+    expect(requirements.classifyNeed('RB', analysis)).toBe('depth');
+  });
+});
@@ -0,0 +1,61 @@
+const ScheduleProvider = require('../../src/services/schedule-provider');
+
+const schedules = { KC: { byeWeek: 6, games: {} } };
+
+const espnClient = (...results) => {
+  const getProTeamSchedules = jest.fn();
+  results.forEach(result => {
+    getProTeamSchedules.mockImplementationOnce(async () => {
+      if (result instanceof Error) {
+        throw result;
+      }
+      return result;
+    });
+  });
+  return { getProTeamSchedules };
+};
+
+describe('ScheduleProvider', () => {
+  test('shares one provider per ESPN client', () => {
+    const client = espnClient();
+
+    expect(ScheduleProvider.forClient(client)).toBe(ScheduleProvider.forClient(client));
+    expect(ScheduleProvider.forClient(espnClient())).not.toBe(ScheduleProvider.forClient(client));
+  });
+
+  test('loads the schedule once for callers asking at the same time and then caches it', async () => {
+    const client = espnClient(schedules);
+    const provider = new ScheduleProvider(client);
+
+    const [first, second] = await Promise.all([provider.load('a'), provider.load('b')]);
+    await provider.load('c');
+
+    expect(first).toBe(schedules);
+    expect(second).toBe(schedules);
+    expect(client.getProTeamSchedules).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps the last schedule when ESPN fails and retries on the next call', async () => {
+    const client = espnClient(new Error('ESPN down'), schedules, new Error('ESPN down again'));
+    const provider = new ScheduleProvider(client);
+
+    expect(await provider.load('grading without bye weeks')).toBeNull();
+    expect(await provider.load('grading without bye weeks')).toBe(schedules);
+
+    // Expired: the reload fails, so the day-old schedule is still served
+    provider.loadedAt = 0;
+    expect(await provider.load('grading without bye weeks')).toBe(schedules);
+    expect(client.getProTeamSchedules).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives a value model the schedule only when it has none', async () => {
+    const client = espnClient(schedules);
+    const provider = new ScheduleProvider(client);
+    const empty = { schedules: null, setSchedules: jest.fn(function (loaded) { this.schedules = loaded; }) };
+    const loaded = { schedules: { BUF: { byeWeek: 7 } }, setSchedules: jest.fn() };
+
+    expect(await provider.applyTo(empty, 'projecting without byes')).toBe(schedules);
+    expect(await provider.applyTo(loaded, 'projecting without byes')).toEqual({ BUF: { byeWeek: 7 } });
+    expect(loaded.setSchedules).not.toHaveBeenCalled();
+  });
+});
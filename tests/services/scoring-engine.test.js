@@ -0,0 +1,72 @@
+const path = require('path');
+const ScoringEngine = require('../../src/services/scoring-engine');
+
+describe('ScoringEngine', () => {
+  test('scores a stat line with the PPR preset', () => {
+    const ppr = ScoringEngine.load('ppr');
+    const line = { receptions: 8, receivingYards: 112, receivingTouchdowns: 1, fumblesLost: 1 };
+
+    expect(ppr.score(line, 'WR')).toBe(23.2);
+    expect(ScoringEngine.load('half-ppr').score(line, 'WR')).toBe(19.2);
+    expect(ScoringEngine.load('standard').score(line, 'WR')).toBe(15.2);
+  });
+
+  test('reads ESPN scoring items, range bonuses and TE premium overrides', () => {
+    const engine = ScoringEngine.fromESPN({
+      scoringItems: [
+        { statId: 53, points: 1, pointsOverrides: { 6: 1.5 } },
+        { statId: 42, points: 0.1 },
+        { statId: 56, points: 3 },
+        { statId: 4, points: 6 },
+        { statId: 999, points: 50 }
+      ]
+    });
+
+    expect(engine.getRule('receptions', 'TE')).toBe(1.5);
+    expect(engine.getRule('receptions', 'WR')).toBe(1);
+    expect(engine.score({ receptions: 6, receivingYards: 104 }, 'TE')).toBe(22.4);
+    expect(engine.describe()).toBe('PPR, TE premium 1.5, 6pt pass TD');
+  });
+
+  test('reads Sleeper scoring settings, defense tiers and position reception bonuses', () => {
+    const engine = ScoringEngine.fromSleeper({
+      rec: 0.5,
+      bonus_rec_te: 0.5,
+      def_td: 6,
+      pts_allow_7_13: 4,
+      sack: 1,
+      int: 2
+    });
+
+    expect(engine.getRule('receptions', 'TE')).toBe(1);
+    expect(engine.getRule('fumbleReturnTouchdowns')).toBe(6);
+    expect(engine.score({ pointsAllowed: 10, defSacks: 3, defInterceptions: 1 }, 'DST')).toBe(9);
+  });
+
+  test('picks the league platform from league info', () => {
+    const sleeper = ScoringEngine.fromLeague({ platform: 'sleeper', name: 'S', scoringSettings: { rec: 1 } });
+    const espn = ScoringEngine.fromLeague({ platform: 'espn', name: 'E', scoringSettings: [{ statId: 53, points: 0.5 }] });
+
+    expect(sleeper.getRule('receptions')).toBe(1);
+    expect(espn.getRule('receptions')).toBe(0.5);
+  });
+
+  test('treats interceptions as made by a defense and thrown by everyone else', () => {
+    expect(ScoringEngine.normalizeStatLine({ interceptions: 2, sacks: 4 }, 'D/ST'))
+      .toEqual({ defInterceptions: 2, defSacks: 4 });
+    expect(ScoringEngine.normalizeStatLine({ interceptions: 2, passingTDs: 3, fantasyPoints: 20 }, 'QB'))
+      .toEqual({ interceptions: 2, passingTouchdowns: 3 });
+  });
+
+  test('loads rules files and whole league configs', () => {
+    const rules = ScoringEngine.load(path.join(__dirname, '../../data/scoring-rules.example.json'));
+    expect(rules.name).toBe('Superflex TE Premium');
+    expect(rules.getRule('receptions', 'TE')).toBe(1.5);
+
+    const league = ScoringEngine.load(path.join(__dirname, '../../data/bayou-league-config.json'));
+    expect(league.getRule('passingTouchdowns')).toBeGreaterThan(0);
+    expect(league.breakdown({ passingYards: 250 }, 'QB')).toEqual([
+      expect.objectContaining({ stat: 'passingYards', value: 250 })
+    ]);
+  });
+});
@@ -0,0 +1,168 @@
+const SeasonSimulator = require('../../src/services/season-simulator');
+const PlayerValueModel = require('../../src/services/player-value-model');
+const VBDEngine = require('../../src/services/vbd-engine');
+const ScoringEngine = require('../../src/services/scoring-engine');
+const RosterRequirements = require('../../src/services/roster-requirements');
+const { ValidationError } = require('../../src/utils/validation');
+
+const roster = RosterRequirements.fromSlotList(['QB', 'RB', 'WR'], { name: 'tiny', size: 6, benchSize: 1 });
+
+// Six teams, each a little weaker than the one before
+const names = ['Alpha', 'Bravo', 'Charlie', 'Delta', 'Echo', 'Foxtrot'];
+const teams = names.map((teamName, index) => ({
+  id: index + 1,
+  teamName,
+  roster: [
+    { name: `${teamName} QB`, position: 'QB', team: 'FA', projectedPoints: 340 - index * 20 },
+    { name: `${teamName} RB`, position: 'RB', team: 'FA', projectedPoints: 260 - index * 20 },
+    { name: `${teamName} WR`, position: 'WR', team: 'FA', projectedPoints: 250 - index * 20 }
+  ]
+}));
+
+// Three weeks left: Alpha (11-0) has clinched and Foxtrot (1-10) can't catch Delta (5-6)
+const teamStats = Object.fromEntries(names.map((name, index) => {
+  const wins = Math.max(0, 11 - 2 * index);
+  return [name, { wins, losses: 11 - wins, ties: 0, pointsFor: 1100 - index * 30 }];
+}));
+
+const weekTwelve = [[1, 6], [2, 5], [3, 4]].map(([home, away], index) => ({ id: index + 1, week: 12, home: { teamId: home }, away: { teamId: away } }));
+
+const createClient = () => ({
+  getMatchups: jest.fn(async week => {
+    if (week === 12) {
+      return weekTwelve;
+    }
+    throw new Error('schedule not published');
+  })
+});
+
+const createSimulator = (client = createClient()) => new SeasonSimulator({
+  client,
+  requirements: roster,
+  format: SeasonSimulator.buildFormat('test', [15, 16], 4),
+  valueModel: new PlayerValueModel({
+    vbd: new VBDEngine({ scoring: ScoringEngine.load('ppr'), roster, players: teams.flatMap(team => team.roster) }),
+    ages: new Map(),
+    schedules: {}
+  }),
+  espnClient: { getProTeamSchedules: jest.fn(async () => ({})) }
+});
+
+const snapshot = { week: 12, teams, teamStats };
+
+describe('SeasonSimulator', () => {
+  test('builds playoff brackets with byes for the top seeds', () => {
+    expect(SeasonSimulator.buildFormat('espn', [15, 16, 17], 6)).toEqual({
+      name: 'espn',
+      regularSeasonWeeks: 14,
+      playoffTeams: 6,
+      byes: 2,
+      bracketSize: 8,
+      rounds: [
+        { name: 'Quarterfinals', weeks: [15] },
+        { name: 'Semifinals', weeks: [16] },
+        { name: 'Championship', weeks: [17] }
+      ]
+    });
+    // Two-week rounds in the bayou league
+    expect(SeasonSimulator.loadFormat('bayou').rounds).toEqual([
+      { name: 'Semifinals', weeks: [15, 16] },
+      { name: 'Championship', weeks: [17, 18] }
+    ]);
+    expect(SeasonSimulator.loadFormat('12-team-ppr')).toMatchObject({ regularSeasonWeeks: 13, byes: 2 });
+    expect(SeasonSimulator.loadFormat('unknown')).toMatchObject({ name: 'default', playoffTeams: 6 });
+    expect(() => SeasonSimulator.buildFormat('short', [15], 4)).toThrow('at least 2 playoff weeks');
+    expect(() => SeasonSimulator.buildFormat('odd', [15, 16], 4, [2])).toThrow('not 1');
+  });
+
+  test('seeds the bracket so the top seeds meet last', () => {
+    expect(SeasonSimulator.bracketOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+    expect(SeasonSimulator.bracketOrder(4)).toEqual([1, 4, 2, 3]);
+  });
+
+  test('pairs every team once a week in a round robin', () => {
+    for (let week = 1; week <= 5; week++) {
+      const games = SeasonSimulator.roundRobin(names, week);
+      expect(games.flatMap(game => [game.home, game.away]).sort()).toEqual([...names].sort());
+    }
+    const pairings = new Set([1, 2, 3, 4, 5].flatMap(week =>
+      SeasonSimulator.roundRobin(names, week).map(game => [game.home, game.away].sort().join('-'))));
+    expect(pairings.size).toBe(15);
+
+    // An odd team out sits the week
+    expect(SeasonSimulator.roundRobin(names.slice(0, 5), 1)).toHaveLength(2);
+  });
+
+  test('fills weeks the platform can\'t supply round-robin', async () => {
+    const client = createClient();
+    const schedule = await createSimulator(client).loadSchedule(teams, 12);
+
+    expect(schedule.generatedWeeks).toEqual([13, 14]);
+    expect(schedule.games.filter(game => game.week === 12)).toEqual([
+      { week: 12, home: 'Alpha', away: 'Foxtrot' },
+      { week: 12, home: 'Bravo', away: 'Echo' },
+      { week: 12, home: 'Charlie', away: 'Delta' }
+    ]);
+    expect(schedule.games).toHaveLength(9);
+    expect(client.getMatchups).toHaveBeenCalledTimes(2);
+  });
+
+  test('plays out the season on top of the standings', async () => {
+    const result = await createSimulator().simulate({ snapshot, team: 'charlie', iterations: 500, seed: 7 });
+    const odds = name => result.teams.find(team => team.teamName === name);
+    const total = field => result.teams.reduce((sum, team) => sum + team[field], 0);
+
+    expect(result).toMatchObject({ week: 12, iterations: 500, seed: 7, myTeam: 'Charlie', note: null });
+    expect(result.schedule).toEqual({ weeks: [12, 13, 14], generatedWeeks: [13, 14] });
+    expect(odds('Alpha')).toMatchObject({ playoffOdds: 100, averageSeed: 1, record: { wins: 11, losses: 0, ties: 0 } });
+    expect(odds('Foxtrot')).toMatchObject({ playoffOdds: 0, championshipOdds: 0 });
+    expect(total('playoffOdds')).toBeCloseTo(400, 0);
+    expect(total('championshipOdds')).toBeCloseTo(100, 0);
+    expect(odds('Alpha').championshipOdds).toBeGreaterThan(odds('Delta').championshipOdds);
+  });
+
+  test('repeats a simulation exactly with the same seed', async () => {
+    const options = { snapshot, iterations: 200, seed: 42 };
+
+    expect((await createSimulator().simulate(options)).teams).toEqual((await createSimulator().simulate(options)).teams);
+  });
+
+  test('replays a trade on the same draws', async () => {
+    const result = await createSimulator().simulate({
+      snapshot, team: 'Charlie', iterations: 500, seed: 7, trade: { give: ['Charlie QB'], receive: ['alpha qb'] }
+    });
+
+    expect(result.trade).toMatchObject({ give: ['Charlie QB'], receive: ['Alpha QB'], partner: 'Alpha' });
+    expect(result.trade.myTeam.change.projectedWeekly).toBeGreaterThan(0);
+    expect(result.trade.partnerTeam.change.projectedWeekly).toBeLessThan(0);
+    expect(result.trade.myTeam.before).toEqual(SeasonSimulator.pickOdds(result.teams.find(team => team.teamName === 'Charlie')));
+  });
+
+  test('moves projections toward how teams have actually scored', () => {
+    const simulator = createSimulator();
+    simulator.valueModel.setContext({ currentWeek: 12 });
+    const stats = {
+      Alpha: { wins: 5, losses: 0, pointsFor: 500 },
+      Bravo: { wins: 0, losses: 5, pointsFor: 100 }
+    };
+
+    const projections = simulator.projectTeams(teams.slice(0, 2), [12, 13], stats);
+
+    expect(projections.get('Alpha').form).toBeGreaterThan(0);
+    expect(projections.get('Bravo').form).toBe(-0.3);
+    expect(projections.get('Bravo').weekly[12]).toBeCloseTo(projections.get('Bravo').average, 5);
+  });
+
+  test('rejects bad input', async () => {
+    const simulator = createSimulator();
+
+    await expect(simulator.simulate({ snapshot, iterations: 50 })).rejects.toThrow(ValidationError);
+    await expect(simulator.simulate({ snapshot: { teams: teams.slice(0, 1) } })).rejects.toThrow(ValidationError);
+    await expect(simulator.simulate({ snapshot, team: 'Nobody' })).rejects.toThrow(ValidationError);
+    expect(() => SeasonSimulator.applyTrade(teams, teams[2], { give: ['Alpha QB'], receive: ['Bravo QB'] })).toThrow(ValidationError);
+    // The players received have to come from one team
+    expect(() => SeasonSimulator.applyTrade(teams, teams[2], { give: ['Charlie QB'], receive: ['Alpha QB', 'Bravo RB'] })).toThrow(ValidationError);
+    // A partial name has to match exactly one player
+    expect(SeasonSimulator.findRosterPlayer({ roster: [{ name: 'Josh Allen' }, { name: 'Josh Jacobs' }] }, 'josh')).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+const TradeAnalyzer = require('../../src/services/trade-analyzer');
+const PlayerValueModel = require('../../src/services/player-value-model');
+const VBDEngine = require('../../src/services/vbd-engine');
+const ScoringEngine = require('../../src/services/scoring-engine');
+const RosterRequirements = require('../../src/services/roster-requirements');
+const { ValidationError } = require('../../src/utils/validation');
+
+const player = (name, position, projectedPoints, team) => ({ name, position, projectedPoints, team });
+
+const pool = [
+  player('Josh Allen', 'QB', 340, 'BUF'),
+  player('Patrick Mahomes', 'QB', 300, 'KC'),
+  player('Backup Quarterback', 'QB', 250, 'NYJ'),
+  player('Bijan Robinson', 'RB', 306, 'ATL'),
+  player('Saquon Barkley', 'RB', 250, 'PHI'),
+  player('Waiver Back', 'RB', 153, 'CAR'),
+  player('CeeDee Lamb', 'WR', 280, 'DAL'),
+  player('Puka Nacua', 'WR', 230, 'LAR'),
+  player('Waiver Receiver', 'WR', 150, 'NYG')
+];
+
+const requirements = RosterRequirements.fromSlotList(['QB', 'RB', 'WR'], { name: 'tiny', size: 2, benchSize: 1 });
+
+const team = (teamName, names) => ({
+  teamName,
+  roster: names.map(name => ({ ...pool.find(entry => entry.name === name) }))
+});
+
+describe('TradeAnalyzer', () => {
+  let analyzer;
+  let myTeam;
+  let partnerTeam;
+
+  beforeEach(() => {
+    analyzer = new TradeAnalyzer();
+    analyzer.rosterRequirements = requirements;
+    analyzer.valueModel = new PlayerValueModel({
+      vbd: new VBDEngine({ scoring: ScoringEngine.load('ppr'), roster: requirements, players: pool }),
+      ages: new Map(),
+      currentWeek: 1
+    });
+    // Skip the NFL schedule download
+    analyzer.lastMarketUpdate = Date.now();
+
+    myTeam = team('Gumbo Gang', ['Josh Allen', 'Saquon Barkley', 'Puka Nacua', 'Waiver Back']);
+    partnerTeam = team('dtown', ['Patrick Mahomes', 'Bijan Robinson', 'CeeDee Lamb', 'Waiver Receiver']);
+  });
+
+  afterEach(() => {
+    analyzer.destroy();
+  });
+
+  test('removes repeated names regardless of case and spacing', () => {
+    expect(TradeAnalyzer.uniqueNames(['Bijan Robinson', ' bijan robinson', 'CeeDee Lamb', 'BIJAN ROBINSON ']))
+      .toEqual(['Bijan Robinson', 'CeeDee Lamb']);
+  });
+
+  test('trades a player named several ways only once', async () => {
+    const result = await analyzer.evaluateTradeProposal({
+      myTeam,
+      partnerTeam,
+      give: ['Saquon Barkley', 'saquon barkley ', 'Barkley'],
+      receive: ['Bijan Robinson']
+    }, { narrative: false });
+
+    expect(result.give.map(entry => entry.name)).toEqual(['Saquon Barkley']);
+    expect(result.myTeam.depth).toEqual({});
+    expect(result.myTeam.after.starters.find(slot => slot.slot === 'RB').name).toBe('Bijan Robinson');
+    expect(result.valueReceived).toBeGreaterThan(result.valueSent);
+    expect(result.verdict.favors).toBe('you');
+    expect(result.narrative).toBeNull();
+  });
+
+  test('cuts the weakest bench player when a team takes back more than it sends', async () => {
+    const result = await analyzer.evaluateTradeProposal({
+      myTeam,
+      partnerTeam,
+      give: ['Puka Nacua'],
+      receive: ['CeeDee Lamb', 'Waiver Receiver']
+    }, { narrative: false });
+
+    expect(result.myTeam.drops).toEqual(['Waiver Receiver']);
+    expect(result.myTeam.rosPointsDelta).toBeGreaterThan(0);
+    expect(result.partnerTeam.depth).toEqual({ WR: { before: 2, after: 1, change: -1 } });
+  });
+
+  test('rejects names that are not on the roster or match several players', async () => {
+    const propose = give => analyzer.evaluateTradeProposal({ myTeam, partnerTeam, give, receive: ['Bijan Robinson'] }, { narrative: false });
+
+    await expect(propose(['Derrick Henry'])).rejects.toThrow(ValidationError);
+    // "a" appears in every name on the roster
+    await expect(propose(['a'])).rejects.toThrow(ValidationError);
+    await expect(propose([])).rejects.toThrow(ValidationError);
+  });
+
+  test('labels the gap between the values exchanged', () => {
+    const improved = { rosPointsDelta: 5 };
+    const worse = { rosPointsDelta: -5 };
+
+    expect(analyzer.judgeFairness(50, 52, improved, improved)).toMatchObject({ label: 'Fair', favors: null, mutualBenefit: true });
+    expect(analyzer.judgeFairness(50, 60, improved, worse)).toMatchObject({ label: 'Slightly favors you', percentGap: 17, mutualBenefit: false });
+    expect(analyzer.judgeFairness(80, 40, worse, improved)).toMatchObject({ label: 'Lopsided in favor of them', valueGap: -40 });
+  });
+
+  test('counts a repeated player once when scoring a suggestion', () => {
+    const analysis = { needs: [], positions: {} };
+    const once = analyzer.calculateTradeScore({ fairness: 5, trade: { give: ['Puka Nacua'], receive: ['CeeDee Lamb'] } }, analysis);
+    const twice = analyzer.calculateTradeScore({ fairness: 5, trade: { give: ['Puka Nacua'], receive: ['CeeDee Lamb', 'ceedee lamb'] } }, analysis);
+
+    expect(twice).toBe(once);
+  });
+});
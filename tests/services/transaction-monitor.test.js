@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TransactionMonitor = require('../../src/services/transaction-monitor');
+const TransactionRepository = require('../../src/database/transaction-repository');
+const DatabaseConnection = require('../../src/database/connection');
+
+const league = { name: 'bayou' };
+
+const teams = [
+  { id: 1, name: 'Gumbo Gang', roster: [{ playerId: 11, player: { name: 'Jaylen Warren', position: 'RB', team: 'PIT' } }] },
+  { id: 2, name: 'Crawfish Kings', roster: [{ playerId: 22, player: { name: 'Puka Nacua', position: 'WR', team: 'LAR' } }] }
+];
+
+const claim = (id, date, extra = {}) => ({
+  id,
+  type: 'WAIVER_ADD',
+  date: new Date(date),
+  teamId: 1,
+  bidAmount: 14,
+  players: [{ playerId: 11, type: 'added', fromTeam: null, toTeam: 1 }, { playerId: 33, type: 'dropped', fromTeam: 1, toTeam: null }],
+  ...extra
+});
+
+const createClient = (transactions = []) => ({
+  getTransactions: jest.fn(async () => transactions),
+  getRosters: jest.fn(async () => teams),
+  getPlayers: jest.fn(async () => [{ id: 33, name: 'Zay Jones', position: 'WR', team: 'ARI' }])
+});
+
+const valueModel = {
+  evaluate: jest.fn(player => ({ position: player.position, value: 42, tier: 2, rosPoints: 80, positionRank: 30 }))
+};
+
+describe('TransactionMonitor', () => {
+  let directory;
+  let repository;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'transaction-monitor-'));
+    repository = new TransactionRepository(new DatabaseConnection(path.join(directory, 'fantasy.db')));
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await repository.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const createMonitor = (client, options = {}) => new TransactionMonitor({
+    league,
+    client,
+    repository,
+    claude: { makeRequest: jest.fn(async () => 'Smart pickup.') },
+    valueModel,
+    interval: 60000,
+    ...options
+  });
+
+  test('records the season so far without alerting, then alerts on new moves', async () => {
+    const client = createClient([claim('t1', '2025-09-10')]);
+    const monitor = createMonitor(client);
+    const alerts = jest.fn();
+    monitor.on('transaction', alerts);
+
+    await monitor.startMonitoring();
+    monitor.stopMonitoring();
+    expect(alerts).not.toHaveBeenCalled();
+
+    client.getTransactions.mockResolvedValue([claim('t2', '2025-09-17', { bidAmount: 0 }), claim('t1', '2025-09-10')]);
+    expect(await monitor.poll()).toHaveLength(1);
+    expect(await monitor.poll()).toEqual([]);
+
+    expect(alerts).toHaveBeenCalledTimes(1);
+    const [record] = alerts.mock.calls[0];
+    expect(record).toMatchObject({ id: 't2', teamId: 1, teamName: 'Gumbo Gang', bidAmount: null, aiTake: 'Smart pickup.' });
+    expect(record.players).toEqual([
+      { playerId: 11, name: 'Jaylen Warren', position: 'RB', nflTeam: 'PIT', action: 'added', fromTeamId: null, fromTeam: null, toTeamId: 1, toTeam: 'Gumbo Gang' },
+      { playerId: 33, name: 'Zay Jones', position: 'WR', nflTeam: 'ARI', action: 'dropped', fromTeamId: 1, fromTeam: 'Gumbo Gang', toTeamId: null, toTeam: null }
+    ]);
+    expect((await repository.getTransactions('bayou')).map(transaction => transaction.id)).toEqual(['t2', 't1']);
+  });
+
+  test('skips lineup changes and moves without players', async () => {
+    const monitor = createMonitor(createClient([
+      claim('t1', '2025-09-10'),
+      { id: 'lineup', type: 'UNKNOWN', date: new Date('2025-09-11'), players: [{ playerId: 11, type: 'added' }] },
+      { id: 'empty', type: 'FREE_AGENT_ADD', date: new Date('2025-09-12'), players: [] }
+    ]));
+
+    expect((await monitor.poll()).map(record => record.id)).toEqual(['t1']);
+    expect(TransactionMonitor.isRosterMove({ type: 'TRADE', players: [{}] })).toBe(true);
+    expect(TransactionMonitor.label('WAIVER_ADD')).toBe('Waiver claim');
+    expect(TransactionMonitor.label('UNKNOWN')).toBe('Roster move');
+  });
+
+  test('alerts on at most ten moves after an outage and records the rest', async () => {
+    const backlog = Array.from({ length: 12 }, (_, index) => claim(`t${index}`, Date.UTC(2025, 8, index + 1)));
+    const monitor = createMonitor(createClient(backlog), { claude: null });
+    const alerts = jest.fn();
+    monitor.on('transaction', alerts);
+
+    expect(await monitor.poll()).toHaveLength(12);
+    expect(alerts).toHaveBeenCalledTimes(10);
+    expect(alerts.mock.calls[0][0].id).toBe('t2');
+  });
+
+  test('names unknown players by ID when the player list is unavailable', async () => {
+    const client = createClient([claim('t1', '2025-09-10')]);
+    client.getPlayers.mockRejectedValue(new Error('ESPN timeout'));
+    const monitor = createMonitor(client);
+
+    const [record] = await monitor.poll();
+
+    expect(record.players[1]).toMatchObject({ name: 'Player 33', position: null });
+    expect(record.aiTake).toBe('Smart pickup.');
+  });
+
+  test('goes without an AI take when Claude fails or there is nothing to say', async () => {
+    const claude = { makeRequest: jest.fn(async () => { throw new Error('rate limited'); }) };
+    const monitor = createMonitor(createClient(), { claude });
+
+    expect(await monitor.getAiTake({ id: 't1', type: 'WAIVER_ADD', players: [{ name: 'Jaylen Warren', position: 'RB', action: 'added' }] })).toBeNull();
+    expect(await monitor.getAiTake({ id: 't2', type: 'WAIVER_ADD', players: [{ name: 'Player 9', position: null, action: 'added' }] })).toBeNull();
+    expect(claude.makeRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports a failed poll while monitoring without stopping', async () => {
+    const client = createClient();
+    const monitor = createMonitor(client);
+    client.getTransactions.mockRejectedValue(new Error('ESPN timeout'));
+    const errors = jest.fn();
+    monitor.on('error', errors);
+
+    jest.useFakeTimers();
+    // The first check fails quietly; the ones on the timer emit 'error'
+    await monitor.startMonitoring();
+    expect(errors).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(errors).toHaveBeenCalledWith(expect.objectContaining({ message: 'ESPN timeout' }));
+    expect(monitor.isMonitoring).toBe(true);
+    monitor.stopMonitoring();
+  });
+
+  test('describes claims, drops and trades in one line', () => {
+    const player = (name, action, extra = {}) => ({ name, position: 'RB', nflTeam: 'PIT', action, ...extra });
+
+    expect(TransactionMonitor.describe({
+      type: 'WAIVER_ADD', teamName: 'Gumbo Gang', bidAmount: 14,
+      players: [player('Jaylen Warren', 'added'), { name: 'Zay Jones', position: null, action: 'dropped' }]
+    })).toBe('Gumbo Gang claimed Jaylen Warren (RB, PIT) for $14, dropping Zay Jones');
+    expect(TransactionMonitor.describe({ type: 'FREE_AGENT_DROP', teamName: null, players: [player('Jaylen Warren', 'dropped')] }))
+      .toBe('A team dropped Jaylen Warren (RB, PIT)');
+    expect(TransactionMonitor.describe({
+      type: 'TRADE',
+      players: [player('Jaylen Warren', 'added', { toTeam: 'Crawfish Kings' }), player('Puka Nacua', 'added', { position: 'WR', nflTeam: 'LAR', toTeam: 'Gumbo Gang' })]
+    })).toBe('Trade: Crawfish Kings gets Jaylen Warren (RB, PIT) • Gumbo Gang gets Puka Nacua (WR, LAR)');
+  });
+
+  test('profiles how each manager uses the wire and the trade market', () => {
+    const added = position => ({ action: 'added', position });
+    const profiles = TransactionMonitor.buildManagerProfiles([
+      { type: 'WAIVER_ADD', teamName: 'Gumbo Gang', bidAmount: 40, date: '2025-09-10', players: [added('RB')] },
+      { type: 'WAIVER_ADD', teamName: 'Gumbo Gang', bidAmount: 30, date: '2025-09-17', players: [added('RB')] },
+      { type: 'FREE_AGENT_ADD', teamName: 'Gumbo Gang', date: '2025-09-18', players: [added('RB'), { action: 'dropped', position: 'WR' }] },
+      { type: 'WAIVER_ADD', teamName: 'Crawfish Kings', bidAmount: 2, date: '2025-09-10', players: [added('WR')] },
+      { type: 'TRADE', date: '2025-09-20', players: [{ action: 'added', fromTeam: 'Crawfish Kings', toTeam: 'Bayou Bob' }] },
+      { type: 'TRADE', date: '2025-09-27', players: [{ action: 'added', fromTeam: 'Bayou Bob', toTeam: 'Crawfish Kings' }] },
+      { type: 'FREE_AGENT_DROP', teamName: 'dtown', date: '2025-09-11', players: [{ action: 'dropped', position: 'K' }] }
+    ]);
+    const profile = name => profiles.find(entry => entry.teamName === name);
+
+    expect(profiles[0]).toMatchObject({
+      teamName: 'Gumbo Gang', moves: 3, adds: 3, drops: 1, waiverClaims: 2, favoritePosition: 'RB',
+      faab: { bids: 2, spent: 70, average: 35, max: 40 }, tendencies: ['chases RBs']
+    });
+    expect(profile('Crawfish Kings').tendencies).toEqual(['active trader']);
+    expect(profile('Bayou Bob')).toMatchObject({ trades: 2, lastMove: '2025-09-27T00:00:00.000Z' });
+    expect(profile('dtown').tendencies).toEqual(['inactive']);
+  });
+});
@@ -0,0 +1,73 @@
+const VBDEngine = require('../../src/services/vbd-engine');
+const ScoringEngine = require('../../src/services/scoring-engine');
+const RosterRequirements = require('../../src/services/roster-requirements');
+
+const player = (name, position, projectedPoints, adp = null) => ({ name, position, projectedPoints, adp });
+
+// Two-team league, one QB / one RB / one WR / one FLEX each
+const pool = [
+  player('QB One', 'QB', 300, 20),
+  player('QB Two', 'QB', 290, 30),
+  player('QB Three', 'QB', 250),
+  player('RB One', 'RB', 260, 1),
+  player('RB Two', 'RB', 240, 3),
+  player('RB Three', 'RB', 200, 8),
+  player('RB Four', 'RB', 120),
+  player('WR One', 'WR', 250, 2),
+  player('WR Two', 'WR', 230, 4),
+  player('WR Three', 'WR', 210, 6),
+  player('WR Four', 'WR', 150)
+];
+
+const createEngine = (players = pool) => new VBDEngine({
+  scoring: ScoringEngine.load('ppr'),
+  roster: RosterRequirements.fromSlotList(['QB', 'RB', 'WR', 'FLEX'], { name: 'tiny', size: 2, benchSize: 2 }),
+  players
+});
+
+describe('VBDEngine', () => {
+  test('gives flex slots to the best remaining eligible players before setting replacement levels', () => {
+    const levels = createEngine().getReplacementLevels();
+
+    expect(levels.QB).toEqual({ starters: 2, player: 'QB Three', points: 250 });
+    // Flex slots go to WR Three (210) and RB Three (200)
+    expect(levels.RB).toEqual({ starters: 3, player: 'RB Four', points: 120 });
+    expect(levels.WR).toEqual({ starters: 3, player: 'WR Four', points: 150 });
+  });
+
+  test('ranks by value over replacement and drops drafted players', () => {
+    const board = createEngine().buildBoard({ drafted: ['rb one'] });
+
+    // WR Two and RB Three are both 80 over replacement; the earlier ADP goes first
+    expect(board.players.map(entry => entry.name).slice(0, 4)).toEqual(['RB Two', 'WR One', 'WR Two', 'RB Three']);
+    expect(board.players.find(entry => entry.name === 'QB One').vor).toBe(50);
+    expect(board.players.some(entry => entry.name === 'RB One')).toBe(false);
+    expect(board.scoring).toBe('PPR');
+  });
+
+  test('filters the board to one position', () => {
+    const board = createEngine().buildBoard({ position: 'wr', limit: 2 });
+    expect(board.players.map(entry => [entry.name, entry.positionRank])).toEqual([['WR One', 1], ['WR Two', 2]]);
+  });
+
+  test('scores raw projected stats with the league rules', () => {
+    const engine = createEngine();
+    const projected = {
+      name: 'Catch Machine',
+      position: 'WR',
+      projections: { seasonTotal: { receptions: 100, receivingYards: 1000, receivingTouchdowns: 5, fantasyPoints: 1 } }
+    };
+
+    expect(engine.project(projected)).toBe(230);
+    expect(engine.project({ projections: { seasonTotal: { fantasyPoints: 187.456 } } })).toBe(187.46);
+    expect(engine.project({ projectedPoints: 99 })).toBe(99);
+  });
+
+  test('starts a new tier where the drop to the next player is unusually large', () => {
+    const tiers = createEngine().assignTiers(
+      [300, 298, 296, 260, 258].map(points => ({ projectedPoints: points })),
+      3
+    );
+    expect(tiers).toEqual([1, 1, 1, 2, 2]);
+  });
+});
@@ -0,0 +1,165 @@
+const WaiverEngine = require('../../src/services/waiver-engine');
+const PlayerValueModel = require('../../src/services/player-value-model');
+const VBDEngine = require('../../src/services/vbd-engine');
+const ScoringEngine = require('../../src/services/scoring-engine');
+const RosterRequirements = require('../../src/services/roster-requirements');
+const { ValidationError } = require('../../src/utils/validation');
+
+const player = (id, name, position, projectedPoints, team) => ({ id, name, position, projectedPoints, team });
+
+const pool = [
+  player(1, 'QB Mine', 'QB', 320, 'BUF'),
+  player(2, 'RB Mine', 'RB', 260, 'ATL'),
+  player(3, 'RB Bench', 'RB', 120, 'CAR'),
+  player(4, 'QB Rival', 'QB', 300, 'KC'),
+  player(5, 'RB Rival', 'RB', 280, 'PHI'),
+  player(6, 'WR Rival', 'WR', 270, 'DAL'),
+  player(10, 'WR Free A', 'WR', 200, 'LAR'),
+  player(11, 'WR Free B', 'WR', 170, 'NYG'),
+  player(12, 'WR Free C', 'WR', 150, 'SEA'),
+  player(13, 'WR Free D', 'WR', 140, 'MIA'),
+  player(14, 'RB Free', 'RB', 180, 'MIN'),
+  player(15, 'QB Free', 'QB', 200, 'GB')
+];
+
+// Atlanta (my RB1) is off in week 15, Los Angeles (the best free WR) in week 16
+const byeWeeks = { BUF: 7, ATL: 15, CAR: 9, KC: 6, PHI: 5, DAL: 7, LAR: 16, NYG: 11, SEA: 8, MIA: 12, MIN: 6, GB: 10 };
+const schedules = Object.fromEntries(Object.entries(byeWeeks).map(([team, byeWeek]) => {
+  const games = {};
+  for (let week = 1; week <= 18; week++) {
+    if (week !== byeWeek) {
+      games[week] = { opponent: 'OPP', home: true, date: null };
+    }
+  }
+  return [team, { byeWeek, games }];
+}));
+
+const roster = RosterRequirements.fromSlotList(['QB', 'RB', 'WR'], { name: 'tiny', size: 2, benchSize: 1 });
+
+const rosterEntry = entry => ({ playerId: entry.id, slot: 'BE', player: { name: entry.name, position: entry.position, team: entry.team } });
+
+const createClient = (mine = pool.slice(0, 3)) => ({
+  getLeagueInfo: jest.fn(async () => ({ currentMatchupPeriod: 14, faabBudget: 100 })),
+  getRosters: jest.fn(async () => [
+    { id: 1, name: 'Mine', roster: mine.map(rosterEntry), faabSpent: 20 },
+    { id: 2, name: 'Rival', roster: pool.slice(3, 6).map(rosterEntry), faabSpent: 70 }
+  ]),
+  getPlayers: jest.fn(async () => pool),
+  getTransactions: jest.fn(async () => [])
+});
+
+const createEngine = (client = createClient()) => new WaiverEngine({
+  client,
+  requirements: roster,
+  valueModel: new PlayerValueModel({
+    vbd: new VBDEngine({ scoring: ScoringEngine.load('ppr'), roster, players: pool }),
+    ages: new Map(),
+    schedules
+  }),
+  espnClient: { getProTeamSchedules: jest.fn(async () => schedules) }
+});
+
+describe('WaiverEngine', () => {
+  test('finds the team by ID, name or the players on it', () => {
+    const rosters = [
+      { id: 1, name: 'Gridiron Gurus', roster: [rosterEntry(pool[0])] },
+      { id: 2, name: 'Waiver Wizards', roster: [rosterEntry(pool[3]), rosterEntry(pool[4])] }
+    ];
+
+    expect(WaiverEngine.findTeam(rosters, { team: 2 }).name).toBe('Waiver Wizards');
+    expect(WaiverEngine.findTeam(rosters, { team: 'gridiron gurus' }).id).toBe(1);
+    expect(WaiverEngine.findTeam(rosters, { team: 'wizards' }).id).toBe(2);
+    expect(WaiverEngine.findTeam(rosters, { playerNames: ['QB Mine', 'qb rival', 'RB Rival'] }).id).toBe(2);
+    expect(WaiverEngine.findTeam(rosters, { playerNames: ['Nobody'] })).toBeNull();
+  });
+
+  test('treats players rostered by ID or by name as taken', () => {
+    const rosters = [{ id: 1, name: 'Mine', roster: [{ playerId: 10, player: null }, { player: { name: 'wr free b' } }] }];
+    const free = WaiverEngine.findFreeAgents(pool.slice(6, 9), rosters);
+
+    expect(free.map(entry => entry.name)).toEqual(['WR Free C']);
+  });
+
+  test('ranks pickups by the lineup points they add over the rest of the season', async () => {
+    const result = await createEngine().recommend({ team: 'Mine' });
+
+    expect(result).toMatchObject({ week: 14, team: { id: 1, name: 'Mine' }, rosterSize: 3, rosterLimit: 4, holes: ['WR'] });
+    expect(result.byeWeeks).toEqual([{ week: 15, players: ['RB Mine'] }]);
+    expect(result.recommendations.map(pickup => [pickup.name, pickup.netGain])).toEqual([
+      ['WR Free B', 40], ['WR Free A', 35.3], ['WR Free C', 35.3], ['RB Free', 3.6]
+    ]);
+    // The better receiver is off in week 16, so adds less than a lesser one who plays every week
+    expect(result.recommendations[1].startWeeks).toEqual([14, 15, 17]);
+  });
+
+  test('explains each pickup', async () => {
+    const { recommendations } = await createEngine().recommend({ team: 'Mine' });
+
+    expect(recommendations[0].reasons).toEqual(['fills your empty WR slot']);
+    expect(recommendations[3]).toMatchObject({ name: 'RB Free', startsNow: false, startWeeks: [15], reasons: ['covers bye week 15'] });
+  });
+
+  test('names the cheapest drop when the roster is full', async () => {
+    const result = await createEngine(createClient(pool.slice(0, 3).concat(pool[11]))).recommend({ team: 'Mine' });
+
+    expect(result.rosterSize).toBe(4);
+    expect(result.recommendations[0].drop).toEqual({ name: 'QB Free', position: 'QB', value: 0, lineupLoss: 0 });
+    expect(result.recommendations[0].netGain).toBe(40);
+  });
+
+  test('bids from the default curve without league history and keeps working without the log', async () => {
+    const client = createClient();
+    client.getTransactions.mockRejectedValue(new Error('ESPN timeout'));
+    const result = await createEngine(client).recommend({ team: 'Mine' });
+
+    expect(result.faab).toEqual({
+      budget: 100,
+      remaining: 80,
+      teams: [{ name: 'Mine', remaining: 80 }, { name: 'Rival', remaining: 30 }],
+      historyBids: 0
+    });
+    // Value 19.9 is worth 10% of the budget, 25% more for starting right away
+    expect(result.recommendations[1].bid).toEqual({
+      amount: 13, low: 6, high: 19, basis: 'default bid curve (not enough league bid history yet)'
+    });
+  });
+
+  test('prices bids from the league\'s winning bids and caps them by what rivals can spend', () => {
+    const engine = createEngine();
+    const history = [0.02, 0.3, 0.4, 0.5, 0.05].map((share, index) => ({ player: `Bid ${index}`, value: share * 100, bid: share * 100, share }));
+    const faab = { budget: 100, remaining: 80, richestRival: 30, history };
+
+    expect(engine.recommendBid({ position: 'WR', value: 40, startsNow: false }, faab)).toEqual({
+      amount: 30, low: 2, high: 31, basis: 'median of 5 similar winning bids in your league'
+    });
+    expect(engine.recommendBid({ position: 'WR', value: 100, startsNow: true }, { ...faab, history: [], richestRival: 10 }).amount).toBe(11);
+    expect(engine.recommendBid({ position: 'K', value: 60, startsNow: false }, { ...faab, history: [] }).amount).toBe(1);
+    expect(engine.recommendBid({ position: 'WR', value: 60, startsNow: false }, { ...faab, history: [], remaining: 0 }).amount).toBe(0);
+  });
+
+  test('adds up spending from the log and counts recorded bids the log no longer has', () => {
+    const engine = createEngine();
+    const rosters = [{ id: 1, name: 'Mine', roster: [] }, { id: 2, name: 'Rival', roster: [] }];
+    const transactions = [
+      { id: 't1', teamId: 2, bidAmount: 40, players: [{ type: 'added', playerId: 10 }] },
+      { id: 't2', bidAmount: 15, players: [{ type: 'added', playerId: 11, toTeam: 1 }] },
+      { id: 't3', teamId: 2, bidAmount: 0, players: [{ type: 'added', playerId: 12 }] }
+    ];
+    const recorded = [
+      { id: 't1', bidAmount: 40, players: [{ action: 'added', name: 'WR Free A', position: 'WR' }] },
+      { id: 'old', bidAmount: 25, players: [{ action: 'added', name: 'RB Free', position: 'RB', nflTeam: 'MIN' }] }
+    ];
+
+    const faab = engine.getFaabOutlook({ faabBudget: 100 }, rosters, rosters[0], transactions, pool, recorded);
+
+    expect(faab).toMatchObject({ budget: 100, remaining: 85, richestRival: 60, teams: [{ name: 'Mine', remaining: 85 }, { name: 'Rival', remaining: 60 }] });
+    expect(faab.history.map(bid => [bid.player, bid.share])).toEqual([['WR Free A', 0.4], ['WR Free B', 0.15], ['RB Free', 0.25]]);
+    expect(engine.getFaabOutlook({}, rosters, rosters[0], transactions, pool)).toBeNull();
+  });
+
+  test('rejects a team that isn\'t in the league', async () => {
+    await expect(createEngine().recommend({ team: 'Nobody' })).rejects.toThrow(ValidationError);
+    await expect(createEngine().recommend({ playerNames: ['Nobody'] })).rejects.toThrow(ValidationError);
+    await expect(createEngine().recommend({ team: 'Mine', limit: 0 })).rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,9 @@
+/**
+ * Jest setup: the keys src/config/environment.js insists on (tests never call out with them) and a
+ * quiet logger
+ */
+process.env.CLAUDE_API_KEY = process.env.CLAUDE_API_KEY || 'test-claude-key';
+process.env.DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN || 'test-discord-token-'.padEnd(60, 'x');
+process.env.DATABASE_PATH = process.env.DATABASE_PATH || ':memory:';
+
+require('../src/utils/logger')().silent = true;